@@ -3,6 +3,7 @@
 var configuration = require('splunkdev-grunt/lib/configuration'),
     splunkEnvironment = require('splunkdev-grunt/lib/environment'),
     splunkWatchConfig = require('splunkdev-grunt/lib/watchConfig'),
+    os = require('os'),
     path = require('path');
 
 var pkg = require('./package.json');
@@ -38,6 +39,7 @@ module.exports = function(grunt) {
       '!./*.tar.gz',
       '!./**/*.pyo',
       '!./**/*.pyc',
+      '!./appserver/static/visualizations/*/node_modules/**',
       '!./django/routemap/static/routemap/bower_components/**/*',
       './django/routemap/static/routemap/bower_components/Leaflet.label/dist/leaflet.label.js',
       './django/routemap/static/routemap/bower_components/Leaflet.label/dist/leaflet.label.css'
@@ -59,6 +61,44 @@ module.exports = function(grunt) {
   // Add watch configuration for splunk app (reload splunk)
   watchConfig = splunkWatchConfig.watchForApp(watchConfig, splunkConfig.splunkApp);
 
+  // -------------------------------------
+  // Custom visualization bundle
+  // -------------------------------------
+
+  // Bundle is committed, so the app works when it is copied or linked to Splunk without build
+  var visualizationDir = path.join(__dirname, 'routemap', 'appserver', 'static', 'visualizations', 'route_map');
+
+  var runWebpack = function(args, done) {
+    grunt.util.spawn({
+      cmd: process.execPath,
+      args: [path.join(visualizationDir, 'node_modules', 'webpack', 'bin', 'webpack.js')].concat(args),
+      opts: { cwd: visualizationDir, stdio: 'inherit' }
+    }, function(error) {
+      done(!error);
+    });
+  };
+
+  grunt.registerTask('visualization', 'Build route_map visualization.js with webpack', function() {
+    runWebpack([], this.async());
+  });
+
+  grunt.registerTask('visualization-check', 'Fail when committed visualization.js is not built from current sources', function() {
+    var done = this.async();
+    var outputDir = path.join(os.tmpdir(), 'route-map-check-' + process.pid);
+    runWebpack(['--output-path', outputDir], function(success) {
+      if (!success) {
+        return done(false);
+      }
+      var built = grunt.file.read(path.join(outputDir, 'visualization.js'));
+      grunt.file.delete(outputDir, { force: true });
+      if (built !== grunt.file.read(path.join(visualizationDir, 'visualization.js'))) {
+        grunt.log.error('visualization.js is out of date, run `grunt visualization` and commit it.');
+        return done(false);
+      }
+      done();
+    });
+  });
+
   // -------------------------------------
   // splunk-services task configuration
   // -------------------------------------
@@ -67,7 +107,14 @@ module.exports = function(grunt) {
   grunt.config.init({
     splunk: splunkConfig,
     jshint: {
-      files: ['Gruntfile.js', 'routemap/django/routemap/static/routemap/**/*.js'],
+      files: [
+        'Gruntfile.js',
+        'routemap/django/routemap/static/routemap/**/*.js',
+        'routemap/appserver/static/visualizations/*/src/**/*.js',
+        'routemap/appserver/static/visualizations/*/benchmarks/**/*.js',
+        'routemap/appserver/static/visualizations/*/test/**/*.js',
+        'routemap/appserver/static/visualizations/*/webpack.config.js'
+      ],
       options: {
         ignores: ['routemap/django/routemap/static/routemap/bower_components/**/*'],
         globals: {
@@ -89,5 +136,5 @@ module.exports = function(grunt) {
   grunt.loadNpmTasks('grunt-contrib-jshint');
 
   grunt.registerTask('default', ['watch']);
-  grunt.registerTask('build', ['splunk-pack']);
+  grunt.registerTask('build', ['visualization', 'splunk-pack']);
 };
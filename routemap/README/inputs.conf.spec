@@ -0,0 +1,47 @@
+# Route Map modular input, see bin/app/modularInput.js
+# Each stanza starts its own observer, events are tagged with field `feed` set to the stanza name.
+
+[routemap://<name>]
+
+feed_type = <firebase|gtfs-rt|nextbus>
+* Type of the feed.
+* Defaults to firebase.
+
+url = <string>
+* Firebase URL, GTFS-realtime VehiclePositions feed URL (or path to .pb file) or NextBus publicXMLFeed URL.
+* Required for firebase and gtfs-rt feeds, NextBus feed defaults to the public NextBus service.
+
+child = <string>
+* Path of vehicles collection in Firebase, for example sf-muni/vehicles.
+* Required for firebase feeds.
+
+mode = <streaming|polling>
+* streaming keeps realtime connection to Firebase.
+* polling requests the whole collection with Firebase REST API every poll_interval seconds.
+* Defaults to streaming for firebase feeds, gtfs-rt and nextbus feeds support only polling.
+
+agency = <string>
+* NextBus agency tag, for example sf-muni.
+* Required for nextbus feeds.
+
+routes = <string>
+* Comma separated list of route tags, vehicles of other routes are not ingested.
+* Defaults to all routes.
+
+exclude_routes = <string>
+* Comma separated list of route tags, vehicles of these routes are not ingested.
+
+bbox = <string>
+* Bounding box minLon,minLat,maxLon,maxLat, vehicles outside of it are not ingested.
+
+polygon = <string>
+* JSON array of [lon, lat] points, for example [[-122.43,37.80],[-122.40,37.80],[-122.40,37.77]].
+* Vehicles outside of the polygon are not ingested.
+
+poll_interval = <number>
+* How often to poll the feed in seconds.
+* Defaults to 30, 15 for nextbus feeds.
+
+dedupe = <bool>
+* Drop vehicle records which did not change since the previous record of the same vehicle.
+* Defaults to true.
@@ -0,0 +1,147 @@
+var amd = require('../test/amd');
+
+var MapObjectsDictionary = amd.loadModule('./mapObjectsDictionary');
+
+/*
+* Map which does not draw anything.
+*/
+var fakeMap = {
+  addMarker: function() {
+    return { move: function() {}, extrapolated: function() {}, remove: function() {} };
+  },
+  addPolyline: function() {
+    return { addPoint: function() {}, insertPoint: function() {}, removePoint: function() {}, removePoints: function() {}, remove: function() {} };
+  }
+};
+
+var setLegacyMethods = function(model) {
+  // Previous design: linear scan from the first point on every call
+  model.findNextPointIndex = function(currentTime) {
+    var points = this.getPoints();
+    var nextPointIndex = -1;
+    while ((++nextPointIndex) < points.length) {
+      if (points[nextPointIndex].ts > currentTime) {
+        break;
+      }
+    }
+    return nextPointIndex;
+  };
+
+  // Previous design: remove old points one by one with shift
+  model.removePointsBefore = function(deadline) {
+    var points = this.getPoints();
+    while (points.length > 1 && points[0].ts < deadline) {
+      points.shift();
+      if (this.polyline) {
+        this.polyline.removePoint(0);
+      }
+    }
+  };
+};
+
+/*
+* Create dictionary with `objects` objects, each has `points` points reported every 15 seconds.
+*/
+var createObjects = function(options, legacy) {
+  var dictionary = new MapObjectsDictionary({ map: fakeMap, showAllRoutes: false });
+  for (var i = 0; i < options.objects; i++) {
+    var obj = { id: String(i) };
+    var offset = i % 15;
+    var model = null;
+    for (var j = 0; j < options.points; j++) {
+      var point = { ts: options.start + offset + j * 15, lat: 37.7 + j / 1e5, lon: -122.4 + i / 1e5 };
+      if (model) {
+        model.getPoints().push(point);
+      } else {
+        model = dictionary.addData(obj, point);
+      }
+    }
+    if (legacy) {
+      setLegacyMethods(model);
+    }
+  }
+  return dictionary;
+};
+
+var collectGarbage = function() {
+  if (global.gc) {
+    global.gc();
+  }
+};
+
+/*
+* Move time forward by `speed / refreshRate` seconds `frames` times (as playback does) and calculate
+* positions of all objects, playback starts in the middle of the data.
+* In real-time mode points older than `timeWindow` are removed on every frame.
+*/
+var measure = function(name, options, legacy, realtime) {
+  var dictionary = createObjects(options, legacy);
+  var duration = options.points * 15;
+  var step = options.speed / options.refreshRate * (realtime ? options.realtimeStep : 1);
+  var timeWindow = realtime ? duration / 2 : null;
+  var currentTime = options.start + duration / 2;
+
+  var calculatePos = function(model) {
+    model.calculatePos(currentTime, realtime, timeWindow);
+  };
+
+  collectGarbage();
+  var started = process.hrtime();
+  for (var frame = 0; frame < options.frames; frame++) {
+    currentTime += step;
+    dictionary.each(calculatePos);
+  }
+  var elapsed = process.hrtime(started);
+  var ms = elapsed[0] * 1e3 + elapsed[1] / 1e6;
+
+  return { name: name, total: ms, frame: ms / options.frames };
+};
+
+var pad = function(value, width) {
+  value = String(value);
+  while (value.length < width) {
+    value = ' ' + value;
+  }
+  return value;
+};
+
+/*
+* Compare position lookup and trimming of MapObject.calculatePos with the previous design:
+*   npm run benchmark -- [--objects 2000] [--points 5000]
+*     [--frames 200] [--speed 10] [--refresh-rate 20]
+* Playback scenarios move time forward like playback does, real-time scenarios move time
+* 10 times faster and remove points which are out of time window.
+*/
+if (require.main === module) {
+  var args = {};
+  process.argv.slice(2).forEach(function(arg, index, argv) {
+    if (arg.indexOf('--') === 0) {
+      args[arg.substring(2)] = argv[index + 1];
+    }
+  });
+
+  var options = {
+    objects: parseInt(args.objects || '2000', 10),
+    points: parseInt(args.points || '5000', 10),
+    frames: parseInt(args.frames || '200', 10),
+    speed: parseFloat(args.speed || '10'),
+    refreshRate: parseFloat(args['refresh-rate'] || '20'),
+    realtimeStep: 10,
+    start: 1388617200
+  };
+
+  console.log(options.objects + ' objects, ' + options.points + ' points each, ' + options.frames + ' frames');
+  console.log(['scenario', 'total ms', 'ms per frame'].map(function(title, index) {
+    return pad(title, index === 0 ? 24 : 14);
+  }).join(''));
+
+  [
+    ['playback linear', true, false],
+    ['playback cursor', false, false],
+    ['real-time shift', true, true],
+    ['real-time splice', false, true]
+  ].forEach(function(scenario) {
+    var result = measure(scenario[0], options, scenario[1], scenario[2]);
+    console.log([pad(result.name, 24), pad(Math.round(result.total), 14), pad(result.frame.toFixed(2), 14)].join(''));
+  });
+}
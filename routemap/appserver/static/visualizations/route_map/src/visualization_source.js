@@ -0,0 +1,297 @@
+define([
+  'jquery',
+  'underscore',
+  'api/SplunkVisualizationBase',
+  'routemap/mapObjectsView',
+  'routemap/utils',
+  '!style!css!routemap/bower_components/Leaflet.label/dist/leaflet.label.css'
+],
+function($, _, SplunkVisualizationBase, MapObjectsView, utils) {
+  'use strict';
+
+  var viewTemplate = [
+    '<div name="routes-playback-toolbar">',
+    '  <form class="form-inline">',
+    '    <div class="block"><button name="button-play" type="button" class="btn">Play</button></div>',
+    '    <div class="block"><button name="button-pause" type="button" class="btn">Pause</button></div>',
+    '    <button name="button-autozoom" type="button" class="btn">Auto zoom</button>',
+    '    <div class="block">',
+    '      <label class="toolbarLabel">Speed</label>',
+    '      <input name="input-speed-value" type="range" min="0.1" max="50" class="input"/>',
+    '      <span class="help-block"><span name="span-speed-value" class="min-width-30 text-right">1</span>X</span>',
+    '    </div>',
+    '    <div class="block">',
+    '      <label class="toolbarLabel">Refresh rate</label>',
+    '      <input name="input-refreshRate-value" type="range" min="1" max="20" class="input"/>',
+    '      <span class="help-block"><span name="span-refreshRate-value" class="min-width-30 text-right"></span> times per seconds</span>',
+    '    </div>',
+    '  </form>',
+    '  <div><input name="input-time" type="range" /></div>',
+    '  <div name="bar-time-ranges" class="row-fluid">',
+    '    <div class="span2 text-left"><span></span></div>',
+    '    <div class="span8 text-center"><span name="routes-currenttime"></span></div>',
+    '    <div class="span2 text-right"><span></span></div>',
+    '  </div>',
+    '</div>',
+    '<div class="row-fluid" name="routes-content">',
+    '  <div class="span3">',
+    '    <div name="map-objects-header">',
+    '      <div class="form-inline">',
+    '        <label class="checkbox inline"><input type="checkbox" checked="true" name="checkbox-all-objects" /> All objects</label>',
+    '        <label class="checkbox inline"><input type="checkbox" checked="true" name="checkbox-all-routes" /> All routes</label>',
+    '      </div>',
+    '      <div class="form-inline">',
+    '        <label class="checkbox inline"><input type="checkbox" checked="true" name="checkbox-autohide" /> Show routes only for visible objects</label>',
+    '      </div>',
+    '    </div>',
+    '    <ul name="map-objects-list" class="unstyled"></ul>',
+    '  </div>',
+    '  <div class="span9" name="map-wrapper"><div name="map"></div></div>',
+    '</div>'
+  ].join('\n');
+
+  var listItemTemplate = [
+    '<div>',
+    '  <label><%- title %></label>',
+    '  <div class="form-inline">',
+    '    <small>Show: </small>',
+    '    <label class="checkbox"><input type="checkbox" <%= showObject ? \'checked="checked"\' : \'\' %> /> <small>Object</small></label>',
+    '    <label class="checkbox"><input type="checkbox" <%= showRoute ? \'checked="checked"\' : \'\' %> /> <small>Route</small></label>',
+    '    <a style="background-color: <%- color %>;" class="colorBlock"></a>',
+    '  </div>',
+    '  <div class="form-inline"><small name="panel-raw-data">Not visible</small></div>',
+    '</div>'
+  ].join('\n');
+
+  /*
+  * Splunk sends at most this number of results to visualization (see max_count in default/visualizations.conf),
+  * sample lookup sfmunisample20140101 alone has more than 11,000 rows.
+  */
+  var maxResults = 50000;
+
+  /*
+  * Google Maps API and gmaps.js are loaded only when visualization uses map type `googlemap`.
+  */
+  var googleMapsLoading = null;
+
+  var loadGoogleMaps = function() {
+    if (!googleMapsLoading) {
+      googleMapsLoading = $.Deferred();
+      window.routeMapGoogleMapsLoaded = function() {
+        $.getScript('//cdnjs.cloudflare.com/ajax/libs/gmaps.js/0.4.5/gmaps.min.js')
+          .done(googleMapsLoading.resolve)
+          .fail(googleMapsLoading.reject);
+      };
+      $.getScript('//maps.googleapis.com/maps/api/js?callback=routeMapGoogleMapsLoaded')
+        .fail(googleMapsLoading.reject);
+    }
+    return googleMapsLoading.promise();
+  };
+
+  /*
+  * Read formatter settings.
+  */
+  var readSettings = function(config, namespace) {
+    var number = function(name, defaultValue) {
+      var value = parseFloat(config[namespace + name]);
+      return isNaN(value) || value < 0 ? defaultValue : value;
+    };
+
+    return {
+      mapType: config[namespace + 'mapType'] || 'openstreetmap',
+      tileUrl: config[namespace + 'tileUrl'] || '',
+      interpolation: config[namespace + 'interpolation'] === 'geodesic' ? 'geodesic' : 'linear',
+      shapeField: config[namespace + 'shapeField'] || 'routeTag',
+      snapRoutes: config[namespace + 'snapRoutes'] === 'true',
+      speed: number('speed', 10),
+      refreshRate: Math.min(Math.max(number('refreshRate', 2), 1), 20),
+      timeWindow: number('timeWindow', 0),
+      maxLateness: number('maxLateness', null),
+      extrapolationHorizon: number('extrapolationHorizon', 0)
+    };
+  };
+
+  /*
+  * Route map as Splunk custom visualization, search results should be prepared by `routenormalize` command.
+  *
+  * Formatter settings:
+  *   mapType - openstreetmap or googlemap,
+  *   tileUrl - url template of tiles for openstreetmap,
+  *   interpolation - linear or geodesic (along great circles),
+  *   shapeField, snapRoutes - group field with ids of shapes appended to results (see utils.toShapes)
+  *                            and whether routes are drawn along shapes,
+  *   speed, refreshRate - playback settings,
+  *   timeWindow - seconds, when it is set map works in real-time mode and keeps only the latest points,
+  *   maxLateness - seconds, points older than the latest point of object by more are dropped,
+  *   extrapolationHorizon - seconds, in real-time mode objects keep moving from their latest points.
+  *
+  * Selecting object on the map or in the list triggers drilldown with group__* fields of the object,
+  * its current position (point__lat__, point__lon__) and current playback time (point__ts__),
+  * use them in <drilldown> as $row.group__id$ and so on.
+  */
+  var RouteMapVisualization = SplunkVisualizationBase.extend({
+
+    initialize: function() {
+      SplunkVisualizationBase.prototype.initialize.apply(this, arguments);
+      this.$el.addClass('route-map-viz');
+      this.mapObjectsView = null;
+      this.settings = null;
+      this.dataSignature = null;
+    },
+
+    getInitialDataParams: function() {
+      return {
+        outputMode: SplunkVisualizationBase.ROW_MAJOR_OUTPUT_MODE,
+        count: maxResults
+      };
+    },
+
+    formatData: function(data) {
+      if (!data || !data.rows || data.rows.length === 0) {
+        return { points: [], shapes: {}, truncated: false };
+      }
+
+      var fields = _.pluck(data.fields, 'name');
+      if (!_.contains(fields, 'point__ts__') || !_.contains(fields, 'point__lat__') || !_.contains(fields, 'point__lon__')) {
+        throw new SplunkVisualizationBase.VisualizationError(
+          'Search results should have point__ts__, point__lat__ and point__lon__ fields, use routenormalize command.');
+      }
+
+      var results = _.map(data.rows, function(row) {
+        var result = {};
+        _.each(fields, function(field, index) {
+          if (row[index] !== null && row[index] !== undefined) {
+            result[field] = row[index];
+          }
+        });
+        return result;
+      });
+
+      return {
+        shapes: utils.toShapes(results),
+        points: utils.toDataPoints(results),
+        // Splunk does not tell whether there are more results, full page means there could be
+        truncated: data.rows.length >= maxResults
+      };
+    },
+
+    updateView: function(data, config) {
+      var settings = readSettings(config, this.getPropertyNamespaceInfo().propertyNamespace);
+
+      if (!this.settings || this.settings.mapType !== settings.mapType || this.settings.tileUrl !== settings.tileUrl ||
+        this.settings.shapeField !== settings.shapeField) {
+        if (settings.mapType === 'googlemap' && !window.GMaps) {
+          loadGoogleMaps().done(this.invalidateUpdateView.bind(this));
+          return;
+        }
+        this._createView(settings);
+      }
+      this._showTruncated(data.truncated);
+
+      var viewModel = this.mapObjectsView.viewModel;
+      var realtime = settings.timeWindow > 0;
+      if (realtime !== viewModel.realtime()) {
+        viewModel.removeAllObjects();
+        this.dataSignature = null;
+        viewModel.realtime(realtime);
+      }
+      viewModel.timeWindow(realtime ? settings.timeWindow : null);
+      viewModel.collection.maxLateness(settings.maxLateness);
+      viewModel.collection.interpolation(settings.interpolation);
+      viewModel.collection.snapRoutes(settings.snapRoutes);
+      if (viewModel.extrapolationHorizon() !== (settings.extrapolationHorizon || null)) {
+        viewModel.extrapolationHorizon(settings.extrapolationHorizon || null);
+      }
+
+      if (viewModel.speed() !== settings.speed || viewModel.refreshRate() !== settings.refreshRate) {
+        var isPlaying = viewModel.playbackMode();
+        if (isPlaying) viewModel.pause();
+        viewModel.speed(settings.speed);
+        viewModel.refreshRate(settings.refreshRate);
+        if (isPlaying) viewModel.play();
+      }
+      this.settings = settings;
+
+      // updateView is invoked on every change of settings, points are rendered only when data has been changed.
+      // In real-time mode view model adds only new points, historical results are rendered from scratch.
+      var points = data.points;
+      var signature = points.length === 0 ? '' :
+        [points.length, _.first(points).point.ts, _.last(points).point.ts, JSON.stringify(_.last(points).obj)].join(':');
+      if (signature !== this.dataSignature) {
+        this.dataSignature = signature;
+        if (!realtime) {
+          viewModel.removeAllObjects();
+        }
+        if (!_.isEmpty(data.shapes)) {
+          viewModel.collection.setShapes(data.shapes);
+        }
+        if (points.length > 0) {
+          this.mapObjectsView.renderPoints(points);
+        }
+      }
+    },
+
+    reflow: function() {
+      if (this.mapObjectsView) {
+        this.mapObjectsView.viewModel.map.resize();
+      }
+    },
+
+    remove: function() {
+      this._removeView();
+      return SplunkVisualizationBase.prototype.remove.apply(this, arguments);
+    },
+
+    _createView: function(settings) {
+      this._removeView();
+      this.$el.empty();
+
+      this.mapObjectsView = new MapObjectsView({
+        el: $('<div>').appendTo(this.el),
+        view_template: viewTemplate,
+        view_list_item_template: listItemTemplate,
+        map_type: settings.mapType,
+        tile_url: settings.tileUrl,
+        shape_field: settings.shapeField
+      }).render();
+      this.listenTo(this.mapObjectsView.viewModel, 'select', this._onObjectSelected);
+      this.dataSignature = null;
+    },
+
+    _showTruncated: function(truncated) {
+      this.$el.children('[name="routes-truncated"]').remove();
+      if (truncated) {
+        $('<div name="routes-truncated" class="alert alert-warning">')
+          .text('Only the first ' + maxResults + ' results are shown, use shorter time range or filter the search.')
+          .prependTo(this.$el);
+      }
+    },
+
+    _onObjectSelected: function(selection) {
+      var data = {};
+      _.each(selection.obj, function(value, field) {
+        data['group__' + field] = value;
+      });
+      data.point__lat__ = selection.lat;
+      data.point__lon__ = selection.lon;
+      data.point__ts__ = selection.ts;
+
+      this.drilldown({
+        action: SplunkVisualizationBase.FIELD_VALUE_DRILLDOWN,
+        data: data
+      });
+    },
+
+    _removeView: function() {
+      if (this.mapObjectsView) {
+        this.stopListening(this.mapObjectsView.viewModel);
+        this.mapObjectsView.viewModel.pause();
+        this.mapObjectsView.viewModel.removeAllObjects();
+        this.mapObjectsView.off();
+        this.mapObjectsView = null;
+      }
+    }
+  });
+
+  return RouteMapVisualization;
+});
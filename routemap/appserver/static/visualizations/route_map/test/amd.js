@@ -0,0 +1,35 @@
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+// Modules of the map are AMD modules of the Django application
+var routemapStatic = path.join(__dirname, '..', '..', '..', '..', '..', 'django', 'routemap', 'static', 'routemap');
+
+var modules = {
+  underscore: require('underscore'),
+  backbone: require('backbone')
+};
+
+/*
+* Load AMD module from routemapStatic (enough of AMD for modules without browser dependencies),
+* used by tests and benchmarks of the visualization.
+*/
+var loadModule = function(name) {
+  if (!modules.hasOwnProperty(name)) {
+    var file = path.join(routemapStatic, name.replace(/^\.\//, '') + '.js');
+    var define = function(dependencies, factory) {
+      if (typeof dependencies === 'function') {
+        var module = { exports: {} };
+        modules[name] = dependencies(loadModule, module.exports, module) || module.exports;
+      } else {
+        modules[name] = factory.apply(null, dependencies.map(loadModule));
+      }
+    };
+    vm.runInNewContext(fs.readFileSync(file, 'utf8'), { define: define, Math: Math, JSON: JSON }, file);
+  }
+  return modules[name];
+};
+
+// Exports
+
+exports.loadModule = loadModule;
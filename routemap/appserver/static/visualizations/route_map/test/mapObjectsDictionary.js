@@ -0,0 +1,304 @@
+var assert = require('assert');
+var amd = require('./amd');
+
+var MapObjectsDictionary = amd.loadModule('./mapObjectsDictionary');
+
+/*
+* Map which keeps paths of polylines, so tests can compare them with points of objects.
+*/
+var createMap = function() {
+  var map = { polylines: [] };
+  map.addMarker = function() {
+    return { move: function() {}, extrapolated: function() {}, remove: function() {} };
+  };
+  map.addPolyline = function(data) {
+    var polyline = {
+      path: data.path.slice(),
+      setPaths: 0,
+      insertPoint: function(index, lat, lon) {
+        this.path.splice(index, 0, [lat, lon]);
+      },
+      removePoints: function(index, count) {
+        this.path.splice(index, count);
+      },
+      setPath: function(path) {
+        this.setPaths++;
+        this.path = path.slice();
+      },
+      remove: function() {}
+    };
+    map.polylines.push(polyline);
+    return polyline;
+  };
+  return map;
+};
+
+var createDictionary = function(map, options) {
+  var attributes = { map: map, showAllRoutes: true, autoHideRoutes: false };
+  for (var name in options) {
+    if (options.hasOwnProperty(name)) {
+      attributes[name] = options[name];
+    }
+  }
+  return new MapObjectsDictionary(attributes);
+};
+
+var timestamps = function(model) {
+  return model.getPoints().map(function(point) {
+    return point.ts;
+  });
+};
+
+/*
+* Assert that position { lat, lon } is equal to expected one within rounding errors.
+*/
+var assertPos = function(pos, lat, lon) {
+  assert.ok(Math.abs(pos.lat - lat) < 1e-9 && Math.abs(pos.lon - lon) < 1e-9,
+    JSON.stringify(pos) + ' is not ' + JSON.stringify({ lat: lat, lon: lon }));
+};
+
+describe('MapObject', function() {
+
+  describe('add', function() {
+
+    it('inserts late points in order of timestamps', function() {
+      var map = createMap();
+      var model = createDictionary(map).addData({ id: '8612' }, { ts: 30, lat: 3, lon: 3 });
+      model.add({ ts: 10, lat: 1, lon: 1 });
+      model.add({ ts: 40, lat: 4, lon: 4 });
+      assert.ok(model.add({ ts: 20, lat: 2, lon: 2 }));
+
+      assert.deepEqual(timestamps(model), [10, 20, 30, 40]);
+      // Polyline gets late points at the same index
+      assert.deepEqual(map.polylines[0].path, [[1, 1], [2, 2], [3, 3], [4, 4]]);
+    });
+
+    it('drops points with the same timestamp', function() {
+      var model = createDictionary(createMap()).addData({ id: '8612' }, { ts: 10, lat: 1, lon: 1 });
+
+      assert.equal(model.add({ ts: 10, lat: 2, lon: 2 }), false);
+      assert.deepEqual(model.getPoints(), [{ ts: 10, lat: 1, lon: 1 }]);
+    });
+
+    it('drops points older than the latest point by more than maxLateness', function() {
+      var model = createDictionary(createMap(), { maxLateness: 60 }).addData({ id: '8612' }, { ts: 100, lat: 1, lon: 1 });
+
+      assert.ok(model.add({ ts: 40, lat: 2, lon: 2 }));
+      assert.equal(model.add({ ts: 39, lat: 3, lon: 3 }), false);
+      assert.deepEqual(timestamps(model), [40, 100]);
+    });
+
+    it('throws for points without timestamp or coordinates', function() {
+      var model = createDictionary(createMap()).addData({ id: '8612' }, { ts: 10, lat: 1, lon: 1 });
+
+      assert.throws(function() {
+        model.add({ ts: 20, lat: 'n/a', lon: 1 });
+      });
+    });
+  });
+
+  describe('findNextPointIndex', function() {
+    var model;
+
+    beforeEach(function() {
+      model = createDictionary(createMap()).addData({ id: '8612' }, { ts: 0, lat: 0, lon: 0 });
+      for (var i = 1; i < 100; i++) {
+        model.add({ ts: i * 10, lat: i, lon: i });
+      }
+    });
+
+    it('moves cursor forward during playback', function() {
+      assert.equal(model.findNextPointIndex(5), 1);
+      assert.equal(model.findNextPointIndex(10), 2);
+      assert.equal(model.findNextPointIndex(25), 3);
+      assert.equal(model.cursor, 3);
+    });
+
+    it('finds points after jumps forward and backward', function() {
+      model.findNextPointIndex(5);
+      assert.equal(model.findNextPointIndex(555), 56);
+      assert.equal(model.findNextPointIndex(120), 13);
+      assert.equal(model.findNextPointIndex(-1), 0);
+      assert.equal(model.findNextPointIndex(990), 100);
+    });
+
+    it('keeps cursor on the same point after late point is inserted before it', function() {
+      model.findNextPointIndex(55);
+      model.add({ ts: 15, lat: 1.5, lon: 1.5 });
+
+      assert.equal(model.cursor, 7);
+      assert.equal(model.findNextPointIndex(55), 7);
+    });
+
+    it('interpolates position between points', function() {
+      model.calculatePos(25, false);
+
+      assert.deepEqual(model.get('pos'), { lat: 2.5, lon: 2.5, extrapolated: false });
+    });
+  });
+
+  describe('removePointsBefore', function() {
+    var map, model;
+
+    beforeEach(function() {
+      map = createMap();
+      model = createDictionary(map).addData({ id: '8612' }, { ts: 0, lat: 0, lon: 0 });
+      for (var i = 1; i < 10; i++) {
+        model.add({ ts: i * 10, lat: i, lon: i });
+      }
+    });
+
+    it('removes old points from object and its route', function() {
+      model.findNextPointIndex(55);
+      model.removePointsBefore(30, 95);
+
+      assert.deepEqual(timestamps(model), [30, 40, 50, 60, 70, 80, 90]);
+      assert.deepEqual(map.polylines[0].path, model.routePath());
+      assert.equal(model.cursor, 3);
+      assert.equal(model.findNextPointIndex(55), 3);
+    });
+
+    it('keeps the last point while it is in object timeout limit', function() {
+      model.removePointsBefore(100, 300);
+      assert.deepEqual(timestamps(model), [90]);
+
+      model.removePointsBefore(100, 391);
+      assert.equal(model.isEmpty(), true);
+      assert.deepEqual(map.polylines[0].path, []);
+    });
+  });
+
+  describe('realtimePos', function() {
+
+    it('keeps object on the latest point without extrapolation horizon', function() {
+      var model = createDictionary(createMap()).addData({ id: '8612' }, { ts: 0, lat: 0, lon: 0 });
+      model.add({ ts: 10, lat: 0, lon: 1 });
+
+      assert.deepEqual(model.realtimePos(15), { lat: 0, lon: 1, extrapolated: false });
+    });
+
+    it('extrapolates with speed and heading of the latest point', function() {
+      var model = createDictionary(createMap(), { extrapolationHorizon: 60 })
+        .addData({ id: '8612' }, { ts: 0, lat: 0, lon: 0, raw: { speedKmHr: '36', heading: '90' } });
+      var pos = model.realtimePos(5);
+
+      // 50 meters to the east on the equator
+      assertPos(pos, 0, 50 / (6371000 * Math.PI / 180));
+      assert.equal(pos.extrapolated, true);
+    });
+
+    it('extrapolates with movement between the last two points up to the horizon', function() {
+      var model = createDictionary(createMap(), { extrapolationHorizon: 10 }).addData({ id: '8612' }, { ts: 0, lat: 0, lon: 0 });
+      model.add({ ts: 10, lat: 0, lon: 1 });
+
+      assertPos(model.realtimePos(15), 0, 1.5);
+      assertPos(model.realtimePos(40), 0, 2);
+    });
+
+    it('keeps object on the latest point when its movement is unknown', function() {
+      var model = createDictionary(createMap(), { extrapolationHorizon: 60 }).addData({ id: '8612' }, { ts: 0, lat: 0, lon: 0 });
+
+      assert.deepEqual(model.realtimePos(5), { lat: 0, lon: 0, extrapolated: false });
+    });
+
+    it('blends from displayed position to the track of a new point', function() {
+      var model = createDictionary(createMap(), { extrapolationHorizon: 60 }).addData({ id: '8612' }, { ts: 0, lat: 0, lon: 0 });
+      model.add({ ts: 10, lat: 0, lon: 1 });
+      model.calculatePos(20, true);
+      assertPos(model.get('pos'), 0, 2);
+
+      // Object has slowed down, it does not jump back to the new point
+      model.add({ ts: 20, lat: 0, lon: 1.5 });
+      model.calculatePos(20, true);
+      assertPos(model.get('pos'), 0, 2);
+      model.calculatePos(21, true);
+      assertPos(model.get('pos'), 0, (2 + 1.55) / 2);
+      model.calculatePos(22, true);
+      assertPos(model.get('pos'), 0, 1.6);
+      assert.equal(model.get('pos').extrapolated, true);
+    });
+  });
+
+  describe('geodesic interpolation', function() {
+
+    it('moves object across the antimeridian the short way', function() {
+      var model = createDictionary(createMap(), { interpolation: 'geodesic' }).addData({ id: 'UA863' }, { ts: 0, lat: 0, lon: 179 });
+      model.add({ ts: 10, lat: 0, lon: -179 });
+
+      model.calculatePos(5, false);
+      assertPos(model.get('pos'), 0, 180);
+      // Marker keeps moving east instead of jumping to the other side of the map
+      model.calculatePos(7.5, false);
+      assertPos(model.get('pos'), 0, 180.5);
+    });
+
+    it('redraws route once per batch of points', function() {
+      var map = createMap();
+      var dictionary = createDictionary(map, { interpolation: 'geodesic' });
+      var model = dictionary.addData({ id: 'UA863' }, { ts: 0, lat: 0, lon: 170 });
+      for (var i = 1; i < 10; i++) {
+        dictionary.addData({ id: 'UA863' }, { ts: i * 10, lat: 0, lon: 170 + i });
+      }
+      assert.equal(map.polylines[0].setPaths, 0);
+
+      dictionary.updateRoutes();
+      assert.equal(map.polylines[0].setPaths, 1);
+      assert.deepEqual(map.polylines[0].path, model.routePath());
+
+      model.calculatePos(95, true, 50);
+      assert.equal(map.polylines[0].setPaths, 2);
+      assert.deepEqual(timestamps(model), [50, 60, 70, 80, 90]);
+      assert.deepEqual(map.polylines[0].path, model.routePath());
+    });
+  });
+
+  describe('shapes', function() {
+    // Route turns north at the corner (0, 0.01)
+    var shapes = { '44': [{ lat: 0, lon: 0 }, { lat: 0, lon: 0.01 }, { lat: 0.01, lon: 0.01 }] };
+
+    var createObject = function(map, options) {
+      var dictionary = createDictionary(map, options);
+      dictionary.setShapes(shapes);
+      var model = dictionary.addData({ routeTag: '44', id: '8612' }, { ts: 0, lat: 0, lon: 0.005 });
+      dictionary.addData({ routeTag: '44', id: '8612' }, { ts: 10, lat: 0.005, lon: 0.01 });
+      return model;
+    };
+
+    it('moves object along the shape between points', function() {
+      var model = createObject(createMap());
+
+      model.calculatePos(5, false);
+      assertPos(model.get('pos'), 0, 0.01);
+    });
+
+    it('moves object straight when point is far from the shape', function() {
+      var model = createObject(createMap());
+      model.add({ ts: 20, lat: 0.005, lon: 0.02 });
+
+      model.calculatePos(15, false);
+      assertPos(model.get('pos'), 0.005, 0.015);
+    });
+
+    it('takes shape id from fields of point', function() {
+      var dictionary = createDictionary(createMap());
+      dictionary.setShapes(shapes);
+      var model = dictionary.addData({ id: '8612' }, { ts: 0, lat: 0, lon: 0.005, raw: { routeTag: '44' } });
+
+      assert.equal(model.get('shape'), dictionary.shapes['44']);
+    });
+
+    it('draws snapped route along the shape once per batch of points', function() {
+      var map = createMap();
+      var model = createObject(map, { snapRoutes: true });
+
+      assert.equal(map.polylines[0].setPaths, 0);
+      model.updateRoute();
+      assert.equal(map.polylines[0].setPaths, 1);
+      assert.equal(map.polylines[0].path.length, 3);
+      assertPos({ lat: map.polylines[0].path[1][0], lon: map.polylines[0].path[1][1] }, 0, 0.01);
+
+      model.updateRoute();
+      assert.equal(map.polylines[0].setPaths, 1);
+    });
+  });
+});
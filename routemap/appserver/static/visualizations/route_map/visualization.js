@@ -0,0 +1,24453 @@
+define(["api/SplunkVisualizationBase"], function(__WEBPACK_EXTERNAL_MODULE_3__) { return /******/ (function(modules) { // webpackBootstrap
+/******/ 	// The module cache
+/******/ 	var installedModules = {};
+
+/******/ 	// The require function
+/******/ 	function __webpack_require__(moduleId) {
+
+/******/ 		// Check if module is in cache
+/******/ 		if(installedModules[moduleId])
+/******/ 			return installedModules[moduleId].exports;
+
+/******/ 		// Create a new module (and put it into the cache)
+/******/ 		var module = installedModules[moduleId] = {
+/******/ 			exports: {},
+/******/ 			id: moduleId,
+/******/ 			loaded: false
+/******/ 		};
+
+/******/ 		// Execute the module function
+/******/ 		modules[moduleId].call(module.exports, module, module.exports, __webpack_require__);
+
+/******/ 		// Flag the module as loaded
+/******/ 		module.loaded = true;
+
+/******/ 		// Return the exports of the module
+/******/ 		return module.exports;
+/******/ 	}
+
+
+/******/ 	// expose the modules object (__webpack_modules__)
+/******/ 	__webpack_require__.m = modules;
+
+/******/ 	// expose the module cache
+/******/ 	__webpack_require__.c = installedModules;
+
+/******/ 	// __webpack_public_path__
+/******/ 	__webpack_require__.p = "";
+
+/******/ 	// Load entry module and return exports
+/******/ 	return __webpack_require__(0);
+/******/ })
+/************************************************************************/
+/******/ ([
+/* 0 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	var __WEBPACK_AMD_DEFINE_ARRAY__, __WEBPACK_AMD_DEFINE_RESULT__;!(__WEBPACK_AMD_DEFINE_ARRAY__ = [
+	  __webpack_require__(1),
+	  __webpack_require__(2),
+	  __webpack_require__(3),
+	  __webpack_require__(4),
+	  __webpack_require__(8),
+	  __webpack_require__(16)
+	], __WEBPACK_AMD_DEFINE_RESULT__ = function($, _, SplunkVisualizationBase, MapObjectsView, utils) {
+	  'use strict';
+
+	  var viewTemplate = [
+	    '<div name="routes-playback-toolbar">',
+	    '  <form class="form-inline">',
+	    '    <div class="block"><button name="button-play" type="button" class="btn">Play</button></div>',
+	    '    <div class="block"><button name="button-pause" type="button" class="btn">Pause</button></div>',
+	    '    <button name="button-autozoom" type="button" class="btn">Auto zoom</button>',
+	    '    <div class="block">',
+	    '      <label class="toolbarLabel">Speed</label>',
+	    '      <input name="input-speed-value" type="range" min="0.1" max="50" class="input"/>',
+	    '      <span class="help-block"><span name="span-speed-value" class="min-width-30 text-right">1</span>X</span>',
+	    '    </div>',
+	    '    <div class="block">',
+	    '      <label class="toolbarLabel">Refresh rate</label>',
+	    '      <input name="input-refreshRate-value" type="range" min="1" max="20" class="input"/>',
+	    '      <span class="help-block"><span name="span-refreshRate-value" class="min-width-30 text-right"></span> times per seconds</span>',
+	    '    </div>',
+	    '  </form>',
+	    '  <div><input name="input-time" type="range" /></div>',
+	    '  <div name="bar-time-ranges" class="row-fluid">',
+	    '    <div class="span2 text-left"><span></span></div>',
+	    '    <div class="span8 text-center"><span name="routes-currenttime"></span></div>',
+	    '    <div class="span2 text-right"><span></span></div>',
+	    '  </div>',
+	    '</div>',
+	    '<div class="row-fluid" name="routes-content">',
+	    '  <div class="span3">',
+	    '    <div name="map-objects-header">',
+	    '      <div class="form-inline">',
+	    '        <label class="checkbox inline"><input type="checkbox" checked="true" name="checkbox-all-objects" /> All objects</label>',
+	    '        <label class="checkbox inline"><input type="checkbox" checked="true" name="checkbox-all-routes" /> All routes</label>',
+	    '      </div>',
+	    '      <div class="form-inline">',
+	    '        <label class="checkbox inline"><input type="checkbox" checked="true" name="checkbox-autohide" /> Show routes only for visible objects</label>',
+	    '      </div>',
+	    '    </div>',
+	    '    <ul name="map-objects-list" class="unstyled"></ul>',
+	    '  </div>',
+	    '  <div class="span9" name="map-wrapper"><div name="map"></div></div>',
+	    '</div>'
+	  ].join('\n');
+
+	  var listItemTemplate = [
+	    '<div>',
+	    '  <label><%- title %></label>',
+	    '  <div class="form-inline">',
+	    '    <small>Show: </small>',
+	    '    <label class="checkbox"><input type="checkbox" <%= showObject ? \'checked="checked"\' : \'\' %> /> <small>Object</small></label>',
+	    '    <label class="checkbox"><input type="checkbox" <%= showRoute ? \'checked="checked"\' : \'\' %> /> <small>Route</small></label>',
+	    '    <a style="background-color: <%- color %>;" class="colorBlock"></a>',
+	    '  </div>',
+	    '  <div class="form-inline"><small name="panel-raw-data">Not visible</small></div>',
+	    '</div>'
+	  ].join('\n');
+
+	  /*
+	  * Splunk sends at most this number of results to visualization (see max_count in default/visualizations.conf),
+	  * sample lookup sfmunisample20140101 alone has more than 11,000 rows.
+	  */
+	  var maxResults = 50000;
+
+	  /*
+	  * Google Maps API and gmaps.js are loaded only when visualization uses map type `googlemap`.
+	  */
+	  var googleMapsLoading = null;
+
+	  var loadGoogleMaps = function() {
+	    if (!googleMapsLoading) {
+	      googleMapsLoading = $.Deferred();
+	      window.routeMapGoogleMapsLoaded = function() {
+	        $.getScript('//cdnjs.cloudflare.com/ajax/libs/gmaps.js/0.4.5/gmaps.min.js')
+	          .done(googleMapsLoading.resolve)
+	          .fail(googleMapsLoading.reject);
+	      };
+	      $.getScript('//maps.googleapis.com/maps/api/js?callback=routeMapGoogleMapsLoaded')
+	        .fail(googleMapsLoading.reject);
+	    }
+	    return googleMapsLoading.promise();
+	  };
+
+	  /*
+	  * Read formatter settings.
+	  */
+	  var readSettings = function(config, namespace) {
+	    var number = function(name, defaultValue) {
+	      var value = parseFloat(config[namespace + name]);
+	      return isNaN(value) || value < 0 ? defaultValue : value;
+	    };
+
+	    return {
+	      mapType: config[namespace + 'mapType'] || 'openstreetmap',
+	      tileUrl: config[namespace + 'tileUrl'] || '',
+	      interpolation: config[namespace + 'interpolation'] === 'geodesic' ? 'geodesic' : 'linear',
+	      shapeField: config[namespace + 'shapeField'] || 'routeTag',
+	      snapRoutes: config[namespace + 'snapRoutes'] === 'true',
+	      speed: number('speed', 10),
+	      refreshRate: Math.min(Math.max(number('refreshRate', 2), 1), 20),
+	      timeWindow: number('timeWindow', 0),
+	      maxLateness: number('maxLateness', null),
+	      extrapolationHorizon: number('extrapolationHorizon', 0)
+	    };
+	  };
+
+	  /*
+	  * Route map as Splunk custom visualization, search results should be prepared by `routenormalize` command.
+	  *
+	  * Formatter settings:
+	  *   mapType - openstreetmap or googlemap,
+	  *   tileUrl - url template of tiles for openstreetmap,
+	  *   interpolation - linear or geodesic (along great circles),
+	  *   shapeField, snapRoutes - group field with ids of shapes appended to results (see utils.toShapes)
+	  *                            and whether routes are drawn along shapes,
+	  *   speed, refreshRate - playback settings,
+	  *   timeWindow - seconds, when it is set map works in real-time mode and keeps only the latest points,
+	  *   maxLateness - seconds, points older than the latest point of object by more are dropped,
+	  *   extrapolationHorizon - seconds, in real-time mode objects keep moving from their latest points.
+	  *
+	  * Selecting object on the map or in the list triggers drilldown with group__* fields of the object,
+	  * its current position (point__lat__, point__lon__) and current playback time (point__ts__),
+	  * use them in <drilldown> as $row.group__id$ and so on.
+	  */
+	  var RouteMapVisualization = SplunkVisualizationBase.extend({
+
+	    initialize: function() {
+	      SplunkVisualizationBase.prototype.initialize.apply(this, arguments);
+	      this.$el.addClass('route-map-viz');
+	      this.mapObjectsView = null;
+	      this.settings = null;
+	      this.dataSignature = null;
+	    },
+
+	    getInitialDataParams: function() {
+	      return {
+	        outputMode: SplunkVisualizationBase.ROW_MAJOR_OUTPUT_MODE,
+	        count: maxResults
+	      };
+	    },
+
+	    formatData: function(data) {
+	      if (!data || !data.rows || data.rows.length === 0) {
+	        return { points: [], shapes: {}, truncated: false };
+	      }
+
+	      var fields = _.pluck(data.fields, 'name');
+	      if (!_.contains(fields, 'point__ts__') || !_.contains(fields, 'point__lat__') || !_.contains(fields, 'point__lon__')) {
+	        throw new SplunkVisualizationBase.VisualizationError(
+	          'Search results should have point__ts__, point__lat__ and point__lon__ fields, use routenormalize command.');
+	      }
+
+	      var results = _.map(data.rows, function(row) {
+	        var result = {};
+	        _.each(fields, function(field, index) {
+	          if (row[index] !== null && row[index] !== undefined) {
+	            result[field] = row[index];
+	          }
+	        });
+	        return result;
+	      });
+
+	      return {
+	        shapes: utils.toShapes(results),
+	        points: utils.toDataPoints(results),
+	        // Splunk does not tell whether there are more results, full page means there could be
+	        truncated: data.rows.length >= maxResults
+	      };
+	    },
+
+	    updateView: function(data, config) {
+	      var settings = readSettings(config, this.getPropertyNamespaceInfo().propertyNamespace);
+
+	      if (!this.settings || this.settings.mapType !== settings.mapType || this.settings.tileUrl !== settings.tileUrl ||
+	        this.settings.shapeField !== settings.shapeField) {
+	        if (settings.mapType === 'googlemap' && !window.GMaps) {
+	          loadGoogleMaps().done(this.invalidateUpdateView.bind(this));
+	          return;
+	        }
+	        this._createView(settings);
+	      }
+	      this._showTruncated(data.truncated);
+
+	      var viewModel = this.mapObjectsView.viewModel;
+	      var realtime = settings.timeWindow > 0;
+	      if (realtime !== viewModel.realtime()) {
+	        viewModel.removeAllObjects();
+	        this.dataSignature = null;
+	        viewModel.realtime(realtime);
+	      }
+	      viewModel.timeWindow(realtime ? settings.timeWindow : null);
+	      viewModel.collection.maxLateness(settings.maxLateness);
+	      viewModel.collection.interpolation(settings.interpolation);
+	      viewModel.collection.snapRoutes(settings.snapRoutes);
+	      if (viewModel.extrapolationHorizon() !== (settings.extrapolationHorizon || null)) {
+	        viewModel.extrapolationHorizon(settings.extrapolationHorizon || null);
+	      }
+
+	      if (viewModel.speed() !== settings.speed || viewModel.refreshRate() !== settings.refreshRate) {
+	        var isPlaying = viewModel.playbackMode();
+	        if (isPlaying) viewModel.pause();
+	        viewModel.speed(settings.speed);
+	        viewModel.refreshRate(settings.refreshRate);
+	        if (isPlaying) viewModel.play();
+	      }
+	      this.settings = settings;
+
+	      // updateView is invoked on every change of settings, points are rendered only when data has been changed.
+	      // In real-time mode view model adds only new points, historical results are rendered from scratch.
+	      var points = data.points;
+	      var signature = points.length === 0 ? '' :
+	        [points.length, _.first(points).point.ts, _.last(points).point.ts, JSON.stringify(_.last(points).obj)].join(':');
+	      if (signature !== this.dataSignature) {
+	        this.dataSignature = signature;
+	        if (!realtime) {
+	          viewModel.removeAllObjects();
+	        }
+	        if (!_.isEmpty(data.shapes)) {
+	          viewModel.collection.setShapes(data.shapes);
+	        }
+	        if (points.length > 0) {
+	          this.mapObjectsView.renderPoints(points);
+	        }
+	      }
+	    },
+
+	    reflow: function() {
+	      if (this.mapObjectsView) {
+	        this.mapObjectsView.viewModel.map.resize();
+	      }
+	    },
+
+	    remove: function() {
+	      this._removeView();
+	      return SplunkVisualizationBase.prototype.remove.apply(this, arguments);
+	    },
+
+	    _createView: function(settings) {
+	      this._removeView();
+	      this.$el.empty();
+
+	      this.mapObjectsView = new MapObjectsView({
+	        el: $('<div>').appendTo(this.el),
+	        view_template: viewTemplate,
+	        view_list_item_template: listItemTemplate,
+	        map_type: settings.mapType,
+	        tile_url: settings.tileUrl,
+	        shape_field: settings.shapeField
+	      }).render();
+	      this.listenTo(this.mapObjectsView.viewModel, 'select', this._onObjectSelected);
+	      this.dataSignature = null;
+	    },
+
+	    _showTruncated: function(truncated) {
+	      this.$el.children('[name="routes-truncated"]').remove();
+	      if (truncated) {
+	        $('<div name="routes-truncated" class="alert alert-warning">')
+	          .text('Only the first ' + maxResults + ' results are shown, use shorter time range or filter the search.')
+	          .prependTo(this.$el);
+	      }
+	    },
+
+	    _onObjectSelected: function(selection) {
+	      var data = {};
+	      _.each(selection.obj, function(value, field) {
+	        data['group__' + field] = value;
+	      });
+	      data.point__lat__ = selection.lat;
+	      data.point__lon__ = selection.lon;
+	      data.point__ts__ = selection.ts;
+
+	      this.drilldown({
+	        action: SplunkVisualizationBase.FIELD_VALUE_DRILLDOWN,
+	        data: data
+	      });
+	    },
+
+	    _removeView: function() {
+	      if (this.mapObjectsView) {
+	        this.stopListening(this.mapObjectsView.viewModel);
+	        this.mapObjectsView.viewModel.pause();
+	        this.mapObjectsView.viewModel.removeAllObjects();
+	        this.mapObjectsView.off();
+	        this.mapObjectsView = null;
+	      }
+	    }
+	  });
+
+	  return RouteMapVisualization;
+	}.apply(exports, __WEBPACK_AMD_DEFINE_ARRAY__), __WEBPACK_AMD_DEFINE_RESULT__ !== undefined && (module.exports = __WEBPACK_AMD_DEFINE_RESULT__));
+
+
+/***/ }),
+/* 1 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	var __WEBPACK_AMD_DEFINE_ARRAY__, __WEBPACK_AMD_DEFINE_RESULT__;/*!
+	 * jQuery JavaScript Library v2.1.4
+	 * http://jquery.com/
+	 *
+	 * Includes Sizzle.js
+	 * http://sizzlejs.com/
+	 *
+	 * Copyright 2005, 2014 jQuery Foundation, Inc. and other contributors
+	 * Released under the MIT license
+	 * http://jquery.org/license
+	 *
+	 * Date: 2015-04-28T16:01Z
+	 */
+
+	(function( global, factory ) {
+
+		if ( typeof module === "object" && typeof module.exports === "object" ) {
+			// For CommonJS and CommonJS-like environments where a proper `window`
+			// is present, execute the factory and get jQuery.
+			// For environments that do not have a `window` with a `document`
+			// (such as Node.js), expose a factory as module.exports.
+			// This accentuates the need for the creation of a real `window`.
+			// e.g. var jQuery = require("jquery")(window);
+			// See ticket #14549 for more info.
+			module.exports = global.document ?
+				factory( global, true ) :
+				function( w ) {
+					if ( !w.document ) {
+						throw new Error( "jQuery requires a window with a document" );
+					}
+					return factory( w );
+				};
+		} else {
+			factory( global );
+		}
+
+	// Pass this if window is not defined yet
+	}(typeof window !== "undefined" ? window : this, function( window, noGlobal ) {
+
+	// Support: Firefox 18+
+	// Can't be in strict mode, several libs including ASP.NET trace
+	// the stack via arguments.caller.callee and Firefox dies if
+	// you try to trace through "use strict" call chains. (#13335)
+	//
+
+	var arr = [];
+
+	var slice = arr.slice;
+
+	var concat = arr.concat;
+
+	var push = arr.push;
+
+	var indexOf = arr.indexOf;
+
+	var class2type = {};
+
+	var toString = class2type.toString;
+
+	var hasOwn = class2type.hasOwnProperty;
+
+	var support = {};
+
+
+
+	var
+		// Use the correct document accordingly with window argument (sandbox)
+		document = window.document,
+
+		version = "2.1.4",
+
+		// Define a local copy of jQuery
+		jQuery = function( selector, context ) {
+			// The jQuery object is actually just the init constructor 'enhanced'
+			// Need init if jQuery is called (just allow error to be thrown if not included)
+			return new jQuery.fn.init( selector, context );
+		},
+
+		// Support: Android<4.1
+		// Make sure we trim BOM and NBSP
+		rtrim = /^[\s\uFEFF\xA0]+|[\s\uFEFF\xA0]+$/g,
+
+		// Matches dashed string for camelizing
+		rmsPrefix = /^-ms-/,
+		rdashAlpha = /-([\da-z])/gi,
+
+		// Used by jQuery.camelCase as callback to replace()
+		fcamelCase = function( all, letter ) {
+			return letter.toUpperCase();
+		};
+
+	jQuery.fn = jQuery.prototype = {
+		// The current version of jQuery being used
+		jquery: version,
+
+		constructor: jQuery,
+
+		// Start with an empty selector
+		selector: "",
+
+		// The default length of a jQuery object is 0
+		length: 0,
+
+		toArray: function() {
+			return slice.call( this );
+		},
+
+		// Get the Nth element in the matched element set OR
+		// Get the whole matched element set as a clean array
+		get: function( num ) {
+			return num != null ?
+
+				// Return just the one element from the set
+				( num < 0 ? this[ num + this.length ] : this[ num ] ) :
+
+				// Return all the elements in a clean array
+				slice.call( this );
+		},
+
+		// Take an array of elements and push it onto the stack
+		// (returning the new matched element set)
+		pushStack: function( elems ) {
+
+			// Build a new jQuery matched element set
+			var ret = jQuery.merge( this.constructor(), elems );
+
+			// Add the old object onto the stack (as a reference)
+			ret.prevObject = this;
+			ret.context = this.context;
+
+			// Return the newly-formed element set
+			return ret;
+		},
+
+		// Execute a callback for every element in the matched set.
+		// (You can seed the arguments with an array of args, but this is
+		// only used internally.)
+		each: function( callback, args ) {
+			return jQuery.each( this, callback, args );
+		},
+
+		map: function( callback ) {
+			return this.pushStack( jQuery.map(this, function( elem, i ) {
+				return callback.call( elem, i, elem );
+			}));
+		},
+
+		slice: function() {
+			return this.pushStack( slice.apply( this, arguments ) );
+		},
+
+		first: function() {
+			return this.eq( 0 );
+		},
+
+		last: function() {
+			return this.eq( -1 );
+		},
+
+		eq: function( i ) {
+			var len = this.length,
+				j = +i + ( i < 0 ? len : 0 );
+			return this.pushStack( j >= 0 && j < len ? [ this[j] ] : [] );
+		},
+
+		end: function() {
+			return this.prevObject || this.constructor(null);
+		},
+
+		// For internal use only.
+		// Behaves like an Array's method, not like a jQuery method.
+		push: push,
+		sort: arr.sort,
+		splice: arr.splice
+	};
+
+	jQuery.extend = jQuery.fn.extend = function() {
+		var options, name, src, copy, copyIsArray, clone,
+			target = arguments[0] || {},
+			i = 1,
+			length = arguments.length,
+			deep = false;
+
+		// Handle a deep copy situation
+		if ( typeof target === "boolean" ) {
+			deep = target;
+
+			// Skip the boolean and the target
+			target = arguments[ i ] || {};
+			i++;
+		}
+
+		// Handle case when target is a string or something (possible in deep copy)
+		if ( typeof target !== "object" && !jQuery.isFunction(target) ) {
+			target = {};
+		}
+
+		// Extend jQuery itself if only one argument is passed
+		if ( i === length ) {
+			target = this;
+			i--;
+		}
+
+		for ( ; i < length; i++ ) {
+			// Only deal with non-null/undefined values
+			if ( (options = arguments[ i ]) != null ) {
+				// Extend the base object
+				for ( name in options ) {
+					src = target[ name ];
+					copy = options[ name ];
+
+					// Prevent never-ending loop
+					if ( target === copy ) {
+						continue;
+					}
+
+					// Recurse if we're merging plain objects or arrays
+					if ( deep && copy && ( jQuery.isPlainObject(copy) || (copyIsArray = jQuery.isArray(copy)) ) ) {
+						if ( copyIsArray ) {
+							copyIsArray = false;
+							clone = src && jQuery.isArray(src) ? src : [];
+
+						} else {
+							clone = src && jQuery.isPlainObject(src) ? src : {};
+						}
+
+						// Never move original objects, clone them
+						target[ name ] = jQuery.extend( deep, clone, copy );
+
+					// Don't bring in undefined values
+					} else if ( copy !== undefined ) {
+						target[ name ] = copy;
+					}
+				}
+			}
+		}
+
+		// Return the modified object
+		return target;
+	};
+
+	jQuery.extend({
+		// Unique for each copy of jQuery on the page
+		expando: "jQuery" + ( version + Math.random() ).replace( /\D/g, "" ),
+
+		// Assume jQuery is ready without the ready module
+		isReady: true,
+
+		error: function( msg ) {
+			throw new Error( msg );
+		},
+
+		noop: function() {},
+
+		isFunction: function( obj ) {
+			return jQuery.type(obj) === "function";
+		},
+
+		isArray: Array.isArray,
+
+		isWindow: function( obj ) {
+			return obj != null && obj === obj.window;
+		},
+
+		isNumeric: function( obj ) {
+			// parseFloat NaNs numeric-cast false positives (null|true|false|"")
+			// ...but misinterprets leading-number strings, particularly hex literals ("0x...")
+			// subtraction forces infinities to NaN
+			// adding 1 corrects loss of precision from parseFloat (#15100)
+			return !jQuery.isArray( obj ) && (obj - parseFloat( obj ) + 1) >= 0;
+		},
+
+		isPlainObject: function( obj ) {
+			// Not plain objects:
+			// - Any object or value whose internal [[Class]] property is not "[object Object]"
+			// - DOM nodes
+			// - window
+			if ( jQuery.type( obj ) !== "object" || obj.nodeType || jQuery.isWindow( obj ) ) {
+				return false;
+			}
+
+			if ( obj.constructor &&
+					!hasOwn.call( obj.constructor.prototype, "isPrototypeOf" ) ) {
+				return false;
+			}
+
+			// If the function hasn't returned already, we're confident that
+			// |obj| is a plain object, created by {} or constructed with new Object
+			return true;
+		},
+
+		isEmptyObject: function( obj ) {
+			var name;
+			for ( name in obj ) {
+				return false;
+			}
+			return true;
+		},
+
+		type: function( obj ) {
+			if ( obj == null ) {
+				return obj + "";
+			}
+			// Support: Android<4.0, iOS<6 (functionish RegExp)
+			return typeof obj === "object" || typeof obj === "function" ?
+				class2type[ toString.call(obj) ] || "object" :
+				typeof obj;
+		},
+
+		// Evaluates a script in a global context
+		globalEval: function( code ) {
+			var script,
+				indirect = eval;
+
+			code = jQuery.trim( code );
+
+			if ( code ) {
+				// If the code includes a valid, prologue position
+				// strict mode pragma, execute code by injecting a
+				// script tag into the document.
+				if ( code.indexOf("use strict") === 1 ) {
+					script = document.createElement("script");
+					script.text = code;
+					document.head.appendChild( script ).parentNode.removeChild( script );
+				} else {
+				// Otherwise, avoid the DOM node creation, insertion
+				// and removal by using an indirect global eval
+					indirect( code );
+				}
+			}
+		},
+
+		// Convert dashed to camelCase; used by the css and data modules
+		// Support: IE9-11+
+		// Microsoft forgot to hump their vendor prefix (#9572)
+		camelCase: function( string ) {
+			return string.replace( rmsPrefix, "ms-" ).replace( rdashAlpha, fcamelCase );
+		},
+
+		nodeName: function( elem, name ) {
+			return elem.nodeName && elem.nodeName.toLowerCase() === name.toLowerCase();
+		},
+
+		// args is for internal usage only
+		each: function( obj, callback, args ) {
+			var value,
+				i = 0,
+				length = obj.length,
+				isArray = isArraylike( obj );
+
+			if ( args ) {
+				if ( isArray ) {
+					for ( ; i < length; i++ ) {
+						value = callback.apply( obj[ i ], args );
+
+						if ( value === false ) {
+							break;
+						}
+					}
+				} else {
+					for ( i in obj ) {
+						value = callback.apply( obj[ i ], args );
+
+						if ( value === false ) {
+							break;
+						}
+					}
+				}
+
+			// A special, fast, case for the most common use of each
+			} else {
+				if ( isArray ) {
+					for ( ; i < length; i++ ) {
+						value = callback.call( obj[ i ], i, obj[ i ] );
+
+						if ( value === false ) {
+							break;
+						}
+					}
+				} else {
+					for ( i in obj ) {
+						value = callback.call( obj[ i ], i, obj[ i ] );
+
+						if ( value === false ) {
+							break;
+						}
+					}
+				}
+			}
+
+			return obj;
+		},
+
+		// Support: Android<4.1
+		trim: function( text ) {
+			return text == null ?
+				"" :
+				( text + "" ).replace( rtrim, "" );
+		},
+
+		// results is for internal usage only
+		makeArray: function( arr, results ) {
+			var ret = results || [];
+
+			if ( arr != null ) {
+				if ( isArraylike( Object(arr) ) ) {
+					jQuery.merge( ret,
+						typeof arr === "string" ?
+						[ arr ] : arr
+					);
+				} else {
+					push.call( ret, arr );
+				}
+			}
+
+			return ret;
+		},
+
+		inArray: function( elem, arr, i ) {
+			return arr == null ? -1 : indexOf.call( arr, elem, i );
+		},
+
+		merge: function( first, second ) {
+			var len = +second.length,
+				j = 0,
+				i = first.length;
+
+			for ( ; j < len; j++ ) {
+				first[ i++ ] = second[ j ];
+			}
+
+			first.length = i;
+
+			return first;
+		},
+
+		grep: function( elems, callback, invert ) {
+			var callbackInverse,
+				matches = [],
+				i = 0,
+				length = elems.length,
+				callbackExpect = !invert;
+
+			// Go through the array, only saving the items
+			// that pass the validator function
+			for ( ; i < length; i++ ) {
+				callbackInverse = !callback( elems[ i ], i );
+				if ( callbackInverse !== callbackExpect ) {
+					matches.push( elems[ i ] );
+				}
+			}
+
+			return matches;
+		},
+
+		// arg is for internal usage only
+		map: function( elems, callback, arg ) {
+			var value,
+				i = 0,
+				length = elems.length,
+				isArray = isArraylike( elems ),
+				ret = [];
+
+			// Go through the array, translating each of the items to their new values
+			if ( isArray ) {
+				for ( ; i < length; i++ ) {
+					value = callback( elems[ i ], i, arg );
+
+					if ( value != null ) {
+						ret.push( value );
+					}
+				}
+
+			// Go through every key on the object,
+			} else {
+				for ( i in elems ) {
+					value = callback( elems[ i ], i, arg );
+
+					if ( value != null ) {
+						ret.push( value );
+					}
+				}
+			}
+
+			// Flatten any nested arrays
+			return concat.apply( [], ret );
+		},
+
+		// A global GUID counter for objects
+		guid: 1,
+
+		// Bind a function to a context, optionally partially applying any
+		// arguments.
+		proxy: function( fn, context ) {
+			var tmp, args, proxy;
+
+			if ( typeof context === "string" ) {
+				tmp = fn[ context ];
+				context = fn;
+				fn = tmp;
+			}
+
+			// Quick check to determine if target is callable, in the spec
+			// this throws a TypeError, but we will just return undefined.
+			if ( !jQuery.isFunction( fn ) ) {
+				return undefined;
+			}
+
+			// Simulated bind
+			args = slice.call( arguments, 2 );
+			proxy = function() {
+				return fn.apply( context || this, args.concat( slice.call( arguments ) ) );
+			};
+
+			// Set the guid of unique handler to the same of original handler, so it can be removed
+			proxy.guid = fn.guid = fn.guid || jQuery.guid++;
+
+			return proxy;
+		},
+
+		now: Date.now,
+
+		// jQuery.support is not used in Core but other projects attach their
+		// properties to it so it needs to exist.
+		support: support
+	});
+
+	// Populate the class2type map
+	jQuery.each("Boolean Number String Function Array Date RegExp Object Error".split(" "), function(i, name) {
+		class2type[ "[object " + name + "]" ] = name.toLowerCase();
+	});
+
+	function isArraylike( obj ) {
+
+		// Support: iOS 8.2 (not reproducible in simulator)
+		// `in` check used to prevent JIT error (gh-2145)
+		// hasOwn isn't used here due to false negatives
+		// regarding Nodelist length in IE
+		var length = "length" in obj && obj.length,
+			type = jQuery.type( obj );
+
+		if ( type === "function" || jQuery.isWindow( obj ) ) {
+			return false;
+		}
+
+		if ( obj.nodeType === 1 && length ) {
+			return true;
+		}
+
+		return type === "array" || length === 0 ||
+			typeof length === "number" && length > 0 && ( length - 1 ) in obj;
+	}
+	var Sizzle =
+	/*!
+	 * Sizzle CSS Selector Engine v2.2.0-pre
+	 * http://sizzlejs.com/
+	 *
+	 * Copyright 2008, 2014 jQuery Foundation, Inc. and other contributors
+	 * Released under the MIT license
+	 * http://jquery.org/license
+	 *
+	 * Date: 2014-12-16
+	 */
+	(function( window ) {
+
+	var i,
+		support,
+		Expr,
+		getText,
+		isXML,
+		tokenize,
+		compile,
+		select,
+		outermostContext,
+		sortInput,
+		hasDuplicate,
+
+		// Local document vars
+		setDocument,
+		document,
+		docElem,
+		documentIsHTML,
+		rbuggyQSA,
+		rbuggyMatches,
+		matches,
+		contains,
+
+		// Instance-specific data
+		expando = "sizzle" + 1 * new Date(),
+		preferredDoc = window.document,
+		dirruns = 0,
+		done = 0,
+		classCache = createCache(),
+		tokenCache = createCache(),
+		compilerCache = createCache(),
+		sortOrder = function( a, b ) {
+			if ( a === b ) {
+				hasDuplicate = true;
+			}
+			return 0;
+		},
+
+		// General-purpose constants
+		MAX_NEGATIVE = 1 << 31,
+
+		// Instance methods
+		hasOwn = ({}).hasOwnProperty,
+		arr = [],
+		pop = arr.pop,
+		push_native = arr.push,
+		push = arr.push,
+		slice = arr.slice,
+		// Use a stripped-down indexOf as it's faster than native
+		// http://jsperf.com/thor-indexof-vs-for/5
+		indexOf = function( list, elem ) {
+			var i = 0,
+				len = list.length;
+			for ( ; i < len; i++ ) {
+				if ( list[i] === elem ) {
+					return i;
+				}
+			}
+			return -1;
+		},
+
+		booleans = "checked|selected|async|autofocus|autoplay|controls|defer|disabled|hidden|ismap|loop|multiple|open|readonly|required|scoped",
+
+		// Regular expressions
+
+		// Whitespace characters http://www.w3.org/TR/css3-selectors/#whitespace
+		whitespace = "[\\x20\\t\\r\\n\\f]",
+		// http://www.w3.org/TR/css3-syntax/#characters
+		characterEncoding = "(?:\\\\.|[\\w-]|[^\\x00-\\xa0])+",
+
+		// Loosely modeled on CSS identifier characters
+		// An unquoted value should be a CSS identifier http://www.w3.org/TR/css3-selectors/#attribute-selectors
+		// Proper syntax: http://www.w3.org/TR/CSS21/syndata.html#value-def-identifier
+		identifier = characterEncoding.replace( "w", "w#" ),
+
+		// Attribute selectors: http://www.w3.org/TR/selectors/#attribute-selectors
+		attributes = "\\[" + whitespace + "*(" + characterEncoding + ")(?:" + whitespace +
+			// Operator (capture 2)
+			"*([*^$|!~]?=)" + whitespace +
+			// "Attribute values must be CSS identifiers [capture 5] or strings [capture 3 or capture 4]"
+			"*(?:'((?:\\\\.|[^\\\\'])*)'|\"((?:\\\\.|[^\\\\\"])*)\"|(" + identifier + "))|)" + whitespace +
+			"*\\]",
+
+		pseudos = ":(" + characterEncoding + ")(?:\\((" +
+			// To reduce the number of selectors needing tokenize in the preFilter, prefer arguments:
+			// 1. quoted (capture 3; capture 4 or capture 5)
+			"('((?:\\\\.|[^\\\\'])*)'|\"((?:\\\\.|[^\\\\\"])*)\")|" +
+			// 2. simple (capture 6)
+			"((?:\\\\.|[^\\\\()[\\]]|" + attributes + ")*)|" +
+			// 3. anything else (capture 2)
+			".*" +
+			")\\)|)",
+
+		// Leading and non-escaped trailing whitespace, capturing some non-whitespace characters preceding the latter
+		rwhitespace = new RegExp( whitespace + "+", "g" ),
+		rtrim = new RegExp( "^" + whitespace + "+|((?:^|[^\\\\])(?:\\\\.)*)" + whitespace + "+$", "g" ),
+
+		rcomma = new RegExp( "^" + whitespace + "*," + whitespace + "*" ),
+		rcombinators = new RegExp( "^" + whitespace + "*([>+~]|" + whitespace + ")" + whitespace + "*" ),
+
+		rattributeQuotes = new RegExp( "=" + whitespace + "*([^\\]'\"]*?)" + whitespace + "*\\]", "g" ),
+
+		rpseudo = new RegExp( pseudos ),
+		ridentifier = new RegExp( "^" + identifier + "$" ),
+
+		matchExpr = {
+			"ID": new RegExp( "^#(" + characterEncoding + ")" ),
+			"CLASS": new RegExp( "^\\.(" + characterEncoding + ")" ),
+			"TAG": new RegExp( "^(" + characterEncoding.replace( "w", "w*" ) + ")" ),
+			"ATTR": new RegExp( "^" + attributes ),
+			"PSEUDO": new RegExp( "^" + pseudos ),
+			"CHILD": new RegExp( "^:(only|first|last|nth|nth-last)-(child|of-type)(?:\\(" + whitespace +
+				"*(even|odd|(([+-]|)(\\d*)n|)" + whitespace + "*(?:([+-]|)" + whitespace +
+				"*(\\d+)|))" + whitespace + "*\\)|)", "i" ),
+			"bool": new RegExp( "^(?:" + booleans + ")$", "i" ),
+			// For use in libraries implementing .is()
+			// We use this for POS matching in `select`
+			"needsContext": new RegExp( "^" + whitespace + "*[>+~]|:(even|odd|eq|gt|lt|nth|first|last)(?:\\(" +
+				whitespace + "*((?:-\\d)?\\d*)" + whitespace + "*\\)|)(?=[^-]|$)", "i" )
+		},
+
+		rinputs = /^(?:input|select|textarea|button)$/i,
+		rheader = /^h\d$/i,
+
+		rnative = /^[^{]+\{\s*\[native \w/,
+
+		// Easily-parseable/retrievable ID or TAG or CLASS selectors
+		rquickExpr = /^(?:#([\w-]+)|(\w+)|\.([\w-]+))$/,
+
+		rsibling = /[+~]/,
+		rescape = /'|\\/g,
+
+		// CSS escapes http://www.w3.org/TR/CSS21/syndata.html#escaped-characters
+		runescape = new RegExp( "\\\\([\\da-f]{1,6}" + whitespace + "?|(" + whitespace + ")|.)", "ig" ),
+		funescape = function( _, escaped, escapedWhitespace ) {
+			var high = "0x" + escaped - 0x10000;
+			// NaN means non-codepoint
+			// Support: Firefox<24
+			// Workaround erroneous numeric interpretation of +"0x"
+			return high !== high || escapedWhitespace ?
+				escaped :
+				high < 0 ?
+					// BMP codepoint
+					String.fromCharCode( high + 0x10000 ) :
+					// Supplemental Plane codepoint (surrogate pair)
+					String.fromCharCode( high >> 10 | 0xD800, high & 0x3FF | 0xDC00 );
+		},
+
+		// Used for iframes
+		// See setDocument()
+		// Removing the function wrapper causes a "Permission Denied"
+		// error in IE
+		unloadHandler = function() {
+			setDocument();
+		};
+
+	// Optimize for push.apply( _, NodeList )
+	try {
+		push.apply(
+			(arr = slice.call( preferredDoc.childNodes )),
+			preferredDoc.childNodes
+		);
+		// Support: Android<4.0
+		// Detect silently failing push.apply
+		arr[ preferredDoc.childNodes.length ].nodeType;
+	} catch ( e ) {
+		push = { apply: arr.length ?
+
+			// Leverage slice if possible
+			function( target, els ) {
+				push_native.apply( target, slice.call(els) );
+			} :
+
+			// Support: IE<9
+			// Otherwise append directly
+			function( target, els ) {
+				var j = target.length,
+					i = 0;
+				// Can't trust NodeList.length
+				while ( (target[j++] = els[i++]) ) {}
+				target.length = j - 1;
+			}
+		};
+	}
+
+	function Sizzle( selector, context, results, seed ) {
+		var match, elem, m, nodeType,
+			// QSA vars
+			i, groups, old, nid, newContext, newSelector;
+
+		if ( ( context ? context.ownerDocument || context : preferredDoc ) !== document ) {
+			setDocument( context );
+		}
+
+		context = context || document;
+		results = results || [];
+		nodeType = context.nodeType;
+
+		if ( typeof selector !== "string" || !selector ||
+			nodeType !== 1 && nodeType !== 9 && nodeType !== 11 ) {
+
+			return results;
+		}
+
+		if ( !seed && documentIsHTML ) {
+
+			// Try to shortcut find operations when possible (e.g., not under DocumentFragment)
+			if ( nodeType !== 11 && (match = rquickExpr.exec( selector )) ) {
+				// Speed-up: Sizzle("#ID")
+				if ( (m = match[1]) ) {
+					if ( nodeType === 9 ) {
+						elem = context.getElementById( m );
+						// Check parentNode to catch when Blackberry 4.6 returns
+						// nodes that are no longer in the document (jQuery #6963)
+						if ( elem && elem.parentNode ) {
+							// Handle the case where IE, Opera, and Webkit return items
+							// by name instead of ID
+							if ( elem.id === m ) {
+								results.push( elem );
+								return results;
+							}
+						} else {
+							return results;
+						}
+					} else {
+						// Context is not a document
+						if ( context.ownerDocument && (elem = context.ownerDocument.getElementById( m )) &&
+							contains( context, elem ) && elem.id === m ) {
+							results.push( elem );
+							return results;
+						}
+					}
+
+				// Speed-up: Sizzle("TAG")
+				} else if ( match[2] ) {
+					push.apply( results, context.getElementsByTagName( selector ) );
+					return results;
+
+				// Speed-up: Sizzle(".CLASS")
+				} else if ( (m = match[3]) && support.getElementsByClassName ) {
+					push.apply( results, context.getElementsByClassName( m ) );
+					return results;
+				}
+			}
+
+			// QSA path
+			if ( support.qsa && (!rbuggyQSA || !rbuggyQSA.test( selector )) ) {
+				nid = old = expando;
+				newContext = context;
+				newSelector = nodeType !== 1 && selector;
+
+				// qSA works strangely on Element-rooted queries
+				// We can work around this by specifying an extra ID on the root
+				// and working up from there (Thanks to Andrew Dupont for the technique)
+				// IE 8 doesn't work on object elements
+				if ( nodeType === 1 && context.nodeName.toLowerCase() !== "object" ) {
+					groups = tokenize( selector );
+
+					if ( (old = context.getAttribute("id")) ) {
+						nid = old.replace( rescape, "\\$&" );
+					} else {
+						context.setAttribute( "id", nid );
+					}
+					nid = "[id='" + nid + "'] ";
+
+					i = groups.length;
+					while ( i-- ) {
+						groups[i] = nid + toSelector( groups[i] );
+					}
+					newContext = rsibling.test( selector ) && testContext( context.parentNode ) || context;
+					newSelector = groups.join(",");
+				}
+
+				if ( newSelector ) {
+					try {
+						push.apply( results,
+							newContext.querySelectorAll( newSelector )
+						);
+						return results;
+					} catch(qsaError) {
+					} finally {
+						if ( !old ) {
+							context.removeAttribute("id");
+						}
+					}
+				}
+			}
+		}
+
+		// All others
+		return select( selector.replace( rtrim, "$1" ), context, results, seed );
+	}
+
+	/**
+	 * Create key-value caches of limited size
+	 * @returns {Function(string, Object)} Returns the Object data after storing it on itself with
+	 *	property name the (space-suffixed) string and (if the cache is larger than Expr.cacheLength)
+	 *	deleting the oldest entry
+	 */
+	function createCache() {
+		var keys = [];
+
+		function cache( key, value ) {
+			// Use (key + " ") to avoid collision with native prototype properties (see Issue #157)
+			if ( keys.push( key + " " ) > Expr.cacheLength ) {
+				// Only keep the most recent entries
+				delete cache[ keys.shift() ];
+			}
+			return (cache[ key + " " ] = value);
+		}
+		return cache;
+	}
+
+	/**
+	 * Mark a function for special use by Sizzle
+	 * @param {Function} fn The function to mark
+	 */
+	function markFunction( fn ) {
+		fn[ expando ] = true;
+		return fn;
+	}
+
+	/**
+	 * Support testing using an element
+	 * @param {Function} fn Passed the created div and expects a boolean result
+	 */
+	function assert( fn ) {
+		var div = document.createElement("div");
+
+		try {
+			return !!fn( div );
+		} catch (e) {
+			return false;
+		} finally {
+			// Remove from its parent by default
+			if ( div.parentNode ) {
+				div.parentNode.removeChild( div );
+			}
+			// release memory in IE
+			div = null;
+		}
+	}
+
+	/**
+	 * Adds the same handler for all of the specified attrs
+	 * @param {String} attrs Pipe-separated list of attributes
+	 * @param {Function} handler The method that will be applied
+	 */
+	function addHandle( attrs, handler ) {
+		var arr = attrs.split("|"),
+			i = attrs.length;
+
+		while ( i-- ) {
+			Expr.attrHandle[ arr[i] ] = handler;
+		}
+	}
+
+	/**
+	 * Checks document order of two siblings
+	 * @param {Element} a
+	 * @param {Element} b
+	 * @returns {Number} Returns less than 0 if a precedes b, greater than 0 if a follows b
+	 */
+	function siblingCheck( a, b ) {
+		var cur = b && a,
+			diff = cur && a.nodeType === 1 && b.nodeType === 1 &&
+				( ~b.sourceIndex || MAX_NEGATIVE ) -
+				( ~a.sourceIndex || MAX_NEGATIVE );
+
+		// Use IE sourceIndex if available on both nodes
+		if ( diff ) {
+			return diff;
+		}
+
+		// Check if b follows a
+		if ( cur ) {
+			while ( (cur = cur.nextSibling) ) {
+				if ( cur === b ) {
+					return -1;
+				}
+			}
+		}
+
+		return a ? 1 : -1;
+	}
+
+	/**
+	 * Returns a function to use in pseudos for input types
+	 * @param {String} type
+	 */
+	function createInputPseudo( type ) {
+		return function( elem ) {
+			var name = elem.nodeName.toLowerCase();
+			return name === "input" && elem.type === type;
+		};
+	}
+
+	/**
+	 * Returns a function to use in pseudos for buttons
+	 * @param {String} type
+	 */
+	function createButtonPseudo( type ) {
+		return function( elem ) {
+			var name = elem.nodeName.toLowerCase();
+			return (name === "input" || name === "button") && elem.type === type;
+		};
+	}
+
+	/**
+	 * Returns a function to use in pseudos for positionals
+	 * @param {Function} fn
+	 */
+	function createPositionalPseudo( fn ) {
+		return markFunction(function( argument ) {
+			argument = +argument;
+			return markFunction(function( seed, matches ) {
+				var j,
+					matchIndexes = fn( [], seed.length, argument ),
+					i = matchIndexes.length;
+
+				// Match elements found at the specified indexes
+				while ( i-- ) {
+					if ( seed[ (j = matchIndexes[i]) ] ) {
+						seed[j] = !(matches[j] = seed[j]);
+					}
+				}
+			});
+		});
+	}
+
+	/**
+	 * Checks a node for validity as a Sizzle context
+	 * @param {Element|Object=} context
+	 * @returns {Element|Object|Boolean} The input node if acceptable, otherwise a falsy value
+	 */
+	function testContext( context ) {
+		return context && typeof context.getElementsByTagName !== "undefined" && context;
+	}
+
+	// Expose support vars for convenience
+	support = Sizzle.support = {};
+
+	/**
+	 * Detects XML nodes
+	 * @param {Element|Object} elem An element or a document
+	 * @returns {Boolean} True iff elem is a non-HTML XML node
+	 */
+	isXML = Sizzle.isXML = function( elem ) {
+		// documentElement is verified for cases where it doesn't yet exist
+		// (such as loading iframes in IE - #4833)
+		var documentElement = elem && (elem.ownerDocument || elem).documentElement;
+		return documentElement ? documentElement.nodeName !== "HTML" : false;
+	};
+
+	/**
+	 * Sets document-related variables once based on the current document
+	 * @param {Element|Object} [doc] An element or document object to use to set the document
+	 * @returns {Object} Returns the current document
+	 */
+	setDocument = Sizzle.setDocument = function( node ) {
+		var hasCompare, parent,
+			doc = node ? node.ownerDocument || node : preferredDoc;
+
+		// If no document and documentElement is available, return
+		if ( doc === document || doc.nodeType !== 9 || !doc.documentElement ) {
+			return document;
+		}
+
+		// Set our document
+		document = doc;
+		docElem = doc.documentElement;
+		parent = doc.defaultView;
+
+		// Support: IE>8
+		// If iframe document is assigned to "document" variable and if iframe has been reloaded,
+		// IE will throw "permission denied" error when accessing "document" variable, see jQuery #13936
+		// IE6-8 do not support the defaultView property so parent will be undefined
+		if ( parent && parent !== parent.top ) {
+			// IE11 does not have attachEvent, so all must suffer
+			if ( parent.addEventListener ) {
+				parent.addEventListener( "unload", unloadHandler, false );
+			} else if ( parent.attachEvent ) {
+				parent.attachEvent( "onunload", unloadHandler );
+			}
+		}
+
+		/* Support tests
+		---------------------------------------------------------------------- */
+		documentIsHTML = !isXML( doc );
+
+		/* Attributes
+		---------------------------------------------------------------------- */
+
+		// Support: IE<8
+		// Verify that getAttribute really returns attributes and not properties
+		// (excepting IE8 booleans)
+		support.attributes = assert(function( div ) {
+			div.className = "i";
+			return !div.getAttribute("className");
+		});
+
+		/* getElement(s)By*
+		---------------------------------------------------------------------- */
+
+		// Check if getElementsByTagName("*") returns only elements
+		support.getElementsByTagName = assert(function( div ) {
+			div.appendChild( doc.createComment("") );
+			return !div.getElementsByTagName("*").length;
+		});
+
+		// Support: IE<9
+		support.getElementsByClassName = rnative.test( doc.getElementsByClassName );
+
+		// Support: IE<10
+		// Check if getElementById returns elements by name
+		// The broken getElementById methods don't pick up programatically-set names,
+		// so use a roundabout getElementsByName test
+		support.getById = assert(function( div ) {
+			docElem.appendChild( div ).id = expando;
+			return !doc.getElementsByName || !doc.getElementsByName( expando ).length;
+		});
+
+		// ID find and filter
+		if ( support.getById ) {
+			Expr.find["ID"] = function( id, context ) {
+				if ( typeof context.getElementById !== "undefined" && documentIsHTML ) {
+					var m = context.getElementById( id );
+					// Check parentNode to catch when Blackberry 4.6 returns
+					// nodes that are no longer in the document #6963
+					return m && m.parentNode ? [ m ] : [];
+				}
+			};
+			Expr.filter["ID"] = function( id ) {
+				var attrId = id.replace( runescape, funescape );
+				return function( elem ) {
+					return elem.getAttribute("id") === attrId;
+				};
+			};
+		} else {
+			// Support: IE6/7
+			// getElementById is not reliable as a find shortcut
+			delete Expr.find["ID"];
+
+			Expr.filter["ID"] =  function( id ) {
+				var attrId = id.replace( runescape, funescape );
+				return function( elem ) {
+					var node = typeof elem.getAttributeNode !== "undefined" && elem.getAttributeNode("id");
+					return node && node.value === attrId;
+				};
+			};
+		}
+
+		// Tag
+		Expr.find["TAG"] = support.getElementsByTagName ?
+			function( tag, context ) {
+				if ( typeof context.getElementsByTagName !== "undefined" ) {
+					return context.getElementsByTagName( tag );
+
+				// DocumentFragment nodes don't have gEBTN
+				} else if ( support.qsa ) {
+					return context.querySelectorAll( tag );
+				}
+			} :
+
+			function( tag, context ) {
+				var elem,
+					tmp = [],
+					i = 0,
+					// By happy coincidence, a (broken) gEBTN appears on DocumentFragment nodes too
+					results = context.getElementsByTagName( tag );
+
+				// Filter out possible comments
+				if ( tag === "*" ) {
+					while ( (elem = results[i++]) ) {
+						if ( elem.nodeType === 1 ) {
+							tmp.push( elem );
+						}
+					}
+
+					return tmp;
+				}
+				return results;
+			};
+
+		// Class
+		Expr.find["CLASS"] = support.getElementsByClassName && function( className, context ) {
+			if ( documentIsHTML ) {
+				return context.getElementsByClassName( className );
+			}
+		};
+
+		/* QSA/matchesSelector
+		---------------------------------------------------------------------- */
+
+		// QSA and matchesSelector support
+
+		// matchesSelector(:active) reports false when true (IE9/Opera 11.5)
+		rbuggyMatches = [];
+
+		// qSa(:focus) reports false when true (Chrome 21)
+		// We allow this because of a bug in IE8/9 that throws an error
+		// whenever `document.activeElement` is accessed on an iframe
+		// So, we allow :focus to pass through QSA all the time to avoid the IE error
+		// See http://bugs.jquery.com/ticket/13378
+		rbuggyQSA = [];
+
+		if ( (support.qsa = rnative.test( doc.querySelectorAll )) ) {
+			// Build QSA regex
+			// Regex strategy adopted from Diego Perini
+			assert(function( div ) {
+				// Select is set to empty string on purpose
+				// This is to test IE's treatment of not explicitly
+				// setting a boolean content attribute,
+				// since its presence should be enough
+				// http://bugs.jquery.com/ticket/12359
+				docElem.appendChild( div ).innerHTML = "<a id='" + expando + "'></a>" +
+					"<select id='" + expando + "-\f]' msallowcapture=''>" +
+					"<option selected=''></option></select>";
+
+				// Support: IE8, Opera 11-12.16
+				// Nothing should be selected when empty strings follow ^= or $= or *=
+				// The test attribute must be unknown in Opera but "safe" for WinRT
+				// http://msdn.microsoft.com/en-us/library/ie/hh465388.aspx#attribute_section
+				if ( div.querySelectorAll("[msallowcapture^='']").length ) {
+					rbuggyQSA.push( "[*^$]=" + whitespace + "*(?:''|\"\")" );
+				}
+
+				// Support: IE8
+				// Boolean attributes and "value" are not treated correctly
+				if ( !div.querySelectorAll("[selected]").length ) {
+					rbuggyQSA.push( "\\[" + whitespace + "*(?:value|" + booleans + ")" );
+				}
+
+				// Support: Chrome<29, Android<4.2+, Safari<7.0+, iOS<7.0+, PhantomJS<1.9.7+
+				if ( !div.querySelectorAll( "[id~=" + expando + "-]" ).length ) {
+					rbuggyQSA.push("~=");
+				}
+
+				// Webkit/Opera - :checked should return selected option elements
+				// http://www.w3.org/TR/2011/REC-css3-selectors-20110929/#checked
+				// IE8 throws error here and will not see later tests
+				if ( !div.querySelectorAll(":checked").length ) {
+					rbuggyQSA.push(":checked");
+				}
+
+				// Support: Safari 8+, iOS 8+
+				// https://bugs.webkit.org/show_bug.cgi?id=136851
+				// In-page `selector#id sibing-combinator selector` fails
+				if ( !div.querySelectorAll( "a#" + expando + "+*" ).length ) {
+					rbuggyQSA.push(".#.+[+~]");
+				}
+			});
+
+			assert(function( div ) {
+				// Support: Windows 8 Native Apps
+				// The type and name attributes are restricted during .innerHTML assignment
+				var input = doc.createElement("input");
+				input.setAttribute( "type", "hidden" );
+				div.appendChild( input ).setAttribute( "name", "D" );
+
+				// Support: IE8
+				// Enforce case-sensitivity of name attribute
+				if ( div.querySelectorAll("[name=d]").length ) {
+					rbuggyQSA.push( "name" + whitespace + "*[*^$|!~]?=" );
+				}
+
+				// FF 3.5 - :enabled/:disabled and hidden elements (hidden elements are still enabled)
+				// IE8 throws error here and will not see later tests
+				if ( !div.querySelectorAll(":enabled").length ) {
+					rbuggyQSA.push( ":enabled", ":disabled" );
+				}
+
+				// Opera 10-11 does not throw on post-comma invalid pseudos
+				div.querySelectorAll("*,:x");
+				rbuggyQSA.push(",.*:");
+			});
+		}
+
+		if ( (support.matchesSelector = rnative.test( (matches = docElem.matches ||
+			docElem.webkitMatchesSelector ||
+			docElem.mozMatchesSelector ||
+			docElem.oMatchesSelector ||
+			docElem.msMatchesSelector) )) ) {
+
+			assert(function( div ) {
+				// Check to see if it's possible to do matchesSelector
+				// on a disconnected node (IE 9)
+				support.disconnectedMatch = matches.call( div, "div" );
+
+				// This should fail with an exception
+				// Gecko does not error, returns false instead
+				matches.call( div, "[s!='']:x" );
+				rbuggyMatches.push( "!=", pseudos );
+			});
+		}
+
+		rbuggyQSA = rbuggyQSA.length && new RegExp( rbuggyQSA.join("|") );
+		rbuggyMatches = rbuggyMatches.length && new RegExp( rbuggyMatches.join("|") );
+
+		/* Contains
+		---------------------------------------------------------------------- */
+		hasCompare = rnative.test( docElem.compareDocumentPosition );
+
+		// Element contains another
+		// Purposefully does not implement inclusive descendent
+		// As in, an element does not contain itself
+		contains = hasCompare || rnative.test( docElem.contains ) ?
+			function( a, b ) {
+				var adown = a.nodeType === 9 ? a.documentElement : a,
+					bup = b && b.parentNode;
+				return a === bup || !!( bup && bup.nodeType === 1 && (
+					adown.contains ?
+						adown.contains( bup ) :
+						a.compareDocumentPosition && a.compareDocumentPosition( bup ) & 16
+				));
+			} :
+			function( a, b ) {
+				if ( b ) {
+					while ( (b = b.parentNode) ) {
+						if ( b === a ) {
+							return true;
+						}
+					}
+				}
+				return false;
+			};
+
+		/* Sorting
+		---------------------------------------------------------------------- */
+
+		// Document order sorting
+		sortOrder = hasCompare ?
+		function( a, b ) {
+
+			// Flag for duplicate removal
+			if ( a === b ) {
+				hasDuplicate = true;
+				return 0;
+			}
+
+			// Sort on method existence if only one input has compareDocumentPosition
+			var compare = !a.compareDocumentPosition - !b.compareDocumentPosition;
+			if ( compare ) {
+				return compare;
+			}
+
+			// Calculate position if both inputs belong to the same document
+			compare = ( a.ownerDocument || a ) === ( b.ownerDocument || b ) ?
+				a.compareDocumentPosition( b ) :
+
+				// Otherwise we know they are disconnected
+				1;
+
+			// Disconnected nodes
+			if ( compare & 1 ||
+				(!support.sortDetached && b.compareDocumentPosition( a ) === compare) ) {
+
+				// Choose the first element that is related to our preferred document
+				if ( a === doc || a.ownerDocument === preferredDoc && contains(preferredDoc, a) ) {
+					return -1;
+				}
+				if ( b === doc || b.ownerDocument === preferredDoc && contains(preferredDoc, b) ) {
+					return 1;
+				}
+
+				// Maintain original order
+				return sortInput ?
+					( indexOf( sortInput, a ) - indexOf( sortInput, b ) ) :
+					0;
+			}
+
+			return compare & 4 ? -1 : 1;
+		} :
+		function( a, b ) {
+			// Exit early if the nodes are identical
+			if ( a === b ) {
+				hasDuplicate = true;
+				return 0;
+			}
+
+			var cur,
+				i = 0,
+				aup = a.parentNode,
+				bup = b.parentNode,
+				ap = [ a ],
+				bp = [ b ];
+
+			// Parentless nodes are either documents or disconnected
+			if ( !aup || !bup ) {
+				return a === doc ? -1 :
+					b === doc ? 1 :
+					aup ? -1 :
+					bup ? 1 :
+					sortInput ?
+					( indexOf( sortInput, a ) - indexOf( sortInput, b ) ) :
+					0;
+
+			// If the nodes are siblings, we can do a quick check
+			} else if ( aup === bup ) {
+				return siblingCheck( a, b );
+			}
+
+			// Otherwise we need full lists of their ancestors for comparison
+			cur = a;
+			while ( (cur = cur.parentNode) ) {
+				ap.unshift( cur );
+			}
+			cur = b;
+			while ( (cur = cur.parentNode) ) {
+				bp.unshift( cur );
+			}
+
+			// Walk down the tree looking for a discrepancy
+			while ( ap[i] === bp[i] ) {
+				i++;
+			}
+
+			return i ?
+				// Do a sibling check if the nodes have a common ancestor
+				siblingCheck( ap[i], bp[i] ) :
+
+				// Otherwise nodes in our document sort first
+				ap[i] === preferredDoc ? -1 :
+				bp[i] === preferredDoc ? 1 :
+				0;
+		};
+
+		return doc;
+	};
+
+	Sizzle.matches = function( expr, elements ) {
+		return Sizzle( expr, null, null, elements );
+	};
+
+	Sizzle.matchesSelector = function( elem, expr ) {
+		// Set document vars if needed
+		if ( ( elem.ownerDocument || elem ) !== document ) {
+			setDocument( elem );
+		}
+
+		// Make sure that attribute selectors are quoted
+		expr = expr.replace( rattributeQuotes, "='$1']" );
+
+		if ( support.matchesSelector && documentIsHTML &&
+			( !rbuggyMatches || !rbuggyMatches.test( expr ) ) &&
+			( !rbuggyQSA     || !rbuggyQSA.test( expr ) ) ) {
+
+			try {
+				var ret = matches.call( elem, expr );
+
+				// IE 9's matchesSelector returns false on disconnected nodes
+				if ( ret || support.disconnectedMatch ||
+						// As well, disconnected nodes are said to be in a document
+						// fragment in IE 9
+						elem.document && elem.document.nodeType !== 11 ) {
+					return ret;
+				}
+			} catch (e) {}
+		}
+
+		return Sizzle( expr, document, null, [ elem ] ).length > 0;
+	};
+
+	Sizzle.contains = function( context, elem ) {
+		// Set document vars if needed
+		if ( ( context.ownerDocument || context ) !== document ) {
+			setDocument( context );
+		}
+		return contains( context, elem );
+	};
+
+	Sizzle.attr = function( elem, name ) {
+		// Set document vars if needed
+		if ( ( elem.ownerDocument || elem ) !== document ) {
+			setDocument( elem );
+		}
+
+		var fn = Expr.attrHandle[ name.toLowerCase() ],
+			// Don't get fooled by Object.prototype properties (jQuery #13807)
+			val = fn && hasOwn.call( Expr.attrHandle, name.toLowerCase() ) ?
+				fn( elem, name, !documentIsHTML ) :
+				undefined;
+
+		return val !== undefined ?
+			val :
+			support.attributes || !documentIsHTML ?
+				elem.getAttribute( name ) :
+				(val = elem.getAttributeNode(name)) && val.specified ?
+					val.value :
+					null;
+	};
+
+	Sizzle.error = function( msg ) {
+		throw new Error( "Syntax error, unrecognized expression: " + msg );
+	};
+
+	/**
+	 * Document sorting and removing duplicates
+	 * @param {ArrayLike} results
+	 */
+	Sizzle.uniqueSort = function( results ) {
+		var elem,
+			duplicates = [],
+			j = 0,
+			i = 0;
+
+		// Unless we *know* we can detect duplicates, assume their presence
+		hasDuplicate = !support.detectDuplicates;
+		sortInput = !support.sortStable && results.slice( 0 );
+		results.sort( sortOrder );
+
+		if ( hasDuplicate ) {
+			while ( (elem = results[i++]) ) {
+				if ( elem === results[ i ] ) {
+					j = duplicates.push( i );
+				}
+			}
+			while ( j-- ) {
+				results.splice( duplicates[ j ], 1 );
+			}
+		}
+
+		// Clear input after sorting to release objects
+		// See https://github.com/jquery/sizzle/pull/225
+		sortInput = null;
+
+		return results;
+	};
+
+	/**
+	 * Utility function for retrieving the text value of an array of DOM nodes
+	 * @param {Array|Element} elem
+	 */
+	getText = Sizzle.getText = function( elem ) {
+		var node,
+			ret = "",
+			i = 0,
+			nodeType = elem.nodeType;
+
+		if ( !nodeType ) {
+			// If no nodeType, this is expected to be an array
+			while ( (node = elem[i++]) ) {
+				// Do not traverse comment nodes
+				ret += getText( node );
+			}
+		} else if ( nodeType === 1 || nodeType === 9 || nodeType === 11 ) {
+			// Use textContent for elements
+			// innerText usage removed for consistency of new lines (jQuery #11153)
+			if ( typeof elem.textContent === "string" ) {
+				return elem.textContent;
+			} else {
+				// Traverse its children
+				for ( elem = elem.firstChild; elem; elem = elem.nextSibling ) {
+					ret += getText( elem );
+				}
+			}
+		} else if ( nodeType === 3 || nodeType === 4 ) {
+			return elem.nodeValue;
+		}
+		// Do not include comment or processing instruction nodes
+
+		return ret;
+	};
+
+	Expr = Sizzle.selectors = {
+
+		// Can be adjusted by the user
+		cacheLength: 50,
+
+		createPseudo: markFunction,
+
+		match: matchExpr,
+
+		attrHandle: {},
+
+		find: {},
+
+		relative: {
+			">": { dir: "parentNode", first: true },
+			" ": { dir: "parentNode" },
+			"+": { dir: "previousSibling", first: true },
+			"~": { dir: "previousSibling" }
+		},
+
+		preFilter: {
+			"ATTR": function( match ) {
+				match[1] = match[1].replace( runescape, funescape );
+
+				// Move the given value to match[3] whether quoted or unquoted
+				match[3] = ( match[3] || match[4] || match[5] || "" ).replace( runescape, funescape );
+
+				if ( match[2] === "~=" ) {
+					match[3] = " " + match[3] + " ";
+				}
+
+				return match.slice( 0, 4 );
+			},
+
+			"CHILD": function( match ) {
+				/* matches from matchExpr["CHILD"]
+					1 type (only|nth|...)
+					2 what (child|of-type)
+					3 argument (even|odd|\d*|\d*n([+-]\d+)?|...)
+					4 xn-component of xn+y argument ([+-]?\d*n|)
+					5 sign of xn-component
+					6 x of xn-component
+					7 sign of y-component
+					8 y of y-component
+				*/
+				match[1] = match[1].toLowerCase();
+
+				if ( match[1].slice( 0, 3 ) === "nth" ) {
+					// nth-* requires argument
+					if ( !match[3] ) {
+						Sizzle.error( match[0] );
+					}
+
+					// numeric x and y parameters for Expr.filter.CHILD
+					// remember that false/true cast respectively to 0/1
+					match[4] = +( match[4] ? match[5] + (match[6] || 1) : 2 * ( match[3] === "even" || match[3] === "odd" ) );
+					match[5] = +( ( match[7] + match[8] ) || match[3] === "odd" );
+
+				// other types prohibit arguments
+				} else if ( match[3] ) {
+					Sizzle.error( match[0] );
+				}
+
+				return match;
+			},
+
+			"PSEUDO": function( match ) {
+				var excess,
+					unquoted = !match[6] && match[2];
+
+				if ( matchExpr["CHILD"].test( match[0] ) ) {
+					return null;
+				}
+
+				// Accept quoted arguments as-is
+				if ( match[3] ) {
+					match[2] = match[4] || match[5] || "";
+
+				// Strip excess characters from unquoted arguments
+				} else if ( unquoted && rpseudo.test( unquoted ) &&
+					// Get excess from tokenize (recursively)
+					(excess = tokenize( unquoted, true )) &&
+					// advance to the next closing parenthesis
+					(excess = unquoted.indexOf( ")", unquoted.length - excess ) - unquoted.length) ) {
+
+					// excess is a negative index
+					match[0] = match[0].slice( 0, excess );
+					match[2] = unquoted.slice( 0, excess );
+				}
+
+				// Return only captures needed by the pseudo filter method (type and argument)
+				return match.slice( 0, 3 );
+			}
+		},
+
+		filter: {
+
+			"TAG": function( nodeNameSelector ) {
+				var nodeName = nodeNameSelector.replace( runescape, funescape ).toLowerCase();
+				return nodeNameSelector === "*" ?
+					function() { return true; } :
+					function( elem ) {
+						return elem.nodeName && elem.nodeName.toLowerCase() === nodeName;
+					};
+			},
+
+			"CLASS": function( className ) {
+				var pattern = classCache[ className + " " ];
+
+				return pattern ||
+					(pattern = new RegExp( "(^|" + whitespace + ")" + className + "(" + whitespace + "|$)" )) &&
+					classCache( className, function( elem ) {
+						return pattern.test( typeof elem.className === "string" && elem.className || typeof elem.getAttribute !== "undefined" && elem.getAttribute("class") || "" );
+					});
+			},
+
+			"ATTR": function( name, operator, check ) {
+				return function( elem ) {
+					var result = Sizzle.attr( elem, name );
+
+					if ( result == null ) {
+						return operator === "!=";
+					}
+					if ( !operator ) {
+						return true;
+					}
+
+					result += "";
+
+					return operator === "=" ? result === check :
+						operator === "!=" ? result !== check :
+						operator === "^=" ? check && result.indexOf( check ) === 0 :
+						operator === "*=" ? check && result.indexOf( check ) > -1 :
+						operator === "$=" ? check && result.slice( -check.length ) === check :
+						operator === "~=" ? ( " " + result.replace( rwhitespace, " " ) + " " ).indexOf( check ) > -1 :
+						operator === "|=" ? result === check || result.slice( 0, check.length + 1 ) === check + "-" :
+						false;
+				};
+			},
+
+			"CHILD": function( type, what, argument, first, last ) {
+				var simple = type.slice( 0, 3 ) !== "nth",
+					forward = type.slice( -4 ) !== "last",
+					ofType = what === "of-type";
+
+				return first === 1 && last === 0 ?
+
+					// Shortcut for :nth-*(n)
+					function( elem ) {
+						return !!elem.parentNode;
+					} :
+
+					function( elem, context, xml ) {
+						var cache, outerCache, node, diff, nodeIndex, start,
+							dir = simple !== forward ? "nextSibling" : "previousSibling",
+							parent = elem.parentNode,
+							name = ofType && elem.nodeName.toLowerCase(),
+							useCache = !xml && !ofType;
+
+						if ( parent ) {
+
+							// :(first|last|only)-(child|of-type)
+							if ( simple ) {
+								while ( dir ) {
+									node = elem;
+									while ( (node = node[ dir ]) ) {
+										if ( ofType ? node.nodeName.toLowerCase() === name : node.nodeType === 1 ) {
+											return false;
+										}
+									}
+									// Reverse direction for :only-* (if we haven't yet done so)
+									start = dir = type === "only" && !start && "nextSibling";
+								}
+								return true;
+							}
+
+							start = [ forward ? parent.firstChild : parent.lastChild ];
+
+							// non-xml :nth-child(...) stores cache data on `parent`
+							if ( forward && useCache ) {
+								// Seek `elem` from a previously-cached index
+								outerCache = parent[ expando ] || (parent[ expando ] = {});
+								cache = outerCache[ type ] || [];
+								nodeIndex = cache[0] === dirruns && cache[1];
+								diff = cache[0] === dirruns && cache[2];
+								node = nodeIndex && parent.childNodes[ nodeIndex ];
+
+								while ( (node = ++nodeIndex && node && node[ dir ] ||
+
+									// Fallback to seeking `elem` from the start
+									(diff = nodeIndex = 0) || start.pop()) ) {
+
+									// When found, cache indexes on `parent` and break
+									if ( node.nodeType === 1 && ++diff && node === elem ) {
+										outerCache[ type ] = [ dirruns, nodeIndex, diff ];
+										break;
+									}
+								}
+
+							// Use previously-cached element index if available
+							} else if ( useCache && (cache = (elem[ expando ] || (elem[ expando ] = {}))[ type ]) && cache[0] === dirruns ) {
+								diff = cache[1];
+
+							// xml :nth-child(...) or :nth-last-child(...) or :nth(-last)?-of-type(...)
+							} else {
+								// Use the same loop as above to seek `elem` from the start
+								while ( (node = ++nodeIndex && node && node[ dir ] ||
+									(diff = nodeIndex = 0) || start.pop()) ) {
+
+									if ( ( ofType ? node.nodeName.toLowerCase() === name : node.nodeType === 1 ) && ++diff ) {
+										// Cache the index of each encountered element
+										if ( useCache ) {
+											(node[ expando ] || (node[ expando ] = {}))[ type ] = [ dirruns, diff ];
+										}
+
+										if ( node === elem ) {
+											break;
+										}
+									}
+								}
+							}
+
+							// Incorporate the offset, then check against cycle size
+							diff -= last;
+							return diff === first || ( diff % first === 0 && diff / first >= 0 );
+						}
+					};
+			},
+
+			"PSEUDO": function( pseudo, argument ) {
+				// pseudo-class names are case-insensitive
+				// http://www.w3.org/TR/selectors/#pseudo-classes
+				// Prioritize by case sensitivity in case custom pseudos are added with uppercase letters
+				// Remember that setFilters inherits from pseudos
+				var args,
+					fn = Expr.pseudos[ pseudo ] || Expr.setFilters[ pseudo.toLowerCase() ] ||
+						Sizzle.error( "unsupported pseudo: " + pseudo );
+
+				// The user may use createPseudo to indicate that
+				// arguments are needed to create the filter function
+				// just as Sizzle does
+				if ( fn[ expando ] ) {
+					return fn( argument );
+				}
+
+				// But maintain support for old signatures
+				if ( fn.length > 1 ) {
+					args = [ pseudo, pseudo, "", argument ];
+					return Expr.setFilters.hasOwnProperty( pseudo.toLowerCase() ) ?
+						markFunction(function( seed, matches ) {
+							var idx,
+								matched = fn( seed, argument ),
+								i = matched.length;
+							while ( i-- ) {
+								idx = indexOf( seed, matched[i] );
+								seed[ idx ] = !( matches[ idx ] = matched[i] );
+							}
+						}) :
+						function( elem ) {
+							return fn( elem, 0, args );
+						};
+				}
+
+				return fn;
+			}
+		},
+
+		pseudos: {
+			// Potentially complex pseudos
+			"not": markFunction(function( selector ) {
+				// Trim the selector passed to compile
+				// to avoid treating leading and trailing
+				// spaces as combinators
+				var input = [],
+					results = [],
+					matcher = compile( selector.replace( rtrim, "$1" ) );
+
+				return matcher[ expando ] ?
+					markFunction(function( seed, matches, context, xml ) {
+						var elem,
+							unmatched = matcher( seed, null, xml, [] ),
+							i = seed.length;
+
+						// Match elements unmatched by `matcher`
+						while ( i-- ) {
+							if ( (elem = unmatched[i]) ) {
+								seed[i] = !(matches[i] = elem);
+							}
+						}
+					}) :
+					function( elem, context, xml ) {
+						input[0] = elem;
+						matcher( input, null, xml, results );
+						// Don't keep the element (issue #299)
+						input[0] = null;
+						return !results.pop();
+					};
+			}),
+
+			"has": markFunction(function( selector ) {
+				return function( elem ) {
+					return Sizzle( selector, elem ).length > 0;
+				};
+			}),
+
+			"contains": markFunction(function( text ) {
+				text = text.replace( runescape, funescape );
+				return function( elem ) {
+					return ( elem.textContent || elem.innerText || getText( elem ) ).indexOf( text ) > -1;
+				};
+			}),
+
+			// "Whether an element is represented by a :lang() selector
+			// is based solely on the element's language value
+			// being equal to the identifier C,
+			// or beginning with the identifier C immediately followed by "-".
+			// The matching of C against the element's language value is performed case-insensitively.
+			// The identifier C does not have to be a valid language name."
+			// http://www.w3.org/TR/selectors/#lang-pseudo
+			"lang": markFunction( function( lang ) {
+				// lang value must be a valid identifier
+				if ( !ridentifier.test(lang || "") ) {
+					Sizzle.error( "unsupported lang: " + lang );
+				}
+				lang = lang.replace( runescape, funescape ).toLowerCase();
+				return function( elem ) {
+					var elemLang;
+					do {
+						if ( (elemLang = documentIsHTML ?
+							elem.lang :
+							elem.getAttribute("xml:lang") || elem.getAttribute("lang")) ) {
+
+							elemLang = elemLang.toLowerCase();
+							return elemLang === lang || elemLang.indexOf( lang + "-" ) === 0;
+						}
+					} while ( (elem = elem.parentNode) && elem.nodeType === 1 );
+					return false;
+				};
+			}),
+
+			// Miscellaneous
+			"target": function( elem ) {
+				var hash = window.location && window.location.hash;
+				return hash && hash.slice( 1 ) === elem.id;
+			},
+
+			"root": function( elem ) {
+				return elem === docElem;
+			},
+
+			"focus": function( elem ) {
+				return elem === document.activeElement && (!document.hasFocus || document.hasFocus()) && !!(elem.type || elem.href || ~elem.tabIndex);
+			},
+
+			// Boolean properties
+			"enabled": function( elem ) {
+				return elem.disabled === false;
+			},
+
+			"disabled": function( elem ) {
+				return elem.disabled === true;
+			},
+
+			"checked": function( elem ) {
+				// In CSS3, :checked should return both checked and selected elements
+				// http://www.w3.org/TR/2011/REC-css3-selectors-20110929/#checked
+				var nodeName = elem.nodeName.toLowerCase();
+				return (nodeName === "input" && !!elem.checked) || (nodeName === "option" && !!elem.selected);
+			},
+
+			"selected": function( elem ) {
+				// Accessing this property makes selected-by-default
+				// options in Safari work properly
+				if ( elem.parentNode ) {
+					elem.parentNode.selectedIndex;
+				}
+
+				return elem.selected === true;
+			},
+
+			// Contents
+			"empty": function( elem ) {
+				// http://www.w3.org/TR/selectors/#empty-pseudo
+				// :empty is negated by element (1) or content nodes (text: 3; cdata: 4; entity ref: 5),
+				//   but not by others (comment: 8; processing instruction: 7; etc.)
+				// nodeType < 6 works because attributes (2) do not appear as children
+				for ( elem = elem.firstChild; elem; elem = elem.nextSibling ) {
+					if ( elem.nodeType < 6 ) {
+						return false;
+					}
+				}
+				return true;
+			},
+
+			"parent": function( elem ) {
+				return !Expr.pseudos["empty"]( elem );
+			},
+
+			// Element/input types
+			"header": function( elem ) {
+				return rheader.test( elem.nodeName );
+			},
+
+			"input": function( elem ) {
+				return rinputs.test( elem.nodeName );
+			},
+
+			"button": function( elem ) {
+				var name = elem.nodeName.toLowerCase();
+				return name === "input" && elem.type === "button" || name === "button";
+			},
+
+			"text": function( elem ) {
+				var attr;
+				return elem.nodeName.toLowerCase() === "input" &&
+					elem.type === "text" &&
+
+					// Support: IE<8
+					// New HTML5 attribute values (e.g., "search") appear with elem.type === "text"
+					( (attr = elem.getAttribute("type")) == null || attr.toLowerCase() === "text" );
+			},
+
+			// Position-in-collection
+			"first": createPositionalPseudo(function() {
+				return [ 0 ];
+			}),
+
+			"last": createPositionalPseudo(function( matchIndexes, length ) {
+				return [ length - 1 ];
+			}),
+
+			"eq": createPositionalPseudo(function( matchIndexes, length, argument ) {
+				return [ argument < 0 ? argument + length : argument ];
+			}),
+
+			"even": createPositionalPseudo(function( matchIndexes, length ) {
+				var i = 0;
+				for ( ; i < length; i += 2 ) {
+					matchIndexes.push( i );
+				}
+				return matchIndexes;
+			}),
+
+			"odd": createPositionalPseudo(function( matchIndexes, length ) {
+				var i = 1;
+				for ( ; i < length; i += 2 ) {
+					matchIndexes.push( i );
+				}
+				return matchIndexes;
+			}),
+
+			"lt": createPositionalPseudo(function( matchIndexes, length, argument ) {
+				var i = argument < 0 ? argument + length : argument;
+				for ( ; --i >= 0; ) {
+					matchIndexes.push( i );
+				}
+				return matchIndexes;
+			}),
+
+			"gt": createPositionalPseudo(function( matchIndexes, length, argument ) {
+				var i = argument < 0 ? argument + length : argument;
+				for ( ; ++i < length; ) {
+					matchIndexes.push( i );
+				}
+				return matchIndexes;
+			})
+		}
+	};
+
+	Expr.pseudos["nth"] = Expr.pseudos["eq"];
+
+	// Add button/input type pseudos
+	for ( i in { radio: true, checkbox: true, file: true, password: true, image: true } ) {
+		Expr.pseudos[ i ] = createInputPseudo( i );
+	}
+	for ( i in { submit: true, reset: true } ) {
+		Expr.pseudos[ i ] = createButtonPseudo( i );
+	}
+
+	// Easy API for creating new setFilters
+	function setFilters() {}
+	setFilters.prototype = Expr.filters = Expr.pseudos;
+	Expr.setFilters = new setFilters();
+
+	tokenize = Sizzle.tokenize = function( selector, parseOnly ) {
+		var matched, match, tokens, type,
+			soFar, groups, preFilters,
+			cached = tokenCache[ selector + " " ];
+
+		if ( cached ) {
+			return parseOnly ? 0 : cached.slice( 0 );
+		}
+
+		soFar = selector;
+		groups = [];
+		preFilters = Expr.preFilter;
+
+		while ( soFar ) {
+
+			// Comma and first run
+			if ( !matched || (match = rcomma.exec( soFar )) ) {
+				if ( match ) {
+					// Don't consume trailing commas as valid
+					soFar = soFar.slice( match[0].length ) || soFar;
+				}
+				groups.push( (tokens = []) );
+			}
+
+			matched = false;
+
+			// Combinators
+			if ( (match = rcombinators.exec( soFar )) ) {
+				matched = match.shift();
+				tokens.push({
+					value: matched,
+					// Cast descendant combinators to space
+					type: match[0].replace( rtrim, " " )
+				});
+				soFar = soFar.slice( matched.length );
+			}
+
+			// Filters
+			for ( type in Expr.filter ) {
+				if ( (match = matchExpr[ type ].exec( soFar )) && (!preFilters[ type ] ||
+					(match = preFilters[ type ]( match ))) ) {
+					matched = match.shift();
+					tokens.push({
+						value: matched,
+						type: type,
+						matches: match
+					});
+					soFar = soFar.slice( matched.length );
+				}
+			}
+
+			if ( !matched ) {
+				break;
+			}
+		}
+
+		// Return the length of the invalid excess
+		// if we're just parsing
+		// Otherwise, throw an error or return tokens
+		return parseOnly ?
+			soFar.length :
+			soFar ?
+				Sizzle.error( selector ) :
+				// Cache the tokens
+				tokenCache( selector, groups ).slice( 0 );
+	};
+
+	function toSelector( tokens ) {
+		var i = 0,
+			len = tokens.length,
+			selector = "";
+		for ( ; i < len; i++ ) {
+			selector += tokens[i].value;
+		}
+		return selector;
+	}
+
+	function addCombinator( matcher, combinator, base ) {
+		var dir = combinator.dir,
+			checkNonElements = base && dir === "parentNode",
+			doneName = done++;
+
+		return combinator.first ?
+			// Check against closest ancestor/preceding element
+			function( elem, context, xml ) {
+				while ( (elem = elem[ dir ]) ) {
+					if ( elem.nodeType === 1 || checkNonElements ) {
+						return matcher( elem, context, xml );
+					}
+				}
+			} :
+
+			// Check against all ancestor/preceding elements
+			function( elem, context, xml ) {
+				var oldCache, outerCache,
+					newCache = [ dirruns, doneName ];
+
+				// We can't set arbitrary data on XML nodes, so they don't benefit from dir caching
+				if ( xml ) {
+					while ( (elem = elem[ dir ]) ) {
+						if ( elem.nodeType === 1 || checkNonElements ) {
+							if ( matcher( elem, context, xml ) ) {
+								return true;
+							}
+						}
+					}
+				} else {
+					while ( (elem = elem[ dir ]) ) {
+						if ( elem.nodeType === 1 || checkNonElements ) {
+							outerCache = elem[ expando ] || (elem[ expando ] = {});
+							if ( (oldCache = outerCache[ dir ]) &&
+								oldCache[ 0 ] === dirruns && oldCache[ 1 ] === doneName ) {
+
+								// Assign to newCache so results back-propagate to previous elements
+								return (newCache[ 2 ] = oldCache[ 2 ]);
+							} else {
+								// Reuse newcache so results back-propagate to previous elements
+								outerCache[ dir ] = newCache;
+
+								// A match means we're done; a fail means we have to keep checking
+								if ( (newCache[ 2 ] = matcher( elem, context, xml )) ) {
+									return true;
+								}
+							}
+						}
+					}
+				}
+			};
+	}
+
+	function elementMatcher( matchers ) {
+		return matchers.length > 1 ?
+			function( elem, context, xml ) {
+				var i = matchers.length;
+				while ( i-- ) {
+					if ( !matchers[i]( elem, context, xml ) ) {
+						return false;
+					}
+				}
+				return true;
+			} :
+			matchers[0];
+	}
+
+	function multipleContexts( selector, contexts, results ) {
+		var i = 0,
+			len = contexts.length;
+		for ( ; i < len; i++ ) {
+			Sizzle( selector, contexts[i], results );
+		}
+		return results;
+	}
+
+	function condense( unmatched, map, filter, context, xml ) {
+		var elem,
+			newUnmatched = [],
+			i = 0,
+			len = unmatched.length,
+			mapped = map != null;
+
+		for ( ; i < len; i++ ) {
+			if ( (elem = unmatched[i]) ) {
+				if ( !filter || filter( elem, context, xml ) ) {
+					newUnmatched.push( elem );
+					if ( mapped ) {
+						map.push( i );
+					}
+				}
+			}
+		}
+
+		return newUnmatched;
+	}
+
+	function setMatcher( preFilter, selector, matcher, postFilter, postFinder, postSelector ) {
+		if ( postFilter && !postFilter[ expando ] ) {
+			postFilter = setMatcher( postFilter );
+		}
+		if ( postFinder && !postFinder[ expando ] ) {
+			postFinder = setMatcher( postFinder, postSelector );
+		}
+		return markFunction(function( seed, results, context, xml ) {
+			var temp, i, elem,
+				preMap = [],
+				postMap = [],
+				preexisting = results.length,
+
+				// Get initial elements from seed or context
+				elems = seed || multipleContexts( selector || "*", context.nodeType ? [ context ] : context, [] ),
+
+				// Prefilter to get matcher input, preserving a map for seed-results synchronization
+				matcherIn = preFilter && ( seed || !selector ) ?
+					condense( elems, preMap, preFilter, context, xml ) :
+					elems,
+
+				matcherOut = matcher ?
+					// If we have a postFinder, or filtered seed, or non-seed postFilter or preexisting results,
+					postFinder || ( seed ? preFilter : preexisting || postFilter ) ?
+
+						// ...intermediate processing is necessary
+						[] :
+
+						// ...otherwise use results directly
+						results :
+					matcherIn;
+
+			// Find primary matches
+			if ( matcher ) {
+				matcher( matcherIn, matcherOut, context, xml );
+			}
+
+			// Apply postFilter
+			if ( postFilter ) {
+				temp = condense( matcherOut, postMap );
+				postFilter( temp, [], context, xml );
+
+				// Un-match failing elements by moving them back to matcherIn
+				i = temp.length;
+				while ( i-- ) {
+					if ( (elem = temp[i]) ) {
+						matcherOut[ postMap[i] ] = !(matcherIn[ postMap[i] ] = elem);
+					}
+				}
+			}
+
+			if ( seed ) {
+				if ( postFinder || preFilter ) {
+					if ( postFinder ) {
+						// Get the final matcherOut by condensing this intermediate into postFinder contexts
+						temp = [];
+						i = matcherOut.length;
+						while ( i-- ) {
+							if ( (elem = matcherOut[i]) ) {
+								// Restore matcherIn since elem is not yet a final match
+								temp.push( (matcherIn[i] = elem) );
+							}
+						}
+						postFinder( null, (matcherOut = []), temp, xml );
+					}
+
+					// Move matched elements from seed to results to keep them synchronized
+					i = matcherOut.length;
+					while ( i-- ) {
+						if ( (elem = matcherOut[i]) &&
+							(temp = postFinder ? indexOf( seed, elem ) : preMap[i]) > -1 ) {
+
+							seed[temp] = !(results[temp] = elem);
+						}
+					}
+				}
+
+			// Add elements to results, through postFinder if defined
+			} else {
+				matcherOut = condense(
+					matcherOut === results ?
+						matcherOut.splice( preexisting, matcherOut.length ) :
+						matcherOut
+				);
+				if ( postFinder ) {
+					postFinder( null, results, matcherOut, xml );
+				} else {
+					push.apply( results, matcherOut );
+				}
+			}
+		});
+	}
+
+	function matcherFromTokens( tokens ) {
+		var checkContext, matcher, j,
+			len = tokens.length,
+			leadingRelative = Expr.relative[ tokens[0].type ],
+			implicitRelative = leadingRelative || Expr.relative[" "],
+			i = leadingRelative ? 1 : 0,
+
+			// The foundational matcher ensures that elements are reachable from top-level context(s)
+			matchContext = addCombinator( function( elem ) {
+				return elem === checkContext;
+			}, implicitRelative, true ),
+			matchAnyContext = addCombinator( function( elem ) {
+				return indexOf( checkContext, elem ) > -1;
+			}, implicitRelative, true ),
+			matchers = [ function( elem, context, xml ) {
+				var ret = ( !leadingRelative && ( xml || context !== outermostContext ) ) || (
+					(checkContext = context).nodeType ?
+						matchContext( elem, context, xml ) :
+						matchAnyContext( elem, context, xml ) );
+				// Avoid hanging onto element (issue #299)
+				checkContext = null;
+				return ret;
+			} ];
+
+		for ( ; i < len; i++ ) {
+			if ( (matcher = Expr.relative[ tokens[i].type ]) ) {
+				matchers = [ addCombinator(elementMatcher( matchers ), matcher) ];
+			} else {
+				matcher = Expr.filter[ tokens[i].type ].apply( null, tokens[i].matches );
+
+				// Return special upon seeing a positional matcher
+				if ( matcher[ expando ] ) {
+					// Find the next relative operator (if any) for proper handling
+					j = ++i;
+					for ( ; j < len; j++ ) {
+						if ( Expr.relative[ tokens[j].type ] ) {
+							break;
+						}
+					}
+					return setMatcher(
+						i > 1 && elementMatcher( matchers ),
+						i > 1 && toSelector(
+							// If the preceding token was a descendant combinator, insert an implicit any-element `*`
+							tokens.slice( 0, i - 1 ).concat({ value: tokens[ i - 2 ].type === " " ? "*" : "" })
+						).replace( rtrim, "$1" ),
+						matcher,
+						i < j && matcherFromTokens( tokens.slice( i, j ) ),
+						j < len && matcherFromTokens( (tokens = tokens.slice( j )) ),
+						j < len && toSelector( tokens )
+					);
+				}
+				matchers.push( matcher );
+			}
+		}
+
+		return elementMatcher( matchers );
+	}
+
+	function matcherFromGroupMatchers( elementMatchers, setMatchers ) {
+		var bySet = setMatchers.length > 0,
+			byElement = elementMatchers.length > 0,
+			superMatcher = function( seed, context, xml, results, outermost ) {
+				var elem, j, matcher,
+					matchedCount = 0,
+					i = "0",
+					unmatched = seed && [],
+					setMatched = [],
+					contextBackup = outermostContext,
+					// We must always have either seed elements or outermost context
+					elems = seed || byElement && Expr.find["TAG"]( "*", outermost ),
+					// Use integer dirruns iff this is the outermost matcher
+					dirrunsUnique = (dirruns += contextBackup == null ? 1 : Math.random() || 0.1),
+					len = elems.length;
+
+				if ( outermost ) {
+					outermostContext = context !== document && context;
+				}
+
+				// Add elements passing elementMatchers directly to results
+				// Keep `i` a string if there are no elements so `matchedCount` will be "00" below
+				// Support: IE<9, Safari
+				// Tolerate NodeList properties (IE: "length"; Safari: <number>) matching elements by id
+				for ( ; i !== len && (elem = elems[i]) != null; i++ ) {
+					if ( byElement && elem ) {
+						j = 0;
+						while ( (matcher = elementMatchers[j++]) ) {
+							if ( matcher( elem, context, xml ) ) {
+								results.push( elem );
+								break;
+							}
+						}
+						if ( outermost ) {
+							dirruns = dirrunsUnique;
+						}
+					}
+
+					// Track unmatched elements for set filters
+					if ( bySet ) {
+						// They will have gone through all possible matchers
+						if ( (elem = !matcher && elem) ) {
+							matchedCount--;
+						}
+
+						// Lengthen the array for every element, matched or not
+						if ( seed ) {
+							unmatched.push( elem );
+						}
+					}
+				}
+
+				// Apply set filters to unmatched elements
+				matchedCount += i;
+				if ( bySet && i !== matchedCount ) {
+					j = 0;
+					while ( (matcher = setMatchers[j++]) ) {
+						matcher( unmatched, setMatched, context, xml );
+					}
+
+					if ( seed ) {
+						// Reintegrate element matches to eliminate the need for sorting
+						if ( matchedCount > 0 ) {
+							while ( i-- ) {
+								if ( !(unmatched[i] || setMatched[i]) ) {
+									setMatched[i] = pop.call( results );
+								}
+							}
+						}
+
+						// Discard index placeholder values to get only actual matches
+						setMatched = condense( setMatched );
+					}
+
+					// Add matches to results
+					push.apply( results, setMatched );
+
+					// Seedless set matches succeeding multiple successful matchers stipulate sorting
+					if ( outermost && !seed && setMatched.length > 0 &&
+						( matchedCount + setMatchers.length ) > 1 ) {
+
+						Sizzle.uniqueSort( results );
+					}
+				}
+
+				// Override manipulation of globals by nested matchers
+				if ( outermost ) {
+					dirruns = dirrunsUnique;
+					outermostContext = contextBackup;
+				}
+
+				return unmatched;
+			};
+
+		return bySet ?
+			markFunction( superMatcher ) :
+			superMatcher;
+	}
+
+	compile = Sizzle.compile = function( selector, match /* Internal Use Only */ ) {
+		var i,
+			setMatchers = [],
+			elementMatchers = [],
+			cached = compilerCache[ selector + " " ];
+
+		if ( !cached ) {
+			// Generate a function of recursive functions that can be used to check each element
+			if ( !match ) {
+				match = tokenize( selector );
+			}
+			i = match.length;
+			while ( i-- ) {
+				cached = matcherFromTokens( match[i] );
+				if ( cached[ expando ] ) {
+					setMatchers.push( cached );
+				} else {
+					elementMatchers.push( cached );
+				}
+			}
+
+			// Cache the compiled function
+			cached = compilerCache( selector, matcherFromGroupMatchers( elementMatchers, setMatchers ) );
+
+			// Save selector and tokenization
+			cached.selector = selector;
+		}
+		return cached;
+	};
+
+	/**
+	 * A low-level selection function that works with Sizzle's compiled
+	 *  selector functions
+	 * @param {String|Function} selector A selector or a pre-compiled
+	 *  selector function built with Sizzle.compile
+	 * @param {Element} context
+	 * @param {Array} [results]
+	 * @param {Array} [seed] A set of elements to match against
+	 */
+	select = Sizzle.select = function( selector, context, results, seed ) {
+		var i, tokens, token, type, find,
+			compiled = typeof selector === "function" && selector,
+			match = !seed && tokenize( (selector = compiled.selector || selector) );
+
+		results = results || [];
+
+		// Try to minimize operations if there is no seed and only one group
+		if ( match.length === 1 ) {
+
+			// Take a shortcut and set the context if the root selector is an ID
+			tokens = match[0] = match[0].slice( 0 );
+			if ( tokens.length > 2 && (token = tokens[0]).type === "ID" &&
+					support.getById && context.nodeType === 9 && documentIsHTML &&
+					Expr.relative[ tokens[1].type ] ) {
+
+				context = ( Expr.find["ID"]( token.matches[0].replace(runescape, funescape), context ) || [] )[0];
+				if ( !context ) {
+					return results;
+
+				// Precompiled matchers will still verify ancestry, so step up a level
+				} else if ( compiled ) {
+					context = context.parentNode;
+				}
+
+				selector = selector.slice( tokens.shift().value.length );
+			}
+
+			// Fetch a seed set for right-to-left matching
+			i = matchExpr["needsContext"].test( selector ) ? 0 : tokens.length;
+			while ( i-- ) {
+				token = tokens[i];
+
+				// Abort if we hit a combinator
+				if ( Expr.relative[ (type = token.type) ] ) {
+					break;
+				}
+				if ( (find = Expr.find[ type ]) ) {
+					// Search, expanding context for leading sibling combinators
+					if ( (seed = find(
+						token.matches[0].replace( runescape, funescape ),
+						rsibling.test( tokens[0].type ) && testContext( context.parentNode ) || context
+					)) ) {
+
+						// If seed is empty or no tokens remain, we can return early
+						tokens.splice( i, 1 );
+						selector = seed.length && toSelector( tokens );
+						if ( !selector ) {
+							push.apply( results, seed );
+							return results;
+						}
+
+						break;
+					}
+				}
+			}
+		}
+
+		// Compile and execute a filtering function if one is not provided
+		// Provide `match` to avoid retokenization if we modified the selector above
+		( compiled || compile( selector, match ) )(
+			seed,
+			context,
+			!documentIsHTML,
+			results,
+			rsibling.test( selector ) && testContext( context.parentNode ) || context
+		);
+		return results;
+	};
+
+	// One-time assignments
+
+	// Sort stability
+	support.sortStable = expando.split("").sort( sortOrder ).join("") === expando;
+
+	// Support: Chrome 14-35+
+	// Always assume duplicates if they aren't passed to the comparison function
+	support.detectDuplicates = !!hasDuplicate;
+
+	// Initialize against the default document
+	setDocument();
+
+	// Support: Webkit<537.32 - Safari 6.0.3/Chrome 25 (fixed in Chrome 27)
+	// Detached nodes confoundingly follow *each other*
+	support.sortDetached = assert(function( div1 ) {
+		// Should return 1, but returns 4 (following)
+		return div1.compareDocumentPosition( document.createElement("div") ) & 1;
+	});
+
+	// Support: IE<8
+	// Prevent attribute/property "interpolation"
+	// http://msdn.microsoft.com/en-us/library/ms536429%28VS.85%29.aspx
+	if ( !assert(function( div ) {
+		div.innerHTML = "<a href='#'></a>";
+		return div.firstChild.getAttribute("href") === "#" ;
+	}) ) {
+		addHandle( "type|href|height|width", function( elem, name, isXML ) {
+			if ( !isXML ) {
+				return elem.getAttribute( name, name.toLowerCase() === "type" ? 1 : 2 );
+			}
+		});
+	}
+
+	// Support: IE<9
+	// Use defaultValue in place of getAttribute("value")
+	if ( !support.attributes || !assert(function( div ) {
+		div.innerHTML = "<input/>";
+		div.firstChild.setAttribute( "value", "" );
+		return div.firstChild.getAttribute( "value" ) === "";
+	}) ) {
+		addHandle( "value", function( elem, name, isXML ) {
+			if ( !isXML && elem.nodeName.toLowerCase() === "input" ) {
+				return elem.defaultValue;
+			}
+		});
+	}
+
+	// Support: IE<9
+	// Use getAttributeNode to fetch booleans when getAttribute lies
+	if ( !assert(function( div ) {
+		return div.getAttribute("disabled") == null;
+	}) ) {
+		addHandle( booleans, function( elem, name, isXML ) {
+			var val;
+			if ( !isXML ) {
+				return elem[ name ] === true ? name.toLowerCase() :
+						(val = elem.getAttributeNode( name )) && val.specified ?
+						val.value :
+					null;
+			}
+		});
+	}
+
+	return Sizzle;
+
+	})( window );
+
+
+
+	jQuery.find = Sizzle;
+	jQuery.expr = Sizzle.selectors;
+	jQuery.expr[":"] = jQuery.expr.pseudos;
+	jQuery.unique = Sizzle.uniqueSort;
+	jQuery.text = Sizzle.getText;
+	jQuery.isXMLDoc = Sizzle.isXML;
+	jQuery.contains = Sizzle.contains;
+
+
+
+	var rneedsContext = jQuery.expr.match.needsContext;
+
+	var rsingleTag = (/^<(\w+)\s*\/?>(?:<\/\1>|)$/);
+
+
+
+	var risSimple = /^.[^:#\[\.,]*$/;
+
+	// Implement the identical functionality for filter and not
+	function winnow( elements, qualifier, not ) {
+		if ( jQuery.isFunction( qualifier ) ) {
+			return jQuery.grep( elements, function( elem, i ) {
+				/* jshint -W018 */
+				return !!qualifier.call( elem, i, elem ) !== not;
+			});
+
+		}
+
+		if ( qualifier.nodeType ) {
+			return jQuery.grep( elements, function( elem ) {
+				return ( elem === qualifier ) !== not;
+			});
+
+		}
+
+		if ( typeof qualifier === "string" ) {
+			if ( risSimple.test( qualifier ) ) {
+				return jQuery.filter( qualifier, elements, not );
+			}
+
+			qualifier = jQuery.filter( qualifier, elements );
+		}
+
+		return jQuery.grep( elements, function( elem ) {
+			return ( indexOf.call( qualifier, elem ) >= 0 ) !== not;
+		});
+	}
+
+	jQuery.filter = function( expr, elems, not ) {
+		var elem = elems[ 0 ];
+
+		if ( not ) {
+			expr = ":not(" + expr + ")";
+		}
+
+		return elems.length === 1 && elem.nodeType === 1 ?
+			jQuery.find.matchesSelector( elem, expr ) ? [ elem ] : [] :
+			jQuery.find.matches( expr, jQuery.grep( elems, function( elem ) {
+				return elem.nodeType === 1;
+			}));
+	};
+
+	jQuery.fn.extend({
+		find: function( selector ) {
+			var i,
+				len = this.length,
+				ret = [],
+				self = this;
+
+			if ( typeof selector !== "string" ) {
+				return this.pushStack( jQuery( selector ).filter(function() {
+					for ( i = 0; i < len; i++ ) {
+						if ( jQuery.contains( self[ i ], this ) ) {
+							return true;
+						}
+					}
+				}) );
+			}
+
+			for ( i = 0; i < len; i++ ) {
+				jQuery.find( selector, self[ i ], ret );
+			}
+
+			// Needed because $( selector, context ) becomes $( context ).find( selector )
+			ret = this.pushStack( len > 1 ? jQuery.unique( ret ) : ret );
+			ret.selector = this.selector ? this.selector + " " + selector : selector;
+			return ret;
+		},
+		filter: function( selector ) {
+			return this.pushStack( winnow(this, selector || [], false) );
+		},
+		not: function( selector ) {
+			return this.pushStack( winnow(this, selector || [], true) );
+		},
+		is: function( selector ) {
+			return !!winnow(
+				this,
+
+				// If this is a positional/relative selector, check membership in the returned set
+				// so $("p:first").is("p:last") won't return true for a doc with two "p".
+				typeof selector === "string" && rneedsContext.test( selector ) ?
+					jQuery( selector ) :
+					selector || [],
+				false
+			).length;
+		}
+	});
+
+
+	// Initialize a jQuery object
+
+
+	// A central reference to the root jQuery(document)
+	var rootjQuery,
+
+		// A simple way to check for HTML strings
+		// Prioritize #id over <tag> to avoid XSS via location.hash (#9521)
+		// Strict HTML recognition (#11290: must start with <)
+		rquickExpr = /^(?:\s*(<[\w\W]+>)[^>]*|#([\w-]*))$/,
+
+		init = jQuery.fn.init = function( selector, context ) {
+			var match, elem;
+
+			// HANDLE: $(""), $(null), $(undefined), $(false)
+			if ( !selector ) {
+				return this;
+			}
+
+			// Handle HTML strings
+			if ( typeof selector === "string" ) {
+				if ( selector[0] === "<" && selector[ selector.length - 1 ] === ">" && selector.length >= 3 ) {
+					// Assume that strings that start and end with <> are HTML and skip the regex check
+					match = [ null, selector, null ];
+
+				} else {
+					match = rquickExpr.exec( selector );
+				}
+
+				// Match html or make sure no context is specified for #id
+				if ( match && (match[1] || !context) ) {
+
+					// HANDLE: $(html) -> $(array)
+					if ( match[1] ) {
+						context = context instanceof jQuery ? context[0] : context;
+
+						// Option to run scripts is true for back-compat
+						// Intentionally let the error be thrown if parseHTML is not present
+						jQuery.merge( this, jQuery.parseHTML(
+							match[1],
+							context && context.nodeType ? context.ownerDocument || context : document,
+							true
+						) );
+
+						// HANDLE: $(html, props)
+						if ( rsingleTag.test( match[1] ) && jQuery.isPlainObject( context ) ) {
+							for ( match in context ) {
+								// Properties of context are called as methods if possible
+								if ( jQuery.isFunction( this[ match ] ) ) {
+									this[ match ]( context[ match ] );
+
+								// ...and otherwise set as attributes
+								} else {
+									this.attr( match, context[ match ] );
+								}
+							}
+						}
+
+						return this;
+
+					// HANDLE: $(#id)
+					} else {
+						elem = document.getElementById( match[2] );
+
+						// Support: Blackberry 4.6
+						// gEBID returns nodes no longer in the document (#6963)
+						if ( elem && elem.parentNode ) {
+							// Inject the element directly into the jQuery object
+							this.length = 1;
+							this[0] = elem;
+						}
+
+						this.context = document;
+						this.selector = selector;
+						return this;
+					}
+
+				// HANDLE: $(expr, $(...))
+				} else if ( !context || context.jquery ) {
+					return ( context || rootjQuery ).find( selector );
+
+				// HANDLE: $(expr, context)
+				// (which is just equivalent to: $(context).find(expr)
+				} else {
+					return this.constructor( context ).find( selector );
+				}
+
+			// HANDLE: $(DOMElement)
+			} else if ( selector.nodeType ) {
+				this.context = this[0] = selector;
+				this.length = 1;
+				return this;
+
+			// HANDLE: $(function)
+			// Shortcut for document ready
+			} else if ( jQuery.isFunction( selector ) ) {
+				return typeof rootjQuery.ready !== "undefined" ?
+					rootjQuery.ready( selector ) :
+					// Execute immediately if ready is not present
+					selector( jQuery );
+			}
+
+			if ( selector.selector !== undefined ) {
+				this.selector = selector.selector;
+				this.context = selector.context;
+			}
+
+			return jQuery.makeArray( selector, this );
+		};
+
+	// Give the init function the jQuery prototype for later instantiation
+	init.prototype = jQuery.fn;
+
+	// Initialize central reference
+	rootjQuery = jQuery( document );
+
+
+	var rparentsprev = /^(?:parents|prev(?:Until|All))/,
+		// Methods guaranteed to produce a unique set when starting from a unique set
+		guaranteedUnique = {
+			children: true,
+			contents: true,
+			next: true,
+			prev: true
+		};
+
+	jQuery.extend({
+		dir: function( elem, dir, until ) {
+			var matched = [],
+				truncate = until !== undefined;
+
+			while ( (elem = elem[ dir ]) && elem.nodeType !== 9 ) {
+				if ( elem.nodeType === 1 ) {
+					if ( truncate && jQuery( elem ).is( until ) ) {
+						break;
+					}
+					matched.push( elem );
+				}
+			}
+			return matched;
+		},
+
+		sibling: function( n, elem ) {
+			var matched = [];
+
+			for ( ; n; n = n.nextSibling ) {
+				if ( n.nodeType === 1 && n !== elem ) {
+					matched.push( n );
+				}
+			}
+
+			return matched;
+		}
+	});
+
+	jQuery.fn.extend({
+		has: function( target ) {
+			var targets = jQuery( target, this ),
+				l = targets.length;
+
+			return this.filter(function() {
+				var i = 0;
+				for ( ; i < l; i++ ) {
+					if ( jQuery.contains( this, targets[i] ) ) {
+						return true;
+					}
+				}
+			});
+		},
+
+		closest: function( selectors, context ) {
+			var cur,
+				i = 0,
+				l = this.length,
+				matched = [],
+				pos = rneedsContext.test( selectors ) || typeof selectors !== "string" ?
+					jQuery( selectors, context || this.context ) :
+					0;
+
+			for ( ; i < l; i++ ) {
+				for ( cur = this[i]; cur && cur !== context; cur = cur.parentNode ) {
+					// Always skip document fragments
+					if ( cur.nodeType < 11 && (pos ?
+						pos.index(cur) > -1 :
+
+						// Don't pass non-elements to Sizzle
+						cur.nodeType === 1 &&
+							jQuery.find.matchesSelector(cur, selectors)) ) {
+
+						matched.push( cur );
+						break;
+					}
+				}
+			}
+
+			return this.pushStack( matched.length > 1 ? jQuery.unique( matched ) : matched );
+		},
+
+		// Determine the position of an element within the set
+		index: function( elem ) {
+
+			// No argument, return index in parent
+			if ( !elem ) {
+				return ( this[ 0 ] && this[ 0 ].parentNode ) ? this.first().prevAll().length : -1;
+			}
+
+			// Index in selector
+			if ( typeof elem === "string" ) {
+				return indexOf.call( jQuery( elem ), this[ 0 ] );
+			}
+
+			// Locate the position of the desired element
+			return indexOf.call( this,
+
+				// If it receives a jQuery object, the first element is used
+				elem.jquery ? elem[ 0 ] : elem
+			);
+		},
+
+		add: function( selector, context ) {
+			return this.pushStack(
+				jQuery.unique(
+					jQuery.merge( this.get(), jQuery( selector, context ) )
+				)
+			);
+		},
+
+		addBack: function( selector ) {
+			return this.add( selector == null ?
+				this.prevObject : this.prevObject.filter(selector)
+			);
+		}
+	});
+
+	function sibling( cur, dir ) {
+		while ( (cur = cur[dir]) && cur.nodeType !== 1 ) {}
+		return cur;
+	}
+
+	jQuery.each({
+		parent: function( elem ) {
+			var parent = elem.parentNode;
+			return parent && parent.nodeType !== 11 ? parent : null;
+		},
+		parents: function( elem ) {
+			return jQuery.dir( elem, "parentNode" );
+		},
+		parentsUntil: function( elem, i, until ) {
+			return jQuery.dir( elem, "parentNode", until );
+		},
+		next: function( elem ) {
+			return sibling( elem, "nextSibling" );
+		},
+		prev: function( elem ) {
+			return sibling( elem, "previousSibling" );
+		},
+		nextAll: function( elem ) {
+			return jQuery.dir( elem, "nextSibling" );
+		},
+		prevAll: function( elem ) {
+			return jQuery.dir( elem, "previousSibling" );
+		},
+		nextUntil: function( elem, i, until ) {
+			return jQuery.dir( elem, "nextSibling", until );
+		},
+		prevUntil: function( elem, i, until ) {
+			return jQuery.dir( elem, "previousSibling", until );
+		},
+		siblings: function( elem ) {
+			return jQuery.sibling( ( elem.parentNode || {} ).firstChild, elem );
+		},
+		children: function( elem ) {
+			return jQuery.sibling( elem.firstChild );
+		},
+		contents: function( elem ) {
+			return elem.contentDocument || jQuery.merge( [], elem.childNodes );
+		}
+	}, function( name, fn ) {
+		jQuery.fn[ name ] = function( until, selector ) {
+			var matched = jQuery.map( this, fn, until );
+
+			if ( name.slice( -5 ) !== "Until" ) {
+				selector = until;
+			}
+
+			if ( selector && typeof selector === "string" ) {
+				matched = jQuery.filter( selector, matched );
+			}
+
+			if ( this.length > 1 ) {
+				// Remove duplicates
+				if ( !guaranteedUnique[ name ] ) {
+					jQuery.unique( matched );
+				}
+
+				// Reverse order for parents* and prev-derivatives
+				if ( rparentsprev.test( name ) ) {
+					matched.reverse();
+				}
+			}
+
+			return this.pushStack( matched );
+		};
+	});
+	var rnotwhite = (/\S+/g);
+
+
+
+	// String to Object options format cache
+	var optionsCache = {};
+
+	// Convert String-formatted options into Object-formatted ones and store in cache
+	function createOptions( options ) {
+		var object = optionsCache[ options ] = {};
+		jQuery.each( options.match( rnotwhite ) || [], function( _, flag ) {
+			object[ flag ] = true;
+		});
+		return object;
+	}
+
+	/*
+	 * Create a callback list using the following parameters:
+	 *
+	 *	options: an optional list of space-separated options that will change how
+	 *			the callback list behaves or a more traditional option object
+	 *
+	 * By default a callback list will act like an event callback list and can be
+	 * "fired" multiple times.
+	 *
+	 * Possible options:
+	 *
+	 *	once:			will ensure the callback list can only be fired once (like a Deferred)
+	 *
+	 *	memory:			will keep track of previous values and will call any callback added
+	 *					after the list has been fired right away with the latest "memorized"
+	 *					values (like a Deferred)
+	 *
+	 *	unique:			will ensure a callback can only be added once (no duplicate in the list)
+	 *
+	 *	stopOnFalse:	interrupt callings when a callback returns false
+	 *
+	 */
+	jQuery.Callbacks = function( options ) {
+
+		// Convert options from String-formatted to Object-formatted if needed
+		// (we check in cache first)
+		options = typeof options === "string" ?
+			( optionsCache[ options ] || createOptions( options ) ) :
+			jQuery.extend( {}, options );
+
+		var // Last fire value (for non-forgettable lists)
+			memory,
+			// Flag to know if list was already fired
+			fired,
+			// Flag to know if list is currently firing
+			firing,
+			// First callback to fire (used internally by add and fireWith)
+			firingStart,
+			// End of the loop when firing
+			firingLength,
+			// Index of currently firing callback (modified by remove if needed)
+			firingIndex,
+			// Actual callback list
+			list = [],
+			// Stack of fire calls for repeatable lists
+			stack = !options.once && [],
+			// Fire callbacks
+			fire = function( data ) {
+				memory = options.memory && data;
+				fired = true;
+				firingIndex = firingStart || 0;
+				firingStart = 0;
+				firingLength = list.length;
+				firing = true;
+				for ( ; list && firingIndex < firingLength; firingIndex++ ) {
+					if ( list[ firingIndex ].apply( data[ 0 ], data[ 1 ] ) === false && options.stopOnFalse ) {
+						memory = false; // To prevent further calls using add
+						break;
+					}
+				}
+				firing = false;
+				if ( list ) {
+					if ( stack ) {
+						if ( stack.length ) {
+							fire( stack.shift() );
+						}
+					} else if ( memory ) {
+						list = [];
+					} else {
+						self.disable();
+					}
+				}
+			},
+			// Actual Callbacks object
+			self = {
+				// Add a callback or a collection of callbacks to the list
+				add: function() {
+					if ( list ) {
+						// First, we save the current length
+						var start = list.length;
+						(function add( args ) {
+							jQuery.each( args, function( _, arg ) {
+								var type = jQuery.type( arg );
+								if ( type === "function" ) {
+									if ( !options.unique || !self.has( arg ) ) {
+										list.push( arg );
+									}
+								} else if ( arg && arg.length && type !== "string" ) {
+									// Inspect recursively
+									add( arg );
+								}
+							});
+						})( arguments );
+						// Do we need to add the callbacks to the
+						// current firing batch?
+						if ( firing ) {
+							firingLength = list.length;
+						// With memory, if we're not firing then
+						// we should call right away
+						} else if ( memory ) {
+							firingStart = start;
+							fire( memory );
+						}
+					}
+					return this;
+				},
+				// Remove a callback from the list
+				remove: function() {
+					if ( list ) {
+						jQuery.each( arguments, function( _, arg ) {
+							var index;
+							while ( ( index = jQuery.inArray( arg, list, index ) ) > -1 ) {
+								list.splice( index, 1 );
+								// Handle firing indexes
+								if ( firing ) {
+									if ( index <= firingLength ) {
+										firingLength--;
+									}
+									if ( index <= firingIndex ) {
+										firingIndex--;
+									}
+								}
+							}
+						});
+					}
+					return this;
+				},
+				// Check if a given callback is in the list.
+				// If no argument is given, return whether or not list has callbacks attached.
+				has: function( fn ) {
+					return fn ? jQuery.inArray( fn, list ) > -1 : !!( list && list.length );
+				},
+				// Remove all callbacks from the list
+				empty: function() {
+					list = [];
+					firingLength = 0;
+					return this;
+				},
+				// Have the list do nothing anymore
+				disable: function() {
+					list = stack = memory = undefined;
+					return this;
+				},
+				// Is it disabled?
+				disabled: function() {
+					return !list;
+				},
+				// Lock the list in its current state
+				lock: function() {
+					stack = undefined;
+					if ( !memory ) {
+						self.disable();
+					}
+					return this;
+				},
+				// Is it locked?
+				locked: function() {
+					return !stack;
+				},
+				// Call all callbacks with the given context and arguments
+				fireWith: function( context, args ) {
+					if ( list && ( !fired || stack ) ) {
+						args = args || [];
+						args = [ context, args.slice ? args.slice() : args ];
+						if ( firing ) {
+							stack.push( args );
+						} else {
+							fire( args );
+						}
+					}
+					return this;
+				},
+				// Call all the callbacks with the given arguments
+				fire: function() {
+					self.fireWith( this, arguments );
+					return this;
+				},
+				// To know if the callbacks have already been called at least once
+				fired: function() {
+					return !!fired;
+				}
+			};
+
+		return self;
+	};
+
+
+	jQuery.extend({
+
+		Deferred: function( func ) {
+			var tuples = [
+					// action, add listener, listener list, final state
+					[ "resolve", "done", jQuery.Callbacks("once memory"), "resolved" ],
+					[ "reject", "fail", jQuery.Callbacks("once memory"), "rejected" ],
+					[ "notify", "progress", jQuery.Callbacks("memory") ]
+				],
+				state = "pending",
+				promise = {
+					state: function() {
+						return state;
+					},
+					always: function() {
+						deferred.done( arguments ).fail( arguments );
+						return this;
+					},
+					then: function( /* fnDone, fnFail, fnProgress */ ) {
+						var fns = arguments;
+						return jQuery.Deferred(function( newDefer ) {
+							jQuery.each( tuples, function( i, tuple ) {
+								var fn = jQuery.isFunction( fns[ i ] ) && fns[ i ];
+								// deferred[ done | fail | progress ] for forwarding actions to newDefer
+								deferred[ tuple[1] ](function() {
+									var returned = fn && fn.apply( this, arguments );
+									if ( returned && jQuery.isFunction( returned.promise ) ) {
+										returned.promise()
+											.done( newDefer.resolve )
+											.fail( newDefer.reject )
+											.progress( newDefer.notify );
+									} else {
+										newDefer[ tuple[ 0 ] + "With" ]( this === promise ? newDefer.promise() : this, fn ? [ returned ] : arguments );
+									}
+								});
+							});
+							fns = null;
+						}).promise();
+					},
+					// Get a promise for this deferred
+					// If obj is provided, the promise aspect is added to the object
+					promise: function( obj ) {
+						return obj != null ? jQuery.extend( obj, promise ) : promise;
+					}
+				},
+				deferred = {};
+
+			// Keep pipe for back-compat
+			promise.pipe = promise.then;
+
+			// Add list-specific methods
+			jQuery.each( tuples, function( i, tuple ) {
+				var list = tuple[ 2 ],
+					stateString = tuple[ 3 ];
+
+				// promise[ done | fail | progress ] = list.add
+				promise[ tuple[1] ] = list.add;
+
+				// Handle state
+				if ( stateString ) {
+					list.add(function() {
+						// state = [ resolved | rejected ]
+						state = stateString;
+
+					// [ reject_list | resolve_list ].disable; progress_list.lock
+					}, tuples[ i ^ 1 ][ 2 ].disable, tuples[ 2 ][ 2 ].lock );
+				}
+
+				// deferred[ resolve | reject | notify ]
+				deferred[ tuple[0] ] = function() {
+					deferred[ tuple[0] + "With" ]( this === deferred ? promise : this, arguments );
+					return this;
+				};
+				deferred[ tuple[0] + "With" ] = list.fireWith;
+			});
+
+			// Make the deferred a promise
+			promise.promise( deferred );
+
+			// Call given func if any
+			if ( func ) {
+				func.call( deferred, deferred );
+			}
+
+			// All done!
+			return deferred;
+		},
+
+		// Deferred helper
+		when: function( subordinate /* , ..., subordinateN */ ) {
+			var i = 0,
+				resolveValues = slice.call( arguments ),
+				length = resolveValues.length,
+
+				// the count of uncompleted subordinates
+				remaining = length !== 1 || ( subordinate && jQuery.isFunction( subordinate.promise ) ) ? length : 0,
+
+				// the master Deferred. If resolveValues consist of only a single Deferred, just use that.
+				deferred = remaining === 1 ? subordinate : jQuery.Deferred(),
+
+				// Update function for both resolve and progress values
+				updateFunc = function( i, contexts, values ) {
+					return function( value ) {
+						contexts[ i ] = this;
+						values[ i ] = arguments.length > 1 ? slice.call( arguments ) : value;
+						if ( values === progressValues ) {
+							deferred.notifyWith( contexts, values );
+						} else if ( !( --remaining ) ) {
+							deferred.resolveWith( contexts, values );
+						}
+					};
+				},
+
+				progressValues, progressContexts, resolveContexts;
+
+			// Add listeners to Deferred subordinates; treat others as resolved
+			if ( length > 1 ) {
+				progressValues = new Array( length );
+				progressContexts = new Array( length );
+				resolveContexts = new Array( length );
+				for ( ; i < length; i++ ) {
+					if ( resolveValues[ i ] && jQuery.isFunction( resolveValues[ i ].promise ) ) {
+						resolveValues[ i ].promise()
+							.done( updateFunc( i, resolveContexts, resolveValues ) )
+							.fail( deferred.reject )
+							.progress( updateFunc( i, progressContexts, progressValues ) );
+					} else {
+						--remaining;
+					}
+				}
+			}
+
+			// If we're not waiting on anything, resolve the master
+			if ( !remaining ) {
+				deferred.resolveWith( resolveContexts, resolveValues );
+			}
+
+			return deferred.promise();
+		}
+	});
+
+
+	// The deferred used on DOM ready
+	var readyList;
+
+	jQuery.fn.ready = function( fn ) {
+		// Add the callback
+		jQuery.ready.promise().done( fn );
+
+		return this;
+	};
+
+	jQuery.extend({
+		// Is the DOM ready to be used? Set to true once it occurs.
+		isReady: false,
+
+		// A counter to track how many items to wait for before
+		// the ready event fires. See #6781
+		readyWait: 1,
+
+		// Hold (or release) the ready event
+		holdReady: function( hold ) {
+			if ( hold ) {
+				jQuery.readyWait++;
+			} else {
+				jQuery.ready( true );
+			}
+		},
+
+		// Handle when the DOM is ready
+		ready: function( wait ) {
+
+			// Abort if there are pending holds or we're already ready
+			if ( wait === true ? --jQuery.readyWait : jQuery.isReady ) {
+				return;
+			}
+
+			// Remember that the DOM is ready
+			jQuery.isReady = true;
+
+			// If a normal DOM Ready event fired, decrement, and wait if need be
+			if ( wait !== true && --jQuery.readyWait > 0 ) {
+				return;
+			}
+
+			// If there are functions bound, to execute
+			readyList.resolveWith( document, [ jQuery ] );
+
+			// Trigger any bound ready events
+			if ( jQuery.fn.triggerHandler ) {
+				jQuery( document ).triggerHandler( "ready" );
+				jQuery( document ).off( "ready" );
+			}
+		}
+	});
+
+	/**
+	 * The ready event handler and self cleanup method
+	 */
+	function completed() {
+		document.removeEventListener( "DOMContentLoaded", completed, false );
+		window.removeEventListener( "load", completed, false );
+		jQuery.ready();
+	}
+
+	jQuery.ready.promise = function( obj ) {
+		if ( !readyList ) {
+
+			readyList = jQuery.Deferred();
+
+			// Catch cases where $(document).ready() is called after the browser event has already occurred.
+			// We once tried to use readyState "interactive" here, but it caused issues like the one
+			// discovered by ChrisS here: http://bugs.jquery.com/ticket/12282#comment:15
+			if ( document.readyState === "complete" ) {
+				// Handle it asynchronously to allow scripts the opportunity to delay ready
+				setTimeout( jQuery.ready );
+
+			} else {
+
+				// Use the handy event callback
+				document.addEventListener( "DOMContentLoaded", completed, false );
+
+				// A fallback to window.onload, that will always work
+				window.addEventListener( "load", completed, false );
+			}
+		}
+		return readyList.promise( obj );
+	};
+
+	// Kick off the DOM ready check even if the user does not
+	jQuery.ready.promise();
+
+
+
+
+	// Multifunctional method to get and set values of a collection
+	// The value/s can optionally be executed if it's a function
+	var access = jQuery.access = function( elems, fn, key, value, chainable, emptyGet, raw ) {
+		var i = 0,
+			len = elems.length,
+			bulk = key == null;
+
+		// Sets many values
+		if ( jQuery.type( key ) === "object" ) {
+			chainable = true;
+			for ( i in key ) {
+				jQuery.access( elems, fn, i, key[i], true, emptyGet, raw );
+			}
+
+		// Sets one value
+		} else if ( value !== undefined ) {
+			chainable = true;
+
+			if ( !jQuery.isFunction( value ) ) {
+				raw = true;
+			}
+
+			if ( bulk ) {
+				// Bulk operations run against the entire set
+				if ( raw ) {
+					fn.call( elems, value );
+					fn = null;
+
+				// ...except when executing function values
+				} else {
+					bulk = fn;
+					fn = function( elem, key, value ) {
+						return bulk.call( jQuery( elem ), value );
+					};
+				}
+			}
+
+			if ( fn ) {
+				for ( ; i < len; i++ ) {
+					fn( elems[i], key, raw ? value : value.call( elems[i], i, fn( elems[i], key ) ) );
+				}
+			}
+		}
+
+		return chainable ?
+			elems :
+
+			// Gets
+			bulk ?
+				fn.call( elems ) :
+				len ? fn( elems[0], key ) : emptyGet;
+	};
+
+
+	/**
+	 * Determines whether an object can have data
+	 */
+	jQuery.acceptData = function( owner ) {
+		// Accepts only:
+		//  - Node
+		//    - Node.ELEMENT_NODE
+		//    - Node.DOCUMENT_NODE
+		//  - Object
+		//    - Any
+		/* jshint -W018 */
+		return owner.nodeType === 1 || owner.nodeType === 9 || !( +owner.nodeType );
+	};
+
+
+	function Data() {
+		// Support: Android<4,
+		// Old WebKit does not have Object.preventExtensions/freeze method,
+		// return new empty object instead with no [[set]] accessor
+		Object.defineProperty( this.cache = {}, 0, {
+			get: function() {
+				return {};
+			}
+		});
+
+		this.expando = jQuery.expando + Data.uid++;
+	}
+
+	Data.uid = 1;
+	Data.accepts = jQuery.acceptData;
+
+	Data.prototype = {
+		key: function( owner ) {
+			// We can accept data for non-element nodes in modern browsers,
+			// but we should not, see #8335.
+			// Always return the key for a frozen object.
+			if ( !Data.accepts( owner ) ) {
+				return 0;
+			}
+
+			var descriptor = {},
+				// Check if the owner object already has a cache key
+				unlock = owner[ this.expando ];
+
+			// If not, create one
+			if ( !unlock ) {
+				unlock = Data.uid++;
+
+				// Secure it in a non-enumerable, non-writable property
+				try {
+					descriptor[ this.expando ] = { value: unlock };
+					Object.defineProperties( owner, descriptor );
+
+				// Support: Android<4
+				// Fallback to a less secure definition
+				} catch ( e ) {
+					descriptor[ this.expando ] = unlock;
+					jQuery.extend( owner, descriptor );
+				}
+			}
+
+			// Ensure the cache object
+			if ( !this.cache[ unlock ] ) {
+				this.cache[ unlock ] = {};
+			}
+
+			return unlock;
+		},
+		set: function( owner, data, value ) {
+			var prop,
+				// There may be an unlock assigned to this node,
+				// if there is no entry for this "owner", create one inline
+				// and set the unlock as though an owner entry had always existed
+				unlock = this.key( owner ),
+				cache = this.cache[ unlock ];
+
+			// Handle: [ owner, key, value ] args
+			if ( typeof data === "string" ) {
+				cache[ data ] = value;
+
+			// Handle: [ owner, { properties } ] args
+			} else {
+				// Fresh assignments by object are shallow copied
+				if ( jQuery.isEmptyObject( cache ) ) {
+					jQuery.extend( this.cache[ unlock ], data );
+				// Otherwise, copy the properties one-by-one to the cache object
+				} else {
+					for ( prop in data ) {
+						cache[ prop ] = data[ prop ];
+					}
+				}
+			}
+			return cache;
+		},
+		get: function( owner, key ) {
+			// Either a valid cache is found, or will be created.
+			// New caches will be created and the unlock returned,
+			// allowing direct access to the newly created
+			// empty data object. A valid owner object must be provided.
+			var cache = this.cache[ this.key( owner ) ];
+
+			return key === undefined ?
+				cache : cache[ key ];
+		},
+		access: function( owner, key, value ) {
+			var stored;
+			// In cases where either:
+			//
+			//   1. No key was specified
+			//   2. A string key was specified, but no value provided
+			//
+			// Take the "read" path and allow the get method to determine
+			// which value to return, respectively either:
+			//
+			//   1. The entire cache object
+			//   2. The data stored at the key
+			//
+			if ( key === undefined ||
+					((key && typeof key === "string") && value === undefined) ) {
+
+				stored = this.get( owner, key );
+
+				return stored !== undefined ?
+					stored : this.get( owner, jQuery.camelCase(key) );
+			}
+
+			// [*]When the key is not a string, or both a key and value
+			// are specified, set or extend (existing objects) with either:
+			//
+			//   1. An object of properties
+			//   2. A key and value
+			//
+			this.set( owner, key, value );
+
+			// Since the "set" path can have two possible entry points
+			// return the expected data based on which path was taken[*]
+			return value !== undefined ? value : key;
+		},
+		remove: function( owner, key ) {
+			var i, name, camel,
+				unlock = this.key( owner ),
+				cache = this.cache[ unlock ];
+
+			if ( key === undefined ) {
+				this.cache[ unlock ] = {};
+
+			} else {
+				// Support array or space separated string of keys
+				if ( jQuery.isArray( key ) ) {
+					// If "name" is an array of keys...
+					// When data is initially created, via ("key", "val") signature,
+					// keys will be converted to camelCase.
+					// Since there is no way to tell _how_ a key was added, remove
+					// both plain key and camelCase key. #12786
+					// This will only penalize the array argument path.
+					name = key.concat( key.map( jQuery.camelCase ) );
+				} else {
+					camel = jQuery.camelCase( key );
+					// Try the string as a key before any manipulation
+					if ( key in cache ) {
+						name = [ key, camel ];
+					} else {
+						// If a key with the spaces exists, use it.
+						// Otherwise, create an array by matching non-whitespace
+						name = camel;
+						name = name in cache ?
+							[ name ] : ( name.match( rnotwhite ) || [] );
+					}
+				}
+
+				i = name.length;
+				while ( i-- ) {
+					delete cache[ name[ i ] ];
+				}
+			}
+		},
+		hasData: function( owner ) {
+			return !jQuery.isEmptyObject(
+				this.cache[ owner[ this.expando ] ] || {}
+			);
+		},
+		discard: function( owner ) {
+			if ( owner[ this.expando ] ) {
+				delete this.cache[ owner[ this.expando ] ];
+			}
+		}
+	};
+	var data_priv = new Data();
+
+	var data_user = new Data();
+
+
+
+	//	Implementation Summary
+	//
+	//	1. Enforce API surface and semantic compatibility with 1.9.x branch
+	//	2. Improve the module's maintainability by reducing the storage
+	//		paths to a single mechanism.
+	//	3. Use the same single mechanism to support "private" and "user" data.
+	//	4. _Never_ expose "private" data to user code (TODO: Drop _data, _removeData)
+	//	5. Avoid exposing implementation details on user objects (eg. expando properties)
+	//	6. Provide a clear path for implementation upgrade to WeakMap in 2014
+
+	var rbrace = /^(?:\{[\w\W]*\}|\[[\w\W]*\])$/,
+		rmultiDash = /([A-Z])/g;
+
+	function dataAttr( elem, key, data ) {
+		var name;
+
+		// If nothing was found internally, try to fetch any
+		// data from the HTML5 data-* attribute
+		if ( data === undefined && elem.nodeType === 1 ) {
+			name = "data-" + key.replace( rmultiDash, "-$1" ).toLowerCase();
+			data = elem.getAttribute( name );
+
+			if ( typeof data === "string" ) {
+				try {
+					data = data === "true" ? true :
+						data === "false" ? false :
+						data === "null" ? null :
+						// Only convert to a number if it doesn't change the string
+						+data + "" === data ? +data :
+						rbrace.test( data ) ? jQuery.parseJSON( data ) :
+						data;
+				} catch( e ) {}
+
+				// Make sure we set the data so it isn't changed later
+				data_user.set( elem, key, data );
+			} else {
+				data = undefined;
+			}
+		}
+		return data;
+	}
+
+	jQuery.extend({
+		hasData: function( elem ) {
+			return data_user.hasData( elem ) || data_priv.hasData( elem );
+		},
+
+		data: function( elem, name, data ) {
+			return data_user.access( elem, name, data );
+		},
+
+		removeData: function( elem, name ) {
+			data_user.remove( elem, name );
+		},
+
+		// TODO: Now that all calls to _data and _removeData have been replaced
+		// with direct calls to data_priv methods, these can be deprecated.
+		_data: function( elem, name, data ) {
+			return data_priv.access( elem, name, data );
+		},
+
+		_removeData: function( elem, name ) {
+			data_priv.remove( elem, name );
+		}
+	});
+
+	jQuery.fn.extend({
+		data: function( key, value ) {
+			var i, name, data,
+				elem = this[ 0 ],
+				attrs = elem && elem.attributes;
+
+			// Gets all values
+			if ( key === undefined ) {
+				if ( this.length ) {
+					data = data_user.get( elem );
+
+					if ( elem.nodeType === 1 && !data_priv.get( elem, "hasDataAttrs" ) ) {
+						i = attrs.length;
+						while ( i-- ) {
+
+							// Support: IE11+
+							// The attrs elements can be null (#14894)
+							if ( attrs[ i ] ) {
+								name = attrs[ i ].name;
+								if ( name.indexOf( "data-" ) === 0 ) {
+									name = jQuery.camelCase( name.slice(5) );
+									dataAttr( elem, name, data[ name ] );
+								}
+							}
+						}
+						data_priv.set( elem, "hasDataAttrs", true );
+					}
+				}
+
+				return data;
+			}
+
+			// Sets multiple values
+			if ( typeof key === "object" ) {
+				return this.each(function() {
+					data_user.set( this, key );
+				});
+			}
+
+			return access( this, function( value ) {
+				var data,
+					camelKey = jQuery.camelCase( key );
+
+				// The calling jQuery object (element matches) is not empty
+				// (and therefore has an element appears at this[ 0 ]) and the
+				// `value` parameter was not undefined. An empty jQuery object
+				// will result in `undefined` for elem = this[ 0 ] which will
+				// throw an exception if an attempt to read a data cache is made.
+				if ( elem && value === undefined ) {
+					// Attempt to get data from the cache
+					// with the key as-is
+					data = data_user.get( elem, key );
+					if ( data !== undefined ) {
+						return data;
+					}
+
+					// Attempt to get data from the cache
+					// with the key camelized
+					data = data_user.get( elem, camelKey );
+					if ( data !== undefined ) {
+						return data;
+					}
+
+					// Attempt to "discover" the data in
+					// HTML5 custom data-* attrs
+					data = dataAttr( elem, camelKey, undefined );
+					if ( data !== undefined ) {
+						return data;
+					}
+
+					// We tried really hard, but the data doesn't exist.
+					return;
+				}
+
+				// Set the data...
+				this.each(function() {
+					// First, attempt to store a copy or reference of any
+					// data that might've been store with a camelCased key.
+					var data = data_user.get( this, camelKey );
+
+					// For HTML5 data-* attribute interop, we have to
+					// store property names with dashes in a camelCase form.
+					// This might not apply to all properties...*
+					data_user.set( this, camelKey, value );
+
+					// *... In the case of properties that might _actually_
+					// have dashes, we need to also store a copy of that
+					// unchanged property.
+					if ( key.indexOf("-") !== -1 && data !== undefined ) {
+						data_user.set( this, key, value );
+					}
+				});
+			}, null, value, arguments.length > 1, null, true );
+		},
+
+		removeData: function( key ) {
+			return this.each(function() {
+				data_user.remove( this, key );
+			});
+		}
+	});
+
+
+	jQuery.extend({
+		queue: function( elem, type, data ) {
+			var queue;
+
+			if ( elem ) {
+				type = ( type || "fx" ) + "queue";
+				queue = data_priv.get( elem, type );
+
+				// Speed up dequeue by getting out quickly if this is just a lookup
+				if ( data ) {
+					if ( !queue || jQuery.isArray( data ) ) {
+						queue = data_priv.access( elem, type, jQuery.makeArray(data) );
+					} else {
+						queue.push( data );
+					}
+				}
+				return queue || [];
+			}
+		},
+
+		dequeue: function( elem, type ) {
+			type = type || "fx";
+
+			var queue = jQuery.queue( elem, type ),
+				startLength = queue.length,
+				fn = queue.shift(),
+				hooks = jQuery._queueHooks( elem, type ),
+				next = function() {
+					jQuery.dequeue( elem, type );
+				};
+
+			// If the fx queue is dequeued, always remove the progress sentinel
+			if ( fn === "inprogress" ) {
+				fn = queue.shift();
+				startLength--;
+			}
+
+			if ( fn ) {
+
+				// Add a progress sentinel to prevent the fx queue from being
+				// automatically dequeued
+				if ( type === "fx" ) {
+					queue.unshift( "inprogress" );
+				}
+
+				// Clear up the last queue stop function
+				delete hooks.stop;
+				fn.call( elem, next, hooks );
+			}
+
+			if ( !startLength && hooks ) {
+				hooks.empty.fire();
+			}
+		},
+
+		// Not public - generate a queueHooks object, or return the current one
+		_queueHooks: function( elem, type ) {
+			var key = type + "queueHooks";
+			return data_priv.get( elem, key ) || data_priv.access( elem, key, {
+				empty: jQuery.Callbacks("once memory").add(function() {
+					data_priv.remove( elem, [ type + "queue", key ] );
+				})
+			});
+		}
+	});
+
+	jQuery.fn.extend({
+		queue: function( type, data ) {
+			var setter = 2;
+
+			if ( typeof type !== "string" ) {
+				data = type;
+				type = "fx";
+				setter--;
+			}
+
+			if ( arguments.length < setter ) {
+				return jQuery.queue( this[0], type );
+			}
+
+			return data === undefined ?
+				this :
+				this.each(function() {
+					var queue = jQuery.queue( this, type, data );
+
+					// Ensure a hooks for this queue
+					jQuery._queueHooks( this, type );
+
+					if ( type === "fx" && queue[0] !== "inprogress" ) {
+						jQuery.dequeue( this, type );
+					}
+				});
+		},
+		dequeue: function( type ) {
+			return this.each(function() {
+				jQuery.dequeue( this, type );
+			});
+		},
+		clearQueue: function( type ) {
+			return this.queue( type || "fx", [] );
+		},
+		// Get a promise resolved when queues of a certain type
+		// are emptied (fx is the type by default)
+		promise: function( type, obj ) {
+			var tmp,
+				count = 1,
+				defer = jQuery.Deferred(),
+				elements = this,
+				i = this.length,
+				resolve = function() {
+					if ( !( --count ) ) {
+						defer.resolveWith( elements, [ elements ] );
+					}
+				};
+
+			if ( typeof type !== "string" ) {
+				obj = type;
+				type = undefined;
+			}
+			type = type || "fx";
+
+			while ( i-- ) {
+				tmp = data_priv.get( elements[ i ], type + "queueHooks" );
+				if ( tmp && tmp.empty ) {
+					count++;
+					tmp.empty.add( resolve );
+				}
+			}
+			resolve();
+			return defer.promise( obj );
+		}
+	});
+	var pnum = (/[+-]?(?:\d*\.|)\d+(?:[eE][+-]?\d+|)/).source;
+
+	var cssExpand = [ "Top", "Right", "Bottom", "Left" ];
+
+	var isHidden = function( elem, el ) {
+			// isHidden might be called from jQuery#filter function;
+			// in that case, element will be second argument
+			elem = el || elem;
+			return jQuery.css( elem, "display" ) === "none" || !jQuery.contains( elem.ownerDocument, elem );
+		};
+
+	var rcheckableType = (/^(?:checkbox|radio)$/i);
+
+
+
+	(function() {
+		var fragment = document.createDocumentFragment(),
+			div = fragment.appendChild( document.createElement( "div" ) ),
+			input = document.createElement( "input" );
+
+		// Support: Safari<=5.1
+		// Check state lost if the name is set (#11217)
+		// Support: Windows Web Apps (WWA)
+		// `name` and `type` must use .setAttribute for WWA (#14901)
+		input.setAttribute( "type", "radio" );
+		input.setAttribute( "checked", "checked" );
+		input.setAttribute( "name", "t" );
+
+		div.appendChild( input );
+
+		// Support: Safari<=5.1, Android<4.2
+		// Older WebKit doesn't clone checked state correctly in fragments
+		support.checkClone = div.cloneNode( true ).cloneNode( true ).lastChild.checked;
+
+		// Support: IE<=11+
+		// Make sure textarea (and checkbox) defaultValue is properly cloned
+		div.innerHTML = "<textarea>x</textarea>";
+		support.noCloneChecked = !!div.cloneNode( true ).lastChild.defaultValue;
+	})();
+	var strundefined = typeof undefined;
+
+
+
+	support.focusinBubbles = "onfocusin" in window;
+
+
+	var
+		rkeyEvent = /^key/,
+		rmouseEvent = /^(?:mouse|pointer|contextmenu)|click/,
+		rfocusMorph = /^(?:focusinfocus|focusoutblur)$/,
+		rtypenamespace = /^([^.]*)(?:\.(.+)|)$/;
+
+	function returnTrue() {
+		return true;
+	}
+
+	function returnFalse() {
+		return false;
+	}
+
+	function safeActiveElement() {
+		try {
+			return document.activeElement;
+		} catch ( err ) { }
+	}
+
+	/*
+	 * Helper functions for managing events -- not part of the public interface.
+	 * Props to Dean Edwards' addEvent library for many of the ideas.
+	 */
+	jQuery.event = {
+
+		global: {},
+
+		add: function( elem, types, handler, data, selector ) {
+
+			var handleObjIn, eventHandle, tmp,
+				events, t, handleObj,
+				special, handlers, type, namespaces, origType,
+				elemData = data_priv.get( elem );
+
+			// Don't attach events to noData or text/comment nodes (but allow plain objects)
+			if ( !elemData ) {
+				return;
+			}
+
+			// Caller can pass in an object of custom data in lieu of the handler
+			if ( handler.handler ) {
+				handleObjIn = handler;
+				handler = handleObjIn.handler;
+				selector = handleObjIn.selector;
+			}
+
+			// Make sure that the handler has a unique ID, used to find/remove it later
+			if ( !handler.guid ) {
+				handler.guid = jQuery.guid++;
+			}
+
+			// Init the element's event structure and main handler, if this is the first
+			if ( !(events = elemData.events) ) {
+				events = elemData.events = {};
+			}
+			if ( !(eventHandle = elemData.handle) ) {
+				eventHandle = elemData.handle = function( e ) {
+					// Discard the second event of a jQuery.event.trigger() and
+					// when an event is called after a page has unloaded
+					return typeof jQuery !== strundefined && jQuery.event.triggered !== e.type ?
+						jQuery.event.dispatch.apply( elem, arguments ) : undefined;
+				};
+			}
+
+			// Handle multiple events separated by a space
+			types = ( types || "" ).match( rnotwhite ) || [ "" ];
+			t = types.length;
+			while ( t-- ) {
+				tmp = rtypenamespace.exec( types[t] ) || [];
+				type = origType = tmp[1];
+				namespaces = ( tmp[2] || "" ).split( "." ).sort();
+
+				// There *must* be a type, no attaching namespace-only handlers
+				if ( !type ) {
+					continue;
+				}
+
+				// If event changes its type, use the special event handlers for the changed type
+				special = jQuery.event.special[ type ] || {};
+
+				// If selector defined, determine special event api type, otherwise given type
+				type = ( selector ? special.delegateType : special.bindType ) || type;
+
+				// Update special based on newly reset type
+				special = jQuery.event.special[ type ] || {};
+
+				// handleObj is passed to all event handlers
+				handleObj = jQuery.extend({
+					type: type,
+					origType: origType,
+					data: data,
+					handler: handler,
+					guid: handler.guid,
+					selector: selector,
+					needsContext: selector && jQuery.expr.match.needsContext.test( selector ),
+					namespace: namespaces.join(".")
+				}, handleObjIn );
+
+				// Init the event handler queue if we're the first
+				if ( !(handlers = events[ type ]) ) {
+					handlers = events[ type ] = [];
+					handlers.delegateCount = 0;
+
+					// Only use addEventListener if the special events handler returns false
+					if ( !special.setup || special.setup.call( elem, data, namespaces, eventHandle ) === false ) {
+						if ( elem.addEventListener ) {
+							elem.addEventListener( type, eventHandle, false );
+						}
+					}
+				}
+
+				if ( special.add ) {
+					special.add.call( elem, handleObj );
+
+					if ( !handleObj.handler.guid ) {
+						handleObj.handler.guid = handler.guid;
+					}
+				}
+
+				// Add to the element's handler list, delegates in front
+				if ( selector ) {
+					handlers.splice( handlers.delegateCount++, 0, handleObj );
+				} else {
+					handlers.push( handleObj );
+				}
+
+				// Keep track of which events have ever been used, for event optimization
+				jQuery.event.global[ type ] = true;
+			}
+
+		},
+
+		// Detach an event or set of events from an element
+		remove: function( elem, types, handler, selector, mappedTypes ) {
+
+			var j, origCount, tmp,
+				events, t, handleObj,
+				special, handlers, type, namespaces, origType,
+				elemData = data_priv.hasData( elem ) && data_priv.get( elem );
+
+			if ( !elemData || !(events = elemData.events) ) {
+				return;
+			}
+
+			// Once for each type.namespace in types; type may be omitted
+			types = ( types || "" ).match( rnotwhite ) || [ "" ];
+			t = types.length;
+			while ( t-- ) {
+				tmp = rtypenamespace.exec( types[t] ) || [];
+				type = origType = tmp[1];
+				namespaces = ( tmp[2] || "" ).split( "." ).sort();
+
+				// Unbind all events (on this namespace, if provided) for the element
+				if ( !type ) {
+					for ( type in events ) {
+						jQuery.event.remove( elem, type + types[ t ], handler, selector, true );
+					}
+					continue;
+				}
+
+				special = jQuery.event.special[ type ] || {};
+				type = ( selector ? special.delegateType : special.bindType ) || type;
+				handlers = events[ type ] || [];
+				tmp = tmp[2] && new RegExp( "(^|\\.)" + namespaces.join("\\.(?:.*\\.|)") + "(\\.|$)" );
+
+				// Remove matching events
+				origCount = j = handlers.length;
+				while ( j-- ) {
+					handleObj = handlers[ j ];
+
+					if ( ( mappedTypes || origType === handleObj.origType ) &&
+						( !handler || handler.guid === handleObj.guid ) &&
+						( !tmp || tmp.test( handleObj.namespace ) ) &&
+						( !selector || selector === handleObj.selector || selector === "**" && handleObj.selector ) ) {
+						handlers.splice( j, 1 );
+
+						if ( handleObj.selector ) {
+							handlers.delegateCount--;
+						}
+						if ( special.remove ) {
+							special.remove.call( elem, handleObj );
+						}
+					}
+				}
+
+				// Remove generic event handler if we removed something and no more handlers exist
+				// (avoids potential for endless recursion during removal of special event handlers)
+				if ( origCount && !handlers.length ) {
+					if ( !special.teardown || special.teardown.call( elem, namespaces, elemData.handle ) === false ) {
+						jQuery.removeEvent( elem, type, elemData.handle );
+					}
+
+					delete events[ type ];
+				}
+			}
+
+			// Remove the expando if it's no longer used
+			if ( jQuery.isEmptyObject( events ) ) {
+				delete elemData.handle;
+				data_priv.remove( elem, "events" );
+			}
+		},
+
+		trigger: function( event, data, elem, onlyHandlers ) {
+
+			var i, cur, tmp, bubbleType, ontype, handle, special,
+				eventPath = [ elem || document ],
+				type = hasOwn.call( event, "type" ) ? event.type : event,
+				namespaces = hasOwn.call( event, "namespace" ) ? event.namespace.split(".") : [];
+
+			cur = tmp = elem = elem || document;
+
+			// Don't do events on text and comment nodes
+			if ( elem.nodeType === 3 || elem.nodeType === 8 ) {
+				return;
+			}
+
+			// focus/blur morphs to focusin/out; ensure we're not firing them right now
+			if ( rfocusMorph.test( type + jQuery.event.triggered ) ) {
+				return;
+			}
+
+			if ( type.indexOf(".") >= 0 ) {
+				// Namespaced trigger; create a regexp to match event type in handle()
+				namespaces = type.split(".");
+				type = namespaces.shift();
+				namespaces.sort();
+			}
+			ontype = type.indexOf(":") < 0 && "on" + type;
+
+			// Caller can pass in a jQuery.Event object, Object, or just an event type string
+			event = event[ jQuery.expando ] ?
+				event :
+				new jQuery.Event( type, typeof event === "object" && event );
+
+			// Trigger bitmask: & 1 for native handlers; & 2 for jQuery (always true)
+			event.isTrigger = onlyHandlers ? 2 : 3;
+			event.namespace = namespaces.join(".");
+			event.namespace_re = event.namespace ?
+				new RegExp( "(^|\\.)" + namespaces.join("\\.(?:.*\\.|)") + "(\\.|$)" ) :
+				null;
+
+			// Clean up the event in case it is being reused
+			event.result = undefined;
+			if ( !event.target ) {
+				event.target = elem;
+			}
+
+			// Clone any incoming data and prepend the event, creating the handler arg list
+			data = data == null ?
+				[ event ] :
+				jQuery.makeArray( data, [ event ] );
+
+			// Allow special events to draw outside the lines
+			special = jQuery.event.special[ type ] || {};
+			if ( !onlyHandlers && special.trigger && special.trigger.apply( elem, data ) === false ) {
+				return;
+			}
+
+			// Determine event propagation path in advance, per W3C events spec (#9951)
+			// Bubble up to document, then to window; watch for a global ownerDocument var (#9724)
+			if ( !onlyHandlers && !special.noBubble && !jQuery.isWindow( elem ) ) {
+
+				bubbleType = special.delegateType || type;
+				if ( !rfocusMorph.test( bubbleType + type ) ) {
+					cur = cur.parentNode;
+				}
+				for ( ; cur; cur = cur.parentNode ) {
+					eventPath.push( cur );
+					tmp = cur;
+				}
+
+				// Only add window if we got to document (e.g., not plain obj or detached DOM)
+				if ( tmp === (elem.ownerDocument || document) ) {
+					eventPath.push( tmp.defaultView || tmp.parentWindow || window );
+				}
+			}
+
+			// Fire handlers on the event path
+			i = 0;
+			while ( (cur = eventPath[i++]) && !event.isPropagationStopped() ) {
+
+				event.type = i > 1 ?
+					bubbleType :
+					special.bindType || type;
+
+				// jQuery handler
+				handle = ( data_priv.get( cur, "events" ) || {} )[ event.type ] && data_priv.get( cur, "handle" );
+				if ( handle ) {
+					handle.apply( cur, data );
+				}
+
+				// Native handler
+				handle = ontype && cur[ ontype ];
+				if ( handle && handle.apply && jQuery.acceptData( cur ) ) {
+					event.result = handle.apply( cur, data );
+					if ( event.result === false ) {
+						event.preventDefault();
+					}
+				}
+			}
+			event.type = type;
+
+			// If nobody prevented the default action, do it now
+			if ( !onlyHandlers && !event.isDefaultPrevented() ) {
+
+				if ( (!special._default || special._default.apply( eventPath.pop(), data ) === false) &&
+					jQuery.acceptData( elem ) ) {
+
+					// Call a native DOM method on the target with the same name name as the event.
+					// Don't do default actions on window, that's where global variables be (#6170)
+					if ( ontype && jQuery.isFunction( elem[ type ] ) && !jQuery.isWindow( elem ) ) {
+
+						// Don't re-trigger an onFOO event when we call its FOO() method
+						tmp = elem[ ontype ];
+
+						if ( tmp ) {
+							elem[ ontype ] = null;
+						}
+
+						// Prevent re-triggering of the same event, since we already bubbled it above
+						jQuery.event.triggered = type;
+						elem[ type ]();
+						jQuery.event.triggered = undefined;
+
+						if ( tmp ) {
+							elem[ ontype ] = tmp;
+						}
+					}
+				}
+			}
+
+			return event.result;
+		},
+
+		dispatch: function( event ) {
+
+			// Make a writable jQuery.Event from the native event object
+			event = jQuery.event.fix( event );
+
+			var i, j, ret, matched, handleObj,
+				handlerQueue = [],
+				args = slice.call( arguments ),
+				handlers = ( data_priv.get( this, "events" ) || {} )[ event.type ] || [],
+				special = jQuery.event.special[ event.type ] || {};
+
+			// Use the fix-ed jQuery.Event rather than the (read-only) native event
+			args[0] = event;
+			event.delegateTarget = this;
+
+			// Call the preDispatch hook for the mapped type, and let it bail if desired
+			if ( special.preDispatch && special.preDispatch.call( this, event ) === false ) {
+				return;
+			}
+
+			// Determine handlers
+			handlerQueue = jQuery.event.handlers.call( this, event, handlers );
+
+			// Run delegates first; they may want to stop propagation beneath us
+			i = 0;
+			while ( (matched = handlerQueue[ i++ ]) && !event.isPropagationStopped() ) {
+				event.currentTarget = matched.elem;
+
+				j = 0;
+				while ( (handleObj = matched.handlers[ j++ ]) && !event.isImmediatePropagationStopped() ) {
+
+					// Triggered event must either 1) have no namespace, or 2) have namespace(s)
+					// a subset or equal to those in the bound event (both can have no namespace).
+					if ( !event.namespace_re || event.namespace_re.test( handleObj.namespace ) ) {
+
+						event.handleObj = handleObj;
+						event.data = handleObj.data;
+
+						ret = ( (jQuery.event.special[ handleObj.origType ] || {}).handle || handleObj.handler )
+								.apply( matched.elem, args );
+
+						if ( ret !== undefined ) {
+							if ( (event.result = ret) === false ) {
+								event.preventDefault();
+								event.stopPropagation();
+							}
+						}
+					}
+				}
+			}
+
+			// Call the postDispatch hook for the mapped type
+			if ( special.postDispatch ) {
+				special.postDispatch.call( this, event );
+			}
+
+			return event.result;
+		},
+
+		handlers: function( event, handlers ) {
+			var i, matches, sel, handleObj,
+				handlerQueue = [],
+				delegateCount = handlers.delegateCount,
+				cur = event.target;
+
+			// Find delegate handlers
+			// Black-hole SVG <use> instance trees (#13180)
+			// Avoid non-left-click bubbling in Firefox (#3861)
+			if ( delegateCount && cur.nodeType && (!event.button || event.type !== "click") ) {
+
+				for ( ; cur !== this; cur = cur.parentNode || this ) {
+
+					// Don't process clicks on disabled elements (#6911, #8165, #11382, #11764)
+					if ( cur.disabled !== true || event.type !== "click" ) {
+						matches = [];
+						for ( i = 0; i < delegateCount; i++ ) {
+							handleObj = handlers[ i ];
+
+							// Don't conflict with Object.prototype properties (#13203)
+							sel = handleObj.selector + " ";
+
+							if ( matches[ sel ] === undefined ) {
+								matches[ sel ] = handleObj.needsContext ?
+									jQuery( sel, this ).index( cur ) >= 0 :
+									jQuery.find( sel, this, null, [ cur ] ).length;
+							}
+							if ( matches[ sel ] ) {
+								matches.push( handleObj );
+							}
+						}
+						if ( matches.length ) {
+							handlerQueue.push({ elem: cur, handlers: matches });
+						}
+					}
+				}
+			}
+
+			// Add the remaining (directly-bound) handlers
+			if ( delegateCount < handlers.length ) {
+				handlerQueue.push({ elem: this, handlers: handlers.slice( delegateCount ) });
+			}
+
+			return handlerQueue;
+		},
+
+		// Includes some event props shared by KeyEvent and MouseEvent
+		props: "altKey bubbles cancelable ctrlKey currentTarget eventPhase metaKey relatedTarget shiftKey target timeStamp view which".split(" "),
+
+		fixHooks: {},
+
+		keyHooks: {
+			props: "char charCode key keyCode".split(" "),
+			filter: function( event, original ) {
+
+				// Add which for key events
+				if ( event.which == null ) {
+					event.which = original.charCode != null ? original.charCode : original.keyCode;
+				}
+
+				return event;
+			}
+		},
+
+		mouseHooks: {
+			props: "button buttons clientX clientY offsetX offsetY pageX pageY screenX screenY toElement".split(" "),
+			filter: function( event, original ) {
+				var eventDoc, doc, body,
+					button = original.button;
+
+				// Calculate pageX/Y if missing and clientX/Y available
+				if ( event.pageX == null && original.clientX != null ) {
+					eventDoc = event.target.ownerDocument || document;
+					doc = eventDoc.documentElement;
+					body = eventDoc.body;
+
+					event.pageX = original.clientX + ( doc && doc.scrollLeft || body && body.scrollLeft || 0 ) - ( doc && doc.clientLeft || body && body.clientLeft || 0 );
+					event.pageY = original.clientY + ( doc && doc.scrollTop  || body && body.scrollTop  || 0 ) - ( doc && doc.clientTop  || body && body.clientTop  || 0 );
+				}
+
+				// Add which for click: 1 === left; 2 === middle; 3 === right
+				// Note: button is not normalized, so don't use it
+				if ( !event.which && button !== undefined ) {
+					event.which = ( button & 1 ? 1 : ( button & 2 ? 3 : ( button & 4 ? 2 : 0 ) ) );
+				}
+
+				return event;
+			}
+		},
+
+		fix: function( event ) {
+			if ( event[ jQuery.expando ] ) {
+				return event;
+			}
+
+			// Create a writable copy of the event object and normalize some properties
+			var i, prop, copy,
+				type = event.type,
+				originalEvent = event,
+				fixHook = this.fixHooks[ type ];
+
+			if ( !fixHook ) {
+				this.fixHooks[ type ] = fixHook =
+					rmouseEvent.test( type ) ? this.mouseHooks :
+					rkeyEvent.test( type ) ? this.keyHooks :
+					{};
+			}
+			copy = fixHook.props ? this.props.concat( fixHook.props ) : this.props;
+
+			event = new jQuery.Event( originalEvent );
+
+			i = copy.length;
+			while ( i-- ) {
+				prop = copy[ i ];
+				event[ prop ] = originalEvent[ prop ];
+			}
+
+			// Support: Cordova 2.5 (WebKit) (#13255)
+			// All events should have a target; Cordova deviceready doesn't
+			if ( !event.target ) {
+				event.target = document;
+			}
+
+			// Support: Safari 6.0+, Chrome<28
+			// Target should not be a text node (#504, #13143)
+			if ( event.target.nodeType === 3 ) {
+				event.target = event.target.parentNode;
+			}
+
+			return fixHook.filter ? fixHook.filter( event, originalEvent ) : event;
+		},
+
+		special: {
+			load: {
+				// Prevent triggered image.load events from bubbling to window.load
+				noBubble: true
+			},
+			focus: {
+				// Fire native event if possible so blur/focus sequence is correct
+				trigger: function() {
+					if ( this !== safeActiveElement() && this.focus ) {
+						this.focus();
+						return false;
+					}
+				},
+				delegateType: "focusin"
+			},
+			blur: {
+				trigger: function() {
+					if ( this === safeActiveElement() && this.blur ) {
+						this.blur();
+						return false;
+					}
+				},
+				delegateType: "focusout"
+			},
+			click: {
+				// For checkbox, fire native event so checked state will be right
+				trigger: function() {
+					if ( this.type === "checkbox" && this.click && jQuery.nodeName( this, "input" ) ) {
+						this.click();
+						return false;
+					}
+				},
+
+				// For cross-browser consistency, don't fire native .click() on links
+				_default: function( event ) {
+					return jQuery.nodeName( event.target, "a" );
+				}
+			},
+
+			beforeunload: {
+				postDispatch: function( event ) {
+
+					// Support: Firefox 20+
+					// Firefox doesn't alert if the returnValue field is not set.
+					if ( event.result !== undefined && event.originalEvent ) {
+						event.originalEvent.returnValue = event.result;
+					}
+				}
+			}
+		},
+
+		simulate: function( type, elem, event, bubble ) {
+			// Piggyback on a donor event to simulate a different one.
+			// Fake originalEvent to avoid donor's stopPropagation, but if the
+			// simulated event prevents default then we do the same on the donor.
+			var e = jQuery.extend(
+				new jQuery.Event(),
+				event,
+				{
+					type: type,
+					isSimulated: true,
+					originalEvent: {}
+				}
+			);
+			if ( bubble ) {
+				jQuery.event.trigger( e, null, elem );
+			} else {
+				jQuery.event.dispatch.call( elem, e );
+			}
+			if ( e.isDefaultPrevented() ) {
+				event.preventDefault();
+			}
+		}
+	};
+
+	jQuery.removeEvent = function( elem, type, handle ) {
+		if ( elem.removeEventListener ) {
+			elem.removeEventListener( type, handle, false );
+		}
+	};
+
+	jQuery.Event = function( src, props ) {
+		// Allow instantiation without the 'new' keyword
+		if ( !(this instanceof jQuery.Event) ) {
+			return new jQuery.Event( src, props );
+		}
+
+		// Event object
+		if ( src && src.type ) {
+			this.originalEvent = src;
+			this.type = src.type;
+
+			// Events bubbling up the document may have been marked as prevented
+			// by a handler lower down the tree; reflect the correct value.
+			this.isDefaultPrevented = src.defaultPrevented ||
+					src.defaultPrevented === undefined &&
+					// Support: Android<4.0
+					src.returnValue === false ?
+				returnTrue :
+				returnFalse;
+
+		// Event type
+		} else {
+			this.type = src;
+		}
+
+		// Put explicitly provided properties onto the event object
+		if ( props ) {
+			jQuery.extend( this, props );
+		}
+
+		// Create a timestamp if incoming event doesn't have one
+		this.timeStamp = src && src.timeStamp || jQuery.now();
+
+		// Mark it as fixed
+		this[ jQuery.expando ] = true;
+	};
+
+	// jQuery.Event is based on DOM3 Events as specified by the ECMAScript Language Binding
+	// http://www.w3.org/TR/2003/WD-DOM-Level-3-Events-20030331/ecma-script-binding.html
+	jQuery.Event.prototype = {
+		isDefaultPrevented: returnFalse,
+		isPropagationStopped: returnFalse,
+		isImmediatePropagationStopped: returnFalse,
+
+		preventDefault: function() {
+			var e = this.originalEvent;
+
+			this.isDefaultPrevented = returnTrue;
+
+			if ( e && e.preventDefault ) {
+				e.preventDefault();
+			}
+		},
+		stopPropagation: function() {
+			var e = this.originalEvent;
+
+			this.isPropagationStopped = returnTrue;
+
+			if ( e && e.stopPropagation ) {
+				e.stopPropagation();
+			}
+		},
+		stopImmediatePropagation: function() {
+			var e = this.originalEvent;
+
+			this.isImmediatePropagationStopped = returnTrue;
+
+			if ( e && e.stopImmediatePropagation ) {
+				e.stopImmediatePropagation();
+			}
+
+			this.stopPropagation();
+		}
+	};
+
+	// Create mouseenter/leave events using mouseover/out and event-time checks
+	// Support: Chrome 15+
+	jQuery.each({
+		mouseenter: "mouseover",
+		mouseleave: "mouseout",
+		pointerenter: "pointerover",
+		pointerleave: "pointerout"
+	}, function( orig, fix ) {
+		jQuery.event.special[ orig ] = {
+			delegateType: fix,
+			bindType: fix,
+
+			handle: function( event ) {
+				var ret,
+					target = this,
+					related = event.relatedTarget,
+					handleObj = event.handleObj;
+
+				// For mousenter/leave call the handler if related is outside the target.
+				// NB: No relatedTarget if the mouse left/entered the browser window
+				if ( !related || (related !== target && !jQuery.contains( target, related )) ) {
+					event.type = handleObj.origType;
+					ret = handleObj.handler.apply( this, arguments );
+					event.type = fix;
+				}
+				return ret;
+			}
+		};
+	});
+
+	// Support: Firefox, Chrome, Safari
+	// Create "bubbling" focus and blur events
+	if ( !support.focusinBubbles ) {
+		jQuery.each({ focus: "focusin", blur: "focusout" }, function( orig, fix ) {
+
+			// Attach a single capturing handler on the document while someone wants focusin/focusout
+			var handler = function( event ) {
+					jQuery.event.simulate( fix, event.target, jQuery.event.fix( event ), true );
+				};
+
+			jQuery.event.special[ fix ] = {
+				setup: function() {
+					var doc = this.ownerDocument || this,
+						attaches = data_priv.access( doc, fix );
+
+					if ( !attaches ) {
+						doc.addEventListener( orig, handler, true );
+					}
+					data_priv.access( doc, fix, ( attaches || 0 ) + 1 );
+				},
+				teardown: function() {
+					var doc = this.ownerDocument || this,
+						attaches = data_priv.access( doc, fix ) - 1;
+
+					if ( !attaches ) {
+						doc.removeEventListener( orig, handler, true );
+						data_priv.remove( doc, fix );
+
+					} else {
+						data_priv.access( doc, fix, attaches );
+					}
+				}
+			};
+		});
+	}
+
+	jQuery.fn.extend({
+
+		on: function( types, selector, data, fn, /*INTERNAL*/ one ) {
+			var origFn, type;
+
+			// Types can be a map of types/handlers
+			if ( typeof types === "object" ) {
+				// ( types-Object, selector, data )
+				if ( typeof selector !== "string" ) {
+					// ( types-Object, data )
+					data = data || selector;
+					selector = undefined;
+				}
+				for ( type in types ) {
+					this.on( type, selector, data, types[ type ], one );
+				}
+				return this;
+			}
+
+			if ( data == null && fn == null ) {
+				// ( types, fn )
+				fn = selector;
+				data = selector = undefined;
+			} else if ( fn == null ) {
+				if ( typeof selector === "string" ) {
+					// ( types, selector, fn )
+					fn = data;
+					data = undefined;
+				} else {
+					// ( types, data, fn )
+					fn = data;
+					data = selector;
+					selector = undefined;
+				}
+			}
+			if ( fn === false ) {
+				fn = returnFalse;
+			} else if ( !fn ) {
+				return this;
+			}
+
+			if ( one === 1 ) {
+				origFn = fn;
+				fn = function( event ) {
+					// Can use an empty set, since event contains the info
+					jQuery().off( event );
+					return origFn.apply( this, arguments );
+				};
+				// Use same guid so caller can remove using origFn
+				fn.guid = origFn.guid || ( origFn.guid = jQuery.guid++ );
+			}
+			return this.each( function() {
+				jQuery.event.add( this, types, fn, data, selector );
+			});
+		},
+		one: function( types, selector, data, fn ) {
+			return this.on( types, selector, data, fn, 1 );
+		},
+		off: function( types, selector, fn ) {
+			var handleObj, type;
+			if ( types && types.preventDefault && types.handleObj ) {
+				// ( event )  dispatched jQuery.Event
+				handleObj = types.handleObj;
+				jQuery( types.delegateTarget ).off(
+					handleObj.namespace ? handleObj.origType + "." + handleObj.namespace : handleObj.origType,
+					handleObj.selector,
+					handleObj.handler
+				);
+				return this;
+			}
+			if ( typeof types === "object" ) {
+				// ( types-object [, selector] )
+				for ( type in types ) {
+					this.off( type, selector, types[ type ] );
+				}
+				return this;
+			}
+			if ( selector === false || typeof selector === "function" ) {
+				// ( types [, fn] )
+				fn = selector;
+				selector = undefined;
+			}
+			if ( fn === false ) {
+				fn = returnFalse;
+			}
+			return this.each(function() {
+				jQuery.event.remove( this, types, fn, selector );
+			});
+		},
+
+		trigger: function( type, data ) {
+			return this.each(function() {
+				jQuery.event.trigger( type, data, this );
+			});
+		},
+		triggerHandler: function( type, data ) {
+			var elem = this[0];
+			if ( elem ) {
+				return jQuery.event.trigger( type, data, elem, true );
+			}
+		}
+	});
+
+
+	var
+		rxhtmlTag = /<(?!area|br|col|embed|hr|img|input|link|meta|param)(([\w:]+)[^>]*)\/>/gi,
+		rtagName = /<([\w:]+)/,
+		rhtml = /<|&#?\w+;/,
+		rnoInnerhtml = /<(?:script|style|link)/i,
+		// checked="checked" or checked
+		rchecked = /checked\s*(?:[^=]|=\s*.checked.)/i,
+		rscriptType = /^$|\/(?:java|ecma)script/i,
+		rscriptTypeMasked = /^true\/(.*)/,
+		rcleanScript = /^\s*<!(?:\[CDATA\[|--)|(?:\]\]|--)>\s*$/g,
+
+		// We have to close these tags to support XHTML (#13200)
+		wrapMap = {
+
+			// Support: IE9
+			option: [ 1, "<select multiple='multiple'>", "</select>" ],
+
+			thead: [ 1, "<table>", "</table>" ],
+			col: [ 2, "<table><colgroup>", "</colgroup></table>" ],
+			tr: [ 2, "<table><tbody>", "</tbody></table>" ],
+			td: [ 3, "<table><tbody><tr>", "</tr></tbody></table>" ],
+
+			_default: [ 0, "", "" ]
+		};
+
+	// Support: IE9
+	wrapMap.optgroup = wrapMap.option;
+
+	wrapMap.tbody = wrapMap.tfoot = wrapMap.colgroup = wrapMap.caption = wrapMap.thead;
+	wrapMap.th = wrapMap.td;
+
+	// Support: 1.x compatibility
+	// Manipulating tables requires a tbody
+	function manipulationTarget( elem, content ) {
+		return jQuery.nodeName( elem, "table" ) &&
+			jQuery.nodeName( content.nodeType !== 11 ? content : content.firstChild, "tr" ) ?
+
+			elem.getElementsByTagName("tbody")[0] ||
+				elem.appendChild( elem.ownerDocument.createElement("tbody") ) :
+			elem;
+	}
+
+	// Replace/restore the type attribute of script elements for safe DOM manipulation
+	function disableScript( elem ) {
+		elem.type = (elem.getAttribute("type") !== null) + "/" + elem.type;
+		return elem;
+	}
+	function restoreScript( elem ) {
+		var match = rscriptTypeMasked.exec( elem.type );
+
+		if ( match ) {
+			elem.type = match[ 1 ];
+		} else {
+			elem.removeAttribute("type");
+		}
+
+		return elem;
+	}
+
+	// Mark scripts as having already been evaluated
+	function setGlobalEval( elems, refElements ) {
+		var i = 0,
+			l = elems.length;
+
+		for ( ; i < l; i++ ) {
+			data_priv.set(
+				elems[ i ], "globalEval", !refElements || data_priv.get( refElements[ i ], "globalEval" )
+			);
+		}
+	}
+
+	function cloneCopyEvent( src, dest ) {
+		var i, l, type, pdataOld, pdataCur, udataOld, udataCur, events;
+
+		if ( dest.nodeType !== 1 ) {
+			return;
+		}
+
+		// 1. Copy private data: events, handlers, etc.
+		if ( data_priv.hasData( src ) ) {
+			pdataOld = data_priv.access( src );
+			pdataCur = data_priv.set( dest, pdataOld );
+			events = pdataOld.events;
+
+			if ( events ) {
+				delete pdataCur.handle;
+				pdataCur.events = {};
+
+				for ( type in events ) {
+					for ( i = 0, l = events[ type ].length; i < l; i++ ) {
+						jQuery.event.add( dest, type, events[ type ][ i ] );
+					}
+				}
+			}
+		}
+
+		// 2. Copy user data
+		if ( data_user.hasData( src ) ) {
+			udataOld = data_user.access( src );
+			udataCur = jQuery.extend( {}, udataOld );
+
+			data_user.set( dest, udataCur );
+		}
+	}
+
+	function getAll( context, tag ) {
+		var ret = context.getElementsByTagName ? context.getElementsByTagName( tag || "*" ) :
+				context.querySelectorAll ? context.querySelectorAll( tag || "*" ) :
+				[];
+
+		return tag === undefined || tag && jQuery.nodeName( context, tag ) ?
+			jQuery.merge( [ context ], ret ) :
+			ret;
+	}
+
+	// Fix IE bugs, see support tests
+	function fixInput( src, dest ) {
+		var nodeName = dest.nodeName.toLowerCase();
+
+		// Fails to persist the checked state of a cloned checkbox or radio button.
+		if ( nodeName === "input" && rcheckableType.test( src.type ) ) {
+			dest.checked = src.checked;
+
+		// Fails to return the selected option to the default selected state when cloning options
+		} else if ( nodeName === "input" || nodeName === "textarea" ) {
+			dest.defaultValue = src.defaultValue;
+		}
+	}
+
+	jQuery.extend({
+		clone: function( elem, dataAndEvents, deepDataAndEvents ) {
+			var i, l, srcElements, destElements,
+				clone = elem.cloneNode( true ),
+				inPage = jQuery.contains( elem.ownerDocument, elem );
+
+			// Fix IE cloning issues
+			if ( !support.noCloneChecked && ( elem.nodeType === 1 || elem.nodeType === 11 ) &&
+					!jQuery.isXMLDoc( elem ) ) {
+
+				// We eschew Sizzle here for performance reasons: http://jsperf.com/getall-vs-sizzle/2
+				destElements = getAll( clone );
+				srcElements = getAll( elem );
+
+				for ( i = 0, l = srcElements.length; i < l; i++ ) {
+					fixInput( srcElements[ i ], destElements[ i ] );
+				}
+			}
+
+			// Copy the events from the original to the clone
+			if ( dataAndEvents ) {
+				if ( deepDataAndEvents ) {
+					srcElements = srcElements || getAll( elem );
+					destElements = destElements || getAll( clone );
+
+					for ( i = 0, l = srcElements.length; i < l; i++ ) {
+						cloneCopyEvent( srcElements[ i ], destElements[ i ] );
+					}
+				} else {
+					cloneCopyEvent( elem, clone );
+				}
+			}
+
+			// Preserve script evaluation history
+			destElements = getAll( clone, "script" );
+			if ( destElements.length > 0 ) {
+				setGlobalEval( destElements, !inPage && getAll( elem, "script" ) );
+			}
+
+			// Return the cloned set
+			return clone;
+		},
+
+		buildFragment: function( elems, context, scripts, selection ) {
+			var elem, tmp, tag, wrap, contains, j,
+				fragment = context.createDocumentFragment(),
+				nodes = [],
+				i = 0,
+				l = elems.length;
+
+			for ( ; i < l; i++ ) {
+				elem = elems[ i ];
+
+				if ( elem || elem === 0 ) {
+
+					// Add nodes directly
+					if ( jQuery.type( elem ) === "object" ) {
+						// Support: QtWebKit, PhantomJS
+						// push.apply(_, arraylike) throws on ancient WebKit
+						jQuery.merge( nodes, elem.nodeType ? [ elem ] : elem );
+
+					// Convert non-html into a text node
+					} else if ( !rhtml.test( elem ) ) {
+						nodes.push( context.createTextNode( elem ) );
+
+					// Convert html into DOM nodes
+					} else {
+						tmp = tmp || fragment.appendChild( context.createElement("div") );
+
+						// Deserialize a standard representation
+						tag = ( rtagName.exec( elem ) || [ "", "" ] )[ 1 ].toLowerCase();
+						wrap = wrapMap[ tag ] || wrapMap._default;
+						tmp.innerHTML = wrap[ 1 ] + elem.replace( rxhtmlTag, "<$1></$2>" ) + wrap[ 2 ];
+
+						// Descend through wrappers to the right content
+						j = wrap[ 0 ];
+						while ( j-- ) {
+							tmp = tmp.lastChild;
+						}
+
+						// Support: QtWebKit, PhantomJS
+						// push.apply(_, arraylike) throws on ancient WebKit
+						jQuery.merge( nodes, tmp.childNodes );
+
+						// Remember the top-level container
+						tmp = fragment.firstChild;
+
+						// Ensure the created nodes are orphaned (#12392)
+						tmp.textContent = "";
+					}
+				}
+			}
+
+			// Remove wrapper from fragment
+			fragment.textContent = "";
+
+			i = 0;
+			while ( (elem = nodes[ i++ ]) ) {
+
+				// #4087 - If origin and destination elements are the same, and this is
+				// that element, do not do anything
+				if ( selection && jQuery.inArray( elem, selection ) !== -1 ) {
+					continue;
+				}
+
+				contains = jQuery.contains( elem.ownerDocument, elem );
+
+				// Append to fragment
+				tmp = getAll( fragment.appendChild( elem ), "script" );
+
+				// Preserve script evaluation history
+				if ( contains ) {
+					setGlobalEval( tmp );
+				}
+
+				// Capture executables
+				if ( scripts ) {
+					j = 0;
+					while ( (elem = tmp[ j++ ]) ) {
+						if ( rscriptType.test( elem.type || "" ) ) {
+							scripts.push( elem );
+						}
+					}
+				}
+			}
+
+			return fragment;
+		},
+
+		cleanData: function( elems ) {
+			var data, elem, type, key,
+				special = jQuery.event.special,
+				i = 0;
+
+			for ( ; (elem = elems[ i ]) !== undefined; i++ ) {
+				if ( jQuery.acceptData( elem ) ) {
+					key = elem[ data_priv.expando ];
+
+					if ( key && (data = data_priv.cache[ key ]) ) {
+						if ( data.events ) {
+							for ( type in data.events ) {
+								if ( special[ type ] ) {
+									jQuery.event.remove( elem, type );
+
+								// This is a shortcut to avoid jQuery.event.remove's overhead
+								} else {
+									jQuery.removeEvent( elem, type, data.handle );
+								}
+							}
+						}
+						if ( data_priv.cache[ key ] ) {
+							// Discard any remaining `private` data
+							delete data_priv.cache[ key ];
+						}
+					}
+				}
+				// Discard any remaining `user` data
+				delete data_user.cache[ elem[ data_user.expando ] ];
+			}
+		}
+	});
+
+	jQuery.fn.extend({
+		text: function( value ) {
+			return access( this, function( value ) {
+				return value === undefined ?
+					jQuery.text( this ) :
+					this.empty().each(function() {
+						if ( this.nodeType === 1 || this.nodeType === 11 || this.nodeType === 9 ) {
+							this.textContent = value;
+						}
+					});
+			}, null, value, arguments.length );
+		},
+
+		append: function() {
+			return this.domManip( arguments, function( elem ) {
+				if ( this.nodeType === 1 || this.nodeType === 11 || this.nodeType === 9 ) {
+					var target = manipulationTarget( this, elem );
+					target.appendChild( elem );
+				}
+			});
+		},
+
+		prepend: function() {
+			return this.domManip( arguments, function( elem ) {
+				if ( this.nodeType === 1 || this.nodeType === 11 || this.nodeType === 9 ) {
+					var target = manipulationTarget( this, elem );
+					target.insertBefore( elem, target.firstChild );
+				}
+			});
+		},
+
+		before: function() {
+			return this.domManip( arguments, function( elem ) {
+				if ( this.parentNode ) {
+					this.parentNode.insertBefore( elem, this );
+				}
+			});
+		},
+
+		after: function() {
+			return this.domManip( arguments, function( elem ) {
+				if ( this.parentNode ) {
+					this.parentNode.insertBefore( elem, this.nextSibling );
+				}
+			});
+		},
+
+		remove: function( selector, keepData /* Internal Use Only */ ) {
+			var elem,
+				elems = selector ? jQuery.filter( selector, this ) : this,
+				i = 0;
+
+			for ( ; (elem = elems[i]) != null; i++ ) {
+				if ( !keepData && elem.nodeType === 1 ) {
+					jQuery.cleanData( getAll( elem ) );
+				}
+
+				if ( elem.parentNode ) {
+					if ( keepData && jQuery.contains( elem.ownerDocument, elem ) ) {
+						setGlobalEval( getAll( elem, "script" ) );
+					}
+					elem.parentNode.removeChild( elem );
+				}
+			}
+
+			return this;
+		},
+
+		empty: function() {
+			var elem,
+				i = 0;
+
+			for ( ; (elem = this[i]) != null; i++ ) {
+				if ( elem.nodeType === 1 ) {
+
+					// Prevent memory leaks
+					jQuery.cleanData( getAll( elem, false ) );
+
+					// Remove any remaining nodes
+					elem.textContent = "";
+				}
+			}
+
+			return this;
+		},
+
+		clone: function( dataAndEvents, deepDataAndEvents ) {
+			dataAndEvents = dataAndEvents == null ? false : dataAndEvents;
+			deepDataAndEvents = deepDataAndEvents == null ? dataAndEvents : deepDataAndEvents;
+
+			return this.map(function() {
+				return jQuery.clone( this, dataAndEvents, deepDataAndEvents );
+			});
+		},
+
+		html: function( value ) {
+			return access( this, function( value ) {
+				var elem = this[ 0 ] || {},
+					i = 0,
+					l = this.length;
+
+				if ( value === undefined && elem.nodeType === 1 ) {
+					return elem.innerHTML;
+				}
+
+				// See if we can take a shortcut and just use innerHTML
+				if ( typeof value === "string" && !rnoInnerhtml.test( value ) &&
+					!wrapMap[ ( rtagName.exec( value ) || [ "", "" ] )[ 1 ].toLowerCase() ] ) {
+
+					value = value.replace( rxhtmlTag, "<$1></$2>" );
+
+					try {
+						for ( ; i < l; i++ ) {
+							elem = this[ i ] || {};
+
+							// Remove element nodes and prevent memory leaks
+							if ( elem.nodeType === 1 ) {
+								jQuery.cleanData( getAll( elem, false ) );
+								elem.innerHTML = value;
+							}
+						}
+
+						elem = 0;
+
+					// If using innerHTML throws an exception, use the fallback method
+					} catch( e ) {}
+				}
+
+				if ( elem ) {
+					this.empty().append( value );
+				}
+			}, null, value, arguments.length );
+		},
+
+		replaceWith: function() {
+			var arg = arguments[ 0 ];
+
+			// Make the changes, replacing each context element with the new content
+			this.domManip( arguments, function( elem ) {
+				arg = this.parentNode;
+
+				jQuery.cleanData( getAll( this ) );
+
+				if ( arg ) {
+					arg.replaceChild( elem, this );
+				}
+			});
+
+			// Force removal if there was no new content (e.g., from empty arguments)
+			return arg && (arg.length || arg.nodeType) ? this : this.remove();
+		},
+
+		detach: function( selector ) {
+			return this.remove( selector, true );
+		},
+
+		domManip: function( args, callback ) {
+
+			// Flatten any nested arrays
+			args = concat.apply( [], args );
+
+			var fragment, first, scripts, hasScripts, node, doc,
+				i = 0,
+				l = this.length,
+				set = this,
+				iNoClone = l - 1,
+				value = args[ 0 ],
+				isFunction = jQuery.isFunction( value );
+
+			// We can't cloneNode fragments that contain checked, in WebKit
+			if ( isFunction ||
+					( l > 1 && typeof value === "string" &&
+						!support.checkClone && rchecked.test( value ) ) ) {
+				return this.each(function( index ) {
+					var self = set.eq( index );
+					if ( isFunction ) {
+						args[ 0 ] = value.call( this, index, self.html() );
+					}
+					self.domManip( args, callback );
+				});
+			}
+
+			if ( l ) {
+				fragment = jQuery.buildFragment( args, this[ 0 ].ownerDocument, false, this );
+				first = fragment.firstChild;
+
+				if ( fragment.childNodes.length === 1 ) {
+					fragment = first;
+				}
+
+				if ( first ) {
+					scripts = jQuery.map( getAll( fragment, "script" ), disableScript );
+					hasScripts = scripts.length;
+
+					// Use the original fragment for the last item instead of the first because it can end up
+					// being emptied incorrectly in certain situations (#8070).
+					for ( ; i < l; i++ ) {
+						node = fragment;
+
+						if ( i !== iNoClone ) {
+							node = jQuery.clone( node, true, true );
+
+							// Keep references to cloned scripts for later restoration
+							if ( hasScripts ) {
+								// Support: QtWebKit
+								// jQuery.merge because push.apply(_, arraylike) throws
+								jQuery.merge( scripts, getAll( node, "script" ) );
+							}
+						}
+
+						callback.call( this[ i ], node, i );
+					}
+
+					if ( hasScripts ) {
+						doc = scripts[ scripts.length - 1 ].ownerDocument;
+
+						// Reenable scripts
+						jQuery.map( scripts, restoreScript );
+
+						// Evaluate executable scripts on first document insertion
+						for ( i = 0; i < hasScripts; i++ ) {
+							node = scripts[ i ];
+							if ( rscriptType.test( node.type || "" ) &&
+								!data_priv.access( node, "globalEval" ) && jQuery.contains( doc, node ) ) {
+
+								if ( node.src ) {
+									// Optional AJAX dependency, but won't run scripts if not present
+									if ( jQuery._evalUrl ) {
+										jQuery._evalUrl( node.src );
+									}
+								} else {
+									jQuery.globalEval( node.textContent.replace( rcleanScript, "" ) );
+								}
+							}
+						}
+					}
+				}
+			}
+
+			return this;
+		}
+	});
+
+	jQuery.each({
+		appendTo: "append",
+		prependTo: "prepend",
+		insertBefore: "before",
+		insertAfter: "after",
+		replaceAll: "replaceWith"
+	}, function( name, original ) {
+		jQuery.fn[ name ] = function( selector ) {
+			var elems,
+				ret = [],
+				insert = jQuery( selector ),
+				last = insert.length - 1,
+				i = 0;
+
+			for ( ; i <= last; i++ ) {
+				elems = i === last ? this : this.clone( true );
+				jQuery( insert[ i ] )[ original ]( elems );
+
+				// Support: QtWebKit
+				// .get() because push.apply(_, arraylike) throws
+				push.apply( ret, elems.get() );
+			}
+
+			return this.pushStack( ret );
+		};
+	});
+
+
+	var iframe,
+		elemdisplay = {};
+
+	/**
+	 * Retrieve the actual display of a element
+	 * @param {String} name nodeName of the element
+	 * @param {Object} doc Document object
+	 */
+	// Called only from within defaultDisplay
+	function actualDisplay( name, doc ) {
+		var style,
+			elem = jQuery( doc.createElement( name ) ).appendTo( doc.body ),
+
+			// getDefaultComputedStyle might be reliably used only on attached element
+			display = window.getDefaultComputedStyle && ( style = window.getDefaultComputedStyle( elem[ 0 ] ) ) ?
+
+				// Use of this method is a temporary fix (more like optimization) until something better comes along,
+				// since it was removed from specification and supported only in FF
+				style.display : jQuery.css( elem[ 0 ], "display" );
+
+		// We don't have any data stored on the element,
+		// so use "detach" method as fast way to get rid of the element
+		elem.detach();
+
+		return display;
+	}
+
+	/**
+	 * Try to determine the default display value of an element
+	 * @param {String} nodeName
+	 */
+	function defaultDisplay( nodeName ) {
+		var doc = document,
+			display = elemdisplay[ nodeName ];
+
+		if ( !display ) {
+			display = actualDisplay( nodeName, doc );
+
+			// If the simple way fails, read from inside an iframe
+			if ( display === "none" || !display ) {
+
+				// Use the already-created iframe if possible
+				iframe = (iframe || jQuery( "<iframe frameborder='0' width='0' height='0'/>" )).appendTo( doc.documentElement );
+
+				// Always write a new HTML skeleton so Webkit and Firefox don't choke on reuse
+				doc = iframe[ 0 ].contentDocument;
+
+				// Support: IE
+				doc.write();
+				doc.close();
+
+				display = actualDisplay( nodeName, doc );
+				iframe.detach();
+			}
+
+			// Store the correct default display
+			elemdisplay[ nodeName ] = display;
+		}
+
+		return display;
+	}
+	var rmargin = (/^margin/);
+
+	var rnumnonpx = new RegExp( "^(" + pnum + ")(?!px)[a-z%]+$", "i" );
+
+	var getStyles = function( elem ) {
+			// Support: IE<=11+, Firefox<=30+ (#15098, #14150)
+			// IE throws on elements created in popups
+			// FF meanwhile throws on frame elements through "defaultView.getComputedStyle"
+			if ( elem.ownerDocument.defaultView.opener ) {
+				return elem.ownerDocument.defaultView.getComputedStyle( elem, null );
+			}
+
+			return window.getComputedStyle( elem, null );
+		};
+
+
+
+	function curCSS( elem, name, computed ) {
+		var width, minWidth, maxWidth, ret,
+			style = elem.style;
+
+		computed = computed || getStyles( elem );
+
+		// Support: IE9
+		// getPropertyValue is only needed for .css('filter') (#12537)
+		if ( computed ) {
+			ret = computed.getPropertyValue( name ) || computed[ name ];
+		}
+
+		if ( computed ) {
+
+			if ( ret === "" && !jQuery.contains( elem.ownerDocument, elem ) ) {
+				ret = jQuery.style( elem, name );
+			}
+
+			// Support: iOS < 6
+			// A tribute to the "awesome hack by Dean Edwards"
+			// iOS < 6 (at least) returns percentage for a larger set of values, but width seems to be reliably pixels
+			// this is against the CSSOM draft spec: http://dev.w3.org/csswg/cssom/#resolved-values
+			if ( rnumnonpx.test( ret ) && rmargin.test( name ) ) {
+
+				// Remember the original values
+				width = style.width;
+				minWidth = style.minWidth;
+				maxWidth = style.maxWidth;
+
+				// Put in the new values to get a computed value out
+				style.minWidth = style.maxWidth = style.width = ret;
+				ret = computed.width;
+
+				// Revert the changed values
+				style.width = width;
+				style.minWidth = minWidth;
+				style.maxWidth = maxWidth;
+			}
+		}
+
+		return ret !== undefined ?
+			// Support: IE
+			// IE returns zIndex value as an integer.
+			ret + "" :
+			ret;
+	}
+
+
+	function addGetHookIf( conditionFn, hookFn ) {
+		// Define the hook, we'll check on the first run if it's really needed.
+		return {
+			get: function() {
+				if ( conditionFn() ) {
+					// Hook not needed (or it's not possible to use it due
+					// to missing dependency), remove it.
+					delete this.get;
+					return;
+				}
+
+				// Hook needed; redefine it so that the support test is not executed again.
+				return (this.get = hookFn).apply( this, arguments );
+			}
+		};
+	}
+
+
+	(function() {
+		var pixelPositionVal, boxSizingReliableVal,
+			docElem = document.documentElement,
+			container = document.createElement( "div" ),
+			div = document.createElement( "div" );
+
+		if ( !div.style ) {
+			return;
+		}
+
+		// Support: IE9-11+
+		// Style of cloned element affects source element cloned (#8908)
+		div.style.backgroundClip = "content-box";
+		div.cloneNode( true ).style.backgroundClip = "";
+		support.clearCloneStyle = div.style.backgroundClip === "content-box";
+
+		container.style.cssText = "border:0;width:0;height:0;top:0;left:-9999px;margin-top:1px;" +
+			"position:absolute";
+		container.appendChild( div );
+
+		// Executing both pixelPosition & boxSizingReliable tests require only one layout
+		// so they're executed at the same time to save the second computation.
+		function computePixelPositionAndBoxSizingReliable() {
+			div.style.cssText =
+				// Support: Firefox<29, Android 2.3
+				// Vendor-prefix box-sizing
+				"-webkit-box-sizing:border-box;-moz-box-sizing:border-box;" +
+				"box-sizing:border-box;display:block;margin-top:1%;top:1%;" +
+				"border:1px;padding:1px;width:4px;position:absolute";
+			div.innerHTML = "";
+			docElem.appendChild( container );
+
+			var divStyle = window.getComputedStyle( div, null );
+			pixelPositionVal = divStyle.top !== "1%";
+			boxSizingReliableVal = divStyle.width === "4px";
+
+			docElem.removeChild( container );
+		}
+
+		// Support: node.js jsdom
+		// Don't assume that getComputedStyle is a property of the global object
+		if ( window.getComputedStyle ) {
+			jQuery.extend( support, {
+				pixelPosition: function() {
+
+					// This test is executed only once but we still do memoizing
+					// since we can use the boxSizingReliable pre-computing.
+					// No need to check if the test was already performed, though.
+					computePixelPositionAndBoxSizingReliable();
+					return pixelPositionVal;
+				},
+				boxSizingReliable: function() {
+					if ( boxSizingReliableVal == null ) {
+						computePixelPositionAndBoxSizingReliable();
+					}
+					return boxSizingReliableVal;
+				},
+				reliableMarginRight: function() {
+
+					// Support: Android 2.3
+					// Check if div with explicit width and no margin-right incorrectly
+					// gets computed margin-right based on width of container. (#3333)
+					// WebKit Bug 13343 - getComputedStyle returns wrong value for margin-right
+					// This support function is only executed once so no memoizing is needed.
+					var ret,
+						marginDiv = div.appendChild( document.createElement( "div" ) );
+
+					// Reset CSS: box-sizing; display; margin; border; padding
+					marginDiv.style.cssText = div.style.cssText =
+						// Support: Firefox<29, Android 2.3
+						// Vendor-prefix box-sizing
+						"-webkit-box-sizing:content-box;-moz-box-sizing:content-box;" +
+						"box-sizing:content-box;display:block;margin:0;border:0;padding:0";
+					marginDiv.style.marginRight = marginDiv.style.width = "0";
+					div.style.width = "1px";
+					docElem.appendChild( container );
+
+					ret = !parseFloat( window.getComputedStyle( marginDiv, null ).marginRight );
+
+					docElem.removeChild( container );
+					div.removeChild( marginDiv );
+
+					return ret;
+				}
+			});
+		}
+	})();
+
+
+	// A method for quickly swapping in/out CSS properties to get correct calculations.
+	jQuery.swap = function( elem, options, callback, args ) {
+		var ret, name,
+			old = {};
+
+		// Remember the old values, and insert the new ones
+		for ( name in options ) {
+			old[ name ] = elem.style[ name ];
+			elem.style[ name ] = options[ name ];
+		}
+
+		ret = callback.apply( elem, args || [] );
+
+		// Revert the old values
+		for ( name in options ) {
+			elem.style[ name ] = old[ name ];
+		}
+
+		return ret;
+	};
+
+
+	var
+		// Swappable if display is none or starts with table except "table", "table-cell", or "table-caption"
+		// See here for display values: https://developer.mozilla.org/en-US/docs/CSS/display
+		rdisplayswap = /^(none|table(?!-c[ea]).+)/,
+		rnumsplit = new RegExp( "^(" + pnum + ")(.*)$", "i" ),
+		rrelNum = new RegExp( "^([+-])=(" + pnum + ")", "i" ),
+
+		cssShow = { position: "absolute", visibility: "hidden", display: "block" },
+		cssNormalTransform = {
+			letterSpacing: "0",
+			fontWeight: "400"
+		},
+
+		cssPrefixes = [ "Webkit", "O", "Moz", "ms" ];
+
+	// Return a css property mapped to a potentially vendor prefixed property
+	function vendorPropName( style, name ) {
+
+		// Shortcut for names that are not vendor prefixed
+		if ( name in style ) {
+			return name;
+		}
+
+		// Check for vendor prefixed names
+		var capName = name[0].toUpperCase() + name.slice(1),
+			origName = name,
+			i = cssPrefixes.length;
+
+		while ( i-- ) {
+			name = cssPrefixes[ i ] + capName;
+			if ( name in style ) {
+				return name;
+			}
+		}
+
+		return origName;
+	}
+
+	function setPositiveNumber( elem, value, subtract ) {
+		var matches = rnumsplit.exec( value );
+		return matches ?
+			// Guard against undefined "subtract", e.g., when used as in cssHooks
+			Math.max( 0, matches[ 1 ] - ( subtract || 0 ) ) + ( matches[ 2 ] || "px" ) :
+			value;
+	}
+
+	function augmentWidthOrHeight( elem, name, extra, isBorderBox, styles ) {
+		var i = extra === ( isBorderBox ? "border" : "content" ) ?
+			// If we already have the right measurement, avoid augmentation
+			4 :
+			// Otherwise initialize for horizontal or vertical properties
+			name === "width" ? 1 : 0,
+
+			val = 0;
+
+		for ( ; i < 4; i += 2 ) {
+			// Both box models exclude margin, so add it if we want it
+			if ( extra === "margin" ) {
+				val += jQuery.css( elem, extra + cssExpand[ i ], true, styles );
+			}
+
+			if ( isBorderBox ) {
+				// border-box includes padding, so remove it if we want content
+				if ( extra === "content" ) {
+					val -= jQuery.css( elem, "padding" + cssExpand[ i ], true, styles );
+				}
+
+				// At this point, extra isn't border nor margin, so remove border
+				if ( extra !== "margin" ) {
+					val -= jQuery.css( elem, "border" + cssExpand[ i ] + "Width", true, styles );
+				}
+			} else {
+				// At this point, extra isn't content, so add padding
+				val += jQuery.css( elem, "padding" + cssExpand[ i ], true, styles );
+
+				// At this point, extra isn't content nor padding, so add border
+				if ( extra !== "padding" ) {
+					val += jQuery.css( elem, "border" + cssExpand[ i ] + "Width", true, styles );
+				}
+			}
+		}
+
+		return val;
+	}
+
+	function getWidthOrHeight( elem, name, extra ) {
+
+		// Start with offset property, which is equivalent to the border-box value
+		var valueIsBorderBox = true,
+			val = name === "width" ? elem.offsetWidth : elem.offsetHeight,
+			styles = getStyles( elem ),
+			isBorderBox = jQuery.css( elem, "boxSizing", false, styles ) === "border-box";
+
+		// Some non-html elements return undefined for offsetWidth, so check for null/undefined
+		// svg - https://bugzilla.mozilla.org/show_bug.cgi?id=649285
+		// MathML - https://bugzilla.mozilla.org/show_bug.cgi?id=491668
+		if ( val <= 0 || val == null ) {
+			// Fall back to computed then uncomputed css if necessary
+			val = curCSS( elem, name, styles );
+			if ( val < 0 || val == null ) {
+				val = elem.style[ name ];
+			}
+
+			// Computed unit is not pixels. Stop here and return.
+			if ( rnumnonpx.test(val) ) {
+				return val;
+			}
+
+			// Check for style in case a browser which returns unreliable values
+			// for getComputedStyle silently falls back to the reliable elem.style
+			valueIsBorderBox = isBorderBox &&
+				( support.boxSizingReliable() || val === elem.style[ name ] );
+
+			// Normalize "", auto, and prepare for extra
+			val = parseFloat( val ) || 0;
+		}
+
+		// Use the active box-sizing model to add/subtract irrelevant styles
+		return ( val +
+			augmentWidthOrHeight(
+				elem,
+				name,
+				extra || ( isBorderBox ? "border" : "content" ),
+				valueIsBorderBox,
+				styles
+			)
+		) + "px";
+	}
+
+	function showHide( elements, show ) {
+		var display, elem, hidden,
+			values = [],
+			index = 0,
+			length = elements.length;
+
+		for ( ; index < length; index++ ) {
+			elem = elements[ index ];
+			if ( !elem.style ) {
+				continue;
+			}
+
+			values[ index ] = data_priv.get( elem, "olddisplay" );
+			display = elem.style.display;
+			if ( show ) {
+				// Reset the inline display of this element to learn if it is
+				// being hidden by cascaded rules or not
+				if ( !values[ index ] && display === "none" ) {
+					elem.style.display = "";
+				}
+
+				// Set elements which have been overridden with display: none
+				// in a stylesheet to whatever the default browser style is
+				// for such an element
+				if ( elem.style.display === "" && isHidden( elem ) ) {
+					values[ index ] = data_priv.access( elem, "olddisplay", defaultDisplay(elem.nodeName) );
+				}
+			} else {
+				hidden = isHidden( elem );
+
+				if ( display !== "none" || !hidden ) {
+					data_priv.set( elem, "olddisplay", hidden ? display : jQuery.css( elem, "display" ) );
+				}
+			}
+		}
+
+		// Set the display of most of the elements in a second loop
+		// to avoid the constant reflow
+		for ( index = 0; index < length; index++ ) {
+			elem = elements[ index ];
+			if ( !elem.style ) {
+				continue;
+			}
+			if ( !show || elem.style.display === "none" || elem.style.display === "" ) {
+				elem.style.display = show ? values[ index ] || "" : "none";
+			}
+		}
+
+		return elements;
+	}
+
+	jQuery.extend({
+
+		// Add in style property hooks for overriding the default
+		// behavior of getting and setting a style property
+		cssHooks: {
+			opacity: {
+				get: function( elem, computed ) {
+					if ( computed ) {
+
+						// We should always get a number back from opacity
+						var ret = curCSS( elem, "opacity" );
+						return ret === "" ? "1" : ret;
+					}
+				}
+			}
+		},
+
+		// Don't automatically add "px" to these possibly-unitless properties
+		cssNumber: {
+			"columnCount": true,
+			"fillOpacity": true,
+			"flexGrow": true,
+			"flexShrink": true,
+			"fontWeight": true,
+			"lineHeight": true,
+			"opacity": true,
+			"order": true,
+			"orphans": true,
+			"widows": true,
+			"zIndex": true,
+			"zoom": true
+		},
+
+		// Add in properties whose names you wish to fix before
+		// setting or getting the value
+		cssProps: {
+			"float": "cssFloat"
+		},
+
+		// Get and set the style property on a DOM Node
+		style: function( elem, name, value, extra ) {
+
+			// Don't set styles on text and comment nodes
+			if ( !elem || elem.nodeType === 3 || elem.nodeType === 8 || !elem.style ) {
+				return;
+			}
+
+			// Make sure that we're working with the right name
+			var ret, type, hooks,
+				origName = jQuery.camelCase( name ),
+				style = elem.style;
+
+			name = jQuery.cssProps[ origName ] || ( jQuery.cssProps[ origName ] = vendorPropName( style, origName ) );
+
+			// Gets hook for the prefixed version, then unprefixed version
+			hooks = jQuery.cssHooks[ name ] || jQuery.cssHooks[ origName ];
+
+			// Check if we're setting a value
+			if ( value !== undefined ) {
+				type = typeof value;
+
+				// Convert "+=" or "-=" to relative numbers (#7345)
+				if ( type === "string" && (ret = rrelNum.exec( value )) ) {
+					value = ( ret[1] + 1 ) * ret[2] + parseFloat( jQuery.css( elem, name ) );
+					// Fixes bug #9237
+					type = "number";
+				}
+
+				// Make sure that null and NaN values aren't set (#7116)
+				if ( value == null || value !== value ) {
+					return;
+				}
+
+				// If a number, add 'px' to the (except for certain CSS properties)
+				if ( type === "number" && !jQuery.cssNumber[ origName ] ) {
+					value += "px";
+				}
+
+				// Support: IE9-11+
+				// background-* props affect original clone's values
+				if ( !support.clearCloneStyle && value === "" && name.indexOf( "background" ) === 0 ) {
+					style[ name ] = "inherit";
+				}
+
+				// If a hook was provided, use that value, otherwise just set the specified value
+				if ( !hooks || !("set" in hooks) || (value = hooks.set( elem, value, extra )) !== undefined ) {
+					style[ name ] = value;
+				}
+
+			} else {
+				// If a hook was provided get the non-computed value from there
+				if ( hooks && "get" in hooks && (ret = hooks.get( elem, false, extra )) !== undefined ) {
+					return ret;
+				}
+
+				// Otherwise just get the value from the style object
+				return style[ name ];
+			}
+		},
+
+		css: function( elem, name, extra, styles ) {
+			var val, num, hooks,
+				origName = jQuery.camelCase( name );
+
+			// Make sure that we're working with the right name
+			name = jQuery.cssProps[ origName ] || ( jQuery.cssProps[ origName ] = vendorPropName( elem.style, origName ) );
+
+			// Try prefixed name followed by the unprefixed name
+			hooks = jQuery.cssHooks[ name ] || jQuery.cssHooks[ origName ];
+
+			// If a hook was provided get the computed value from there
+			if ( hooks && "get" in hooks ) {
+				val = hooks.get( elem, true, extra );
+			}
+
+			// Otherwise, if a way to get the computed value exists, use that
+			if ( val === undefined ) {
+				val = curCSS( elem, name, styles );
+			}
+
+			// Convert "normal" to computed value
+			if ( val === "normal" && name in cssNormalTransform ) {
+				val = cssNormalTransform[ name ];
+			}
+
+			// Make numeric if forced or a qualifier was provided and val looks numeric
+			if ( extra === "" || extra ) {
+				num = parseFloat( val );
+				return extra === true || jQuery.isNumeric( num ) ? num || 0 : val;
+			}
+			return val;
+		}
+	});
+
+	jQuery.each([ "height", "width" ], function( i, name ) {
+		jQuery.cssHooks[ name ] = {
+			get: function( elem, computed, extra ) {
+				if ( computed ) {
+
+					// Certain elements can have dimension info if we invisibly show them
+					// but it must have a current display style that would benefit
+					return rdisplayswap.test( jQuery.css( elem, "display" ) ) && elem.offsetWidth === 0 ?
+						jQuery.swap( elem, cssShow, function() {
+							return getWidthOrHeight( elem, name, extra );
+						}) :
+						getWidthOrHeight( elem, name, extra );
+				}
+			},
+
+			set: function( elem, value, extra ) {
+				var styles = extra && getStyles( elem );
+				return setPositiveNumber( elem, value, extra ?
+					augmentWidthOrHeight(
+						elem,
+						name,
+						extra,
+						jQuery.css( elem, "boxSizing", false, styles ) === "border-box",
+						styles
+					) : 0
+				);
+			}
+		};
+	});
+
+	// Support: Android 2.3
+	jQuery.cssHooks.marginRight = addGetHookIf( support.reliableMarginRight,
+		function( elem, computed ) {
+			if ( computed ) {
+				return jQuery.swap( elem, { "display": "inline-block" },
+					curCSS, [ elem, "marginRight" ] );
+			}
+		}
+	);
+
+	// These hooks are used by animate to expand properties
+	jQuery.each({
+		margin: "",
+		padding: "",
+		border: "Width"
+	}, function( prefix, suffix ) {
+		jQuery.cssHooks[ prefix + suffix ] = {
+			expand: function( value ) {
+				var i = 0,
+					expanded = {},
+
+					// Assumes a single number if not a string
+					parts = typeof value === "string" ? value.split(" ") : [ value ];
+
+				for ( ; i < 4; i++ ) {
+					expanded[ prefix + cssExpand[ i ] + suffix ] =
+						parts[ i ] || parts[ i - 2 ] || parts[ 0 ];
+				}
+
+				return expanded;
+			}
+		};
+
+		if ( !rmargin.test( prefix ) ) {
+			jQuery.cssHooks[ prefix + suffix ].set = setPositiveNumber;
+		}
+	});
+
+	jQuery.fn.extend({
+		css: function( name, value ) {
+			return access( this, function( elem, name, value ) {
+				var styles, len,
+					map = {},
+					i = 0;
+
+				if ( jQuery.isArray( name ) ) {
+					styles = getStyles( elem );
+					len = name.length;
+
+					for ( ; i < len; i++ ) {
+						map[ name[ i ] ] = jQuery.css( elem, name[ i ], false, styles );
+					}
+
+					return map;
+				}
+
+				return value !== undefined ?
+					jQuery.style( elem, name, value ) :
+					jQuery.css( elem, name );
+			}, name, value, arguments.length > 1 );
+		},
+		show: function() {
+			return showHide( this, true );
+		},
+		hide: function() {
+			return showHide( this );
+		},
+		toggle: function( state ) {
+			if ( typeof state === "boolean" ) {
+				return state ? this.show() : this.hide();
+			}
+
+			return this.each(function() {
+				if ( isHidden( this ) ) {
+					jQuery( this ).show();
+				} else {
+					jQuery( this ).hide();
+				}
+			});
+		}
+	});
+
+
+	function Tween( elem, options, prop, end, easing ) {
+		return new Tween.prototype.init( elem, options, prop, end, easing );
+	}
+	jQuery.Tween = Tween;
+
+	Tween.prototype = {
+		constructor: Tween,
+		init: function( elem, options, prop, end, easing, unit ) {
+			this.elem = elem;
+			this.prop = prop;
+			this.easing = easing || "swing";
+			this.options = options;
+			this.start = this.now = this.cur();
+			this.end = end;
+			this.unit = unit || ( jQuery.cssNumber[ prop ] ? "" : "px" );
+		},
+		cur: function() {
+			var hooks = Tween.propHooks[ this.prop ];
+
+			return hooks && hooks.get ?
+				hooks.get( this ) :
+				Tween.propHooks._default.get( this );
+		},
+		run: function( percent ) {
+			var eased,
+				hooks = Tween.propHooks[ this.prop ];
+
+			if ( this.options.duration ) {
+				this.pos = eased = jQuery.easing[ this.easing ](
+					percent, this.options.duration * percent, 0, 1, this.options.duration
+				);
+			} else {
+				this.pos = eased = percent;
+			}
+			this.now = ( this.end - this.start ) * eased + this.start;
+
+			if ( this.options.step ) {
+				this.options.step.call( this.elem, this.now, this );
+			}
+
+			if ( hooks && hooks.set ) {
+				hooks.set( this );
+			} else {
+				Tween.propHooks._default.set( this );
+			}
+			return this;
+		}
+	};
+
+	Tween.prototype.init.prototype = Tween.prototype;
+
+	Tween.propHooks = {
+		_default: {
+			get: function( tween ) {
+				var result;
+
+				if ( tween.elem[ tween.prop ] != null &&
+					(!tween.elem.style || tween.elem.style[ tween.prop ] == null) ) {
+					return tween.elem[ tween.prop ];
+				}
+
+				// Passing an empty string as a 3rd parameter to .css will automatically
+				// attempt a parseFloat and fallback to a string if the parse fails.
+				// Simple values such as "10px" are parsed to Float;
+				// complex values such as "rotate(1rad)" are returned as-is.
+				result = jQuery.css( tween.elem, tween.prop, "" );
+				// Empty strings, null, undefined and "auto" are converted to 0.
+				return !result || result === "auto" ? 0 : result;
+			},
+			set: function( tween ) {
+				// Use step hook for back compat.
+				// Use cssHook if its there.
+				// Use .style if available and use plain properties where available.
+				if ( jQuery.fx.step[ tween.prop ] ) {
+					jQuery.fx.step[ tween.prop ]( tween );
+				} else if ( tween.elem.style && ( tween.elem.style[ jQuery.cssProps[ tween.prop ] ] != null || jQuery.cssHooks[ tween.prop ] ) ) {
+					jQuery.style( tween.elem, tween.prop, tween.now + tween.unit );
+				} else {
+					tween.elem[ tween.prop ] = tween.now;
+				}
+			}
+		}
+	};
+
+	// Support: IE9
+	// Panic based approach to setting things on disconnected nodes
+	Tween.propHooks.scrollTop = Tween.propHooks.scrollLeft = {
+		set: function( tween ) {
+			if ( tween.elem.nodeType && tween.elem.parentNode ) {
+				tween.elem[ tween.prop ] = tween.now;
+			}
+		}
+	};
+
+	jQuery.easing = {
+		linear: function( p ) {
+			return p;
+		},
+		swing: function( p ) {
+			return 0.5 - Math.cos( p * Math.PI ) / 2;
+		}
+	};
+
+	jQuery.fx = Tween.prototype.init;
+
+	// Back Compat <1.8 extension point
+	jQuery.fx.step = {};
+
+
+
+
+	var
+		fxNow, timerId,
+		rfxtypes = /^(?:toggle|show|hide)$/,
+		rfxnum = new RegExp( "^(?:([+-])=|)(" + pnum + ")([a-z%]*)$", "i" ),
+		rrun = /queueHooks$/,
+		animationPrefilters = [ defaultPrefilter ],
+		tweeners = {
+			"*": [ function( prop, value ) {
+				var tween = this.createTween( prop, value ),
+					target = tween.cur(),
+					parts = rfxnum.exec( value ),
+					unit = parts && parts[ 3 ] || ( jQuery.cssNumber[ prop ] ? "" : "px" ),
+
+					// Starting value computation is required for potential unit mismatches
+					start = ( jQuery.cssNumber[ prop ] || unit !== "px" && +target ) &&
+						rfxnum.exec( jQuery.css( tween.elem, prop ) ),
+					scale = 1,
+					maxIterations = 20;
+
+				if ( start && start[ 3 ] !== unit ) {
+					// Trust units reported by jQuery.css
+					unit = unit || start[ 3 ];
+
+					// Make sure we update the tween properties later on
+					parts = parts || [];
+
+					// Iteratively approximate from a nonzero starting point
+					start = +target || 1;
+
+					do {
+						// If previous iteration zeroed out, double until we get *something*.
+						// Use string for doubling so we don't accidentally see scale as unchanged below
+						scale = scale || ".5";
+
+						// Adjust and apply
+						start = start / scale;
+						jQuery.style( tween.elem, prop, start + unit );
+
+					// Update scale, tolerating zero or NaN from tween.cur(),
+					// break the loop if scale is unchanged or perfect, or if we've just had enough
+					} while ( scale !== (scale = tween.cur() / target) && scale !== 1 && --maxIterations );
+				}
+
+				// Update tween properties
+				if ( parts ) {
+					start = tween.start = +start || +target || 0;
+					tween.unit = unit;
+					// If a +=/-= token was provided, we're doing a relative animation
+					tween.end = parts[ 1 ] ?
+						start + ( parts[ 1 ] + 1 ) * parts[ 2 ] :
+						+parts[ 2 ];
+				}
+
+				return tween;
+			} ]
+		};
+
+	// Animations created synchronously will run synchronously
+	function createFxNow() {
+		setTimeout(function() {
+			fxNow = undefined;
+		});
+		return ( fxNow = jQuery.now() );
+	}
+
+	// Generate parameters to create a standard animation
+	function genFx( type, includeWidth ) {
+		var which,
+			i = 0,
+			attrs = { height: type };
+
+		// If we include width, step value is 1 to do all cssExpand values,
+		// otherwise step value is 2 to skip over Left and Right
+		includeWidth = includeWidth ? 1 : 0;
+		for ( ; i < 4 ; i += 2 - includeWidth ) {
+			which = cssExpand[ i ];
+			attrs[ "margin" + which ] = attrs[ "padding" + which ] = type;
+		}
+
+		if ( includeWidth ) {
+			attrs.opacity = attrs.width = type;
+		}
+
+		return attrs;
+	}
+
+	function createTween( value, prop, animation ) {
+		var tween,
+			collection = ( tweeners[ prop ] || [] ).concat( tweeners[ "*" ] ),
+			index = 0,
+			length = collection.length;
+		for ( ; index < length; index++ ) {
+			if ( (tween = collection[ index ].call( animation, prop, value )) ) {
+
+				// We're done with this property
+				return tween;
+			}
+		}
+	}
+
+	function defaultPrefilter( elem, props, opts ) {
+		/* jshint validthis: true */
+		var prop, value, toggle, tween, hooks, oldfire, display, checkDisplay,
+			anim = this,
+			orig = {},
+			style = elem.style,
+			hidden = elem.nodeType && isHidden( elem ),
+			dataShow = data_priv.get( elem, "fxshow" );
+
+		// Handle queue: false promises
+		if ( !opts.queue ) {
+			hooks = jQuery._queueHooks( elem, "fx" );
+			if ( hooks.unqueued == null ) {
+				hooks.unqueued = 0;
+				oldfire = hooks.empty.fire;
+				hooks.empty.fire = function() {
+					if ( !hooks.unqueued ) {
+						oldfire();
+					}
+				};
+			}
+			hooks.unqueued++;
+
+			anim.always(function() {
+				// Ensure the complete handler is called before this completes
+				anim.always(function() {
+					hooks.unqueued--;
+					if ( !jQuery.queue( elem, "fx" ).length ) {
+						hooks.empty.fire();
+					}
+				});
+			});
+		}
+
+		// Height/width overflow pass
+		if ( elem.nodeType === 1 && ( "height" in props || "width" in props ) ) {
+			// Make sure that nothing sneaks out
+			// Record all 3 overflow attributes because IE9-10 do not
+			// change the overflow attribute when overflowX and
+			// overflowY are set to the same value
+			opts.overflow = [ style.overflow, style.overflowX, style.overflowY ];
+
+			// Set display property to inline-block for height/width
+			// animations on inline elements that are having width/height animated
+			display = jQuery.css( elem, "display" );
+
+			// Test default display if display is currently "none"
+			checkDisplay = display === "none" ?
+				data_priv.get( elem, "olddisplay" ) || defaultDisplay( elem.nodeName ) : display;
+
+			if ( checkDisplay === "inline" && jQuery.css( elem, "float" ) === "none" ) {
+				style.display = "inline-block";
+			}
+		}
+
+		if ( opts.overflow ) {
+			style.overflow = "hidden";
+			anim.always(function() {
+				style.overflow = opts.overflow[ 0 ];
+				style.overflowX = opts.overflow[ 1 ];
+				style.overflowY = opts.overflow[ 2 ];
+			});
+		}
+
+		// show/hide pass
+		for ( prop in props ) {
+			value = props[ prop ];
+			if ( rfxtypes.exec( value ) ) {
+				delete props[ prop ];
+				toggle = toggle || value === "toggle";
+				if ( value === ( hidden ? "hide" : "show" ) ) {
+
+					// If there is dataShow left over from a stopped hide or show and we are going to proceed with show, we should pretend to be hidden
+					if ( value === "show" && dataShow && dataShow[ prop ] !== undefined ) {
+						hidden = true;
+					} else {
+						continue;
+					}
+				}
+				orig[ prop ] = dataShow && dataShow[ prop ] || jQuery.style( elem, prop );
+
+			// Any non-fx value stops us from restoring the original display value
+			} else {
+				display = undefined;
+			}
+		}
+
+		if ( !jQuery.isEmptyObject( orig ) ) {
+			if ( dataShow ) {
+				if ( "hidden" in dataShow ) {
+					hidden = dataShow.hidden;
+				}
+			} else {
+				dataShow = data_priv.access( elem, "fxshow", {} );
+			}
+
+			// Store state if its toggle - enables .stop().toggle() to "reverse"
+			if ( toggle ) {
+				dataShow.hidden = !hidden;
+			}
+			if ( hidden ) {
+				jQuery( elem ).show();
+			} else {
+				anim.done(function() {
+					jQuery( elem ).hide();
+				});
+			}
+			anim.done(function() {
+				var prop;
+
+				data_priv.remove( elem, "fxshow" );
+				for ( prop in orig ) {
+					jQuery.style( elem, prop, orig[ prop ] );
+				}
+			});
+			for ( prop in orig ) {
+				tween = createTween( hidden ? dataShow[ prop ] : 0, prop, anim );
+
+				if ( !( prop in dataShow ) ) {
+					dataShow[ prop ] = tween.start;
+					if ( hidden ) {
+						tween.end = tween.start;
+						tween.start = prop === "width" || prop === "height" ? 1 : 0;
+					}
+				}
+			}
+
+		// If this is a noop like .hide().hide(), restore an overwritten display value
+		} else if ( (display === "none" ? defaultDisplay( elem.nodeName ) : display) === "inline" ) {
+			style.display = display;
+		}
+	}
+
+	function propFilter( props, specialEasing ) {
+		var index, name, easing, value, hooks;
+
+		// camelCase, specialEasing and expand cssHook pass
+		for ( index in props ) {
+			name = jQuery.camelCase( index );
+			easing = specialEasing[ name ];
+			value = props[ index ];
+			if ( jQuery.isArray( value ) ) {
+				easing = value[ 1 ];
+				value = props[ index ] = value[ 0 ];
+			}
+
+			if ( index !== name ) {
+				props[ name ] = value;
+				delete props[ index ];
+			}
+
+			hooks = jQuery.cssHooks[ name ];
+			if ( hooks && "expand" in hooks ) {
+				value = hooks.expand( value );
+				delete props[ name ];
+
+				// Not quite $.extend, this won't overwrite existing keys.
+				// Reusing 'index' because we have the correct "name"
+				for ( index in value ) {
+					if ( !( index in props ) ) {
+						props[ index ] = value[ index ];
+						specialEasing[ index ] = easing;
+					}
+				}
+			} else {
+				specialEasing[ name ] = easing;
+			}
+		}
+	}
+
+	function Animation( elem, properties, options ) {
+		var result,
+			stopped,
+			index = 0,
+			length = animationPrefilters.length,
+			deferred = jQuery.Deferred().always( function() {
+				// Don't match elem in the :animated selector
+				delete tick.elem;
+			}),
+			tick = function() {
+				if ( stopped ) {
+					return false;
+				}
+				var currentTime = fxNow || createFxNow(),
+					remaining = Math.max( 0, animation.startTime + animation.duration - currentTime ),
+					// Support: Android 2.3
+					// Archaic crash bug won't allow us to use `1 - ( 0.5 || 0 )` (#12497)
+					temp = remaining / animation.duration || 0,
+					percent = 1 - temp,
+					index = 0,
+					length = animation.tweens.length;
+
+				for ( ; index < length ; index++ ) {
+					animation.tweens[ index ].run( percent );
+				}
+
+				deferred.notifyWith( elem, [ animation, percent, remaining ]);
+
+				if ( percent < 1 && length ) {
+					return remaining;
+				} else {
+					deferred.resolveWith( elem, [ animation ] );
+					return false;
+				}
+			},
+			animation = deferred.promise({
+				elem: elem,
+				props: jQuery.extend( {}, properties ),
+				opts: jQuery.extend( true, { specialEasing: {} }, options ),
+				originalProperties: properties,
+				originalOptions: options,
+				startTime: fxNow || createFxNow(),
+				duration: options.duration,
+				tweens: [],
+				createTween: function( prop, end ) {
+					var tween = jQuery.Tween( elem, animation.opts, prop, end,
+							animation.opts.specialEasing[ prop ] || animation.opts.easing );
+					animation.tweens.push( tween );
+					return tween;
+				},
+				stop: function( gotoEnd ) {
+					var index = 0,
+						// If we are going to the end, we want to run all the tweens
+						// otherwise we skip this part
+						length = gotoEnd ? animation.tweens.length : 0;
+					if ( stopped ) {
+						return this;
+					}
+					stopped = true;
+					for ( ; index < length ; index++ ) {
+						animation.tweens[ index ].run( 1 );
+					}
+
+					// Resolve when we played the last frame; otherwise, reject
+					if ( gotoEnd ) {
+						deferred.resolveWith( elem, [ animation, gotoEnd ] );
+					} else {
+						deferred.rejectWith( elem, [ animation, gotoEnd ] );
+					}
+					return this;
+				}
+			}),
+			props = animation.props;
+
+		propFilter( props, animation.opts.specialEasing );
+
+		for ( ; index < length ; index++ ) {
+			result = animationPrefilters[ index ].call( animation, elem, props, animation.opts );
+			if ( result ) {
+				return result;
+			}
+		}
+
+		jQuery.map( props, createTween, animation );
+
+		if ( jQuery.isFunction( animation.opts.start ) ) {
+			animation.opts.start.call( elem, animation );
+		}
+
+		jQuery.fx.timer(
+			jQuery.extend( tick, {
+				elem: elem,
+				anim: animation,
+				queue: animation.opts.queue
+			})
+		);
+
+		// attach callbacks from options
+		return animation.progress( animation.opts.progress )
+			.done( animation.opts.done, animation.opts.complete )
+			.fail( animation.opts.fail )
+			.always( animation.opts.always );
+	}
+
+	jQuery.Animation = jQuery.extend( Animation, {
+
+		tweener: function( props, callback ) {
+			if ( jQuery.isFunction( props ) ) {
+				callback = props;
+				props = [ "*" ];
+			} else {
+				props = props.split(" ");
+			}
+
+			var prop,
+				index = 0,
+				length = props.length;
+
+			for ( ; index < length ; index++ ) {
+				prop = props[ index ];
+				tweeners[ prop ] = tweeners[ prop ] || [];
+				tweeners[ prop ].unshift( callback );
+			}
+		},
+
+		prefilter: function( callback, prepend ) {
+			if ( prepend ) {
+				animationPrefilters.unshift( callback );
+			} else {
+				animationPrefilters.push( callback );
+			}
+		}
+	});
+
+	jQuery.speed = function( speed, easing, fn ) {
+		var opt = speed && typeof speed === "object" ? jQuery.extend( {}, speed ) : {
+			complete: fn || !fn && easing ||
+				jQuery.isFunction( speed ) && speed,
+			duration: speed,
+			easing: fn && easing || easing && !jQuery.isFunction( easing ) && easing
+		};
+
+		opt.duration = jQuery.fx.off ? 0 : typeof opt.duration === "number" ? opt.duration :
+			opt.duration in jQuery.fx.speeds ? jQuery.fx.speeds[ opt.duration ] : jQuery.fx.speeds._default;
+
+		// Normalize opt.queue - true/undefined/null -> "fx"
+		if ( opt.queue == null || opt.queue === true ) {
+			opt.queue = "fx";
+		}
+
+		// Queueing
+		opt.old = opt.complete;
+
+		opt.complete = function() {
+			if ( jQuery.isFunction( opt.old ) ) {
+				opt.old.call( this );
+			}
+
+			if ( opt.queue ) {
+				jQuery.dequeue( this, opt.queue );
+			}
+		};
+
+		return opt;
+	};
+
+	jQuery.fn.extend({
+		fadeTo: function( speed, to, easing, callback ) {
+
+			// Show any hidden elements after setting opacity to 0
+			return this.filter( isHidden ).css( "opacity", 0 ).show()
+
+				// Animate to the value specified
+				.end().animate({ opacity: to }, speed, easing, callback );
+		},
+		animate: function( prop, speed, easing, callback ) {
+			var empty = jQuery.isEmptyObject( prop ),
+				optall = jQuery.speed( speed, easing, callback ),
+				doAnimation = function() {
+					// Operate on a copy of prop so per-property easing won't be lost
+					var anim = Animation( this, jQuery.extend( {}, prop ), optall );
+
+					// Empty animations, or finishing resolves immediately
+					if ( empty || data_priv.get( this, "finish" ) ) {
+						anim.stop( true );
+					}
+				};
+				doAnimation.finish = doAnimation;
+
+			return empty || optall.queue === false ?
+				this.each( doAnimation ) :
+				this.queue( optall.queue, doAnimation );
+		},
+		stop: function( type, clearQueue, gotoEnd ) {
+			var stopQueue = function( hooks ) {
+				var stop = hooks.stop;
+				delete hooks.stop;
+				stop( gotoEnd );
+			};
+
+			if ( typeof type !== "string" ) {
+				gotoEnd = clearQueue;
+				clearQueue = type;
+				type = undefined;
+			}
+			if ( clearQueue && type !== false ) {
+				this.queue( type || "fx", [] );
+			}
+
+			return this.each(function() {
+				var dequeue = true,
+					index = type != null && type + "queueHooks",
+					timers = jQuery.timers,
+					data = data_priv.get( this );
+
+				if ( index ) {
+					if ( data[ index ] && data[ index ].stop ) {
+						stopQueue( data[ index ] );
+					}
+				} else {
+					for ( index in data ) {
+						if ( data[ index ] && data[ index ].stop && rrun.test( index ) ) {
+							stopQueue( data[ index ] );
+						}
+					}
+				}
+
+				for ( index = timers.length; index--; ) {
+					if ( timers[ index ].elem === this && (type == null || timers[ index ].queue === type) ) {
+						timers[ index ].anim.stop( gotoEnd );
+						dequeue = false;
+						timers.splice( index, 1 );
+					}
+				}
+
+				// Start the next in the queue if the last step wasn't forced.
+				// Timers currently will call their complete callbacks, which
+				// will dequeue but only if they were gotoEnd.
+				if ( dequeue || !gotoEnd ) {
+					jQuery.dequeue( this, type );
+				}
+			});
+		},
+		finish: function( type ) {
+			if ( type !== false ) {
+				type = type || "fx";
+			}
+			return this.each(function() {
+				var index,
+					data = data_priv.get( this ),
+					queue = data[ type + "queue" ],
+					hooks = data[ type + "queueHooks" ],
+					timers = jQuery.timers,
+					length = queue ? queue.length : 0;
+
+				// Enable finishing flag on private data
+				data.finish = true;
+
+				// Empty the queue first
+				jQuery.queue( this, type, [] );
+
+				if ( hooks && hooks.stop ) {
+					hooks.stop.call( this, true );
+				}
+
+				// Look for any active animations, and finish them
+				for ( index = timers.length; index--; ) {
+					if ( timers[ index ].elem === this && timers[ index ].queue === type ) {
+						timers[ index ].anim.stop( true );
+						timers.splice( index, 1 );
+					}
+				}
+
+				// Look for any animations in the old queue and finish them
+				for ( index = 0; index < length; index++ ) {
+					if ( queue[ index ] && queue[ index ].finish ) {
+						queue[ index ].finish.call( this );
+					}
+				}
+
+				// Turn off finishing flag
+				delete data.finish;
+			});
+		}
+	});
+
+	jQuery.each([ "toggle", "show", "hide" ], function( i, name ) {
+		var cssFn = jQuery.fn[ name ];
+		jQuery.fn[ name ] = function( speed, easing, callback ) {
+			return speed == null || typeof speed === "boolean" ?
+				cssFn.apply( this, arguments ) :
+				this.animate( genFx( name, true ), speed, easing, callback );
+		};
+	});
+
+	// Generate shortcuts for custom animations
+	jQuery.each({
+		slideDown: genFx("show"),
+		slideUp: genFx("hide"),
+		slideToggle: genFx("toggle"),
+		fadeIn: { opacity: "show" },
+		fadeOut: { opacity: "hide" },
+		fadeToggle: { opacity: "toggle" }
+	}, function( name, props ) {
+		jQuery.fn[ name ] = function( speed, easing, callback ) {
+			return this.animate( props, speed, easing, callback );
+		};
+	});
+
+	jQuery.timers = [];
+	jQuery.fx.tick = function() {
+		var timer,
+			i = 0,
+			timers = jQuery.timers;
+
+		fxNow = jQuery.now();
+
+		for ( ; i < timers.length; i++ ) {
+			timer = timers[ i ];
+			// Checks the timer has not already been removed
+			if ( !timer() && timers[ i ] === timer ) {
+				timers.splice( i--, 1 );
+			}
+		}
+
+		if ( !timers.length ) {
+			jQuery.fx.stop();
+		}
+		fxNow = undefined;
+	};
+
+	jQuery.fx.timer = function( timer ) {
+		jQuery.timers.push( timer );
+		if ( timer() ) {
+			jQuery.fx.start();
+		} else {
+			jQuery.timers.pop();
+		}
+	};
+
+	jQuery.fx.interval = 13;
+
+	jQuery.fx.start = function() {
+		if ( !timerId ) {
+			timerId = setInterval( jQuery.fx.tick, jQuery.fx.interval );
+		}
+	};
+
+	jQuery.fx.stop = function() {
+		clearInterval( timerId );
+		timerId = null;
+	};
+
+	jQuery.fx.speeds = {
+		slow: 600,
+		fast: 200,
+		// Default speed
+		_default: 400
+	};
+
+
+	// Based off of the plugin by Clint Helfers, with permission.
+	// http://blindsignals.com/index.php/2009/07/jquery-delay/
+	jQuery.fn.delay = function( time, type ) {
+		time = jQuery.fx ? jQuery.fx.speeds[ time ] || time : time;
+		type = type || "fx";
+
+		return this.queue( type, function( next, hooks ) {
+			var timeout = setTimeout( next, time );
+			hooks.stop = function() {
+				clearTimeout( timeout );
+			};
+		});
+	};
+
+
+	(function() {
+		var input = document.createElement( "input" ),
+			select = document.createElement( "select" ),
+			opt = select.appendChild( document.createElement( "option" ) );
+
+		input.type = "checkbox";
+
+		// Support: iOS<=5.1, Android<=4.2+
+		// Default value for a checkbox should be "on"
+		support.checkOn = input.value !== "";
+
+		// Support: IE<=11+
+		// Must access selectedIndex to make default options select
+		support.optSelected = opt.selected;
+
+		// Support: Android<=2.3
+		// Options inside disabled selects are incorrectly marked as disabled
+		select.disabled = true;
+		support.optDisabled = !opt.disabled;
+
+		// Support: IE<=11+
+		// An input loses its value after becoming a radio
+		input = document.createElement( "input" );
+		input.value = "t";
+		input.type = "radio";
+		support.radioValue = input.value === "t";
+	})();
+
+
+	var nodeHook, boolHook,
+		attrHandle = jQuery.expr.attrHandle;
+
+	jQuery.fn.extend({
+		attr: function( name, value ) {
+			return access( this, jQuery.attr, name, value, arguments.length > 1 );
+		},
+
+		removeAttr: function( name ) {
+			return this.each(function() {
+				jQuery.removeAttr( this, name );
+			});
+		}
+	});
+
+	jQuery.extend({
+		attr: function( elem, name, value ) {
+			var hooks, ret,
+				nType = elem.nodeType;
+
+			// don't get/set attributes on text, comment and attribute nodes
+			if ( !elem || nType === 3 || nType === 8 || nType === 2 ) {
+				return;
+			}
+
+			// Fallback to prop when attributes are not supported
+			if ( typeof elem.getAttribute === strundefined ) {
+				return jQuery.prop( elem, name, value );
+			}
+
+			// All attributes are lowercase
+			// Grab necessary hook if one is defined
+			if ( nType !== 1 || !jQuery.isXMLDoc( elem ) ) {
+				name = name.toLowerCase();
+				hooks = jQuery.attrHooks[ name ] ||
+					( jQuery.expr.match.bool.test( name ) ? boolHook : nodeHook );
+			}
+
+			if ( value !== undefined ) {
+
+				if ( value === null ) {
+					jQuery.removeAttr( elem, name );
+
+				} else if ( hooks && "set" in hooks && (ret = hooks.set( elem, value, name )) !== undefined ) {
+					return ret;
+
+				} else {
+					elem.setAttribute( name, value + "" );
+					return value;
+				}
+
+			} else if ( hooks && "get" in hooks && (ret = hooks.get( elem, name )) !== null ) {
+				return ret;
+
+			} else {
+				ret = jQuery.find.attr( elem, name );
+
+				// Non-existent attributes return null, we normalize to undefined
+				return ret == null ?
+					undefined :
+					ret;
+			}
+		},
+
+		removeAttr: function( elem, value ) {
+			var name, propName,
+				i = 0,
+				attrNames = value && value.match( rnotwhite );
+
+			if ( attrNames && elem.nodeType === 1 ) {
+				while ( (name = attrNames[i++]) ) {
+					propName = jQuery.propFix[ name ] || name;
+
+					// Boolean attributes get special treatment (#10870)
+					if ( jQuery.expr.match.bool.test( name ) ) {
+						// Set corresponding property to false
+						elem[ propName ] = false;
+					}
+
+					elem.removeAttribute( name );
+				}
+			}
+		},
+
+		attrHooks: {
+			type: {
+				set: function( elem, value ) {
+					if ( !support.radioValue && value === "radio" &&
+						jQuery.nodeName( elem, "input" ) ) {
+						var val = elem.value;
+						elem.setAttribute( "type", value );
+						if ( val ) {
+							elem.value = val;
+						}
+						return value;
+					}
+				}
+			}
+		}
+	});
+
+	// Hooks for boolean attributes
+	boolHook = {
+		set: function( elem, value, name ) {
+			if ( value === false ) {
+				// Remove boolean attributes when set to false
+				jQuery.removeAttr( elem, name );
+			} else {
+				elem.setAttribute( name, name );
+			}
+			return name;
+		}
+	};
+	jQuery.each( jQuery.expr.match.bool.source.match( /\w+/g ), function( i, name ) {
+		var getter = attrHandle[ name ] || jQuery.find.attr;
+
+		attrHandle[ name ] = function( elem, name, isXML ) {
+			var ret, handle;
+			if ( !isXML ) {
+				// Avoid an infinite loop by temporarily removing this function from the getter
+				handle = attrHandle[ name ];
+				attrHandle[ name ] = ret;
+				ret = getter( elem, name, isXML ) != null ?
+					name.toLowerCase() :
+					null;
+				attrHandle[ name ] = handle;
+			}
+			return ret;
+		};
+	});
+
+
+
+
+	var rfocusable = /^(?:input|select|textarea|button)$/i;
+
+	jQuery.fn.extend({
+		prop: function( name, value ) {
+			return access( this, jQuery.prop, name, value, arguments.length > 1 );
+		},
+
+		removeProp: function( name ) {
+			return this.each(function() {
+				delete this[ jQuery.propFix[ name ] || name ];
+			});
+		}
+	});
+
+	jQuery.extend({
+		propFix: {
+			"for": "htmlFor",
+			"class": "className"
+		},
+
+		prop: function( elem, name, value ) {
+			var ret, hooks, notxml,
+				nType = elem.nodeType;
+
+			// Don't get/set properties on text, comment and attribute nodes
+			if ( !elem || nType === 3 || nType === 8 || nType === 2 ) {
+				return;
+			}
+
+			notxml = nType !== 1 || !jQuery.isXMLDoc( elem );
+
+			if ( notxml ) {
+				// Fix name and attach hooks
+				name = jQuery.propFix[ name ] || name;
+				hooks = jQuery.propHooks[ name ];
+			}
+
+			if ( value !== undefined ) {
+				return hooks && "set" in hooks && (ret = hooks.set( elem, value, name )) !== undefined ?
+					ret :
+					( elem[ name ] = value );
+
+			} else {
+				return hooks && "get" in hooks && (ret = hooks.get( elem, name )) !== null ?
+					ret :
+					elem[ name ];
+			}
+		},
+
+		propHooks: {
+			tabIndex: {
+				get: function( elem ) {
+					return elem.hasAttribute( "tabindex" ) || rfocusable.test( elem.nodeName ) || elem.href ?
+						elem.tabIndex :
+						-1;
+				}
+			}
+		}
+	});
+
+	if ( !support.optSelected ) {
+		jQuery.propHooks.selected = {
+			get: function( elem ) {
+				var parent = elem.parentNode;
+				if ( parent && parent.parentNode ) {
+					parent.parentNode.selectedIndex;
+				}
+				return null;
+			}
+		};
+	}
+
+	jQuery.each([
+		"tabIndex",
+		"readOnly",
+		"maxLength",
+		"cellSpacing",
+		"cellPadding",
+		"rowSpan",
+		"colSpan",
+		"useMap",
+		"frameBorder",
+		"contentEditable"
+	], function() {
+		jQuery.propFix[ this.toLowerCase() ] = this;
+	});
+
+
+
+
+	var rclass = /[\t\r\n\f]/g;
+
+	jQuery.fn.extend({
+		addClass: function( value ) {
+			var classes, elem, cur, clazz, j, finalValue,
+				proceed = typeof value === "string" && value,
+				i = 0,
+				len = this.length;
+
+			if ( jQuery.isFunction( value ) ) {
+				return this.each(function( j ) {
+					jQuery( this ).addClass( value.call( this, j, this.className ) );
+				});
+			}
+
+			if ( proceed ) {
+				// The disjunction here is for better compressibility (see removeClass)
+				classes = ( value || "" ).match( rnotwhite ) || [];
+
+				for ( ; i < len; i++ ) {
+					elem = this[ i ];
+					cur = elem.nodeType === 1 && ( elem.className ?
+						( " " + elem.className + " " ).replace( rclass, " " ) :
+						" "
+					);
+
+					if ( cur ) {
+						j = 0;
+						while ( (clazz = classes[j++]) ) {
+							if ( cur.indexOf( " " + clazz + " " ) < 0 ) {
+								cur += clazz + " ";
+							}
+						}
+
+						// only assign if different to avoid unneeded rendering.
+						finalValue = jQuery.trim( cur );
+						if ( elem.className !== finalValue ) {
+							elem.className = finalValue;
+						}
+					}
+				}
+			}
+
+			return this;
+		},
+
+		removeClass: function( value ) {
+			var classes, elem, cur, clazz, j, finalValue,
+				proceed = arguments.length === 0 || typeof value === "string" && value,
+				i = 0,
+				len = this.length;
+
+			if ( jQuery.isFunction( value ) ) {
+				return this.each(function( j ) {
+					jQuery( this ).removeClass( value.call( this, j, this.className ) );
+				});
+			}
+			if ( proceed ) {
+				classes = ( value || "" ).match( rnotwhite ) || [];
+
+				for ( ; i < len; i++ ) {
+					elem = this[ i ];
+					// This expression is here for better compressibility (see addClass)
+					cur = elem.nodeType === 1 && ( elem.className ?
+						( " " + elem.className + " " ).replace( rclass, " " ) :
+						""
+					);
+
+					if ( cur ) {
+						j = 0;
+						while ( (clazz = classes[j++]) ) {
+							// Remove *all* instances
+							while ( cur.indexOf( " " + clazz + " " ) >= 0 ) {
+								cur = cur.replace( " " + clazz + " ", " " );
+							}
+						}
+
+						// Only assign if different to avoid unneeded rendering.
+						finalValue = value ? jQuery.trim( cur ) : "";
+						if ( elem.className !== finalValue ) {
+							elem.className = finalValue;
+						}
+					}
+				}
+			}
+
+			return this;
+		},
+
+		toggleClass: function( value, stateVal ) {
+			var type = typeof value;
+
+			if ( typeof stateVal === "boolean" && type === "string" ) {
+				return stateVal ? this.addClass( value ) : this.removeClass( value );
+			}
+
+			if ( jQuery.isFunction( value ) ) {
+				return this.each(function( i ) {
+					jQuery( this ).toggleClass( value.call(this, i, this.className, stateVal), stateVal );
+				});
+			}
+
+			return this.each(function() {
+				if ( type === "string" ) {
+					// Toggle individual class names
+					var className,
+						i = 0,
+						self = jQuery( this ),
+						classNames = value.match( rnotwhite ) || [];
+
+					while ( (className = classNames[ i++ ]) ) {
+						// Check each className given, space separated list
+						if ( self.hasClass( className ) ) {
+							self.removeClass( className );
+						} else {
+							self.addClass( className );
+						}
+					}
+
+				// Toggle whole class name
+				} else if ( type === strundefined || type === "boolean" ) {
+					if ( this.className ) {
+						// store className if set
+						data_priv.set( this, "__className__", this.className );
+					}
+
+					// If the element has a class name or if we're passed `false`,
+					// then remove the whole classname (if there was one, the above saved it).
+					// Otherwise bring back whatever was previously saved (if anything),
+					// falling back to the empty string if nothing was stored.
+					this.className = this.className || value === false ? "" : data_priv.get( this, "__className__" ) || "";
+				}
+			});
+		},
+
+		hasClass: function( selector ) {
+			var className = " " + selector + " ",
+				i = 0,
+				l = this.length;
+			for ( ; i < l; i++ ) {
+				if ( this[i].nodeType === 1 && (" " + this[i].className + " ").replace(rclass, " ").indexOf( className ) >= 0 ) {
+					return true;
+				}
+			}
+
+			return false;
+		}
+	});
+
+
+
+
+	var rreturn = /\r/g;
+
+	jQuery.fn.extend({
+		val: function( value ) {
+			var hooks, ret, isFunction,
+				elem = this[0];
+
+			if ( !arguments.length ) {
+				if ( elem ) {
+					hooks = jQuery.valHooks[ elem.type ] || jQuery.valHooks[ elem.nodeName.toLowerCase() ];
+
+					if ( hooks && "get" in hooks && (ret = hooks.get( elem, "value" )) !== undefined ) {
+						return ret;
+					}
+
+					ret = elem.value;
+
+					return typeof ret === "string" ?
+						// Handle most common string cases
+						ret.replace(rreturn, "") :
+						// Handle cases where value is null/undef or number
+						ret == null ? "" : ret;
+				}
+
+				return;
+			}
+
+			isFunction = jQuery.isFunction( value );
+
+			return this.each(function( i ) {
+				var val;
+
+				if ( this.nodeType !== 1 ) {
+					return;
+				}
+
+				if ( isFunction ) {
+					val = value.call( this, i, jQuery( this ).val() );
+				} else {
+					val = value;
+				}
+
+				// Treat null/undefined as ""; convert numbers to string
+				if ( val == null ) {
+					val = "";
+
+				} else if ( typeof val === "number" ) {
+					val += "";
+
+				} else if ( jQuery.isArray( val ) ) {
+					val = jQuery.map( val, function( value ) {
+						return value == null ? "" : value + "";
+					});
+				}
+
+				hooks = jQuery.valHooks[ this.type ] || jQuery.valHooks[ this.nodeName.toLowerCase() ];
+
+				// If set returns undefined, fall back to normal setting
+				if ( !hooks || !("set" in hooks) || hooks.set( this, val, "value" ) === undefined ) {
+					this.value = val;
+				}
+			});
+		}
+	});
+
+	jQuery.extend({
+		valHooks: {
+			option: {
+				get: function( elem ) {
+					var val = jQuery.find.attr( elem, "value" );
+					return val != null ?
+						val :
+						// Support: IE10-11+
+						// option.text throws exceptions (#14686, #14858)
+						jQuery.trim( jQuery.text( elem ) );
+				}
+			},
+			select: {
+				get: function( elem ) {
+					var value, option,
+						options = elem.options,
+						index = elem.selectedIndex,
+						one = elem.type === "select-one" || index < 0,
+						values = one ? null : [],
+						max = one ? index + 1 : options.length,
+						i = index < 0 ?
+							max :
+							one ? index : 0;
+
+					// Loop through all the selected options
+					for ( ; i < max; i++ ) {
+						option = options[ i ];
+
+						// IE6-9 doesn't update selected after form reset (#2551)
+						if ( ( option.selected || i === index ) &&
+								// Don't return options that are disabled or in a disabled optgroup
+								( support.optDisabled ? !option.disabled : option.getAttribute( "disabled" ) === null ) &&
+								( !option.parentNode.disabled || !jQuery.nodeName( option.parentNode, "optgroup" ) ) ) {
+
+							// Get the specific value for the option
+							value = jQuery( option ).val();
+
+							// We don't need an array for one selects
+							if ( one ) {
+								return value;
+							}
+
+							// Multi-Selects return an array
+							values.push( value );
+						}
+					}
+
+					return values;
+				},
+
+				set: function( elem, value ) {
+					var optionSet, option,
+						options = elem.options,
+						values = jQuery.makeArray( value ),
+						i = options.length;
+
+					while ( i-- ) {
+						option = options[ i ];
+						if ( (option.selected = jQuery.inArray( option.value, values ) >= 0) ) {
+							optionSet = true;
+						}
+					}
+
+					// Force browsers to behave consistently when non-matching value is set
+					if ( !optionSet ) {
+						elem.selectedIndex = -1;
+					}
+					return values;
+				}
+			}
+		}
+	});
+
+	// Radios and checkboxes getter/setter
+	jQuery.each([ "radio", "checkbox" ], function() {
+		jQuery.valHooks[ this ] = {
+			set: function( elem, value ) {
+				if ( jQuery.isArray( value ) ) {
+					return ( elem.checked = jQuery.inArray( jQuery(elem).val(), value ) >= 0 );
+				}
+			}
+		};
+		if ( !support.checkOn ) {
+			jQuery.valHooks[ this ].get = function( elem ) {
+				return elem.getAttribute("value") === null ? "on" : elem.value;
+			};
+		}
+	});
+
+
+
+
+	// Return jQuery for attributes-only inclusion
+
+
+	jQuery.each( ("blur focus focusin focusout load resize scroll unload click dblclick " +
+		"mousedown mouseup mousemove mouseover mouseout mouseenter mouseleave " +
+		"change select submit keydown keypress keyup error contextmenu").split(" "), function( i, name ) {
+
+		// Handle event binding
+		jQuery.fn[ name ] = function( data, fn ) {
+			return arguments.length > 0 ?
+				this.on( name, null, data, fn ) :
+				this.trigger( name );
+		};
+	});
+
+	jQuery.fn.extend({
+		hover: function( fnOver, fnOut ) {
+			return this.mouseenter( fnOver ).mouseleave( fnOut || fnOver );
+		},
+
+		bind: function( types, data, fn ) {
+			return this.on( types, null, data, fn );
+		},
+		unbind: function( types, fn ) {
+			return this.off( types, null, fn );
+		},
+
+		delegate: function( selector, types, data, fn ) {
+			return this.on( types, selector, data, fn );
+		},
+		undelegate: function( selector, types, fn ) {
+			// ( namespace ) or ( selector, types [, fn] )
+			return arguments.length === 1 ? this.off( selector, "**" ) : this.off( types, selector || "**", fn );
+		}
+	});
+
+
+	var nonce = jQuery.now();
+
+	var rquery = (/\?/);
+
+
+
+	// Support: Android 2.3
+	// Workaround failure to string-cast null input
+	jQuery.parseJSON = function( data ) {
+		return JSON.parse( data + "" );
+	};
+
+
+	// Cross-browser xml parsing
+	jQuery.parseXML = function( data ) {
+		var xml, tmp;
+		if ( !data || typeof data !== "string" ) {
+			return null;
+		}
+
+		// Support: IE9
+		try {
+			tmp = new DOMParser();
+			xml = tmp.parseFromString( data, "text/xml" );
+		} catch ( e ) {
+			xml = undefined;
+		}
+
+		if ( !xml || xml.getElementsByTagName( "parsererror" ).length ) {
+			jQuery.error( "Invalid XML: " + data );
+		}
+		return xml;
+	};
+
+
+	var
+		rhash = /#.*$/,
+		rts = /([?&])_=[^&]*/,
+		rheaders = /^(.*?):[ \t]*([^\r\n]*)$/mg,
+		// #7653, #8125, #8152: local protocol detection
+		rlocalProtocol = /^(?:about|app|app-storage|.+-extension|file|res|widget):$/,
+		rnoContent = /^(?:GET|HEAD)$/,
+		rprotocol = /^\/\//,
+		rurl = /^([\w.+-]+:)(?:\/\/(?:[^\/?#]*@|)([^\/?#:]*)(?::(\d+)|)|)/,
+
+		/* Prefilters
+		 * 1) They are useful to introduce custom dataTypes (see ajax/jsonp.js for an example)
+		 * 2) These are called:
+		 *    - BEFORE asking for a transport
+		 *    - AFTER param serialization (s.data is a string if s.processData is true)
+		 * 3) key is the dataType
+		 * 4) the catchall symbol "*" can be used
+		 * 5) execution will start with transport dataType and THEN continue down to "*" if needed
+		 */
+		prefilters = {},
+
+		/* Transports bindings
+		 * 1) key is the dataType
+		 * 2) the catchall symbol "*" can be used
+		 * 3) selection will start with transport dataType and THEN go to "*" if needed
+		 */
+		transports = {},
+
+		// Avoid comment-prolog char sequence (#10098); must appease lint and evade compression
+		allTypes = "*/".concat( "*" ),
+
+		// Document location
+		ajaxLocation = window.location.href,
+
+		// Segment location into parts
+		ajaxLocParts = rurl.exec( ajaxLocation.toLowerCase() ) || [];
+
+	// Base "constructor" for jQuery.ajaxPrefilter and jQuery.ajaxTransport
+	function addToPrefiltersOrTransports( structure ) {
+
+		// dataTypeExpression is optional and defaults to "*"
+		return function( dataTypeExpression, func ) {
+
+			if ( typeof dataTypeExpression !== "string" ) {
+				func = dataTypeExpression;
+				dataTypeExpression = "*";
+			}
+
+			var dataType,
+				i = 0,
+				dataTypes = dataTypeExpression.toLowerCase().match( rnotwhite ) || [];
+
+			if ( jQuery.isFunction( func ) ) {
+				// For each dataType in the dataTypeExpression
+				while ( (dataType = dataTypes[i++]) ) {
+					// Prepend if requested
+					if ( dataType[0] === "+" ) {
+						dataType = dataType.slice( 1 ) || "*";
+						(structure[ dataType ] = structure[ dataType ] || []).unshift( func );
+
+					// Otherwise append
+					} else {
+						(structure[ dataType ] = structure[ dataType ] || []).push( func );
+					}
+				}
+			}
+		};
+	}
+
+	// Base inspection function for prefilters and transports
+	function inspectPrefiltersOrTransports( structure, options, originalOptions, jqXHR ) {
+
+		var inspected = {},
+			seekingTransport = ( structure === transports );
+
+		function inspect( dataType ) {
+			var selected;
+			inspected[ dataType ] = true;
+			jQuery.each( structure[ dataType ] || [], function( _, prefilterOrFactory ) {
+				var dataTypeOrTransport = prefilterOrFactory( options, originalOptions, jqXHR );
+				if ( typeof dataTypeOrTransport === "string" && !seekingTransport && !inspected[ dataTypeOrTransport ] ) {
+					options.dataTypes.unshift( dataTypeOrTransport );
+					inspect( dataTypeOrTransport );
+					return false;
+				} else if ( seekingTransport ) {
+					return !( selected = dataTypeOrTransport );
+				}
+			});
+			return selected;
+		}
+
+		return inspect( options.dataTypes[ 0 ] ) || !inspected[ "*" ] && inspect( "*" );
+	}
+
+	// A special extend for ajax options
+	// that takes "flat" options (not to be deep extended)
+	// Fixes #9887
+	function ajaxExtend( target, src ) {
+		var key, deep,
+			flatOptions = jQuery.ajaxSettings.flatOptions || {};
+
+		for ( key in src ) {
+			if ( src[ key ] !== undefined ) {
+				( flatOptions[ key ] ? target : ( deep || (deep = {}) ) )[ key ] = src[ key ];
+			}
+		}
+		if ( deep ) {
+			jQuery.extend( true, target, deep );
+		}
+
+		return target;
+	}
+
+	/* Handles responses to an ajax request:
+	 * - finds the right dataType (mediates between content-type and expected dataType)
+	 * - returns the corresponding response
+	 */
+	function ajaxHandleResponses( s, jqXHR, responses ) {
+
+		var ct, type, finalDataType, firstDataType,
+			contents = s.contents,
+			dataTypes = s.dataTypes;
+
+		// Remove auto dataType and get content-type in the process
+		while ( dataTypes[ 0 ] === "*" ) {
+			dataTypes.shift();
+			if ( ct === undefined ) {
+				ct = s.mimeType || jqXHR.getResponseHeader("Content-Type");
+			}
+		}
+
+		// Check if we're dealing with a known content-type
+		if ( ct ) {
+			for ( type in contents ) {
+				if ( contents[ type ] && contents[ type ].test( ct ) ) {
+					dataTypes.unshift( type );
+					break;
+				}
+			}
+		}
+
+		// Check to see if we have a response for the expected dataType
+		if ( dataTypes[ 0 ] in responses ) {
+			finalDataType = dataTypes[ 0 ];
+		} else {
+			// Try convertible dataTypes
+			for ( type in responses ) {
+				if ( !dataTypes[ 0 ] || s.converters[ type + " " + dataTypes[0] ] ) {
+					finalDataType = type;
+					break;
+				}
+				if ( !firstDataType ) {
+					firstDataType = type;
+				}
+			}
+			// Or just use first one
+			finalDataType = finalDataType || firstDataType;
+		}
+
+		// If we found a dataType
+		// We add the dataType to the list if needed
+		// and return the corresponding response
+		if ( finalDataType ) {
+			if ( finalDataType !== dataTypes[ 0 ] ) {
+				dataTypes.unshift( finalDataType );
+			}
+			return responses[ finalDataType ];
+		}
+	}
+
+	/* Chain conversions given the request and the original response
+	 * Also sets the responseXXX fields on the jqXHR instance
+	 */
+	function ajaxConvert( s, response, jqXHR, isSuccess ) {
+		var conv2, current, conv, tmp, prev,
+			converters = {},
+			// Work with a copy of dataTypes in case we need to modify it for conversion
+			dataTypes = s.dataTypes.slice();
+
+		// Create converters map with lowercased keys
+		if ( dataTypes[ 1 ] ) {
+			for ( conv in s.converters ) {
+				converters[ conv.toLowerCase() ] = s.converters[ conv ];
+			}
+		}
+
+		current = dataTypes.shift();
+
+		// Convert to each sequential dataType
+		while ( current ) {
+
+			if ( s.responseFields[ current ] ) {
+				jqXHR[ s.responseFields[ current ] ] = response;
+			}
+
+			// Apply the dataFilter if provided
+			if ( !prev && isSuccess && s.dataFilter ) {
+				response = s.dataFilter( response, s.dataType );
+			}
+
+			prev = current;
+			current = dataTypes.shift();
+
+			if ( current ) {
+
+			// There's only work to do if current dataType is non-auto
+				if ( current === "*" ) {
+
+					current = prev;
+
+				// Convert response if prev dataType is non-auto and differs from current
+				} else if ( prev !== "*" && prev !== current ) {
+
+					// Seek a direct converter
+					conv = converters[ prev + " " + current ] || converters[ "* " + current ];
+
+					// If none found, seek a pair
+					if ( !conv ) {
+						for ( conv2 in converters ) {
+
+							// If conv2 outputs current
+							tmp = conv2.split( " " );
+							if ( tmp[ 1 ] === current ) {
+
+								// If prev can be converted to accepted input
+								conv = converters[ prev + " " + tmp[ 0 ] ] ||
+									converters[ "* " + tmp[ 0 ] ];
+								if ( conv ) {
+									// Condense equivalence converters
+									if ( conv === true ) {
+										conv = converters[ conv2 ];
+
+									// Otherwise, insert the intermediate dataType
+									} else if ( converters[ conv2 ] !== true ) {
+										current = tmp[ 0 ];
+										dataTypes.unshift( tmp[ 1 ] );
+									}
+									break;
+								}
+							}
+						}
+					}
+
+					// Apply converter (if not an equivalence)
+					if ( conv !== true ) {
+
+						// Unless errors are allowed to bubble, catch and return them
+						if ( conv && s[ "throws" ] ) {
+							response = conv( response );
+						} else {
+							try {
+								response = conv( response );
+							} catch ( e ) {
+								return { state: "parsererror", error: conv ? e : "No conversion from " + prev + " to " + current };
+							}
+						}
+					}
+				}
+			}
+		}
+
+		return { state: "success", data: response };
+	}
+
+	jQuery.extend({
+
+		// Counter for holding the number of active queries
+		active: 0,
+
+		// Last-Modified header cache for next request
+		lastModified: {},
+		etag: {},
+
+		ajaxSettings: {
+			url: ajaxLocation,
+			type: "GET",
+			isLocal: rlocalProtocol.test( ajaxLocParts[ 1 ] ),
+			global: true,
+			processData: true,
+			async: true,
+			contentType: "application/x-www-form-urlencoded; charset=UTF-8",
+			/*
+			timeout: 0,
+			data: null,
+			dataType: null,
+			username: null,
+			password: null,
+			cache: null,
+			throws: false,
+			traditional: false,
+			headers: {},
+			*/
+
+			accepts: {
+				"*": allTypes,
+				text: "text/plain",
+				html: "text/html",
+				xml: "application/xml, text/xml",
+				json: "application/json, text/javascript"
+			},
+
+			contents: {
+				xml: /xml/,
+				html: /html/,
+				json: /json/
+			},
+
+			responseFields: {
+				xml: "responseXML",
+				text: "responseText",
+				json: "responseJSON"
+			},
+
+			// Data converters
+			// Keys separate source (or catchall "*") and destination types with a single space
+			converters: {
+
+				// Convert anything to text
+				"* text": String,
+
+				// Text to html (true = no transformation)
+				"text html": true,
+
+				// Evaluate text as a json expression
+				"text json": jQuery.parseJSON,
+
+				// Parse text as xml
+				"text xml": jQuery.parseXML
+			},
+
+			// For options that shouldn't be deep extended:
+			// you can add your own custom options here if
+			// and when you create one that shouldn't be
+			// deep extended (see ajaxExtend)
+			flatOptions: {
+				url: true,
+				context: true
+			}
+		},
+
+		// Creates a full fledged settings object into target
+		// with both ajaxSettings and settings fields.
+		// If target is omitted, writes into ajaxSettings.
+		ajaxSetup: function( target, settings ) {
+			return settings ?
+
+				// Building a settings object
+				ajaxExtend( ajaxExtend( target, jQuery.ajaxSettings ), settings ) :
+
+				// Extending ajaxSettings
+				ajaxExtend( jQuery.ajaxSettings, target );
+		},
+
+		ajaxPrefilter: addToPrefiltersOrTransports( prefilters ),
+		ajaxTransport: addToPrefiltersOrTransports( transports ),
+
+		// Main method
+		ajax: function( url, options ) {
+
+			// If url is an object, simulate pre-1.5 signature
+			if ( typeof url === "object" ) {
+				options = url;
+				url = undefined;
+			}
+
+			// Force options to be an object
+			options = options || {};
+
+			var transport,
+				// URL without anti-cache param
+				cacheURL,
+				// Response headers
+				responseHeadersString,
+				responseHeaders,
+				// timeout handle
+				timeoutTimer,
+				// Cross-domain detection vars
+				parts,
+				// To know if global events are to be dispatched
+				fireGlobals,
+				// Loop variable
+				i,
+				// Create the final options object
+				s = jQuery.ajaxSetup( {}, options ),
+				// Callbacks context
+				callbackContext = s.context || s,
+				// Context for global events is callbackContext if it is a DOM node or jQuery collection
+				globalEventContext = s.context && ( callbackContext.nodeType || callbackContext.jquery ) ?
+					jQuery( callbackContext ) :
+					jQuery.event,
+				// Deferreds
+				deferred = jQuery.Deferred(),
+				completeDeferred = jQuery.Callbacks("once memory"),
+				// Status-dependent callbacks
+				statusCode = s.statusCode || {},
+				// Headers (they are sent all at once)
+				requestHeaders = {},
+				requestHeadersNames = {},
+				// The jqXHR state
+				state = 0,
+				// Default abort message
+				strAbort = "canceled",
+				// Fake xhr
+				jqXHR = {
+					readyState: 0,
+
+					// Builds headers hashtable if needed
+					getResponseHeader: function( key ) {
+						var match;
+						if ( state === 2 ) {
+							if ( !responseHeaders ) {
+								responseHeaders = {};
+								while ( (match = rheaders.exec( responseHeadersString )) ) {
+									responseHeaders[ match[1].toLowerCase() ] = match[ 2 ];
+								}
+							}
+							match = responseHeaders[ key.toLowerCase() ];
+						}
+						return match == null ? null : match;
+					},
+
+					// Raw string
+					getAllResponseHeaders: function() {
+						return state === 2 ? responseHeadersString : null;
+					},
+
+					// Caches the header
+					setRequestHeader: function( name, value ) {
+						var lname = name.toLowerCase();
+						if ( !state ) {
+							name = requestHeadersNames[ lname ] = requestHeadersNames[ lname ] || name;
+							requestHeaders[ name ] = value;
+						}
+						return this;
+					},
+
+					// Overrides response content-type header
+					overrideMimeType: function( type ) {
+						if ( !state ) {
+							s.mimeType = type;
+						}
+						return this;
+					},
+
+					// Status-dependent callbacks
+					statusCode: function( map ) {
+						var code;
+						if ( map ) {
+							if ( state < 2 ) {
+								for ( code in map ) {
+									// Lazy-add the new callback in a way that preserves old ones
+									statusCode[ code ] = [ statusCode[ code ], map[ code ] ];
+								}
+							} else {
+								// Execute the appropriate callbacks
+								jqXHR.always( map[ jqXHR.status ] );
+							}
+						}
+						return this;
+					},
+
+					// Cancel the request
+					abort: function( statusText ) {
+						var finalText = statusText || strAbort;
+						if ( transport ) {
+							transport.abort( finalText );
+						}
+						done( 0, finalText );
+						return this;
+					}
+				};
+
+			// Attach deferreds
+			deferred.promise( jqXHR ).complete = completeDeferred.add;
+			jqXHR.success = jqXHR.done;
+			jqXHR.error = jqXHR.fail;
+
+			// Remove hash character (#7531: and string promotion)
+			// Add protocol if not provided (prefilters might expect it)
+			// Handle falsy url in the settings object (#10093: consistency with old signature)
+			// We also use the url parameter if available
+			s.url = ( ( url || s.url || ajaxLocation ) + "" ).replace( rhash, "" )
+				.replace( rprotocol, ajaxLocParts[ 1 ] + "//" );
+
+			// Alias method option to type as per ticket #12004
+			s.type = options.method || options.type || s.method || s.type;
+
+			// Extract dataTypes list
+			s.dataTypes = jQuery.trim( s.dataType || "*" ).toLowerCase().match( rnotwhite ) || [ "" ];
+
+			// A cross-domain request is in order when we have a protocol:host:port mismatch
+			if ( s.crossDomain == null ) {
+				parts = rurl.exec( s.url.toLowerCase() );
+				s.crossDomain = !!( parts &&
+					( parts[ 1 ] !== ajaxLocParts[ 1 ] || parts[ 2 ] !== ajaxLocParts[ 2 ] ||
+						( parts[ 3 ] || ( parts[ 1 ] === "http:" ? "80" : "443" ) ) !==
+							( ajaxLocParts[ 3 ] || ( ajaxLocParts[ 1 ] === "http:" ? "80" : "443" ) ) )
+				);
+			}
+
+			// Convert data if not already a string
+			if ( s.data && s.processData && typeof s.data !== "string" ) {
+				s.data = jQuery.param( s.data, s.traditional );
+			}
+
+			// Apply prefilters
+			inspectPrefiltersOrTransports( prefilters, s, options, jqXHR );
+
+			// If request was aborted inside a prefilter, stop there
+			if ( state === 2 ) {
+				return jqXHR;
+			}
+
+			// We can fire global events as of now if asked to
+			// Don't fire events if jQuery.event is undefined in an AMD-usage scenario (#15118)
+			fireGlobals = jQuery.event && s.global;
+
+			// Watch for a new set of requests
+			if ( fireGlobals && jQuery.active++ === 0 ) {
+				jQuery.event.trigger("ajaxStart");
+			}
+
+			// Uppercase the type
+			s.type = s.type.toUpperCase();
+
+			// Determine if request has content
+			s.hasContent = !rnoContent.test( s.type );
+
+			// Save the URL in case we're toying with the If-Modified-Since
+			// and/or If-None-Match header later on
+			cacheURL = s.url;
+
+			// More options handling for requests with no content
+			if ( !s.hasContent ) {
+
+				// If data is available, append data to url
+				if ( s.data ) {
+					cacheURL = ( s.url += ( rquery.test( cacheURL ) ? "&" : "?" ) + s.data );
+					// #9682: remove data so that it's not used in an eventual retry
+					delete s.data;
+				}
+
+				// Add anti-cache in url if needed
+				if ( s.cache === false ) {
+					s.url = rts.test( cacheURL ) ?
+
+						// If there is already a '_' parameter, set its value
+						cacheURL.replace( rts, "$1_=" + nonce++ ) :
+
+						// Otherwise add one to the end
+						cacheURL + ( rquery.test( cacheURL ) ? "&" : "?" ) + "_=" + nonce++;
+				}
+			}
+
+			// Set the If-Modified-Since and/or If-None-Match header, if in ifModified mode.
+			if ( s.ifModified ) {
+				if ( jQuery.lastModified[ cacheURL ] ) {
+					jqXHR.setRequestHeader( "If-Modified-Since", jQuery.lastModified[ cacheURL ] );
+				}
+				if ( jQuery.etag[ cacheURL ] ) {
+					jqXHR.setRequestHeader( "If-None-Match", jQuery.etag[ cacheURL ] );
+				}
+			}
+
+			// Set the correct header, if data is being sent
+			if ( s.data && s.hasContent && s.contentType !== false || options.contentType ) {
+				jqXHR.setRequestHeader( "Content-Type", s.contentType );
+			}
+
+			// Set the Accepts header for the server, depending on the dataType
+			jqXHR.setRequestHeader(
+				"Accept",
+				s.dataTypes[ 0 ] && s.accepts[ s.dataTypes[0] ] ?
+					s.accepts[ s.dataTypes[0] ] + ( s.dataTypes[ 0 ] !== "*" ? ", " + allTypes + "; q=0.01" : "" ) :
+					s.accepts[ "*" ]
+			);
+
+			// Check for headers option
+			for ( i in s.headers ) {
+				jqXHR.setRequestHeader( i, s.headers[ i ] );
+			}
+
+			// Allow custom headers/mimetypes and early abort
+			if ( s.beforeSend && ( s.beforeSend.call( callbackContext, jqXHR, s ) === false || state === 2 ) ) {
+				// Abort if not done already and return
+				return jqXHR.abort();
+			}
+
+			// Aborting is no longer a cancellation
+			strAbort = "abort";
+
+			// Install callbacks on deferreds
+			for ( i in { success: 1, error: 1, complete: 1 } ) {
+				jqXHR[ i ]( s[ i ] );
+			}
+
+			// Get transport
+			transport = inspectPrefiltersOrTransports( transports, s, options, jqXHR );
+
+			// If no transport, we auto-abort
+			if ( !transport ) {
+				done( -1, "No Transport" );
+			} else {
+				jqXHR.readyState = 1;
+
+				// Send global event
+				if ( fireGlobals ) {
+					globalEventContext.trigger( "ajaxSend", [ jqXHR, s ] );
+				}
+				// Timeout
+				if ( s.async && s.timeout > 0 ) {
+					timeoutTimer = setTimeout(function() {
+						jqXHR.abort("timeout");
+					}, s.timeout );
+				}
+
+				try {
+					state = 1;
+					transport.send( requestHeaders, done );
+				} catch ( e ) {
+					// Propagate exception as error if not done
+					if ( state < 2 ) {
+						done( -1, e );
+					// Simply rethrow otherwise
+					} else {
+						throw e;
+					}
+				}
+			}
+
+			// Callback for when everything is done
+			function done( status, nativeStatusText, responses, headers ) {
+				var isSuccess, success, error, response, modified,
+					statusText = nativeStatusText;
+
+				// Called once
+				if ( state === 2 ) {
+					return;
+				}
+
+				// State is "done" now
+				state = 2;
+
+				// Clear timeout if it exists
+				if ( timeoutTimer ) {
+					clearTimeout( timeoutTimer );
+				}
+
+				// Dereference transport for early garbage collection
+				// (no matter how long the jqXHR object will be used)
+				transport = undefined;
+
+				// Cache response headers
+				responseHeadersString = headers || "";
+
+				// Set readyState
+				jqXHR.readyState = status > 0 ? 4 : 0;
+
+				// Determine if successful
+				isSuccess = status >= 200 && status < 300 || status === 304;
+
+				// Get response data
+				if ( responses ) {
+					response = ajaxHandleResponses( s, jqXHR, responses );
+				}
+
+				// Convert no matter what (that way responseXXX fields are always set)
+				response = ajaxConvert( s, response, jqXHR, isSuccess );
+
+				// If successful, handle type chaining
+				if ( isSuccess ) {
+
+					// Set the If-Modified-Since and/or If-None-Match header, if in ifModified mode.
+					if ( s.ifModified ) {
+						modified = jqXHR.getResponseHeader("Last-Modified");
+						if ( modified ) {
+							jQuery.lastModified[ cacheURL ] = modified;
+						}
+						modified = jqXHR.getResponseHeader("etag");
+						if ( modified ) {
+							jQuery.etag[ cacheURL ] = modified;
+						}
+					}
+
+					// if no content
+					if ( status === 204 || s.type === "HEAD" ) {
+						statusText = "nocontent";
+
+					// if not modified
+					} else if ( status === 304 ) {
+						statusText = "notmodified";
+
+					// If we have data, let's convert it
+					} else {
+						statusText = response.state;
+						success = response.data;
+						error = response.error;
+						isSuccess = !error;
+					}
+				} else {
+					// Extract error from statusText and normalize for non-aborts
+					error = statusText;
+					if ( status || !statusText ) {
+						statusText = "error";
+						if ( status < 0 ) {
+							status = 0;
+						}
+					}
+				}
+
+				// Set data for the fake xhr object
+				jqXHR.status = status;
+				jqXHR.statusText = ( nativeStatusText || statusText ) + "";
+
+				// Success/Error
+				if ( isSuccess ) {
+					deferred.resolveWith( callbackContext, [ success, statusText, jqXHR ] );
+				} else {
+					deferred.rejectWith( callbackContext, [ jqXHR, statusText, error ] );
+				}
+
+				// Status-dependent callbacks
+				jqXHR.statusCode( statusCode );
+				statusCode = undefined;
+
+				if ( fireGlobals ) {
+					globalEventContext.trigger( isSuccess ? "ajaxSuccess" : "ajaxError",
+						[ jqXHR, s, isSuccess ? success : error ] );
+				}
+
+				// Complete
+				completeDeferred.fireWith( callbackContext, [ jqXHR, statusText ] );
+
+				if ( fireGlobals ) {
+					globalEventContext.trigger( "ajaxComplete", [ jqXHR, s ] );
+					// Handle the global AJAX counter
+					if ( !( --jQuery.active ) ) {
+						jQuery.event.trigger("ajaxStop");
+					}
+				}
+			}
+
+			return jqXHR;
+		},
+
+		getJSON: function( url, data, callback ) {
+			return jQuery.get( url, data, callback, "json" );
+		},
+
+		getScript: function( url, callback ) {
+			return jQuery.get( url, undefined, callback, "script" );
+		}
+	});
+
+	jQuery.each( [ "get", "post" ], function( i, method ) {
+		jQuery[ method ] = function( url, data, callback, type ) {
+			// Shift arguments if data argument was omitted
+			if ( jQuery.isFunction( data ) ) {
+				type = type || callback;
+				callback = data;
+				data = undefined;
+			}
+
+			return jQuery.ajax({
+				url: url,
+				type: method,
+				dataType: type,
+				data: data,
+				success: callback
+			});
+		};
+	});
+
+
+	jQuery._evalUrl = function( url ) {
+		return jQuery.ajax({
+			url: url,
+			type: "GET",
+			dataType: "script",
+			async: false,
+			global: false,
+			"throws": true
+		});
+	};
+
+
+	jQuery.fn.extend({
+		wrapAll: function( html ) {
+			var wrap;
+
+			if ( jQuery.isFunction( html ) ) {
+				return this.each(function( i ) {
+					jQuery( this ).wrapAll( html.call(this, i) );
+				});
+			}
+
+			if ( this[ 0 ] ) {
+
+				// The elements to wrap the target around
+				wrap = jQuery( html, this[ 0 ].ownerDocument ).eq( 0 ).clone( true );
+
+				if ( this[ 0 ].parentNode ) {
+					wrap.insertBefore( this[ 0 ] );
+				}
+
+				wrap.map(function() {
+					var elem = this;
+
+					while ( elem.firstElementChild ) {
+						elem = elem.firstElementChild;
+					}
+
+					return elem;
+				}).append( this );
+			}
+
+			return this;
+		},
+
+		wrapInner: function( html ) {
+			if ( jQuery.isFunction( html ) ) {
+				return this.each(function( i ) {
+					jQuery( this ).wrapInner( html.call(this, i) );
+				});
+			}
+
+			return this.each(function() {
+				var self = jQuery( this ),
+					contents = self.contents();
+
+				if ( contents.length ) {
+					contents.wrapAll( html );
+
+				} else {
+					self.append( html );
+				}
+			});
+		},
+
+		wrap: function( html ) {
+			var isFunction = jQuery.isFunction( html );
+
+			return this.each(function( i ) {
+				jQuery( this ).wrapAll( isFunction ? html.call(this, i) : html );
+			});
+		},
+
+		unwrap: function() {
+			return this.parent().each(function() {
+				if ( !jQuery.nodeName( this, "body" ) ) {
+					jQuery( this ).replaceWith( this.childNodes );
+				}
+			}).end();
+		}
+	});
+
+
+	jQuery.expr.filters.hidden = function( elem ) {
+		// Support: Opera <= 12.12
+		// Opera reports offsetWidths and offsetHeights less than zero on some elements
+		return elem.offsetWidth <= 0 && elem.offsetHeight <= 0;
+	};
+	jQuery.expr.filters.visible = function( elem ) {
+		return !jQuery.expr.filters.hidden( elem );
+	};
+
+
+
+
+	var r20 = /%20/g,
+		rbracket = /\[\]$/,
+		rCRLF = /\r?\n/g,
+		rsubmitterTypes = /^(?:submit|button|image|reset|file)$/i,
+		rsubmittable = /^(?:input|select|textarea|keygen)/i;
+
+	function buildParams( prefix, obj, traditional, add ) {
+		var name;
+
+		if ( jQuery.isArray( obj ) ) {
+			// Serialize array item.
+			jQuery.each( obj, function( i, v ) {
+				if ( traditional || rbracket.test( prefix ) ) {
+					// Treat each array item as a scalar.
+					add( prefix, v );
+
+				} else {
+					// Item is non-scalar (array or object), encode its numeric index.
+					buildParams( prefix + "[" + ( typeof v === "object" ? i : "" ) + "]", v, traditional, add );
+				}
+			});
+
+		} else if ( !traditional && jQuery.type( obj ) === "object" ) {
+			// Serialize object item.
+			for ( name in obj ) {
+				buildParams( prefix + "[" + name + "]", obj[ name ], traditional, add );
+			}
+
+		} else {
+			// Serialize scalar item.
+			add( prefix, obj );
+		}
+	}
+
+	// Serialize an array of form elements or a set of
+	// key/values into a query string
+	jQuery.param = function( a, traditional ) {
+		var prefix,
+			s = [],
+			add = function( key, value ) {
+				// If value is a function, invoke it and return its value
+				value = jQuery.isFunction( value ) ? value() : ( value == null ? "" : value );
+				s[ s.length ] = encodeURIComponent( key ) + "=" + encodeURIComponent( value );
+			};
+
+		// Set traditional to true for jQuery <= 1.3.2 behavior.
+		if ( traditional === undefined ) {
+			traditional = jQuery.ajaxSettings && jQuery.ajaxSettings.traditional;
+		}
+
+		// If an array was passed in, assume that it is an array of form elements.
+		if ( jQuery.isArray( a ) || ( a.jquery && !jQuery.isPlainObject( a ) ) ) {
+			// Serialize the form elements
+			jQuery.each( a, function() {
+				add( this.name, this.value );
+			});
+
+		} else {
+			// If traditional, encode the "old" way (the way 1.3.2 or older
+			// did it), otherwise encode params recursively.
+			for ( prefix in a ) {
+				buildParams( prefix, a[ prefix ], traditional, add );
+			}
+		}
+
+		// Return the resulting serialization
+		return s.join( "&" ).replace( r20, "+" );
+	};
+
+	jQuery.fn.extend({
+		serialize: function() {
+			return jQuery.param( this.serializeArray() );
+		},
+		serializeArray: function() {
+			return this.map(function() {
+				// Can add propHook for "elements" to filter or add form elements
+				var elements = jQuery.prop( this, "elements" );
+				return elements ? jQuery.makeArray( elements ) : this;
+			})
+			.filter(function() {
+				var type = this.type;
+
+				// Use .is( ":disabled" ) so that fieldset[disabled] works
+				return this.name && !jQuery( this ).is( ":disabled" ) &&
+					rsubmittable.test( this.nodeName ) && !rsubmitterTypes.test( type ) &&
+					( this.checked || !rcheckableType.test( type ) );
+			})
+			.map(function( i, elem ) {
+				var val = jQuery( this ).val();
+
+				return val == null ?
+					null :
+					jQuery.isArray( val ) ?
+						jQuery.map( val, function( val ) {
+							return { name: elem.name, value: val.replace( rCRLF, "\r\n" ) };
+						}) :
+						{ name: elem.name, value: val.replace( rCRLF, "\r\n" ) };
+			}).get();
+		}
+	});
+
+
+	jQuery.ajaxSettings.xhr = function() {
+		try {
+			return new XMLHttpRequest();
+		} catch( e ) {}
+	};
+
+	var xhrId = 0,
+		xhrCallbacks = {},
+		xhrSuccessStatus = {
+			// file protocol always yields status code 0, assume 200
+			0: 200,
+			// Support: IE9
+			// #1450: sometimes IE returns 1223 when it should be 204
+			1223: 204
+		},
+		xhrSupported = jQuery.ajaxSettings.xhr();
+
+	// Support: IE9
+	// Open requests must be manually aborted on unload (#5280)
+	// See https://support.microsoft.com/kb/2856746 for more info
+	if ( window.attachEvent ) {
+		window.attachEvent( "onunload", function() {
+			for ( var key in xhrCallbacks ) {
+				xhrCallbacks[ key ]();
+			}
+		});
+	}
+
+	support.cors = !!xhrSupported && ( "withCredentials" in xhrSupported );
+	support.ajax = xhrSupported = !!xhrSupported;
+
+	jQuery.ajaxTransport(function( options ) {
+		var callback;
+
+		// Cross domain only allowed if supported through XMLHttpRequest
+		if ( support.cors || xhrSupported && !options.crossDomain ) {
+			return {
+				send: function( headers, complete ) {
+					var i,
+						xhr = options.xhr(),
+						id = ++xhrId;
+
+					xhr.open( options.type, options.url, options.async, options.username, options.password );
+
+					// Apply custom fields if provided
+					if ( options.xhrFields ) {
+						for ( i in options.xhrFields ) {
+							xhr[ i ] = options.xhrFields[ i ];
+						}
+					}
+
+					// Override mime type if needed
+					if ( options.mimeType && xhr.overrideMimeType ) {
+						xhr.overrideMimeType( options.mimeType );
+					}
+
+					// X-Requested-With header
+					// For cross-domain requests, seeing as conditions for a preflight are
+					// akin to a jigsaw puzzle, we simply never set it to be sure.
+					// (it can always be set on a per-request basis or even using ajaxSetup)
+					// For same-domain requests, won't change header if already provided.
+					if ( !options.crossDomain && !headers["X-Requested-With"] ) {
+						headers["X-Requested-With"] = "XMLHttpRequest";
+					}
+
+					// Set headers
+					for ( i in headers ) {
+						xhr.setRequestHeader( i, headers[ i ] );
+					}
+
+					// Callback
+					callback = function( type ) {
+						return function() {
+							if ( callback ) {
+								delete xhrCallbacks[ id ];
+								callback = xhr.onload = xhr.onerror = null;
+
+								if ( type === "abort" ) {
+									xhr.abort();
+								} else if ( type === "error" ) {
+									complete(
+										// file: protocol always yields status 0; see #8605, #14207
+										xhr.status,
+										xhr.statusText
+									);
+								} else {
+									complete(
+										xhrSuccessStatus[ xhr.status ] || xhr.status,
+										xhr.statusText,
+										// Support: IE9
+										// Accessing binary-data responseText throws an exception
+										// (#11426)
+										typeof xhr.responseText === "string" ? {
+											text: xhr.responseText
+										} : undefined,
+										xhr.getAllResponseHeaders()
+									);
+								}
+							}
+						};
+					};
+
+					// Listen to events
+					xhr.onload = callback();
+					xhr.onerror = callback("error");
+
+					// Create the abort callback
+					callback = xhrCallbacks[ id ] = callback("abort");
+
+					try {
+						// Do send the request (this may raise an exception)
+						xhr.send( options.hasContent && options.data || null );
+					} catch ( e ) {
+						// #14683: Only rethrow if this hasn't been notified as an error yet
+						if ( callback ) {
+							throw e;
+						}
+					}
+				},
+
+				abort: function() {
+					if ( callback ) {
+						callback();
+					}
+				}
+			};
+		}
+	});
+
+
+
+
+	// Install script dataType
+	jQuery.ajaxSetup({
+		accepts: {
+			script: "text/javascript, application/javascript, application/ecmascript, application/x-ecmascript"
+		},
+		contents: {
+			script: /(?:java|ecma)script/
+		},
+		converters: {
+			"text script": function( text ) {
+				jQuery.globalEval( text );
+				return text;
+			}
+		}
+	});
+
+	// Handle cache's special case and crossDomain
+	jQuery.ajaxPrefilter( "script", function( s ) {
+		if ( s.cache === undefined ) {
+			s.cache = false;
+		}
+		if ( s.crossDomain ) {
+			s.type = "GET";
+		}
+	});
+
+	// Bind script tag hack transport
+	jQuery.ajaxTransport( "script", function( s ) {
+		// This transport only deals with cross domain requests
+		if ( s.crossDomain ) {
+			var script, callback;
+			return {
+				send: function( _, complete ) {
+					script = jQuery("<script>").prop({
+						async: true,
+						charset: s.scriptCharset,
+						src: s.url
+					}).on(
+						"load error",
+						callback = function( evt ) {
+							script.remove();
+							callback = null;
+							if ( evt ) {
+								complete( evt.type === "error" ? 404 : 200, evt.type );
+							}
+						}
+					);
+					document.head.appendChild( script[ 0 ] );
+				},
+				abort: function() {
+					if ( callback ) {
+						callback();
+					}
+				}
+			};
+		}
+	});
+
+
+
+
+	var oldCallbacks = [],
+		rjsonp = /(=)\?(?=&|$)|\?\?/;
+
+	// Default jsonp settings
+	jQuery.ajaxSetup({
+		jsonp: "callback",
+		jsonpCallback: function() {
+			var callback = oldCallbacks.pop() || ( jQuery.expando + "_" + ( nonce++ ) );
+			this[ callback ] = true;
+			return callback;
+		}
+	});
+
+	// Detect, normalize options and install callbacks for jsonp requests
+	jQuery.ajaxPrefilter( "json jsonp", function( s, originalSettings, jqXHR ) {
+
+		var callbackName, overwritten, responseContainer,
+			jsonProp = s.jsonp !== false && ( rjsonp.test( s.url ) ?
+				"url" :
+				typeof s.data === "string" && !( s.contentType || "" ).indexOf("application/x-www-form-urlencoded") && rjsonp.test( s.data ) && "data"
+			);
+
+		// Handle iff the expected data type is "jsonp" or we have a parameter to set
+		if ( jsonProp || s.dataTypes[ 0 ] === "jsonp" ) {
+
+			// Get callback name, remembering preexisting value associated with it
+			callbackName = s.jsonpCallback = jQuery.isFunction( s.jsonpCallback ) ?
+				s.jsonpCallback() :
+				s.jsonpCallback;
+
+			// Insert callback into url or form data
+			if ( jsonProp ) {
+				s[ jsonProp ] = s[ jsonProp ].replace( rjsonp, "$1" + callbackName );
+			} else if ( s.jsonp !== false ) {
+				s.url += ( rquery.test( s.url ) ? "&" : "?" ) + s.jsonp + "=" + callbackName;
+			}
+
+			// Use data converter to retrieve json after script execution
+			s.converters["script json"] = function() {
+				if ( !responseContainer ) {
+					jQuery.error( callbackName + " was not called" );
+				}
+				return responseContainer[ 0 ];
+			};
+
+			// force json dataType
+			s.dataTypes[ 0 ] = "json";
+
+			// Install callback
+			overwritten = window[ callbackName ];
+			window[ callbackName ] = function() {
+				responseContainer = arguments;
+			};
+
+			// Clean-up function (fires after converters)
+			jqXHR.always(function() {
+				// Restore preexisting value
+				window[ callbackName ] = overwritten;
+
+				// Save back as free
+				if ( s[ callbackName ] ) {
+					// make sure that re-using the options doesn't screw things around
+					s.jsonpCallback = originalSettings.jsonpCallback;
+
+					// save the callback name for future use
+					oldCallbacks.push( callbackName );
+				}
+
+				// Call if it was a function and we have a response
+				if ( responseContainer && jQuery.isFunction( overwritten ) ) {
+					overwritten( responseContainer[ 0 ] );
+				}
+
+				responseContainer = overwritten = undefined;
+			});
+
+			// Delegate to script
+			return "script";
+		}
+	});
+
+
+
+
+	// data: string of html
+	// context (optional): If specified, the fragment will be created in this context, defaults to document
+	// keepScripts (optional): If true, will include scripts passed in the html string
+	jQuery.parseHTML = function( data, context, keepScripts ) {
+		if ( !data || typeof data !== "string" ) {
+			return null;
+		}
+		if ( typeof context === "boolean" ) {
+			keepScripts = context;
+			context = false;
+		}
+		context = context || document;
+
+		var parsed = rsingleTag.exec( data ),
+			scripts = !keepScripts && [];
+
+		// Single tag
+		if ( parsed ) {
+			return [ context.createElement( parsed[1] ) ];
+		}
+
+		parsed = jQuery.buildFragment( [ data ], context, scripts );
+
+		if ( scripts && scripts.length ) {
+			jQuery( scripts ).remove();
+		}
+
+		return jQuery.merge( [], parsed.childNodes );
+	};
+
+
+	// Keep a copy of the old load method
+	var _load = jQuery.fn.load;
+
+	/**
+	 * Load a url into a page
+	 */
+	jQuery.fn.load = function( url, params, callback ) {
+		if ( typeof url !== "string" && _load ) {
+			return _load.apply( this, arguments );
+		}
+
+		var selector, type, response,
+			self = this,
+			off = url.indexOf(" ");
+
+		if ( off >= 0 ) {
+			selector = jQuery.trim( url.slice( off ) );
+			url = url.slice( 0, off );
+		}
+
+		// If it's a function
+		if ( jQuery.isFunction( params ) ) {
+
+			// We assume that it's the callback
+			callback = params;
+			params = undefined;
+
+		// Otherwise, build a param string
+		} else if ( params && typeof params === "object" ) {
+			type = "POST";
+		}
+
+		// If we have elements to modify, make the request
+		if ( self.length > 0 ) {
+			jQuery.ajax({
+				url: url,
+
+				// if "type" variable is undefined, then "GET" method will be used
+				type: type,
+				dataType: "html",
+				data: params
+			}).done(function( responseText ) {
+
+				// Save response for use in complete callback
+				response = arguments;
+
+				self.html( selector ?
+
+					// If a selector was specified, locate the right elements in a dummy div
+					// Exclude scripts to avoid IE 'Permission Denied' errors
+					jQuery("<div>").append( jQuery.parseHTML( responseText ) ).find( selector ) :
+
+					// Otherwise use the full result
+					responseText );
+
+			}).complete( callback && function( jqXHR, status ) {
+				self.each( callback, response || [ jqXHR.responseText, status, jqXHR ] );
+			});
+		}
+
+		return this;
+	};
+
+
+
+
+	// Attach a bunch of functions for handling common AJAX events
+	jQuery.each( [ "ajaxStart", "ajaxStop", "ajaxComplete", "ajaxError", "ajaxSuccess", "ajaxSend" ], function( i, type ) {
+		jQuery.fn[ type ] = function( fn ) {
+			return this.on( type, fn );
+		};
+	});
+
+
+
+
+	jQuery.expr.filters.animated = function( elem ) {
+		return jQuery.grep(jQuery.timers, function( fn ) {
+			return elem === fn.elem;
+		}).length;
+	};
+
+
+
+
+	var docElem = window.document.documentElement;
+
+	/**
+	 * Gets a window from an element
+	 */
+	function getWindow( elem ) {
+		return jQuery.isWindow( elem ) ? elem : elem.nodeType === 9 && elem.defaultView;
+	}
+
+	jQuery.offset = {
+		setOffset: function( elem, options, i ) {
+			var curPosition, curLeft, curCSSTop, curTop, curOffset, curCSSLeft, calculatePosition,
+				position = jQuery.css( elem, "position" ),
+				curElem = jQuery( elem ),
+				props = {};
+
+			// Set position first, in-case top/left are set even on static elem
+			if ( position === "static" ) {
+				elem.style.position = "relative";
+			}
+
+			curOffset = curElem.offset();
+			curCSSTop = jQuery.css( elem, "top" );
+			curCSSLeft = jQuery.css( elem, "left" );
+			calculatePosition = ( position === "absolute" || position === "fixed" ) &&
+				( curCSSTop + curCSSLeft ).indexOf("auto") > -1;
+
+			// Need to be able to calculate position if either
+			// top or left is auto and position is either absolute or fixed
+			if ( calculatePosition ) {
+				curPosition = curElem.position();
+				curTop = curPosition.top;
+				curLeft = curPosition.left;
+
+			} else {
+				curTop = parseFloat( curCSSTop ) || 0;
+				curLeft = parseFloat( curCSSLeft ) || 0;
+			}
+
+			if ( jQuery.isFunction( options ) ) {
+				options = options.call( elem, i, curOffset );
+			}
+
+			if ( options.top != null ) {
+				props.top = ( options.top - curOffset.top ) + curTop;
+			}
+			if ( options.left != null ) {
+				props.left = ( options.left - curOffset.left ) + curLeft;
+			}
+
+			if ( "using" in options ) {
+				options.using.call( elem, props );
+
+			} else {
+				curElem.css( props );
+			}
+		}
+	};
+
+	jQuery.fn.extend({
+		offset: function( options ) {
+			if ( arguments.length ) {
+				return options === undefined ?
+					this :
+					this.each(function( i ) {
+						jQuery.offset.setOffset( this, options, i );
+					});
+			}
+
+			var docElem, win,
+				elem = this[ 0 ],
+				box = { top: 0, left: 0 },
+				doc = elem && elem.ownerDocument;
+
+			if ( !doc ) {
+				return;
+			}
+
+			docElem = doc.documentElement;
+
+			// Make sure it's not a disconnected DOM node
+			if ( !jQuery.contains( docElem, elem ) ) {
+				return box;
+			}
+
+			// Support: BlackBerry 5, iOS 3 (original iPhone)
+			// If we don't have gBCR, just use 0,0 rather than error
+			if ( typeof elem.getBoundingClientRect !== strundefined ) {
+				box = elem.getBoundingClientRect();
+			}
+			win = getWindow( doc );
+			return {
+				top: box.top + win.pageYOffset - docElem.clientTop,
+				left: box.left + win.pageXOffset - docElem.clientLeft
+			};
+		},
+
+		position: function() {
+			if ( !this[ 0 ] ) {
+				return;
+			}
+
+			var offsetParent, offset,
+				elem = this[ 0 ],
+				parentOffset = { top: 0, left: 0 };
+
+			// Fixed elements are offset from window (parentOffset = {top:0, left: 0}, because it is its only offset parent
+			if ( jQuery.css( elem, "position" ) === "fixed" ) {
+				// Assume getBoundingClientRect is there when computed position is fixed
+				offset = elem.getBoundingClientRect();
+
+			} else {
+				// Get *real* offsetParent
+				offsetParent = this.offsetParent();
+
+				// Get correct offsets
+				offset = this.offset();
+				if ( !jQuery.nodeName( offsetParent[ 0 ], "html" ) ) {
+					parentOffset = offsetParent.offset();
+				}
+
+				// Add offsetParent borders
+				parentOffset.top += jQuery.css( offsetParent[ 0 ], "borderTopWidth", true );
+				parentOffset.left += jQuery.css( offsetParent[ 0 ], "borderLeftWidth", true );
+			}
+
+			// Subtract parent offsets and element margins
+			return {
+				top: offset.top - parentOffset.top - jQuery.css( elem, "marginTop", true ),
+				left: offset.left - parentOffset.left - jQuery.css( elem, "marginLeft", true )
+			};
+		},
+
+		offsetParent: function() {
+			return this.map(function() {
+				var offsetParent = this.offsetParent || docElem;
+
+				while ( offsetParent && ( !jQuery.nodeName( offsetParent, "html" ) && jQuery.css( offsetParent, "position" ) === "static" ) ) {
+					offsetParent = offsetParent.offsetParent;
+				}
+
+				return offsetParent || docElem;
+			});
+		}
+	});
+
+	// Create scrollLeft and scrollTop methods
+	jQuery.each( { scrollLeft: "pageXOffset", scrollTop: "pageYOffset" }, function( method, prop ) {
+		var top = "pageYOffset" === prop;
+
+		jQuery.fn[ method ] = function( val ) {
+			return access( this, function( elem, method, val ) {
+				var win = getWindow( elem );
+
+				if ( val === undefined ) {
+					return win ? win[ prop ] : elem[ method ];
+				}
+
+				if ( win ) {
+					win.scrollTo(
+						!top ? val : window.pageXOffset,
+						top ? val : window.pageYOffset
+					);
+
+				} else {
+					elem[ method ] = val;
+				}
+			}, method, val, arguments.length, null );
+		};
+	});
+
+	// Support: Safari<7+, Chrome<37+
+	// Add the top/left cssHooks using jQuery.fn.position
+	// Webkit bug: https://bugs.webkit.org/show_bug.cgi?id=29084
+	// Blink bug: https://code.google.com/p/chromium/issues/detail?id=229280
+	// getComputedStyle returns percent when specified for top/left/bottom/right;
+	// rather than make the css module depend on the offset module, just check for it here
+	jQuery.each( [ "top", "left" ], function( i, prop ) {
+		jQuery.cssHooks[ prop ] = addGetHookIf( support.pixelPosition,
+			function( elem, computed ) {
+				if ( computed ) {
+					computed = curCSS( elem, prop );
+					// If curCSS returns percentage, fallback to offset
+					return rnumnonpx.test( computed ) ?
+						jQuery( elem ).position()[ prop ] + "px" :
+						computed;
+				}
+			}
+		);
+	});
+
+
+	// Create innerHeight, innerWidth, height, width, outerHeight and outerWidth methods
+	jQuery.each( { Height: "height", Width: "width" }, function( name, type ) {
+		jQuery.each( { padding: "inner" + name, content: type, "": "outer" + name }, function( defaultExtra, funcName ) {
+			// Margin is only for outerHeight, outerWidth
+			jQuery.fn[ funcName ] = function( margin, value ) {
+				var chainable = arguments.length && ( defaultExtra || typeof margin !== "boolean" ),
+					extra = defaultExtra || ( margin === true || value === true ? "margin" : "border" );
+
+				return access( this, function( elem, type, value ) {
+					var doc;
+
+					if ( jQuery.isWindow( elem ) ) {
+						// As of 5/8/2012 this will yield incorrect results for Mobile Safari, but there
+						// isn't a whole lot we can do. See pull request at this URL for discussion:
+						// https://github.com/jquery/jquery/pull/764
+						return elem.document.documentElement[ "client" + name ];
+					}
+
+					// Get document width or height
+					if ( elem.nodeType === 9 ) {
+						doc = elem.documentElement;
+
+						// Either scroll[Width/Height] or offset[Width/Height] or client[Width/Height],
+						// whichever is greatest
+						return Math.max(
+							elem.body[ "scroll" + name ], doc[ "scroll" + name ],
+							elem.body[ "offset" + name ], doc[ "offset" + name ],
+							doc[ "client" + name ]
+						);
+					}
+
+					return value === undefined ?
+						// Get width or height on the element, requesting but not forcing parseFloat
+						jQuery.css( elem, type, extra ) :
+
+						// Set width or height on the element
+						jQuery.style( elem, type, value, extra );
+				}, type, chainable ? margin : undefined, chainable, null );
+			};
+		});
+	});
+
+
+	// The number of elements contained in the matched element set
+	jQuery.fn.size = function() {
+		return this.length;
+	};
+
+	jQuery.fn.andSelf = jQuery.fn.addBack;
+
+
+
+
+	// Register as a named AMD module, since jQuery can be concatenated with other
+	// files that may use define, but not via a proper concatenation script that
+	// understands anonymous AMD modules. A named AMD is safest and most robust
+	// way to register. Lowercase jquery is used because AMD module names are
+	// derived from file names, and jQuery is normally delivered in a lowercase
+	// file name. Do this after creating the global so that if an AMD module wants
+	// to call noConflict to hide this version of jQuery, it will work.
+
+	// Note that for maximum portability, libraries that are not jQuery should
+	// declare themselves as anonymous modules, and avoid setting a global if an
+	// AMD loader is present. jQuery is a special case. For more information, see
+	// https://github.com/jrburke/requirejs/wiki/Updating-existing-libraries#wiki-anon
+
+	if ( true ) {
+		!(__WEBPACK_AMD_DEFINE_ARRAY__ = [], __WEBPACK_AMD_DEFINE_RESULT__ = function() {
+			return jQuery;
+		}.apply(exports, __WEBPACK_AMD_DEFINE_ARRAY__), __WEBPACK_AMD_DEFINE_RESULT__ !== undefined && (module.exports = __WEBPACK_AMD_DEFINE_RESULT__));
+	}
+
+
+
+
+	var
+		// Map over jQuery in case of overwrite
+		_jQuery = window.jQuery,
+
+		// Map over the $ in case of overwrite
+		_$ = window.$;
+
+	jQuery.noConflict = function( deep ) {
+		if ( window.$ === jQuery ) {
+			window.$ = _$;
+		}
+
+		if ( deep && window.jQuery === jQuery ) {
+			window.jQuery = _jQuery;
+		}
+
+		return jQuery;
+	};
+
+	// Expose jQuery and $ identifiers, even in AMD
+	// (#7102#comment:10, https://github.com/jquery/jquery/pull/557)
+	// and CommonJS for browser emulators (#13566)
+	if ( typeof noGlobal === strundefined ) {
+		window.jQuery = window.$ = jQuery;
+	}
+
+
+
+
+	return jQuery;
+
+	}));
+
+
+/***/ }),
+/* 2 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	var __WEBPACK_AMD_DEFINE_ARRAY__, __WEBPACK_AMD_DEFINE_RESULT__;//     Underscore.js 1.6.0
+	//     http://underscorejs.org
+	//     (c) 2009-2014 Jeremy Ashkenas, DocumentCloud and Investigative Reporters & Editors
+	//     Underscore may be freely distributed under the MIT license.
+
+	(function() {
+
+	  // Baseline setup
+	  // --------------
+
+	  // Establish the root object, `window` in the browser, or `exports` on the server.
+	  var root = this;
+
+	  // Save the previous value of the `_` variable.
+	  var previousUnderscore = root._;
+
+	  // Establish the object that gets returned to break out of a loop iteration.
+	  var breaker = {};
+
+	  // Save bytes in the minified (but not gzipped) version:
+	  var ArrayProto = Array.prototype, ObjProto = Object.prototype, FuncProto = Function.prototype;
+
+	  // Create quick reference variables for speed access to core prototypes.
+	  var
+	    push             = ArrayProto.push,
+	    slice            = ArrayProto.slice,
+	    concat           = ArrayProto.concat,
+	    toString         = ObjProto.toString,
+	    hasOwnProperty   = ObjProto.hasOwnProperty;
+
+	  // All **ECMAScript 5** native function implementations that we hope to use
+	  // are declared here.
+	  var
+	    nativeForEach      = ArrayProto.forEach,
+	    nativeMap          = ArrayProto.map,
+	    nativeReduce       = ArrayProto.reduce,
+	    nativeReduceRight  = ArrayProto.reduceRight,
+	    nativeFilter       = ArrayProto.filter,
+	    nativeEvery        = ArrayProto.every,
+	    nativeSome         = ArrayProto.some,
+	    nativeIndexOf      = ArrayProto.indexOf,
+	    nativeLastIndexOf  = ArrayProto.lastIndexOf,
+	    nativeIsArray      = Array.isArray,
+	    nativeKeys         = Object.keys,
+	    nativeBind         = FuncProto.bind;
+
+	  // Create a safe reference to the Underscore object for use below.
+	  var _ = function(obj) {
+	    if (obj instanceof _) return obj;
+	    if (!(this instanceof _)) return new _(obj);
+	    this._wrapped = obj;
+	  };
+
+	  // Export the Underscore object for **Node.js**, with
+	  // backwards-compatibility for the old `require()` API. If we're in
+	  // the browser, add `_` as a global object via a string identifier,
+	  // for Closure Compiler "advanced" mode.
+	  if (true) {
+	    if (typeof module !== 'undefined' && module.exports) {
+	      exports = module.exports = _;
+	    }
+	    exports._ = _;
+	  } else {
+	    root._ = _;
+	  }
+
+	  // Current version.
+	  _.VERSION = '1.6.0';
+
+	  // Collection Functions
+	  // --------------------
+
+	  // The cornerstone, an `each` implementation, aka `forEach`.
+	  // Handles objects with the built-in `forEach`, arrays, and raw objects.
+	  // Delegates to **ECMAScript 5**'s native `forEach` if available.
+	  var each = _.each = _.forEach = function(obj, iterator, context) {
+	    if (obj == null) return obj;
+	    if (nativeForEach && obj.forEach === nativeForEach) {
+	      obj.forEach(iterator, context);
+	    } else if (obj.length === +obj.length) {
+	      for (var i = 0, length = obj.length; i < length; i++) {
+	        if (iterator.call(context, obj[i], i, obj) === breaker) return;
+	      }
+	    } else {
+	      var keys = _.keys(obj);
+	      for (var i = 0, length = keys.length; i < length; i++) {
+	        if (iterator.call(context, obj[keys[i]], keys[i], obj) === breaker) return;
+	      }
+	    }
+	    return obj;
+	  };
+
+	  // Return the results of applying the iterator to each element.
+	  // Delegates to **ECMAScript 5**'s native `map` if available.
+	  _.map = _.collect = function(obj, iterator, context) {
+	    var results = [];
+	    if (obj == null) return results;
+	    if (nativeMap && obj.map === nativeMap) return obj.map(iterator, context);
+	    each(obj, function(value, index, list) {
+	      results.push(iterator.call(context, value, index, list));
+	    });
+	    return results;
+	  };
+
+	  var reduceError = 'Reduce of empty array with no initial value';
+
+	  // **Reduce** builds up a single result from a list of values, aka `inject`,
+	  // or `foldl`. Delegates to **ECMAScript 5**'s native `reduce` if available.
+	  _.reduce = _.foldl = _.inject = function(obj, iterator, memo, context) {
+	    var initial = arguments.length > 2;
+	    if (obj == null) obj = [];
+	    if (nativeReduce && obj.reduce === nativeReduce) {
+	      if (context) iterator = _.bind(iterator, context);
+	      return initial ? obj.reduce(iterator, memo) : obj.reduce(iterator);
+	    }
+	    each(obj, function(value, index, list) {
+	      if (!initial) {
+	        memo = value;
+	        initial = true;
+	      } else {
+	        memo = iterator.call(context, memo, value, index, list);
+	      }
+	    });
+	    if (!initial) throw new TypeError(reduceError);
+	    return memo;
+	  };
+
+	  // The right-associative version of reduce, also known as `foldr`.
+	  // Delegates to **ECMAScript 5**'s native `reduceRight` if available.
+	  _.reduceRight = _.foldr = function(obj, iterator, memo, context) {
+	    var initial = arguments.length > 2;
+	    if (obj == null) obj = [];
+	    if (nativeReduceRight && obj.reduceRight === nativeReduceRight) {
+	      if (context) iterator = _.bind(iterator, context);
+	      return initial ? obj.reduceRight(iterator, memo) : obj.reduceRight(iterator);
+	    }
+	    var length = obj.length;
+	    if (length !== +length) {
+	      var keys = _.keys(obj);
+	      length = keys.length;
+	    }
+	    each(obj, function(value, index, list) {
+	      index = keys ? keys[--length] : --length;
+	      if (!initial) {
+	        memo = obj[index];
+	        initial = true;
+	      } else {
+	        memo = iterator.call(context, memo, obj[index], index, list);
+	      }
+	    });
+	    if (!initial) throw new TypeError(reduceError);
+	    return memo;
+	  };
+
+	  // Return the first value which passes a truth test. Aliased as `detect`.
+	  _.find = _.detect = function(obj, predicate, context) {
+	    var result;
+	    any(obj, function(value, index, list) {
+	      if (predicate.call(context, value, index, list)) {
+	        result = value;
+	        return true;
+	      }
+	    });
+	    return result;
+	  };
+
+	  // Return all the elements that pass a truth test.
+	  // Delegates to **ECMAScript 5**'s native `filter` if available.
+	  // Aliased as `select`.
+	  _.filter = _.select = function(obj, predicate, context) {
+	    var results = [];
+	    if (obj == null) return results;
+	    if (nativeFilter && obj.filter === nativeFilter) return obj.filter(predicate, context);
+	    each(obj, function(value, index, list) {
+	      if (predicate.call(context, value, index, list)) results.push(value);
+	    });
+	    return results;
+	  };
+
+	  // Return all the elements for which a truth test fails.
+	  _.reject = function(obj, predicate, context) {
+	    return _.filter(obj, function(value, index, list) {
+	      return !predicate.call(context, value, index, list);
+	    }, context);
+	  };
+
+	  // Determine whether all of the elements match a truth test.
+	  // Delegates to **ECMAScript 5**'s native `every` if available.
+	  // Aliased as `all`.
+	  _.every = _.all = function(obj, predicate, context) {
+	    predicate || (predicate = _.identity);
+	    var result = true;
+	    if (obj == null) return result;
+	    if (nativeEvery && obj.every === nativeEvery) return obj.every(predicate, context);
+	    each(obj, function(value, index, list) {
+	      if (!(result = result && predicate.call(context, value, index, list))) return breaker;
+	    });
+	    return !!result;
+	  };
+
+	  // Determine if at least one element in the object matches a truth test.
+	  // Delegates to **ECMAScript 5**'s native `some` if available.
+	  // Aliased as `any`.
+	  var any = _.some = _.any = function(obj, predicate, context) {
+	    predicate || (predicate = _.identity);
+	    var result = false;
+	    if (obj == null) return result;
+	    if (nativeSome && obj.some === nativeSome) return obj.some(predicate, context);
+	    each(obj, function(value, index, list) {
+	      if (result || (result = predicate.call(context, value, index, list))) return breaker;
+	    });
+	    return !!result;
+	  };
+
+	  // Determine if the array or object contains a given value (using `===`).
+	  // Aliased as `include`.
+	  _.contains = _.include = function(obj, target) {
+	    if (obj == null) return false;
+	    if (nativeIndexOf && obj.indexOf === nativeIndexOf) return obj.indexOf(target) != -1;
+	    return any(obj, function(value) {
+	      return value === target;
+	    });
+	  };
+
+	  // Invoke a method (with arguments) on every item in a collection.
+	  _.invoke = function(obj, method) {
+	    var args = slice.call(arguments, 2);
+	    var isFunc = _.isFunction(method);
+	    return _.map(obj, function(value) {
+	      return (isFunc ? method : value[method]).apply(value, args);
+	    });
+	  };
+
+	  // Convenience version of a common use case of `map`: fetching a property.
+	  _.pluck = function(obj, key) {
+	    return _.map(obj, _.property(key));
+	  };
+
+	  // Convenience version of a common use case of `filter`: selecting only objects
+	  // containing specific `key:value` pairs.
+	  _.where = function(obj, attrs) {
+	    return _.filter(obj, _.matches(attrs));
+	  };
+
+	  // Convenience version of a common use case of `find`: getting the first object
+	  // containing specific `key:value` pairs.
+	  _.findWhere = function(obj, attrs) {
+	    return _.find(obj, _.matches(attrs));
+	  };
+
+	  // Return the maximum element or (element-based computation).
+	  // Can't optimize arrays of integers longer than 65,535 elements.
+	  // See [WebKit Bug 80797](https://bugs.webkit.org/show_bug.cgi?id=80797)
+	  _.max = function(obj, iterator, context) {
+	    if (!iterator && _.isArray(obj) && obj[0] === +obj[0] && obj.length < 65535) {
+	      return Math.max.apply(Math, obj);
+	    }
+	    var result = -Infinity, lastComputed = -Infinity;
+	    each(obj, function(value, index, list) {
+	      var computed = iterator ? iterator.call(context, value, index, list) : value;
+	      if (computed > lastComputed) {
+	        result = value;
+	        lastComputed = computed;
+	      }
+	    });
+	    return result;
+	  };
+
+	  // Return the minimum element (or element-based computation).
+	  _.min = function(obj, iterator, context) {
+	    if (!iterator && _.isArray(obj) && obj[0] === +obj[0] && obj.length < 65535) {
+	      return Math.min.apply(Math, obj);
+	    }
+	    var result = Infinity, lastComputed = Infinity;
+	    each(obj, function(value, index, list) {
+	      var computed = iterator ? iterator.call(context, value, index, list) : value;
+	      if (computed < lastComputed) {
+	        result = value;
+	        lastComputed = computed;
+	      }
+	    });
+	    return result;
+	  };
+
+	  // Shuffle an array, using the modern version of the
+	  // [Fisher-Yates shuffle](http://en.wikipedia.org/wiki/Fisher–Yates_shuffle).
+	  _.shuffle = function(obj) {
+	    var rand;
+	    var index = 0;
+	    var shuffled = [];
+	    each(obj, function(value) {
+	      rand = _.random(index++);
+	      shuffled[index - 1] = shuffled[rand];
+	      shuffled[rand] = value;
+	    });
+	    return shuffled;
+	  };
+
+	  // Sample **n** random values from a collection.
+	  // If **n** is not specified, returns a single random element.
+	  // The internal `guard` argument allows it to work with `map`.
+	  _.sample = function(obj, n, guard) {
+	    if (n == null || guard) {
+	      if (obj.length !== +obj.length) obj = _.values(obj);
+	      return obj[_.random(obj.length - 1)];
+	    }
+	    return _.shuffle(obj).slice(0, Math.max(0, n));
+	  };
+
+	  // An internal function to generate lookup iterators.
+	  var lookupIterator = function(value) {
+	    if (value == null) return _.identity;
+	    if (_.isFunction(value)) return value;
+	    return _.property(value);
+	  };
+
+	  // Sort the object's values by a criterion produced by an iterator.
+	  _.sortBy = function(obj, iterator, context) {
+	    iterator = lookupIterator(iterator);
+	    return _.pluck(_.map(obj, function(value, index, list) {
+	      return {
+	        value: value,
+	        index: index,
+	        criteria: iterator.call(context, value, index, list)
+	      };
+	    }).sort(function(left, right) {
+	      var a = left.criteria;
+	      var b = right.criteria;
+	      if (a !== b) {
+	        if (a > b || a === void 0) return 1;
+	        if (a < b || b === void 0) return -1;
+	      }
+	      return left.index - right.index;
+	    }), 'value');
+	  };
+
+	  // An internal function used for aggregate "group by" operations.
+	  var group = function(behavior) {
+	    return function(obj, iterator, context) {
+	      var result = {};
+	      iterator = lookupIterator(iterator);
+	      each(obj, function(value, index) {
+	        var key = iterator.call(context, value, index, obj);
+	        behavior(result, key, value);
+	      });
+	      return result;
+	    };
+	  };
+
+	  // Groups the object's values by a criterion. Pass either a string attribute
+	  // to group by, or a function that returns the criterion.
+	  _.groupBy = group(function(result, key, value) {
+	    _.has(result, key) ? result[key].push(value) : result[key] = [value];
+	  });
+
+	  // Indexes the object's values by a criterion, similar to `groupBy`, but for
+	  // when you know that your index values will be unique.
+	  _.indexBy = group(function(result, key, value) {
+	    result[key] = value;
+	  });
+
+	  // Counts instances of an object that group by a certain criterion. Pass
+	  // either a string attribute to count by, or a function that returns the
+	  // criterion.
+	  _.countBy = group(function(result, key) {
+	    _.has(result, key) ? result[key]++ : result[key] = 1;
+	  });
+
+	  // Use a comparator function to figure out the smallest index at which
+	  // an object should be inserted so as to maintain order. Uses binary search.
+	  _.sortedIndex = function(array, obj, iterator, context) {
+	    iterator = lookupIterator(iterator);
+	    var value = iterator.call(context, obj);
+	    var low = 0, high = array.length;
+	    while (low < high) {
+	      var mid = (low + high) >>> 1;
+	      iterator.call(context, array[mid]) < value ? low = mid + 1 : high = mid;
+	    }
+	    return low;
+	  };
+
+	  // Safely create a real, live array from anything iterable.
+	  _.toArray = function(obj) {
+	    if (!obj) return [];
+	    if (_.isArray(obj)) return slice.call(obj);
+	    if (obj.length === +obj.length) return _.map(obj, _.identity);
+	    return _.values(obj);
+	  };
+
+	  // Return the number of elements in an object.
+	  _.size = function(obj) {
+	    if (obj == null) return 0;
+	    return (obj.length === +obj.length) ? obj.length : _.keys(obj).length;
+	  };
+
+	  // Array Functions
+	  // ---------------
+
+	  // Get the first element of an array. Passing **n** will return the first N
+	  // values in the array. Aliased as `head` and `take`. The **guard** check
+	  // allows it to work with `_.map`.
+	  _.first = _.head = _.take = function(array, n, guard) {
+	    if (array == null) return void 0;
+	    if ((n == null) || guard) return array[0];
+	    if (n < 0) return [];
+	    return slice.call(array, 0, n);
+	  };
+
+	  // Returns everything but the last entry of the array. Especially useful on
+	  // the arguments object. Passing **n** will return all the values in
+	  // the array, excluding the last N. The **guard** check allows it to work with
+	  // `_.map`.
+	  _.initial = function(array, n, guard) {
+	    return slice.call(array, 0, array.length - ((n == null) || guard ? 1 : n));
+	  };
+
+	  // Get the last element of an array. Passing **n** will return the last N
+	  // values in the array. The **guard** check allows it to work with `_.map`.
+	  _.last = function(array, n, guard) {
+	    if (array == null) return void 0;
+	    if ((n == null) || guard) return array[array.length - 1];
+	    return slice.call(array, Math.max(array.length - n, 0));
+	  };
+
+	  // Returns everything but the first entry of the array. Aliased as `tail` and `drop`.
+	  // Especially useful on the arguments object. Passing an **n** will return
+	  // the rest N values in the array. The **guard**
+	  // check allows it to work with `_.map`.
+	  _.rest = _.tail = _.drop = function(array, n, guard) {
+	    return slice.call(array, (n == null) || guard ? 1 : n);
+	  };
+
+	  // Trim out all falsy values from an array.
+	  _.compact = function(array) {
+	    return _.filter(array, _.identity);
+	  };
+
+	  // Internal implementation of a recursive `flatten` function.
+	  var flatten = function(input, shallow, output) {
+	    if (shallow && _.every(input, _.isArray)) {
+	      return concat.apply(output, input);
+	    }
+	    each(input, function(value) {
+	      if (_.isArray(value) || _.isArguments(value)) {
+	        shallow ? push.apply(output, value) : flatten(value, shallow, output);
+	      } else {
+	        output.push(value);
+	      }
+	    });
+	    return output;
+	  };
+
+	  // Flatten out an array, either recursively (by default), or just one level.
+	  _.flatten = function(array, shallow) {
+	    return flatten(array, shallow, []);
+	  };
+
+	  // Return a version of the array that does not contain the specified value(s).
+	  _.without = function(array) {
+	    return _.difference(array, slice.call(arguments, 1));
+	  };
+
+	  // Split an array into two arrays: one whose elements all satisfy the given
+	  // predicate, and one whose elements all do not satisfy the predicate.
+	  _.partition = function(array, predicate) {
+	    var pass = [], fail = [];
+	    each(array, function(elem) {
+	      (predicate(elem) ? pass : fail).push(elem);
+	    });
+	    return [pass, fail];
+	  };
+
+	  // Produce a duplicate-free version of the array. If the array has already
+	  // been sorted, you have the option of using a faster algorithm.
+	  // Aliased as `unique`.
+	  _.uniq = _.unique = function(array, isSorted, iterator, context) {
+	    if (_.isFunction(isSorted)) {
+	      context = iterator;
+	      iterator = isSorted;
+	      isSorted = false;
+	    }
+	    var initial = iterator ? _.map(array, iterator, context) : array;
+	    var results = [];
+	    var seen = [];
+	    each(initial, function(value, index) {
+	      if (isSorted ? (!index || seen[seen.length - 1] !== value) : !_.contains(seen, value)) {
+	        seen.push(value);
+	        results.push(array[index]);
+	      }
+	    });
+	    return results;
+	  };
+
+	  // Produce an array that contains the union: each distinct element from all of
+	  // the passed-in arrays.
+	  _.union = function() {
+	    return _.uniq(_.flatten(arguments, true));
+	  };
+
+	  // Produce an array that contains every item shared between all the
+	  // passed-in arrays.
+	  _.intersection = function(array) {
+	    var rest = slice.call(arguments, 1);
+	    return _.filter(_.uniq(array), function(item) {
+	      return _.every(rest, function(other) {
+	        return _.contains(other, item);
+	      });
+	    });
+	  };
+
+	  // Take the difference between one array and a number of other arrays.
+	  // Only the elements present in just the first array will remain.
+	  _.difference = function(array) {
+	    var rest = concat.apply(ArrayProto, slice.call(arguments, 1));
+	    return _.filter(array, function(value){ return !_.contains(rest, value); });
+	  };
+
+	  // Zip together multiple lists into a single array -- elements that share
+	  // an index go together.
+	  _.zip = function() {
+	    var length = _.max(_.pluck(arguments, 'length').concat(0));
+	    var results = new Array(length);
+	    for (var i = 0; i < length; i++) {
+	      results[i] = _.pluck(arguments, '' + i);
+	    }
+	    return results;
+	  };
+
+	  // Converts lists into objects. Pass either a single array of `[key, value]`
+	  // pairs, or two parallel arrays of the same length -- one of keys, and one of
+	  // the corresponding values.
+	  _.object = function(list, values) {
+	    if (list == null) return {};
+	    var result = {};
+	    for (var i = 0, length = list.length; i < length; i++) {
+	      if (values) {
+	        result[list[i]] = values[i];
+	      } else {
+	        result[list[i][0]] = list[i][1];
+	      }
+	    }
+	    return result;
+	  };
+
+	  // If the browser doesn't supply us with indexOf (I'm looking at you, **MSIE**),
+	  // we need this function. Return the position of the first occurrence of an
+	  // item in an array, or -1 if the item is not included in the array.
+	  // Delegates to **ECMAScript 5**'s native `indexOf` if available.
+	  // If the array is large and already in sort order, pass `true`
+	  // for **isSorted** to use binary search.
+	  _.indexOf = function(array, item, isSorted) {
+	    if (array == null) return -1;
+	    var i = 0, length = array.length;
+	    if (isSorted) {
+	      if (typeof isSorted == 'number') {
+	        i = (isSorted < 0 ? Math.max(0, length + isSorted) : isSorted);
+	      } else {
+	        i = _.sortedIndex(array, item);
+	        return array[i] === item ? i : -1;
+	      }
+	    }
+	    if (nativeIndexOf && array.indexOf === nativeIndexOf) return array.indexOf(item, isSorted);
+	    for (; i < length; i++) if (array[i] === item) return i;
+	    return -1;
+	  };
+
+	  // Delegates to **ECMAScript 5**'s native `lastIndexOf` if available.
+	  _.lastIndexOf = function(array, item, from) {
+	    if (array == null) return -1;
+	    var hasIndex = from != null;
+	    if (nativeLastIndexOf && array.lastIndexOf === nativeLastIndexOf) {
+	      return hasIndex ? array.lastIndexOf(item, from) : array.lastIndexOf(item);
+	    }
+	    var i = (hasIndex ? from : array.length);
+	    while (i--) if (array[i] === item) return i;
+	    return -1;
+	  };
+
+	  // Generate an integer Array containing an arithmetic progression. A port of
+	  // the native Python `range()` function. See
+	  // [the Python documentation](http://docs.python.org/library/functions.html#range).
+	  _.range = function(start, stop, step) {
+	    if (arguments.length <= 1) {
+	      stop = start || 0;
+	      start = 0;
+	    }
+	    step = arguments[2] || 1;
+
+	    var length = Math.max(Math.ceil((stop - start) / step), 0);
+	    var idx = 0;
+	    var range = new Array(length);
+
+	    while(idx < length) {
+	      range[idx++] = start;
+	      start += step;
+	    }
+
+	    return range;
+	  };
+
+	  // Function (ahem) Functions
+	  // ------------------
+
+	  // Reusable constructor function for prototype setting.
+	  var ctor = function(){};
+
+	  // Create a function bound to a given object (assigning `this`, and arguments,
+	  // optionally). Delegates to **ECMAScript 5**'s native `Function.bind` if
+	  // available.
+	  _.bind = function(func, context) {
+	    var args, bound;
+	    if (nativeBind && func.bind === nativeBind) return nativeBind.apply(func, slice.call(arguments, 1));
+	    if (!_.isFunction(func)) throw new TypeError;
+	    args = slice.call(arguments, 2);
+	    return bound = function() {
+	      if (!(this instanceof bound)) return func.apply(context, args.concat(slice.call(arguments)));
+	      ctor.prototype = func.prototype;
+	      var self = new ctor;
+	      ctor.prototype = null;
+	      var result = func.apply(self, args.concat(slice.call(arguments)));
+	      if (Object(result) === result) return result;
+	      return self;
+	    };
+	  };
+
+	  // Partially apply a function by creating a version that has had some of its
+	  // arguments pre-filled, without changing its dynamic `this` context. _ acts
+	  // as a placeholder, allowing any combination of arguments to be pre-filled.
+	  _.partial = function(func) {
+	    var boundArgs = slice.call(arguments, 1);
+	    return function() {
+	      var position = 0;
+	      var args = boundArgs.slice();
+	      for (var i = 0, length = args.length; i < length; i++) {
+	        if (args[i] === _) args[i] = arguments[position++];
+	      }
+	      while (position < arguments.length) args.push(arguments[position++]);
+	      return func.apply(this, args);
+	    };
+	  };
+
+	  // Bind a number of an object's methods to that object. Remaining arguments
+	  // are the method names to be bound. Useful for ensuring that all callbacks
+	  // defined on an object belong to it.
+	  _.bindAll = function(obj) {
+	    var funcs = slice.call(arguments, 1);
+	    if (funcs.length === 0) throw new Error('bindAll must be passed function names');
+	    each(funcs, function(f) { obj[f] = _.bind(obj[f], obj); });
+	    return obj;
+	  };
+
+	  // Memoize an expensive function by storing its results.
+	  _.memoize = function(func, hasher) {
+	    var memo = {};
+	    hasher || (hasher = _.identity);
+	    return function() {
+	      var key = hasher.apply(this, arguments);
+	      return _.has(memo, key) ? memo[key] : (memo[key] = func.apply(this, arguments));
+	    };
+	  };
+
+	  // Delays a function for the given number of milliseconds, and then calls
+	  // it with the arguments supplied.
+	  _.delay = function(func, wait) {
+	    var args = slice.call(arguments, 2);
+	    return setTimeout(function(){ return func.apply(null, args); }, wait);
+	  };
+
+	  // Defers a function, scheduling it to run after the current call stack has
+	  // cleared.
+	  _.defer = function(func) {
+	    return _.delay.apply(_, [func, 1].concat(slice.call(arguments, 1)));
+	  };
+
+	  // Returns a function, that, when invoked, will only be triggered at most once
+	  // during a given window of time. Normally, the throttled function will run
+	  // as much as it can, without ever going more than once per `wait` duration;
+	  // but if you'd like to disable the execution on the leading edge, pass
+	  // `{leading: false}`. To disable execution on the trailing edge, ditto.
+	  _.throttle = function(func, wait, options) {
+	    var context, args, result;
+	    var timeout = null;
+	    var previous = 0;
+	    options || (options = {});
+	    var later = function() {
+	      previous = options.leading === false ? 0 : _.now();
+	      timeout = null;
+	      result = func.apply(context, args);
+	      context = args = null;
+	    };
+	    return function() {
+	      var now = _.now();
+	      if (!previous && options.leading === false) previous = now;
+	      var remaining = wait - (now - previous);
+	      context = this;
+	      args = arguments;
+	      if (remaining <= 0) {
+	        clearTimeout(timeout);
+	        timeout = null;
+	        previous = now;
+	        result = func.apply(context, args);
+	        context = args = null;
+	      } else if (!timeout && options.trailing !== false) {
+	        timeout = setTimeout(later, remaining);
+	      }
+	      return result;
+	    };
+	  };
+
+	  // Returns a function, that, as long as it continues to be invoked, will not
+	  // be triggered. The function will be called after it stops being called for
+	  // N milliseconds. If `immediate` is passed, trigger the function on the
+	  // leading edge, instead of the trailing.
+	  _.debounce = function(func, wait, immediate) {
+	    var timeout, args, context, timestamp, result;
+
+	    var later = function() {
+	      var last = _.now() - timestamp;
+	      if (last < wait) {
+	        timeout = setTimeout(later, wait - last);
+	      } else {
+	        timeout = null;
+	        if (!immediate) {
+	          result = func.apply(context, args);
+	          context = args = null;
+	        }
+	      }
+	    };
+
+	    return function() {
+	      context = this;
+	      args = arguments;
+	      timestamp = _.now();
+	      var callNow = immediate && !timeout;
+	      if (!timeout) {
+	        timeout = setTimeout(later, wait);
+	      }
+	      if (callNow) {
+	        result = func.apply(context, args);
+	        context = args = null;
+	      }
+
+	      return result;
+	    };
+	  };
+
+	  // Returns a function that will be executed at most one time, no matter how
+	  // often you call it. Useful for lazy initialization.
+	  _.once = function(func) {
+	    var ran = false, memo;
+	    return function() {
+	      if (ran) return memo;
+	      ran = true;
+	      memo = func.apply(this, arguments);
+	      func = null;
+	      return memo;
+	    };
+	  };
+
+	  // Returns the first function passed as an argument to the second,
+	  // allowing you to adjust arguments, run code before and after, and
+	  // conditionally execute the original function.
+	  _.wrap = function(func, wrapper) {
+	    return _.partial(wrapper, func);
+	  };
+
+	  // Returns a function that is the composition of a list of functions, each
+	  // consuming the return value of the function that follows.
+	  _.compose = function() {
+	    var funcs = arguments;
+	    return function() {
+	      var args = arguments;
+	      for (var i = funcs.length - 1; i >= 0; i--) {
+	        args = [funcs[i].apply(this, args)];
+	      }
+	      return args[0];
+	    };
+	  };
+
+	  // Returns a function that will only be executed after being called N times.
+	  _.after = function(times, func) {
+	    return function() {
+	      if (--times < 1) {
+	        return func.apply(this, arguments);
+	      }
+	    };
+	  };
+
+	  // Object Functions
+	  // ----------------
+
+	  // Retrieve the names of an object's properties.
+	  // Delegates to **ECMAScript 5**'s native `Object.keys`
+	  _.keys = function(obj) {
+	    if (!_.isObject(obj)) return [];
+	    if (nativeKeys) return nativeKeys(obj);
+	    var keys = [];
+	    for (var key in obj) if (_.has(obj, key)) keys.push(key);
+	    return keys;
+	  };
+
+	  // Retrieve the values of an object's properties.
+	  _.values = function(obj) {
+	    var keys = _.keys(obj);
+	    var length = keys.length;
+	    var values = new Array(length);
+	    for (var i = 0; i < length; i++) {
+	      values[i] = obj[keys[i]];
+	    }
+	    return values;
+	  };
+
+	  // Convert an object into a list of `[key, value]` pairs.
+	  _.pairs = function(obj) {
+	    var keys = _.keys(obj);
+	    var length = keys.length;
+	    var pairs = new Array(length);
+	    for (var i = 0; i < length; i++) {
+	      pairs[i] = [keys[i], obj[keys[i]]];
+	    }
+	    return pairs;
+	  };
+
+	  // Invert the keys and values of an object. The values must be serializable.
+	  _.invert = function(obj) {
+	    var result = {};
+	    var keys = _.keys(obj);
+	    for (var i = 0, length = keys.length; i < length; i++) {
+	      result[obj[keys[i]]] = keys[i];
+	    }
+	    return result;
+	  };
+
+	  // Return a sorted list of the function names available on the object.
+	  // Aliased as `methods`
+	  _.functions = _.methods = function(obj) {
+	    var names = [];
+	    for (var key in obj) {
+	      if (_.isFunction(obj[key])) names.push(key);
+	    }
+	    return names.sort();
+	  };
+
+	  // Extend a given object with all the properties in passed-in object(s).
+	  _.extend = function(obj) {
+	    each(slice.call(arguments, 1), function(source) {
+	      if (source) {
+	        for (var prop in source) {
+	          obj[prop] = source[prop];
+	        }
+	      }
+	    });
+	    return obj;
+	  };
+
+	  // Return a copy of the object only containing the whitelisted properties.
+	  _.pick = function(obj) {
+	    var copy = {};
+	    var keys = concat.apply(ArrayProto, slice.call(arguments, 1));
+	    each(keys, function(key) {
+	      if (key in obj) copy[key] = obj[key];
+	    });
+	    return copy;
+	  };
+
+	   // Return a copy of the object without the blacklisted properties.
+	  _.omit = function(obj) {
+	    var copy = {};
+	    var keys = concat.apply(ArrayProto, slice.call(arguments, 1));
+	    for (var key in obj) {
+	      if (!_.contains(keys, key)) copy[key] = obj[key];
+	    }
+	    return copy;
+	  };
+
+	  // Fill in a given object with default properties.
+	  _.defaults = function(obj) {
+	    each(slice.call(arguments, 1), function(source) {
+	      if (source) {
+	        for (var prop in source) {
+	          if (obj[prop] === void 0) obj[prop] = source[prop];
+	        }
+	      }
+	    });
+	    return obj;
+	  };
+
+	  // Create a (shallow-cloned) duplicate of an object.
+	  _.clone = function(obj) {
+	    if (!_.isObject(obj)) return obj;
+	    return _.isArray(obj) ? obj.slice() : _.extend({}, obj);
+	  };
+
+	  // Invokes interceptor with the obj, and then returns obj.
+	  // The primary purpose of this method is to "tap into" a method chain, in
+	  // order to perform operations on intermediate results within the chain.
+	  _.tap = function(obj, interceptor) {
+	    interceptor(obj);
+	    return obj;
+	  };
+
+	  // Internal recursive comparison function for `isEqual`.
+	  var eq = function(a, b, aStack, bStack) {
+	    // Identical objects are equal. `0 === -0`, but they aren't identical.
+	    // See the [Harmony `egal` proposal](http://wiki.ecmascript.org/doku.php?id=harmony:egal).
+	    if (a === b) return a !== 0 || 1 / a == 1 / b;
+	    // A strict comparison is necessary because `null == undefined`.
+	    if (a == null || b == null) return a === b;
+	    // Unwrap any wrapped objects.
+	    if (a instanceof _) a = a._wrapped;
+	    if (b instanceof _) b = b._wrapped;
+	    // Compare `[[Class]]` names.
+	    var className = toString.call(a);
+	    if (className != toString.call(b)) return false;
+	    switch (className) {
+	      // Strings, numbers, dates, and booleans are compared by value.
+	      case '[object String]':
+	        // Primitives and their corresponding object wrappers are equivalent; thus, `"5"` is
+	        // equivalent to `new String("5")`.
+	        return a == String(b);
+	      case '[object Number]':
+	        // `NaN`s are equivalent, but non-reflexive. An `egal` comparison is performed for
+	        // other numeric values.
+	        return a != +a ? b != +b : (a == 0 ? 1 / a == 1 / b : a == +b);
+	      case '[object Date]':
+	      case '[object Boolean]':
+	        // Coerce dates and booleans to numeric primitive values. Dates are compared by their
+	        // millisecond representations. Note that invalid dates with millisecond representations
+	        // of `NaN` are not equivalent.
+	        return +a == +b;
+	      // RegExps are compared by their source patterns and flags.
+	      case '[object RegExp]':
+	        return a.source == b.source &&
+	               a.global == b.global &&
+	               a.multiline == b.multiline &&
+	               a.ignoreCase == b.ignoreCase;
+	    }
+	    if (typeof a != 'object' || typeof b != 'object') return false;
+	    // Assume equality for cyclic structures. The algorithm for detecting cyclic
+	    // structures is adapted from ES 5.1 section 15.12.3, abstract operation `JO`.
+	    var length = aStack.length;
+	    while (length--) {
+	      // Linear search. Performance is inversely proportional to the number of
+	      // unique nested structures.
+	      if (aStack[length] == a) return bStack[length] == b;
+	    }
+	    // Objects with different constructors are not equivalent, but `Object`s
+	    // from different frames are.
+	    var aCtor = a.constructor, bCtor = b.constructor;
+	    if (aCtor !== bCtor && !(_.isFunction(aCtor) && (aCtor instanceof aCtor) &&
+	                             _.isFunction(bCtor) && (bCtor instanceof bCtor))
+	                        && ('constructor' in a && 'constructor' in b)) {
+	      return false;
+	    }
+	    // Add the first object to the stack of traversed objects.
+	    aStack.push(a);
+	    bStack.push(b);
+	    var size = 0, result = true;
+	    // Recursively compare objects and arrays.
+	    if (className == '[object Array]') {
+	      // Compare array lengths to determine if a deep comparison is necessary.
+	      size = a.length;
+	      result = size == b.length;
+	      if (result) {
+	        // Deep compare the contents, ignoring non-numeric properties.
+	        while (size--) {
+	          if (!(result = eq(a[size], b[size], aStack, bStack))) break;
+	        }
+	      }
+	    } else {
+	      // Deep compare objects.
+	      for (var key in a) {
+	        if (_.has(a, key)) {
+	          // Count the expected number of properties.
+	          size++;
+	          // Deep compare each member.
+	          if (!(result = _.has(b, key) && eq(a[key], b[key], aStack, bStack))) break;
+	        }
+	      }
+	      // Ensure that both objects contain the same number of properties.
+	      if (result) {
+	        for (key in b) {
+	          if (_.has(b, key) && !(size--)) break;
+	        }
+	        result = !size;
+	      }
+	    }
+	    // Remove the first object from the stack of traversed objects.
+	    aStack.pop();
+	    bStack.pop();
+	    return result;
+	  };
+
+	  // Perform a deep comparison to check if two objects are equal.
+	  _.isEqual = function(a, b) {
+	    return eq(a, b, [], []);
+	  };
+
+	  // Is a given array, string, or object empty?
+	  // An "empty" object has no enumerable own-properties.
+	  _.isEmpty = function(obj) {
+	    if (obj == null) return true;
+	    if (_.isArray(obj) || _.isString(obj)) return obj.length === 0;
+	    for (var key in obj) if (_.has(obj, key)) return false;
+	    return true;
+	  };
+
+	  // Is a given value a DOM element?
+	  _.isElement = function(obj) {
+	    return !!(obj && obj.nodeType === 1);
+	  };
+
+	  // Is a given value an array?
+	  // Delegates to ECMA5's native Array.isArray
+	  _.isArray = nativeIsArray || function(obj) {
+	    return toString.call(obj) == '[object Array]';
+	  };
+
+	  // Is a given variable an object?
+	  _.isObject = function(obj) {
+	    return obj === Object(obj);
+	  };
+
+	  // Add some isType methods: isArguments, isFunction, isString, isNumber, isDate, isRegExp.
+	  each(['Arguments', 'Function', 'String', 'Number', 'Date', 'RegExp'], function(name) {
+	    _['is' + name] = function(obj) {
+	      return toString.call(obj) == '[object ' + name + ']';
+	    };
+	  });
+
+	  // Define a fallback version of the method in browsers (ahem, IE), where
+	  // there isn't any inspectable "Arguments" type.
+	  if (!_.isArguments(arguments)) {
+	    _.isArguments = function(obj) {
+	      return !!(obj && _.has(obj, 'callee'));
+	    };
+	  }
+
+	  // Optimize `isFunction` if appropriate.
+	  if (true) {
+	    _.isFunction = function(obj) {
+	      return typeof obj === 'function';
+	    };
+	  }
+
+	  // Is a given object a finite number?
+	  _.isFinite = function(obj) {
+	    return isFinite(obj) && !isNaN(parseFloat(obj));
+	  };
+
+	  // Is the given value `NaN`? (NaN is the only number which does not equal itself).
+	  _.isNaN = function(obj) {
+	    return _.isNumber(obj) && obj != +obj;
+	  };
+
+	  // Is a given value a boolean?
+	  _.isBoolean = function(obj) {
+	    return obj === true || obj === false || toString.call(obj) == '[object Boolean]';
+	  };
+
+	  // Is a given value equal to null?
+	  _.isNull = function(obj) {
+	    return obj === null;
+	  };
+
+	  // Is a given variable undefined?
+	  _.isUndefined = function(obj) {
+	    return obj === void 0;
+	  };
+
+	  // Shortcut function for checking if an object has a given property directly
+	  // on itself (in other words, not on a prototype).
+	  _.has = function(obj, key) {
+	    return hasOwnProperty.call(obj, key);
+	  };
+
+	  // Utility Functions
+	  // -----------------
+
+	  // Run Underscore.js in *noConflict* mode, returning the `_` variable to its
+	  // previous owner. Returns a reference to the Underscore object.
+	  _.noConflict = function() {
+	    root._ = previousUnderscore;
+	    return this;
+	  };
+
+	  // Keep the identity function around for default iterators.
+	  _.identity = function(value) {
+	    return value;
+	  };
+
+	  _.constant = function(value) {
+	    return function () {
+	      return value;
+	    };
+	  };
+
+	  _.property = function(key) {
+	    return function(obj) {
+	      return obj[key];
+	    };
+	  };
+
+	  // Returns a predicate for checking whether an object has a given set of `key:value` pairs.
+	  _.matches = function(attrs) {
+	    return function(obj) {
+	      if (obj === attrs) return true; //avoid comparing an object to itself.
+	      for (var key in attrs) {
+	        if (attrs[key] !== obj[key])
+	          return false;
+	      }
+	      return true;
+	    }
+	  };
+
+	  // Run a function **n** times.
+	  _.times = function(n, iterator, context) {
+	    var accum = Array(Math.max(0, n));
+	    for (var i = 0; i < n; i++) accum[i] = iterator.call(context, i);
+	    return accum;
+	  };
+
+	  // Return a random integer between min and max (inclusive).
+	  _.random = function(min, max) {
+	    if (max == null) {
+	      max = min;
+	      min = 0;
+	    }
+	    return min + Math.floor(Math.random() * (max - min + 1));
+	  };
+
+	  // A (possibly faster) way to get the current timestamp as an integer.
+	  _.now = Date.now || function() { return new Date().getTime(); };
+
+	  // List of HTML entities for escaping.
+	  var entityMap = {
+	    escape: {
+	      '&': '&amp;',
+	      '<': '&lt;',
+	      '>': '&gt;',
+	      '"': '&quot;',
+	      "'": '&#x27;'
+	    }
+	  };
+	  entityMap.unescape = _.invert(entityMap.escape);
+
+	  // Regexes containing the keys and values listed immediately above.
+	  var entityRegexes = {
+	    escape:   new RegExp('[' + _.keys(entityMap.escape).join('') + ']', 'g'),
+	    unescape: new RegExp('(' + _.keys(entityMap.unescape).join('|') + ')', 'g')
+	  };
+
+	  // Functions for escaping and unescaping strings to/from HTML interpolation.
+	  _.each(['escape', 'unescape'], function(method) {
+	    _[method] = function(string) {
+	      if (string == null) return '';
+	      return ('' + string).replace(entityRegexes[method], function(match) {
+	        return entityMap[method][match];
+	      });
+	    };
+	  });
+
+	  // If the value of the named `property` is a function then invoke it with the
+	  // `object` as context; otherwise, return it.
+	  _.result = function(object, property) {
+	    if (object == null) return void 0;
+	    var value = object[property];
+	    return _.isFunction(value) ? value.call(object) : value;
+	  };
+
+	  // Add your own custom functions to the Underscore object.
+	  _.mixin = function(obj) {
+	    each(_.functions(obj), function(name) {
+	      var func = _[name] = obj[name];
+	      _.prototype[name] = function() {
+	        var args = [this._wrapped];
+	        push.apply(args, arguments);
+	        return result.call(this, func.apply(_, args));
+	      };
+	    });
+	  };
+
+	  // Generate a unique integer id (unique within the entire client session).
+	  // Useful for temporary DOM ids.
+	  var idCounter = 0;
+	  _.uniqueId = function(prefix) {
+	    var id = ++idCounter + '';
+	    return prefix ? prefix + id : id;
+	  };
+
+	  // By default, Underscore uses ERB-style template delimiters, change the
+	  // following template settings to use alternative delimiters.
+	  _.templateSettings = {
+	    evaluate    : /<%([\s\S]+?)%>/g,
+	    interpolate : /<%=([\s\S]+?)%>/g,
+	    escape      : /<%-([\s\S]+?)%>/g
+	  };
+
+	  // When customizing `templateSettings`, if you don't want to define an
+	  // interpolation, evaluation or escaping regex, we need one that is
+	  // guaranteed not to match.
+	  var noMatch = /(.)^/;
+
+	  // Certain characters need to be escaped so that they can be put into a
+	  // string literal.
+	  var escapes = {
+	    "'":      "'",
+	    '\\':     '\\',
+	    '\r':     'r',
+	    '\n':     'n',
+	    '\t':     't',
+	    '\u2028': 'u2028',
+	    '\u2029': 'u2029'
+	  };
+
+	  var escaper = /\\|'|\r|\n|\t|\u2028|\u2029/g;
+
+	  // JavaScript micro-templating, similar to John Resig's implementation.
+	  // Underscore templating handles arbitrary delimiters, preserves whitespace,
+	  // and correctly escapes quotes within interpolated code.
+	  _.template = function(text, data, settings) {
+	    var render;
+	    settings = _.defaults({}, settings, _.templateSettings);
+
+	    // Combine delimiters into one regular expression via alternation.
+	    var matcher = new RegExp([
+	      (settings.escape || noMatch).source,
+	      (settings.interpolate || noMatch).source,
+	      (settings.evaluate || noMatch).source
+	    ].join('|') + '|$', 'g');
+
+	    // Compile the template source, escaping string literals appropriately.
+	    var index = 0;
+	    var source = "__p+='";
+	    text.replace(matcher, function(match, escape, interpolate, evaluate, offset) {
+	      source += text.slice(index, offset)
+	        .replace(escaper, function(match) { return '\\' + escapes[match]; });
+
+	      if (escape) {
+	        source += "'+\n((__t=(" + escape + "))==null?'':_.escape(__t))+\n'";
+	      }
+	      if (interpolate) {
+	        source += "'+\n((__t=(" + interpolate + "))==null?'':__t)+\n'";
+	      }
+	      if (evaluate) {
+	        source += "';\n" + evaluate + "\n__p+='";
+	      }
+	      index = offset + match.length;
+	      return match;
+	    });
+	    source += "';\n";
+
+	    // If a variable is not specified, place data values in local scope.
+	    if (!settings.variable) source = 'with(obj||{}){\n' + source + '}\n';
+
+	    source = "var __t,__p='',__j=Array.prototype.join," +
+	      "print=function(){__p+=__j.call(arguments,'');};\n" +
+	      source + "return __p;\n";
+
+	    try {
+	      render = new Function(settings.variable || 'obj', '_', source);
+	    } catch (e) {
+	      e.source = source;
+	      throw e;
+	    }
+
+	    if (data) return render(data, _);
+	    var template = function(data) {
+	      return render.call(this, data, _);
+	    };
+
+	    // Provide the compiled function source as a convenience for precompilation.
+	    template.source = 'function(' + (settings.variable || 'obj') + '){\n' + source + '}';
+
+	    return template;
+	  };
+
+	  // Add a "chain" function, which will delegate to the wrapper.
+	  _.chain = function(obj) {
+	    return _(obj).chain();
+	  };
+
+	  // OOP
+	  // ---------------
+	  // If Underscore is called as a function, it returns a wrapped object that
+	  // can be used OO-style. This wrapper holds altered versions of all the
+	  // underscore functions. Wrapped objects may be chained.
+
+	  // Helper function to continue chaining intermediate results.
+	  var result = function(obj) {
+	    return this._chain ? _(obj).chain() : obj;
+	  };
+
+	  // Add all of the Underscore functions to the wrapper object.
+	  _.mixin(_);
+
+	  // Add all mutator Array functions to the wrapper.
+	  each(['pop', 'push', 'reverse', 'shift', 'sort', 'splice', 'unshift'], function(name) {
+	    var method = ArrayProto[name];
+	    _.prototype[name] = function() {
+	      var obj = this._wrapped;
+	      method.apply(obj, arguments);
+	      if ((name == 'shift' || name == 'splice') && obj.length === 0) delete obj[0];
+	      return result.call(this, obj);
+	    };
+	  });
+
+	  // Add all accessor Array functions to the wrapper.
+	  each(['concat', 'join', 'slice'], function(name) {
+	    var method = ArrayProto[name];
+	    _.prototype[name] = function() {
+	      return result.call(this, method.apply(this._wrapped, arguments));
+	    };
+	  });
+
+	  _.extend(_.prototype, {
+
+	    // Start chaining a wrapped Underscore object.
+	    chain: function() {
+	      this._chain = true;
+	      return this;
+	    },
+
+	    // Extracts the result from a wrapped and chained object.
+	    value: function() {
+	      return this._wrapped;
+	    }
+
+	  });
+
+	  // AMD registration happens at the end for compatibility with AMD loaders
+	  // that may not enforce next-turn semantics on modules. Even though general
+	  // practice for AMD registration is to be anonymous, underscore registers
+	  // as a named module because, like jQuery, it is a base library that is
+	  // popular enough to be bundled in a third party lib, but not be part of
+	  // an AMD load request. Those cases could generate an error when an
+	  // anonymous define() is called outside of a loader request.
+	  if (true) {
+	    !(__WEBPACK_AMD_DEFINE_ARRAY__ = [], __WEBPACK_AMD_DEFINE_RESULT__ = function() {
+	      return _;
+	    }.apply(exports, __WEBPACK_AMD_DEFINE_ARRAY__), __WEBPACK_AMD_DEFINE_RESULT__ !== undefined && (module.exports = __WEBPACK_AMD_DEFINE_RESULT__));
+	  }
+	}).call(this);
+
+
+/***/ }),
+/* 3 */
+/***/ (function(module, exports) {
+
+	module.exports = __WEBPACK_EXTERNAL_MODULE_3__;
+
+/***/ }),
+/* 4 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	var __WEBPACK_AMD_DEFINE_ARRAY__, __WEBPACK_AMD_DEFINE_RESULT__;!(__WEBPACK_AMD_DEFINE_ARRAY__ = [__webpack_require__(2), __webpack_require__(5), __webpack_require__(6), __webpack_require__(11), __webpack_require__(8)], __WEBPACK_AMD_DEFINE_RESULT__ = function(_, Backbone, MapObjectsViewModel, mapFactory, utils) {
+
+	  'use strict';
+
+	  /*
+	  * Routes map view
+	  */
+	  var MapObjectsView = Backbone.View.extend({
+	    events: {
+	      'change *[name=input-speed-value]': 'userChangeSpeed',
+	      'change *[name=input-refreshRate-value]': 'userChangeRefreshRate',
+	      'change *[name=input-time]': 'userChangeTime',
+	      'click *[name=button-play]': 'userPlay',
+	      'click *[name=button-pause]': 'userPause',
+	      'click *[name=button-autozoom]': 'userAutoZoom',
+	      'click *[name=map-objects-header] input[name=checkbox-all-objects]': 'userToggleAllObjects',
+	      'click *[name=map-objects-header] input[name=checkbox-all-routes]': 'userToggleAllRoutes',
+	      'click *[name=map-objects-header] input[name=checkbox-autohide]': 'userToggleAutoHide'
+	    },
+
+	    initialize: function(options) {
+	      this.options = _.extend(this.options || {}, options);
+	      Backbone.View.prototype.initialize.apply(this, arguments);
+	    },
+
+	    render: function() {
+
+	      if (!this.template) {
+	        this.template = _.template(this.options.view_template || $(this.options.view_template_id).html())
+	      }
+
+	      this.$el.html(this.template(this));
+
+	      var mapElementId = _.uniqueId('routemap_map_');
+	      this.$('*[name=map]').attr('id', mapElementId);
+
+	      // Option max_lateness is in seconds, see MapObject.add
+	      var maxLateness = parseFloat(this.options.max_lateness);
+	      // Option extrapolation_horizon is in seconds, see MapObject.realtimePos
+	      var extrapolationHorizon = parseFloat(this.options.extrapolation_horizon);
+
+	      this.viewModel = new MapObjectsViewModel({
+	        map: mapFactory(mapElementId, this.options.map_type || 'googlemap', { tileUrl: this.options.tile_url }),
+	        maxLateness: isNaN(maxLateness) ? null : maxLateness,
+	        extrapolationHorizon: isNaN(extrapolationHorizon) || extrapolationHorizon <= 0 ? null : extrapolationHorizon,
+	        // Option interpolation is linear or geodesic, see geo
+	        interpolation: this.options.interpolation === 'geodesic' ? 'geodesic' : 'linear',
+	        // Objects follow shapes with id equal to value of group field shape_field, see MapObject.shapeSection
+	        shapeField: this.options.shape_field,
+	        snapRoutes: this.options.snap_routes === true || this.options.snap_routes === 'true'
+	      });
+
+	      this.buttonPlay = this.$('*[name=button-play]');
+	      this.buttonPause = this.$('*[name=button-pause]');
+	      this.spanSpeedValue = this.$('*[name=span-speed-value]');
+	      this.inputSpeedValue = this.$('*[name=input-speed-value]');
+	      this.spanRefreshRateValue = this.$('*[name=span-refreshRate-value]');
+	      this.inputRefreshRateValue = this.$('*[name=input-refreshRate-value]');
+	      this.labelBeginTime = this.$('*[name=bar-time-ranges] div:first-child > span');
+	      this.labelCurrentTime = this.$('span[name=routes-currenttime]');
+	      this.labelEndTime = this.$('*[name=bar-time-ranges] div:last-child > span');
+	      this.inputTime = this.$('*[name=input-time]');
+	      this.objectsListView = this.$('*[name=map-objects-list]');
+	      this.checkboxAllObjects = this.$('*[name=map-objects-header] input[name=checkbox-all-objects]');
+	      this.checkboxAllRoutes = this.$('*[name=map-objects-header] input[name=checkbox-all-routes]');
+	      this.autoHideRoutes = this.$('*[name=map-objects-header] input[name=checkbox-autohide]');
+
+	      this.objectsList = {};
+
+	      // Connect view to view-model
+	      this.viewModel
+	        .on('change:currentTime', function() {
+	          this.labelCurrentTime.text(
+	            this.viewModel.has('currentTime') ? (new Date(this.viewModel.currentTime() * 1000)).toLocaleString() : '');
+	          this.inputTime.prop('disabled', !this.viewModel.has('currentTime') || this.viewModel.realtime());
+	          this.inputTime.val(this.viewModel.currentTime());
+	        }.bind(this))
+	        .on('change:beginTime', function() {
+	          if (this.viewModel.has('beginTime')) {
+	            this.inputTime.prop('min', this.viewModel.get('beginTime'));
+	            this.labelBeginTime.text((new Date(this.viewModel.beginTime() * 1000)).toLocaleString());
+	          } else {
+	            this.labelBeginTime.text('');
+	          }
+	        }.bind(this))
+	        .on('change:endTime', function() {
+	          if (this.viewModel.has('endTime')) {
+	            this.inputTime.prop('max', this.viewModel.endTime());
+	            this.labelEndTime.text((new Date(this.viewModel.endTime() * 1000)).toLocaleString());
+	          } else {
+	            this.labelEndTime.text('');
+	          }
+	        }.bind(this))
+	        .on('change:speed', function() {
+	          if (this.viewModel.has('speed')) {
+	            var currentSpeed = this.viewModel.speed();
+	            this.spanSpeedValue.text(currentSpeed);
+	            this.inputSpeedValue.val(currentSpeed);
+	            this.inputSpeedValue.prop('disabled', false);
+	          } else {
+	            this.spanSpeedValue.text('');
+	            this.inputSpeedValue.prop('disabled', true);
+	          }
+	        }.bind(this))
+	        .on('change:refreshRate', function() {
+	          if (this.viewModel.has('refreshRate')) {
+	            var currentRefreshRate = this.viewModel.refreshRate();
+	            this.spanRefreshRateValue.text(currentRefreshRate);
+	            this.inputRefreshRateValue.val(currentRefreshRate);
+	            this.inputRefreshRateValue.prop('disabled', false);
+	          } else {
+	            this.spanRefreshRateValue.text('');
+	            this.inputRefreshRateValue.prop('disabled', true);
+	          }
+	        }.bind(this))
+	        .on('change:playInterval change:currentTime change:realtime', function() {
+	          var isPlaying = this.viewModel.has('playInterval');
+	          var realtime = this.viewModel.realtime();
+	          this.buttonPlay.prop('disabled', (!this.viewModel.has('currentTime') || isPlaying) || realtime);
+	          this.buttonPause.prop('disabled', (!isPlaying) || realtime);
+	        }.bind(this))
+	        .on('change:realtime', function() {
+	          var realtime = this.viewModel.realtime();
+	          
+	          if (realtime) {
+	            this.inputSpeedValue.parent().hide();
+	            this.inputRefreshRateValue.parent().hide();
+	          } else {
+	            this.inputSpeedValue.parent().show();
+	            this.inputRefreshRateValue.parent().show();
+	          }
+
+	          this.buttonPlay.prop('disabled', realtime);
+	          this.buttonPause.prop('disabled', realtime);
+	          this.inputTime.prop('disabled', realtime);
+	        }.bind(this))
+	        .trigger('change:currentTime change:beginTime change:endTime change:speed change:refreshRate change:playInterval change:realtime');
+
+	        this.listenTo(this.viewModel.collection, 'add', function(model) {
+	          var lvItem = this.objectsList[model.modelId()] = new MapObjectListViewItem({ 
+	            model: model,
+	            view_list_item_template: this.options.view_list_item_template,
+	            view_list_item_template_id: this.options.view_list_item_template_id
+	          });
+	          this.objectsListView.append(lvItem.render().el);
+	        }.bind(this));
+
+	        this.listenTo(this.viewModel.collection, 'reset', function() {
+	          this.objectsListView.empty();
+	          this.objectsList = {};
+	        }.bind(this));
+
+	        this.listenTo(this.viewModel.collection, 'remove', function(model) {
+	          var id = model.modelId();
+	          var lvItem = this.objectsList[id];
+	          if (lvItem) {
+	            lvItem.$el.remove();
+	            delete this.objectsList[id];
+	          }
+	        }.bind(this));
+
+	        this.viewModel.collection
+	          .on('change:showAllObjects', function(model, showAllObjects) {
+	            this.checkboxAllObjects.prop('checked', showAllObjects);
+	          }.bind(this))
+	          .on('change:showAllRoutes', function(model, showAllRoutes) {
+	            this.checkboxAllRoutes.prop('checked', showAllRoutes);
+	          }.bind(this));
+
+	      return this;
+	    },
+
+	    // Event handlers
+	    userChangeSpeed: function() {
+	      var isPlaying = this.viewModel.playbackMode();
+	      if (isPlaying) this.viewModel.pause();
+	      this.viewModel.speed(parseFloat(this.inputSpeedValue.val()));
+	      if (isPlaying) this.viewModel.play();
+	    },
+
+	    userChangeRefreshRate: function() {
+	      var isPlaying = this.viewModel.playbackMode();
+	      if (isPlaying) this.viewModel.pause();
+	      this.viewModel.refreshRate(parseFloat(this.inputRefreshRateValue.val()));
+	      if (isPlaying) this.viewModel.play();
+	    },
+
+	    userChangeTime: function() {
+	      this.viewModel.pause();
+	      this.viewModel.currentTime(parseFloat(this.inputTime.val()));
+	    },
+
+	    userPlay: function() {
+	      this.viewModel.play();
+	    },
+
+	    userPause: function() {
+	      this.viewModel.pause();
+	    },
+
+	    userAutoZoom: function() {
+	      this.viewModel.autoZoom();
+	    },
+
+	    userToggleAllRoutes: function() {
+	      var value = this.checkboxAllRoutes.prop('checked');
+	      this.viewModel.collection.showAllRoutes(value);
+	    },
+
+	    userToggleAllObjects: function() {
+	      this.viewModel.pause();
+	      var value = this.checkboxAllObjects.prop('checked');
+	      this.viewModel.collection.showAllObjects(value);
+	    },
+
+	    userToggleAutoHide: function() {
+	      this.viewModel.pause();
+	      var value = this.autoHideRoutes.prop('checked');
+	      this.viewModel.collection.autoHideRoutes(value);
+	    },
+
+	    renderPoints: function(dataPoints) {
+	      var hasData = this.viewModel.has('currentTime');
+	      if (!hasData) {
+	        if (!this.viewModel.collection.showAllObjects()) {
+	          this.checkboxAllObjects.prop('checked', true);
+	          this.viewModel.collection.showAllObjects(true);
+	        }
+	        if (!this.viewModel.collection.showAllRoutes()) {
+	          this.checkboxAllRoutes.prop('checked', true);
+	          this.viewModel.collection.showAllRoutes(true);
+	        }
+	      }
+
+	      this.viewModel.addDataPoints(dataPoints);
+	      
+	      if (!hasData) {
+	        this.viewModel.autoZoom();
+	      }
+
+	      this._sortObjectsList();
+
+	      this.viewModel.play();
+	    },
+
+	    _sortObjectsList: function() {
+	        // Get all list view items
+	        var lvItems = _.values(this.objectsList);
+	        // Detach all ui elements from list
+	        _.each(lvItems, function(lvItem){
+	          lvItem.$el.detach();
+	        });
+	        // Sort them by title
+	        lvItems = _.sortBy(lvItems, function(lvItem) {
+	          return lvItem.model.get('title');
+	        });
+	        // Append items again
+	        _.each(lvItems, function(lvItem) {
+	          this.objectsListView.append(lvItem.el);
+	        }.bind(this));
+	      }
+	  });
+
+	  var MapObjectListViewItem = Backbone.View.extend({
+	    
+	    tagName: 'li',
+
+	    events: {
+	      'click input[type=checkbox]:first': 'toggleShowObject',
+	      'click input[type=checkbox]:last': 'toggleShowRoute',
+	      'click a.colorBlock': 'highlightObject'
+	    },
+
+	    initialize: function(options) {
+	      this.options = _.extend(this.options || {}, options);
+
+	      this.model
+	        .on('change:showRoute', function(model, showRoute) {
+	            this.$('input[type=checkbox]:last').prop('checked', showRoute);
+	          }.bind(this))
+	        .on('change:showObject', function(model, showObject) {
+	            this.$('input[type=checkbox]:first').prop('checked', showObject);
+	          }.bind(this))
+	        .on('change:raw', function(model, raw) {
+	            var raw_text = raw ? utils.generateString(raw) : 'Not visible';
+	            this.$('*[name=panel-raw-data]').html(raw_text);
+	        }.bind(this)).trigger('change:raw')
+	        .on('change:selected', function(model, selected) {
+	            this.$el.toggleClass('selected', !!selected);
+	        }.bind(this));
+
+	      Backbone.View.prototype.initialize.apply(this, arguments);
+	    },
+
+	    render: function() {
+	      if (!this.template) {
+	        this.template = _.template(this.options.view_list_item_template || $(this.options.view_list_item_template_id).html())
+	      }
+
+	      this.$el.html(this.template(this.model.toJSON()));
+	      return this;
+	    },
+
+	    toggleShowObject: function() {
+	      this.model.toggleShowObject();
+	    },
+
+	    toggleShowRoute: function() {
+	      this.model.toggleShowRoute();
+	    },
+
+	    highlightObject: function() {
+	      this.model.highlightObject();
+	      this.model.select();
+	    }
+	  });
+
+	  // Require export (create new travel system)
+	  return MapObjectsView;
+	}.apply(exports, __WEBPACK_AMD_DEFINE_ARRAY__), __WEBPACK_AMD_DEFINE_RESULT__ !== undefined && (module.exports = __WEBPACK_AMD_DEFINE_RESULT__));
+
+
+
+/***/ }),
+/* 5 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	var __WEBPACK_AMD_DEFINE_ARRAY__, __WEBPACK_AMD_DEFINE_RESULT__;//     Backbone.js 1.1.2
+
+	//     (c) 2010-2014 Jeremy Ashkenas, DocumentCloud and Investigative Reporters & Editors
+	//     Backbone may be freely distributed under the MIT license.
+	//     For all details and documentation:
+	//     http://backbonejs.org
+
+	(function(root, factory) {
+
+	  // Set up Backbone appropriately for the environment. Start with AMD.
+	  if (true) {
+	    !(__WEBPACK_AMD_DEFINE_ARRAY__ = [__webpack_require__(2), __webpack_require__(1), exports], __WEBPACK_AMD_DEFINE_RESULT__ = function(_, $, exports) {
+	      // Export global even in AMD case in case this script is loaded with
+	      // others that may still expect a global Backbone.
+	      root.Backbone = factory(root, exports, _, $);
+	    }.apply(exports, __WEBPACK_AMD_DEFINE_ARRAY__), __WEBPACK_AMD_DEFINE_RESULT__ !== undefined && (module.exports = __WEBPACK_AMD_DEFINE_RESULT__));
+
+	  // Next for Node.js or CommonJS. jQuery may not be needed as a module.
+	  } else if (typeof exports !== 'undefined') {
+	    var _ = require('underscore');
+	    factory(root, exports, _);
+
+	  // Finally, as a browser global.
+	  } else {
+	    root.Backbone = factory(root, {}, root._, (root.jQuery || root.Zepto || root.ender || root.$));
+	  }
+
+	}(this, function(root, Backbone, _, $) {
+
+	  // Initial Setup
+	  // -------------
+
+	  // Save the previous value of the `Backbone` variable, so that it can be
+	  // restored later on, if `noConflict` is used.
+	  var previousBackbone = root.Backbone;
+
+	  // Create local references to array methods we'll want to use later.
+	  var array = [];
+	  var push = array.push;
+	  var slice = array.slice;
+	  var splice = array.splice;
+
+	  // Current version of the library. Keep in sync with `package.json`.
+	  Backbone.VERSION = '1.1.2';
+
+	  // For Backbone's purposes, jQuery, Zepto, Ender, or My Library (kidding) owns
+	  // the `$` variable.
+	  Backbone.$ = $;
+
+	  // Runs Backbone.js in *noConflict* mode, returning the `Backbone` variable
+	  // to its previous owner. Returns a reference to this Backbone object.
+	  Backbone.noConflict = function() {
+	    root.Backbone = previousBackbone;
+	    return this;
+	  };
+
+	  // Turn on `emulateHTTP` to support legacy HTTP servers. Setting this option
+	  // will fake `"PATCH"`, `"PUT"` and `"DELETE"` requests via the `_method` parameter and
+	  // set a `X-Http-Method-Override` header.
+	  Backbone.emulateHTTP = false;
+
+	  // Turn on `emulateJSON` to support legacy servers that can't deal with direct
+	  // `application/json` requests ... will encode the body as
+	  // `application/x-www-form-urlencoded` instead and will send the model in a
+	  // form param named `model`.
+	  Backbone.emulateJSON = false;
+
+	  // Backbone.Events
+	  // ---------------
+
+	  // A module that can be mixed in to *any object* in order to provide it with
+	  // custom events. You may bind with `on` or remove with `off` callback
+	  // functions to an event; `trigger`-ing an event fires all callbacks in
+	  // succession.
+	  //
+	  //     var object = {};
+	  //     _.extend(object, Backbone.Events);
+	  //     object.on('expand', function(){ alert('expanded'); });
+	  //     object.trigger('expand');
+	  //
+	  var Events = Backbone.Events = {
+
+	    // Bind an event to a `callback` function. Passing `"all"` will bind
+	    // the callback to all events fired.
+	    on: function(name, callback, context) {
+	      if (!eventsApi(this, 'on', name, [callback, context]) || !callback) return this;
+	      this._events || (this._events = {});
+	      var events = this._events[name] || (this._events[name] = []);
+	      events.push({callback: callback, context: context, ctx: context || this});
+	      return this;
+	    },
+
+	    // Bind an event to only be triggered a single time. After the first time
+	    // the callback is invoked, it will be removed.
+	    once: function(name, callback, context) {
+	      if (!eventsApi(this, 'once', name, [callback, context]) || !callback) return this;
+	      var self = this;
+	      var once = _.once(function() {
+	        self.off(name, once);
+	        callback.apply(this, arguments);
+	      });
+	      once._callback = callback;
+	      return this.on(name, once, context);
+	    },
+
+	    // Remove one or many callbacks. If `context` is null, removes all
+	    // callbacks with that function. If `callback` is null, removes all
+	    // callbacks for the event. If `name` is null, removes all bound
+	    // callbacks for all events.
+	    off: function(name, callback, context) {
+	      var retain, ev, events, names, i, l, j, k;
+	      if (!this._events || !eventsApi(this, 'off', name, [callback, context])) return this;
+	      if (!name && !callback && !context) {
+	        this._events = void 0;
+	        return this;
+	      }
+	      names = name ? [name] : _.keys(this._events);
+	      for (i = 0, l = names.length; i < l; i++) {
+	        name = names[i];
+	        if (events = this._events[name]) {
+	          this._events[name] = retain = [];
+	          if (callback || context) {
+	            for (j = 0, k = events.length; j < k; j++) {
+	              ev = events[j];
+	              if ((callback && callback !== ev.callback && callback !== ev.callback._callback) ||
+	                  (context && context !== ev.context)) {
+	                retain.push(ev);
+	              }
+	            }
+	          }
+	          if (!retain.length) delete this._events[name];
+	        }
+	      }
+
+	      return this;
+	    },
+
+	    // Trigger one or many events, firing all bound callbacks. Callbacks are
+	    // passed the same arguments as `trigger` is, apart from the event name
+	    // (unless you're listening on `"all"`, which will cause your callback to
+	    // receive the true name of the event as the first argument).
+	    trigger: function(name) {
+	      if (!this._events) return this;
+	      var args = slice.call(arguments, 1);
+	      if (!eventsApi(this, 'trigger', name, args)) return this;
+	      var events = this._events[name];
+	      var allEvents = this._events.all;
+	      if (events) triggerEvents(events, args);
+	      if (allEvents) triggerEvents(allEvents, arguments);
+	      return this;
+	    },
+
+	    // Tell this object to stop listening to either specific events ... or
+	    // to every object it's currently listening to.
+	    stopListening: function(obj, name, callback) {
+	      var listeningTo = this._listeningTo;
+	      if (!listeningTo) return this;
+	      var remove = !name && !callback;
+	      if (!callback && typeof name === 'object') callback = this;
+	      if (obj) (listeningTo = {})[obj._listenId] = obj;
+	      for (var id in listeningTo) {
+	        obj = listeningTo[id];
+	        obj.off(name, callback, this);
+	        if (remove || _.isEmpty(obj._events)) delete this._listeningTo[id];
+	      }
+	      return this;
+	    }
+
+	  };
+
+	  // Regular expression used to split event strings.
+	  var eventSplitter = /\s+/;
+
+	  // Implement fancy features of the Events API such as multiple event
+	  // names `"change blur"` and jQuery-style event maps `{change: action}`
+	  // in terms of the existing API.
+	  var eventsApi = function(obj, action, name, rest) {
+	    if (!name) return true;
+
+	    // Handle event maps.
+	    if (typeof name === 'object') {
+	      for (var key in name) {
+	        obj[action].apply(obj, [key, name[key]].concat(rest));
+	      }
+	      return false;
+	    }
+
+	    // Handle space separated event names.
+	    if (eventSplitter.test(name)) {
+	      var names = name.split(eventSplitter);
+	      for (var i = 0, l = names.length; i < l; i++) {
+	        obj[action].apply(obj, [names[i]].concat(rest));
+	      }
+	      return false;
+	    }
+
+	    return true;
+	  };
+
+	  // A difficult-to-believe, but optimized internal dispatch function for
+	  // triggering events. Tries to keep the usual cases speedy (most internal
+	  // Backbone events have 3 arguments).
+	  var triggerEvents = function(events, args) {
+	    var ev, i = -1, l = events.length, a1 = args[0], a2 = args[1], a3 = args[2];
+	    switch (args.length) {
+	      case 0: while (++i < l) (ev = events[i]).callback.call(ev.ctx); return;
+	      case 1: while (++i < l) (ev = events[i]).callback.call(ev.ctx, a1); return;
+	      case 2: while (++i < l) (ev = events[i]).callback.call(ev.ctx, a1, a2); return;
+	      case 3: while (++i < l) (ev = events[i]).callback.call(ev.ctx, a1, a2, a3); return;
+	      default: while (++i < l) (ev = events[i]).callback.apply(ev.ctx, args); return;
+	    }
+	  };
+
+	  var listenMethods = {listenTo: 'on', listenToOnce: 'once'};
+
+	  // Inversion-of-control versions of `on` and `once`. Tell *this* object to
+	  // listen to an event in another object ... keeping track of what it's
+	  // listening to.
+	  _.each(listenMethods, function(implementation, method) {
+	    Events[method] = function(obj, name, callback) {
+	      var listeningTo = this._listeningTo || (this._listeningTo = {});
+	      var id = obj._listenId || (obj._listenId = _.uniqueId('l'));
+	      listeningTo[id] = obj;
+	      if (!callback && typeof name === 'object') callback = this;
+	      obj[implementation](name, callback, this);
+	      return this;
+	    };
+	  });
+
+	  // Aliases for backwards compatibility.
+	  Events.bind   = Events.on;
+	  Events.unbind = Events.off;
+
+	  // Allow the `Backbone` object to serve as a global event bus, for folks who
+	  // want global "pubsub" in a convenient place.
+	  _.extend(Backbone, Events);
+
+	  // Backbone.Model
+	  // --------------
+
+	  // Backbone **Models** are the basic data object in the framework --
+	  // frequently representing a row in a table in a database on your server.
+	  // A discrete chunk of data and a bunch of useful, related methods for
+	  // performing computations and transformations on that data.
+
+	  // Create a new model with the specified attributes. A client id (`cid`)
+	  // is automatically generated and assigned for you.
+	  var Model = Backbone.Model = function(attributes, options) {
+	    var attrs = attributes || {};
+	    options || (options = {});
+	    this.cid = _.uniqueId('c');
+	    this.attributes = {};
+	    if (options.collection) this.collection = options.collection;
+	    if (options.parse) attrs = this.parse(attrs, options) || {};
+	    attrs = _.defaults({}, attrs, _.result(this, 'defaults'));
+	    this.set(attrs, options);
+	    this.changed = {};
+	    this.initialize.apply(this, arguments);
+	  };
+
+	  // Attach all inheritable methods to the Model prototype.
+	  _.extend(Model.prototype, Events, {
+
+	    // A hash of attributes whose current and previous value differ.
+	    changed: null,
+
+	    // The value returned during the last failed validation.
+	    validationError: null,
+
+	    // The default name for the JSON `id` attribute is `"id"`. MongoDB and
+	    // CouchDB users may want to set this to `"_id"`.
+	    idAttribute: 'id',
+
+	    // Initialize is an empty function by default. Override it with your own
+	    // initialization logic.
+	    initialize: function(){},
+
+	    // Return a copy of the model's `attributes` object.
+	    toJSON: function(options) {
+	      return _.clone(this.attributes);
+	    },
+
+	    // Proxy `Backbone.sync` by default -- but override this if you need
+	    // custom syncing semantics for *this* particular model.
+	    sync: function() {
+	      return Backbone.sync.apply(this, arguments);
+	    },
+
+	    // Get the value of an attribute.
+	    get: function(attr) {
+	      return this.attributes[attr];
+	    },
+
+	    // Get the HTML-escaped value of an attribute.
+	    escape: function(attr) {
+	      return _.escape(this.get(attr));
+	    },
+
+	    // Returns `true` if the attribute contains a value that is not null
+	    // or undefined.
+	    has: function(attr) {
+	      return this.get(attr) != null;
+	    },
+
+	    // Set a hash of model attributes on the object, firing `"change"`. This is
+	    // the core primitive operation of a model, updating the data and notifying
+	    // anyone who needs to know about the change in state. The heart of the beast.
+	    set: function(key, val, options) {
+	      var attr, attrs, unset, changes, silent, changing, prev, current;
+	      if (key == null) return this;
+
+	      // Handle both `"key", value` and `{key: value}` -style arguments.
+	      if (typeof key === 'object') {
+	        attrs = key;
+	        options = val;
+	      } else {
+	        (attrs = {})[key] = val;
+	      }
+
+	      options || (options = {});
+
+	      // Run validation.
+	      if (!this._validate(attrs, options)) return false;
+
+	      // Extract attributes and options.
+	      unset           = options.unset;
+	      silent          = options.silent;
+	      changes         = [];
+	      changing        = this._changing;
+	      this._changing  = true;
+
+	      if (!changing) {
+	        this._previousAttributes = _.clone(this.attributes);
+	        this.changed = {};
+	      }
+	      current = this.attributes, prev = this._previousAttributes;
+
+	      // Check for changes of `id`.
+	      if (this.idAttribute in attrs) this.id = attrs[this.idAttribute];
+
+	      // For each `set` attribute, update or delete the current value.
+	      for (attr in attrs) {
+	        val = attrs[attr];
+	        if (!_.isEqual(current[attr], val)) changes.push(attr);
+	        if (!_.isEqual(prev[attr], val)) {
+	          this.changed[attr] = val;
+	        } else {
+	          delete this.changed[attr];
+	        }
+	        unset ? delete current[attr] : current[attr] = val;
+	      }
+
+	      // Trigger all relevant attribute changes.
+	      if (!silent) {
+	        if (changes.length) this._pending = options;
+	        for (var i = 0, l = changes.length; i < l; i++) {
+	          this.trigger('change:' + changes[i], this, current[changes[i]], options);
+	        }
+	      }
+
+	      // You might be wondering why there's a `while` loop here. Changes can
+	      // be recursively nested within `"change"` events.
+	      if (changing) return this;
+	      if (!silent) {
+	        while (this._pending) {
+	          options = this._pending;
+	          this._pending = false;
+	          this.trigger('change', this, options);
+	        }
+	      }
+	      this._pending = false;
+	      this._changing = false;
+	      return this;
+	    },
+
+	    // Remove an attribute from the model, firing `"change"`. `unset` is a noop
+	    // if the attribute doesn't exist.
+	    unset: function(attr, options) {
+	      return this.set(attr, void 0, _.extend({}, options, {unset: true}));
+	    },
+
+	    // Clear all attributes on the model, firing `"change"`.
+	    clear: function(options) {
+	      var attrs = {};
+	      for (var key in this.attributes) attrs[key] = void 0;
+	      return this.set(attrs, _.extend({}, options, {unset: true}));
+	    },
+
+	    // Determine if the model has changed since the last `"change"` event.
+	    // If you specify an attribute name, determine if that attribute has changed.
+	    hasChanged: function(attr) {
+	      if (attr == null) return !_.isEmpty(this.changed);
+	      return _.has(this.changed, attr);
+	    },
+
+	    // Return an object containing all the attributes that have changed, or
+	    // false if there are no changed attributes. Useful for determining what
+	    // parts of a view need to be updated and/or what attributes need to be
+	    // persisted to the server. Unset attributes will be set to undefined.
+	    // You can also pass an attributes object to diff against the model,
+	    // determining if there *would be* a change.
+	    changedAttributes: function(diff) {
+	      if (!diff) return this.hasChanged() ? _.clone(this.changed) : false;
+	      var val, changed = false;
+	      var old = this._changing ? this._previousAttributes : this.attributes;
+	      for (var attr in diff) {
+	        if (_.isEqual(old[attr], (val = diff[attr]))) continue;
+	        (changed || (changed = {}))[attr] = val;
+	      }
+	      return changed;
+	    },
+
+	    // Get the previous value of an attribute, recorded at the time the last
+	    // `"change"` event was fired.
+	    previous: function(attr) {
+	      if (attr == null || !this._previousAttributes) return null;
+	      return this._previousAttributes[attr];
+	    },
+
+	    // Get all of the attributes of the model at the time of the previous
+	    // `"change"` event.
+	    previousAttributes: function() {
+	      return _.clone(this._previousAttributes);
+	    },
+
+	    // Fetch the model from the server. If the server's representation of the
+	    // model differs from its current attributes, they will be overridden,
+	    // triggering a `"change"` event.
+	    fetch: function(options) {
+	      options = options ? _.clone(options) : {};
+	      if (options.parse === void 0) options.parse = true;
+	      var model = this;
+	      var success = options.success;
+	      options.success = function(resp) {
+	        if (!model.set(model.parse(resp, options), options)) return false;
+	        if (success) success(model, resp, options);
+	        model.trigger('sync', model, resp, options);
+	      };
+	      wrapError(this, options);
+	      return this.sync('read', this, options);
+	    },
+
+	    // Set a hash of model attributes, and sync the model to the server.
+	    // If the server returns an attributes hash that differs, the model's
+	    // state will be `set` again.
+	    save: function(key, val, options) {
+	      var attrs, method, xhr, attributes = this.attributes;
+
+	      // Handle both `"key", value` and `{key: value}` -style arguments.
+	      if (key == null || typeof key === 'object') {
+	        attrs = key;
+	        options = val;
+	      } else {
+	        (attrs = {})[key] = val;
+	      }
+
+	      options = _.extend({validate: true}, options);
+
+	      // If we're not waiting and attributes exist, save acts as
+	      // `set(attr).save(null, opts)` with validation. Otherwise, check if
+	      // the model will be valid when the attributes, if any, are set.
+	      if (attrs && !options.wait) {
+	        if (!this.set(attrs, options)) return false;
+	      } else {
+	        if (!this._validate(attrs, options)) return false;
+	      }
+
+	      // Set temporary attributes if `{wait: true}`.
+	      if (attrs && options.wait) {
+	        this.attributes = _.extend({}, attributes, attrs);
+	      }
+
+	      // After a successful server-side save, the client is (optionally)
+	      // updated with the server-side state.
+	      if (options.parse === void 0) options.parse = true;
+	      var model = this;
+	      var success = options.success;
+	      options.success = function(resp) {
+	        // Ensure attributes are restored during synchronous saves.
+	        model.attributes = attributes;
+	        var serverAttrs = model.parse(resp, options);
+	        if (options.wait) serverAttrs = _.extend(attrs || {}, serverAttrs);
+	        if (_.isObject(serverAttrs) && !model.set(serverAttrs, options)) {
+	          return false;
+	        }
+	        if (success) success(model, resp, options);
+	        model.trigger('sync', model, resp, options);
+	      };
+	      wrapError(this, options);
+
+	      method = this.isNew() ? 'create' : (options.patch ? 'patch' : 'update');
+	      if (method === 'patch') options.attrs = attrs;
+	      xhr = this.sync(method, this, options);
+
+	      // Restore attributes.
+	      if (attrs && options.wait) this.attributes = attributes;
+
+	      return xhr;
+	    },
+
+	    // Destroy this model on the server if it was already persisted.
+	    // Optimistically removes the model from its collection, if it has one.
+	    // If `wait: true` is passed, waits for the server to respond before removal.
+	    destroy: function(options) {
+	      options = options ? _.clone(options) : {};
+	      var model = this;
+	      var success = options.success;
+
+	      var destroy = function() {
+	        model.trigger('destroy', model, model.collection, options);
+	      };
+
+	      options.success = function(resp) {
+	        if (options.wait || model.isNew()) destroy();
+	        if (success) success(model, resp, options);
+	        if (!model.isNew()) model.trigger('sync', model, resp, options);
+	      };
+
+	      if (this.isNew()) {
+	        options.success();
+	        return false;
+	      }
+	      wrapError(this, options);
+
+	      var xhr = this.sync('delete', this, options);
+	      if (!options.wait) destroy();
+	      return xhr;
+	    },
+
+	    // Default URL for the model's representation on the server -- if you're
+	    // using Backbone's restful methods, override this to change the endpoint
+	    // that will be called.
+	    url: function() {
+	      var base =
+	        _.result(this, 'urlRoot') ||
+	        _.result(this.collection, 'url') ||
+	        urlError();
+	      if (this.isNew()) return base;
+	      return base.replace(/([^\/])$/, '$1/') + encodeURIComponent(this.id);
+	    },
+
+	    // **parse** converts a response into the hash of attributes to be `set` on
+	    // the model. The default implementation is just to pass the response along.
+	    parse: function(resp, options) {
+	      return resp;
+	    },
+
+	    // Create a new model with identical attributes to this one.
+	    clone: function() {
+	      return new this.constructor(this.attributes);
+	    },
+
+	    // A model is new if it has never been saved to the server, and lacks an id.
+	    isNew: function() {
+	      return !this.has(this.idAttribute);
+	    },
+
+	    // Check if the model is currently in a valid state.
+	    isValid: function(options) {
+	      return this._validate({}, _.extend(options || {}, { validate: true }));
+	    },
+
+	    // Run validation against the next complete set of model attributes,
+	    // returning `true` if all is well. Otherwise, fire an `"invalid"` event.
+	    _validate: function(attrs, options) {
+	      if (!options.validate || !this.validate) return true;
+	      attrs = _.extend({}, this.attributes, attrs);
+	      var error = this.validationError = this.validate(attrs, options) || null;
+	      if (!error) return true;
+	      this.trigger('invalid', this, error, _.extend(options, {validationError: error}));
+	      return false;
+	    }
+
+	  });
+
+	  // Underscore methods that we want to implement on the Model.
+	  var modelMethods = ['keys', 'values', 'pairs', 'invert', 'pick', 'omit'];
+
+	  // Mix in each Underscore method as a proxy to `Model#attributes`.
+	  _.each(modelMethods, function(method) {
+	    Model.prototype[method] = function() {
+	      var args = slice.call(arguments);
+	      args.unshift(this.attributes);
+	      return _[method].apply(_, args);
+	    };
+	  });
+
+	  // Backbone.Collection
+	  // -------------------
+
+	  // If models tend to represent a single row of data, a Backbone Collection is
+	  // more analagous to a table full of data ... or a small slice or page of that
+	  // table, or a collection of rows that belong together for a particular reason
+	  // -- all of the messages in this particular folder, all of the documents
+	  // belonging to this particular author, and so on. Collections maintain
+	  // indexes of their models, both in order, and for lookup by `id`.
+
+	  // Create a new **Collection**, perhaps to contain a specific type of `model`.
+	  // If a `comparator` is specified, the Collection will maintain
+	  // its models in sort order, as they're added and removed.
+	  var Collection = Backbone.Collection = function(models, options) {
+	    options || (options = {});
+	    if (options.model) this.model = options.model;
+	    if (options.comparator !== void 0) this.comparator = options.comparator;
+	    this._reset();
+	    this.initialize.apply(this, arguments);
+	    if (models) this.reset(models, _.extend({silent: true}, options));
+	  };
+
+	  // Default options for `Collection#set`.
+	  var setOptions = {add: true, remove: true, merge: true};
+	  var addOptions = {add: true, remove: false};
+
+	  // Define the Collection's inheritable methods.
+	  _.extend(Collection.prototype, Events, {
+
+	    // The default model for a collection is just a **Backbone.Model**.
+	    // This should be overridden in most cases.
+	    model: Model,
+
+	    // Initialize is an empty function by default. Override it with your own
+	    // initialization logic.
+	    initialize: function(){},
+
+	    // The JSON representation of a Collection is an array of the
+	    // models' attributes.
+	    toJSON: function(options) {
+	      return this.map(function(model){ return model.toJSON(options); });
+	    },
+
+	    // Proxy `Backbone.sync` by default.
+	    sync: function() {
+	      return Backbone.sync.apply(this, arguments);
+	    },
+
+	    // Add a model, or list of models to the set.
+	    add: function(models, options) {
+	      return this.set(models, _.extend({merge: false}, options, addOptions));
+	    },
+
+	    // Remove a model, or a list of models from the set.
+	    remove: function(models, options) {
+	      var singular = !_.isArray(models);
+	      models = singular ? [models] : _.clone(models);
+	      options || (options = {});
+	      var i, l, index, model;
+	      for (i = 0, l = models.length; i < l; i++) {
+	        model = models[i] = this.get(models[i]);
+	        if (!model) continue;
+	        delete this._byId[model.id];
+	        delete this._byId[model.cid];
+	        index = this.indexOf(model);
+	        this.models.splice(index, 1);
+	        this.length--;
+	        if (!options.silent) {
+	          options.index = index;
+	          model.trigger('remove', model, this, options);
+	        }
+	        this._removeReference(model, options);
+	      }
+	      return singular ? models[0] : models;
+	    },
+
+	    // Update a collection by `set`-ing a new list of models, adding new ones,
+	    // removing models that are no longer present, and merging models that
+	    // already exist in the collection, as necessary. Similar to **Model#set**,
+	    // the core operation for updating the data contained by the collection.
+	    set: function(models, options) {
+	      options = _.defaults({}, options, setOptions);
+	      if (options.parse) models = this.parse(models, options);
+	      var singular = !_.isArray(models);
+	      models = singular ? (models ? [models] : []) : _.clone(models);
+	      var i, l, id, model, attrs, existing, sort;
+	      var at = options.at;
+	      var targetModel = this.model;
+	      var sortable = this.comparator && (at == null) && options.sort !== false;
+	      var sortAttr = _.isString(this.comparator) ? this.comparator : null;
+	      var toAdd = [], toRemove = [], modelMap = {};
+	      var add = options.add, merge = options.merge, remove = options.remove;
+	      var order = !sortable && add && remove ? [] : false;
+
+	      // Turn bare objects into model references, and prevent invalid models
+	      // from being added.
+	      for (i = 0, l = models.length; i < l; i++) {
+	        attrs = models[i] || {};
+	        if (attrs instanceof Model) {
+	          id = model = attrs;
+	        } else {
+	          id = attrs[targetModel.prototype.idAttribute || 'id'];
+	        }
+
+	        // If a duplicate is found, prevent it from being added and
+	        // optionally merge it into the existing model.
+	        if (existing = this.get(id)) {
+	          if (remove) modelMap[existing.cid] = true;
+	          if (merge) {
+	            attrs = attrs === model ? model.attributes : attrs;
+	            if (options.parse) attrs = existing.parse(attrs, options);
+	            existing.set(attrs, options);
+	            if (sortable && !sort && existing.hasChanged(sortAttr)) sort = true;
+	          }
+	          models[i] = existing;
+
+	        // If this is a new, valid model, push it to the `toAdd` list.
+	        } else if (add) {
+	          model = models[i] = this._prepareModel(attrs, options);
+	          if (!model) continue;
+	          toAdd.push(model);
+	          this._addReference(model, options);
+	        }
+
+	        // Do not add multiple models with the same `id`.
+	        model = existing || model;
+	        if (order && (model.isNew() || !modelMap[model.id])) order.push(model);
+	        modelMap[model.id] = true;
+	      }
+
+	      // Remove nonexistent models if appropriate.
+	      if (remove) {
+	        for (i = 0, l = this.length; i < l; ++i) {
+	          if (!modelMap[(model = this.models[i]).cid]) toRemove.push(model);
+	        }
+	        if (toRemove.length) this.remove(toRemove, options);
+	      }
+
+	      // See if sorting is needed, update `length` and splice in new models.
+	      if (toAdd.length || (order && order.length)) {
+	        if (sortable) sort = true;
+	        this.length += toAdd.length;
+	        if (at != null) {
+	          for (i = 0, l = toAdd.length; i < l; i++) {
+	            this.models.splice(at + i, 0, toAdd[i]);
+	          }
+	        } else {
+	          if (order) this.models.length = 0;
+	          var orderedModels = order || toAdd;
+	          for (i = 0, l = orderedModels.length; i < l; i++) {
+	            this.models.push(orderedModels[i]);
+	          }
+	        }
+	      }
+
+	      // Silently sort the collection if appropriate.
+	      if (sort) this.sort({silent: true});
+
+	      // Unless silenced, it's time to fire all appropriate add/sort events.
+	      if (!options.silent) {
+	        for (i = 0, l = toAdd.length; i < l; i++) {
+	          (model = toAdd[i]).trigger('add', model, this, options);
+	        }
+	        if (sort || (order && order.length)) this.trigger('sort', this, options);
+	      }
+
+	      // Return the added (or merged) model (or models).
+	      return singular ? models[0] : models;
+	    },
+
+	    // When you have more items than you want to add or remove individually,
+	    // you can reset the entire set with a new list of models, without firing
+	    // any granular `add` or `remove` events. Fires `reset` when finished.
+	    // Useful for bulk operations and optimizations.
+	    reset: function(models, options) {
+	      options || (options = {});
+	      for (var i = 0, l = this.models.length; i < l; i++) {
+	        this._removeReference(this.models[i], options);
+	      }
+	      options.previousModels = this.models;
+	      this._reset();
+	      models = this.add(models, _.extend({silent: true}, options));
+	      if (!options.silent) this.trigger('reset', this, options);
+	      return models;
+	    },
+
+	    // Add a model to the end of the collection.
+	    push: function(model, options) {
+	      return this.add(model, _.extend({at: this.length}, options));
+	    },
+
+	    // Remove a model from the end of the collection.
+	    pop: function(options) {
+	      var model = this.at(this.length - 1);
+	      this.remove(model, options);
+	      return model;
+	    },
+
+	    // Add a model to the beginning of the collection.
+	    unshift: function(model, options) {
+	      return this.add(model, _.extend({at: 0}, options));
+	    },
+
+	    // Remove a model from the beginning of the collection.
+	    shift: function(options) {
+	      var model = this.at(0);
+	      this.remove(model, options);
+	      return model;
+	    },
+
+	    // Slice out a sub-array of models from the collection.
+	    slice: function() {
+	      return slice.apply(this.models, arguments);
+	    },
+
+	    // Get a model from the set by id.
+	    get: function(obj) {
+	      if (obj == null) return void 0;
+	      return this._byId[obj] || this._byId[obj.id] || this._byId[obj.cid];
+	    },
+
+	    // Get the model at the given index.
+	    at: function(index) {
+	      return this.models[index];
+	    },
+
+	    // Return models with matching attributes. Useful for simple cases of
+	    // `filter`.
+	    where: function(attrs, first) {
+	      if (_.isEmpty(attrs)) return first ? void 0 : [];
+	      return this[first ? 'find' : 'filter'](function(model) {
+	        for (var key in attrs) {
+	          if (attrs[key] !== model.get(key)) return false;
+	        }
+	        return true;
+	      });
+	    },
+
+	    // Return the first model with matching attributes. Useful for simple cases
+	    // of `find`.
+	    findWhere: function(attrs) {
+	      return this.where(attrs, true);
+	    },
+
+	    // Force the collection to re-sort itself. You don't need to call this under
+	    // normal circumstances, as the set will maintain sort order as each item
+	    // is added.
+	    sort: function(options) {
+	      if (!this.comparator) throw new Error('Cannot sort a set without a comparator');
+	      options || (options = {});
+
+	      // Run sort based on type of `comparator`.
+	      if (_.isString(this.comparator) || this.comparator.length === 1) {
+	        this.models = this.sortBy(this.comparator, this);
+	      } else {
+	        this.models.sort(_.bind(this.comparator, this));
+	      }
+
+	      if (!options.silent) this.trigger('sort', this, options);
+	      return this;
+	    },
+
+	    // Pluck an attribute from each model in the collection.
+	    pluck: function(attr) {
+	      return _.invoke(this.models, 'get', attr);
+	    },
+
+	    // Fetch the default set of models for this collection, resetting the
+	    // collection when they arrive. If `reset: true` is passed, the response
+	    // data will be passed through the `reset` method instead of `set`.
+	    fetch: function(options) {
+	      options = options ? _.clone(options) : {};
+	      if (options.parse === void 0) options.parse = true;
+	      var success = options.success;
+	      var collection = this;
+	      options.success = function(resp) {
+	        var method = options.reset ? 'reset' : 'set';
+	        collection[method](resp, options);
+	        if (success) success(collection, resp, options);
+	        collection.trigger('sync', collection, resp, options);
+	      };
+	      wrapError(this, options);
+	      return this.sync('read', this, options);
+	    },
+
+	    // Create a new instance of a model in this collection. Add the model to the
+	    // collection immediately, unless `wait: true` is passed, in which case we
+	    // wait for the server to agree.
+	    create: function(model, options) {
+	      options = options ? _.clone(options) : {};
+	      if (!(model = this._prepareModel(model, options))) return false;
+	      if (!options.wait) this.add(model, options);
+	      var collection = this;
+	      var success = options.success;
+	      options.success = function(model, resp) {
+	        if (options.wait) collection.add(model, options);
+	        if (success) success(model, resp, options);
+	      };
+	      model.save(null, options);
+	      return model;
+	    },
+
+	    // **parse** converts a response into a list of models to be added to the
+	    // collection. The default implementation is just to pass it through.
+	    parse: function(resp, options) {
+	      return resp;
+	    },
+
+	    // Create a new collection with an identical list of models as this one.
+	    clone: function() {
+	      return new this.constructor(this.models);
+	    },
+
+	    // Private method to reset all internal state. Called when the collection
+	    // is first initialized or reset.
+	    _reset: function() {
+	      this.length = 0;
+	      this.models = [];
+	      this._byId  = {};
+	    },
+
+	    // Prepare a hash of attributes (or other model) to be added to this
+	    // collection.
+	    _prepareModel: function(attrs, options) {
+	      if (attrs instanceof Model) return attrs;
+	      options = options ? _.clone(options) : {};
+	      options.collection = this;
+	      var model = new this.model(attrs, options);
+	      if (!model.validationError) return model;
+	      this.trigger('invalid', this, model.validationError, options);
+	      return false;
+	    },
+
+	    // Internal method to create a model's ties to a collection.
+	    _addReference: function(model, options) {
+	      this._byId[model.cid] = model;
+	      if (model.id != null) this._byId[model.id] = model;
+	      if (!model.collection) model.collection = this;
+	      model.on('all', this._onModelEvent, this);
+	    },
+
+	    // Internal method to sever a model's ties to a collection.
+	    _removeReference: function(model, options) {
+	      if (this === model.collection) delete model.collection;
+	      model.off('all', this._onModelEvent, this);
+	    },
+
+	    // Internal method called every time a model in the set fires an event.
+	    // Sets need to update their indexes when models change ids. All other
+	    // events simply proxy through. "add" and "remove" events that originate
+	    // in other collections are ignored.
+	    _onModelEvent: function(event, model, collection, options) {
+	      if ((event === 'add' || event === 'remove') && collection !== this) return;
+	      if (event === 'destroy') this.remove(model, options);
+	      if (model && event === 'change:' + model.idAttribute) {
+	        delete this._byId[model.previous(model.idAttribute)];
+	        if (model.id != null) this._byId[model.id] = model;
+	      }
+	      this.trigger.apply(this, arguments);
+	    }
+
+	  });
+
+	  // Underscore methods that we want to implement on the Collection.
+	  // 90% of the core usefulness of Backbone Collections is actually implemented
+	  // right here:
+	  var methods = ['forEach', 'each', 'map', 'collect', 'reduce', 'foldl',
+	    'inject', 'reduceRight', 'foldr', 'find', 'detect', 'filter', 'select',
+	    'reject', 'every', 'all', 'some', 'any', 'include', 'contains', 'invoke',
+	    'max', 'min', 'toArray', 'size', 'first', 'head', 'take', 'initial', 'rest',
+	    'tail', 'drop', 'last', 'without', 'difference', 'indexOf', 'shuffle',
+	    'lastIndexOf', 'isEmpty', 'chain', 'sample'];
+
+	  // Mix in each Underscore method as a proxy to `Collection#models`.
+	  _.each(methods, function(method) {
+	    Collection.prototype[method] = function() {
+	      var args = slice.call(arguments);
+	      args.unshift(this.models);
+	      return _[method].apply(_, args);
+	    };
+	  });
+
+	  // Underscore methods that take a property name as an argument.
+	  var attributeMethods = ['groupBy', 'countBy', 'sortBy', 'indexBy'];
+
+	  // Use attributes instead of properties.
+	  _.each(attributeMethods, function(method) {
+	    Collection.prototype[method] = function(value, context) {
+	      var iterator = _.isFunction(value) ? value : function(model) {
+	        return model.get(value);
+	      };
+	      return _[method](this.models, iterator, context);
+	    };
+	  });
+
+	  // Backbone.View
+	  // -------------
+
+	  // Backbone Views are almost more convention than they are actual code. A View
+	  // is simply a JavaScript object that represents a logical chunk of UI in the
+	  // DOM. This might be a single item, an entire list, a sidebar or panel, or
+	  // even the surrounding frame which wraps your whole app. Defining a chunk of
+	  // UI as a **View** allows you to define your DOM events declaratively, without
+	  // having to worry about render order ... and makes it easy for the view to
+	  // react to specific changes in the state of your models.
+
+	  // Creating a Backbone.View creates its initial element outside of the DOM,
+	  // if an existing element is not provided...
+	  var View = Backbone.View = function(options) {
+	    this.cid = _.uniqueId('view');
+	    options || (options = {});
+	    _.extend(this, _.pick(options, viewOptions));
+	    this._ensureElement();
+	    this.initialize.apply(this, arguments);
+	    this.delegateEvents();
+	  };
+
+	  // Cached regex to split keys for `delegate`.
+	  var delegateEventSplitter = /^(\S+)\s*(.*)$/;
+
+	  // List of view options to be merged as properties.
+	  var viewOptions = ['model', 'collection', 'el', 'id', 'attributes', 'className', 'tagName', 'events'];
+
+	  // Set up all inheritable **Backbone.View** properties and methods.
+	  _.extend(View.prototype, Events, {
+
+	    // The default `tagName` of a View's element is `"div"`.
+	    tagName: 'div',
+
+	    // jQuery delegate for element lookup, scoped to DOM elements within the
+	    // current view. This should be preferred to global lookups where possible.
+	    $: function(selector) {
+	      return this.$el.find(selector);
+	    },
+
+	    // Initialize is an empty function by default. Override it with your own
+	    // initialization logic.
+	    initialize: function(){},
+
+	    // **render** is the core function that your view should override, in order
+	    // to populate its element (`this.el`), with the appropriate HTML. The
+	    // convention is for **render** to always return `this`.
+	    render: function() {
+	      return this;
+	    },
+
+	    // Remove this view by taking the element out of the DOM, and removing any
+	    // applicable Backbone.Events listeners.
+	    remove: function() {
+	      this.$el.remove();
+	      this.stopListening();
+	      return this;
+	    },
+
+	    // Change the view's element (`this.el` property), including event
+	    // re-delegation.
+	    setElement: function(element, delegate) {
+	      if (this.$el) this.undelegateEvents();
+	      this.$el = element instanceof Backbone.$ ? element : Backbone.$(element);
+	      this.el = this.$el[0];
+	      if (delegate !== false) this.delegateEvents();
+	      return this;
+	    },
+
+	    // Set callbacks, where `this.events` is a hash of
+	    //
+	    // *{"event selector": "callback"}*
+	    //
+	    //     {
+	    //       'mousedown .title':  'edit',
+	    //       'click .button':     'save',
+	    //       'click .open':       function(e) { ... }
+	    //     }
+	    //
+	    // pairs. Callbacks will be bound to the view, with `this` set properly.
+	    // Uses event delegation for efficiency.
+	    // Omitting the selector binds the event to `this.el`.
+	    // This only works for delegate-able events: not `focus`, `blur`, and
+	    // not `change`, `submit`, and `reset` in Internet Explorer.
+	    delegateEvents: function(events) {
+	      if (!(events || (events = _.result(this, 'events')))) return this;
+	      this.undelegateEvents();
+	      for (var key in events) {
+	        var method = events[key];
+	        if (!_.isFunction(method)) method = this[events[key]];
+	        if (!method) continue;
+
+	        var match = key.match(delegateEventSplitter);
+	        var eventName = match[1], selector = match[2];
+	        method = _.bind(method, this);
+	        eventName += '.delegateEvents' + this.cid;
+	        if (selector === '') {
+	          this.$el.on(eventName, method);
+	        } else {
+	          this.$el.on(eventName, selector, method);
+	        }
+	      }
+	      return this;
+	    },
+
+	    // Clears all callbacks previously bound to the view with `delegateEvents`.
+	    // You usually don't need to use this, but may wish to if you have multiple
+	    // Backbone views attached to the same DOM element.
+	    undelegateEvents: function() {
+	      this.$el.off('.delegateEvents' + this.cid);
+	      return this;
+	    },
+
+	    // Ensure that the View has a DOM element to render into.
+	    // If `this.el` is a string, pass it through `$()`, take the first
+	    // matching element, and re-assign it to `el`. Otherwise, create
+	    // an element from the `id`, `className` and `tagName` properties.
+	    _ensureElement: function() {
+	      if (!this.el) {
+	        var attrs = _.extend({}, _.result(this, 'attributes'));
+	        if (this.id) attrs.id = _.result(this, 'id');
+	        if (this.className) attrs['class'] = _.result(this, 'className');
+	        var $el = Backbone.$('<' + _.result(this, 'tagName') + '>').attr(attrs);
+	        this.setElement($el, false);
+	      } else {
+	        this.setElement(_.result(this, 'el'), false);
+	      }
+	    }
+
+	  });
+
+	  // Backbone.sync
+	  // -------------
+
+	  // Override this function to change the manner in which Backbone persists
+	  // models to the server. You will be passed the type of request, and the
+	  // model in question. By default, makes a RESTful Ajax request
+	  // to the model's `url()`. Some possible customizations could be:
+	  //
+	  // * Use `setTimeout` to batch rapid-fire updates into a single request.
+	  // * Send up the models as XML instead of JSON.
+	  // * Persist models via WebSockets instead of Ajax.
+	  //
+	  // Turn on `Backbone.emulateHTTP` in order to send `PUT` and `DELETE` requests
+	  // as `POST`, with a `_method` parameter containing the true HTTP method,
+	  // as well as all requests with the body as `application/x-www-form-urlencoded`
+	  // instead of `application/json` with the model in a param named `model`.
+	  // Useful when interfacing with server-side languages like **PHP** that make
+	  // it difficult to read the body of `PUT` requests.
+	  Backbone.sync = function(method, model, options) {
+	    var type = methodMap[method];
+
+	    // Default options, unless specified.
+	    _.defaults(options || (options = {}), {
+	      emulateHTTP: Backbone.emulateHTTP,
+	      emulateJSON: Backbone.emulateJSON
+	    });
+
+	    // Default JSON-request options.
+	    var params = {type: type, dataType: 'json'};
+
+	    // Ensure that we have a URL.
+	    if (!options.url) {
+	      params.url = _.result(model, 'url') || urlError();
+	    }
+
+	    // Ensure that we have the appropriate request data.
+	    if (options.data == null && model && (method === 'create' || method === 'update' || method === 'patch')) {
+	      params.contentType = 'application/json';
+	      params.data = JSON.stringify(options.attrs || model.toJSON(options));
+	    }
+
+	    // For older servers, emulate JSON by encoding the request into an HTML-form.
+	    if (options.emulateJSON) {
+	      params.contentType = 'application/x-www-form-urlencoded';
+	      params.data = params.data ? {model: params.data} : {};
+	    }
+
+	    // For older servers, emulate HTTP by mimicking the HTTP method with `_method`
+	    // And an `X-HTTP-Method-Override` header.
+	    if (options.emulateHTTP && (type === 'PUT' || type === 'DELETE' || type === 'PATCH')) {
+	      params.type = 'POST';
+	      if (options.emulateJSON) params.data._method = type;
+	      var beforeSend = options.beforeSend;
+	      options.beforeSend = function(xhr) {
+	        xhr.setRequestHeader('X-HTTP-Method-Override', type);
+	        if (beforeSend) return beforeSend.apply(this, arguments);
+	      };
+	    }
+
+	    // Don't process data on a non-GET request.
+	    if (params.type !== 'GET' && !options.emulateJSON) {
+	      params.processData = false;
+	    }
+
+	    // If we're sending a `PATCH` request, and we're in an old Internet Explorer
+	    // that still has ActiveX enabled by default, override jQuery to use that
+	    // for XHR instead. Remove this line when jQuery supports `PATCH` on IE8.
+	    if (params.type === 'PATCH' && noXhrPatch) {
+	      params.xhr = function() {
+	        return new ActiveXObject("Microsoft.XMLHTTP");
+	      };
+	    }
+
+	    // Make the request, allowing the user to override any Ajax options.
+	    var xhr = options.xhr = Backbone.ajax(_.extend(params, options));
+	    model.trigger('request', model, xhr, options);
+	    return xhr;
+	  };
+
+	  var noXhrPatch =
+	    typeof window !== 'undefined' && !!window.ActiveXObject &&
+	      !(window.XMLHttpRequest && (new XMLHttpRequest).dispatchEvent);
+
+	  // Map from CRUD to HTTP for our default `Backbone.sync` implementation.
+	  var methodMap = {
+	    'create': 'POST',
+	    'update': 'PUT',
+	    'patch':  'PATCH',
+	    'delete': 'DELETE',
+	    'read':   'GET'
+	  };
+
+	  // Set the default implementation of `Backbone.ajax` to proxy through to `$`.
+	  // Override this if you'd like to use a different library.
+	  Backbone.ajax = function() {
+	    return Backbone.$.ajax.apply(Backbone.$, arguments);
+	  };
+
+	  // Backbone.Router
+	  // ---------------
+
+	  // Routers map faux-URLs to actions, and fire events when routes are
+	  // matched. Creating a new one sets its `routes` hash, if not set statically.
+	  var Router = Backbone.Router = function(options) {
+	    options || (options = {});
+	    if (options.routes) this.routes = options.routes;
+	    this._bindRoutes();
+	    this.initialize.apply(this, arguments);
+	  };
+
+	  // Cached regular expressions for matching named param parts and splatted
+	  // parts of route strings.
+	  var optionalParam = /\((.*?)\)/g;
+	  var namedParam    = /(\(\?)?:\w+/g;
+	  var splatParam    = /\*\w+/g;
+	  var escapeRegExp  = /[\-{}\[\]+?.,\\\^$|#\s]/g;
+
+	  // Set up all inheritable **Backbone.Router** properties and methods.
+	  _.extend(Router.prototype, Events, {
+
+	    // Initialize is an empty function by default. Override it with your own
+	    // initialization logic.
+	    initialize: function(){},
+
+	    // Manually bind a single named route to a callback. For example:
+	    //
+	    //     this.route('search/:query/p:num', 'search', function(query, num) {
+	    //       ...
+	    //     });
+	    //
+	    route: function(route, name, callback) {
+	      if (!_.isRegExp(route)) route = this._routeToRegExp(route);
+	      if (_.isFunction(name)) {
+	        callback = name;
+	        name = '';
+	      }
+	      if (!callback) callback = this[name];
+	      var router = this;
+	      Backbone.history.route(route, function(fragment) {
+	        var args = router._extractParameters(route, fragment);
+	        router.execute(callback, args);
+	        router.trigger.apply(router, ['route:' + name].concat(args));
+	        router.trigger('route', name, args);
+	        Backbone.history.trigger('route', router, name, args);
+	      });
+	      return this;
+	    },
+
+	    // Execute a route handler with the provided parameters.  This is an
+	    // excellent place to do pre-route setup or post-route cleanup.
+	    execute: function(callback, args) {
+	      if (callback) callback.apply(this, args);
+	    },
+
+	    // Simple proxy to `Backbone.history` to save a fragment into the history.
+	    navigate: function(fragment, options) {
+	      Backbone.history.navigate(fragment, options);
+	      return this;
+	    },
+
+	    // Bind all defined routes to `Backbone.history`. We have to reverse the
+	    // order of the routes here to support behavior where the most general
+	    // routes can be defined at the bottom of the route map.
+	    _bindRoutes: function() {
+	      if (!this.routes) return;
+	      this.routes = _.result(this, 'routes');
+	      var route, routes = _.keys(this.routes);
+	      while ((route = routes.pop()) != null) {
+	        this.route(route, this.routes[route]);
+	      }
+	    },
+
+	    // Convert a route string into a regular expression, suitable for matching
+	    // against the current location hash.
+	    _routeToRegExp: function(route) {
+	      route = route.replace(escapeRegExp, '\\$&')
+	                   .replace(optionalParam, '(?:$1)?')
+	                   .replace(namedParam, function(match, optional) {
+	                     return optional ? match : '([^/?]+)';
+	                   })
+	                   .replace(splatParam, '([^?]*?)');
+	      return new RegExp('^' + route + '(?:\\?([\\s\\S]*))?$');
+	    },
+
+	    // Given a route, and a URL fragment that it matches, return the array of
+	    // extracted decoded parameters. Empty or unmatched parameters will be
+	    // treated as `null` to normalize cross-browser behavior.
+	    _extractParameters: function(route, fragment) {
+	      var params = route.exec(fragment).slice(1);
+	      return _.map(params, function(param, i) {
+	        // Don't decode the search params.
+	        if (i === params.length - 1) return param || null;
+	        return param ? decodeURIComponent(param) : null;
+	      });
+	    }
+
+	  });
+
+	  // Backbone.History
+	  // ----------------
+
+	  // Handles cross-browser history management, based on either
+	  // [pushState](http://diveintohtml5.info/history.html) and real URLs, or
+	  // [onhashchange](https://developer.mozilla.org/en-US/docs/DOM/window.onhashchange)
+	  // and URL fragments. If the browser supports neither (old IE, natch),
+	  // falls back to polling.
+	  var History = Backbone.History = function() {
+	    this.handlers = [];
+	    _.bindAll(this, 'checkUrl');
+
+	    // Ensure that `History` can be used outside of the browser.
+	    if (typeof window !== 'undefined') {
+	      this.location = window.location;
+	      this.history = window.history;
+	    }
+	  };
+
+	  // Cached regex for stripping a leading hash/slash and trailing space.
+	  var routeStripper = /^[#\/]|\s+$/g;
+
+	  // Cached regex for stripping leading and trailing slashes.
+	  var rootStripper = /^\/+|\/+$/g;
+
+	  // Cached regex for detecting MSIE.
+	  var isExplorer = /msie [\w.]+/;
+
+	  // Cached regex for removing a trailing slash.
+	  var trailingSlash = /\/$/;
+
+	  // Cached regex for stripping urls of hash.
+	  var pathStripper = /#.*$/;
+
+	  // Has the history handling already been started?
+	  History.started = false;
+
+	  // Set up all inheritable **Backbone.History** properties and methods.
+	  _.extend(History.prototype, Events, {
+
+	    // The default interval to poll for hash changes, if necessary, is
+	    // twenty times a second.
+	    interval: 50,
+
+	    // Are we at the app root?
+	    atRoot: function() {
+	      return this.location.pathname.replace(/[^\/]$/, '$&/') === this.root;
+	    },
+
+	    // Gets the true hash value. Cannot use location.hash directly due to bug
+	    // in Firefox where location.hash will always be decoded.
+	    getHash: function(window) {
+	      var match = (window || this).location.href.match(/#(.*)$/);
+	      return match ? match[1] : '';
+	    },
+
+	    // Get the cross-browser normalized URL fragment, either from the URL,
+	    // the hash, or the override.
+	    getFragment: function(fragment, forcePushState) {
+	      if (fragment == null) {
+	        if (this._hasPushState || !this._wantsHashChange || forcePushState) {
+	          fragment = decodeURI(this.location.pathname + this.location.search);
+	          var root = this.root.replace(trailingSlash, '');
+	          if (!fragment.indexOf(root)) fragment = fragment.slice(root.length);
+	        } else {
+	          fragment = this.getHash();
+	        }
+	      }
+	      return fragment.replace(routeStripper, '');
+	    },
+
+	    // Start the hash change handling, returning `true` if the current URL matches
+	    // an existing route, and `false` otherwise.
+	    start: function(options) {
+	      if (History.started) throw new Error("Backbone.history has already been started");
+	      History.started = true;
+
+	      // Figure out the initial configuration. Do we need an iframe?
+	      // Is pushState desired ... is it available?
+	      this.options          = _.extend({root: '/'}, this.options, options);
+	      this.root             = this.options.root;
+	      this._wantsHashChange = this.options.hashChange !== false;
+	      this._wantsPushState  = !!this.options.pushState;
+	      this._hasPushState    = !!(this.options.pushState && this.history && this.history.pushState);
+	      var fragment          = this.getFragment();
+	      var docMode           = document.documentMode;
+	      var oldIE             = (isExplorer.exec(navigator.userAgent.toLowerCase()) && (!docMode || docMode <= 7));
+
+	      // Normalize root to always include a leading and trailing slash.
+	      this.root = ('/' + this.root + '/').replace(rootStripper, '/');
+
+	      if (oldIE && this._wantsHashChange) {
+	        var frame = Backbone.$('<iframe src="javascript:0" tabindex="-1">');
+	        this.iframe = frame.hide().appendTo('body')[0].contentWindow;
+	        this.navigate(fragment);
+	      }
+
+	      // Depending on whether we're using pushState or hashes, and whether
+	      // 'onhashchange' is supported, determine how we check the URL state.
+	      if (this._hasPushState) {
+	        Backbone.$(window).on('popstate', this.checkUrl);
+	      } else if (this._wantsHashChange && ('onhashchange' in window) && !oldIE) {
+	        Backbone.$(window).on('hashchange', this.checkUrl);
+	      } else if (this._wantsHashChange) {
+	        this._checkUrlInterval = setInterval(this.checkUrl, this.interval);
+	      }
+
+	      // Determine if we need to change the base url, for a pushState link
+	      // opened by a non-pushState browser.
+	      this.fragment = fragment;
+	      var loc = this.location;
+
+	      // Transition from hashChange to pushState or vice versa if both are
+	      // requested.
+	      if (this._wantsHashChange && this._wantsPushState) {
+
+	        // If we've started off with a route from a `pushState`-enabled
+	        // browser, but we're currently in a browser that doesn't support it...
+	        if (!this._hasPushState && !this.atRoot()) {
+	          this.fragment = this.getFragment(null, true);
+	          this.location.replace(this.root + '#' + this.fragment);
+	          // Return immediately as browser will do redirect to new url
+	          return true;
+
+	        // Or if we've started out with a hash-based route, but we're currently
+	        // in a browser where it could be `pushState`-based instead...
+	        } else if (this._hasPushState && this.atRoot() && loc.hash) {
+	          this.fragment = this.getHash().replace(routeStripper, '');
+	          this.history.replaceState({}, document.title, this.root + this.fragment);
+	        }
+
+	      }
+
+	      if (!this.options.silent) return this.loadUrl();
+	    },
+
+	    // Disable Backbone.history, perhaps temporarily. Not useful in a real app,
+	    // but possibly useful for unit testing Routers.
+	    stop: function() {
+	      Backbone.$(window).off('popstate', this.checkUrl).off('hashchange', this.checkUrl);
+	      if (this._checkUrlInterval) clearInterval(this._checkUrlInterval);
+	      History.started = false;
+	    },
+
+	    // Add a route to be tested when the fragment changes. Routes added later
+	    // may override previous routes.
+	    route: function(route, callback) {
+	      this.handlers.unshift({route: route, callback: callback});
+	    },
+
+	    // Checks the current URL to see if it has changed, and if it has,
+	    // calls `loadUrl`, normalizing across the hidden iframe.
+	    checkUrl: function(e) {
+	      var current = this.getFragment();
+	      if (current === this.fragment && this.iframe) {
+	        current = this.getFragment(this.getHash(this.iframe));
+	      }
+	      if (current === this.fragment) return false;
+	      if (this.iframe) this.navigate(current);
+	      this.loadUrl();
+	    },
+
+	    // Attempt to load the current URL fragment. If a route succeeds with a
+	    // match, returns `true`. If no defined routes matches the fragment,
+	    // returns `false`.
+	    loadUrl: function(fragment) {
+	      fragment = this.fragment = this.getFragment(fragment);
+	      return _.any(this.handlers, function(handler) {
+	        if (handler.route.test(fragment)) {
+	          handler.callback(fragment);
+	          return true;
+	        }
+	      });
+	    },
+
+	    // Save a fragment into the hash history, or replace the URL state if the
+	    // 'replace' option is passed. You are responsible for properly URL-encoding
+	    // the fragment in advance.
+	    //
+	    // The options object can contain `trigger: true` if you wish to have the
+	    // route callback be fired (not usually desirable), or `replace: true`, if
+	    // you wish to modify the current URL without adding an entry to the history.
+	    navigate: function(fragment, options) {
+	      if (!History.started) return false;
+	      if (!options || options === true) options = {trigger: !!options};
+
+	      var url = this.root + (fragment = this.getFragment(fragment || ''));
+
+	      // Strip the hash for matching.
+	      fragment = fragment.replace(pathStripper, '');
+
+	      if (this.fragment === fragment) return;
+	      this.fragment = fragment;
+
+	      // Don't include a trailing slash on the root.
+	      if (fragment === '' && url !== '/') url = url.slice(0, -1);
+
+	      // If pushState is available, we use it to set the fragment as a real URL.
+	      if (this._hasPushState) {
+	        this.history[options.replace ? 'replaceState' : 'pushState']({}, document.title, url);
+
+	      // If hash changes haven't been explicitly disabled, update the hash
+	      // fragment to store history.
+	      } else if (this._wantsHashChange) {
+	        this._updateHash(this.location, fragment, options.replace);
+	        if (this.iframe && (fragment !== this.getFragment(this.getHash(this.iframe)))) {
+	          // Opening and closing the iframe tricks IE7 and earlier to push a
+	          // history entry on hash-tag change.  When replace is true, we don't
+	          // want this.
+	          if(!options.replace) this.iframe.document.open().close();
+	          this._updateHash(this.iframe.location, fragment, options.replace);
+	        }
+
+	      // If you've told us that you explicitly don't want fallback hashchange-
+	      // based history, then `navigate` becomes a page refresh.
+	      } else {
+	        return this.location.assign(url);
+	      }
+	      if (options.trigger) return this.loadUrl(fragment);
+	    },
+
+	    // Update the hash location, either replacing the current entry, or adding
+	    // a new one to the browser history.
+	    _updateHash: function(location, fragment, replace) {
+	      if (replace) {
+	        var href = location.href.replace(/(javascript:|#).*$/, '');
+	        location.replace(href + '#' + fragment);
+	      } else {
+	        // Some browsers require that `hash` contains a leading #.
+	        location.hash = '#' + fragment;
+	      }
+	    }
+
+	  });
+
+	  // Create the default Backbone.history.
+	  Backbone.history = new History;
+
+	  // Helpers
+	  // -------
+
+	  // Helper function to correctly set up the prototype chain, for subclasses.
+	  // Similar to `goog.inherits`, but uses a hash of prototype properties and
+	  // class properties to be extended.
+	  var extend = function(protoProps, staticProps) {
+	    var parent = this;
+	    var child;
+
+	    // The constructor function for the new subclass is either defined by you
+	    // (the "constructor" property in your `extend` definition), or defaulted
+	    // by us to simply call the parent's constructor.
+	    if (protoProps && _.has(protoProps, 'constructor')) {
+	      child = protoProps.constructor;
+	    } else {
+	      child = function(){ return parent.apply(this, arguments); };
+	    }
+
+	    // Add static properties to the constructor function, if supplied.
+	    _.extend(child, parent, staticProps);
+
+	    // Set the prototype chain to inherit from `parent`, without calling
+	    // `parent`'s constructor function.
+	    var Surrogate = function(){ this.constructor = child; };
+	    Surrogate.prototype = parent.prototype;
+	    child.prototype = new Surrogate;
+
+	    // Add prototype properties (instance properties) to the subclass,
+	    // if supplied.
+	    if (protoProps) _.extend(child.prototype, protoProps);
+
+	    // Set a convenience property in case the parent's prototype is needed
+	    // later.
+	    child.__super__ = parent.prototype;
+
+	    return child;
+	  };
+
+	  // Set up inheritance for the model, collection, router, view and history.
+	  Model.extend = Collection.extend = Router.extend = View.extend = History.extend = extend;
+
+	  // Throw an error when a URL is needed, and none is supplied.
+	  var urlError = function() {
+	    throw new Error('A "url" property or function must be specified');
+	  };
+
+	  // Wrap an optional error callback with a fallback error event.
+	  var wrapError = function(model, options) {
+	    var error = options.error;
+	    options.error = function(resp) {
+	      if (error) error(model, resp, options);
+	      model.trigger('error', model, resp, options);
+	    };
+	  };
+
+	  return Backbone;
+
+	}));
+
+
+/***/ }),
+/* 6 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	var __WEBPACK_AMD_DEFINE_ARRAY__, __WEBPACK_AMD_DEFINE_RESULT__;!(__WEBPACK_AMD_DEFINE_ARRAY__ = [__webpack_require__(2), __webpack_require__(5), __webpack_require__(7)], __WEBPACK_AMD_DEFINE_RESULT__ = function(_, Backbone, MapObjectsDictionary) {
+
+	  'use strict';
+
+	  /*
+	  * View-Model object for map objects view.
+	  */
+	  var MapObjectsViewModel = Backbone.Model.extend({
+
+	    /*
+	    * Default values for view model.
+	    */
+	    defaults: {
+	      refreshRate: 2,
+	      speed: 10,
+	      realtime: true,
+	      timeWindow: 1800 // 30 minutes
+	    },
+
+	    /*
+	    * Backbone model initialization.
+	    */ 
+	    initialize: function() {
+	      // Initialize sub-models
+	      this.map = this.get('map');
+	      this.collection = new MapObjectsDictionary({
+	        map: this.map,
+	        maxLateness: this.get('maxLateness'),
+	        extrapolationHorizon: this.get('extrapolationHorizon'),
+	        interpolation: this.get('interpolation') || 'linear',
+	        shapeField: this.get('shapeField') || 'routeTag',
+	        snapRoutes: this.get('snapRoutes') || false
+	      });
+
+	      this.collection
+	        .on('add', function(model) {
+	          model.on(
+	            'change:showObject', 
+	            function(model, showObject) {
+	              if (showObject) {
+	                model.calculatePos(this.currentTime(), this.realtime(), this.timeWindow());
+	              }
+	            }.bind(this));
+	        }.bind(this))
+	        .on('remove', function(model) {
+	          model.clearPos();
+	          if (this.get('selectedObject') === model) {
+	            this.unset('selectedObject');
+	          }
+	        }.bind(this))
+	        .on('select', function(model) {
+	          this.selectObject(model);
+	        }.bind(this));
+	    },
+
+	    /*
+	    * Gets or sets current time for view model.
+	    *
+	    * Method update each object on map and ask them to recalculate their
+	    * positions.
+	    */ 
+	    currentTime: function(value) {
+	      if (arguments.length !== 0) {
+	        this.set('currentTime', value);
+	        this.collection.each(function(obj) {
+	          if (obj.showObject()) {
+	            obj.calculatePos(value, this.realtime(), this.timeWindow());
+	          }
+	        }.bind(this));
+	        this.collection.clearEmptyObjects();
+	      }
+	      
+	      return this.get('currentTime');
+	    },
+
+	    /*
+	    * Gets or sets begin time for view model.
+	    */ 
+	    beginTime: function(value) {
+	      if (arguments.length !== 0) {
+	        this.set('beginTime', value);
+	      }
+
+	      return this.get('beginTime');
+	    },
+
+	    /*
+	    * Gets or sets end time for view model.
+	    */ 
+	    endTime: function(value) {
+	      if (arguments.length !== 0) {
+	        this.set('endTime', value);
+	      }
+
+	      return this.get('endTime');
+	    },
+
+	    /*
+	    * Gets or sets if current view is in real-time mode.
+	    */
+	    realtime: function(value) {
+	      if (arguments.length !== 0) {
+	        if (value) {
+	          this.pause();
+	        }
+	        this.set('realtime', value);
+	      }
+
+	      return this.get('realtime');
+	    },
+
+	    /*
+	    * Gets or sets time window (use it for real-time mode).
+	    */
+	    timeWindow: function(value) {
+	      if (arguments.length !== 0) {
+	        this.set('timeWindow', value);
+	      }
+
+	      return this.get('timeWindow');
+	    },
+
+	    /*
+	    * Gets or sets for how many seconds objects are extrapolated from their latest points in real-time
+	    * mode (null - objects stay on their latest points), see MapObject.realtimePos.
+	    *
+	    * With extrapolation current time keeps going between updates in real-time mode.
+	    */
+	    extrapolationHorizon: function(value) {
+	      if (arguments.length !== 0) {
+	        this.collection.extrapolationHorizon(value);
+	        if (this.realtime()) {
+	          this.pause();
+	          this.play();
+	        }
+	      }
+
+	      return this.collection.extrapolationHorizon();
+	    },
+
+	    /*
+	    * Gets or sets playback speed.
+	    */
+	    speed: function(value) {
+	      if (arguments.length !== 0) {
+	        this.set('speed', value);
+	      }
+
+	      return this.get('speed');
+	    },
+
+	    /*
+	    * Gets or sets playback refreshRate.
+	    */
+	    refreshRate: function(value) {
+	      if (arguments.length !== 0) {
+	        this.set('refreshRate', value);
+	      }
+
+	      return this.get('refreshRate');
+	    },
+
+	    /*
+	    * Gets information if view model right now is in playback mode.
+	    */
+	    playbackMode: function() {
+	      return this.has('playInterval');
+	    },
+
+	    /*
+	    * Add objects on the map. 
+	    * @param data - array of { obj: [obj fields], point: { ts: [float], lat: [float], lon: [float]}}.
+	    */
+	    addDataPoints: function(data) {
+	      var beginTime = this.has('beginTime') ? this.beginTime() : null;
+	      var endTime = this.has('endTime') ? this.endTime() : null;
+	      var currentTime = this.currentTime();
+	      var realtime = this.realtime();
+	      // In real-time mode points which are out of time window have been removed already
+	      var deadline = realtime && currentTime && this.timeWindow() ? currentTime - this.timeWindow() : null;
+	      _.each(data, function(p) {
+	        if (!deadline || deadline <= p.point.ts) {
+	          beginTime = Math.min(p.point.ts, beginTime || p.point.ts);
+	          endTime = Math.max(p.point.ts, endTime || p.point.ts);
+	          this.collection.addData(p.obj, p.point);
+	        }
+	      }.bind(this));
+	      this.collection.updateRoutes();
+	      if (this.has('timeWindow')) {
+	        beginTime = Math.max(endTime - this.timeWindow(), beginTime);
+	      }
+	      if (beginTime) this.beginTime(beginTime);
+	      if (endTime) this.endTime(endTime);
+	    },
+
+	    /*
+	    * Add object on the map. 
+	    * @param obj - object located on this point.
+	    * @param point - position of the object in time { ts: [float], lat: [float], lon: [float]}
+	    */
+	    addData: function(obj, point) {
+	      this.beginTime(!this.has('beginTime') ? point.ts : Math.min(point.ts, this.beginTime()));
+	      this.endTime(!this.has('endTime') ? point.ts : Math.max(point.ts, this.endTime()));
+	      var model = this.collection.addData(obj, point);
+	      model.updateRoute();
+	      return model;
+	    },
+
+	    /*
+	    * Select object, view model triggers event `select` with
+	    * { obj: [group fields], lat: [float], lon: [float], ts: [current time], raw: [fields of current point] }.
+	    * Position is the current position of the object or its last known point.
+	    */
+	    selectObject: function(model) {
+	      var previous = this.get('selectedObject');
+	      if (previous && previous !== model) {
+	        previous.set('selected', false);
+	      }
+	      model.set('selected', true);
+	      this.set('selectedObject', model);
+
+	      var pos = model.get('pos') || _.last(model.getPoints()) || {};
+	      this.trigger('select', {
+	        obj: model.get('obj'),
+	        lat: pos.lat,
+	        lon: pos.lon,
+	        ts: this.currentTime(),
+	        raw: model.get('raw')
+	      });
+	    },
+
+	    /*
+	    * Remove all tracking objects.
+	    */ 
+	    removeAllObjects: function() {
+	      this.pause();
+	      this.collection.reset();
+	      this.unset({currentTime: null, beginTime: null, endTime: null});
+	    },
+
+	    /*
+	    * Start playback of all objects on map.
+	    *
+	    * In case of realtime we just move all system to latest known point in time.
+	    * With extrapolation horizon time keeps going from the latest known point with refresh rate
+	    * and never goes back.
+	    */
+	    play: function() {
+	      if (!this.has('beginTime') || !this.has('endTime')) {
+	        // No objects
+	        return;
+	      }
+
+	      if (this.realtime() && this.extrapolationHorizon()) {
+	        if (!this.has('currentTime') || this.currentTime() < this.endTime()) {
+	          this.currentTime(this.endTime());
+	        }
+	        if (!this.has('playInterval')) {
+	          this.set('playInterval', setInterval(function() {
+	            this.currentTime(this.currentTime() + (1 / this.refreshRate()));
+	          }.bind(this), (1000 / this.refreshRate())));
+	        }
+	        return;
+	      }
+
+	      if (this.has('playInterval')) {
+	        // Already in play mode
+	        return;
+	      }
+
+	      if (this.realtime()) {
+	        this.currentTime(this.endTime());
+	      } else {
+	        if (!this.has('currentTime')) {
+	          this.currentTime(this.beginTime());
+	        }
+
+	        this.set('playInterval', setInterval(function() {
+	          this.currentTime(this.currentTime() + (this.speed() / this.refreshRate()));
+	          if (this.currentTime() > this.endTime()) {
+	            this.pause();
+	          } 
+	        }.bind(this), (1000 / this.refreshRate())));
+	      }
+	    }, 
+
+	    /*
+	    * Pause playback.
+	    */
+	    pause: function() {
+	      if (this.has('playInterval')) {
+	        clearInterval(this.get('playInterval'));
+	        this.unset('playInterval');
+	      }
+	    },
+
+	    /*
+	    * Auto-zoom map to area of selected objects.
+	    */
+	    autoZoom: function() {
+	      this.map.autozoom(this.collection);
+	    }
+	  });
+
+	  return MapObjectsViewModel;
+	}.apply(exports, __WEBPACK_AMD_DEFINE_ARRAY__), __WEBPACK_AMD_DEFINE_RESULT__ !== undefined && (module.exports = __WEBPACK_AMD_DEFINE_RESULT__));
+
+/***/ }),
+/* 7 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	var __WEBPACK_AMD_DEFINE_ARRAY__, __WEBPACK_AMD_DEFINE_RESULT__;!(__WEBPACK_AMD_DEFINE_ARRAY__ = [__webpack_require__(2), __webpack_require__(5), __webpack_require__(8), __webpack_require__(9), __webpack_require__(10)], __WEBPACK_AMD_DEFINE_RESULT__ = function(_, Backbone, utils, geo, Shape) {
+
+	  'use strict';
+
+	  // How many seconds we show object on map after we think it disappears.
+	  var defaultObjectTimeout = 300;
+	  var defaultColors = [
+	    '#236326', '#29762d', '#2f8934', '#359d3b', '#3bb042', '#44c04b', '#57c75d', '#6ace6f', '#7cd582', '#8fdb94', // Green
+	    '#615f22', '#747128', '#87842f', '#9b9735', '#aeaa3b', '#c0bb43', '#c7c355', '#ceca68', '#d4d17b', '#dbd88e', // Yellow
+	    '#2d737f', '#338592', '#3996a6', '#3fa8b9', '#4fb3c3', '#61bbca', '#74c4d1', '#87ccd8', '#9ad5de', '#addde5', // Blue,
+	    '#562397', '#6227ad', '#6d2bc2', '#7a34d2', '#8749d7', '#955ddc', '#a372e1', '#b186e6', '#be9beb', '#ccb0ef', // Violet
+	    '#af5b28', '#c4662c', '#d27238', '#d7814c', '#dc8f60', '#e19e75', '#e6ad8a', '#ebbb9e', '#efcab3', '#f4d9c8', // Orange-ish
+	  ];
+
+	  /*
+	  * Gets random color from defaultColors list, example '#236326'.
+	  */ 
+	  var getRandomColor = function() {
+	    return defaultColors[Math.floor(Math.random() * defaultColors.length)];
+	  };
+
+	  /*
+	  * Gets a value indicating whether this point still in default object timeout limit.
+	  */
+	  function inTimeoutLimit(currentTime, point) {
+	    return Math.abs(currentTime - point.ts, 0) <= defaultObjectTimeout;
+	  }
+
+	  /*
+	  * Gets index of the first point with timestamp greater than `ts` (or equal when `inclusive` is true),
+	  * points are ordered by ts asc.
+	  */
+	  function searchIndex(points, ts, inclusive) {
+	    var low = 0;
+	    var high = points.length;
+	    while (low < high) {
+	      var middle = (low + high) >>> 1;
+	      if (points[middle].ts > ts || (inclusive && points[middle].ts === ts)) {
+	        high = middle;
+	      } else {
+	        low = middle + 1;
+	      }
+	    }
+	    return low;
+	  }
+
+	  // How many points cursor moves forward before we fall back to binary search.
+	  var maxCursorSteps = 8;
+
+	  // How many seconds extrapolated object moves from its displayed position to the track of a new point.
+	  var blendTime = 2;
+
+	  /*
+	  * Gets position of object `elapsed` seconds after the last point ({ lat, lon }) with fields `speedKmHr`
+	  * and `heading` (degrees clockwise from north) of the last point, or with speed and direction between
+	  * the last two points when point does not have them. Returns null when object's movement is unknown.
+	  * @param geometry - geo.linear or geo.geodesic.
+	  */
+	  function extrapolate(points, elapsed, geometry) {
+	    var lastPoint = points[points.length - 1];
+	    var raw = lastPoint.raw || {};
+	    var speed = parseFloat(raw.speedKmHr);
+	    var heading = parseFloat(raw.heading);
+
+	    if (speed >= 0 && heading >= 0) {
+	      return geometry.destination(lastPoint, heading, speed / 3.6 * elapsed);
+	    }
+
+	    var previousPoint = points[points.length - 2];
+	    if (previousPoint && inTimeoutLimit(lastPoint.ts, previousPoint)) {
+	      return geometry.interpolate(previousPoint, lastPoint, 1 + elapsed / (lastPoint.ts - previousPoint.ts));
+	    }
+
+	    return null;
+	  }
+
+	  // How far (in meters) point can be from the shape of object to be snapped to it.
+	  var maxSnapOffset = 100;
+
+	  // Object does not follow the shape between two points when the way along the shape is this many times
+	  // longer than the straight line between them (for example shape has a loop or goes in other direction).
+	  var maxShapeDetour = 3;
+
+	  /*
+	  * Gets projection of point on shape { distance, offset } (see Shape.project), projection is calculated
+	  * once for each point and shape.
+	  */
+	  function project(shape, point) {
+	    if (!point.projection || point.projection.shape !== shape) {
+	      point.projection = _.extend({ shape: shape }, shape.project(point));
+	    }
+	    return point.projection;
+	  }
+
+	  /*
+	  * Class represents each individual object on map. 
+	  * It stores all points and knows how to travel between them on map.
+	  */
+	  var MapObject = Backbone.Model.extend({
+
+	    /*
+	    * Model default values.
+	    */ 
+	    defaults: function() {
+	      return {
+	        title: '',
+	        obj: {},
+	        points: [], // points ordered by ts asc 
+	        showObject: true,
+	        showRoute: false,
+	        autoHideRoute: true,
+	        color: getRandomColor(),
+	        realtimeWindow: 300, // Window of storing data
+	        maxLateness: null, // Seconds, points older than the latest point by more are dropped (null - keep all)
+	        extrapolationHorizon: null, // Seconds, see realtimePos (null - object stays on the latest point)
+	        interpolation: 'linear', // Or 'geodesic' to move objects and draw routes along great circles, see geo
+	        shape: null, // Shape of object's route, object follows it between points, see shapeSection
+	        snapRoute: false, // Draw route along the shape instead of straight lines between points
+	        modelId: '',
+	        raw: {}
+	      };
+	    },
+
+	    /*
+	    * Backbone initialize method.
+	    */
+	    initialize: function() {
+
+	      // When we hide object we trigger event that we removed current position
+	      this.on('change:showObject', function() {
+	        if (!this.showObject()) {
+	          this.clearPos();
+	          this.unset('raw');
+	        }
+	      }.bind(this));
+
+	      this.on('change:interpolation change:shape change:snapRoute', function() {
+	        // Redraw route with new kind of lines
+	        if (this.polyline) {
+	          this.showRoute(false);
+	          this.showRoute(true);
+	        }
+	      }.bind(this));
+
+	      this.on('change:raw', function(model, raw) {
+	        if (this.autoHideRoute()) {
+	          this.showRoute(raw ? true : false);
+	        }
+	      }.bind(this));
+
+	      this.set('title', this.get('title') || utils.generateString(this.get('obj')) || 'unknown');
+	      this.map = this.get('map');
+	      this.marker = null;
+	      this.polyline = null;
+	      // Snapped or geodesic route has to be redrawn, see updateRoute
+	      this.routeChanged = false;
+	      // Index of the first point after the time of the last calculated position
+	      this.cursor = 0;
+	      // Point from which real-time position has been extrapolated and blending from the displayed position
+	      this.lastFix = null;
+	      this.blend = null;
+	    },
+
+	    /*
+	    * Add new point for object, late points are inserted in order of timestamps.
+	    * @param point - should be in format 
+	    *               { ts: [float], lat: [float], lon: [float] }
+	    * @return - false when point has been dropped, because object already has point with
+	    *           the same timestamp or point is older than the latest point by more than `maxLateness`.
+	    */ 
+	    add: function(point) {
+	      if (!point ||
+	        !_.isNumber(point.ts) ||
+	        !_.isNumber(point.lat) ||
+	        !_.isNumber(point.lon)) {
+	        throw 'Argument exception. Invalid point format';
+	      }
+	      var points = this.getPoints();
+	      var lastPoint = _.last(points);
+	      var maxLateness = this.get('maxLateness');
+	      if (lastPoint && _.isNumber(maxLateness) && lastPoint.ts - point.ts > maxLateness) {
+	        return false;
+	      }
+
+	      var index = searchIndex(points, point.ts, true);
+	      if (index < points.length && points[index].ts === point.ts) {
+	        return false;
+	      }
+	      points.splice(index, 0, point);
+	      if (index < this.cursor) {
+	        this.cursor++;
+	      }
+
+	      if (this.showRoute()) {
+	        if (this.polyline) {
+	          if (this.isRouteRebuilt()) {
+	            // Snapped and geodesic routes are redrawn once for all new points, see updateRoute
+	            this.routeChanged = true;
+	          } else {
+	            this.polyline.insertPoint(index, point.lat, point.lon);
+	          }
+	        } else {
+	          this.showRoute(true);
+	        }
+	      }
+	      return true;
+	    },
+
+	    /*
+	    * Gets section of the shape of object between two points { from, to } (distances on the shape, see Shape),
+	    * or null when object does not have shape or does not follow it between these points.
+	    */
+	    shapeSection: function(fromPoint, toPoint) {
+	      var shape = this.get('shape');
+	      if (!shape) {
+	        return null;
+	      }
+
+	      var from = project(shape, fromPoint);
+	      var to = project(shape, toPoint);
+	      if (from.offset > maxSnapOffset || to.offset > maxSnapOffset ||
+	        Math.abs(to.distance - from.distance) > Shape.distance(fromPoint, toPoint) * maxShapeDetour + maxSnapOffset) {
+	        return null;
+	      }
+
+	      return { from: from.distance, to: to.distance };
+	    },
+
+	    /*
+	    * Gets a value indicating whether route is drawn along the shape.
+	    */
+	    isRouteSnapped: function() {
+	      return !!(this.get('snapRoute') && this.get('shape'));
+	    },
+
+	    /*
+	    * Gets a value indicating whether path of polyline is built from all points (route is snapped or
+	    * drawn with great circles), so changes of points are not applied to polyline one by one.
+	    */
+	    isRouteRebuilt: function() {
+	      return this.isRouteSnapped() || this.get('interpolation') === 'geodesic';
+	    },
+
+	    /*
+	    * Gets path of route as array of [lat, lon]. When route is snapped it goes along the shape between
+	    * points which object follows it, these points are moved to the shape.
+	    */
+	    routePath: function() {
+	      var points = this.getPoints();
+	      if (!this.isRouteSnapped()) {
+	        return _.map(points, function(p) {
+	          return [p.lat, p.lon];
+	        });
+	      }
+
+	      var shape = this.get('shape');
+	      var path = [];
+	      var previousSection = null;
+	      for (var i = 0; i < points.length; i++) {
+	        var section = i + 1 < points.length ? this.shapeSection(points[i], points[i + 1]) : null;
+	        if (section || previousSection) {
+	          var pos = shape.positionAt(section ? section.from : previousSection.to);
+	          path.push([pos.lat, pos.lon]);
+	        } else {
+	          path.push([points[i].lat, points[i].lon]);
+	        }
+	        if (section) {
+	          var shapePoints = shape.between(section.from, section.to);
+	          for (var j = 0; j < shapePoints.length; j++) {
+	            path.push([shapePoints[j].lat, shapePoints[j].lon]);
+	          }
+	        }
+	        previousSection = section;
+	      }
+	      return path;
+	    },
+
+	    /*
+	    * Redraw snapped or geodesic route when points have been added or removed since the last call.
+	    * Path of such route is built from all points, so it is redrawn once per batch of points or frame
+	    * instead of on every point.
+	    */
+	    updateRoute: function() {
+	      if (this.routeChanged) {
+	        this.routeChanged = false;
+	        if (this.polyline) {
+	          this.polyline.setPath(this.routePath());
+	        }
+	      }
+	    },
+
+	    /*
+	    * Gets geo.linear or geo.geodesic depending on `interpolation`.
+	    */
+	    geometry: function() {
+	      return this.get('interpolation') === 'geodesic' ? geo.geodesic : geo.linear;
+	    },
+
+	    /*
+	    * Gets index of the first point with timestamp greater than `currentTime`.
+	    *
+	    * During playback time moves forward by small steps, so we start from the cursor 
+	    * of the previous call and move it forward, after long jumps we use binary search.
+	    */
+	    findNextPointIndex: function(currentTime) {
+	      var points = this.getPoints();
+	      var index = Math.min(this.cursor, points.length);
+
+	      if (index === 0 || points[index - 1].ts <= currentTime) {
+	        var steps = 0;
+	        while (index < points.length && points[index].ts <= currentTime && steps < maxCursorSteps) {
+	          index++;
+	          steps++;
+	        }
+	        if (index === points.length || points[index].ts > currentTime) {
+	          this.cursor = index;
+	          return index;
+	        }
+	      }
+
+	      this.cursor = searchIndex(points, currentTime, false);
+	      return this.cursor;
+	    },
+
+	    /*
+	    * Remove points which are older than `deadline`, but keep the last point while it is
+	    * in default object timeout limit.
+	    */
+	    removePointsBefore: function(deadline, currentTime) {
+	      var points = this.getPoints();
+	      if (points.length === 0 || points[0].ts >= deadline) {
+	        return;
+	      }
+
+	      var count = searchIndex(points, deadline, true);
+	      if (count === points.length && count > 0 && inTimeoutLimit(currentTime, points[count - 1])) {
+	        count--;
+	      }
+
+	      if (count === 1) {
+	        // Most of the time only one point becomes old, shift is cheaper than splice in this case
+	        points.shift();
+	      } else if (count > 1) {
+	        points.splice(0, count);
+	      }
+
+	      if (count > 0) {
+	        this.cursor = Math.max(0, this.cursor - count);
+	        if (this.polyline) {
+	          if (this.isRouteRebuilt()) {
+	            this.routeChanged = true;
+	          } else {
+	            this.polyline.removePoints(0, count);
+	          }
+	        }
+	      }
+	    },
+
+	    /*
+	    * Gets position of object in real-time mode { lat, lon, extrapolated }.
+	    *
+	    * Without `extrapolationHorizon` object stays on the latest point. With it object keeps moving from
+	    * the latest point with its speed and heading (dead reckoning) for up to `extrapolationHorizon` seconds.
+	    * When a new point arrives, object moves from the displayed position to the new track during `blendTime`
+	    * seconds instead of jumping.
+	    */
+	    realtimePos: function(currentTime) {
+	      var points = this.getPoints();
+	      var lastPoint = _.last(points);
+	      var pos = { lat: lastPoint.lat, lon: lastPoint.lon, extrapolated: false };
+	      var horizon = this.get('extrapolationHorizon');
+	      if (!horizon) {
+	        return pos;
+	      }
+
+	      var geometry = this.geometry();
+	      var elapsed = Math.min(currentTime - lastPoint.ts, horizon);
+	      var extrapolatedPos = elapsed > 0 ? extrapolate(points, elapsed, geometry) : null;
+	      if (extrapolatedPos) {
+	        pos.lat = extrapolatedPos.lat;
+	        pos.lon = extrapolatedPos.lon;
+	        pos.extrapolated = true;
+	      }
+
+	      if (this.lastFix !== lastPoint) {
+	        var displayedPos = this.get('pos');
+	        this.blend = displayedPos ? { lat: displayedPos.lat, lon: displayedPos.lon, ts: currentTime } : null;
+	        this.lastFix = lastPoint;
+	      }
+
+	      if (this.blend) {
+	        var p = (currentTime - this.blend.ts) / blendTime;
+	        if (p >= 0 && p < 1) {
+	          var blendedPos = geometry.interpolate(this.blend, pos, p);
+	          pos.lat = blendedPos.lat;
+	          pos.lon = blendedPos.lon;
+	        } else {
+	          this.blend = null;
+	        }
+	      }
+
+	      return pos;
+	    },
+
+	    /*
+	    * Place object on map in current time.
+	    * @param currentTime - timestamp for which we want to calculate position.
+	    * @param realtime - in case of realtime object always show latest known position
+	    *                   for time specified by default value.
+	    *
+	    * Current method calculates position and set it as backbone model field `pos` ({ lat, lon, extrapolated }).
+	    */
+	    calculatePos: function(currentTime, realtime, timeWindow) {
+	      if (this.showObject()) {
+	        // Trying to find point 
+	        var points = this.getPoints();
+
+	        var lat, lon, raw, extrapolated = false;
+
+	        if (timeWindow) {
+	          // At first let's remove all old points.
+	          this.removePointsBefore(currentTime - timeWindow, currentTime);
+	        }
+	        this.updateRoute();
+
+	        if (realtime) {
+	          if (points.length > 0) {
+	            var pos = this.realtimePos(currentTime);
+	            lat = pos.lat;
+	            lon = pos.lon;
+	            extrapolated = pos.extrapolated;
+	            raw = _.last(points).raw;
+	          }
+	        } else {
+	          var nextPointIndex = this.findNextPointIndex(currentTime);
+
+	          if (nextPointIndex !== 0 && nextPointIndex < points.length) {
+	            // Let's find position of current object and place it on map
+	            var currentPoint = points[nextPointIndex - 1];
+	            var nextPoint = points[nextPointIndex];
+	            var p = (currentTime - currentPoint.ts)/(nextPoint.ts - currentPoint.ts);
+	            var section = this.shapeSection(currentPoint, nextPoint);
+	            var interpolatedPos = section ?
+	              this.get('shape').positionAt(section.from + (section.to - section.from) * p) :
+	              this.geometry().interpolate(currentPoint, nextPoint, p);
+	            lat = interpolatedPos.lat;
+	            lon = interpolatedPos.lon;
+	            raw = currentPoint.raw;
+	          }
+	        }
+
+	        this.set({ raw: raw });
+
+	        var displayedPos = this.get('pos');
+	        if (displayedPos && lon !== undefined && this.get('interpolation') === 'geodesic') {
+	          // Marker crossing the antimeridian should not jump to the other side of the map
+	          lon = geo.unwrapLon(lon, displayedPos.lon);
+	        }
+
+	        if (lat !== undefined && lon !== undefined) {
+	          this.set('pos', { lat: lat, lon: lon, extrapolated: extrapolated });
+	          if (this.marker) {
+	            this.marker.move(lat, lon);
+	            this.marker.extrapolated(extrapolated);
+	          } else {
+	            this.marker = this.map.addMarker({
+	                lat: lat,
+	                lon: lon,
+	                title: this.get('title'),
+	                color: this.get('color'),
+	                extrapolated: extrapolated,
+	                click: this.select.bind(this)
+	            });
+	          }
+	        } else {
+	          // Current object does not have points in this time
+	          this.clearPos();
+	          this.unset('raw');
+	        }
+	      } else {
+	        this.clearPos();
+	        this.unset('raw');
+	      }
+	    },
+
+	    /*
+	    * Remove marker from map.
+	    *
+	    * Method invoke `unset` for field `pos`.
+	    */
+	    clearPos: function() {
+	      if (this.marker) {
+	        this.marker.remove();
+	        this.marker = null;
+	      }
+	      this.unset('pos');
+	    },
+
+	    /*
+	    * Toggle current state of show route (field `showRoute`).
+	    */
+	    toggleShowRoute: function() {
+	      this.showRoute(!this.showRoute());
+	    },
+
+	    /*
+	    * Toggle current state of show object (field `showObject`).
+	    */
+	    toggleShowObject: function() {
+	      this.showObject(!this.showObject());
+	    },
+
+	    /*
+	    * Gets or sets the auto-hide route.
+	    * @param value - if not undefined - set value to autoHideRoutes.
+	    */
+	    autoHideRoute: function(value) {
+	      if (arguments.length !== 0) {
+	        this.set({'autoHideRoute': value});
+
+	        if (!value) {
+	          if (this.showRoute() && this.get('row')) {
+	            this.showRoute(false);
+	          }
+	        } else {
+	          if (!this.showRoute() && this.get('row')) {
+	            this.showRoute(true);
+	          }
+	        }
+	      }
+	      return this.get('autoHideRoute');
+	    },
+
+	    /*
+	    * Gets or sets the show object value.
+	    * @param value - if not undefined - set value to showObject.
+	    */ 
+	    showObject: function(value) {
+	      if (arguments.length !== 0) {
+	        this.set({'showObject': value});
+
+	        if (!value) {
+	          this.clearPos();
+	        }
+	      }
+	      return this.get('showObject');
+	    },
+
+	    /*
+	    * Gets or sets the show object value.
+	    * @param value - if not undefined - set value to showRoute.
+	    */ 
+	    showRoute: function(value) {
+	      if (arguments.length !== 0) {
+	        this.set({'showRoute': value});
+
+	        if (value) {
+	          if (!this.polyline) {
+	            // Polyline has the same order of points as object (or points of the shape between them)
+	            this.routeChanged = false;
+	            this.polyline = this.map.addPolyline({
+	              path: this.routePath(),
+	              geodesic: this.get('interpolation') === 'geodesic',
+	              color: this.get('color'),
+	              click: this.select.bind(this)
+	            });
+	          }
+	        } else {
+	          if (this.polyline) {
+	            this.polyline.remove();
+	            this.polyline = null;
+	          }
+	        }
+	      }
+	      return this.get('showRoute');
+	    },
+
+	    /*
+	    * Gets points array.
+	    */
+	    getPoints: function() {
+	      return this.get('points');
+	    },
+
+	    /*
+	    * Highlight object on the map. 
+	    */
+	    highlightObject: function() {
+	      if (!this.showRoute()) this.showRoute(true);
+	      if (!this.showObject()) this.showObject(true);
+
+	      this.polyline.zoomTo();
+
+	      // Highlight object
+	      if (this.marker) {
+	        this.marker.highlight();
+	      }
+	      if (this.polyline) {
+	        this.polyline.highlight();
+	      }
+	    },
+
+	    /*
+	    * Select object (user clicked it on the map or in the list), triggers `select` event.
+	    */
+	    select: function() {
+	      this.trigger('select', this);
+	    },
+
+	    /*
+	    * Gets a value indicating whether this object does not have any points. 
+	    */ 
+	    isEmpty: function() {
+	      return _.isEmpty(this.getPoints());
+	    },
+
+	    /*
+	    * Gets an unique identified for this object.
+	    */
+	    modelId: function() {
+	      return this.get('modelId');
+	    }
+	  });
+
+	  /*
+	  * Dictionary stores all travel models.
+	  *
+	  * To initialize this dictionary you need to set { map: [Gmaps object] };
+	  * 
+	  * Backbone custom events:
+	  * add - new MapObject has been added.
+	  * remove - object has been removed.
+	  * select - object has been selected by user.
+	  * reset - all elements are going to be removed.
+	  */
+	  var MapObjectsDictionary = Backbone.Model.extend({
+
+	    defaults: {
+	      showAllObjects: true,
+	      showAllRoutes: true,
+	      autoHideRoutes: true,
+	      maxLateness: null,
+	      extrapolationHorizon: null,
+	      interpolation: 'linear',
+	      shapeField: 'routeTag',
+	      snapRoutes: false
+	    },
+
+	    /*
+	    * Backbone initialize method.
+	    */
+	    initialize: function() {
+	      this.models = {};
+	      this.shapes = {};
+	      this.map = this.get('map');
+	      if (!this.map) throw 'Map object should be set to initialize dictionary';
+	    },
+
+	    /*
+	    * Add new data for dictionary.
+	    * @param obj - map object. Fields of this object defines unique objects.
+	    * @param point - new point for object specified with fields.
+	    * @return - MapObject value.
+	    *
+	    * Method generates id based on fields and create new MapObject element if dictionary
+	    * does not have value by generated id, otherwise it adds new point to existing MapObject.
+	    * Call updateRoutes after adding a batch of points.
+	    *
+	    * After first 100 objects this method sets `showObject` to `false` for next objects.
+	    */
+	    addData: function(obj, point) {
+	      var id = JSON.stringify(obj);
+
+	      var model = null;
+
+	      if (this.models.hasOwnProperty(id)) {
+	        model = this.models[id];
+	      } else {
+	        model = new MapObject({ 
+	                        obj: obj, 
+	                        map: this.map,
+	                        showObject: this.showAllObjects(),
+	                        showRoute: this.showAllRoutes(),
+	                        maxLateness: this.maxLateness(),
+	                        extrapolationHorizon: this.extrapolationHorizon(),
+	                        interpolation: this.interpolation(),
+	                        shape: this.shapeOf(obj, point.raw),
+	                        snapRoute: this.snapRoutes(),
+	                        modelId: id
+	                     });
+	        this.models[id] = model;
+	        this.trigger('add', model);
+	        model
+	        .on('change:showObject', function(model, showObject) {
+	          if (this.showAllObjects() && !showObject) {
+	            this.showAllObjects(false, true /* silent */);
+	          }
+	        }.bind(this))
+	        .on('change:showRoute', function(model, showRoute) {
+	          if (this.showAllRoutes() && !showRoute) {
+	            this.showAllRoutes(false, true /* silent */);
+	          }
+	        }.bind(this))
+	        .on('select', function(model) {
+	          this.trigger('select', model);
+	        }.bind(this));
+	      }
+
+	      var shape = this.shapeOf(obj, point.raw);
+	      if (shape && shape !== model.get('shape')) {
+	        // Object is not grouped by shape field and its route has been changed
+	        model.set('shape', shape);
+	      }
+
+	      model.add(point);
+
+	      return model;
+	    },
+
+	    /*
+	    * Redraw snapped and geodesic routes of objects which got new points, see MapObject.updateRoute.
+	    */
+	    updateRoutes: function() {
+	      this.each(function(model) {
+	        model.updateRoute();
+	      });
+	    },
+
+	    /*
+	    * Remove all objects from dictionary.
+	    */
+	    reset: function() {
+	      this.trigger('reset');
+	      this.each(function(model, id) {
+	        model.off();
+	        model.clearPos();
+	        model.showRoute(false);
+	        this.trigger('remove', model);
+	        delete this.models[id];
+	      }.bind(this));
+	    },
+
+	    /*
+	    * Invoke action for each object in dictionary.
+	    * @param action - function which will be invoked with two arguments model, generated_id.
+	    */ 
+	    each: function(action) {
+	      if (!_.isFunction(action)) {
+	        throw 'Argument exception. Action is not a function.';
+	      }
+	      for (var id in this.models) {
+	        if (this.models.hasOwnProperty(id)) {
+	          action(this.models[id], id);
+	        }
+	      }
+	    },
+
+	    /*
+	    * Gets a value indicating whether all objects should be be visible.
+	    */ 
+	    showAllObjects: function(value, silent) {
+	      if (arguments.length !== 0) {
+	        var oldValue = this.get('showAllObjects');
+
+	        this.set('showAllObjects', value);
+
+	        if (oldValue !== value && !silent) {
+	          this.each(function(model) {
+	            model.showObject(value);
+	          });
+	        }
+	      }
+
+	      return this.get('showAllObjects');
+	    },
+
+	    /*
+	    * Gets a value indicating whether all objects routes should be be visible.
+	    */ 
+	    showAllRoutes: function(value, silent) {
+	      if (arguments.length !== 0) {
+	        var oldValue = this.get('showAllRoutes');
+
+	        this.set('showAllRoutes', value);
+
+	        if (oldValue !== value && !silent) {
+	          this.each(function(model) {
+	            model.showRoute(value);
+	          });
+	        }
+	      }
+
+	      return this.get('showAllRoutes');
+	    },
+
+	    /*
+	    * Gets a value indicating whether object should auto hide their routes is they are invisible.
+	    */ 
+	    autoHideRoutes: function(value, silent) {
+	      if (arguments.length !== 0) {
+	        var oldValue = this.get('autoHideRoutes');
+
+	        this.set('autoHideRoutes', value);
+
+	        if (oldValue !== value && !silent) {
+	          this.each(function(model) {
+	            model.autoHideRoute(value);
+	          });
+	        }
+	      }
+
+	      return this.get('autoHideRoutes');
+	    },
+
+	    /*
+	    * Gets or sets how many seconds point can be older than the latest point of object,
+	    * older points are dropped. Null keeps all points.
+	    */
+	    maxLateness: function(value) {
+	      if (arguments.length !== 0) {
+	        this.set('maxLateness', value);
+	        this.each(function(model) {
+	          model.set('maxLateness', value);
+	        });
+	      }
+
+	      return this.get('maxLateness');
+	    },
+
+	    /*
+	    * Gets or sets for how many seconds objects are extrapolated from their latest points
+	    * in real-time mode. Null keeps objects on their latest points.
+	    */
+	    extrapolationHorizon: function(value) {
+	      if (arguments.length !== 0) {
+	        this.set('extrapolationHorizon', value);
+	        this.each(function(model) {
+	          model.set('extrapolationHorizon', value);
+	        });
+	      }
+
+	      return this.get('extrapolationHorizon');
+	    },
+
+	    /*
+	    * Gets or sets how objects move between points and how their routes are drawn:
+	    * 'linear' (in degrees of latitude and longitude) or 'geodesic' (along great circles).
+	    */
+	    interpolation: function(value) {
+	      if (arguments.length !== 0) {
+	        this.set('interpolation', value);
+	        this.each(function(model) {
+	          model.set('interpolation', value);
+	        });
+	      }
+
+	      return this.get('interpolation');
+	    },
+
+	    /*
+	    * Set reference shapes of routes, object follows shape with id equal to value of its field `shapeField`.
+	    * @param shapes - { [shape id]: [{ lat, lon }, ...] }, see utils.toShapes.
+	    */
+	    setShapes: function(shapes) {
+	      this.shapes = {};
+	      for (var id in shapes) {
+	        if (shapes.hasOwnProperty(id) && shapes[id].length > 1) {
+	          this.shapes[id] = new Shape(shapes[id]);
+	        }
+	      }
+	      this.each(function(model) {
+	        var lastPoint = _.last(model.getPoints());
+	        model.set('shape', this.shapeOf(model.get('obj'), lastPoint && lastPoint.raw));
+	      }.bind(this));
+	    },
+
+	    /*
+	    * Gets shape of object by value of its field `shapeField`, or null. When objects are not grouped
+	    * by `shapeField`, shape id is taken from fields of point.
+	    * @param obj - fields of object.
+	    * @param raw - optional, raw fields of point.
+	    */
+	    shapeOf: function(obj, raw) {
+	      var field = this.get('shapeField');
+	      var id = obj && obj[field] !== undefined ? obj[field] : (raw ? raw[field] : undefined);
+	      return id !== undefined && this.shapes.hasOwnProperty(id) ? this.shapes[id] : null;
+	    },
+
+	    /*
+	    * Gets or sets a value indicating whether routes are drawn along shapes.
+	    */
+	    snapRoutes: function(value) {
+	      if (arguments.length !== 0) {
+	        this.set('snapRoutes', value);
+	        this.each(function(model) {
+	          model.set('snapRoute', value);
+	        });
+	      }
+
+	      return this.get('snapRoutes');
+	    },
+
+	    /*
+	    * Clear all empty objects from collection.
+	    */
+	    clearEmptyObjects: function() {
+	      this.each(function(model, id) {
+	        if (model.isEmpty()) {
+	          model.off();
+	          model.clearPos();
+	          model.showRoute(false);
+	          this.trigger('remove', model);
+	          delete this.models[id];
+	        }
+	      }.bind(this));
+	    }
+	  });
+
+	  // Require export (MapObjectsDictionary constructor)
+	  return MapObjectsDictionary;
+	}.apply(exports, __WEBPACK_AMD_DEFINE_ARRAY__), __WEBPACK_AMD_DEFINE_RESULT__ !== undefined && (module.exports = __WEBPACK_AMD_DEFINE_RESULT__));
+
+/***/ }),
+/* 8 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	var __WEBPACK_AMD_DEFINE_RESULT__;!(__WEBPACK_AMD_DEFINE_RESULT__ = function(require, exports, module) {
+	'use strict';
+
+	  /*
+	   * Generate title string from object's fields. 
+	   * @param obj - object.
+	   * 
+	   * For example if your obj is { a: '1', b: '2' } this 
+	   * method will generate P
+	   */ 
+	  exports.generateString = function(obj) {
+	    var title = '';
+
+	    if (obj) {  
+	      for (var field in obj) {
+	        if (obj.hasOwnProperty(field) && field.indexOf('_') !== 0) {
+	          if (title !== '') {
+	            title += ', ';
+	          }
+	          title += field + ': ' + obj[field];
+	        }
+	      }
+	    } 
+
+	    return title;
+	  };
+
+	  /*
+	  * Order shape points by shape_pt_sequence.
+	  */
+	  var compareSequence = function(a, b) {
+	    return a.sequence - b.sequence;
+	  };
+
+	  /*
+	  * Gets shape point without its sequence.
+	  */
+	  var toLatLon = function(point) {
+	    return { lat: point.lat, lon: point.lon };
+	  };
+
+	  /*
+	  * Collect reference shapes of routes from search results, for example GTFS shapes.txt
+	  * appended to results with `| append [| inputlookup gtfs_shapes]`.
+	  * @param results - array of result objects, only results with `shape_id`, `shape_pt_lat`,
+	  *                  `shape_pt_lon` and `shape_pt_sequence` fields are used.
+	  * @return - { [shape_id]: [{ lat, lon }, ...] }, points are ordered by shape_pt_sequence.
+	  */
+	  exports.toShapes = function(results) {
+	    var shapes = {};
+
+	    for (var rIndex = 0; rIndex < results.length; rIndex++) {
+	      var result = results[rIndex];
+	      var point = {
+	        sequence: parseFloat(result.shape_pt_sequence),
+	        lat: parseFloat(result.shape_pt_lat),
+	        lon: parseFloat(result.shape_pt_lon)
+	      };
+
+	      if (result.shape_id === undefined || isNaN(point.sequence) || isNaN(point.lat) || isNaN(point.lon)) {
+	        continue;
+	      }
+
+	      if (!shapes.hasOwnProperty(result.shape_id)) {
+	        shapes[result.shape_id] = [];
+	      }
+	      shapes[result.shape_id].push(point);
+	    }
+
+	    for (var id in shapes) {
+	      if (shapes.hasOwnProperty(id)) {
+	        shapes[id] = shapes[id].sort(compareSequence).map(toLatLon);
+	      }
+	    }
+
+	    return shapes;
+	  };
+
+	  /*
+	  * Convert search results prepared by `routenormalize` command to data points.
+	  * @param results - array of result objects with `point__ts__`, `point__lat__`,
+	  *                  `point__lon__` and `group__*` fields.
+	  * @return - array of { obj: [group fields], point: { ts, lat, lon, raw: [other fields] } }.
+	  *
+	  * Rows tagged by routenormalize (invalid=tag) or without numeric values can't be shown on map, 
+	  * they are skipped.
+	  */
+	  exports.toDataPoints = function(results) {
+	    var dataPoints = [];
+
+	    for (var rIndex = 0; rIndex < results.length; rIndex++) {
+	      var result = results[rIndex];
+
+	      if (result.point__error__) {
+	        continue;
+	      }
+
+	      var point = { 
+	        ts: parseFloat(result.point__ts__), 
+	        lat: parseFloat(result.point__lat__), 
+	        lon: parseFloat(result.point__lon__)
+	      };
+	      delete result.point__ts__;
+	      delete result.point__lat__;
+	      delete result.point__lon__;
+
+	      if (isNaN(point.ts) || isNaN(point.lat) || isNaN(point.lon)) {
+	        continue;
+	      }
+
+	      var obj = {};
+
+	      for (var key in result) {
+	        if (result.hasOwnProperty(key) && key.indexOf('group__') === 0) {
+	          obj[key.substring('group__'.length)] = result[key];
+	          delete result[key];
+	        }
+	      }
+
+	      point.raw = result;
+
+	      dataPoints.push({
+	        obj: obj, 
+	        point: point
+	      });
+	    }
+
+	    return dataPoints;
+	  };
+
+	}.call(exports, __webpack_require__, exports, module), __WEBPACK_AMD_DEFINE_RESULT__ !== undefined && (module.exports = __WEBPACK_AMD_DEFINE_RESULT__));
+
+/***/ }),
+/* 9 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	var __WEBPACK_AMD_DEFINE_RESULT__;!(__WEBPACK_AMD_DEFINE_RESULT__ = function(require, exports, module) {
+	'use strict';
+
+	  // Mean radius of the Earth in meters.
+	  var earthRadius = 6371000;
+
+	  // Longest segment (in degrees of arc) of geodesic polyline, longer segments are split.
+	  var maxSegment = 1;
+
+	  var toRadians = function(degrees) {
+	    return degrees * Math.PI / 180;
+	  };
+
+	  var toDegrees = function(radians) {
+	    return radians * 180 / Math.PI;
+	  };
+
+	  /*
+	  * Normalize longitude to [-180, 180).
+	  */
+	  var normalizeLon = function(lon) {
+	    return ((lon + 180) % 360 + 360) % 360 - 180;
+	  };
+
+	  exports.normalizeLon = normalizeLon;
+
+	  /*
+	  * Gets longitude equal to `lon` which is the closest to `reference`, so objects crossing
+	  * the antimeridian do not go the wrong way round the globe (result can be out of [-180, 180)).
+	  */
+	  var unwrapLon = function(lon, reference) {
+	    return reference + normalizeLon(lon - reference);
+	  };
+
+	  exports.unwrapLon = unwrapLon;
+
+	  /*
+	  * Interpolation of latitude and longitude in degrees, which is how map has always moved objects.
+	  * Every method works with points { lat, lon } and returns { lat, lon }.
+	  */
+	  exports.linear = {
+
+	    /*
+	    * Gets point between `from` (fraction is 0) and `to` (fraction is 1),
+	    * fraction greater than 1 extrapolates the line.
+	    */
+	    interpolate: function(from, to, fraction) {
+	      return {
+	        lat: from.lat + (to.lat - from.lat) * fraction,
+	        lon: from.lon + (to.lon - from.lon) * fraction
+	      };
+	    },
+
+	    /*
+	    * Gets point `distance` meters away from `from` in direction `bearing` (degrees clockwise from north).
+	    */
+	    destination: function(from, bearing, distance) {
+	      var metersPerDegree = toRadians(earthRadius);
+	      return {
+	        lat: from.lat + distance * Math.cos(toRadians(bearing)) / metersPerDegree,
+	        lon: from.lon + distance * Math.sin(toRadians(bearing)) / (metersPerDegree * Math.cos(toRadians(from.lat)))
+	      };
+	    }
+	  };
+
+	  /*
+	  * Interpolation along great circles (the shortest way on the globe), it works for long gaps
+	  * between points, near the poles and across the antimeridian. Longitude of result is unwrapped
+	  * relative to `from`, see unwrapLon.
+	  */
+	  exports.geodesic = {
+
+	    interpolate: function(from, to, fraction) {
+	      var lat1 = toRadians(from.lat), lon1 = toRadians(from.lon);
+	      var lat2 = toRadians(to.lat), lon2 = toRadians(to.lon);
+
+	      // Unit vectors of points
+	      var x1 = Math.cos(lat1) * Math.cos(lon1), y1 = Math.cos(lat1) * Math.sin(lon1), z1 = Math.sin(lat1);
+	      var x2 = Math.cos(lat2) * Math.cos(lon2), y2 = Math.cos(lat2) * Math.sin(lon2), z2 = Math.sin(lat2);
+
+	      // Angle between points
+	      var cx = y1 * z2 - z1 * y2, cy = z1 * x2 - x1 * z2, cz = x1 * y2 - y1 * x2;
+	      var angle = Math.atan2(Math.sqrt(cx * cx + cy * cy + cz * cz), x1 * x2 + y1 * y2 + z1 * z2);
+
+	      if (angle < 1e-9) {
+	        // Points are too close for great circle, but still should not go round the globe
+	        return exports.linear.interpolate(from, { lat: to.lat, lon: unwrapLon(to.lon, from.lon) }, fraction);
+	      }
+
+	      var a = Math.sin((1 - fraction) * angle) / Math.sin(angle);
+	      var b = Math.sin(fraction * angle) / Math.sin(angle);
+	      var x = a * x1 + b * x2, y = a * y1 + b * y2, z = a * z1 + b * z2;
+
+	      return {
+	        lat: toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))),
+	        lon: unwrapLon(toDegrees(Math.atan2(y, x)), from.lon)
+	      };
+	    },
+
+	    destination: function(from, bearing, distance) {
+	      var lat1 = toRadians(from.lat), lon1 = toRadians(from.lon);
+	      var theta = toRadians(bearing);
+	      var delta = distance / earthRadius;
+
+	      var lat2 = Math.asin(Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(theta));
+	      var lon2 = lon1 + Math.atan2(Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+	                                   Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2));
+
+	      return { lat: toDegrees(lat2), lon: unwrapLon(toDegrees(lon2), from.lon) };
+	    },
+
+	    /*
+	    * Gets path of polyline through points as array of [lat, lon]. Long segments are split to follow
+	    * great circles, longitudes are unwrapped relative to the previous point, so map draws segments
+	    * crossing the antimeridian the short way.
+	    */
+	    path: function(points) {
+	      var path = [];
+	      var previous = null;
+	      for (var i = 0; i < points.length; i++) {
+	        var point = { lat: points[i].lat, lon: previous ? unwrapLon(points[i].lon, previous.lon) : points[i].lon };
+	        if (previous) {
+	          var segments = Math.ceil(Math.max(Math.abs(point.lat - previous.lat), Math.abs(point.lon - previous.lon)) / maxSegment);
+	          for (var s = 1; s < segments; s++) {
+	            var middle = exports.geodesic.interpolate(previous, point, s / segments);
+	            path.push([middle.lat, middle.lon]);
+	          }
+	        }
+	        path.push([point.lat, point.lon]);
+	        previous = point;
+	      }
+	      return path;
+	    }
+	  };
+	}.call(exports, __webpack_require__, exports, module), __WEBPACK_AMD_DEFINE_RESULT__ !== undefined && (module.exports = __WEBPACK_AMD_DEFINE_RESULT__));
+
+
+/***/ }),
+/* 10 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	var __WEBPACK_AMD_DEFINE_ARRAY__, __WEBPACK_AMD_DEFINE_RESULT__;!(__WEBPACK_AMD_DEFINE_ARRAY__ = [__webpack_require__(2)], __WEBPACK_AMD_DEFINE_RESULT__ = function(_) {
+	  'use strict';
+
+	  // Meters in one degree of latitude.
+	  var metersPerDegree = 6371000 * Math.PI / 180;
+
+	  /*
+	  * Gets vector from `from` to `to` in meters { x (east), y (north) }, good enough for distances in a city.
+	  */
+	  var toMeters = function(from, to) {
+	    return {
+	      x: (to.lon - from.lon) * metersPerDegree * Math.cos((from.lat + to.lat) / 2 * Math.PI / 180),
+	      y: (to.lat - from.lat) * metersPerDegree
+	    };
+	  };
+
+	  /*
+	  * Reference shape of route (for example from GTFS shapes.txt), objects follow it between their points.
+	  * @param points - array of { lat, lon } in order of the shape.
+	  *
+	  * Positions on the shape are distances in meters from the first point of the shape.
+	  */
+	  var Shape = function(points) {
+	    this.points = points;
+	    // Distance from the first point to each point of the shape
+	    this.distances = [0];
+	    for (var i = 1; i < points.length; i++) {
+	      var v = toMeters(points[i - 1], points[i]);
+	      this.distances.push(this.distances[i - 1] + Math.sqrt(v.x * v.x + v.y * v.y));
+	    }
+	  };
+
+	  /*
+	  * Project point on the closest segment of the shape.
+	  * @return - { distance: [position on the shape], offset: [meters between point and the shape] }.
+	  */
+	  Shape.prototype.project = function(point) {
+	    var result = { distance: 0, offset: Infinity };
+
+	    for (var i = 0; i < this.points.length; i++) {
+	      var p = toMeters(this.points[i], point);
+	      var fraction = 0;
+	      var segmentLength = i + 1 < this.points.length ? this.distances[i + 1] - this.distances[i] : 0;
+	      if (segmentLength > 0) {
+	        var segment = toMeters(this.points[i], this.points[i + 1]);
+	        fraction = Math.min(Math.max((p.x * segment.x + p.y * segment.y) / (segmentLength * segmentLength), 0), 1);
+	        p.x -= segment.x * fraction;
+	        p.y -= segment.y * fraction;
+	      }
+
+	      var offset = Math.sqrt(p.x * p.x + p.y * p.y);
+	      if (offset < result.offset) {
+	        result = { distance: this.distances[i] + segmentLength * fraction, offset: offset };
+	      }
+	    }
+
+	    return result;
+	  };
+
+	  /*
+	  * Gets index of the first point of the shape which is farther than `distance`.
+	  */
+	  Shape.prototype.pointIndex = function(distance) {
+	    return _.sortedIndex(this.distances, distance + 1e-9);
+	  };
+
+	  /*
+	  * Gets position { lat, lon } on the shape.
+	  */
+	  Shape.prototype.positionAt = function(distance) {
+	    var index = this.pointIndex(distance);
+	    if (index === 0) {
+	      return _.clone(_.first(this.points));
+	    }
+	    if (index === this.points.length) {
+	      return _.clone(_.last(this.points));
+	    }
+
+	    var from = this.points[index - 1], to = this.points[index];
+	    var p = (distance - this.distances[index - 1]) / (this.distances[index] - this.distances[index - 1]);
+	    return {
+	      lat: from.lat + (to.lat - from.lat) * p,
+	      lon: from.lon + (to.lon - from.lon) * p
+	    };
+	  };
+
+	  /*
+	  * Gets points of the shape between two positions (in order from `fromDistance` to `toDistance`,
+	  * which can be less than `fromDistance`), positions themselves are not included.
+	  */
+	  Shape.prototype.between = function(fromDistance, toDistance) {
+	    var start = Math.min(fromDistance, toDistance), end = Math.max(fromDistance, toDistance);
+	    var points = this.points.slice(this.pointIndex(start), this.pointIndex(end - 2e-9));
+	    return fromDistance <= toDistance ? points : points.reverse();
+	  };
+
+	  /*
+	  * Gets straight distance in meters between two points { lat, lon }.
+	  */
+	  Shape.distance = function(from, to) {
+	    var v = toMeters(from, to);
+	    return Math.sqrt(v.x * v.x + v.y * v.y);
+	  };
+
+	  return Shape;
+	}.apply(exports, __WEBPACK_AMD_DEFINE_ARRAY__), __WEBPACK_AMD_DEFINE_RESULT__ !== undefined && (module.exports = __WEBPACK_AMD_DEFINE_RESULT__));
+
+
+/***/ }),
+/* 11 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	var __WEBPACK_AMD_DEFINE_ARRAY__, __WEBPACK_AMD_DEFINE_RESULT__;!(__WEBPACK_AMD_DEFINE_ARRAY__ = [__webpack_require__(12), __webpack_require__(15)], __WEBPACK_AMD_DEFINE_RESULT__ = function(OpenStreetMap, GoogleMap) {
+	  'use strict';
+
+	  /*
+	  * Create map in element with id `div`.
+	  * @param type - googlemap or openstreetmap.
+	  * @param options - { tileUrl: [url template of tiles, only for openstreetmap] }.
+	  */
+	  return function(div, type, options) {
+	    if (type === 'googlemap') {
+	      return new GoogleMap(div);
+	    } else if (type === 'openstreetmap') {
+	      return new OpenStreetMap(div, options);
+	    } else {
+	      throw new Error('Unsupported type');
+	    }
+	  };
+	}.apply(exports, __WEBPACK_AMD_DEFINE_ARRAY__), __WEBPACK_AMD_DEFINE_RESULT__ !== undefined && (module.exports = __WEBPACK_AMD_DEFINE_RESULT__));
+
+/***/ }),
+/* 12 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	var __WEBPACK_AMD_DEFINE_ARRAY__, __WEBPACK_AMD_DEFINE_RESULT__;!(__WEBPACK_AMD_DEFINE_ARRAY__ = [__webpack_require__(1), __webpack_require__(2), __webpack_require__(13), __webpack_require__(9), __webpack_require__(14)], __WEBPACK_AMD_DEFINE_RESULT__ = function($, _, L, geo) {
+	  'use strict';
+
+	  /* 
+	   * ---------------------------
+	   * Open Street Maps
+	   * ---------------------------
+	   */
+
+	  var defaultTileUrl = 'http://{s}.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png';
+
+	  /*
+	  * @param div - id of map element.
+	  * @param options - { tileUrl: [url template of tiles, default is Humanitarian OpenStreetMap tiles] }.
+	  */
+	  var OpenStreetMap = function(div, options) {
+	    var tileUrl = (options && options.tileUrl) || defaultTileUrl;
+	    this.map = L.map(div).setView([0, 0], 2);
+	    this.tiles = L.tileLayer(tileUrl, {
+	        attribution: tileUrl === defaultTileUrl ?
+	          '&copy; <a href="http://openstreetmap.org">OpenStreetMap</a> contributors, <a href="http://creativecommons.org/licenses/by-sa/2.0/">CC-BY-SA</a>, Tiles courtesy of <a href="http://hot.openstreetmap.org/" target="_blank">Humanitarian OpenStreetMap Team</a>' :
+	          '&copy; <a href="http://openstreetmap.org">OpenStreetMap</a> contributors'
+	    }).addTo(this.map);
+	  };
+
+	  OpenStreetMap.prototype.autozoom = function(collection) {
+	    var bounds = null;
+
+	    collection.each(function(model) {
+	      if (model.showObject() || model.showRoute()) {
+	        var points = model.getPoints();
+	        _.each(points, function(point) {
+	          if (bounds) {
+	            bounds.extend(L.latLng(point.lat, point.lon));
+	          } else {
+	            bounds = L.latLngBounds(L.latLng(point.lat, point.lon), L.latLng(point.lat, point.lon));
+	          }
+	        });
+	      }
+	    });
+
+	    if (bounds) {
+	      this.map.fitBounds(bounds);
+	    }
+	  };
+
+	  /*
+	  * Size of map element has been changed.
+	  */
+	  OpenStreetMap.prototype.resize = function() {
+	    this.map.invalidateSize();
+	  };
+
+	  OpenStreetMap.prototype.addMarker = function(data) {
+	    return new OpenStreetMapMarker(this, data);
+	  };
+
+	  OpenStreetMap.prototype.addPolyline = function(data) {
+	    return new OpenStreetMapPolyline(this, data);
+	  };
+
+	  var OpenStreetMapMarker = function(map, data) {
+	    this.map = map;
+	    this.marker = L.circleMarker(L.latLng(data.lat, data.lon), 
+	      {
+	        color: data.color,
+	        label: data.title,
+	        radius: 4
+	      }).bindLabel(data.title);
+	    if (data.click) {
+	      this.marker.on('click', data.click);
+	    }
+	    this.isExtrapolated = false;
+	    this.extrapolated(data.extrapolated || false);
+	    this.marker.addTo(this.map.map);
+	  };
+
+	  OpenStreetMapMarker.prototype.move = function(lat, lon) {
+	    this.marker.setLatLng(L.latLng(lat, lon));
+	  };
+
+	  /*
+	  * Extrapolated position is drawn with dashed hollow circle.
+	  */
+	  OpenStreetMapMarker.prototype.extrapolated = function(value) {
+	    if (this.isExtrapolated !== value) {
+	      this.isExtrapolated = value;
+	      this.marker.setStyle(value ? { dashArray: '2, 3', fillOpacity: 0 } : { dashArray: null, fillOpacity: 0.2 });
+	    }
+	  };
+
+	  OpenStreetMapMarker.prototype.remove = function() {
+	    this.map.map.removeLayer(this.marker);
+	  };
+
+	  OpenStreetMapMarker.prototype.highlight = function() {
+	    // Highlight object
+	    var animation = {step: 0};
+	    $(animation).animate(
+	        { step: 1 },
+	        {
+	          duration: 1000,
+	          easing: 'linear',
+	          start: function() {
+	            this.marker.setRadius(4);
+	          }.bind(this),
+	          progress: function() {
+	            var step = (animation.step - Math.floor(animation.step));
+	            if (step === 1 || step === 5) {
+	              step *= 0.4;
+	            } else {
+	              step *= 0.8;
+	            }
+	            if (step % 2 !== 0) {
+	              step = 1 - step;
+	            }
+	            this.marker.setRadius(4 + (30 * step));
+	          }.bind(this),
+	          complete: function() {
+	            this.marker.setRadius(4);
+	          }.bind(this)
+	        });
+	  };
+
+	  var OpenStreetMapPolyline = function(map, data) {
+	    this.map = map;
+	    // Geodesic polyline keeps points and draws great circles between them, see geo.geodesic.path.
+	    // Every change of points rebuilds the whole path, so MapObject redraws such routes with setPath once per batch
+	    this.points = data.geodesic ? _.map(data.path, function(p) { return { lat: p[0], lon: p[1] }; }) : null;
+	    this.polyline = L.polyline(this.points ? geo.geodesic.path(this.points) : data.path, {
+	      color: data.color,
+	      opacity: 0.6,
+	      weight: 3
+	    });
+	    if (data.click) {
+	      this.polyline.on('click', data.click);
+	    }
+	    this.polyline.addTo(this.map.map);
+	  };
+
+	  OpenStreetMapPolyline.prototype.remove = function() {
+	    this.map.map.removeLayer(this.polyline);
+	  };
+
+	  OpenStreetMapPolyline.prototype.removePoint = function(index) {
+	    this.removePoints(index, 1);
+	  };
+
+	  OpenStreetMapPolyline.prototype.removePoints = function(index, count) {
+	    if (this.points) {
+	      this.points.splice(index, count);
+	      this.polyline.setLatLngs(geo.geodesic.path(this.points));
+	    } else {
+	      this.polyline.spliceLatLngs(index, count);
+	    }
+	  };
+
+	  OpenStreetMapPolyline.prototype.setPath = function(path) {
+	    if (this.points) {
+	      this.points = _.map(path, function(p) { return { lat: p[0], lon: p[1] }; });
+	      this.polyline.setLatLngs(geo.geodesic.path(this.points));
+	    } else {
+	      this.polyline.setLatLngs(path);
+	    }
+	  };
+
+	  OpenStreetMapPolyline.prototype.addPoint = function(lat, lon) {
+	    if (this.points) {
+	      this.insertPoint(this.points.length, lat, lon);
+	    } else {
+	      this.polyline.addLatLng(L.latLng(lat, lon));
+	    }
+	  };
+
+	  OpenStreetMapPolyline.prototype.insertPoint = function(index, lat, lon) {
+	    if (this.points) {
+	      this.points.splice(index, 0, { lat: lat, lon: lon });
+	      this.polyline.setLatLngs(geo.geodesic.path(this.points));
+	    } else {
+	      this.polyline.spliceLatLngs(index, 0, L.latLng(lat, lon));
+	    }
+	  };
+
+	  OpenStreetMapPolyline.prototype.highlight = function() {
+	    // Highlight object
+	      var animation = {step: 0};
+	      $(animation).animate(
+	          { step: 2 },
+	          {
+	            duration: 1000,
+	            easing: 'linear',
+	            start: function() {
+	              this.polyline.setStyle({ opacity: 0.6 });
+	            }.bind(this),
+	            progress: function() {
+	              if (this.polyline) {
+	                var step = (animation.step - Math.floor(animation.step));
+	                if (step === 1 || step === 5) {
+	                  step *= 0.4;
+	                } else {
+	                  step *= 0.8;
+	                }
+	                if (step % 2 !== 0) {
+	                  step = 1 - step;
+	                }
+	                this.polyline.setStyle({opacity:step});
+	              }
+	            }.bind(this),
+	            complete: function() {
+	              this.polyline.setStyle({ opacity:0.6 });
+	            }.bind(this)
+	          });
+	  };
+
+	  OpenStreetMapPolyline.prototype.zoomTo = function() {
+	    this.map.map.fitBounds(this.polyline.getBounds());
+	  };
+
+	  return OpenStreetMap;
+	}.apply(exports, __WEBPACK_AMD_DEFINE_ARRAY__), __WEBPACK_AMD_DEFINE_RESULT__ !== undefined && (module.exports = __WEBPACK_AMD_DEFINE_RESULT__));
+
+/***/ }),
+/* 13 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	var __WEBPACK_AMD_DEFINE_FACTORY__, __WEBPACK_AMD_DEFINE_RESULT__;/*
+	 Leaflet, a JavaScript library for mobile-friendly interactive maps. http://leafletjs.com
+	 (c) 2010-2013, Vladimir Agafonkin
+	 (c) 2010-2011, CloudMade
+	*/
+	(function (window, document, undefined) {
+	var oldL = window.L,
+	    L = {};
+
+	L.version = '0.7.7';
+
+	// define Leaflet for Node module pattern loaders, including Browserify
+	if (typeof module === 'object' && typeof module.exports === 'object') {
+		module.exports = L;
+
+	// define Leaflet as an AMD module
+	} else if (true) {
+		!(__WEBPACK_AMD_DEFINE_FACTORY__ = (L), __WEBPACK_AMD_DEFINE_RESULT__ = (typeof __WEBPACK_AMD_DEFINE_FACTORY__ === 'function' ? (__WEBPACK_AMD_DEFINE_FACTORY__.call(exports, __webpack_require__, exports, module)) : __WEBPACK_AMD_DEFINE_FACTORY__), __WEBPACK_AMD_DEFINE_RESULT__ !== undefined && (module.exports = __WEBPACK_AMD_DEFINE_RESULT__));
+	}
+
+	// define Leaflet as a global L variable, saving the original L to restore later if needed
+
+	L.noConflict = function () {
+		window.L = oldL;
+		return this;
+	};
+
+	window.L = L;
+
+
+	/*
+	 * L.Util contains various utility functions used throughout Leaflet code.
+	 */
+
+	L.Util = {
+		extend: function (dest) { // (Object[, Object, ...]) ->
+			var sources = Array.prototype.slice.call(arguments, 1),
+			    i, j, len, src;
+
+			for (j = 0, len = sources.length; j < len; j++) {
+				src = sources[j] || {};
+				for (i in src) {
+					if (src.hasOwnProperty(i)) {
+						dest[i] = src[i];
+					}
+				}
+			}
+			return dest;
+		},
+
+		bind: function (fn, obj) { // (Function, Object) -> Function
+			var args = arguments.length > 2 ? Array.prototype.slice.call(arguments, 2) : null;
+			return function () {
+				return fn.apply(obj, args || arguments);
+			};
+		},
+
+		stamp: (function () {
+			var lastId = 0,
+			    key = '_leaflet_id';
+			return function (obj) {
+				obj[key] = obj[key] || ++lastId;
+				return obj[key];
+			};
+		}()),
+
+		invokeEach: function (obj, method, context) {
+			var i, args;
+
+			if (typeof obj === 'object') {
+				args = Array.prototype.slice.call(arguments, 3);
+
+				for (i in obj) {
+					method.apply(context, [i, obj[i]].concat(args));
+				}
+				return true;
+			}
+
+			return false;
+		},
+
+		limitExecByInterval: function (fn, time, context) {
+			var lock, execOnUnlock;
+
+			return function wrapperFn() {
+				var args = arguments;
+
+				if (lock) {
+					execOnUnlock = true;
+					return;
+				}
+
+				lock = true;
+
+				setTimeout(function () {
+					lock = false;
+
+					if (execOnUnlock) {
+						wrapperFn.apply(context, args);
+						execOnUnlock = false;
+					}
+				}, time);
+
+				fn.apply(context, args);
+			};
+		},
+
+		falseFn: function () {
+			return false;
+		},
+
+		formatNum: function (num, digits) {
+			var pow = Math.pow(10, digits || 5);
+			return Math.round(num * pow) / pow;
+		},
+
+		trim: function (str) {
+			return str.trim ? str.trim() : str.replace(/^\s+|\s+$/g, '');
+		},
+
+		splitWords: function (str) {
+			return L.Util.trim(str).split(/\s+/);
+		},
+
+		setOptions: function (obj, options) {
+			obj.options = L.extend({}, obj.options, options);
+			return obj.options;
+		},
+
+		getParamString: function (obj, existingUrl, uppercase) {
+			var params = [];
+			for (var i in obj) {
+				params.push(encodeURIComponent(uppercase ? i.toUpperCase() : i) + '=' + encodeURIComponent(obj[i]));
+			}
+			return ((!existingUrl || existingUrl.indexOf('?') === -1) ? '?' : '&') + params.join('&');
+		},
+		template: function (str, data) {
+			return str.replace(/\{ *([\w_]+) *\}/g, function (str, key) {
+				var value = data[key];
+				if (value === undefined) {
+					throw new Error('No value provided for variable ' + str);
+				} else if (typeof value === 'function') {
+					value = value(data);
+				}
+				return value;
+			});
+		},
+
+		isArray: Array.isArray || function (obj) {
+			return (Object.prototype.toString.call(obj) === '[object Array]');
+		},
+
+		emptyImageUrl: 'data:image/gif;base64,R0lGODlhAQABAAD/ACwAAAAAAQABAAACADs='
+	};
+
+	(function () {
+
+		// inspired by http://paulirish.com/2011/requestanimationframe-for-smart-animating/
+
+		function getPrefixed(name) {
+			var i, fn,
+			    prefixes = ['webkit', 'moz', 'o', 'ms'];
+
+			for (i = 0; i < prefixes.length && !fn; i++) {
+				fn = window[prefixes[i] + name];
+			}
+
+			return fn;
+		}
+
+		var lastTime = 0;
+
+		function timeoutDefer(fn) {
+			var time = +new Date(),
+			    timeToCall = Math.max(0, 16 - (time - lastTime));
+
+			lastTime = time + timeToCall;
+			return window.setTimeout(fn, timeToCall);
+		}
+
+		var requestFn = window.requestAnimationFrame ||
+		        getPrefixed('RequestAnimationFrame') || timeoutDefer;
+
+		var cancelFn = window.cancelAnimationFrame ||
+		        getPrefixed('CancelAnimationFrame') ||
+		        getPrefixed('CancelRequestAnimationFrame') ||
+		        function (id) { window.clearTimeout(id); };
+
+
+		L.Util.requestAnimFrame = function (fn, context, immediate, element) {
+			fn = L.bind(fn, context);
+
+			if (immediate && requestFn === timeoutDefer) {
+				fn();
+			} else {
+				return requestFn.call(window, fn, element);
+			}
+		};
+
+		L.Util.cancelAnimFrame = function (id) {
+			if (id) {
+				cancelFn.call(window, id);
+			}
+		};
+
+	}());
+
+	// shortcuts for most used utility functions
+	L.extend = L.Util.extend;
+	L.bind = L.Util.bind;
+	L.stamp = L.Util.stamp;
+	L.setOptions = L.Util.setOptions;
+
+
+	/*
+	 * L.Class powers the OOP facilities of the library.
+	 * Thanks to John Resig and Dean Edwards for inspiration!
+	 */
+
+	L.Class = function () {};
+
+	L.Class.extend = function (props) {
+
+		// extended class with the new prototype
+		var NewClass = function () {
+
+			// call the constructor
+			if (this.initialize) {
+				this.initialize.apply(this, arguments);
+			}
+
+			// call all constructor hooks
+			if (this._initHooks) {
+				this.callInitHooks();
+			}
+		};
+
+		// instantiate class without calling constructor
+		var F = function () {};
+		F.prototype = this.prototype;
+
+		var proto = new F();
+		proto.constructor = NewClass;
+
+		NewClass.prototype = proto;
+
+		//inherit parent's statics
+		for (var i in this) {
+			if (this.hasOwnProperty(i) && i !== 'prototype') {
+				NewClass[i] = this[i];
+			}
+		}
+
+		// mix static properties into the class
+		if (props.statics) {
+			L.extend(NewClass, props.statics);
+			delete props.statics;
+		}
+
+		// mix includes into the prototype
+		if (props.includes) {
+			L.Util.extend.apply(null, [proto].concat(props.includes));
+			delete props.includes;
+		}
+
+		// merge options
+		if (props.options && proto.options) {
+			props.options = L.extend({}, proto.options, props.options);
+		}
+
+		// mix given properties into the prototype
+		L.extend(proto, props);
+
+		proto._initHooks = [];
+
+		var parent = this;
+		// jshint camelcase: false
+		NewClass.__super__ = parent.prototype;
+
+		// add method for calling all hooks
+		proto.callInitHooks = function () {
+
+			if (this._initHooksCalled) { return; }
+
+			if (parent.prototype.callInitHooks) {
+				parent.prototype.callInitHooks.call(this);
+			}
+
+			this._initHooksCalled = true;
+
+			for (var i = 0, len = proto._initHooks.length; i < len; i++) {
+				proto._initHooks[i].call(this);
+			}
+		};
+
+		return NewClass;
+	};
+
+
+	// method for adding properties to prototype
+	L.Class.include = function (props) {
+		L.extend(this.prototype, props);
+	};
+
+	// merge new default options to the Class
+	L.Class.mergeOptions = function (options) {
+		L.extend(this.prototype.options, options);
+	};
+
+	// add a constructor hook
+	L.Class.addInitHook = function (fn) { // (Function) || (String, args...)
+		var args = Array.prototype.slice.call(arguments, 1);
+
+		var init = typeof fn === 'function' ? fn : function () {
+			this[fn].apply(this, args);
+		};
+
+		this.prototype._initHooks = this.prototype._initHooks || [];
+		this.prototype._initHooks.push(init);
+	};
+
+
+	/*
+	 * L.Mixin.Events is used to add custom events functionality to Leaflet classes.
+	 */
+
+	var eventsKey = '_leaflet_events';
+
+	L.Mixin = {};
+
+	L.Mixin.Events = {
+
+		addEventListener: function (types, fn, context) { // (String, Function[, Object]) or (Object[, Object])
+
+			// types can be a map of types/handlers
+			if (L.Util.invokeEach(types, this.addEventListener, this, fn, context)) { return this; }
+
+			var events = this[eventsKey] = this[eventsKey] || {},
+			    contextId = context && context !== this && L.stamp(context),
+			    i, len, event, type, indexKey, indexLenKey, typeIndex;
+
+			// types can be a string of space-separated words
+			types = L.Util.splitWords(types);
+
+			for (i = 0, len = types.length; i < len; i++) {
+				event = {
+					action: fn,
+					context: context || this
+				};
+				type = types[i];
+
+				if (contextId) {
+					// store listeners of a particular context in a separate hash (if it has an id)
+					// gives a major performance boost when removing thousands of map layers
+
+					indexKey = type + '_idx';
+					indexLenKey = indexKey + '_len';
+
+					typeIndex = events[indexKey] = events[indexKey] || {};
+
+					if (!typeIndex[contextId]) {
+						typeIndex[contextId] = [];
+
+						// keep track of the number of keys in the index to quickly check if it's empty
+						events[indexLenKey] = (events[indexLenKey] || 0) + 1;
+					}
+
+					typeIndex[contextId].push(event);
+
+
+				} else {
+					events[type] = events[type] || [];
+					events[type].push(event);
+				}
+			}
+
+			return this;
+		},
+
+		hasEventListeners: function (type) { // (String) -> Boolean
+			var events = this[eventsKey];
+			return !!events && ((type in events && events[type].length > 0) ||
+			                    (type + '_idx' in events && events[type + '_idx_len'] > 0));
+		},
+
+		removeEventListener: function (types, fn, context) { // ([String, Function, Object]) or (Object[, Object])
+
+			if (!this[eventsKey]) {
+				return this;
+			}
+
+			if (!types) {
+				return this.clearAllEventListeners();
+			}
+
+			if (L.Util.invokeEach(types, this.removeEventListener, this, fn, context)) { return this; }
+
+			var events = this[eventsKey],
+			    contextId = context && context !== this && L.stamp(context),
+			    i, len, type, listeners, j, indexKey, indexLenKey, typeIndex, removed;
+
+			types = L.Util.splitWords(types);
+
+			for (i = 0, len = types.length; i < len; i++) {
+				type = types[i];
+				indexKey = type + '_idx';
+				indexLenKey = indexKey + '_len';
+
+				typeIndex = events[indexKey];
+
+				if (!fn) {
+					// clear all listeners for a type if function isn't specified
+					delete events[type];
+					delete events[indexKey];
+					delete events[indexLenKey];
+
+				} else {
+					listeners = contextId && typeIndex ? typeIndex[contextId] : events[type];
+
+					if (listeners) {
+						for (j = listeners.length - 1; j >= 0; j--) {
+							if ((listeners[j].action === fn) && (!context || (listeners[j].context === context))) {
+								removed = listeners.splice(j, 1);
+								// set the old action to a no-op, because it is possible
+								// that the listener is being iterated over as part of a dispatch
+								removed[0].action = L.Util.falseFn;
+							}
+						}
+
+						if (context && typeIndex && (listeners.length === 0)) {
+							delete typeIndex[contextId];
+							events[indexLenKey]--;
+						}
+					}
+				}
+			}
+
+			return this;
+		},
+
+		clearAllEventListeners: function () {
+			delete this[eventsKey];
+			return this;
+		},
+
+		fireEvent: function (type, data) { // (String[, Object])
+			if (!this.hasEventListeners(type)) {
+				return this;
+			}
+
+			var event = L.Util.extend({}, data, { type: type, target: this });
+
+			var events = this[eventsKey],
+			    listeners, i, len, typeIndex, contextId;
+
+			if (events[type]) {
+				// make sure adding/removing listeners inside other listeners won't cause infinite loop
+				listeners = events[type].slice();
+
+				for (i = 0, len = listeners.length; i < len; i++) {
+					listeners[i].action.call(listeners[i].context, event);
+				}
+			}
+
+			// fire event for the context-indexed listeners as well
+			typeIndex = events[type + '_idx'];
+
+			for (contextId in typeIndex) {
+				listeners = typeIndex[contextId].slice();
+
+				if (listeners) {
+					for (i = 0, len = listeners.length; i < len; i++) {
+						listeners[i].action.call(listeners[i].context, event);
+					}
+				}
+			}
+
+			return this;
+		},
+
+		addOneTimeEventListener: function (types, fn, context) {
+
+			if (L.Util.invokeEach(types, this.addOneTimeEventListener, this, fn, context)) { return this; }
+
+			var handler = L.bind(function () {
+				this
+				    .removeEventListener(types, fn, context)
+				    .removeEventListener(types, handler, context);
+			}, this);
+
+			return this
+			    .addEventListener(types, fn, context)
+			    .addEventListener(types, handler, context);
+		}
+	};
+
+	L.Mixin.Events.on = L.Mixin.Events.addEventListener;
+	L.Mixin.Events.off = L.Mixin.Events.removeEventListener;
+	L.Mixin.Events.once = L.Mixin.Events.addOneTimeEventListener;
+	L.Mixin.Events.fire = L.Mixin.Events.fireEvent;
+
+
+	/*
+	 * L.Browser handles different browser and feature detections for internal Leaflet use.
+	 */
+
+	(function () {
+
+		var ie = 'ActiveXObject' in window,
+			ielt9 = ie && !document.addEventListener,
+
+		    // terrible browser detection to work around Safari / iOS / Android browser bugs
+		    ua = navigator.userAgent.toLowerCase(),
+		    webkit = ua.indexOf('webkit') !== -1,
+		    chrome = ua.indexOf('chrome') !== -1,
+		    phantomjs = ua.indexOf('phantom') !== -1,
+		    android = ua.indexOf('android') !== -1,
+		    android23 = ua.search('android [23]') !== -1,
+			gecko = ua.indexOf('gecko') !== -1,
+
+		    mobile = typeof orientation !== undefined + '',
+		    msPointer = !window.PointerEvent && window.MSPointerEvent,
+			pointer = (window.PointerEvent && window.navigator.pointerEnabled) ||
+					  msPointer,
+		    retina = ('devicePixelRatio' in window && window.devicePixelRatio > 1) ||
+		             ('matchMedia' in window && window.matchMedia('(min-resolution:144dpi)') &&
+		              window.matchMedia('(min-resolution:144dpi)').matches),
+
+		    doc = document.documentElement,
+		    ie3d = ie && ('transition' in doc.style),
+		    webkit3d = ('WebKitCSSMatrix' in window) && ('m11' in new window.WebKitCSSMatrix()) && !android23,
+		    gecko3d = 'MozPerspective' in doc.style,
+		    opera3d = 'OTransition' in doc.style,
+		    any3d = !window.L_DISABLE_3D && (ie3d || webkit3d || gecko3d || opera3d) && !phantomjs;
+
+		var touch = !window.L_NO_TOUCH && !phantomjs && (pointer || 'ontouchstart' in window ||
+			(window.DocumentTouch && document instanceof window.DocumentTouch));
+
+		L.Browser = {
+			ie: ie,
+			ielt9: ielt9,
+			webkit: webkit,
+			gecko: gecko && !webkit && !window.opera && !ie,
+
+			android: android,
+			android23: android23,
+
+			chrome: chrome,
+
+			ie3d: ie3d,
+			webkit3d: webkit3d,
+			gecko3d: gecko3d,
+			opera3d: opera3d,
+			any3d: any3d,
+
+			mobile: mobile,
+			mobileWebkit: mobile && webkit,
+			mobileWebkit3d: mobile && webkit3d,
+			mobileOpera: mobile && window.opera,
+
+			touch: touch,
+			msPointer: msPointer,
+			pointer: pointer,
+
+			retina: retina
+		};
+
+	}());
+
+
+	/*
+	 * L.Point represents a point with x and y coordinates.
+	 */
+
+	L.Point = function (/*Number*/ x, /*Number*/ y, /*Boolean*/ round) {
+		this.x = (round ? Math.round(x) : x);
+		this.y = (round ? Math.round(y) : y);
+	};
+
+	L.Point.prototype = {
+
+		clone: function () {
+			return new L.Point(this.x, this.y);
+		},
+
+		// non-destructive, returns a new point
+		add: function (point) {
+			return this.clone()._add(L.point(point));
+		},
+
+		// destructive, used directly for performance in situations where it's safe to modify existing point
+		_add: function (point) {
+			this.x += point.x;
+			this.y += point.y;
+			return this;
+		},
+
+		subtract: function (point) {
+			return this.clone()._subtract(L.point(point));
+		},
+
+		_subtract: function (point) {
+			this.x -= point.x;
+			this.y -= point.y;
+			return this;
+		},
+
+		divideBy: function (num) {
+			return this.clone()._divideBy(num);
+		},
+
+		_divideBy: function (num) {
+			this.x /= num;
+			this.y /= num;
+			return this;
+		},
+
+		multiplyBy: function (num) {
+			return this.clone()._multiplyBy(num);
+		},
+
+		_multiplyBy: function (num) {
+			this.x *= num;
+			this.y *= num;
+			return this;
+		},
+
+		round: function () {
+			return this.clone()._round();
+		},
+
+		_round: function () {
+			this.x = Math.round(this.x);
+			this.y = Math.round(this.y);
+			return this;
+		},
+
+		floor: function () {
+			return this.clone()._floor();
+		},
+
+		_floor: function () {
+			this.x = Math.floor(this.x);
+			this.y = Math.floor(this.y);
+			return this;
+		},
+
+		distanceTo: function (point) {
+			point = L.point(point);
+
+			var x = point.x - this.x,
+			    y = point.y - this.y;
+
+			return Math.sqrt(x * x + y * y);
+		},
+
+		equals: function (point) {
+			point = L.point(point);
+
+			return point.x === this.x &&
+			       point.y === this.y;
+		},
+
+		contains: function (point) {
+			point = L.point(point);
+
+			return Math.abs(point.x) <= Math.abs(this.x) &&
+			       Math.abs(point.y) <= Math.abs(this.y);
+		},
+
+		toString: function () {
+			return 'Point(' +
+			        L.Util.formatNum(this.x) + ', ' +
+			        L.Util.formatNum(this.y) + ')';
+		}
+	};
+
+	L.point = function (x, y, round) {
+		if (x instanceof L.Point) {
+			return x;
+		}
+		if (L.Util.isArray(x)) {
+			return new L.Point(x[0], x[1]);
+		}
+		if (x === undefined || x === null) {
+			return x;
+		}
+		return new L.Point(x, y, round);
+	};
+
+
+	/*
+	 * L.Bounds represents a rectangular area on the screen in pixel coordinates.
+	 */
+
+	L.Bounds = function (a, b) { //(Point, Point) or Point[]
+		if (!a) { return; }
+
+		var points = b ? [a, b] : a;
+
+		for (var i = 0, len = points.length; i < len; i++) {
+			this.extend(points[i]);
+		}
+	};
+
+	L.Bounds.prototype = {
+		// extend the bounds to contain the given point
+		extend: function (point) { // (Point)
+			point = L.point(point);
+
+			if (!this.min && !this.max) {
+				this.min = point.clone();
+				this.max = point.clone();
+			} else {
+				this.min.x = Math.min(point.x, this.min.x);
+				this.max.x = Math.max(point.x, this.max.x);
+				this.min.y = Math.min(point.y, this.min.y);
+				this.max.y = Math.max(point.y, this.max.y);
+			}
+			return this;
+		},
+
+		getCenter: function (round) { // (Boolean) -> Point
+			return new L.Point(
+			        (this.min.x + this.max.x) / 2,
+			        (this.min.y + this.max.y) / 2, round);
+		},
+
+		getBottomLeft: function () { // -> Point
+			return new L.Point(this.min.x, this.max.y);
+		},
+
+		getTopRight: function () { // -> Point
+			return new L.Point(this.max.x, this.min.y);
+		},
+
+		getSize: function () {
+			return this.max.subtract(this.min);
+		},
+
+		contains: function (obj) { // (Bounds) or (Point) -> Boolean
+			var min, max;
+
+			if (typeof obj[0] === 'number' || obj instanceof L.Point) {
+				obj = L.point(obj);
+			} else {
+				obj = L.bounds(obj);
+			}
+
+			if (obj instanceof L.Bounds) {
+				min = obj.min;
+				max = obj.max;
+			} else {
+				min = max = obj;
+			}
+
+			return (min.x >= this.min.x) &&
+			       (max.x <= this.max.x) &&
+			       (min.y >= this.min.y) &&
+			       (max.y <= this.max.y);
+		},
+
+		intersects: function (bounds) { // (Bounds) -> Boolean
+			bounds = L.bounds(bounds);
+
+			var min = this.min,
+			    max = this.max,
+			    min2 = bounds.min,
+			    max2 = bounds.max,
+			    xIntersects = (max2.x >= min.x) && (min2.x <= max.x),
+			    yIntersects = (max2.y >= min.y) && (min2.y <= max.y);
+
+			return xIntersects && yIntersects;
+		},
+
+		isValid: function () {
+			return !!(this.min && this.max);
+		}
+	};
+
+	L.bounds = function (a, b) { // (Bounds) or (Point, Point) or (Point[])
+		if (!a || a instanceof L.Bounds) {
+			return a;
+		}
+		return new L.Bounds(a, b);
+	};
+
+
+	/*
+	 * L.Transformation is an utility class to perform simple point transformations through a 2d-matrix.
+	 */
+
+	L.Transformation = function (a, b, c, d) {
+		this._a = a;
+		this._b = b;
+		this._c = c;
+		this._d = d;
+	};
+
+	L.Transformation.prototype = {
+		transform: function (point, scale) { // (Point, Number) -> Point
+			return this._transform(point.clone(), scale);
+		},
+
+		// destructive transform (faster)
+		_transform: function (point, scale) {
+			scale = scale || 1;
+			point.x = scale * (this._a * point.x + this._b);
+			point.y = scale * (this._c * point.y + this._d);
+			return point;
+		},
+
+		untransform: function (point, scale) {
+			scale = scale || 1;
+			return new L.Point(
+			        (point.x / scale - this._b) / this._a,
+			        (point.y / scale - this._d) / this._c);
+		}
+	};
+
+
+	/*
+	 * L.DomUtil contains various utility functions for working with DOM.
+	 */
+
+	L.DomUtil = {
+		get: function (id) {
+			return (typeof id === 'string' ? document.getElementById(id) : id);
+		},
+
+		getStyle: function (el, style) {
+
+			var value = el.style[style];
+
+			if (!value && el.currentStyle) {
+				value = el.currentStyle[style];
+			}
+
+			if ((!value || value === 'auto') && document.defaultView) {
+				var css = document.defaultView.getComputedStyle(el, null);
+				value = css ? css[style] : null;
+			}
+
+			return value === 'auto' ? null : value;
+		},
+
+		getViewportOffset: function (element) {
+
+			var top = 0,
+			    left = 0,
+			    el = element,
+			    docBody = document.body,
+			    docEl = document.documentElement,
+			    pos;
+
+			do {
+				top  += el.offsetTop  || 0;
+				left += el.offsetLeft || 0;
+
+				//add borders
+				top += parseInt(L.DomUtil.getStyle(el, 'borderTopWidth'), 10) || 0;
+				left += parseInt(L.DomUtil.getStyle(el, 'borderLeftWidth'), 10) || 0;
+
+				pos = L.DomUtil.getStyle(el, 'position');
+
+				if (el.offsetParent === docBody && pos === 'absolute') { break; }
+
+				if (pos === 'fixed') {
+					top  += docBody.scrollTop  || docEl.scrollTop  || 0;
+					left += docBody.scrollLeft || docEl.scrollLeft || 0;
+					break;
+				}
+
+				if (pos === 'relative' && !el.offsetLeft) {
+					var width = L.DomUtil.getStyle(el, 'width'),
+					    maxWidth = L.DomUtil.getStyle(el, 'max-width'),
+					    r = el.getBoundingClientRect();
+
+					if (width !== 'none' || maxWidth !== 'none') {
+						left += r.left + el.clientLeft;
+					}
+
+					//calculate full y offset since we're breaking out of the loop
+					top += r.top + (docBody.scrollTop  || docEl.scrollTop  || 0);
+
+					break;
+				}
+
+				el = el.offsetParent;
+
+			} while (el);
+
+			el = element;
+
+			do {
+				if (el === docBody) { break; }
+
+				top  -= el.scrollTop  || 0;
+				left -= el.scrollLeft || 0;
+
+				el = el.parentNode;
+			} while (el);
+
+			return new L.Point(left, top);
+		},
+
+		documentIsLtr: function () {
+			if (!L.DomUtil._docIsLtrCached) {
+				L.DomUtil._docIsLtrCached = true;
+				L.DomUtil._docIsLtr = L.DomUtil.getStyle(document.body, 'direction') === 'ltr';
+			}
+			return L.DomUtil._docIsLtr;
+		},
+
+		create: function (tagName, className, container) {
+
+			var el = document.createElement(tagName);
+			el.className = className;
+
+			if (container) {
+				container.appendChild(el);
+			}
+
+			return el;
+		},
+
+		hasClass: function (el, name) {
+			if (el.classList !== undefined) {
+				return el.classList.contains(name);
+			}
+			var className = L.DomUtil._getClass(el);
+			return className.length > 0 && new RegExp('(^|\\s)' + name + '(\\s|$)').test(className);
+		},
+
+		addClass: function (el, name) {
+			if (el.classList !== undefined) {
+				var classes = L.Util.splitWords(name);
+				for (var i = 0, len = classes.length; i < len; i++) {
+					el.classList.add(classes[i]);
+				}
+			} else if (!L.DomUtil.hasClass(el, name)) {
+				var className = L.DomUtil._getClass(el);
+				L.DomUtil._setClass(el, (className ? className + ' ' : '') + name);
+			}
+		},
+
+		removeClass: function (el, name) {
+			if (el.classList !== undefined) {
+				el.classList.remove(name);
+			} else {
+				L.DomUtil._setClass(el, L.Util.trim((' ' + L.DomUtil._getClass(el) + ' ').replace(' ' + name + ' ', ' ')));
+			}
+		},
+
+		_setClass: function (el, name) {
+			if (el.className.baseVal === undefined) {
+				el.className = name;
+			} else {
+				// in case of SVG element
+				el.className.baseVal = name;
+			}
+		},
+
+		_getClass: function (el) {
+			return el.className.baseVal === undefined ? el.className : el.className.baseVal;
+		},
+
+		setOpacity: function (el, value) {
+
+			if ('opacity' in el.style) {
+				el.style.opacity = value;
+
+			} else if ('filter' in el.style) {
+
+				var filter = false,
+				    filterName = 'DXImageTransform.Microsoft.Alpha';
+
+				// filters collection throws an error if we try to retrieve a filter that doesn't exist
+				try {
+					filter = el.filters.item(filterName);
+				} catch (e) {
+					// don't set opacity to 1 if we haven't already set an opacity,
+					// it isn't needed and breaks transparent pngs.
+					if (value === 1) { return; }
+				}
+
+				value = Math.round(value * 100);
+
+				if (filter) {
+					filter.Enabled = (value !== 100);
+					filter.Opacity = value;
+				} else {
+					el.style.filter += ' progid:' + filterName + '(opacity=' + value + ')';
+				}
+			}
+		},
+
+		testProp: function (props) {
+
+			var style = document.documentElement.style;
+
+			for (var i = 0; i < props.length; i++) {
+				if (props[i] in style) {
+					return props[i];
+				}
+			}
+			return false;
+		},
+
+		getTranslateString: function (point) {
+			// on WebKit browsers (Chrome/Safari/iOS Safari/Android) using translate3d instead of translate
+			// makes animation smoother as it ensures HW accel is used. Firefox 13 doesn't care
+			// (same speed either way), Opera 12 doesn't support translate3d
+
+			var is3d = L.Browser.webkit3d,
+			    open = 'translate' + (is3d ? '3d' : '') + '(',
+			    close = (is3d ? ',0' : '') + ')';
+
+			return open + point.x + 'px,' + point.y + 'px' + close;
+		},
+
+		getScaleString: function (scale, origin) {
+
+			var preTranslateStr = L.DomUtil.getTranslateString(origin.add(origin.multiplyBy(-1 * scale))),
+			    scaleStr = ' scale(' + scale + ') ';
+
+			return preTranslateStr + scaleStr;
+		},
+
+		setPosition: function (el, point, disable3D) { // (HTMLElement, Point[, Boolean])
+
+			// jshint camelcase: false
+			el._leaflet_pos = point;
+
+			if (!disable3D && L.Browser.any3d) {
+				el.style[L.DomUtil.TRANSFORM] =  L.DomUtil.getTranslateString(point);
+			} else {
+				el.style.left = point.x + 'px';
+				el.style.top = point.y + 'px';
+			}
+		},
+
+		getPosition: function (el) {
+			// this method is only used for elements previously positioned using setPosition,
+			// so it's safe to cache the position for performance
+
+			// jshint camelcase: false
+			return el._leaflet_pos;
+		}
+	};
+
+
+	// prefix style property names
+
+	L.DomUtil.TRANSFORM = L.DomUtil.testProp(
+	        ['transform', 'WebkitTransform', 'OTransform', 'MozTransform', 'msTransform']);
+
+	// webkitTransition comes first because some browser versions that drop vendor prefix don't do
+	// the same for the transitionend event, in particular the Android 4.1 stock browser
+
+	L.DomUtil.TRANSITION = L.DomUtil.testProp(
+	        ['webkitTransition', 'transition', 'OTransition', 'MozTransition', 'msTransition']);
+
+	L.DomUtil.TRANSITION_END =
+	        L.DomUtil.TRANSITION === 'webkitTransition' || L.DomUtil.TRANSITION === 'OTransition' ?
+	        L.DomUtil.TRANSITION + 'End' : 'transitionend';
+
+	(function () {
+	    if ('onselectstart' in document) {
+	        L.extend(L.DomUtil, {
+	            disableTextSelection: function () {
+	                L.DomEvent.on(window, 'selectstart', L.DomEvent.preventDefault);
+	            },
+
+	            enableTextSelection: function () {
+	                L.DomEvent.off(window, 'selectstart', L.DomEvent.preventDefault);
+	            }
+	        });
+	    } else {
+	        var userSelectProperty = L.DomUtil.testProp(
+	            ['userSelect', 'WebkitUserSelect', 'OUserSelect', 'MozUserSelect', 'msUserSelect']);
+
+	        L.extend(L.DomUtil, {
+	            disableTextSelection: function () {
+	                if (userSelectProperty) {
+	                    var style = document.documentElement.style;
+	                    this._userSelect = style[userSelectProperty];
+	                    style[userSelectProperty] = 'none';
+	                }
+	            },
+
+	            enableTextSelection: function () {
+	                if (userSelectProperty) {
+	                    document.documentElement.style[userSelectProperty] = this._userSelect;
+	                    delete this._userSelect;
+	                }
+	            }
+	        });
+	    }
+
+		L.extend(L.DomUtil, {
+			disableImageDrag: function () {
+				L.DomEvent.on(window, 'dragstart', L.DomEvent.preventDefault);
+			},
+
+			enableImageDrag: function () {
+				L.DomEvent.off(window, 'dragstart', L.DomEvent.preventDefault);
+			}
+		});
+	})();
+
+
+	/*
+	 * L.LatLng represents a geographical point with latitude and longitude coordinates.
+	 */
+
+	L.LatLng = function (lat, lng, alt) { // (Number, Number, Number)
+		lat = parseFloat(lat);
+		lng = parseFloat(lng);
+
+		if (isNaN(lat) || isNaN(lng)) {
+			throw new Error('Invalid LatLng object: (' + lat + ', ' + lng + ')');
+		}
+
+		this.lat = lat;
+		this.lng = lng;
+
+		if (alt !== undefined) {
+			this.alt = parseFloat(alt);
+		}
+	};
+
+	L.extend(L.LatLng, {
+		DEG_TO_RAD: Math.PI / 180,
+		RAD_TO_DEG: 180 / Math.PI,
+		MAX_MARGIN: 1.0E-9 // max margin of error for the "equals" check
+	});
+
+	L.LatLng.prototype = {
+		equals: function (obj) { // (LatLng) -> Boolean
+			if (!obj) { return false; }
+
+			obj = L.latLng(obj);
+
+			var margin = Math.max(
+			        Math.abs(this.lat - obj.lat),
+			        Math.abs(this.lng - obj.lng));
+
+			return margin <= L.LatLng.MAX_MARGIN;
+		},
+
+		toString: function (precision) { // (Number) -> String
+			return 'LatLng(' +
+			        L.Util.formatNum(this.lat, precision) + ', ' +
+			        L.Util.formatNum(this.lng, precision) + ')';
+		},
+
+		// Haversine distance formula, see http://en.wikipedia.org/wiki/Haversine_formula
+		// TODO move to projection code, LatLng shouldn't know about Earth
+		distanceTo: function (other) { // (LatLng) -> Number
+			other = L.latLng(other);
+
+			var R = 6378137, // earth radius in meters
+			    d2r = L.LatLng.DEG_TO_RAD,
+			    dLat = (other.lat - this.lat) * d2r,
+			    dLon = (other.lng - this.lng) * d2r,
+			    lat1 = this.lat * d2r,
+			    lat2 = other.lat * d2r,
+			    sin1 = Math.sin(dLat / 2),
+			    sin2 = Math.sin(dLon / 2);
+
+			var a = sin1 * sin1 + sin2 * sin2 * Math.cos(lat1) * Math.cos(lat2);
+
+			return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+		},
+
+		wrap: function (a, b) { // (Number, Number) -> LatLng
+			var lng = this.lng;
+
+			a = a || -180;
+			b = b ||  180;
+
+			lng = (lng + b) % (b - a) + (lng < a || lng === b ? b : a);
+
+			return new L.LatLng(this.lat, lng);
+		}
+	};
+
+	L.latLng = function (a, b) { // (LatLng) or ([Number, Number]) or (Number, Number)
+		if (a instanceof L.LatLng) {
+			return a;
+		}
+		if (L.Util.isArray(a)) {
+			if (typeof a[0] === 'number' || typeof a[0] === 'string') {
+				return new L.LatLng(a[0], a[1], a[2]);
+			} else {
+				return null;
+			}
+		}
+		if (a === undefined || a === null) {
+			return a;
+		}
+		if (typeof a === 'object' && 'lat' in a) {
+			return new L.LatLng(a.lat, 'lng' in a ? a.lng : a.lon);
+		}
+		if (b === undefined) {
+			return null;
+		}
+		return new L.LatLng(a, b);
+	};
+
+
+
+	/*
+	 * L.LatLngBounds represents a rectangular area on the map in geographical coordinates.
+	 */
+
+	L.LatLngBounds = function (southWest, northEast) { // (LatLng, LatLng) or (LatLng[])
+		if (!southWest) { return; }
+
+		var latlngs = northEast ? [southWest, northEast] : southWest;
+
+		for (var i = 0, len = latlngs.length; i < len; i++) {
+			this.extend(latlngs[i]);
+		}
+	};
+
+	L.LatLngBounds.prototype = {
+		// extend the bounds to contain the given point or bounds
+		extend: function (obj) { // (LatLng) or (LatLngBounds)
+			if (!obj) { return this; }
+
+			var latLng = L.latLng(obj);
+			if (latLng !== null) {
+				obj = latLng;
+			} else {
+				obj = L.latLngBounds(obj);
+			}
+
+			if (obj instanceof L.LatLng) {
+				if (!this._southWest && !this._northEast) {
+					this._southWest = new L.LatLng(obj.lat, obj.lng);
+					this._northEast = new L.LatLng(obj.lat, obj.lng);
+				} else {
+					this._southWest.lat = Math.min(obj.lat, this._southWest.lat);
+					this._southWest.lng = Math.min(obj.lng, this._southWest.lng);
+
+					this._northEast.lat = Math.max(obj.lat, this._northEast.lat);
+					this._northEast.lng = Math.max(obj.lng, this._northEast.lng);
+				}
+			} else if (obj instanceof L.LatLngBounds) {
+				this.extend(obj._southWest);
+				this.extend(obj._northEast);
+			}
+			return this;
+		},
+
+		// extend the bounds by a percentage
+		pad: function (bufferRatio) { // (Number) -> LatLngBounds
+			var sw = this._southWest,
+			    ne = this._northEast,
+			    heightBuffer = Math.abs(sw.lat - ne.lat) * bufferRatio,
+			    widthBuffer = Math.abs(sw.lng - ne.lng) * bufferRatio;
+
+			return new L.LatLngBounds(
+			        new L.LatLng(sw.lat - heightBuffer, sw.lng - widthBuffer),
+			        new L.LatLng(ne.lat + heightBuffer, ne.lng + widthBuffer));
+		},
+
+		getCenter: function () { // -> LatLng
+			return new L.LatLng(
+			        (this._southWest.lat + this._northEast.lat) / 2,
+			        (this._southWest.lng + this._northEast.lng) / 2);
+		},
+
+		getSouthWest: function () {
+			return this._southWest;
+		},
+
+		getNorthEast: function () {
+			return this._northEast;
+		},
+
+		getNorthWest: function () {
+			return new L.LatLng(this.getNorth(), this.getWest());
+		},
+
+		getSouthEast: function () {
+			return new L.LatLng(this.getSouth(), this.getEast());
+		},
+
+		getWest: function () {
+			return this._southWest.lng;
+		},
+
+		getSouth: function () {
+			return this._southWest.lat;
+		},
+
+		getEast: function () {
+			return this._northEast.lng;
+		},
+
+		getNorth: function () {
+			return this._northEast.lat;
+		},
+
+		contains: function (obj) { // (LatLngBounds) or (LatLng) -> Boolean
+			if (typeof obj[0] === 'number' || obj instanceof L.LatLng) {
+				obj = L.latLng(obj);
+			} else {
+				obj = L.latLngBounds(obj);
+			}
+
+			var sw = this._southWest,
+			    ne = this._northEast,
+			    sw2, ne2;
+
+			if (obj instanceof L.LatLngBounds) {
+				sw2 = obj.getSouthWest();
+				ne2 = obj.getNorthEast();
+			} else {
+				sw2 = ne2 = obj;
+			}
+
+			return (sw2.lat >= sw.lat) && (ne2.lat <= ne.lat) &&
+			       (sw2.lng >= sw.lng) && (ne2.lng <= ne.lng);
+		},
+
+		intersects: function (bounds) { // (LatLngBounds)
+			bounds = L.latLngBounds(bounds);
+
+			var sw = this._southWest,
+			    ne = this._northEast,
+			    sw2 = bounds.getSouthWest(),
+			    ne2 = bounds.getNorthEast(),
+
+			    latIntersects = (ne2.lat >= sw.lat) && (sw2.lat <= ne.lat),
+			    lngIntersects = (ne2.lng >= sw.lng) && (sw2.lng <= ne.lng);
+
+			return latIntersects && lngIntersects;
+		},
+
+		toBBoxString: function () {
+			return [this.getWest(), this.getSouth(), this.getEast(), this.getNorth()].join(',');
+		},
+
+		equals: function (bounds) { // (LatLngBounds)
+			if (!bounds) { return false; }
+
+			bounds = L.latLngBounds(bounds);
+
+			return this._southWest.equals(bounds.getSouthWest()) &&
+			       this._northEast.equals(bounds.getNorthEast());
+		},
+
+		isValid: function () {
+			return !!(this._southWest && this._northEast);
+		}
+	};
+
+	//TODO International date line?
+
+	L.latLngBounds = function (a, b) { // (LatLngBounds) or (LatLng, LatLng)
+		if (!a || a instanceof L.LatLngBounds) {
+			return a;
+		}
+		return new L.LatLngBounds(a, b);
+	};
+
+
+	/*
+	 * L.Projection contains various geographical projections used by CRS classes.
+	 */
+
+	L.Projection = {};
+
+
+	/*
+	 * Spherical Mercator is the most popular map projection, used by EPSG:3857 CRS used by default.
+	 */
+
+	L.Projection.SphericalMercator = {
+		MAX_LATITUDE: 85.0511287798,
+
+		project: function (latlng) { // (LatLng) -> Point
+			var d = L.LatLng.DEG_TO_RAD,
+			    max = this.MAX_LATITUDE,
+			    lat = Math.max(Math.min(max, latlng.lat), -max),
+			    x = latlng.lng * d,
+			    y = lat * d;
+
+			y = Math.log(Math.tan((Math.PI / 4) + (y / 2)));
+
+			return new L.Point(x, y);
+		},
+
+		unproject: function (point) { // (Point, Boolean) -> LatLng
+			var d = L.LatLng.RAD_TO_DEG,
+			    lng = point.x * d,
+			    lat = (2 * Math.atan(Math.exp(point.y)) - (Math.PI / 2)) * d;
+
+			return new L.LatLng(lat, lng);
+		}
+	};
+
+
+	/*
+	 * Simple equirectangular (Plate Carree) projection, used by CRS like EPSG:4326 and Simple.
+	 */
+
+	L.Projection.LonLat = {
+		project: function (latlng) {
+			return new L.Point(latlng.lng, latlng.lat);
+		},
+
+		unproject: function (point) {
+			return new L.LatLng(point.y, point.x);
+		}
+	};
+
+
+	/*
+	 * L.CRS is a base object for all defined CRS (Coordinate Reference Systems) in Leaflet.
+	 */
+
+	L.CRS = {
+		latLngToPoint: function (latlng, zoom) { // (LatLng, Number) -> Point
+			var projectedPoint = this.projection.project(latlng),
+			    scale = this.scale(zoom);
+
+			return this.transformation._transform(projectedPoint, scale);
+		},
+
+		pointToLatLng: function (point, zoom) { // (Point, Number[, Boolean]) -> LatLng
+			var scale = this.scale(zoom),
+			    untransformedPoint = this.transformation.untransform(point, scale);
+
+			return this.projection.unproject(untransformedPoint);
+		},
+
+		project: function (latlng) {
+			return this.projection.project(latlng);
+		},
+
+		scale: function (zoom) {
+			return 256 * Math.pow(2, zoom);
+		},
+
+		getSize: function (zoom) {
+			var s = this.scale(zoom);
+			return L.point(s, s);
+		}
+	};
+
+
+	/*
+	 * A simple CRS that can be used for flat non-Earth maps like panoramas or game maps.
+	 */
+
+	L.CRS.Simple = L.extend({}, L.CRS, {
+		projection: L.Projection.LonLat,
+		transformation: new L.Transformation(1, 0, -1, 0),
+
+		scale: function (zoom) {
+			return Math.pow(2, zoom);
+		}
+	});
+
+
+	/*
+	 * L.CRS.EPSG3857 (Spherical Mercator) is the most common CRS for web mapping
+	 * and is used by Leaflet by default.
+	 */
+
+	L.CRS.EPSG3857 = L.extend({}, L.CRS, {
+		code: 'EPSG:3857',
+
+		projection: L.Projection.SphericalMercator,
+		transformation: new L.Transformation(0.5 / Math.PI, 0.5, -0.5 / Math.PI, 0.5),
+
+		project: function (latlng) { // (LatLng) -> Point
+			var projectedPoint = this.projection.project(latlng),
+			    earthRadius = 6378137;
+			return projectedPoint.multiplyBy(earthRadius);
+		}
+	});
+
+	L.CRS.EPSG900913 = L.extend({}, L.CRS.EPSG3857, {
+		code: 'EPSG:900913'
+	});
+
+
+	/*
+	 * L.CRS.EPSG4326 is a CRS popular among advanced GIS specialists.
+	 */
+
+	L.CRS.EPSG4326 = L.extend({}, L.CRS, {
+		code: 'EPSG:4326',
+
+		projection: L.Projection.LonLat,
+		transformation: new L.Transformation(1 / 360, 0.5, -1 / 360, 0.5)
+	});
+
+
+	/*
+	 * L.Map is the central class of the API - it is used to create a map.
+	 */
+
+	L.Map = L.Class.extend({
+
+		includes: L.Mixin.Events,
+
+		options: {
+			crs: L.CRS.EPSG3857,
+
+			/*
+			center: LatLng,
+			zoom: Number,
+			layers: Array,
+			*/
+
+			fadeAnimation: L.DomUtil.TRANSITION && !L.Browser.android23,
+			trackResize: true,
+			markerZoomAnimation: L.DomUtil.TRANSITION && L.Browser.any3d
+		},
+
+		initialize: function (id, options) { // (HTMLElement or String, Object)
+			options = L.setOptions(this, options);
+
+
+			this._initContainer(id);
+			this._initLayout();
+
+			// hack for https://github.com/Leaflet/Leaflet/issues/1980
+			this._onResize = L.bind(this._onResize, this);
+
+			this._initEvents();
+
+			if (options.maxBounds) {
+				this.setMaxBounds(options.maxBounds);
+			}
+
+			if (options.center && options.zoom !== undefined) {
+				this.setView(L.latLng(options.center), options.zoom, {reset: true});
+			}
+
+			this._handlers = [];
+
+			this._layers = {};
+			this._zoomBoundLayers = {};
+			this._tileLayersNum = 0;
+
+			this.callInitHooks();
+
+			this._addLayers(options.layers);
+		},
+
+
+		// public methods that modify map state
+
+		// replaced by animation-powered implementation in Map.PanAnimation.js
+		setView: function (center, zoom) {
+			zoom = zoom === undefined ? this.getZoom() : zoom;
+			this._resetView(L.latLng(center), this._limitZoom(zoom));
+			return this;
+		},
+
+		setZoom: function (zoom, options) {
+			if (!this._loaded) {
+				this._zoom = this._limitZoom(zoom);
+				return this;
+			}
+			return this.setView(this.getCenter(), zoom, {zoom: options});
+		},
+
+		zoomIn: function (delta, options) {
+			return this.setZoom(this._zoom + (delta || 1), options);
+		},
+
+		zoomOut: function (delta, options) {
+			return this.setZoom(this._zoom - (delta || 1), options);
+		},
+
+		setZoomAround: function (latlng, zoom, options) {
+			var scale = this.getZoomScale(zoom),
+			    viewHalf = this.getSize().divideBy(2),
+			    containerPoint = latlng instanceof L.Point ? latlng : this.latLngToContainerPoint(latlng),
+
+			    centerOffset = containerPoint.subtract(viewHalf).multiplyBy(1 - 1 / scale),
+			    newCenter = this.containerPointToLatLng(viewHalf.add(centerOffset));
+
+			return this.setView(newCenter, zoom, {zoom: options});
+		},
+
+		fitBounds: function (bounds, options) {
+
+			options = options || {};
+			bounds = bounds.getBounds ? bounds.getBounds() : L.latLngBounds(bounds);
+
+			var paddingTL = L.point(options.paddingTopLeft || options.padding || [0, 0]),
+			    paddingBR = L.point(options.paddingBottomRight || options.padding || [0, 0]),
+
+			    zoom = this.getBoundsZoom(bounds, false, paddingTL.add(paddingBR));
+
+			zoom = (options.maxZoom) ? Math.min(options.maxZoom, zoom) : zoom;
+
+			var paddingOffset = paddingBR.subtract(paddingTL).divideBy(2),
+
+			    swPoint = this.project(bounds.getSouthWest(), zoom),
+			    nePoint = this.project(bounds.getNorthEast(), zoom),
+			    center = this.unproject(swPoint.add(nePoint).divideBy(2).add(paddingOffset), zoom);
+
+			return this.setView(center, zoom, options);
+		},
+
+		fitWorld: function (options) {
+			return this.fitBounds([[-90, -180], [90, 180]], options);
+		},
+
+		panTo: function (center, options) { // (LatLng)
+			return this.setView(center, this._zoom, {pan: options});
+		},
+
+		panBy: function (offset) { // (Point)
+			// replaced with animated panBy in Map.PanAnimation.js
+			this.fire('movestart');
+
+			this._rawPanBy(L.point(offset));
+
+			this.fire('move');
+			return this.fire('moveend');
+		},
+
+		setMaxBounds: function (bounds) {
+			bounds = L.latLngBounds(bounds);
+
+			this.options.maxBounds = bounds;
+
+			if (!bounds) {
+				return this.off('moveend', this._panInsideMaxBounds, this);
+			}
+
+			if (this._loaded) {
+				this._panInsideMaxBounds();
+			}
+
+			return this.on('moveend', this._panInsideMaxBounds, this);
+		},
+
+		panInsideBounds: function (bounds, options) {
+			var center = this.getCenter(),
+				newCenter = this._limitCenter(center, this._zoom, bounds);
+
+			if (center.equals(newCenter)) { return this; }
+
+			return this.panTo(newCenter, options);
+		},
+
+		addLayer: function (layer) {
+			// TODO method is too big, refactor
+
+			var id = L.stamp(layer);
+
+			if (this._layers[id]) { return this; }
+
+			this._layers[id] = layer;
+
+			// TODO getMaxZoom, getMinZoom in ILayer (instead of options)
+			if (layer.options && (!isNaN(layer.options.maxZoom) || !isNaN(layer.options.minZoom))) {
+				this._zoomBoundLayers[id] = layer;
+				this._updateZoomLevels();
+			}
+
+			// TODO looks ugly, refactor!!!
+			if (this.options.zoomAnimation && L.TileLayer && (layer instanceof L.TileLayer)) {
+				this._tileLayersNum++;
+				this._tileLayersToLoad++;
+				layer.on('load', this._onTileLayerLoad, this);
+			}
+
+			if (this._loaded) {
+				this._layerAdd(layer);
+			}
+
+			return this;
+		},
+
+		removeLayer: function (layer) {
+			var id = L.stamp(layer);
+
+			if (!this._layers[id]) { return this; }
+
+			if (this._loaded) {
+				layer.onRemove(this);
+			}
+
+			delete this._layers[id];
+
+			if (this._loaded) {
+				this.fire('layerremove', {layer: layer});
+			}
+
+			if (this._zoomBoundLayers[id]) {
+				delete this._zoomBoundLayers[id];
+				this._updateZoomLevels();
+			}
+
+			// TODO looks ugly, refactor
+			if (this.options.zoomAnimation && L.TileLayer && (layer instanceof L.TileLayer)) {
+				this._tileLayersNum--;
+				this._tileLayersToLoad--;
+				layer.off('load', this._onTileLayerLoad, this);
+			}
+
+			return this;
+		},
+
+		hasLayer: function (layer) {
+			if (!layer) { return false; }
+
+			return (L.stamp(layer) in this._layers);
+		},
+
+		eachLayer: function (method, context) {
+			for (var i in this._layers) {
+				method.call(context, this._layers[i]);
+			}
+			return this;
+		},
+
+		invalidateSize: function (options) {
+			if (!this._loaded) { return this; }
+
+			options = L.extend({
+				animate: false,
+				pan: true
+			}, options === true ? {animate: true} : options);
+
+			var oldSize = this.getSize();
+			this._sizeChanged = true;
+			this._initialCenter = null;
+
+			var newSize = this.getSize(),
+			    oldCenter = oldSize.divideBy(2).round(),
+			    newCenter = newSize.divideBy(2).round(),
+			    offset = oldCenter.subtract(newCenter);
+
+			if (!offset.x && !offset.y) { return this; }
+
+			if (options.animate && options.pan) {
+				this.panBy(offset);
+
+			} else {
+				if (options.pan) {
+					this._rawPanBy(offset);
+				}
+
+				this.fire('move');
+
+				if (options.debounceMoveend) {
+					clearTimeout(this._sizeTimer);
+					this._sizeTimer = setTimeout(L.bind(this.fire, this, 'moveend'), 200);
+				} else {
+					this.fire('moveend');
+				}
+			}
+
+			return this.fire('resize', {
+				oldSize: oldSize,
+				newSize: newSize
+			});
+		},
+
+		// TODO handler.addTo
+		addHandler: function (name, HandlerClass) {
+			if (!HandlerClass) { return this; }
+
+			var handler = this[name] = new HandlerClass(this);
+
+			this._handlers.push(handler);
+
+			if (this.options[name]) {
+				handler.enable();
+			}
+
+			return this;
+		},
+
+		remove: function () {
+			if (this._loaded) {
+				this.fire('unload');
+			}
+
+			this._initEvents('off');
+
+			try {
+				// throws error in IE6-8
+				delete this._container._leaflet;
+			} catch (e) {
+				this._container._leaflet = undefined;
+			}
+
+			this._clearPanes();
+			if (this._clearControlPos) {
+				this._clearControlPos();
+			}
+
+			this._clearHandlers();
+
+			return this;
+		},
+
+
+		// public methods for getting map state
+
+		getCenter: function () { // (Boolean) -> LatLng
+			this._checkIfLoaded();
+
+			if (this._initialCenter && !this._moved()) {
+				return this._initialCenter;
+			}
+			return this.layerPointToLatLng(this._getCenterLayerPoint());
+		},
+
+		getZoom: function () {
+			return this._zoom;
+		},
+
+		getBounds: function () {
+			var bounds = this.getPixelBounds(),
+			    sw = this.unproject(bounds.getBottomLeft()),
+			    ne = this.unproject(bounds.getTopRight());
+
+			return new L.LatLngBounds(sw, ne);
+		},
+
+		getMinZoom: function () {
+			return this.options.minZoom === undefined ?
+				(this._layersMinZoom === undefined ? 0 : this._layersMinZoom) :
+				this.options.minZoom;
+		},
+
+		getMaxZoom: function () {
+			return this.options.maxZoom === undefined ?
+				(this._layersMaxZoom === undefined ? Infinity : this._layersMaxZoom) :
+				this.options.maxZoom;
+		},
+
+		getBoundsZoom: function (bounds, inside, padding) { // (LatLngBounds[, Boolean, Point]) -> Number
+			bounds = L.latLngBounds(bounds);
+
+			var zoom = this.getMinZoom() - (inside ? 1 : 0),
+			    maxZoom = this.getMaxZoom(),
+			    size = this.getSize(),
+
+			    nw = bounds.getNorthWest(),
+			    se = bounds.getSouthEast(),
+
+			    zoomNotFound = true,
+			    boundsSize;
+
+			padding = L.point(padding || [0, 0]);
+
+			do {
+				zoom++;
+				boundsSize = this.project(se, zoom).subtract(this.project(nw, zoom)).add(padding);
+				zoomNotFound = !inside ? size.contains(boundsSize) : boundsSize.x < size.x || boundsSize.y < size.y;
+
+			} while (zoomNotFound && zoom <= maxZoom);
+
+			if (zoomNotFound && inside) {
+				return null;
+			}
+
+			return inside ? zoom : zoom - 1;
+		},
+
+		getSize: function () {
+			if (!this._size || this._sizeChanged) {
+				this._size = new L.Point(
+					this._container.clientWidth,
+					this._container.clientHeight);
+
+				this._sizeChanged = false;
+			}
+			return this._size.clone();
+		},
+
+		getPixelBounds: function () {
+			var topLeftPoint = this._getTopLeftPoint();
+			return new L.Bounds(topLeftPoint, topLeftPoint.add(this.getSize()));
+		},
+
+		getPixelOrigin: function () {
+			this._checkIfLoaded();
+			return this._initialTopLeftPoint;
+		},
+
+		getPanes: function () {
+			return this._panes;
+		},
+
+		getContainer: function () {
+			return this._container;
+		},
+
+
+		// TODO replace with universal implementation after refactoring projections
+
+		getZoomScale: function (toZoom) {
+			var crs = this.options.crs;
+			return crs.scale(toZoom) / crs.scale(this._zoom);
+		},
+
+		getScaleZoom: function (scale) {
+			return this._zoom + (Math.log(scale) / Math.LN2);
+		},
+
+
+		// conversion methods
+
+		project: function (latlng, zoom) { // (LatLng[, Number]) -> Point
+			zoom = zoom === undefined ? this._zoom : zoom;
+			return this.options.crs.latLngToPoint(L.latLng(latlng), zoom);
+		},
+
+		unproject: function (point, zoom) { // (Point[, Number]) -> LatLng
+			zoom = zoom === undefined ? this._zoom : zoom;
+			return this.options.crs.pointToLatLng(L.point(point), zoom);
+		},
+
+		layerPointToLatLng: function (point) { // (Point)
+			var projectedPoint = L.point(point).add(this.getPixelOrigin());
+			return this.unproject(projectedPoint);
+		},
+
+		latLngToLayerPoint: function (latlng) { // (LatLng)
+			var projectedPoint = this.project(L.latLng(latlng))._round();
+			return projectedPoint._subtract(this.getPixelOrigin());
+		},
+
+		containerPointToLayerPoint: function (point) { // (Point)
+			return L.point(point).subtract(this._getMapPanePos());
+		},
+
+		layerPointToContainerPoint: function (point) { // (Point)
+			return L.point(point).add(this._getMapPanePos());
+		},
+
+		containerPointToLatLng: function (point) {
+			var layerPoint = this.containerPointToLayerPoint(L.point(point));
+			return this.layerPointToLatLng(layerPoint);
+		},
+
+		latLngToContainerPoint: function (latlng) {
+			return this.layerPointToContainerPoint(this.latLngToLayerPoint(L.latLng(latlng)));
+		},
+
+		mouseEventToContainerPoint: function (e) { // (MouseEvent)
+			return L.DomEvent.getMousePosition(e, this._container);
+		},
+
+		mouseEventToLayerPoint: function (e) { // (MouseEvent)
+			return this.containerPointToLayerPoint(this.mouseEventToContainerPoint(e));
+		},
+
+		mouseEventToLatLng: function (e) { // (MouseEvent)
+			return this.layerPointToLatLng(this.mouseEventToLayerPoint(e));
+		},
+
+
+		// map initialization methods
+
+		_initContainer: function (id) {
+			var container = this._container = L.DomUtil.get(id);
+
+			if (!container) {
+				throw new Error('Map container not found.');
+			} else if (container._leaflet) {
+				throw new Error('Map container is already initialized.');
+			}
+
+			container._leaflet = true;
+		},
+
+		_initLayout: function () {
+			var container = this._container;
+
+			L.DomUtil.addClass(container, 'leaflet-container' +
+				(L.Browser.touch ? ' leaflet-touch' : '') +
+				(L.Browser.retina ? ' leaflet-retina' : '') +
+				(L.Browser.ielt9 ? ' leaflet-oldie' : '') +
+				(this.options.fadeAnimation ? ' leaflet-fade-anim' : ''));
+
+			var position = L.DomUtil.getStyle(container, 'position');
+
+			if (position !== 'absolute' && position !== 'relative' && position !== 'fixed') {
+				container.style.position = 'relative';
+			}
+
+			this._initPanes();
+
+			if (this._initControlPos) {
+				this._initControlPos();
+			}
+		},
+
+		_initPanes: function () {
+			var panes = this._panes = {};
+
+			this._mapPane = panes.mapPane = this._createPane('leaflet-map-pane', this._container);
+
+			this._tilePane = panes.tilePane = this._createPane('leaflet-tile-pane', this._mapPane);
+			panes.objectsPane = this._createPane('leaflet-objects-pane', this._mapPane);
+			panes.shadowPane = this._createPane('leaflet-shadow-pane');
+			panes.overlayPane = this._createPane('leaflet-overlay-pane');
+			panes.markerPane = this._createPane('leaflet-marker-pane');
+			panes.popupPane = this._createPane('leaflet-popup-pane');
+
+			var zoomHide = ' leaflet-zoom-hide';
+
+			if (!this.options.markerZoomAnimation) {
+				L.DomUtil.addClass(panes.markerPane, zoomHide);
+				L.DomUtil.addClass(panes.shadowPane, zoomHide);
+				L.DomUtil.addClass(panes.popupPane, zoomHide);
+			}
+		},
+
+		_createPane: function (className, container) {
+			return L.DomUtil.create('div', className, container || this._panes.objectsPane);
+		},
+
+		_clearPanes: function () {
+			this._container.removeChild(this._mapPane);
+		},
+
+		_addLayers: function (layers) {
+			layers = layers ? (L.Util.isArray(layers) ? layers : [layers]) : [];
+
+			for (var i = 0, len = layers.length; i < len; i++) {
+				this.addLayer(layers[i]);
+			}
+		},
+
+
+		// private methods that modify map state
+
+		_resetView: function (center, zoom, preserveMapOffset, afterZoomAnim) {
+
+			var zoomChanged = (this._zoom !== zoom);
+
+			if (!afterZoomAnim) {
+				this.fire('movestart');
+
+				if (zoomChanged) {
+					this.fire('zoomstart');
+				}
+			}
+
+			this._zoom = zoom;
+			this._initialCenter = center;
+
+			this._initialTopLeftPoint = this._getNewTopLeftPoint(center);
+
+			if (!preserveMapOffset) {
+				L.DomUtil.setPosition(this._mapPane, new L.Point(0, 0));
+			} else {
+				this._initialTopLeftPoint._add(this._getMapPanePos());
+			}
+
+			this._tileLayersToLoad = this._tileLayersNum;
+
+			var loading = !this._loaded;
+			this._loaded = true;
+
+			this.fire('viewreset', {hard: !preserveMapOffset});
+
+			if (loading) {
+				this.fire('load');
+				this.eachLayer(this._layerAdd, this);
+			}
+
+			this.fire('move');
+
+			if (zoomChanged || afterZoomAnim) {
+				this.fire('zoomend');
+			}
+
+			this.fire('moveend', {hard: !preserveMapOffset});
+		},
+
+		_rawPanBy: function (offset) {
+			L.DomUtil.setPosition(this._mapPane, this._getMapPanePos().subtract(offset));
+		},
+
+		_getZoomSpan: function () {
+			return this.getMaxZoom() - this.getMinZoom();
+		},
+
+		_updateZoomLevels: function () {
+			var i,
+				minZoom = Infinity,
+				maxZoom = -Infinity,
+				oldZoomSpan = this._getZoomSpan();
+
+			for (i in this._zoomBoundLayers) {
+				var layer = this._zoomBoundLayers[i];
+				if (!isNaN(layer.options.minZoom)) {
+					minZoom = Math.min(minZoom, layer.options.minZoom);
+				}
+				if (!isNaN(layer.options.maxZoom)) {
+					maxZoom = Math.max(maxZoom, layer.options.maxZoom);
+				}
+			}
+
+			if (i === undefined) { // we have no tilelayers
+				this._layersMaxZoom = this._layersMinZoom = undefined;
+			} else {
+				this._layersMaxZoom = maxZoom;
+				this._layersMinZoom = minZoom;
+			}
+
+			if (oldZoomSpan !== this._getZoomSpan()) {
+				this.fire('zoomlevelschange');
+			}
+		},
+
+		_panInsideMaxBounds: function () {
+			this.panInsideBounds(this.options.maxBounds);
+		},
+
+		_checkIfLoaded: function () {
+			if (!this._loaded) {
+				throw new Error('Set map center and zoom first.');
+			}
+		},
+
+		// map events
+
+		_initEvents: function (onOff) {
+			if (!L.DomEvent) { return; }
+
+			onOff = onOff || 'on';
+
+			L.DomEvent[onOff](this._container, 'click', this._onMouseClick, this);
+
+			var events = ['dblclick', 'mousedown', 'mouseup', 'mouseenter',
+			              'mouseleave', 'mousemove', 'contextmenu'],
+			    i, len;
+
+			for (i = 0, len = events.length; i < len; i++) {
+				L.DomEvent[onOff](this._container, events[i], this._fireMouseEvent, this);
+			}
+
+			if (this.options.trackResize) {
+				L.DomEvent[onOff](window, 'resize', this._onResize, this);
+			}
+		},
+
+		_onResize: function () {
+			L.Util.cancelAnimFrame(this._resizeRequest);
+			this._resizeRequest = L.Util.requestAnimFrame(
+			        function () { this.invalidateSize({debounceMoveend: true}); }, this, false, this._container);
+		},
+
+		_onMouseClick: function (e) {
+			if (!this._loaded || (!e._simulated &&
+			        ((this.dragging && this.dragging.moved()) ||
+			         (this.boxZoom  && this.boxZoom.moved()))) ||
+			            L.DomEvent._skipped(e)) { return; }
+
+			this.fire('preclick');
+			this._fireMouseEvent(e);
+		},
+
+		_fireMouseEvent: function (e) {
+			if (!this._loaded || L.DomEvent._skipped(e)) { return; }
+
+			var type = e.type;
+
+			type = (type === 'mouseenter' ? 'mouseover' : (type === 'mouseleave' ? 'mouseout' : type));
+
+			if (!this.hasEventListeners(type)) { return; }
+
+			if (type === 'contextmenu') {
+				L.DomEvent.preventDefault(e);
+			}
+
+			var containerPoint = this.mouseEventToContainerPoint(e),
+			    layerPoint = this.containerPointToLayerPoint(containerPoint),
+			    latlng = this.layerPointToLatLng(layerPoint);
+
+			this.fire(type, {
+				latlng: latlng,
+				layerPoint: layerPoint,
+				containerPoint: containerPoint,
+				originalEvent: e
+			});
+		},
+
+		_onTileLayerLoad: function () {
+			this._tileLayersToLoad--;
+			if (this._tileLayersNum && !this._tileLayersToLoad) {
+				this.fire('tilelayersload');
+			}
+		},
+
+		_clearHandlers: function () {
+			for (var i = 0, len = this._handlers.length; i < len; i++) {
+				this._handlers[i].disable();
+			}
+		},
+
+		whenReady: function (callback, context) {
+			if (this._loaded) {
+				callback.call(context || this, this);
+			} else {
+				this.on('load', callback, context);
+			}
+			return this;
+		},
+
+		_layerAdd: function (layer) {
+			layer.onAdd(this);
+			this.fire('layeradd', {layer: layer});
+		},
+
+
+		// private methods for getting map state
+
+		_getMapPanePos: function () {
+			return L.DomUtil.getPosition(this._mapPane);
+		},
+
+		_moved: function () {
+			var pos = this._getMapPanePos();
+			return pos && !pos.equals([0, 0]);
+		},
+
+		_getTopLeftPoint: function () {
+			return this.getPixelOrigin().subtract(this._getMapPanePos());
+		},
+
+		_getNewTopLeftPoint: function (center, zoom) {
+			var viewHalf = this.getSize()._divideBy(2);
+			// TODO round on display, not calculation to increase precision?
+			return this.project(center, zoom)._subtract(viewHalf)._round();
+		},
+
+		_latLngToNewLayerPoint: function (latlng, newZoom, newCenter) {
+			var topLeft = this._getNewTopLeftPoint(newCenter, newZoom).add(this._getMapPanePos());
+			return this.project(latlng, newZoom)._subtract(topLeft);
+		},
+
+		// layer point of the current center
+		_getCenterLayerPoint: function () {
+			return this.containerPointToLayerPoint(this.getSize()._divideBy(2));
+		},
+
+		// offset of the specified place to the current center in pixels
+		_getCenterOffset: function (latlng) {
+			return this.latLngToLayerPoint(latlng).subtract(this._getCenterLayerPoint());
+		},
+
+		// adjust center for view to get inside bounds
+		_limitCenter: function (center, zoom, bounds) {
+
+			if (!bounds) { return center; }
+
+			var centerPoint = this.project(center, zoom),
+			    viewHalf = this.getSize().divideBy(2),
+			    viewBounds = new L.Bounds(centerPoint.subtract(viewHalf), centerPoint.add(viewHalf)),
+			    offset = this._getBoundsOffset(viewBounds, bounds, zoom);
+
+			return this.unproject(centerPoint.add(offset), zoom);
+		},
+
+		// adjust offset for view to get inside bounds
+		_limitOffset: function (offset, bounds) {
+			if (!bounds) { return offset; }
+
+			var viewBounds = this.getPixelBounds(),
+			    newBounds = new L.Bounds(viewBounds.min.add(offset), viewBounds.max.add(offset));
+
+			return offset.add(this._getBoundsOffset(newBounds, bounds));
+		},
+
+		// returns offset needed for pxBounds to get inside maxBounds at a specified zoom
+		_getBoundsOffset: function (pxBounds, maxBounds, zoom) {
+			var nwOffset = this.project(maxBounds.getNorthWest(), zoom).subtract(pxBounds.min),
+			    seOffset = this.project(maxBounds.getSouthEast(), zoom).subtract(pxBounds.max),
+
+			    dx = this._rebound(nwOffset.x, -seOffset.x),
+			    dy = this._rebound(nwOffset.y, -seOffset.y);
+
+			return new L.Point(dx, dy);
+		},
+
+		_rebound: function (left, right) {
+			return left + right > 0 ?
+				Math.round(left - right) / 2 :
+				Math.max(0, Math.ceil(left)) - Math.max(0, Math.floor(right));
+		},
+
+		_limitZoom: function (zoom) {
+			var min = this.getMinZoom(),
+			    max = this.getMaxZoom();
+
+			return Math.max(min, Math.min(max, zoom));
+		}
+	});
+
+	L.map = function (id, options) {
+		return new L.Map(id, options);
+	};
+
+
+	/*
+	 * Mercator projection that takes into account that the Earth is not a perfect sphere.
+	 * Less popular than spherical mercator; used by projections like EPSG:3395.
+	 */
+
+	L.Projection.Mercator = {
+		MAX_LATITUDE: 85.0840591556,
+
+		R_MINOR: 6356752.314245179,
+		R_MAJOR: 6378137,
+
+		project: function (latlng) { // (LatLng) -> Point
+			var d = L.LatLng.DEG_TO_RAD,
+			    max = this.MAX_LATITUDE,
+			    lat = Math.max(Math.min(max, latlng.lat), -max),
+			    r = this.R_MAJOR,
+			    r2 = this.R_MINOR,
+			    x = latlng.lng * d * r,
+			    y = lat * d,
+			    tmp = r2 / r,
+			    eccent = Math.sqrt(1.0 - tmp * tmp),
+			    con = eccent * Math.sin(y);
+
+			con = Math.pow((1 - con) / (1 + con), eccent * 0.5);
+
+			var ts = Math.tan(0.5 * ((Math.PI * 0.5) - y)) / con;
+			y = -r * Math.log(ts);
+
+			return new L.Point(x, y);
+		},
+
+		unproject: function (point) { // (Point, Boolean) -> LatLng
+			var d = L.LatLng.RAD_TO_DEG,
+			    r = this.R_MAJOR,
+			    r2 = this.R_MINOR,
+			    lng = point.x * d / r,
+			    tmp = r2 / r,
+			    eccent = Math.sqrt(1 - (tmp * tmp)),
+			    ts = Math.exp(- point.y / r),
+			    phi = (Math.PI / 2) - 2 * Math.atan(ts),
+			    numIter = 15,
+			    tol = 1e-7,
+			    i = numIter,
+			    dphi = 0.1,
+			    con;
+
+			while ((Math.abs(dphi) > tol) && (--i > 0)) {
+				con = eccent * Math.sin(phi);
+				dphi = (Math.PI / 2) - 2 * Math.atan(ts *
+				            Math.pow((1.0 - con) / (1.0 + con), 0.5 * eccent)) - phi;
+				phi += dphi;
+			}
+
+			return new L.LatLng(phi * d, lng);
+		}
+	};
+
+
+
+	L.CRS.EPSG3395 = L.extend({}, L.CRS, {
+		code: 'EPSG:3395',
+
+		projection: L.Projection.Mercator,
+
+		transformation: (function () {
+			var m = L.Projection.Mercator,
+			    r = m.R_MAJOR,
+			    scale = 0.5 / (Math.PI * r);
+
+			return new L.Transformation(scale, 0.5, -scale, 0.5);
+		}())
+	});
+
+
+	/*
+	 * L.TileLayer is used for standard xyz-numbered tile layers.
+	 */
+
+	L.TileLayer = L.Class.extend({
+		includes: L.Mixin.Events,
+
+		options: {
+			minZoom: 0,
+			maxZoom: 18,
+			tileSize: 256,
+			subdomains: 'abc',
+			errorTileUrl: '',
+			attribution: '',
+			zoomOffset: 0,
+			opacity: 1,
+			/*
+			maxNativeZoom: null,
+			zIndex: null,
+			tms: false,
+			continuousWorld: false,
+			noWrap: false,
+			zoomReverse: false,
+			detectRetina: false,
+			reuseTiles: false,
+			bounds: false,
+			*/
+			unloadInvisibleTiles: L.Browser.mobile,
+			updateWhenIdle: L.Browser.mobile
+		},
+
+		initialize: function (url, options) {
+			options = L.setOptions(this, options);
+
+			// detecting retina displays, adjusting tileSize and zoom levels
+			if (options.detectRetina && L.Browser.retina && options.maxZoom > 0) {
+
+				options.tileSize = Math.floor(options.tileSize / 2);
+				options.zoomOffset++;
+
+				if (options.minZoom > 0) {
+					options.minZoom--;
+				}
+				this.options.maxZoom--;
+			}
+
+			if (options.bounds) {
+				options.bounds = L.latLngBounds(options.bounds);
+			}
+
+			this._url = url;
+
+			var subdomains = this.options.subdomains;
+
+			if (typeof subdomains === 'string') {
+				this.options.subdomains = subdomains.split('');
+			}
+		},
+
+		onAdd: function (map) {
+			this._map = map;
+			this._animated = map._zoomAnimated;
+
+			// create a container div for tiles
+			this._initContainer();
+
+			// set up events
+			map.on({
+				'viewreset': this._reset,
+				'moveend': this._update
+			}, this);
+
+			if (this._animated) {
+				map.on({
+					'zoomanim': this._animateZoom,
+					'zoomend': this._endZoomAnim
+				}, this);
+			}
+
+			if (!this.options.updateWhenIdle) {
+				this._limitedUpdate = L.Util.limitExecByInterval(this._update, 150, this);
+				map.on('move', this._limitedUpdate, this);
+			}
+
+			this._reset();
+			this._update();
+		},
+
+		addTo: function (map) {
+			map.addLayer(this);
+			return this;
+		},
+
+		onRemove: function (map) {
+			this._container.parentNode.removeChild(this._container);
+
+			map.off({
+				'viewreset': this._reset,
+				'moveend': this._update
+			}, this);
+
+			if (this._animated) {
+				map.off({
+					'zoomanim': this._animateZoom,
+					'zoomend': this._endZoomAnim
+				}, this);
+			}
+
+			if (!this.options.updateWhenIdle) {
+				map.off('move', this._limitedUpdate, this);
+			}
+
+			this._container = null;
+			this._map = null;
+		},
+
+		bringToFront: function () {
+			var pane = this._map._panes.tilePane;
+
+			if (this._container) {
+				pane.appendChild(this._container);
+				this._setAutoZIndex(pane, Math.max);
+			}
+
+			return this;
+		},
+
+		bringToBack: function () {
+			var pane = this._map._panes.tilePane;
+
+			if (this._container) {
+				pane.insertBefore(this._container, pane.firstChild);
+				this._setAutoZIndex(pane, Math.min);
+			}
+
+			return this;
+		},
+
+		getAttribution: function () {
+			return this.options.attribution;
+		},
+
+		getContainer: function () {
+			return this._container;
+		},
+
+		setOpacity: function (opacity) {
+			this.options.opacity = opacity;
+
+			if (this._map) {
+				this._updateOpacity();
+			}
+
+			return this;
+		},
+
+		setZIndex: function (zIndex) {
+			this.options.zIndex = zIndex;
+			this._updateZIndex();
+
+			return this;
+		},
+
+		setUrl: function (url, noRedraw) {
+			this._url = url;
+
+			if (!noRedraw) {
+				this.redraw();
+			}
+
+			return this;
+		},
+
+		redraw: function () {
+			if (this._map) {
+				this._reset({hard: true});
+				this._update();
+			}
+			return this;
+		},
+
+		_updateZIndex: function () {
+			if (this._container && this.options.zIndex !== undefined) {
+				this._container.style.zIndex = this.options.zIndex;
+			}
+		},
+
+		_setAutoZIndex: function (pane, compare) {
+
+			var layers = pane.children,
+			    edgeZIndex = -compare(Infinity, -Infinity), // -Infinity for max, Infinity for min
+			    zIndex, i, len;
+
+			for (i = 0, len = layers.length; i < len; i++) {
+
+				if (layers[i] !== this._container) {
+					zIndex = parseInt(layers[i].style.zIndex, 10);
+
+					if (!isNaN(zIndex)) {
+						edgeZIndex = compare(edgeZIndex, zIndex);
+					}
+				}
+			}
+
+			this.options.zIndex = this._container.style.zIndex =
+			        (isFinite(edgeZIndex) ? edgeZIndex : 0) + compare(1, -1);
+		},
+
+		_updateOpacity: function () {
+			var i,
+			    tiles = this._tiles;
+
+			if (L.Browser.ielt9) {
+				for (i in tiles) {
+					L.DomUtil.setOpacity(tiles[i], this.options.opacity);
+				}
+			} else {
+				L.DomUtil.setOpacity(this._container, this.options.opacity);
+			}
+		},
+
+		_initContainer: function () {
+			var tilePane = this._map._panes.tilePane;
+
+			if (!this._container) {
+				this._container = L.DomUtil.create('div', 'leaflet-layer');
+
+				this._updateZIndex();
+
+				if (this._animated) {
+					var className = 'leaflet-tile-container';
+
+					this._bgBuffer = L.DomUtil.create('div', className, this._container);
+					this._tileContainer = L.DomUtil.create('div', className, this._container);
+
+				} else {
+					this._tileContainer = this._container;
+				}
+
+				tilePane.appendChild(this._container);
+
+				if (this.options.opacity < 1) {
+					this._updateOpacity();
+				}
+			}
+		},
+
+		_reset: function (e) {
+			for (var key in this._tiles) {
+				this.fire('tileunload', {tile: this._tiles[key]});
+			}
+
+			this._tiles = {};
+			this._tilesToLoad = 0;
+
+			if (this.options.reuseTiles) {
+				this._unusedTiles = [];
+			}
+
+			this._tileContainer.innerHTML = '';
+
+			if (this._animated && e && e.hard) {
+				this._clearBgBuffer();
+			}
+
+			this._initContainer();
+		},
+
+		_getTileSize: function () {
+			var map = this._map,
+			    zoom = map.getZoom() + this.options.zoomOffset,
+			    zoomN = this.options.maxNativeZoom,
+			    tileSize = this.options.tileSize;
+
+			if (zoomN && zoom > zoomN) {
+				tileSize = Math.round(map.getZoomScale(zoom) / map.getZoomScale(zoomN) * tileSize);
+			}
+
+			return tileSize;
+		},
+
+		_update: function () {
+
+			if (!this._map) { return; }
+
+			var map = this._map,
+			    bounds = map.getPixelBounds(),
+			    zoom = map.getZoom(),
+			    tileSize = this._getTileSize();
+
+			if (zoom > this.options.maxZoom || zoom < this.options.minZoom) {
+				return;
+			}
+
+			var tileBounds = L.bounds(
+			        bounds.min.divideBy(tileSize)._floor(),
+			        bounds.max.divideBy(tileSize)._floor());
+
+			this._addTilesFromCenterOut(tileBounds);
+
+			if (this.options.unloadInvisibleTiles || this.options.reuseTiles) {
+				this._removeOtherTiles(tileBounds);
+			}
+		},
+
+		_addTilesFromCenterOut: function (bounds) {
+			var queue = [],
+			    center = bounds.getCenter();
+
+			var j, i, point;
+
+			for (j = bounds.min.y; j <= bounds.max.y; j++) {
+				for (i = bounds.min.x; i <= bounds.max.x; i++) {
+					point = new L.Point(i, j);
+
+					if (this._tileShouldBeLoaded(point)) {
+						queue.push(point);
+					}
+				}
+			}
+
+			var tilesToLoad = queue.length;
+
+			if (tilesToLoad === 0) { return; }
+
+			// load tiles in order of their distance to center
+			queue.sort(function (a, b) {
+				return a.distanceTo(center) - b.distanceTo(center);
+			});
+
+			var fragment = document.createDocumentFragment();
+
+			// if its the first batch of tiles to load
+			if (!this._tilesToLoad) {
+				this.fire('loading');
+			}
+
+			this._tilesToLoad += tilesToLoad;
+
+			for (i = 0; i < tilesToLoad; i++) {
+				this._addTile(queue[i], fragment);
+			}
+
+			this._tileContainer.appendChild(fragment);
+		},
+
+		_tileShouldBeLoaded: function (tilePoint) {
+			if ((tilePoint.x + ':' + tilePoint.y) in this._tiles) {
+				return false; // already loaded
+			}
+
+			var options = this.options;
+
+			if (!options.continuousWorld) {
+				var limit = this._getWrapTileNum();
+
+				// don't load if exceeds world bounds
+				if ((options.noWrap && (tilePoint.x < 0 || tilePoint.x >= limit.x)) ||
+					tilePoint.y < 0 || tilePoint.y >= limit.y) { return false; }
+			}
+
+			if (options.bounds) {
+				var tileSize = this._getTileSize(),
+				    nwPoint = tilePoint.multiplyBy(tileSize),
+				    sePoint = nwPoint.add([tileSize, tileSize]),
+				    nw = this._map.unproject(nwPoint),
+				    se = this._map.unproject(sePoint);
+
+				// TODO temporary hack, will be removed after refactoring projections
+				// https://github.com/Leaflet/Leaflet/issues/1618
+				if (!options.continuousWorld && !options.noWrap) {
+					nw = nw.wrap();
+					se = se.wrap();
+				}
+
+				if (!options.bounds.intersects([nw, se])) { return false; }
+			}
+
+			return true;
+		},
+
+		_removeOtherTiles: function (bounds) {
+			var kArr, x, y, key;
+
+			for (key in this._tiles) {
+				kArr = key.split(':');
+				x = parseInt(kArr[0], 10);
+				y = parseInt(kArr[1], 10);
+
+				// remove tile if it's out of bounds
+				if (x < bounds.min.x || x > bounds.max.x || y < bounds.min.y || y > bounds.max.y) {
+					this._removeTile(key);
+				}
+			}
+		},
+
+		_removeTile: function (key) {
+			var tile = this._tiles[key];
+
+			this.fire('tileunload', {tile: tile, url: tile.src});
+
+			if (this.options.reuseTiles) {
+				L.DomUtil.removeClass(tile, 'leaflet-tile-loaded');
+				this._unusedTiles.push(tile);
+
+			} else if (tile.parentNode === this._tileContainer) {
+				this._tileContainer.removeChild(tile);
+			}
+
+			// for https://github.com/CloudMade/Leaflet/issues/137
+			if (!L.Browser.android) {
+				tile.onload = null;
+				tile.src = L.Util.emptyImageUrl;
+			}
+
+			delete this._tiles[key];
+		},
+
+		_addTile: function (tilePoint, container) {
+			var tilePos = this._getTilePos(tilePoint);
+
+			// get unused tile - or create a new tile
+			var tile = this._getTile();
+
+			/*
+			Chrome 20 layouts much faster with top/left (verify with timeline, frames)
+			Android 4 browser has display issues with top/left and requires transform instead
+			(other browsers don't currently care) - see debug/hacks/jitter.html for an example
+			*/
+			L.DomUtil.setPosition(tile, tilePos, L.Browser.chrome);
+
+			this._tiles[tilePoint.x + ':' + tilePoint.y] = tile;
+
+			this._loadTile(tile, tilePoint);
+
+			if (tile.parentNode !== this._tileContainer) {
+				container.appendChild(tile);
+			}
+		},
+
+		_getZoomForUrl: function () {
+
+			var options = this.options,
+			    zoom = this._map.getZoom();
+
+			if (options.zoomReverse) {
+				zoom = options.maxZoom - zoom;
+			}
+
+			zoom += options.zoomOffset;
+
+			return options.maxNativeZoom ? Math.min(zoom, options.maxNativeZoom) : zoom;
+		},
+
+		_getTilePos: function (tilePoint) {
+			var origin = this._map.getPixelOrigin(),
+			    tileSize = this._getTileSize();
+
+			return tilePoint.multiplyBy(tileSize).subtract(origin);
+		},
+
+		// image-specific code (override to implement e.g. Canvas or SVG tile layer)
+
+		getTileUrl: function (tilePoint) {
+			return L.Util.template(this._url, L.extend({
+				s: this._getSubdomain(tilePoint),
+				z: tilePoint.z,
+				x: tilePoint.x,
+				y: tilePoint.y
+			}, this.options));
+		},
+
+		_getWrapTileNum: function () {
+			var crs = this._map.options.crs,
+			    size = crs.getSize(this._map.getZoom());
+			return size.divideBy(this._getTileSize())._floor();
+		},
+
+		_adjustTilePoint: function (tilePoint) {
+
+			var limit = this._getWrapTileNum();
+
+			// wrap tile coordinates
+			if (!this.options.continuousWorld && !this.options.noWrap) {
+				tilePoint.x = ((tilePoint.x % limit.x) + limit.x) % limit.x;
+			}
+
+			if (this.options.tms) {
+				tilePoint.y = limit.y - tilePoint.y - 1;
+			}
+
+			tilePoint.z = this._getZoomForUrl();
+		},
+
+		_getSubdomain: function (tilePoint) {
+			var index = Math.abs(tilePoint.x + tilePoint.y) % this.options.subdomains.length;
+			return this.options.subdomains[index];
+		},
+
+		_getTile: function () {
+			if (this.options.reuseTiles && this._unusedTiles.length > 0) {
+				var tile = this._unusedTiles.pop();
+				this._resetTile(tile);
+				return tile;
+			}
+			return this._createTile();
+		},
+
+		// Override if data stored on a tile needs to be cleaned up before reuse
+		_resetTile: function (/*tile*/) {},
+
+		_createTile: function () {
+			var tile = L.DomUtil.create('img', 'leaflet-tile');
+			tile.style.width = tile.style.height = this._getTileSize() + 'px';
+			tile.galleryimg = 'no';
+
+			tile.onselectstart = tile.onmousemove = L.Util.falseFn;
+
+			if (L.Browser.ielt9 && this.options.opacity !== undefined) {
+				L.DomUtil.setOpacity(tile, this.options.opacity);
+			}
+			// without this hack, tiles disappear after zoom on Chrome for Android
+			// https://github.com/Leaflet/Leaflet/issues/2078
+			if (L.Browser.mobileWebkit3d) {
+				tile.style.WebkitBackfaceVisibility = 'hidden';
+			}
+			return tile;
+		},
+
+		_loadTile: function (tile, tilePoint) {
+			tile._layer  = this;
+			tile.onload  = this._tileOnLoad;
+			tile.onerror = this._tileOnError;
+
+			this._adjustTilePoint(tilePoint);
+			tile.src     = this.getTileUrl(tilePoint);
+
+			this.fire('tileloadstart', {
+				tile: tile,
+				url: tile.src
+			});
+		},
+
+		_tileLoaded: function () {
+			this._tilesToLoad--;
+
+			if (this._animated) {
+				L.DomUtil.addClass(this._tileContainer, 'leaflet-zoom-animated');
+			}
+
+			if (!this._tilesToLoad) {
+				this.fire('load');
+
+				if (this._animated) {
+					// clear scaled tiles after all new tiles are loaded (for performance)
+					clearTimeout(this._clearBgBufferTimer);
+					this._clearBgBufferTimer = setTimeout(L.bind(this._clearBgBuffer, this), 500);
+				}
+			}
+		},
+
+		_tileOnLoad: function () {
+			var layer = this._layer;
+
+			//Only if we are loading an actual image
+			if (this.src !== L.Util.emptyImageUrl) {
+				L.DomUtil.addClass(this, 'leaflet-tile-loaded');
+
+				layer.fire('tileload', {
+					tile: this,
+					url: this.src
+				});
+			}
+
+			layer._tileLoaded();
+		},
+
+		_tileOnError: function () {
+			var layer = this._layer;
+
+			layer.fire('tileerror', {
+				tile: this,
+				url: this.src
+			});
+
+			var newUrl = layer.options.errorTileUrl;
+			if (newUrl) {
+				this.src = newUrl;
+			}
+
+			layer._tileLoaded();
+		}
+	});
+
+	L.tileLayer = function (url, options) {
+		return new L.TileLayer(url, options);
+	};
+
+
+	/*
+	 * L.TileLayer.WMS is used for putting WMS tile layers on the map.
+	 */
+
+	L.TileLayer.WMS = L.TileLayer.extend({
+
+		defaultWmsParams: {
+			service: 'WMS',
+			request: 'GetMap',
+			version: '1.1.1',
+			layers: '',
+			styles: '',
+			format: 'image/jpeg',
+			transparent: false
+		},
+
+		initialize: function (url, options) { // (String, Object)
+
+			this._url = url;
+
+			var wmsParams = L.extend({}, this.defaultWmsParams),
+			    tileSize = options.tileSize || this.options.tileSize;
+
+			if (options.detectRetina && L.Browser.retina) {
+				wmsParams.width = wmsParams.height = tileSize * 2;
+			} else {
+				wmsParams.width = wmsParams.height = tileSize;
+			}
+
+			for (var i in options) {
+				// all keys that are not TileLayer options go to WMS params
+				if (!this.options.hasOwnProperty(i) && i !== 'crs') {
+					wmsParams[i] = options[i];
+				}
+			}
+
+			this.wmsParams = wmsParams;
+
+			L.setOptions(this, options);
+		},
+
+		onAdd: function (map) {
+
+			this._crs = this.options.crs || map.options.crs;
+
+			this._wmsVersion = parseFloat(this.wmsParams.version);
+
+			var projectionKey = this._wmsVersion >= 1.3 ? 'crs' : 'srs';
+			this.wmsParams[projectionKey] = this._crs.code;
+
+			L.TileLayer.prototype.onAdd.call(this, map);
+		},
+
+		getTileUrl: function (tilePoint) { // (Point, Number) -> String
+
+			var map = this._map,
+			    tileSize = this.options.tileSize,
+
+			    nwPoint = tilePoint.multiplyBy(tileSize),
+			    sePoint = nwPoint.add([tileSize, tileSize]),
+
+			    nw = this._crs.project(map.unproject(nwPoint, tilePoint.z)),
+			    se = this._crs.project(map.unproject(sePoint, tilePoint.z)),
+			    bbox = this._wmsVersion >= 1.3 && this._crs === L.CRS.EPSG4326 ?
+			        [se.y, nw.x, nw.y, se.x].join(',') :
+			        [nw.x, se.y, se.x, nw.y].join(','),
+
+			    url = L.Util.template(this._url, {s: this._getSubdomain(tilePoint)});
+
+			return url + L.Util.getParamString(this.wmsParams, url, true) + '&BBOX=' + bbox;
+		},
+
+		setParams: function (params, noRedraw) {
+
+			L.extend(this.wmsParams, params);
+
+			if (!noRedraw) {
+				this.redraw();
+			}
+
+			return this;
+		}
+	});
+
+	L.tileLayer.wms = function (url, options) {
+		return new L.TileLayer.WMS(url, options);
+	};
+
+
+	/*
+	 * L.TileLayer.Canvas is a class that you can use as a base for creating
+	 * dynamically drawn Canvas-based tile layers.
+	 */
+
+	L.TileLayer.Canvas = L.TileLayer.extend({
+		options: {
+			async: false
+		},
+
+		initialize: function (options) {
+			L.setOptions(this, options);
+		},
+
+		redraw: function () {
+			if (this._map) {
+				this._reset({hard: true});
+				this._update();
+			}
+
+			for (var i in this._tiles) {
+				this._redrawTile(this._tiles[i]);
+			}
+			return this;
+		},
+
+		_redrawTile: function (tile) {
+			this.drawTile(tile, tile._tilePoint, this._map._zoom);
+		},
+
+		_createTile: function () {
+			var tile = L.DomUtil.create('canvas', 'leaflet-tile');
+			tile.width = tile.height = this.options.tileSize;
+			tile.onselectstart = tile.onmousemove = L.Util.falseFn;
+			return tile;
+		},
+
+		_loadTile: function (tile, tilePoint) {
+			tile._layer = this;
+			tile._tilePoint = tilePoint;
+
+			this._redrawTile(tile);
+
+			if (!this.options.async) {
+				this.tileDrawn(tile);
+			}
+		},
+
+		drawTile: function (/*tile, tilePoint*/) {
+			// override with rendering code
+		},
+
+		tileDrawn: function (tile) {
+			this._tileOnLoad.call(tile);
+		}
+	});
+
+
+	L.tileLayer.canvas = function (options) {
+		return new L.TileLayer.Canvas(options);
+	};
+
+
+	/*
+	 * L.ImageOverlay is used to overlay images over the map (to specific geographical bounds).
+	 */
+
+	L.ImageOverlay = L.Class.extend({
+		includes: L.Mixin.Events,
+
+		options: {
+			opacity: 1
+		},
+
+		initialize: function (url, bounds, options) { // (String, LatLngBounds, Object)
+			this._url = url;
+			this._bounds = L.latLngBounds(bounds);
+
+			L.setOptions(this, options);
+		},
+
+		onAdd: function (map) {
+			this._map = map;
+
+			if (!this._image) {
+				this._initImage();
+			}
+
+			map._panes.overlayPane.appendChild(this._image);
+
+			map.on('viewreset', this._reset, this);
+
+			if (map.options.zoomAnimation && L.Browser.any3d) {
+				map.on('zoomanim', this._animateZoom, this);
+			}
+
+			this._reset();
+		},
+
+		onRemove: function (map) {
+			map.getPanes().overlayPane.removeChild(this._image);
+
+			map.off('viewreset', this._reset, this);
+
+			if (map.options.zoomAnimation) {
+				map.off('zoomanim', this._animateZoom, this);
+			}
+		},
+
+		addTo: function (map) {
+			map.addLayer(this);
+			return this;
+		},
+
+		setOpacity: function (opacity) {
+			this.options.opacity = opacity;
+			this._updateOpacity();
+			return this;
+		},
+
+		// TODO remove bringToFront/bringToBack duplication from TileLayer/Path
+		bringToFront: function () {
+			if (this._image) {
+				this._map._panes.overlayPane.appendChild(this._image);
+			}
+			return this;
+		},
+
+		bringToBack: function () {
+			var pane = this._map._panes.overlayPane;
+			if (this._image) {
+				pane.insertBefore(this._image, pane.firstChild);
+			}
+			return this;
+		},
+
+		setUrl: function (url) {
+			this._url = url;
+			this._image.src = this._url;
+		},
+
+		getAttribution: function () {
+			return this.options.attribution;
+		},
+
+		_initImage: function () {
+			this._image = L.DomUtil.create('img', 'leaflet-image-layer');
+
+			if (this._map.options.zoomAnimation && L.Browser.any3d) {
+				L.DomUtil.addClass(this._image, 'leaflet-zoom-animated');
+			} else {
+				L.DomUtil.addClass(this._image, 'leaflet-zoom-hide');
+			}
+
+			this._updateOpacity();
+
+			//TODO createImage util method to remove duplication
+			L.extend(this._image, {
+				galleryimg: 'no',
+				onselectstart: L.Util.falseFn,
+				onmousemove: L.Util.falseFn,
+				onload: L.bind(this._onImageLoad, this),
+				src: this._url
+			});
+		},
+
+		_animateZoom: function (e) {
+			var map = this._map,
+			    image = this._image,
+			    scale = map.getZoomScale(e.zoom),
+			    nw = this._bounds.getNorthWest(),
+			    se = this._bounds.getSouthEast(),
+
+			    topLeft = map._latLngToNewLayerPoint(nw, e.zoom, e.center),
+			    size = map._latLngToNewLayerPoint(se, e.zoom, e.center)._subtract(topLeft),
+			    origin = topLeft._add(size._multiplyBy((1 / 2) * (1 - 1 / scale)));
+
+			image.style[L.DomUtil.TRANSFORM] =
+			        L.DomUtil.getTranslateString(origin) + ' scale(' + scale + ') ';
+		},
+
+		_reset: function () {
+			var image   = this._image,
+			    topLeft = this._map.latLngToLayerPoint(this._bounds.getNorthWest()),
+			    size = this._map.latLngToLayerPoint(this._bounds.getSouthEast())._subtract(topLeft);
+
+			L.DomUtil.setPosition(image, topLeft);
+
+			image.style.width  = size.x + 'px';
+			image.style.height = size.y + 'px';
+		},
+
+		_onImageLoad: function () {
+			this.fire('load');
+		},
+
+		_updateOpacity: function () {
+			L.DomUtil.setOpacity(this._image, this.options.opacity);
+		}
+	});
+
+	L.imageOverlay = function (url, bounds, options) {
+		return new L.ImageOverlay(url, bounds, options);
+	};
+
+
+	/*
+	 * L.Icon is an image-based icon class that you can use with L.Marker for custom markers.
+	 */
+
+	L.Icon = L.Class.extend({
+		options: {
+			/*
+			iconUrl: (String) (required)
+			iconRetinaUrl: (String) (optional, used for retina devices if detected)
+			iconSize: (Point) (can be set through CSS)
+			iconAnchor: (Point) (centered by default, can be set in CSS with negative margins)
+			popupAnchor: (Point) (if not specified, popup opens in the anchor point)
+			shadowUrl: (String) (no shadow by default)
+			shadowRetinaUrl: (String) (optional, used for retina devices if detected)
+			shadowSize: (Point)
+			shadowAnchor: (Point)
+			*/
+			className: ''
+		},
+
+		initialize: function (options) {
+			L.setOptions(this, options);
+		},
+
+		createIcon: function (oldIcon) {
+			return this._createIcon('icon', oldIcon);
+		},
+
+		createShadow: function (oldIcon) {
+			return this._createIcon('shadow', oldIcon);
+		},
+
+		_createIcon: function (name, oldIcon) {
+			var src = this._getIconUrl(name);
+
+			if (!src) {
+				if (name === 'icon') {
+					throw new Error('iconUrl not set in Icon options (see the docs).');
+				}
+				return null;
+			}
+
+			var img;
+			if (!oldIcon || oldIcon.tagName !== 'IMG') {
+				img = this._createImg(src);
+			} else {
+				img = this._createImg(src, oldIcon);
+			}
+			this._setIconStyles(img, name);
+
+			return img;
+		},
+
+		_setIconStyles: function (img, name) {
+			var options = this.options,
+			    size = L.point(options[name + 'Size']),
+			    anchor;
+
+			if (name === 'shadow') {
+				anchor = L.point(options.shadowAnchor || options.iconAnchor);
+			} else {
+				anchor = L.point(options.iconAnchor);
+			}
+
+			if (!anchor && size) {
+				anchor = size.divideBy(2, true);
+			}
+
+			img.className = 'leaflet-marker-' + name + ' ' + options.className;
+
+			if (anchor) {
+				img.style.marginLeft = (-anchor.x) + 'px';
+				img.style.marginTop  = (-anchor.y) + 'px';
+			}
+
+			if (size) {
+				img.style.width  = size.x + 'px';
+				img.style.height = size.y + 'px';
+			}
+		},
+
+		_createImg: function (src, el) {
+			el = el || document.createElement('img');
+			el.src = src;
+			return el;
+		},
+
+		_getIconUrl: function (name) {
+			if (L.Browser.retina && this.options[name + 'RetinaUrl']) {
+				return this.options[name + 'RetinaUrl'];
+			}
+			return this.options[name + 'Url'];
+		}
+	});
+
+	L.icon = function (options) {
+		return new L.Icon(options);
+	};
+
+
+	/*
+	 * L.Icon.Default is the blue marker icon used by default in Leaflet.
+	 */
+
+	L.Icon.Default = L.Icon.extend({
+
+		options: {
+			iconSize: [25, 41],
+			iconAnchor: [12, 41],
+			popupAnchor: [1, -34],
+
+			shadowSize: [41, 41]
+		},
+
+		_getIconUrl: function (name) {
+			var key = name + 'Url';
+
+			if (this.options[key]) {
+				return this.options[key];
+			}
+
+			if (L.Browser.retina && name === 'icon') {
+				name += '-2x';
+			}
+
+			var path = L.Icon.Default.imagePath;
+
+			if (!path) {
+				throw new Error('Couldn\'t autodetect L.Icon.Default.imagePath, set it manually.');
+			}
+
+			return path + '/marker-' + name + '.png';
+		}
+	});
+
+	L.Icon.Default.imagePath = (function () {
+		var scripts = document.getElementsByTagName('script'),
+		    leafletRe = /[\/^]leaflet[\-\._]?([\w\-\._]*)\.js\??/;
+
+		var i, len, src, matches, path;
+
+		for (i = 0, len = scripts.length; i < len; i++) {
+			src = scripts[i].src;
+			matches = src.match(leafletRe);
+
+			if (matches) {
+				path = src.split(leafletRe)[0];
+				return (path ? path + '/' : '') + 'images';
+			}
+		}
+	}());
+
+
+	/*
+	 * L.Marker is used to display clickable/draggable icons on the map.
+	 */
+
+	L.Marker = L.Class.extend({
+
+		includes: L.Mixin.Events,
+
+		options: {
+			icon: new L.Icon.Default(),
+			title: '',
+			alt: '',
+			clickable: true,
+			draggable: false,
+			keyboard: true,
+			zIndexOffset: 0,
+			opacity: 1,
+			riseOnHover: false,
+			riseOffset: 250
+		},
+
+		initialize: function (latlng, options) {
+			L.setOptions(this, options);
+			this._latlng = L.latLng(latlng);
+		},
+
+		onAdd: function (map) {
+			this._map = map;
+
+			map.on('viewreset', this.update, this);
+
+			this._initIcon();
+			this.update();
+			this.fire('add');
+
+			if (map.options.zoomAnimation && map.options.markerZoomAnimation) {
+				map.on('zoomanim', this._animateZoom, this);
+			}
+		},
+
+		addTo: function (map) {
+			map.addLayer(this);
+			return this;
+		},
+
+		onRemove: function (map) {
+			if (this.dragging) {
+				this.dragging.disable();
+			}
+
+			this._removeIcon();
+			this._removeShadow();
+
+			this.fire('remove');
+
+			map.off({
+				'viewreset': this.update,
+				'zoomanim': this._animateZoom
+			}, this);
+
+			this._map = null;
+		},
+
+		getLatLng: function () {
+			return this._latlng;
+		},
+
+		setLatLng: function (latlng) {
+			this._latlng = L.latLng(latlng);
+
+			this.update();
+
+			return this.fire('move', { latlng: this._latlng });
+		},
+
+		setZIndexOffset: function (offset) {
+			this.options.zIndexOffset = offset;
+			this.update();
+
+			return this;
+		},
+
+		setIcon: function (icon) {
+
+			this.options.icon = icon;
+
+			if (this._map) {
+				this._initIcon();
+				this.update();
+			}
+
+			if (this._popup) {
+				this.bindPopup(this._popup);
+			}
+
+			return this;
+		},
+
+		update: function () {
+			if (this._icon) {
+				this._setPos(this._map.latLngToLayerPoint(this._latlng).round());
+			}
+			return this;
+		},
+
+		_initIcon: function () {
+			var options = this.options,
+			    map = this._map,
+			    animation = (map.options.zoomAnimation && map.options.markerZoomAnimation),
+			    classToAdd = animation ? 'leaflet-zoom-animated' : 'leaflet-zoom-hide';
+
+			var icon = options.icon.createIcon(this._icon),
+				addIcon = false;
+
+			// if we're not reusing the icon, remove the old one and init new one
+			if (icon !== this._icon) {
+				if (this._icon) {
+					this._removeIcon();
+				}
+				addIcon = true;
+
+				if (options.title) {
+					icon.title = options.title;
+				}
+
+				if (options.alt) {
+					icon.alt = options.alt;
+				}
+			}
+
+			L.DomUtil.addClass(icon, classToAdd);
+
+			if (options.keyboard) {
+				icon.tabIndex = '0';
+			}
+
+			this._icon = icon;
+
+			this._initInteraction();
+
+			if (options.riseOnHover) {
+				L.DomEvent
+					.on(icon, 'mouseover', this._bringToFront, this)
+					.on(icon, 'mouseout', this._resetZIndex, this);
+			}
+
+			var newShadow = options.icon.createShadow(this._shadow),
+				addShadow = false;
+
+			if (newShadow !== this._shadow) {
+				this._removeShadow();
+				addShadow = true;
+			}
+
+			if (newShadow) {
+				L.DomUtil.addClass(newShadow, classToAdd);
+			}
+			this._shadow = newShadow;
+
+
+			if (options.opacity < 1) {
+				this._updateOpacity();
+			}
+
+
+			var panes = this._map._panes;
+
+			if (addIcon) {
+				panes.markerPane.appendChild(this._icon);
+			}
+
+			if (newShadow && addShadow) {
+				panes.shadowPane.appendChild(this._shadow);
+			}
+		},
+
+		_removeIcon: function () {
+			if (this.options.riseOnHover) {
+				L.DomEvent
+				    .off(this._icon, 'mouseover', this._bringToFront)
+				    .off(this._icon, 'mouseout', this._resetZIndex);
+			}
+
+			this._map._panes.markerPane.removeChild(this._icon);
+
+			this._icon = null;
+		},
+
+		_removeShadow: function () {
+			if (this._shadow) {
+				this._map._panes.shadowPane.removeChild(this._shadow);
+			}
+			this._shadow = null;
+		},
+
+		_setPos: function (pos) {
+			L.DomUtil.setPosition(this._icon, pos);
+
+			if (this._shadow) {
+				L.DomUtil.setPosition(this._shadow, pos);
+			}
+
+			this._zIndex = pos.y + this.options.zIndexOffset;
+
+			this._resetZIndex();
+		},
+
+		_updateZIndex: function (offset) {
+			this._icon.style.zIndex = this._zIndex + offset;
+		},
+
+		_animateZoom: function (opt) {
+			var pos = this._map._latLngToNewLayerPoint(this._latlng, opt.zoom, opt.center).round();
+
+			this._setPos(pos);
+		},
+
+		_initInteraction: function () {
+
+			if (!this.options.clickable) { return; }
+
+			// TODO refactor into something shared with Map/Path/etc. to DRY it up
+
+			var icon = this._icon,
+			    events = ['dblclick', 'mousedown', 'mouseover', 'mouseout', 'contextmenu'];
+
+			L.DomUtil.addClass(icon, 'leaflet-clickable');
+			L.DomEvent.on(icon, 'click', this._onMouseClick, this);
+			L.DomEvent.on(icon, 'keypress', this._onKeyPress, this);
+
+			for (var i = 0; i < events.length; i++) {
+				L.DomEvent.on(icon, events[i], this._fireMouseEvent, this);
+			}
+
+			if (L.Handler.MarkerDrag) {
+				this.dragging = new L.Handler.MarkerDrag(this);
+
+				if (this.options.draggable) {
+					this.dragging.enable();
+				}
+			}
+		},
+
+		_onMouseClick: function (e) {
+			var wasDragged = this.dragging && this.dragging.moved();
+
+			if (this.hasEventListeners(e.type) || wasDragged) {
+				L.DomEvent.stopPropagation(e);
+			}
+
+			if (wasDragged) { return; }
+
+			if ((!this.dragging || !this.dragging._enabled) && this._map.dragging && this._map.dragging.moved()) { return; }
+
+			this.fire(e.type, {
+				originalEvent: e,
+				latlng: this._latlng
+			});
+		},
+
+		_onKeyPress: function (e) {
+			if (e.keyCode === 13) {
+				this.fire('click', {
+					originalEvent: e,
+					latlng: this._latlng
+				});
+			}
+		},
+
+		_fireMouseEvent: function (e) {
+
+			this.fire(e.type, {
+				originalEvent: e,
+				latlng: this._latlng
+			});
+
+			// TODO proper custom event propagation
+			// this line will always be called if marker is in a FeatureGroup
+			if (e.type === 'contextmenu' && this.hasEventListeners(e.type)) {
+				L.DomEvent.preventDefault(e);
+			}
+			if (e.type !== 'mousedown') {
+				L.DomEvent.stopPropagation(e);
+			} else {
+				L.DomEvent.preventDefault(e);
+			}
+		},
+
+		setOpacity: function (opacity) {
+			this.options.opacity = opacity;
+			if (this._map) {
+				this._updateOpacity();
+			}
+
+			return this;
+		},
+
+		_updateOpacity: function () {
+			L.DomUtil.setOpacity(this._icon, this.options.opacity);
+			if (this._shadow) {
+				L.DomUtil.setOpacity(this._shadow, this.options.opacity);
+			}
+		},
+
+		_bringToFront: function () {
+			this._updateZIndex(this.options.riseOffset);
+		},
+
+		_resetZIndex: function () {
+			this._updateZIndex(0);
+		}
+	});
+
+	L.marker = function (latlng, options) {
+		return new L.Marker(latlng, options);
+	};
+
+
+	/*
+	 * L.DivIcon is a lightweight HTML-based icon class (as opposed to the image-based L.Icon)
+	 * to use with L.Marker.
+	 */
+
+	L.DivIcon = L.Icon.extend({
+		options: {
+			iconSize: [12, 12], // also can be set through CSS
+			/*
+			iconAnchor: (Point)
+			popupAnchor: (Point)
+			html: (String)
+			bgPos: (Point)
+			*/
+			className: 'leaflet-div-icon',
+			html: false
+		},
+
+		createIcon: function (oldIcon) {
+			var div = (oldIcon && oldIcon.tagName === 'DIV') ? oldIcon : document.createElement('div'),
+			    options = this.options;
+
+			if (options.html !== false) {
+				div.innerHTML = options.html;
+			} else {
+				div.innerHTML = '';
+			}
+
+			if (options.bgPos) {
+				div.style.backgroundPosition =
+				        (-options.bgPos.x) + 'px ' + (-options.bgPos.y) + 'px';
+			}
+
+			this._setIconStyles(div, 'icon');
+			return div;
+		},
+
+		createShadow: function () {
+			return null;
+		}
+	});
+
+	L.divIcon = function (options) {
+		return new L.DivIcon(options);
+	};
+
+
+	/*
+	 * L.Popup is used for displaying popups on the map.
+	 */
+
+	L.Map.mergeOptions({
+		closePopupOnClick: true
+	});
+
+	L.Popup = L.Class.extend({
+		includes: L.Mixin.Events,
+
+		options: {
+			minWidth: 50,
+			maxWidth: 300,
+			// maxHeight: null,
+			autoPan: true,
+			closeButton: true,
+			offset: [0, 7],
+			autoPanPadding: [5, 5],
+			// autoPanPaddingTopLeft: null,
+			// autoPanPaddingBottomRight: null,
+			keepInView: false,
+			className: '',
+			zoomAnimation: true
+		},
+
+		initialize: function (options, source) {
+			L.setOptions(this, options);
+
+			this._source = source;
+			this._animated = L.Browser.any3d && this.options.zoomAnimation;
+			this._isOpen = false;
+		},
+
+		onAdd: function (map) {
+			this._map = map;
+
+			if (!this._container) {
+				this._initLayout();
+			}
+
+			var animFade = map.options.fadeAnimation;
+
+			if (animFade) {
+				L.DomUtil.setOpacity(this._container, 0);
+			}
+			map._panes.popupPane.appendChild(this._container);
+
+			map.on(this._getEvents(), this);
+
+			this.update();
+
+			if (animFade) {
+				L.DomUtil.setOpacity(this._container, 1);
+			}
+
+			this.fire('open');
+
+			map.fire('popupopen', {popup: this});
+
+			if (this._source) {
+				this._source.fire('popupopen', {popup: this});
+			}
+		},
+
+		addTo: function (map) {
+			map.addLayer(this);
+			return this;
+		},
+
+		openOn: function (map) {
+			map.openPopup(this);
+			return this;
+		},
+
+		onRemove: function (map) {
+			map._panes.popupPane.removeChild(this._container);
+
+			L.Util.falseFn(this._container.offsetWidth); // force reflow
+
+			map.off(this._getEvents(), this);
+
+			if (map.options.fadeAnimation) {
+				L.DomUtil.setOpacity(this._container, 0);
+			}
+
+			this._map = null;
+
+			this.fire('close');
+
+			map.fire('popupclose', {popup: this});
+
+			if (this._source) {
+				this._source.fire('popupclose', {popup: this});
+			}
+		},
+
+		getLatLng: function () {
+			return this._latlng;
+		},
+
+		setLatLng: function (latlng) {
+			this._latlng = L.latLng(latlng);
+			if (this._map) {
+				this._updatePosition();
+				this._adjustPan();
+			}
+			return this;
+		},
+
+		getContent: function () {
+			return this._content;
+		},
+
+		setContent: function (content) {
+			this._content = content;
+			this.update();
+			return this;
+		},
+
+		update: function () {
+			if (!this._map) { return; }
+
+			this._container.style.visibility = 'hidden';
+
+			this._updateContent();
+			this._updateLayout();
+			this._updatePosition();
+
+			this._container.style.visibility = '';
+
+			this._adjustPan();
+		},
+
+		_getEvents: function () {
+			var events = {
+				viewreset: this._updatePosition
+			};
+
+			if (this._animated) {
+				events.zoomanim = this._zoomAnimation;
+			}
+			if ('closeOnClick' in this.options ? this.options.closeOnClick : this._map.options.closePopupOnClick) {
+				events.preclick = this._close;
+			}
+			if (this.options.keepInView) {
+				events.moveend = this._adjustPan;
+			}
+
+			return events;
+		},
+
+		_close: function () {
+			if (this._map) {
+				this._map.closePopup(this);
+			}
+		},
+
+		_initLayout: function () {
+			var prefix = 'leaflet-popup',
+				containerClass = prefix + ' ' + this.options.className + ' leaflet-zoom-' +
+				        (this._animated ? 'animated' : 'hide'),
+				container = this._container = L.DomUtil.create('div', containerClass),
+				closeButton;
+
+			if (this.options.closeButton) {
+				closeButton = this._closeButton =
+				        L.DomUtil.create('a', prefix + '-close-button', container);
+				closeButton.href = '#close';
+				closeButton.innerHTML = '&#215;';
+				L.DomEvent.disableClickPropagation(closeButton);
+
+				L.DomEvent.on(closeButton, 'click', this._onCloseButtonClick, this);
+			}
+
+			var wrapper = this._wrapper =
+			        L.DomUtil.create('div', prefix + '-content-wrapper', container);
+			L.DomEvent.disableClickPropagation(wrapper);
+
+			this._contentNode = L.DomUtil.create('div', prefix + '-content', wrapper);
+
+			L.DomEvent.disableScrollPropagation(this._contentNode);
+			L.DomEvent.on(wrapper, 'contextmenu', L.DomEvent.stopPropagation);
+
+			this._tipContainer = L.DomUtil.create('div', prefix + '-tip-container', container);
+			this._tip = L.DomUtil.create('div', prefix + '-tip', this._tipContainer);
+		},
+
+		_updateContent: function () {
+			if (!this._content) { return; }
+
+			if (typeof this._content === 'string') {
+				this._contentNode.innerHTML = this._content;
+			} else {
+				while (this._contentNode.hasChildNodes()) {
+					this._contentNode.removeChild(this._contentNode.firstChild);
+				}
+				this._contentNode.appendChild(this._content);
+			}
+			this.fire('contentupdate');
+		},
+
+		_updateLayout: function () {
+			var container = this._contentNode,
+			    style = container.style;
+
+			style.width = '';
+			style.whiteSpace = 'nowrap';
+
+			var width = container.offsetWidth;
+			width = Math.min(width, this.options.maxWidth);
+			width = Math.max(width, this.options.minWidth);
+
+			style.width = (width + 1) + 'px';
+			style.whiteSpace = '';
+
+			style.height = '';
+
+			var height = container.offsetHeight,
+			    maxHeight = this.options.maxHeight,
+			    scrolledClass = 'leaflet-popup-scrolled';
+
+			if (maxHeight && height > maxHeight) {
+				style.height = maxHeight + 'px';
+				L.DomUtil.addClass(container, scrolledClass);
+			} else {
+				L.DomUtil.removeClass(container, scrolledClass);
+			}
+
+			this._containerWidth = this._container.offsetWidth;
+		},
+
+		_updatePosition: function () {
+			if (!this._map) { return; }
+
+			var pos = this._map.latLngToLayerPoint(this._latlng),
+			    animated = this._animated,
+			    offset = L.point(this.options.offset);
+
+			if (animated) {
+				L.DomUtil.setPosition(this._container, pos);
+			}
+
+			this._containerBottom = -offset.y - (animated ? 0 : pos.y);
+			this._containerLeft = -Math.round(this._containerWidth / 2) + offset.x + (animated ? 0 : pos.x);
+
+			// bottom position the popup in case the height of the popup changes (images loading etc)
+			this._container.style.bottom = this._containerBottom + 'px';
+			this._container.style.left = this._containerLeft + 'px';
+		},
+
+		_zoomAnimation: function (opt) {
+			var pos = this._map._latLngToNewLayerPoint(this._latlng, opt.zoom, opt.center);
+
+			L.DomUtil.setPosition(this._container, pos);
+		},
+
+		_adjustPan: function () {
+			if (!this.options.autoPan) { return; }
+
+			var map = this._map,
+			    containerHeight = this._container.offsetHeight,
+			    containerWidth = this._containerWidth,
+
+			    layerPos = new L.Point(this._containerLeft, -containerHeight - this._containerBottom);
+
+			if (this._animated) {
+				layerPos._add(L.DomUtil.getPosition(this._container));
+			}
+
+			var containerPos = map.layerPointToContainerPoint(layerPos),
+			    padding = L.point(this.options.autoPanPadding),
+			    paddingTL = L.point(this.options.autoPanPaddingTopLeft || padding),
+			    paddingBR = L.point(this.options.autoPanPaddingBottomRight || padding),
+			    size = map.getSize(),
+			    dx = 0,
+			    dy = 0;
+
+			if (containerPos.x + containerWidth + paddingBR.x > size.x) { // right
+				dx = containerPos.x + containerWidth - size.x + paddingBR.x;
+			}
+			if (containerPos.x - dx - paddingTL.x < 0) { // left
+				dx = containerPos.x - paddingTL.x;
+			}
+			if (containerPos.y + containerHeight + paddingBR.y > size.y) { // bottom
+				dy = containerPos.y + containerHeight - size.y + paddingBR.y;
+			}
+			if (containerPos.y - dy - paddingTL.y < 0) { // top
+				dy = containerPos.y - paddingTL.y;
+			}
+
+			if (dx || dy) {
+				map
+				    .fire('autopanstart')
+				    .panBy([dx, dy]);
+			}
+		},
+
+		_onCloseButtonClick: function (e) {
+			this._close();
+			L.DomEvent.stop(e);
+		}
+	});
+
+	L.popup = function (options, source) {
+		return new L.Popup(options, source);
+	};
+
+
+	L.Map.include({
+		openPopup: function (popup, latlng, options) { // (Popup) or (String || HTMLElement, LatLng[, Object])
+			this.closePopup();
+
+			if (!(popup instanceof L.Popup)) {
+				var content = popup;
+
+				popup = new L.Popup(options)
+				    .setLatLng(latlng)
+				    .setContent(content);
+			}
+			popup._isOpen = true;
+
+			this._popup = popup;
+			return this.addLayer(popup);
+		},
+
+		closePopup: function (popup) {
+			if (!popup || popup === this._popup) {
+				popup = this._popup;
+				this._popup = null;
+			}
+			if (popup) {
+				this.removeLayer(popup);
+				popup._isOpen = false;
+			}
+			return this;
+		}
+	});
+
+
+	/*
+	 * Popup extension to L.Marker, adding popup-related methods.
+	 */
+
+	L.Marker.include({
+		openPopup: function () {
+			if (this._popup && this._map && !this._map.hasLayer(this._popup)) {
+				this._popup.setLatLng(this._latlng);
+				this._map.openPopup(this._popup);
+			}
+
+			return this;
+		},
+
+		closePopup: function () {
+			if (this._popup) {
+				this._popup._close();
+			}
+			return this;
+		},
+
+		togglePopup: function () {
+			if (this._popup) {
+				if (this._popup._isOpen) {
+					this.closePopup();
+				} else {
+					this.openPopup();
+				}
+			}
+			return this;
+		},
+
+		bindPopup: function (content, options) {
+			var anchor = L.point(this.options.icon.options.popupAnchor || [0, 0]);
+
+			anchor = anchor.add(L.Popup.prototype.options.offset);
+
+			if (options && options.offset) {
+				anchor = anchor.add(options.offset);
+			}
+
+			options = L.extend({offset: anchor}, options);
+
+			if (!this._popupHandlersAdded) {
+				this
+				    .on('click', this.togglePopup, this)
+				    .on('remove', this.closePopup, this)
+				    .on('move', this._movePopup, this);
+				this._popupHandlersAdded = true;
+			}
+
+			if (content instanceof L.Popup) {
+				L.setOptions(content, options);
+				this._popup = content;
+				content._source = this;
+			} else {
+				this._popup = new L.Popup(options, this)
+					.setContent(content);
+			}
+
+			return this;
+		},
+
+		setPopupContent: function (content) {
+			if (this._popup) {
+				this._popup.setContent(content);
+			}
+			return this;
+		},
+
+		unbindPopup: function () {
+			if (this._popup) {
+				this._popup = null;
+				this
+				    .off('click', this.togglePopup, this)
+				    .off('remove', this.closePopup, this)
+				    .off('move', this._movePopup, this);
+				this._popupHandlersAdded = false;
+			}
+			return this;
+		},
+
+		getPopup: function () {
+			return this._popup;
+		},
+
+		_movePopup: function (e) {
+			this._popup.setLatLng(e.latlng);
+		}
+	});
+
+
+	/*
+	 * L.LayerGroup is a class to combine several layers into one so that
+	 * you can manipulate the group (e.g. add/remove it) as one layer.
+	 */
+
+	L.LayerGroup = L.Class.extend({
+		initialize: function (layers) {
+			this._layers = {};
+
+			var i, len;
+
+			if (layers) {
+				for (i = 0, len = layers.length; i < len; i++) {
+					this.addLayer(layers[i]);
+				}
+			}
+		},
+
+		addLayer: function (layer) {
+			var id = this.getLayerId(layer);
+
+			this._layers[id] = layer;
+
+			if (this._map) {
+				this._map.addLayer(layer);
+			}
+
+			return this;
+		},
+
+		removeLayer: function (layer) {
+			var id = layer in this._layers ? layer : this.getLayerId(layer);
+
+			if (this._map && this._layers[id]) {
+				this._map.removeLayer(this._layers[id]);
+			}
+
+			delete this._layers[id];
+
+			return this;
+		},
+
+		hasLayer: function (layer) {
+			if (!layer) { return false; }
+
+			return (layer in this._layers || this.getLayerId(layer) in this._layers);
+		},
+
+		clearLayers: function () {
+			this.eachLayer(this.removeLayer, this);
+			return this;
+		},
+
+		invoke: function (methodName) {
+			var args = Array.prototype.slice.call(arguments, 1),
+			    i, layer;
+
+			for (i in this._layers) {
+				layer = this._layers[i];
+
+				if (layer[methodName]) {
+					layer[methodName].apply(layer, args);
+				}
+			}
+
+			return this;
+		},
+
+		onAdd: function (map) {
+			this._map = map;
+			this.eachLayer(map.addLayer, map);
+		},
+
+		onRemove: function (map) {
+			this.eachLayer(map.removeLayer, map);
+			this._map = null;
+		},
+
+		addTo: function (map) {
+			map.addLayer(this);
+			return this;
+		},
+
+		eachLayer: function (method, context) {
+			for (var i in this._layers) {
+				method.call(context, this._layers[i]);
+			}
+			return this;
+		},
+
+		getLayer: function (id) {
+			return this._layers[id];
+		},
+
+		getLayers: function () {
+			var layers = [];
+
+			for (var i in this._layers) {
+				layers.push(this._layers[i]);
+			}
+			return layers;
+		},
+
+		setZIndex: function (zIndex) {
+			return this.invoke('setZIndex', zIndex);
+		},
+
+		getLayerId: function (layer) {
+			return L.stamp(layer);
+		}
+	});
+
+	L.layerGroup = function (layers) {
+		return new L.LayerGroup(layers);
+	};
+
+
+	/*
+	 * L.FeatureGroup extends L.LayerGroup by introducing mouse events and additional methods
+	 * shared between a group of interactive layers (like vectors or markers).
+	 */
+
+	L.FeatureGroup = L.LayerGroup.extend({
+		includes: L.Mixin.Events,
+
+		statics: {
+			EVENTS: 'click dblclick mouseover mouseout mousemove contextmenu popupopen popupclose'
+		},
+
+		addLayer: function (layer) {
+			if (this.hasLayer(layer)) {
+				return this;
+			}
+
+			if ('on' in layer) {
+				layer.on(L.FeatureGroup.EVENTS, this._propagateEvent, this);
+			}
+
+			L.LayerGroup.prototype.addLayer.call(this, layer);
+
+			if (this._popupContent && layer.bindPopup) {
+				layer.bindPopup(this._popupContent, this._popupOptions);
+			}
+
+			return this.fire('layeradd', {layer: layer});
+		},
+
+		removeLayer: function (layer) {
+			if (!this.hasLayer(layer)) {
+				return this;
+			}
+			if (layer in this._layers) {
+				layer = this._layers[layer];
+			}
+
+			if ('off' in layer) {
+				layer.off(L.FeatureGroup.EVENTS, this._propagateEvent, this);
+			}
+
+			L.LayerGroup.prototype.removeLayer.call(this, layer);
+
+			if (this._popupContent) {
+				this.invoke('unbindPopup');
+			}
+
+			return this.fire('layerremove', {layer: layer});
+		},
+
+		bindPopup: function (content, options) {
+			this._popupContent = content;
+			this._popupOptions = options;
+			return this.invoke('bindPopup', content, options);
+		},
+
+		openPopup: function (latlng) {
+			// open popup on the first layer
+			for (var id in this._layers) {
+				this._layers[id].openPopup(latlng);
+				break;
+			}
+			return this;
+		},
+
+		setStyle: function (style) {
+			return this.invoke('setStyle', style);
+		},
+
+		bringToFront: function () {
+			return this.invoke('bringToFront');
+		},
+
+		bringToBack: function () {
+			return this.invoke('bringToBack');
+		},
+
+		getBounds: function () {
+			var bounds = new L.LatLngBounds();
+
+			this.eachLayer(function (layer) {
+				bounds.extend(layer instanceof L.Marker ? layer.getLatLng() : layer.getBounds());
+			});
+
+			return bounds;
+		},
+
+		_propagateEvent: function (e) {
+			e = L.extend({
+				layer: e.target,
+				target: this
+			}, e);
+			this.fire(e.type, e);
+		}
+	});
+
+	L.featureGroup = function (layers) {
+		return new L.FeatureGroup(layers);
+	};
+
+
+	/*
+	 * L.Path is a base class for rendering vector paths on a map. Inherited by Polyline, Circle, etc.
+	 */
+
+	L.Path = L.Class.extend({
+		includes: [L.Mixin.Events],
+
+		statics: {
+			// how much to extend the clip area around the map view
+			// (relative to its size, e.g. 0.5 is half the screen in each direction)
+			// set it so that SVG element doesn't exceed 1280px (vectors flicker on dragend if it is)
+			CLIP_PADDING: (function () {
+				var max = L.Browser.mobile ? 1280 : 2000,
+				    target = (max / Math.max(window.outerWidth, window.outerHeight) - 1) / 2;
+				return Math.max(0, Math.min(0.5, target));
+			})()
+		},
+
+		options: {
+			stroke: true,
+			color: '#0033ff',
+			dashArray: null,
+			lineCap: null,
+			lineJoin: null,
+			weight: 5,
+			opacity: 0.5,
+
+			fill: false,
+			fillColor: null, //same as color by default
+			fillOpacity: 0.2,
+
+			clickable: true
+		},
+
+		initialize: function (options) {
+			L.setOptions(this, options);
+		},
+
+		onAdd: function (map) {
+			this._map = map;
+
+			if (!this._container) {
+				this._initElements();
+				this._initEvents();
+			}
+
+			this.projectLatlngs();
+			this._updatePath();
+
+			if (this._container) {
+				this._map._pathRoot.appendChild(this._container);
+			}
+
+			this.fire('add');
+
+			map.on({
+				'viewreset': this.projectLatlngs,
+				'moveend': this._updatePath
+			}, this);
+		},
+
+		addTo: function (map) {
+			map.addLayer(this);
+			return this;
+		},
+
+		onRemove: function (map) {
+			map._pathRoot.removeChild(this._container);
+
+			// Need to fire remove event before we set _map to null as the event hooks might need the object
+			this.fire('remove');
+			this._map = null;
+
+			if (L.Browser.vml) {
+				this._container = null;
+				this._stroke = null;
+				this._fill = null;
+			}
+
+			map.off({
+				'viewreset': this.projectLatlngs,
+				'moveend': this._updatePath
+			}, this);
+		},
+
+		projectLatlngs: function () {
+			// do all projection stuff here
+		},
+
+		setStyle: function (style) {
+			L.setOptions(this, style);
+
+			if (this._container) {
+				this._updateStyle();
+			}
+
+			return this;
+		},
+
+		redraw: function () {
+			if (this._map) {
+				this.projectLatlngs();
+				this._updatePath();
+			}
+			return this;
+		}
+	});
+
+	L.Map.include({
+		_updatePathViewport: function () {
+			var p = L.Path.CLIP_PADDING,
+			    size = this.getSize(),
+			    panePos = L.DomUtil.getPosition(this._mapPane),
+			    min = panePos.multiplyBy(-1)._subtract(size.multiplyBy(p)._round()),
+			    max = min.add(size.multiplyBy(1 + p * 2)._round());
+
+			this._pathViewport = new L.Bounds(min, max);
+		}
+	});
+
+
+	/*
+	 * Extends L.Path with SVG-specific rendering code.
+	 */
+
+	L.Path.SVG_NS = 'http://www.w3.org/2000/svg';
+
+	L.Browser.svg = !!(document.createElementNS && document.createElementNS(L.Path.SVG_NS, 'svg').createSVGRect);
+
+	L.Path = L.Path.extend({
+		statics: {
+			SVG: L.Browser.svg
+		},
+
+		bringToFront: function () {
+			var root = this._map._pathRoot,
+			    path = this._container;
+
+			if (path && root.lastChild !== path) {
+				root.appendChild(path);
+			}
+			return this;
+		},
+
+		bringToBack: function () {
+			var root = this._map._pathRoot,
+			    path = this._container,
+			    first = root.firstChild;
+
+			if (path && first !== path) {
+				root.insertBefore(path, first);
+			}
+			return this;
+		},
+
+		getPathString: function () {
+			// form path string here
+		},
+
+		_createElement: function (name) {
+			return document.createElementNS(L.Path.SVG_NS, name);
+		},
+
+		_initElements: function () {
+			this._map._initPathRoot();
+			this._initPath();
+			this._initStyle();
+		},
+
+		_initPath: function () {
+			this._container = this._createElement('g');
+
+			this._path = this._createElement('path');
+
+			if (this.options.className) {
+				L.DomUtil.addClass(this._path, this.options.className);
+			}
+
+			this._container.appendChild(this._path);
+		},
+
+		_initStyle: function () {
+			if (this.options.stroke) {
+				this._path.setAttribute('stroke-linejoin', 'round');
+				this._path.setAttribute('stroke-linecap', 'round');
+			}
+			if (this.options.fill) {
+				this._path.setAttribute('fill-rule', 'evenodd');
+			}
+			if (this.options.pointerEvents) {
+				this._path.setAttribute('pointer-events', this.options.pointerEvents);
+			}
+			if (!this.options.clickable && !this.options.pointerEvents) {
+				this._path.setAttribute('pointer-events', 'none');
+			}
+			this._updateStyle();
+		},
+
+		_updateStyle: function () {
+			if (this.options.stroke) {
+				this._path.setAttribute('stroke', this.options.color);
+				this._path.setAttribute('stroke-opacity', this.options.opacity);
+				this._path.setAttribute('stroke-width', this.options.weight);
+				if (this.options.dashArray) {
+					this._path.setAttribute('stroke-dasharray', this.options.dashArray);
+				} else {
+					this._path.removeAttribute('stroke-dasharray');
+				}
+				if (this.options.lineCap) {
+					this._path.setAttribute('stroke-linecap', this.options.lineCap);
+				}
+				if (this.options.lineJoin) {
+					this._path.setAttribute('stroke-linejoin', this.options.lineJoin);
+				}
+			} else {
+				this._path.setAttribute('stroke', 'none');
+			}
+			if (this.options.fill) {
+				this._path.setAttribute('fill', this.options.fillColor || this.options.color);
+				this._path.setAttribute('fill-opacity', this.options.fillOpacity);
+			} else {
+				this._path.setAttribute('fill', 'none');
+			}
+		},
+
+		_updatePath: function () {
+			var str = this.getPathString();
+			if (!str) {
+				// fix webkit empty string parsing bug
+				str = 'M0 0';
+			}
+			this._path.setAttribute('d', str);
+		},
+
+		// TODO remove duplication with L.Map
+		_initEvents: function () {
+			if (this.options.clickable) {
+				if (L.Browser.svg || !L.Browser.vml) {
+					L.DomUtil.addClass(this._path, 'leaflet-clickable');
+				}
+
+				L.DomEvent.on(this._container, 'click', this._onMouseClick, this);
+
+				var events = ['dblclick', 'mousedown', 'mouseover',
+				              'mouseout', 'mousemove', 'contextmenu'];
+				for (var i = 0; i < events.length; i++) {
+					L.DomEvent.on(this._container, events[i], this._fireMouseEvent, this);
+				}
+			}
+		},
+
+		_onMouseClick: function (e) {
+			if (this._map.dragging && this._map.dragging.moved()) { return; }
+
+			this._fireMouseEvent(e);
+		},
+
+		_fireMouseEvent: function (e) {
+			if (!this._map || !this.hasEventListeners(e.type)) { return; }
+
+			var map = this._map,
+			    containerPoint = map.mouseEventToContainerPoint(e),
+			    layerPoint = map.containerPointToLayerPoint(containerPoint),
+			    latlng = map.layerPointToLatLng(layerPoint);
+
+			this.fire(e.type, {
+				latlng: latlng,
+				layerPoint: layerPoint,
+				containerPoint: containerPoint,
+				originalEvent: e
+			});
+
+			if (e.type === 'contextmenu') {
+				L.DomEvent.preventDefault(e);
+			}
+			if (e.type !== 'mousemove') {
+				L.DomEvent.stopPropagation(e);
+			}
+		}
+	});
+
+	L.Map.include({
+		_initPathRoot: function () {
+			if (!this._pathRoot) {
+				this._pathRoot = L.Path.prototype._createElement('svg');
+				this._panes.overlayPane.appendChild(this._pathRoot);
+
+				if (this.options.zoomAnimation && L.Browser.any3d) {
+					L.DomUtil.addClass(this._pathRoot, 'leaflet-zoom-animated');
+
+					this.on({
+						'zoomanim': this._animatePathZoom,
+						'zoomend': this._endPathZoom
+					});
+				} else {
+					L.DomUtil.addClass(this._pathRoot, 'leaflet-zoom-hide');
+				}
+
+				this.on('moveend', this._updateSvgViewport);
+				this._updateSvgViewport();
+			}
+		},
+
+		_animatePathZoom: function (e) {
+			var scale = this.getZoomScale(e.zoom),
+			    offset = this._getCenterOffset(e.center)._multiplyBy(-scale)._add(this._pathViewport.min);
+
+			this._pathRoot.style[L.DomUtil.TRANSFORM] =
+			        L.DomUtil.getTranslateString(offset) + ' scale(' + scale + ') ';
+
+			this._pathZooming = true;
+		},
+
+		_endPathZoom: function () {
+			this._pathZooming = false;
+		},
+
+		_updateSvgViewport: function () {
+
+			if (this._pathZooming) {
+				// Do not update SVGs while a zoom animation is going on otherwise the animation will break.
+				// When the zoom animation ends we will be updated again anyway
+				// This fixes the case where you do a momentum move and zoom while the move is still ongoing.
+				return;
+			}
+
+			this._updatePathViewport();
+
+			var vp = this._pathViewport,
+			    min = vp.min,
+			    max = vp.max,
+			    width = max.x - min.x,
+			    height = max.y - min.y,
+			    root = this._pathRoot,
+			    pane = this._panes.overlayPane;
+
+			// Hack to make flicker on drag end on mobile webkit less irritating
+			if (L.Browser.mobileWebkit) {
+				pane.removeChild(root);
+			}
+
+			L.DomUtil.setPosition(root, min);
+			root.setAttribute('width', width);
+			root.setAttribute('height', height);
+			root.setAttribute('viewBox', [min.x, min.y, width, height].join(' '));
+
+			if (L.Browser.mobileWebkit) {
+				pane.appendChild(root);
+			}
+		}
+	});
+
+
+	/*
+	 * Popup extension to L.Path (polylines, polygons, circles), adding popup-related methods.
+	 */
+
+	L.Path.include({
+
+		bindPopup: function (content, options) {
+
+			if (content instanceof L.Popup) {
+				this._popup = content;
+			} else {
+				if (!this._popup || options) {
+					this._popup = new L.Popup(options, this);
+				}
+				this._popup.setContent(content);
+			}
+
+			if (!this._popupHandlersAdded) {
+				this
+				    .on('click', this._openPopup, this)
+				    .on('remove', this.closePopup, this);
+
+				this._popupHandlersAdded = true;
+			}
+
+			return this;
+		},
+
+		unbindPopup: function () {
+			if (this._popup) {
+				this._popup = null;
+				this
+				    .off('click', this._openPopup)
+				    .off('remove', this.closePopup);
+
+				this._popupHandlersAdded = false;
+			}
+			return this;
+		},
+
+		openPopup: function (latlng) {
+
+			if (this._popup) {
+				// open the popup from one of the path's points if not specified
+				latlng = latlng || this._latlng ||
+				         this._latlngs[Math.floor(this._latlngs.length / 2)];
+
+				this._openPopup({latlng: latlng});
+			}
+
+			return this;
+		},
+
+		closePopup: function () {
+			if (this._popup) {
+				this._popup._close();
+			}
+			return this;
+		},
+
+		_openPopup: function (e) {
+			this._popup.setLatLng(e.latlng);
+			this._map.openPopup(this._popup);
+		}
+	});
+
+
+	/*
+	 * Vector rendering for IE6-8 through VML.
+	 * Thanks to Dmitry Baranovsky and his Raphael library for inspiration!
+	 */
+
+	L.Browser.vml = !L.Browser.svg && (function () {
+		try {
+			var div = document.createElement('div');
+			div.innerHTML = '<v:shape adj="1"/>';
+
+			var shape = div.firstChild;
+			shape.style.behavior = 'url(#default#VML)';
+
+			return shape && (typeof shape.adj === 'object');
+
+		} catch (e) {
+			return false;
+		}
+	}());
+
+	L.Path = L.Browser.svg || !L.Browser.vml ? L.Path : L.Path.extend({
+		statics: {
+			VML: true,
+			CLIP_PADDING: 0.02
+		},
+
+		_createElement: (function () {
+			try {
+				document.namespaces.add('lvml', 'urn:schemas-microsoft-com:vml');
+				return function (name) {
+					return document.createElement('<lvml:' + name + ' class="lvml">');
+				};
+			} catch (e) {
+				return function (name) {
+					return document.createElement(
+					        '<' + name + ' xmlns="urn:schemas-microsoft.com:vml" class="lvml">');
+				};
+			}
+		}()),
+
+		_initPath: function () {
+			var container = this._container = this._createElement('shape');
+
+			L.DomUtil.addClass(container, 'leaflet-vml-shape' +
+				(this.options.className ? ' ' + this.options.className : ''));
+
+			if (this.options.clickable) {
+				L.DomUtil.addClass(container, 'leaflet-clickable');
+			}
+
+			container.coordsize = '1 1';
+
+			this._path = this._createElement('path');
+			container.appendChild(this._path);
+
+			this._map._pathRoot.appendChild(container);
+		},
+
+		_initStyle: function () {
+			this._updateStyle();
+		},
+
+		_updateStyle: function () {
+			var stroke = this._stroke,
+			    fill = this._fill,
+			    options = this.options,
+			    container = this._container;
+
+			container.stroked = options.stroke;
+			container.filled = options.fill;
+
+			if (options.stroke) {
+				if (!stroke) {
+					stroke = this._stroke = this._createElement('stroke');
+					stroke.endcap = 'round';
+					container.appendChild(stroke);
+				}
+				stroke.weight = options.weight + 'px';
+				stroke.color = options.color;
+				stroke.opacity = options.opacity;
+
+				if (options.dashArray) {
+					stroke.dashStyle = L.Util.isArray(options.dashArray) ?
+					    options.dashArray.join(' ') :
+					    options.dashArray.replace(/( *, *)/g, ' ');
+				} else {
+					stroke.dashStyle = '';
+				}
+				if (options.lineCap) {
+					stroke.endcap = options.lineCap.replace('butt', 'flat');
+				}
+				if (options.lineJoin) {
+					stroke.joinstyle = options.lineJoin;
+				}
+
+			} else if (stroke) {
+				container.removeChild(stroke);
+				this._stroke = null;
+			}
+
+			if (options.fill) {
+				if (!fill) {
+					fill = this._fill = this._createElement('fill');
+					container.appendChild(fill);
+				}
+				fill.color = options.fillColor || options.color;
+				fill.opacity = options.fillOpacity;
+
+			} else if (fill) {
+				container.removeChild(fill);
+				this._fill = null;
+			}
+		},
+
+		_updatePath: function () {
+			var style = this._container.style;
+
+			style.display = 'none';
+			this._path.v = this.getPathString() + ' '; // the space fixes IE empty path string bug
+			style.display = '';
+		}
+	});
+
+	L.Map.include(L.Browser.svg || !L.Browser.vml ? {} : {
+		_initPathRoot: function () {
+			if (this._pathRoot) { return; }
+
+			var root = this._pathRoot = document.createElement('div');
+			root.className = 'leaflet-vml-container';
+			this._panes.overlayPane.appendChild(root);
+
+			this.on('moveend', this._updatePathViewport);
+			this._updatePathViewport();
+		}
+	});
+
+
+	/*
+	 * Vector rendering for all browsers that support canvas.
+	 */
+
+	L.Browser.canvas = (function () {
+		return !!document.createElement('canvas').getContext;
+	}());
+
+	L.Path = (L.Path.SVG && !window.L_PREFER_CANVAS) || !L.Browser.canvas ? L.Path : L.Path.extend({
+		statics: {
+			//CLIP_PADDING: 0.02, // not sure if there's a need to set it to a small value
+			CANVAS: true,
+			SVG: false
+		},
+
+		redraw: function () {
+			if (this._map) {
+				this.projectLatlngs();
+				this._requestUpdate();
+			}
+			return this;
+		},
+
+		setStyle: function (style) {
+			L.setOptions(this, style);
+
+			if (this._map) {
+				this._updateStyle();
+				this._requestUpdate();
+			}
+			return this;
+		},
+
+		onRemove: function (map) {
+			map
+			    .off('viewreset', this.projectLatlngs, this)
+			    .off('moveend', this._updatePath, this);
+
+			if (this.options.clickable) {
+				this._map.off('click', this._onClick, this);
+				this._map.off('mousemove', this._onMouseMove, this);
+			}
+
+			this._requestUpdate();
+			
+			this.fire('remove');
+			this._map = null;
+		},
+
+		_requestUpdate: function () {
+			if (this._map && !L.Path._updateRequest) {
+				L.Path._updateRequest = L.Util.requestAnimFrame(this._fireMapMoveEnd, this._map);
+			}
+		},
+
+		_fireMapMoveEnd: function () {
+			L.Path._updateRequest = null;
+			this.fire('moveend');
+		},
+
+		_initElements: function () {
+			this._map._initPathRoot();
+			this._ctx = this._map._canvasCtx;
+		},
+
+		_updateStyle: function () {
+			var options = this.options;
+
+			if (options.stroke) {
+				this._ctx.lineWidth = options.weight;
+				this._ctx.strokeStyle = options.color;
+			}
+			if (options.fill) {
+				this._ctx.fillStyle = options.fillColor || options.color;
+			}
+
+			if (options.lineCap) {
+				this._ctx.lineCap = options.lineCap;
+			}
+			if (options.lineJoin) {
+				this._ctx.lineJoin = options.lineJoin;
+			}
+		},
+
+		_drawPath: function () {
+			var i, j, len, len2, point, drawMethod;
+
+			this._ctx.beginPath();
+
+			for (i = 0, len = this._parts.length; i < len; i++) {
+				for (j = 0, len2 = this._parts[i].length; j < len2; j++) {
+					point = this._parts[i][j];
+					drawMethod = (j === 0 ? 'move' : 'line') + 'To';
+
+					this._ctx[drawMethod](point.x, point.y);
+				}
+				// TODO refactor ugly hack
+				if (this instanceof L.Polygon) {
+					this._ctx.closePath();
+				}
+			}
+		},
+
+		_checkIfEmpty: function () {
+			return !this._parts.length;
+		},
+
+		_updatePath: function () {
+			if (this._checkIfEmpty()) { return; }
+
+			var ctx = this._ctx,
+			    options = this.options;
+
+			this._drawPath();
+			ctx.save();
+			this._updateStyle();
+
+			if (options.fill) {
+				ctx.globalAlpha = options.fillOpacity;
+				ctx.fill(options.fillRule || 'evenodd');
+			}
+
+			if (options.stroke) {
+				ctx.globalAlpha = options.opacity;
+				ctx.stroke();
+			}
+
+			ctx.restore();
+
+			// TODO optimization: 1 fill/stroke for all features with equal style instead of 1 for each feature
+		},
+
+		_initEvents: function () {
+			if (this.options.clickable) {
+				this._map.on('mousemove', this._onMouseMove, this);
+				this._map.on('click dblclick contextmenu', this._fireMouseEvent, this);
+			}
+		},
+
+		_fireMouseEvent: function (e) {
+			if (this._containsPoint(e.layerPoint)) {
+				this.fire(e.type, e);
+			}
+		},
+
+		_onMouseMove: function (e) {
+			if (!this._map || this._map._animatingZoom) { return; }
+
+			// TODO don't do on each move
+			if (this._containsPoint(e.layerPoint)) {
+				this._ctx.canvas.style.cursor = 'pointer';
+				this._mouseInside = true;
+				this.fire('mouseover', e);
+
+			} else if (this._mouseInside) {
+				this._ctx.canvas.style.cursor = '';
+				this._mouseInside = false;
+				this.fire('mouseout', e);
+			}
+		}
+	});
+
+	L.Map.include((L.Path.SVG && !window.L_PREFER_CANVAS) || !L.Browser.canvas ? {} : {
+		_initPathRoot: function () {
+			var root = this._pathRoot,
+			    ctx;
+
+			if (!root) {
+				root = this._pathRoot = document.createElement('canvas');
+				root.style.position = 'absolute';
+				ctx = this._canvasCtx = root.getContext('2d');
+
+				ctx.lineCap = 'round';
+				ctx.lineJoin = 'round';
+
+				this._panes.overlayPane.appendChild(root);
+
+				if (this.options.zoomAnimation) {
+					this._pathRoot.className = 'leaflet-zoom-animated';
+					this.on('zoomanim', this._animatePathZoom);
+					this.on('zoomend', this._endPathZoom);
+				}
+				this.on('moveend', this._updateCanvasViewport);
+				this._updateCanvasViewport();
+			}
+		},
+
+		_updateCanvasViewport: function () {
+			// don't redraw while zooming. See _updateSvgViewport for more details
+			if (this._pathZooming) { return; }
+			this._updatePathViewport();
+
+			var vp = this._pathViewport,
+			    min = vp.min,
+			    size = vp.max.subtract(min),
+			    root = this._pathRoot;
+
+			//TODO check if this works properly on mobile webkit
+			L.DomUtil.setPosition(root, min);
+			root.width = size.x;
+			root.height = size.y;
+			root.getContext('2d').translate(-min.x, -min.y);
+		}
+	});
+
+
+	/*
+	 * L.LineUtil contains different utility functions for line segments
+	 * and polylines (clipping, simplification, distances, etc.)
+	 */
+
+	/*jshint bitwise:false */ // allow bitwise operations for this file
+
+	L.LineUtil = {
+
+		// Simplify polyline with vertex reduction and Douglas-Peucker simplification.
+		// Improves rendering performance dramatically by lessening the number of points to draw.
+
+		simplify: function (/*Point[]*/ points, /*Number*/ tolerance) {
+			if (!tolerance || !points.length) {
+				return points.slice();
+			}
+
+			var sqTolerance = tolerance * tolerance;
+
+			// stage 1: vertex reduction
+			points = this._reducePoints(points, sqTolerance);
+
+			// stage 2: Douglas-Peucker simplification
+			points = this._simplifyDP(points, sqTolerance);
+
+			return points;
+		},
+
+		// distance from a point to a segment between two points
+		pointToSegmentDistance:  function (/*Point*/ p, /*Point*/ p1, /*Point*/ p2) {
+			return Math.sqrt(this._sqClosestPointOnSegment(p, p1, p2, true));
+		},
+
+		closestPointOnSegment: function (/*Point*/ p, /*Point*/ p1, /*Point*/ p2) {
+			return this._sqClosestPointOnSegment(p, p1, p2);
+		},
+
+		// Douglas-Peucker simplification, see http://en.wikipedia.org/wiki/Douglas-Peucker_algorithm
+		_simplifyDP: function (points, sqTolerance) {
+
+			var len = points.length,
+			    ArrayConstructor = typeof Uint8Array !== undefined + '' ? Uint8Array : Array,
+			    markers = new ArrayConstructor(len);
+
+			markers[0] = markers[len - 1] = 1;
+
+			this._simplifyDPStep(points, markers, sqTolerance, 0, len - 1);
+
+			var i,
+			    newPoints = [];
+
+			for (i = 0; i < len; i++) {
+				if (markers[i]) {
+					newPoints.push(points[i]);
+				}
+			}
+
+			return newPoints;
+		},
+
+		_simplifyDPStep: function (points, markers, sqTolerance, first, last) {
+
+			var maxSqDist = 0,
+			    index, i, sqDist;
+
+			for (i = first + 1; i <= last - 1; i++) {
+				sqDist = this._sqClosestPointOnSegment(points[i], points[first], points[last], true);
+
+				if (sqDist > maxSqDist) {
+					index = i;
+					maxSqDist = sqDist;
+				}
+			}
+
+			if (maxSqDist > sqTolerance) {
+				markers[index] = 1;
+
+				this._simplifyDPStep(points, markers, sqTolerance, first, index);
+				this._simplifyDPStep(points, markers, sqTolerance, index, last);
+			}
+		},
+
+		// reduce points that are too close to each other to a single point
+		_reducePoints: function (points, sqTolerance) {
+			var reducedPoints = [points[0]];
+
+			for (var i = 1, prev = 0, len = points.length; i < len; i++) {
+				if (this._sqDist(points[i], points[prev]) > sqTolerance) {
+					reducedPoints.push(points[i]);
+					prev = i;
+				}
+			}
+			if (prev < len - 1) {
+				reducedPoints.push(points[len - 1]);
+			}
+			return reducedPoints;
+		},
+
+		// Cohen-Sutherland line clipping algorithm.
+		// Used to avoid rendering parts of a polyline that are not currently visible.
+
+		clipSegment: function (a, b, bounds, useLastCode) {
+			var codeA = useLastCode ? this._lastCode : this._getBitCode(a, bounds),
+			    codeB = this._getBitCode(b, bounds),
+
+			    codeOut, p, newCode;
+
+			// save 2nd code to avoid calculating it on the next segment
+			this._lastCode = codeB;
+
+			while (true) {
+				// if a,b is inside the clip window (trivial accept)
+				if (!(codeA | codeB)) {
+					return [a, b];
+				// if a,b is outside the clip window (trivial reject)
+				} else if (codeA & codeB) {
+					return false;
+				// other cases
+				} else {
+					codeOut = codeA || codeB;
+					p = this._getEdgeIntersection(a, b, codeOut, bounds);
+					newCode = this._getBitCode(p, bounds);
+
+					if (codeOut === codeA) {
+						a = p;
+						codeA = newCode;
+					} else {
+						b = p;
+						codeB = newCode;
+					}
+				}
+			}
+		},
+
+		_getEdgeIntersection: function (a, b, code, bounds) {
+			var dx = b.x - a.x,
+			    dy = b.y - a.y,
+			    min = bounds.min,
+			    max = bounds.max;
+
+			if (code & 8) { // top
+				return new L.Point(a.x + dx * (max.y - a.y) / dy, max.y);
+			} else if (code & 4) { // bottom
+				return new L.Point(a.x + dx * (min.y - a.y) / dy, min.y);
+			} else if (code & 2) { // right
+				return new L.Point(max.x, a.y + dy * (max.x - a.x) / dx);
+			} else if (code & 1) { // left
+				return new L.Point(min.x, a.y + dy * (min.x - a.x) / dx);
+			}
+		},
+
+		_getBitCode: function (/*Point*/ p, bounds) {
+			var code = 0;
+
+			if (p.x < bounds.min.x) { // left
+				code |= 1;
+			} else if (p.x > bounds.max.x) { // right
+				code |= 2;
+			}
+			if (p.y < bounds.min.y) { // bottom
+				code |= 4;
+			} else if (p.y > bounds.max.y) { // top
+				code |= 8;
+			}
+
+			return code;
+		},
+
+		// square distance (to avoid unnecessary Math.sqrt calls)
+		_sqDist: function (p1, p2) {
+			var dx = p2.x - p1.x,
+			    dy = p2.y - p1.y;
+			return dx * dx + dy * dy;
+		},
+
+		// return closest point on segment or distance to that point
+		_sqClosestPointOnSegment: function (p, p1, p2, sqDist) {
+			var x = p1.x,
+			    y = p1.y,
+			    dx = p2.x - x,
+			    dy = p2.y - y,
+			    dot = dx * dx + dy * dy,
+			    t;
+
+			if (dot > 0) {
+				t = ((p.x - x) * dx + (p.y - y) * dy) / dot;
+
+				if (t > 1) {
+					x = p2.x;
+					y = p2.y;
+				} else if (t > 0) {
+					x += dx * t;
+					y += dy * t;
+				}
+			}
+
+			dx = p.x - x;
+			dy = p.y - y;
+
+			return sqDist ? dx * dx + dy * dy : new L.Point(x, y);
+		}
+	};
+
+
+	/*
+	 * L.Polyline is used to display polylines on a map.
+	 */
+
+	L.Polyline = L.Path.extend({
+		initialize: function (latlngs, options) {
+			L.Path.prototype.initialize.call(this, options);
+
+			this._latlngs = this._convertLatLngs(latlngs);
+		},
+
+		options: {
+			// how much to simplify the polyline on each zoom level
+			// more = better performance and smoother look, less = more accurate
+			smoothFactor: 1.0,
+			noClip: false
+		},
+
+		projectLatlngs: function () {
+			this._originalPoints = [];
+
+			for (var i = 0, len = this._latlngs.length; i < len; i++) {
+				this._originalPoints[i] = this._map.latLngToLayerPoint(this._latlngs[i]);
+			}
+		},
+
+		getPathString: function () {
+			for (var i = 0, len = this._parts.length, str = ''; i < len; i++) {
+				str += this._getPathPartStr(this._parts[i]);
+			}
+			return str;
+		},
+
+		getLatLngs: function () {
+			return this._latlngs;
+		},
+
+		setLatLngs: function (latlngs) {
+			this._latlngs = this._convertLatLngs(latlngs);
+			return this.redraw();
+		},
+
+		addLatLng: function (latlng) {
+			this._latlngs.push(L.latLng(latlng));
+			return this.redraw();
+		},
+
+		spliceLatLngs: function () { // (Number index, Number howMany)
+			var removed = [].splice.apply(this._latlngs, arguments);
+			this._convertLatLngs(this._latlngs, true);
+			this.redraw();
+			return removed;
+		},
+
+		closestLayerPoint: function (p) {
+			var minDistance = Infinity, parts = this._parts, p1, p2, minPoint = null;
+
+			for (var j = 0, jLen = parts.length; j < jLen; j++) {
+				var points = parts[j];
+				for (var i = 1, len = points.length; i < len; i++) {
+					p1 = points[i - 1];
+					p2 = points[i];
+					var sqDist = L.LineUtil._sqClosestPointOnSegment(p, p1, p2, true);
+					if (sqDist < minDistance) {
+						minDistance = sqDist;
+						minPoint = L.LineUtil._sqClosestPointOnSegment(p, p1, p2);
+					}
+				}
+			}
+			if (minPoint) {
+				minPoint.distance = Math.sqrt(minDistance);
+			}
+			return minPoint;
+		},
+
+		getBounds: function () {
+			return new L.LatLngBounds(this.getLatLngs());
+		},
+
+		_convertLatLngs: function (latlngs, overwrite) {
+			var i, len, target = overwrite ? latlngs : [];
+
+			for (i = 0, len = latlngs.length; i < len; i++) {
+				if (L.Util.isArray(latlngs[i]) && typeof latlngs[i][0] !== 'number') {
+					return;
+				}
+				target[i] = L.latLng(latlngs[i]);
+			}
+			return target;
+		},
+
+		_initEvents: function () {
+			L.Path.prototype._initEvents.call(this);
+		},
+
+		_getPathPartStr: function (points) {
+			var round = L.Path.VML;
+
+			for (var j = 0, len2 = points.length, str = '', p; j < len2; j++) {
+				p = points[j];
+				if (round) {
+					p._round();
+				}
+				str += (j ? 'L' : 'M') + p.x + ' ' + p.y;
+			}
+			return str;
+		},
+
+		_clipPoints: function () {
+			var points = this._originalPoints,
+			    len = points.length,
+			    i, k, segment;
+
+			if (this.options.noClip) {
+				this._parts = [points];
+				return;
+			}
+
+			this._parts = [];
+
+			var parts = this._parts,
+			    vp = this._map._pathViewport,
+			    lu = L.LineUtil;
+
+			for (i = 0, k = 0; i < len - 1; i++) {
+				segment = lu.clipSegment(points[i], points[i + 1], vp, i);
+				if (!segment) {
+					continue;
+				}
+
+				parts[k] = parts[k] || [];
+				parts[k].push(segment[0]);
+
+				// if segment goes out of screen, or it's the last one, it's the end of the line part
+				if ((segment[1] !== points[i + 1]) || (i === len - 2)) {
+					parts[k].push(segment[1]);
+					k++;
+				}
+			}
+		},
+
+		// simplify each clipped part of the polyline
+		_simplifyPoints: function () {
+			var parts = this._parts,
+			    lu = L.LineUtil;
+
+			for (var i = 0, len = parts.length; i < len; i++) {
+				parts[i] = lu.simplify(parts[i], this.options.smoothFactor);
+			}
+		},
+
+		_updatePath: function () {
+			if (!this._map) { return; }
+
+			this._clipPoints();
+			this._simplifyPoints();
+
+			L.Path.prototype._updatePath.call(this);
+		}
+	});
+
+	L.polyline = function (latlngs, options) {
+		return new L.Polyline(latlngs, options);
+	};
+
+
+	/*
+	 * L.PolyUtil contains utility functions for polygons (clipping, etc.).
+	 */
+
+	/*jshint bitwise:false */ // allow bitwise operations here
+
+	L.PolyUtil = {};
+
+	/*
+	 * Sutherland-Hodgeman polygon clipping algorithm.
+	 * Used to avoid rendering parts of a polygon that are not currently visible.
+	 */
+	L.PolyUtil.clipPolygon = function (points, bounds) {
+		var clippedPoints,
+		    edges = [1, 4, 2, 8],
+		    i, j, k,
+		    a, b,
+		    len, edge, p,
+		    lu = L.LineUtil;
+
+		for (i = 0, len = points.length; i < len; i++) {
+			points[i]._code = lu._getBitCode(points[i], bounds);
+		}
+
+		// for each edge (left, bottom, right, top)
+		for (k = 0; k < 4; k++) {
+			edge = edges[k];
+			clippedPoints = [];
+
+			for (i = 0, len = points.length, j = len - 1; i < len; j = i++) {
+				a = points[i];
+				b = points[j];
+
+				// if a is inside the clip window
+				if (!(a._code & edge)) {
+					// if b is outside the clip window (a->b goes out of screen)
+					if (b._code & edge) {
+						p = lu._getEdgeIntersection(b, a, edge, bounds);
+						p._code = lu._getBitCode(p, bounds);
+						clippedPoints.push(p);
+					}
+					clippedPoints.push(a);
+
+				// else if b is inside the clip window (a->b enters the screen)
+				} else if (!(b._code & edge)) {
+					p = lu._getEdgeIntersection(b, a, edge, bounds);
+					p._code = lu._getBitCode(p, bounds);
+					clippedPoints.push(p);
+				}
+			}
+			points = clippedPoints;
+		}
+
+		return points;
+	};
+
+
+	/*
+	 * L.Polygon is used to display polygons on a map.
+	 */
+
+	L.Polygon = L.Polyline.extend({
+		options: {
+			fill: true
+		},
+
+		initialize: function (latlngs, options) {
+			L.Polyline.prototype.initialize.call(this, latlngs, options);
+			this._initWithHoles(latlngs);
+		},
+
+		_initWithHoles: function (latlngs) {
+			var i, len, hole;
+			if (latlngs && L.Util.isArray(latlngs[0]) && (typeof latlngs[0][0] !== 'number')) {
+				this._latlngs = this._convertLatLngs(latlngs[0]);
+				this._holes = latlngs.slice(1);
+
+				for (i = 0, len = this._holes.length; i < len; i++) {
+					hole = this._holes[i] = this._convertLatLngs(this._holes[i]);
+					if (hole[0].equals(hole[hole.length - 1])) {
+						hole.pop();
+					}
+				}
+			}
+
+			// filter out last point if its equal to the first one
+			latlngs = this._latlngs;
+
+			if (latlngs.length >= 2 && latlngs[0].equals(latlngs[latlngs.length - 1])) {
+				latlngs.pop();
+			}
+		},
+
+		projectLatlngs: function () {
+			L.Polyline.prototype.projectLatlngs.call(this);
+
+			// project polygon holes points
+			// TODO move this logic to Polyline to get rid of duplication
+			this._holePoints = [];
+
+			if (!this._holes) { return; }
+
+			var i, j, len, len2;
+
+			for (i = 0, len = this._holes.length; i < len; i++) {
+				this._holePoints[i] = [];
+
+				for (j = 0, len2 = this._holes[i].length; j < len2; j++) {
+					this._holePoints[i][j] = this._map.latLngToLayerPoint(this._holes[i][j]);
+				}
+			}
+		},
+
+		setLatLngs: function (latlngs) {
+			if (latlngs && L.Util.isArray(latlngs[0]) && (typeof latlngs[0][0] !== 'number')) {
+				this._initWithHoles(latlngs);
+				return this.redraw();
+			} else {
+				return L.Polyline.prototype.setLatLngs.call(this, latlngs);
+			}
+		},
+
+		_clipPoints: function () {
+			var points = this._originalPoints,
+			    newParts = [];
+
+			this._parts = [points].concat(this._holePoints);
+
+			if (this.options.noClip) { return; }
+
+			for (var i = 0, len = this._parts.length; i < len; i++) {
+				var clipped = L.PolyUtil.clipPolygon(this._parts[i], this._map._pathViewport);
+				if (clipped.length) {
+					newParts.push(clipped);
+				}
+			}
+
+			this._parts = newParts;
+		},
+
+		_getPathPartStr: function (points) {
+			var str = L.Polyline.prototype._getPathPartStr.call(this, points);
+			return str + (L.Browser.svg ? 'z' : 'x');
+		}
+	});
+
+	L.polygon = function (latlngs, options) {
+		return new L.Polygon(latlngs, options);
+	};
+
+
+	/*
+	 * Contains L.MultiPolyline and L.MultiPolygon layers.
+	 */
+
+	(function () {
+		function createMulti(Klass) {
+
+			return L.FeatureGroup.extend({
+
+				initialize: function (latlngs, options) {
+					this._layers = {};
+					this._options = options;
+					this.setLatLngs(latlngs);
+				},
+
+				setLatLngs: function (latlngs) {
+					var i = 0,
+					    len = latlngs.length;
+
+					this.eachLayer(function (layer) {
+						if (i < len) {
+							layer.setLatLngs(latlngs[i++]);
+						} else {
+							this.removeLayer(layer);
+						}
+					}, this);
+
+					while (i < len) {
+						this.addLayer(new Klass(latlngs[i++], this._options));
+					}
+
+					return this;
+				},
+
+				getLatLngs: function () {
+					var latlngs = [];
+
+					this.eachLayer(function (layer) {
+						latlngs.push(layer.getLatLngs());
+					});
+
+					return latlngs;
+				}
+			});
+		}
+
+		L.MultiPolyline = createMulti(L.Polyline);
+		L.MultiPolygon = createMulti(L.Polygon);
+
+		L.multiPolyline = function (latlngs, options) {
+			return new L.MultiPolyline(latlngs, options);
+		};
+
+		L.multiPolygon = function (latlngs, options) {
+			return new L.MultiPolygon(latlngs, options);
+		};
+	}());
+
+
+	/*
+	 * L.Rectangle extends Polygon and creates a rectangle when passed a LatLngBounds object.
+	 */
+
+	L.Rectangle = L.Polygon.extend({
+		initialize: function (latLngBounds, options) {
+			L.Polygon.prototype.initialize.call(this, this._boundsToLatLngs(latLngBounds), options);
+		},
+
+		setBounds: function (latLngBounds) {
+			this.setLatLngs(this._boundsToLatLngs(latLngBounds));
+		},
+
+		_boundsToLatLngs: function (latLngBounds) {
+			latLngBounds = L.latLngBounds(latLngBounds);
+			return [
+				latLngBounds.getSouthWest(),
+				latLngBounds.getNorthWest(),
+				latLngBounds.getNorthEast(),
+				latLngBounds.getSouthEast()
+			];
+		}
+	});
+
+	L.rectangle = function (latLngBounds, options) {
+		return new L.Rectangle(latLngBounds, options);
+	};
+
+
+	/*
+	 * L.Circle is a circle overlay (with a certain radius in meters).
+	 */
+
+	L.Circle = L.Path.extend({
+		initialize: function (latlng, radius, options) {
+			L.Path.prototype.initialize.call(this, options);
+
+			this._latlng = L.latLng(latlng);
+			this._mRadius = radius;
+		},
+
+		options: {
+			fill: true
+		},
+
+		setLatLng: function (latlng) {
+			this._latlng = L.latLng(latlng);
+			return this.redraw();
+		},
+
+		setRadius: function (radius) {
+			this._mRadius = radius;
+			return this.redraw();
+		},
+
+		projectLatlngs: function () {
+			var lngRadius = this._getLngRadius(),
+			    latlng = this._latlng,
+			    pointLeft = this._map.latLngToLayerPoint([latlng.lat, latlng.lng - lngRadius]);
+
+			this._point = this._map.latLngToLayerPoint(latlng);
+			this._radius = Math.max(this._point.x - pointLeft.x, 1);
+		},
+
+		getBounds: function () {
+			var lngRadius = this._getLngRadius(),
+			    latRadius = (this._mRadius / 40075017) * 360,
+			    latlng = this._latlng;
+
+			return new L.LatLngBounds(
+			        [latlng.lat - latRadius, latlng.lng - lngRadius],
+			        [latlng.lat + latRadius, latlng.lng + lngRadius]);
+		},
+
+		getLatLng: function () {
+			return this._latlng;
+		},
+
+		getPathString: function () {
+			var p = this._point,
+			    r = this._radius;
+
+			if (this._checkIfEmpty()) {
+				return '';
+			}
+
+			if (L.Browser.svg) {
+				return 'M' + p.x + ',' + (p.y - r) +
+				       'A' + r + ',' + r + ',0,1,1,' +
+				       (p.x - 0.1) + ',' + (p.y - r) + ' z';
+			} else {
+				p._round();
+				r = Math.round(r);
+				return 'AL ' + p.x + ',' + p.y + ' ' + r + ',' + r + ' 0,' + (65535 * 360);
+			}
+		},
+
+		getRadius: function () {
+			return this._mRadius;
+		},
+
+		// TODO Earth hardcoded, move into projection code!
+
+		_getLatRadius: function () {
+			return (this._mRadius / 40075017) * 360;
+		},
+
+		_getLngRadius: function () {
+			return this._getLatRadius() / Math.cos(L.LatLng.DEG_TO_RAD * this._latlng.lat);
+		},
+
+		_checkIfEmpty: function () {
+			if (!this._map) {
+				return false;
+			}
+			var vp = this._map._pathViewport,
+			    r = this._radius,
+			    p = this._point;
+
+			return p.x - r > vp.max.x || p.y - r > vp.max.y ||
+			       p.x + r < vp.min.x || p.y + r < vp.min.y;
+		}
+	});
+
+	L.circle = function (latlng, radius, options) {
+		return new L.Circle(latlng, radius, options);
+	};
+
+
+	/*
+	 * L.CircleMarker is a circle overlay with a permanent pixel radius.
+	 */
+
+	L.CircleMarker = L.Circle.extend({
+		options: {
+			radius: 10,
+			weight: 2
+		},
+
+		initialize: function (latlng, options) {
+			L.Circle.prototype.initialize.call(this, latlng, null, options);
+			this._radius = this.options.radius;
+		},
+
+		projectLatlngs: function () {
+			this._point = this._map.latLngToLayerPoint(this._latlng);
+		},
+
+		_updateStyle : function () {
+			L.Circle.prototype._updateStyle.call(this);
+			this.setRadius(this.options.radius);
+		},
+
+		setLatLng: function (latlng) {
+			L.Circle.prototype.setLatLng.call(this, latlng);
+			if (this._popup && this._popup._isOpen) {
+				this._popup.setLatLng(latlng);
+			}
+			return this;
+		},
+
+		setRadius: function (radius) {
+			this.options.radius = this._radius = radius;
+			return this.redraw();
+		},
+
+		getRadius: function () {
+			return this._radius;
+		}
+	});
+
+	L.circleMarker = function (latlng, options) {
+		return new L.CircleMarker(latlng, options);
+	};
+
+
+	/*
+	 * Extends L.Polyline to be able to manually detect clicks on Canvas-rendered polylines.
+	 */
+
+	L.Polyline.include(!L.Path.CANVAS ? {} : {
+		_containsPoint: function (p, closed) {
+			var i, j, k, len, len2, dist, part,
+			    w = this.options.weight / 2;
+
+			if (L.Browser.touch) {
+				w += 10; // polyline click tolerance on touch devices
+			}
+
+			for (i = 0, len = this._parts.length; i < len; i++) {
+				part = this._parts[i];
+				for (j = 0, len2 = part.length, k = len2 - 1; j < len2; k = j++) {
+					if (!closed && (j === 0)) {
+						continue;
+					}
+
+					dist = L.LineUtil.pointToSegmentDistance(p, part[k], part[j]);
+
+					if (dist <= w) {
+						return true;
+					}
+				}
+			}
+			return false;
+		}
+	});
+
+
+	/*
+	 * Extends L.Polygon to be able to manually detect clicks on Canvas-rendered polygons.
+	 */
+
+	L.Polygon.include(!L.Path.CANVAS ? {} : {
+		_containsPoint: function (p) {
+			var inside = false,
+			    part, p1, p2,
+			    i, j, k,
+			    len, len2;
+
+			// TODO optimization: check if within bounds first
+
+			if (L.Polyline.prototype._containsPoint.call(this, p, true)) {
+				// click on polygon border
+				return true;
+			}
+
+			// ray casting algorithm for detecting if point is in polygon
+
+			for (i = 0, len = this._parts.length; i < len; i++) {
+				part = this._parts[i];
+
+				for (j = 0, len2 = part.length, k = len2 - 1; j < len2; k = j++) {
+					p1 = part[j];
+					p2 = part[k];
+
+					if (((p1.y > p.y) !== (p2.y > p.y)) &&
+							(p.x < (p2.x - p1.x) * (p.y - p1.y) / (p2.y - p1.y) + p1.x)) {
+						inside = !inside;
+					}
+				}
+			}
+
+			return inside;
+		}
+	});
+
+
+	/*
+	 * Extends L.Circle with Canvas-specific code.
+	 */
+
+	L.Circle.include(!L.Path.CANVAS ? {} : {
+		_drawPath: function () {
+			var p = this._point;
+			this._ctx.beginPath();
+			this._ctx.arc(p.x, p.y, this._radius, 0, Math.PI * 2, false);
+		},
+
+		_containsPoint: function (p) {
+			var center = this._point,
+			    w2 = this.options.stroke ? this.options.weight / 2 : 0;
+
+			return (p.distanceTo(center) <= this._radius + w2);
+		}
+	});
+
+
+	/*
+	 * CircleMarker canvas specific drawing parts.
+	 */
+
+	L.CircleMarker.include(!L.Path.CANVAS ? {} : {
+		_updateStyle: function () {
+			L.Path.prototype._updateStyle.call(this);
+		}
+	});
+
+
+	/*
+	 * L.GeoJSON turns any GeoJSON data into a Leaflet layer.
+	 */
+
+	L.GeoJSON = L.FeatureGroup.extend({
+
+		initialize: function (geojson, options) {
+			L.setOptions(this, options);
+
+			this._layers = {};
+
+			if (geojson) {
+				this.addData(geojson);
+			}
+		},
+
+		addData: function (geojson) {
+			var features = L.Util.isArray(geojson) ? geojson : geojson.features,
+			    i, len, feature;
+
+			if (features) {
+				for (i = 0, len = features.length; i < len; i++) {
+					// Only add this if geometry or geometries are set and not null
+					feature = features[i];
+					if (feature.geometries || feature.geometry || feature.features || feature.coordinates) {
+						this.addData(features[i]);
+					}
+				}
+				return this;
+			}
+
+			var options = this.options;
+
+			if (options.filter && !options.filter(geojson)) { return; }
+
+			var layer = L.GeoJSON.geometryToLayer(geojson, options.pointToLayer, options.coordsToLatLng, options);
+			layer.feature = L.GeoJSON.asFeature(geojson);
+
+			layer.defaultOptions = layer.options;
+			this.resetStyle(layer);
+
+			if (options.onEachFeature) {
+				options.onEachFeature(geojson, layer);
+			}
+
+			return this.addLayer(layer);
+		},
+
+		resetStyle: function (layer) {
+			var style = this.options.style;
+			if (style) {
+				// reset any custom styles
+				L.Util.extend(layer.options, layer.defaultOptions);
+
+				this._setLayerStyle(layer, style);
+			}
+		},
+
+		setStyle: function (style) {
+			this.eachLayer(function (layer) {
+				this._setLayerStyle(layer, style);
+			}, this);
+		},
+
+		_setLayerStyle: function (layer, style) {
+			if (typeof style === 'function') {
+				style = style(layer.feature);
+			}
+			if (layer.setStyle) {
+				layer.setStyle(style);
+			}
+		}
+	});
+
+	L.extend(L.GeoJSON, {
+		geometryToLayer: function (geojson, pointToLayer, coordsToLatLng, vectorOptions) {
+			var geometry = geojson.type === 'Feature' ? geojson.geometry : geojson,
+			    coords = geometry.coordinates,
+			    layers = [],
+			    latlng, latlngs, i, len;
+
+			coordsToLatLng = coordsToLatLng || this.coordsToLatLng;
+
+			switch (geometry.type) {
+			case 'Point':
+				latlng = coordsToLatLng(coords);
+				return pointToLayer ? pointToLayer(geojson, latlng) : new L.Marker(latlng);
+
+			case 'MultiPoint':
+				for (i = 0, len = coords.length; i < len; i++) {
+					latlng = coordsToLatLng(coords[i]);
+					layers.push(pointToLayer ? pointToLayer(geojson, latlng) : new L.Marker(latlng));
+				}
+				return new L.FeatureGroup(layers);
+
+			case 'LineString':
+				latlngs = this.coordsToLatLngs(coords, 0, coordsToLatLng);
+				return new L.Polyline(latlngs, vectorOptions);
+
+			case 'Polygon':
+				if (coords.length === 2 && !coords[1].length) {
+					throw new Error('Invalid GeoJSON object.');
+				}
+				latlngs = this.coordsToLatLngs(coords, 1, coordsToLatLng);
+				return new L.Polygon(latlngs, vectorOptions);
+
+			case 'MultiLineString':
+				latlngs = this.coordsToLatLngs(coords, 1, coordsToLatLng);
+				return new L.MultiPolyline(latlngs, vectorOptions);
+
+			case 'MultiPolygon':
+				latlngs = this.coordsToLatLngs(coords, 2, coordsToLatLng);
+				return new L.MultiPolygon(latlngs, vectorOptions);
+
+			case 'GeometryCollection':
+				for (i = 0, len = geometry.geometries.length; i < len; i++) {
+
+					layers.push(this.geometryToLayer({
+						geometry: geometry.geometries[i],
+						type: 'Feature',
+						properties: geojson.properties
+					}, pointToLayer, coordsToLatLng, vectorOptions));
+				}
+				return new L.FeatureGroup(layers);
+
+			default:
+				throw new Error('Invalid GeoJSON object.');
+			}
+		},
+
+		coordsToLatLng: function (coords) { // (Array[, Boolean]) -> LatLng
+			return new L.LatLng(coords[1], coords[0], coords[2]);
+		},
+
+		coordsToLatLngs: function (coords, levelsDeep, coordsToLatLng) { // (Array[, Number, Function]) -> Array
+			var latlng, i, len,
+			    latlngs = [];
+
+			for (i = 0, len = coords.length; i < len; i++) {
+				latlng = levelsDeep ?
+				        this.coordsToLatLngs(coords[i], levelsDeep - 1, coordsToLatLng) :
+				        (coordsToLatLng || this.coordsToLatLng)(coords[i]);
+
+				latlngs.push(latlng);
+			}
+
+			return latlngs;
+		},
+
+		latLngToCoords: function (latlng) {
+			var coords = [latlng.lng, latlng.lat];
+
+			if (latlng.alt !== undefined) {
+				coords.push(latlng.alt);
+			}
+			return coords;
+		},
+
+		latLngsToCoords: function (latLngs) {
+			var coords = [];
+
+			for (var i = 0, len = latLngs.length; i < len; i++) {
+				coords.push(L.GeoJSON.latLngToCoords(latLngs[i]));
+			}
+
+			return coords;
+		},
+
+		getFeature: function (layer, newGeometry) {
+			return layer.feature ? L.extend({}, layer.feature, {geometry: newGeometry}) : L.GeoJSON.asFeature(newGeometry);
+		},
+
+		asFeature: function (geoJSON) {
+			if (geoJSON.type === 'Feature') {
+				return geoJSON;
+			}
+
+			return {
+				type: 'Feature',
+				properties: {},
+				geometry: geoJSON
+			};
+		}
+	});
+
+	var PointToGeoJSON = {
+		toGeoJSON: function () {
+			return L.GeoJSON.getFeature(this, {
+				type: 'Point',
+				coordinates: L.GeoJSON.latLngToCoords(this.getLatLng())
+			});
+		}
+	};
+
+	L.Marker.include(PointToGeoJSON);
+	L.Circle.include(PointToGeoJSON);
+	L.CircleMarker.include(PointToGeoJSON);
+
+	L.Polyline.include({
+		toGeoJSON: function () {
+			return L.GeoJSON.getFeature(this, {
+				type: 'LineString',
+				coordinates: L.GeoJSON.latLngsToCoords(this.getLatLngs())
+			});
+		}
+	});
+
+	L.Polygon.include({
+		toGeoJSON: function () {
+			var coords = [L.GeoJSON.latLngsToCoords(this.getLatLngs())],
+			    i, len, hole;
+
+			coords[0].push(coords[0][0]);
+
+			if (this._holes) {
+				for (i = 0, len = this._holes.length; i < len; i++) {
+					hole = L.GeoJSON.latLngsToCoords(this._holes[i]);
+					hole.push(hole[0]);
+					coords.push(hole);
+				}
+			}
+
+			return L.GeoJSON.getFeature(this, {
+				type: 'Polygon',
+				coordinates: coords
+			});
+		}
+	});
+
+	(function () {
+		function multiToGeoJSON(type) {
+			return function () {
+				var coords = [];
+
+				this.eachLayer(function (layer) {
+					coords.push(layer.toGeoJSON().geometry.coordinates);
+				});
+
+				return L.GeoJSON.getFeature(this, {
+					type: type,
+					coordinates: coords
+				});
+			};
+		}
+
+		L.MultiPolyline.include({toGeoJSON: multiToGeoJSON('MultiLineString')});
+		L.MultiPolygon.include({toGeoJSON: multiToGeoJSON('MultiPolygon')});
+
+		L.LayerGroup.include({
+			toGeoJSON: function () {
+
+				var geometry = this.feature && this.feature.geometry,
+					jsons = [],
+					json;
+
+				if (geometry && geometry.type === 'MultiPoint') {
+					return multiToGeoJSON('MultiPoint').call(this);
+				}
+
+				var isGeometryCollection = geometry && geometry.type === 'GeometryCollection';
+
+				this.eachLayer(function (layer) {
+					if (layer.toGeoJSON) {
+						json = layer.toGeoJSON();
+						jsons.push(isGeometryCollection ? json.geometry : L.GeoJSON.asFeature(json));
+					}
+				});
+
+				if (isGeometryCollection) {
+					return L.GeoJSON.getFeature(this, {
+						geometries: jsons,
+						type: 'GeometryCollection'
+					});
+				}
+
+				return {
+					type: 'FeatureCollection',
+					features: jsons
+				};
+			}
+		});
+	}());
+
+	L.geoJson = function (geojson, options) {
+		return new L.GeoJSON(geojson, options);
+	};
+
+
+	/*
+	 * L.DomEvent contains functions for working with DOM events.
+	 */
+
+	L.DomEvent = {
+		/* inspired by John Resig, Dean Edwards and YUI addEvent implementations */
+		addListener: function (obj, type, fn, context) { // (HTMLElement, String, Function[, Object])
+
+			var id = L.stamp(fn),
+			    key = '_leaflet_' + type + id,
+			    handler, originalHandler, newType;
+
+			if (obj[key]) { return this; }
+
+			handler = function (e) {
+				return fn.call(context || obj, e || L.DomEvent._getEvent());
+			};
+
+			if (L.Browser.pointer && type.indexOf('touch') === 0) {
+				return this.addPointerListener(obj, type, handler, id);
+			}
+			if (L.Browser.touch && (type === 'dblclick') && this.addDoubleTapListener) {
+				this.addDoubleTapListener(obj, handler, id);
+			}
+
+			if ('addEventListener' in obj) {
+
+				if (type === 'mousewheel') {
+					obj.addEventListener('DOMMouseScroll', handler, false);
+					obj.addEventListener(type, handler, false);
+
+				} else if ((type === 'mouseenter') || (type === 'mouseleave')) {
+
+					originalHandler = handler;
+					newType = (type === 'mouseenter' ? 'mouseover' : 'mouseout');
+
+					handler = function (e) {
+						if (!L.DomEvent._checkMouse(obj, e)) { return; }
+						return originalHandler(e);
+					};
+
+					obj.addEventListener(newType, handler, false);
+
+				} else if (type === 'click' && L.Browser.android) {
+					originalHandler = handler;
+					handler = function (e) {
+						return L.DomEvent._filterClick(e, originalHandler);
+					};
+
+					obj.addEventListener(type, handler, false);
+				} else {
+					obj.addEventListener(type, handler, false);
+				}
+
+			} else if ('attachEvent' in obj) {
+				obj.attachEvent('on' + type, handler);
+			}
+
+			obj[key] = handler;
+
+			return this;
+		},
+
+		removeListener: function (obj, type, fn) {  // (HTMLElement, String, Function)
+
+			var id = L.stamp(fn),
+			    key = '_leaflet_' + type + id,
+			    handler = obj[key];
+
+			if (!handler) { return this; }
+
+			if (L.Browser.pointer && type.indexOf('touch') === 0) {
+				this.removePointerListener(obj, type, id);
+			} else if (L.Browser.touch && (type === 'dblclick') && this.removeDoubleTapListener) {
+				this.removeDoubleTapListener(obj, id);
+
+			} else if ('removeEventListener' in obj) {
+
+				if (type === 'mousewheel') {
+					obj.removeEventListener('DOMMouseScroll', handler, false);
+					obj.removeEventListener(type, handler, false);
+
+				} else if ((type === 'mouseenter') || (type === 'mouseleave')) {
+					obj.removeEventListener((type === 'mouseenter' ? 'mouseover' : 'mouseout'), handler, false);
+				} else {
+					obj.removeEventListener(type, handler, false);
+				}
+			} else if ('detachEvent' in obj) {
+				obj.detachEvent('on' + type, handler);
+			}
+
+			obj[key] = null;
+
+			return this;
+		},
+
+		stopPropagation: function (e) {
+
+			if (e.stopPropagation) {
+				e.stopPropagation();
+			} else {
+				e.cancelBubble = true;
+			}
+			L.DomEvent._skipped(e);
+
+			return this;
+		},
+
+		disableScrollPropagation: function (el) {
+			var stop = L.DomEvent.stopPropagation;
+
+			return L.DomEvent
+				.on(el, 'mousewheel', stop)
+				.on(el, 'MozMousePixelScroll', stop);
+		},
+
+		disableClickPropagation: function (el) {
+			var stop = L.DomEvent.stopPropagation;
+
+			for (var i = L.Draggable.START.length - 1; i >= 0; i--) {
+				L.DomEvent.on(el, L.Draggable.START[i], stop);
+			}
+
+			return L.DomEvent
+				.on(el, 'click', L.DomEvent._fakeStop)
+				.on(el, 'dblclick', stop);
+		},
+
+		preventDefault: function (e) {
+
+			if (e.preventDefault) {
+				e.preventDefault();
+			} else {
+				e.returnValue = false;
+			}
+			return this;
+		},
+
+		stop: function (e) {
+			return L.DomEvent
+				.preventDefault(e)
+				.stopPropagation(e);
+		},
+
+		getMousePosition: function (e, container) {
+			if (!container) {
+				return new L.Point(e.clientX, e.clientY);
+			}
+
+			var rect = container.getBoundingClientRect();
+
+			return new L.Point(
+				e.clientX - rect.left - container.clientLeft,
+				e.clientY - rect.top - container.clientTop);
+		},
+
+		getWheelDelta: function (e) {
+
+			var delta = 0;
+
+			if (e.wheelDelta) {
+				delta = e.wheelDelta / 120;
+			}
+			if (e.detail) {
+				delta = -e.detail / 3;
+			}
+			return delta;
+		},
+
+		_skipEvents: {},
+
+		_fakeStop: function (e) {
+			// fakes stopPropagation by setting a special event flag, checked/reset with L.DomEvent._skipped(e)
+			L.DomEvent._skipEvents[e.type] = true;
+		},
+
+		_skipped: function (e) {
+			var skipped = this._skipEvents[e.type];
+			// reset when checking, as it's only used in map container and propagates outside of the map
+			this._skipEvents[e.type] = false;
+			return skipped;
+		},
+
+		// check if element really left/entered the event target (for mouseenter/mouseleave)
+		_checkMouse: function (el, e) {
+
+			var related = e.relatedTarget;
+
+			if (!related) { return true; }
+
+			try {
+				while (related && (related !== el)) {
+					related = related.parentNode;
+				}
+			} catch (err) {
+				return false;
+			}
+			return (related !== el);
+		},
+
+		_getEvent: function () { // evil magic for IE
+			/*jshint noarg:false */
+			var e = window.event;
+			if (!e) {
+				var caller = arguments.callee.caller;
+				while (caller) {
+					e = caller['arguments'][0];
+					if (e && window.Event === e.constructor) {
+						break;
+					}
+					caller = caller.caller;
+				}
+			}
+			return e;
+		},
+
+		// this is a horrible workaround for a bug in Android where a single touch triggers two click events
+		_filterClick: function (e, handler) {
+			var timeStamp = (e.timeStamp || e.originalEvent.timeStamp),
+				elapsed = L.DomEvent._lastClick && (timeStamp - L.DomEvent._lastClick);
+
+			// are they closer together than 500ms yet more than 100ms?
+			// Android typically triggers them ~300ms apart while multiple listeners
+			// on the same event should be triggered far faster;
+			// or check if click is simulated on the element, and if it is, reject any non-simulated events
+
+			if ((elapsed && elapsed > 100 && elapsed < 500) || (e.target._simulatedClick && !e._simulated)) {
+				L.DomEvent.stop(e);
+				return;
+			}
+			L.DomEvent._lastClick = timeStamp;
+
+			return handler(e);
+		}
+	};
+
+	L.DomEvent.on = L.DomEvent.addListener;
+	L.DomEvent.off = L.DomEvent.removeListener;
+
+
+	/*
+	 * L.Draggable allows you to add dragging capabilities to any element. Supports mobile devices too.
+	 */
+
+	L.Draggable = L.Class.extend({
+		includes: L.Mixin.Events,
+
+		statics: {
+			START: L.Browser.touch ? ['touchstart', 'mousedown'] : ['mousedown'],
+			END: {
+				mousedown: 'mouseup',
+				touchstart: 'touchend',
+				pointerdown: 'touchend',
+				MSPointerDown: 'touchend'
+			},
+			MOVE: {
+				mousedown: 'mousemove',
+				touchstart: 'touchmove',
+				pointerdown: 'touchmove',
+				MSPointerDown: 'touchmove'
+			}
+		},
+
+		initialize: function (element, dragStartTarget) {
+			this._element = element;
+			this._dragStartTarget = dragStartTarget || element;
+		},
+
+		enable: function () {
+			if (this._enabled) { return; }
+
+			for (var i = L.Draggable.START.length - 1; i >= 0; i--) {
+				L.DomEvent.on(this._dragStartTarget, L.Draggable.START[i], this._onDown, this);
+			}
+
+			this._enabled = true;
+		},
+
+		disable: function () {
+			if (!this._enabled) { return; }
+
+			for (var i = L.Draggable.START.length - 1; i >= 0; i--) {
+				L.DomEvent.off(this._dragStartTarget, L.Draggable.START[i], this._onDown, this);
+			}
+
+			this._enabled = false;
+			this._moved = false;
+		},
+
+		_onDown: function (e) {
+			this._moved = false;
+
+			if (e.shiftKey || ((e.which !== 1) && (e.button !== 1) && !e.touches)) { return; }
+
+			L.DomEvent.stopPropagation(e);
+
+			if (L.Draggable._disabled) { return; }
+
+			L.DomUtil.disableImageDrag();
+			L.DomUtil.disableTextSelection();
+
+			if (this._moving) { return; }
+
+			var first = e.touches ? e.touches[0] : e;
+
+			this._startPoint = new L.Point(first.clientX, first.clientY);
+			this._startPos = this._newPos = L.DomUtil.getPosition(this._element);
+
+			L.DomEvent
+			    .on(document, L.Draggable.MOVE[e.type], this._onMove, this)
+			    .on(document, L.Draggable.END[e.type], this._onUp, this);
+		},
+
+		_onMove: function (e) {
+			if (e.touches && e.touches.length > 1) {
+				this._moved = true;
+				return;
+			}
+
+			var first = (e.touches && e.touches.length === 1 ? e.touches[0] : e),
+			    newPoint = new L.Point(first.clientX, first.clientY),
+			    offset = newPoint.subtract(this._startPoint);
+
+			if (!offset.x && !offset.y) { return; }
+			if (L.Browser.touch && Math.abs(offset.x) + Math.abs(offset.y) < 3) { return; }
+
+			L.DomEvent.preventDefault(e);
+
+			if (!this._moved) {
+				this.fire('dragstart');
+
+				this._moved = true;
+				this._startPos = L.DomUtil.getPosition(this._element).subtract(offset);
+
+				L.DomUtil.addClass(document.body, 'leaflet-dragging');
+				this._lastTarget = e.target || e.srcElement;
+				L.DomUtil.addClass(this._lastTarget, 'leaflet-drag-target');
+			}
+
+			this._newPos = this._startPos.add(offset);
+			this._moving = true;
+
+			L.Util.cancelAnimFrame(this._animRequest);
+			this._animRequest = L.Util.requestAnimFrame(this._updatePosition, this, true, this._dragStartTarget);
+		},
+
+		_updatePosition: function () {
+			this.fire('predrag');
+			L.DomUtil.setPosition(this._element, this._newPos);
+			this.fire('drag');
+		},
+
+		_onUp: function () {
+			L.DomUtil.removeClass(document.body, 'leaflet-dragging');
+
+			if (this._lastTarget) {
+				L.DomUtil.removeClass(this._lastTarget, 'leaflet-drag-target');
+				this._lastTarget = null;
+			}
+
+			for (var i in L.Draggable.MOVE) {
+				L.DomEvent
+				    .off(document, L.Draggable.MOVE[i], this._onMove)
+				    .off(document, L.Draggable.END[i], this._onUp);
+			}
+
+			L.DomUtil.enableImageDrag();
+			L.DomUtil.enableTextSelection();
+
+			if (this._moved && this._moving) {
+				// ensure drag is not fired after dragend
+				L.Util.cancelAnimFrame(this._animRequest);
+
+				this.fire('dragend', {
+					distance: this._newPos.distanceTo(this._startPos)
+				});
+			}
+
+			this._moving = false;
+		}
+	});
+
+
+	/*
+		L.Handler is a base class for handler classes that are used internally to inject
+		interaction features like dragging to classes like Map and Marker.
+	*/
+
+	L.Handler = L.Class.extend({
+		initialize: function (map) {
+			this._map = map;
+		},
+
+		enable: function () {
+			if (this._enabled) { return; }
+
+			this._enabled = true;
+			this.addHooks();
+		},
+
+		disable: function () {
+			if (!this._enabled) { return; }
+
+			this._enabled = false;
+			this.removeHooks();
+		},
+
+		enabled: function () {
+			return !!this._enabled;
+		}
+	});
+
+
+	/*
+	 * L.Handler.MapDrag is used to make the map draggable (with panning inertia), enabled by default.
+	 */
+
+	L.Map.mergeOptions({
+		dragging: true,
+
+		inertia: !L.Browser.android23,
+		inertiaDeceleration: 3400, // px/s^2
+		inertiaMaxSpeed: Infinity, // px/s
+		inertiaThreshold: L.Browser.touch ? 32 : 18, // ms
+		easeLinearity: 0.25,
+
+		// TODO refactor, move to CRS
+		worldCopyJump: false
+	});
+
+	L.Map.Drag = L.Handler.extend({
+		addHooks: function () {
+			if (!this._draggable) {
+				var map = this._map;
+
+				this._draggable = new L.Draggable(map._mapPane, map._container);
+
+				this._draggable.on({
+					'dragstart': this._onDragStart,
+					'drag': this._onDrag,
+					'dragend': this._onDragEnd
+				}, this);
+
+				if (map.options.worldCopyJump) {
+					this._draggable.on('predrag', this._onPreDrag, this);
+					map.on('viewreset', this._onViewReset, this);
+
+					map.whenReady(this._onViewReset, this);
+				}
+			}
+			this._draggable.enable();
+		},
+
+		removeHooks: function () {
+			this._draggable.disable();
+		},
+
+		moved: function () {
+			return this._draggable && this._draggable._moved;
+		},
+
+		_onDragStart: function () {
+			var map = this._map;
+
+			if (map._panAnim) {
+				map._panAnim.stop();
+			}
+
+			map
+			    .fire('movestart')
+			    .fire('dragstart');
+
+			if (map.options.inertia) {
+				this._positions = [];
+				this._times = [];
+			}
+		},
+
+		_onDrag: function () {
+			if (this._map.options.inertia) {
+				var time = this._lastTime = +new Date(),
+				    pos = this._lastPos = this._draggable._newPos;
+
+				this._positions.push(pos);
+				this._times.push(time);
+
+				if (time - this._times[0] > 200) {
+					this._positions.shift();
+					this._times.shift();
+				}
+			}
+
+			this._map
+			    .fire('move')
+			    .fire('drag');
+		},
+
+		_onViewReset: function () {
+			// TODO fix hardcoded Earth values
+			var pxCenter = this._map.getSize()._divideBy(2),
+			    pxWorldCenter = this._map.latLngToLayerPoint([0, 0]);
+
+			this._initialWorldOffset = pxWorldCenter.subtract(pxCenter).x;
+			this._worldWidth = this._map.project([0, 180]).x;
+		},
+
+		_onPreDrag: function () {
+			// TODO refactor to be able to adjust map pane position after zoom
+			var worldWidth = this._worldWidth,
+			    halfWidth = Math.round(worldWidth / 2),
+			    dx = this._initialWorldOffset,
+			    x = this._draggable._newPos.x,
+			    newX1 = (x - halfWidth + dx) % worldWidth + halfWidth - dx,
+			    newX2 = (x + halfWidth + dx) % worldWidth - halfWidth - dx,
+			    newX = Math.abs(newX1 + dx) < Math.abs(newX2 + dx) ? newX1 : newX2;
+
+			this._draggable._newPos.x = newX;
+		},
+
+		_onDragEnd: function (e) {
+			var map = this._map,
+			    options = map.options,
+			    delay = +new Date() - this._lastTime,
+
+			    noInertia = !options.inertia || delay > options.inertiaThreshold || !this._positions[0];
+
+			map.fire('dragend', e);
+
+			if (noInertia) {
+				map.fire('moveend');
+
+			} else {
+
+				var direction = this._lastPos.subtract(this._positions[0]),
+				    duration = (this._lastTime + delay - this._times[0]) / 1000,
+				    ease = options.easeLinearity,
+
+				    speedVector = direction.multiplyBy(ease / duration),
+				    speed = speedVector.distanceTo([0, 0]),
+
+				    limitedSpeed = Math.min(options.inertiaMaxSpeed, speed),
+				    limitedSpeedVector = speedVector.multiplyBy(limitedSpeed / speed),
+
+				    decelerationDuration = limitedSpeed / (options.inertiaDeceleration * ease),
+				    offset = limitedSpeedVector.multiplyBy(-decelerationDuration / 2).round();
+
+				if (!offset.x || !offset.y) {
+					map.fire('moveend');
+
+				} else {
+					offset = map._limitOffset(offset, map.options.maxBounds);
+
+					L.Util.requestAnimFrame(function () {
+						map.panBy(offset, {
+							duration: decelerationDuration,
+							easeLinearity: ease,
+							noMoveStart: true
+						});
+					});
+				}
+			}
+		}
+	});
+
+	L.Map.addInitHook('addHandler', 'dragging', L.Map.Drag);
+
+
+	/*
+	 * L.Handler.DoubleClickZoom is used to handle double-click zoom on the map, enabled by default.
+	 */
+
+	L.Map.mergeOptions({
+		doubleClickZoom: true
+	});
+
+	L.Map.DoubleClickZoom = L.Handler.extend({
+		addHooks: function () {
+			this._map.on('dblclick', this._onDoubleClick, this);
+		},
+
+		removeHooks: function () {
+			this._map.off('dblclick', this._onDoubleClick, this);
+		},
+
+		_onDoubleClick: function (e) {
+			var map = this._map,
+			    zoom = map.getZoom() + (e.originalEvent.shiftKey ? -1 : 1);
+
+			if (map.options.doubleClickZoom === 'center') {
+				map.setZoom(zoom);
+			} else {
+				map.setZoomAround(e.containerPoint, zoom);
+			}
+		}
+	});
+
+	L.Map.addInitHook('addHandler', 'doubleClickZoom', L.Map.DoubleClickZoom);
+
+
+	/*
+	 * L.Handler.ScrollWheelZoom is used by L.Map to enable mouse scroll wheel zoom on the map.
+	 */
+
+	L.Map.mergeOptions({
+		scrollWheelZoom: true
+	});
+
+	L.Map.ScrollWheelZoom = L.Handler.extend({
+		addHooks: function () {
+			L.DomEvent.on(this._map._container, 'mousewheel', this._onWheelScroll, this);
+			L.DomEvent.on(this._map._container, 'MozMousePixelScroll', L.DomEvent.preventDefault);
+			this._delta = 0;
+		},
+
+		removeHooks: function () {
+			L.DomEvent.off(this._map._container, 'mousewheel', this._onWheelScroll);
+			L.DomEvent.off(this._map._container, 'MozMousePixelScroll', L.DomEvent.preventDefault);
+		},
+
+		_onWheelScroll: function (e) {
+			var delta = L.DomEvent.getWheelDelta(e);
+
+			this._delta += delta;
+			this._lastMousePos = this._map.mouseEventToContainerPoint(e);
+
+			if (!this._startTime) {
+				this._startTime = +new Date();
+			}
+
+			var left = Math.max(40 - (+new Date() - this._startTime), 0);
+
+			clearTimeout(this._timer);
+			this._timer = setTimeout(L.bind(this._performZoom, this), left);
+
+			L.DomEvent.preventDefault(e);
+			L.DomEvent.stopPropagation(e);
+		},
+
+		_performZoom: function () {
+			var map = this._map,
+			    delta = this._delta,
+			    zoom = map.getZoom();
+
+			delta = delta > 0 ? Math.ceil(delta) : Math.floor(delta);
+			delta = Math.max(Math.min(delta, 4), -4);
+			delta = map._limitZoom(zoom + delta) - zoom;
+
+			this._delta = 0;
+			this._startTime = null;
+
+			if (!delta) { return; }
+
+			if (map.options.scrollWheelZoom === 'center') {
+				map.setZoom(zoom + delta);
+			} else {
+				map.setZoomAround(this._lastMousePos, zoom + delta);
+			}
+		}
+	});
+
+	L.Map.addInitHook('addHandler', 'scrollWheelZoom', L.Map.ScrollWheelZoom);
+
+
+	/*
+	 * Extends the event handling code with double tap support for mobile browsers.
+	 */
+
+	L.extend(L.DomEvent, {
+
+		_touchstart: L.Browser.msPointer ? 'MSPointerDown' : L.Browser.pointer ? 'pointerdown' : 'touchstart',
+		_touchend: L.Browser.msPointer ? 'MSPointerUp' : L.Browser.pointer ? 'pointerup' : 'touchend',
+
+		// inspired by Zepto touch code by Thomas Fuchs
+		addDoubleTapListener: function (obj, handler, id) {
+			var last,
+			    doubleTap = false,
+			    delay = 250,
+			    touch,
+			    pre = '_leaflet_',
+			    touchstart = this._touchstart,
+			    touchend = this._touchend,
+			    trackedTouches = [];
+
+			function onTouchStart(e) {
+				var count;
+
+				if (L.Browser.pointer) {
+					trackedTouches.push(e.pointerId);
+					count = trackedTouches.length;
+				} else {
+					count = e.touches.length;
+				}
+				if (count > 1) {
+					return;
+				}
+
+				var now = Date.now(),
+					delta = now - (last || now);
+
+				touch = e.touches ? e.touches[0] : e;
+				doubleTap = (delta > 0 && delta <= delay);
+				last = now;
+			}
+
+			function onTouchEnd(e) {
+				if (L.Browser.pointer) {
+					var idx = trackedTouches.indexOf(e.pointerId);
+					if (idx === -1) {
+						return;
+					}
+					trackedTouches.splice(idx, 1);
+				}
+
+				if (doubleTap) {
+					if (L.Browser.pointer) {
+						// work around .type being readonly with MSPointer* events
+						var newTouch = { },
+							prop;
+
+						// jshint forin:false
+						for (var i in touch) {
+							prop = touch[i];
+							if (typeof prop === 'function') {
+								newTouch[i] = prop.bind(touch);
+							} else {
+								newTouch[i] = prop;
+							}
+						}
+						touch = newTouch;
+					}
+					touch.type = 'dblclick';
+					handler(touch);
+					last = null;
+				}
+			}
+			obj[pre + touchstart + id] = onTouchStart;
+			obj[pre + touchend + id] = onTouchEnd;
+
+			// on pointer we need to listen on the document, otherwise a drag starting on the map and moving off screen
+			// will not come through to us, so we will lose track of how many touches are ongoing
+			var endElement = L.Browser.pointer ? document.documentElement : obj;
+
+			obj.addEventListener(touchstart, onTouchStart, false);
+			endElement.addEventListener(touchend, onTouchEnd, false);
+
+			if (L.Browser.pointer) {
+				endElement.addEventListener(L.DomEvent.POINTER_CANCEL, onTouchEnd, false);
+			}
+
+			return this;
+		},
+
+		removeDoubleTapListener: function (obj, id) {
+			var pre = '_leaflet_';
+
+			obj.removeEventListener(this._touchstart, obj[pre + this._touchstart + id], false);
+			(L.Browser.pointer ? document.documentElement : obj).removeEventListener(
+			        this._touchend, obj[pre + this._touchend + id], false);
+
+			if (L.Browser.pointer) {
+				document.documentElement.removeEventListener(L.DomEvent.POINTER_CANCEL, obj[pre + this._touchend + id],
+					false);
+			}
+
+			return this;
+		}
+	});
+
+
+	/*
+	 * Extends L.DomEvent to provide touch support for Internet Explorer and Windows-based devices.
+	 */
+
+	L.extend(L.DomEvent, {
+
+		//static
+		POINTER_DOWN: L.Browser.msPointer ? 'MSPointerDown' : 'pointerdown',
+		POINTER_MOVE: L.Browser.msPointer ? 'MSPointerMove' : 'pointermove',
+		POINTER_UP: L.Browser.msPointer ? 'MSPointerUp' : 'pointerup',
+		POINTER_CANCEL: L.Browser.msPointer ? 'MSPointerCancel' : 'pointercancel',
+
+		_pointers: [],
+		_pointerDocumentListener: false,
+
+		// Provides a touch events wrapper for (ms)pointer events.
+		// Based on changes by veproza https://github.com/CloudMade/Leaflet/pull/1019
+		//ref http://www.w3.org/TR/pointerevents/ https://www.w3.org/Bugs/Public/show_bug.cgi?id=22890
+
+		addPointerListener: function (obj, type, handler, id) {
+
+			switch (type) {
+			case 'touchstart':
+				return this.addPointerListenerStart(obj, type, handler, id);
+			case 'touchend':
+				return this.addPointerListenerEnd(obj, type, handler, id);
+			case 'touchmove':
+				return this.addPointerListenerMove(obj, type, handler, id);
+			default:
+				throw 'Unknown touch event type';
+			}
+		},
+
+		addPointerListenerStart: function (obj, type, handler, id) {
+			var pre = '_leaflet_',
+			    pointers = this._pointers;
+
+			var cb = function (e) {
+				if (e.pointerType !== 'mouse' && e.pointerType !== e.MSPOINTER_TYPE_MOUSE) {
+					L.DomEvent.preventDefault(e);
+				}
+
+				var alreadyInArray = false;
+				for (var i = 0; i < pointers.length; i++) {
+					if (pointers[i].pointerId === e.pointerId) {
+						alreadyInArray = true;
+						break;
+					}
+				}
+				if (!alreadyInArray) {
+					pointers.push(e);
+				}
+
+				e.touches = pointers.slice();
+				e.changedTouches = [e];
+
+				handler(e);
+			};
+
+			obj[pre + 'touchstart' + id] = cb;
+			obj.addEventListener(this.POINTER_DOWN, cb, false);
+
+			// need to also listen for end events to keep the _pointers list accurate
+			// this needs to be on the body and never go away
+			if (!this._pointerDocumentListener) {
+				var internalCb = function (e) {
+					for (var i = 0; i < pointers.length; i++) {
+						if (pointers[i].pointerId === e.pointerId) {
+							pointers.splice(i, 1);
+							break;
+						}
+					}
+				};
+				//We listen on the documentElement as any drags that end by moving the touch off the screen get fired there
+				document.documentElement.addEventListener(this.POINTER_UP, internalCb, false);
+				document.documentElement.addEventListener(this.POINTER_CANCEL, internalCb, false);
+
+				this._pointerDocumentListener = true;
+			}
+
+			return this;
+		},
+
+		addPointerListenerMove: function (obj, type, handler, id) {
+			var pre = '_leaflet_',
+			    touches = this._pointers;
+
+			function cb(e) {
+
+				// don't fire touch moves when mouse isn't down
+				if ((e.pointerType === e.MSPOINTER_TYPE_MOUSE || e.pointerType === 'mouse') && e.buttons === 0) { return; }
+
+				for (var i = 0; i < touches.length; i++) {
+					if (touches[i].pointerId === e.pointerId) {
+						touches[i] = e;
+						break;
+					}
+				}
+
+				e.touches = touches.slice();
+				e.changedTouches = [e];
+
+				handler(e);
+			}
+
+			obj[pre + 'touchmove' + id] = cb;
+			obj.addEventListener(this.POINTER_MOVE, cb, false);
+
+			return this;
+		},
+
+		addPointerListenerEnd: function (obj, type, handler, id) {
+			var pre = '_leaflet_',
+			    touches = this._pointers;
+
+			var cb = function (e) {
+				for (var i = 0; i < touches.length; i++) {
+					if (touches[i].pointerId === e.pointerId) {
+						touches.splice(i, 1);
+						break;
+					}
+				}
+
+				e.touches = touches.slice();
+				e.changedTouches = [e];
+
+				handler(e);
+			};
+
+			obj[pre + 'touchend' + id] = cb;
+			obj.addEventListener(this.POINTER_UP, cb, false);
+			obj.addEventListener(this.POINTER_CANCEL, cb, false);
+
+			return this;
+		},
+
+		removePointerListener: function (obj, type, id) {
+			var pre = '_leaflet_',
+			    cb = obj[pre + type + id];
+
+			switch (type) {
+			case 'touchstart':
+				obj.removeEventListener(this.POINTER_DOWN, cb, false);
+				break;
+			case 'touchmove':
+				obj.removeEventListener(this.POINTER_MOVE, cb, false);
+				break;
+			case 'touchend':
+				obj.removeEventListener(this.POINTER_UP, cb, false);
+				obj.removeEventListener(this.POINTER_CANCEL, cb, false);
+				break;
+			}
+
+			return this;
+		}
+	});
+
+
+	/*
+	 * L.Handler.TouchZoom is used by L.Map to add pinch zoom on supported mobile browsers.
+	 */
+
+	L.Map.mergeOptions({
+		touchZoom: L.Browser.touch && !L.Browser.android23,
+		bounceAtZoomLimits: true
+	});
+
+	L.Map.TouchZoom = L.Handler.extend({
+		addHooks: function () {
+			L.DomEvent.on(this._map._container, 'touchstart', this._onTouchStart, this);
+		},
+
+		removeHooks: function () {
+			L.DomEvent.off(this._map._container, 'touchstart', this._onTouchStart, this);
+		},
+
+		_onTouchStart: function (e) {
+			var map = this._map;
+
+			if (!e.touches || e.touches.length !== 2 || map._animatingZoom || this._zooming) { return; }
+
+			var p1 = map.mouseEventToLayerPoint(e.touches[0]),
+			    p2 = map.mouseEventToLayerPoint(e.touches[1]),
+			    viewCenter = map._getCenterLayerPoint();
+
+			this._startCenter = p1.add(p2)._divideBy(2);
+			this._startDist = p1.distanceTo(p2);
+
+			this._moved = false;
+			this._zooming = true;
+
+			this._centerOffset = viewCenter.subtract(this._startCenter);
+
+			if (map._panAnim) {
+				map._panAnim.stop();
+			}
+
+			L.DomEvent
+			    .on(document, 'touchmove', this._onTouchMove, this)
+			    .on(document, 'touchend', this._onTouchEnd, this);
+
+			L.DomEvent.preventDefault(e);
+		},
+
+		_onTouchMove: function (e) {
+			var map = this._map;
+
+			if (!e.touches || e.touches.length !== 2 || !this._zooming) { return; }
+
+			var p1 = map.mouseEventToLayerPoint(e.touches[0]),
+			    p2 = map.mouseEventToLayerPoint(e.touches[1]);
+
+			this._scale = p1.distanceTo(p2) / this._startDist;
+			this._delta = p1._add(p2)._divideBy(2)._subtract(this._startCenter);
+
+			if (this._scale === 1) { return; }
+
+			if (!map.options.bounceAtZoomLimits) {
+				if ((map.getZoom() === map.getMinZoom() && this._scale < 1) ||
+				    (map.getZoom() === map.getMaxZoom() && this._scale > 1)) { return; }
+			}
+
+			if (!this._moved) {
+				L.DomUtil.addClass(map._mapPane, 'leaflet-touching');
+
+				map
+				    .fire('movestart')
+				    .fire('zoomstart');
+
+				this._moved = true;
+			}
+
+			L.Util.cancelAnimFrame(this._animRequest);
+			this._animRequest = L.Util.requestAnimFrame(
+			        this._updateOnMove, this, true, this._map._container);
+
+			L.DomEvent.preventDefault(e);
+		},
+
+		_updateOnMove: function () {
+			var map = this._map,
+			    origin = this._getScaleOrigin(),
+			    center = map.layerPointToLatLng(origin),
+			    zoom = map.getScaleZoom(this._scale);
+
+			map._animateZoom(center, zoom, this._startCenter, this._scale, this._delta, false, true);
+		},
+
+		_onTouchEnd: function () {
+			if (!this._moved || !this._zooming) {
+				this._zooming = false;
+				return;
+			}
+
+			var map = this._map;
+
+			this._zooming = false;
+			L.DomUtil.removeClass(map._mapPane, 'leaflet-touching');
+			L.Util.cancelAnimFrame(this._animRequest);
+
+			L.DomEvent
+			    .off(document, 'touchmove', this._onTouchMove)
+			    .off(document, 'touchend', this._onTouchEnd);
+
+			var origin = this._getScaleOrigin(),
+			    center = map.layerPointToLatLng(origin),
+
+			    oldZoom = map.getZoom(),
+			    floatZoomDelta = map.getScaleZoom(this._scale) - oldZoom,
+			    roundZoomDelta = (floatZoomDelta > 0 ?
+			            Math.ceil(floatZoomDelta) : Math.floor(floatZoomDelta)),
+
+			    zoom = map._limitZoom(oldZoom + roundZoomDelta),
+			    scale = map.getZoomScale(zoom) / this._scale;
+
+			map._animateZoom(center, zoom, origin, scale);
+		},
+
+		_getScaleOrigin: function () {
+			var centerOffset = this._centerOffset.subtract(this._delta).divideBy(this._scale);
+			return this._startCenter.add(centerOffset);
+		}
+	});
+
+	L.Map.addInitHook('addHandler', 'touchZoom', L.Map.TouchZoom);
+
+
+	/*
+	 * L.Map.Tap is used to enable mobile hacks like quick taps and long hold.
+	 */
+
+	L.Map.mergeOptions({
+		tap: true,
+		tapTolerance: 15
+	});
+
+	L.Map.Tap = L.Handler.extend({
+		addHooks: function () {
+			L.DomEvent.on(this._map._container, 'touchstart', this._onDown, this);
+		},
+
+		removeHooks: function () {
+			L.DomEvent.off(this._map._container, 'touchstart', this._onDown, this);
+		},
+
+		_onDown: function (e) {
+			if (!e.touches) { return; }
+
+			L.DomEvent.preventDefault(e);
+
+			this._fireClick = true;
+
+			// don't simulate click or track longpress if more than 1 touch
+			if (e.touches.length > 1) {
+				this._fireClick = false;
+				clearTimeout(this._holdTimeout);
+				return;
+			}
+
+			var first = e.touches[0],
+			    el = first.target;
+
+			this._startPos = this._newPos = new L.Point(first.clientX, first.clientY);
+
+			// if touching a link, highlight it
+			if (el.tagName && el.tagName.toLowerCase() === 'a') {
+				L.DomUtil.addClass(el, 'leaflet-active');
+			}
+
+			// simulate long hold but setting a timeout
+			this._holdTimeout = setTimeout(L.bind(function () {
+				if (this._isTapValid()) {
+					this._fireClick = false;
+					this._onUp();
+					this._simulateEvent('contextmenu', first);
+				}
+			}, this), 1000);
+
+			L.DomEvent
+				.on(document, 'touchmove', this._onMove, this)
+				.on(document, 'touchend', this._onUp, this);
+		},
+
+		_onUp: function (e) {
+			clearTimeout(this._holdTimeout);
+
+			L.DomEvent
+				.off(document, 'touchmove', this._onMove, this)
+				.off(document, 'touchend', this._onUp, this);
+
+			if (this._fireClick && e && e.changedTouches) {
+
+				var first = e.changedTouches[0],
+				    el = first.target;
+
+				if (el && el.tagName && el.tagName.toLowerCase() === 'a') {
+					L.DomUtil.removeClass(el, 'leaflet-active');
+				}
+
+				// simulate click if the touch didn't move too much
+				if (this._isTapValid()) {
+					this._simulateEvent('click', first);
+				}
+			}
+		},
+
+		_isTapValid: function () {
+			return this._newPos.distanceTo(this._startPos) <= this._map.options.tapTolerance;
+		},
+
+		_onMove: function (e) {
+			var first = e.touches[0];
+			this._newPos = new L.Point(first.clientX, first.clientY);
+		},
+
+		_simulateEvent: function (type, e) {
+			var simulatedEvent = document.createEvent('MouseEvents');
+
+			simulatedEvent._simulated = true;
+			e.target._simulatedClick = true;
+
+			simulatedEvent.initMouseEvent(
+			        type, true, true, window, 1,
+			        e.screenX, e.screenY,
+			        e.clientX, e.clientY,
+			        false, false, false, false, 0, null);
+
+			e.target.dispatchEvent(simulatedEvent);
+		}
+	});
+
+	if (L.Browser.touch && !L.Browser.pointer) {
+		L.Map.addInitHook('addHandler', 'tap', L.Map.Tap);
+	}
+
+
+	/*
+	 * L.Handler.ShiftDragZoom is used to add shift-drag zoom interaction to the map
+	  * (zoom to a selected bounding box), enabled by default.
+	 */
+
+	L.Map.mergeOptions({
+		boxZoom: true
+	});
+
+	L.Map.BoxZoom = L.Handler.extend({
+		initialize: function (map) {
+			this._map = map;
+			this._container = map._container;
+			this._pane = map._panes.overlayPane;
+			this._moved = false;
+		},
+
+		addHooks: function () {
+			L.DomEvent.on(this._container, 'mousedown', this._onMouseDown, this);
+		},
+
+		removeHooks: function () {
+			L.DomEvent.off(this._container, 'mousedown', this._onMouseDown);
+			this._moved = false;
+		},
+
+		moved: function () {
+			return this._moved;
+		},
+
+		_onMouseDown: function (e) {
+			this._moved = false;
+
+			if (!e.shiftKey || ((e.which !== 1) && (e.button !== 1))) { return false; }
+
+			L.DomUtil.disableTextSelection();
+			L.DomUtil.disableImageDrag();
+
+			this._startLayerPoint = this._map.mouseEventToLayerPoint(e);
+
+			L.DomEvent
+			    .on(document, 'mousemove', this._onMouseMove, this)
+			    .on(document, 'mouseup', this._onMouseUp, this)
+			    .on(document, 'keydown', this._onKeyDown, this);
+		},
+
+		_onMouseMove: function (e) {
+			if (!this._moved) {
+				this._box = L.DomUtil.create('div', 'leaflet-zoom-box', this._pane);
+				L.DomUtil.setPosition(this._box, this._startLayerPoint);
+
+				//TODO refactor: move cursor to styles
+				this._container.style.cursor = 'crosshair';
+				this._map.fire('boxzoomstart');
+			}
+
+			var startPoint = this._startLayerPoint,
+			    box = this._box,
+
+			    layerPoint = this._map.mouseEventToLayerPoint(e),
+			    offset = layerPoint.subtract(startPoint),
+
+			    newPos = new L.Point(
+			        Math.min(layerPoint.x, startPoint.x),
+			        Math.min(layerPoint.y, startPoint.y));
+
+			L.DomUtil.setPosition(box, newPos);
+
+			this._moved = true;
+
+			// TODO refactor: remove hardcoded 4 pixels
+			box.style.width  = (Math.max(0, Math.abs(offset.x) - 4)) + 'px';
+			box.style.height = (Math.max(0, Math.abs(offset.y) - 4)) + 'px';
+		},
+
+		_finish: function () {
+			if (this._moved) {
+				this._pane.removeChild(this._box);
+				this._container.style.cursor = '';
+			}
+
+			L.DomUtil.enableTextSelection();
+			L.DomUtil.enableImageDrag();
+
+			L.DomEvent
+			    .off(document, 'mousemove', this._onMouseMove)
+			    .off(document, 'mouseup', this._onMouseUp)
+			    .off(document, 'keydown', this._onKeyDown);
+		},
+
+		_onMouseUp: function (e) {
+
+			this._finish();
+
+			var map = this._map,
+			    layerPoint = map.mouseEventToLayerPoint(e);
+
+			if (this._startLayerPoint.equals(layerPoint)) { return; }
+
+			var bounds = new L.LatLngBounds(
+			        map.layerPointToLatLng(this._startLayerPoint),
+			        map.layerPointToLatLng(layerPoint));
+
+			map.fitBounds(bounds);
+
+			map.fire('boxzoomend', {
+				boxZoomBounds: bounds
+			});
+		},
+
+		_onKeyDown: function (e) {
+			if (e.keyCode === 27) {
+				this._finish();
+			}
+		}
+	});
+
+	L.Map.addInitHook('addHandler', 'boxZoom', L.Map.BoxZoom);
+
+
+	/*
+	 * L.Map.Keyboard is handling keyboard interaction with the map, enabled by default.
+	 */
+
+	L.Map.mergeOptions({
+		keyboard: true,
+		keyboardPanOffset: 80,
+		keyboardZoomOffset: 1
+	});
+
+	L.Map.Keyboard = L.Handler.extend({
+
+		keyCodes: {
+			left:    [37],
+			right:   [39],
+			down:    [40],
+			up:      [38],
+			zoomIn:  [187, 107, 61, 171],
+			zoomOut: [189, 109, 173]
+		},
+
+		initialize: function (map) {
+			this._map = map;
+
+			this._setPanOffset(map.options.keyboardPanOffset);
+			this._setZoomOffset(map.options.keyboardZoomOffset);
+		},
+
+		addHooks: function () {
+			var container = this._map._container;
+
+			// make the container focusable by tabbing
+			if (container.tabIndex === -1) {
+				container.tabIndex = '0';
+			}
+
+			L.DomEvent
+			    .on(container, 'focus', this._onFocus, this)
+			    .on(container, 'blur', this._onBlur, this)
+			    .on(container, 'mousedown', this._onMouseDown, this);
+
+			this._map
+			    .on('focus', this._addHooks, this)
+			    .on('blur', this._removeHooks, this);
+		},
+
+		removeHooks: function () {
+			this._removeHooks();
+
+			var container = this._map._container;
+
+			L.DomEvent
+			    .off(container, 'focus', this._onFocus, this)
+			    .off(container, 'blur', this._onBlur, this)
+			    .off(container, 'mousedown', this._onMouseDown, this);
+
+			this._map
+			    .off('focus', this._addHooks, this)
+			    .off('blur', this._removeHooks, this);
+		},
+
+		_onMouseDown: function () {
+			if (this._focused) { return; }
+
+			var body = document.body,
+			    docEl = document.documentElement,
+			    top = body.scrollTop || docEl.scrollTop,
+			    left = body.scrollLeft || docEl.scrollLeft;
+
+			this._map._container.focus();
+
+			window.scrollTo(left, top);
+		},
+
+		_onFocus: function () {
+			this._focused = true;
+			this._map.fire('focus');
+		},
+
+		_onBlur: function () {
+			this._focused = false;
+			this._map.fire('blur');
+		},
+
+		_setPanOffset: function (pan) {
+			var keys = this._panKeys = {},
+			    codes = this.keyCodes,
+			    i, len;
+
+			for (i = 0, len = codes.left.length; i < len; i++) {
+				keys[codes.left[i]] = [-1 * pan, 0];
+			}
+			for (i = 0, len = codes.right.length; i < len; i++) {
+				keys[codes.right[i]] = [pan, 0];
+			}
+			for (i = 0, len = codes.down.length; i < len; i++) {
+				keys[codes.down[i]] = [0, pan];
+			}
+			for (i = 0, len = codes.up.length; i < len; i++) {
+				keys[codes.up[i]] = [0, -1 * pan];
+			}
+		},
+
+		_setZoomOffset: function (zoom) {
+			var keys = this._zoomKeys = {},
+			    codes = this.keyCodes,
+			    i, len;
+
+			for (i = 0, len = codes.zoomIn.length; i < len; i++) {
+				keys[codes.zoomIn[i]] = zoom;
+			}
+			for (i = 0, len = codes.zoomOut.length; i < len; i++) {
+				keys[codes.zoomOut[i]] = -zoom;
+			}
+		},
+
+		_addHooks: function () {
+			L.DomEvent.on(document, 'keydown', this._onKeyDown, this);
+		},
+
+		_removeHooks: function () {
+			L.DomEvent.off(document, 'keydown', this._onKeyDown, this);
+		},
+
+		_onKeyDown: function (e) {
+			var key = e.keyCode,
+			    map = this._map;
+
+			if (key in this._panKeys) {
+
+				if (map._panAnim && map._panAnim._inProgress) { return; }
+
+				map.panBy(this._panKeys[key]);
+
+				if (map.options.maxBounds) {
+					map.panInsideBounds(map.options.maxBounds);
+				}
+
+			} else if (key in this._zoomKeys) {
+				map.setZoom(map.getZoom() + this._zoomKeys[key]);
+
+			} else {
+				return;
+			}
+
+			L.DomEvent.stop(e);
+		}
+	});
+
+	L.Map.addInitHook('addHandler', 'keyboard', L.Map.Keyboard);
+
+
+	/*
+	 * L.Handler.MarkerDrag is used internally by L.Marker to make the markers draggable.
+	 */
+
+	L.Handler.MarkerDrag = L.Handler.extend({
+		initialize: function (marker) {
+			this._marker = marker;
+		},
+
+		addHooks: function () {
+			var icon = this._marker._icon;
+			if (!this._draggable) {
+				this._draggable = new L.Draggable(icon, icon);
+			}
+
+			this._draggable
+				.on('dragstart', this._onDragStart, this)
+				.on('drag', this._onDrag, this)
+				.on('dragend', this._onDragEnd, this);
+			this._draggable.enable();
+			L.DomUtil.addClass(this._marker._icon, 'leaflet-marker-draggable');
+		},
+
+		removeHooks: function () {
+			this._draggable
+				.off('dragstart', this._onDragStart, this)
+				.off('drag', this._onDrag, this)
+				.off('dragend', this._onDragEnd, this);
+
+			this._draggable.disable();
+			L.DomUtil.removeClass(this._marker._icon, 'leaflet-marker-draggable');
+		},
+
+		moved: function () {
+			return this._draggable && this._draggable._moved;
+		},
+
+		_onDragStart: function () {
+			this._marker
+			    .closePopup()
+			    .fire('movestart')
+			    .fire('dragstart');
+		},
+
+		_onDrag: function () {
+			var marker = this._marker,
+			    shadow = marker._shadow,
+			    iconPos = L.DomUtil.getPosition(marker._icon),
+			    latlng = marker._map.layerPointToLatLng(iconPos);
+
+			// update shadow position
+			if (shadow) {
+				L.DomUtil.setPosition(shadow, iconPos);
+			}
+
+			marker._latlng = latlng;
+
+			marker
+			    .fire('move', {latlng: latlng})
+			    .fire('drag');
+		},
+
+		_onDragEnd: function (e) {
+			this._marker
+			    .fire('moveend')
+			    .fire('dragend', e);
+		}
+	});
+
+
+	/*
+	 * L.Control is a base class for implementing map controls. Handles positioning.
+	 * All other controls extend from this class.
+	 */
+
+	L.Control = L.Class.extend({
+		options: {
+			position: 'topright'
+		},
+
+		initialize: function (options) {
+			L.setOptions(this, options);
+		},
+
+		getPosition: function () {
+			return this.options.position;
+		},
+
+		setPosition: function (position) {
+			var map = this._map;
+
+			if (map) {
+				map.removeControl(this);
+			}
+
+			this.options.position = position;
+
+			if (map) {
+				map.addControl(this);
+			}
+
+			return this;
+		},
+
+		getContainer: function () {
+			return this._container;
+		},
+
+		addTo: function (map) {
+			this._map = map;
+
+			var container = this._container = this.onAdd(map),
+			    pos = this.getPosition(),
+			    corner = map._controlCorners[pos];
+
+			L.DomUtil.addClass(container, 'leaflet-control');
+
+			if (pos.indexOf('bottom') !== -1) {
+				corner.insertBefore(container, corner.firstChild);
+			} else {
+				corner.appendChild(container);
+			}
+
+			return this;
+		},
+
+		removeFrom: function (map) {
+			var pos = this.getPosition(),
+			    corner = map._controlCorners[pos];
+
+			corner.removeChild(this._container);
+			this._map = null;
+
+			if (this.onRemove) {
+				this.onRemove(map);
+			}
+
+			return this;
+		},
+
+		_refocusOnMap: function () {
+			if (this._map) {
+				this._map.getContainer().focus();
+			}
+		}
+	});
+
+	L.control = function (options) {
+		return new L.Control(options);
+	};
+
+
+	// adds control-related methods to L.Map
+
+	L.Map.include({
+		addControl: function (control) {
+			control.addTo(this);
+			return this;
+		},
+
+		removeControl: function (control) {
+			control.removeFrom(this);
+			return this;
+		},
+
+		_initControlPos: function () {
+			var corners = this._controlCorners = {},
+			    l = 'leaflet-',
+			    container = this._controlContainer =
+			            L.DomUtil.create('div', l + 'control-container', this._container);
+
+			function createCorner(vSide, hSide) {
+				var className = l + vSide + ' ' + l + hSide;
+
+				corners[vSide + hSide] = L.DomUtil.create('div', className, container);
+			}
+
+			createCorner('top', 'left');
+			createCorner('top', 'right');
+			createCorner('bottom', 'left');
+			createCorner('bottom', 'right');
+		},
+
+		_clearControlPos: function () {
+			this._container.removeChild(this._controlContainer);
+		}
+	});
+
+
+	/*
+	 * L.Control.Zoom is used for the default zoom buttons on the map.
+	 */
+
+	L.Control.Zoom = L.Control.extend({
+		options: {
+			position: 'topleft',
+			zoomInText: '+',
+			zoomInTitle: 'Zoom in',
+			zoomOutText: '-',
+			zoomOutTitle: 'Zoom out'
+		},
+
+		onAdd: function (map) {
+			var zoomName = 'leaflet-control-zoom',
+			    container = L.DomUtil.create('div', zoomName + ' leaflet-bar');
+
+			this._map = map;
+
+			this._zoomInButton  = this._createButton(
+			        this.options.zoomInText, this.options.zoomInTitle,
+			        zoomName + '-in',  container, this._zoomIn,  this);
+			this._zoomOutButton = this._createButton(
+			        this.options.zoomOutText, this.options.zoomOutTitle,
+			        zoomName + '-out', container, this._zoomOut, this);
+
+			this._updateDisabled();
+			map.on('zoomend zoomlevelschange', this._updateDisabled, this);
+
+			return container;
+		},
+
+		onRemove: function (map) {
+			map.off('zoomend zoomlevelschange', this._updateDisabled, this);
+		},
+
+		_zoomIn: function (e) {
+			this._map.zoomIn(e.shiftKey ? 3 : 1);
+		},
+
+		_zoomOut: function (e) {
+			this._map.zoomOut(e.shiftKey ? 3 : 1);
+		},
+
+		_createButton: function (html, title, className, container, fn, context) {
+			var link = L.DomUtil.create('a', className, container);
+			link.innerHTML = html;
+			link.href = '#';
+			link.title = title;
+
+			var stop = L.DomEvent.stopPropagation;
+
+			L.DomEvent
+			    .on(link, 'click', stop)
+			    .on(link, 'mousedown', stop)
+			    .on(link, 'dblclick', stop)
+			    .on(link, 'click', L.DomEvent.preventDefault)
+			    .on(link, 'click', fn, context)
+			    .on(link, 'click', this._refocusOnMap, context);
+
+			return link;
+		},
+
+		_updateDisabled: function () {
+			var map = this._map,
+				className = 'leaflet-disabled';
+
+			L.DomUtil.removeClass(this._zoomInButton, className);
+			L.DomUtil.removeClass(this._zoomOutButton, className);
+
+			if (map._zoom === map.getMinZoom()) {
+				L.DomUtil.addClass(this._zoomOutButton, className);
+			}
+			if (map._zoom === map.getMaxZoom()) {
+				L.DomUtil.addClass(this._zoomInButton, className);
+			}
+		}
+	});
+
+	L.Map.mergeOptions({
+		zoomControl: true
+	});
+
+	L.Map.addInitHook(function () {
+		if (this.options.zoomControl) {
+			this.zoomControl = new L.Control.Zoom();
+			this.addControl(this.zoomControl);
+		}
+	});
+
+	L.control.zoom = function (options) {
+		return new L.Control.Zoom(options);
+	};
+
+
+
+	/*
+	 * L.Control.Attribution is used for displaying attribution on the map (added by default).
+	 */
+
+	L.Control.Attribution = L.Control.extend({
+		options: {
+			position: 'bottomright',
+			prefix: '<a href="http://leafletjs.com" title="A JS library for interactive maps">Leaflet</a>'
+		},
+
+		initialize: function (options) {
+			L.setOptions(this, options);
+
+			this._attributions = {};
+		},
+
+		onAdd: function (map) {
+			this._container = L.DomUtil.create('div', 'leaflet-control-attribution');
+			L.DomEvent.disableClickPropagation(this._container);
+
+			for (var i in map._layers) {
+				if (map._layers[i].getAttribution) {
+					this.addAttribution(map._layers[i].getAttribution());
+				}
+			}
+			
+			map
+			    .on('layeradd', this._onLayerAdd, this)
+			    .on('layerremove', this._onLayerRemove, this);
+
+			this._update();
+
+			return this._container;
+		},
+
+		onRemove: function (map) {
+			map
+			    .off('layeradd', this._onLayerAdd)
+			    .off('layerremove', this._onLayerRemove);
+
+		},
+
+		setPrefix: function (prefix) {
+			this.options.prefix = prefix;
+			this._update();
+			return this;
+		},
+
+		addAttribution: function (text) {
+			if (!text) { return; }
+
+			if (!this._attributions[text]) {
+				this._attributions[text] = 0;
+			}
+			this._attributions[text]++;
+
+			this._update();
+
+			return this;
+		},
+
+		removeAttribution: function (text) {
+			if (!text) { return; }
+
+			if (this._attributions[text]) {
+				this._attributions[text]--;
+				this._update();
+			}
+
+			return this;
+		},
+
+		_update: function () {
+			if (!this._map) { return; }
+
+			var attribs = [];
+
+			for (var i in this._attributions) {
+				if (this._attributions[i]) {
+					attribs.push(i);
+				}
+			}
+
+			var prefixAndAttribs = [];
+
+			if (this.options.prefix) {
+				prefixAndAttribs.push(this.options.prefix);
+			}
+			if (attribs.length) {
+				prefixAndAttribs.push(attribs.join(', '));
+			}
+
+			this._container.innerHTML = prefixAndAttribs.join(' | ');
+		},
+
+		_onLayerAdd: function (e) {
+			if (e.layer.getAttribution) {
+				this.addAttribution(e.layer.getAttribution());
+			}
+		},
+
+		_onLayerRemove: function (e) {
+			if (e.layer.getAttribution) {
+				this.removeAttribution(e.layer.getAttribution());
+			}
+		}
+	});
+
+	L.Map.mergeOptions({
+		attributionControl: true
+	});
+
+	L.Map.addInitHook(function () {
+		if (this.options.attributionControl) {
+			this.attributionControl = (new L.Control.Attribution()).addTo(this);
+		}
+	});
+
+	L.control.attribution = function (options) {
+		return new L.Control.Attribution(options);
+	};
+
+
+	/*
+	 * L.Control.Scale is used for displaying metric/imperial scale on the map.
+	 */
+
+	L.Control.Scale = L.Control.extend({
+		options: {
+			position: 'bottomleft',
+			maxWidth: 100,
+			metric: true,
+			imperial: true,
+			updateWhenIdle: false
+		},
+
+		onAdd: function (map) {
+			this._map = map;
+
+			var className = 'leaflet-control-scale',
+			    container = L.DomUtil.create('div', className),
+			    options = this.options;
+
+			this._addScales(options, className, container);
+
+			map.on(options.updateWhenIdle ? 'moveend' : 'move', this._update, this);
+			map.whenReady(this._update, this);
+
+			return container;
+		},
+
+		onRemove: function (map) {
+			map.off(this.options.updateWhenIdle ? 'moveend' : 'move', this._update, this);
+		},
+
+		_addScales: function (options, className, container) {
+			if (options.metric) {
+				this._mScale = L.DomUtil.create('div', className + '-line', container);
+			}
+			if (options.imperial) {
+				this._iScale = L.DomUtil.create('div', className + '-line', container);
+			}
+		},
+
+		_update: function () {
+			var bounds = this._map.getBounds(),
+			    centerLat = bounds.getCenter().lat,
+			    halfWorldMeters = 6378137 * Math.PI * Math.cos(centerLat * Math.PI / 180),
+			    dist = halfWorldMeters * (bounds.getNorthEast().lng - bounds.getSouthWest().lng) / 180,
+
+			    size = this._map.getSize(),
+			    options = this.options,
+			    maxMeters = 0;
+
+			if (size.x > 0) {
+				maxMeters = dist * (options.maxWidth / size.x);
+			}
+
+			this._updateScales(options, maxMeters);
+		},
+
+		_updateScales: function (options, maxMeters) {
+			if (options.metric && maxMeters) {
+				this._updateMetric(maxMeters);
+			}
+
+			if (options.imperial && maxMeters) {
+				this._updateImperial(maxMeters);
+			}
+		},
+
+		_updateMetric: function (maxMeters) {
+			var meters = this._getRoundNum(maxMeters);
+
+			this._mScale.style.width = this._getScaleWidth(meters / maxMeters) + 'px';
+			this._mScale.innerHTML = meters < 1000 ? meters + ' m' : (meters / 1000) + ' km';
+		},
+
+		_updateImperial: function (maxMeters) {
+			var maxFeet = maxMeters * 3.2808399,
+			    scale = this._iScale,
+			    maxMiles, miles, feet;
+
+			if (maxFeet > 5280) {
+				maxMiles = maxFeet / 5280;
+				miles = this._getRoundNum(maxMiles);
+
+				scale.style.width = this._getScaleWidth(miles / maxMiles) + 'px';
+				scale.innerHTML = miles + ' mi';
+
+			} else {
+				feet = this._getRoundNum(maxFeet);
+
+				scale.style.width = this._getScaleWidth(feet / maxFeet) + 'px';
+				scale.innerHTML = feet + ' ft';
+			}
+		},
+
+		_getScaleWidth: function (ratio) {
+			return Math.round(this.options.maxWidth * ratio) - 10;
+		},
+
+		_getRoundNum: function (num) {
+			var pow10 = Math.pow(10, (Math.floor(num) + '').length - 1),
+			    d = num / pow10;
+
+			d = d >= 10 ? 10 : d >= 5 ? 5 : d >= 3 ? 3 : d >= 2 ? 2 : 1;
+
+			return pow10 * d;
+		}
+	});
+
+	L.control.scale = function (options) {
+		return new L.Control.Scale(options);
+	};
+
+
+	/*
+	 * L.Control.Layers is a control to allow users to switch between different layers on the map.
+	 */
+
+	L.Control.Layers = L.Control.extend({
+		options: {
+			collapsed: true,
+			position: 'topright',
+			autoZIndex: true
+		},
+
+		initialize: function (baseLayers, overlays, options) {
+			L.setOptions(this, options);
+
+			this._layers = {};
+			this._lastZIndex = 0;
+			this._handlingClick = false;
+
+			for (var i in baseLayers) {
+				this._addLayer(baseLayers[i], i);
+			}
+
+			for (i in overlays) {
+				this._addLayer(overlays[i], i, true);
+			}
+		},
+
+		onAdd: function (map) {
+			this._initLayout();
+			this._update();
+
+			map
+			    .on('layeradd', this._onLayerChange, this)
+			    .on('layerremove', this._onLayerChange, this);
+
+			return this._container;
+		},
+
+		onRemove: function (map) {
+			map
+			    .off('layeradd', this._onLayerChange, this)
+			    .off('layerremove', this._onLayerChange, this);
+		},
+
+		addBaseLayer: function (layer, name) {
+			this._addLayer(layer, name);
+			this._update();
+			return this;
+		},
+
+		addOverlay: function (layer, name) {
+			this._addLayer(layer, name, true);
+			this._update();
+			return this;
+		},
+
+		removeLayer: function (layer) {
+			var id = L.stamp(layer);
+			delete this._layers[id];
+			this._update();
+			return this;
+		},
+
+		_initLayout: function () {
+			var className = 'leaflet-control-layers',
+			    container = this._container = L.DomUtil.create('div', className);
+
+			//Makes this work on IE10 Touch devices by stopping it from firing a mouseout event when the touch is released
+			container.setAttribute('aria-haspopup', true);
+
+			if (!L.Browser.touch) {
+				L.DomEvent
+					.disableClickPropagation(container)
+					.disableScrollPropagation(container);
+			} else {
+				L.DomEvent.on(container, 'click', L.DomEvent.stopPropagation);
+			}
+
+			var form = this._form = L.DomUtil.create('form', className + '-list');
+
+			if (this.options.collapsed) {
+				if (!L.Browser.android) {
+					L.DomEvent
+					    .on(container, 'mouseover', this._expand, this)
+					    .on(container, 'mouseout', this._collapse, this);
+				}
+				var link = this._layersLink = L.DomUtil.create('a', className + '-toggle', container);
+				link.href = '#';
+				link.title = 'Layers';
+
+				if (L.Browser.touch) {
+					L.DomEvent
+					    .on(link, 'click', L.DomEvent.stop)
+					    .on(link, 'click', this._expand, this);
+				}
+				else {
+					L.DomEvent.on(link, 'focus', this._expand, this);
+				}
+				//Work around for Firefox android issue https://github.com/Leaflet/Leaflet/issues/2033
+				L.DomEvent.on(form, 'click', function () {
+					setTimeout(L.bind(this._onInputClick, this), 0);
+				}, this);
+
+				this._map.on('click', this._collapse, this);
+				// TODO keyboard accessibility
+			} else {
+				this._expand();
+			}
+
+			this._baseLayersList = L.DomUtil.create('div', className + '-base', form);
+			this._separator = L.DomUtil.create('div', className + '-separator', form);
+			this._overlaysList = L.DomUtil.create('div', className + '-overlays', form);
+
+			container.appendChild(form);
+		},
+
+		_addLayer: function (layer, name, overlay) {
+			var id = L.stamp(layer);
+
+			this._layers[id] = {
+				layer: layer,
+				name: name,
+				overlay: overlay
+			};
+
+			if (this.options.autoZIndex && layer.setZIndex) {
+				this._lastZIndex++;
+				layer.setZIndex(this._lastZIndex);
+			}
+		},
+
+		_update: function () {
+			if (!this._container) {
+				return;
+			}
+
+			this._baseLayersList.innerHTML = '';
+			this._overlaysList.innerHTML = '';
+
+			var baseLayersPresent = false,
+			    overlaysPresent = false,
+			    i, obj;
+
+			for (i in this._layers) {
+				obj = this._layers[i];
+				this._addItem(obj);
+				overlaysPresent = overlaysPresent || obj.overlay;
+				baseLayersPresent = baseLayersPresent || !obj.overlay;
+			}
+
+			this._separator.style.display = overlaysPresent && baseLayersPresent ? '' : 'none';
+		},
+
+		_onLayerChange: function (e) {
+			var obj = this._layers[L.stamp(e.layer)];
+
+			if (!obj) { return; }
+
+			if (!this._handlingClick) {
+				this._update();
+			}
+
+			var type = obj.overlay ?
+				(e.type === 'layeradd' ? 'overlayadd' : 'overlayremove') :
+				(e.type === 'layeradd' ? 'baselayerchange' : null);
+
+			if (type) {
+				this._map.fire(type, obj);
+			}
+		},
+
+		// IE7 bugs out if you create a radio dynamically, so you have to do it this hacky way (see http://bit.ly/PqYLBe)
+		_createRadioElement: function (name, checked) {
+
+			var radioHtml = '<input type="radio" class="leaflet-control-layers-selector" name="' + name + '"';
+			if (checked) {
+				radioHtml += ' checked="checked"';
+			}
+			radioHtml += '/>';
+
+			var radioFragment = document.createElement('div');
+			radioFragment.innerHTML = radioHtml;
+
+			return radioFragment.firstChild;
+		},
+
+		_addItem: function (obj) {
+			var label = document.createElement('label'),
+			    input,
+			    checked = this._map.hasLayer(obj.layer);
+
+			if (obj.overlay) {
+				input = document.createElement('input');
+				input.type = 'checkbox';
+				input.className = 'leaflet-control-layers-selector';
+				input.defaultChecked = checked;
+			} else {
+				input = this._createRadioElement('leaflet-base-layers', checked);
+			}
+
+			input.layerId = L.stamp(obj.layer);
+
+			L.DomEvent.on(input, 'click', this._onInputClick, this);
+
+			var name = document.createElement('span');
+			name.innerHTML = ' ' + obj.name;
+
+			label.appendChild(input);
+			label.appendChild(name);
+
+			var container = obj.overlay ? this._overlaysList : this._baseLayersList;
+			container.appendChild(label);
+
+			return label;
+		},
+
+		_onInputClick: function () {
+			var i, input, obj,
+			    inputs = this._form.getElementsByTagName('input'),
+			    inputsLen = inputs.length;
+
+			this._handlingClick = true;
+
+			for (i = 0; i < inputsLen; i++) {
+				input = inputs[i];
+				obj = this._layers[input.layerId];
+
+				if (input.checked && !this._map.hasLayer(obj.layer)) {
+					this._map.addLayer(obj.layer);
+
+				} else if (!input.checked && this._map.hasLayer(obj.layer)) {
+					this._map.removeLayer(obj.layer);
+				}
+			}
+
+			this._handlingClick = false;
+
+			this._refocusOnMap();
+		},
+
+		_expand: function () {
+			L.DomUtil.addClass(this._container, 'leaflet-control-layers-expanded');
+		},
+
+		_collapse: function () {
+			this._container.className = this._container.className.replace(' leaflet-control-layers-expanded', '');
+		}
+	});
+
+	L.control.layers = function (baseLayers, overlays, options) {
+		return new L.Control.Layers(baseLayers, overlays, options);
+	};
+
+
+	/*
+	 * L.PosAnimation is used by Leaflet internally for pan animations.
+	 */
+
+	L.PosAnimation = L.Class.extend({
+		includes: L.Mixin.Events,
+
+		run: function (el, newPos, duration, easeLinearity) { // (HTMLElement, Point[, Number, Number])
+			this.stop();
+
+			this._el = el;
+			this._inProgress = true;
+			this._newPos = newPos;
+
+			this.fire('start');
+
+			el.style[L.DomUtil.TRANSITION] = 'all ' + (duration || 0.25) +
+			        's cubic-bezier(0,0,' + (easeLinearity || 0.5) + ',1)';
+
+			L.DomEvent.on(el, L.DomUtil.TRANSITION_END, this._onTransitionEnd, this);
+			L.DomUtil.setPosition(el, newPos);
+
+			// toggle reflow, Chrome flickers for some reason if you don't do this
+			L.Util.falseFn(el.offsetWidth);
+
+			// there's no native way to track value updates of transitioned properties, so we imitate this
+			this._stepTimer = setInterval(L.bind(this._onStep, this), 50);
+		},
+
+		stop: function () {
+			if (!this._inProgress) { return; }
+
+			// if we just removed the transition property, the element would jump to its final position,
+			// so we need to make it stay at the current position
+
+			L.DomUtil.setPosition(this._el, this._getPos());
+			this._onTransitionEnd();
+			L.Util.falseFn(this._el.offsetWidth); // force reflow in case we are about to start a new animation
+		},
+
+		_onStep: function () {
+			var stepPos = this._getPos();
+			if (!stepPos) {
+				this._onTransitionEnd();
+				return;
+			}
+			// jshint camelcase: false
+			// make L.DomUtil.getPosition return intermediate position value during animation
+			this._el._leaflet_pos = stepPos;
+
+			this.fire('step');
+		},
+
+		// you can't easily get intermediate values of properties animated with CSS3 Transitions,
+		// we need to parse computed style (in case of transform it returns matrix string)
+
+		_transformRe: /([-+]?(?:\d*\.)?\d+)\D*, ([-+]?(?:\d*\.)?\d+)\D*\)/,
+
+		_getPos: function () {
+			var left, top, matches,
+			    el = this._el,
+			    style = window.getComputedStyle(el);
+
+			if (L.Browser.any3d) {
+				matches = style[L.DomUtil.TRANSFORM].match(this._transformRe);
+				if (!matches) { return; }
+				left = parseFloat(matches[1]);
+				top  = parseFloat(matches[2]);
+			} else {
+				left = parseFloat(style.left);
+				top  = parseFloat(style.top);
+			}
+
+			return new L.Point(left, top, true);
+		},
+
+		_onTransitionEnd: function () {
+			L.DomEvent.off(this._el, L.DomUtil.TRANSITION_END, this._onTransitionEnd, this);
+
+			if (!this._inProgress) { return; }
+			this._inProgress = false;
+
+			this._el.style[L.DomUtil.TRANSITION] = '';
+
+			// jshint camelcase: false
+			// make sure L.DomUtil.getPosition returns the final position value after animation
+			this._el._leaflet_pos = this._newPos;
+
+			clearInterval(this._stepTimer);
+
+			this.fire('step').fire('end');
+		}
+
+	});
+
+
+	/*
+	 * Extends L.Map to handle panning animations.
+	 */
+
+	L.Map.include({
+
+		setView: function (center, zoom, options) {
+
+			zoom = zoom === undefined ? this._zoom : this._limitZoom(zoom);
+			center = this._limitCenter(L.latLng(center), zoom, this.options.maxBounds);
+			options = options || {};
+
+			if (this._panAnim) {
+				this._panAnim.stop();
+			}
+
+			if (this._loaded && !options.reset && options !== true) {
+
+				if (options.animate !== undefined) {
+					options.zoom = L.extend({animate: options.animate}, options.zoom);
+					options.pan = L.extend({animate: options.animate}, options.pan);
+				}
+
+				// try animating pan or zoom
+				var animated = (this._zoom !== zoom) ?
+					this._tryAnimatedZoom && this._tryAnimatedZoom(center, zoom, options.zoom) :
+					this._tryAnimatedPan(center, options.pan);
+
+				if (animated) {
+					// prevent resize handler call, the view will refresh after animation anyway
+					clearTimeout(this._sizeTimer);
+					return this;
+				}
+			}
+
+			// animation didn't start, just reset the map view
+			this._resetView(center, zoom);
+
+			return this;
+		},
+
+		panBy: function (offset, options) {
+			offset = L.point(offset).round();
+			options = options || {};
+
+			if (!offset.x && !offset.y) {
+				return this;
+			}
+
+			if (!this._panAnim) {
+				this._panAnim = new L.PosAnimation();
+
+				this._panAnim.on({
+					'step': this._onPanTransitionStep,
+					'end': this._onPanTransitionEnd
+				}, this);
+			}
+
+			// don't fire movestart if animating inertia
+			if (!options.noMoveStart) {
+				this.fire('movestart');
+			}
+
+			// animate pan unless animate: false specified
+			if (options.animate !== false) {
+				L.DomUtil.addClass(this._mapPane, 'leaflet-pan-anim');
+
+				var newPos = this._getMapPanePos().subtract(offset);
+				this._panAnim.run(this._mapPane, newPos, options.duration || 0.25, options.easeLinearity);
+			} else {
+				this._rawPanBy(offset);
+				this.fire('move').fire('moveend');
+			}
+
+			return this;
+		},
+
+		_onPanTransitionStep: function () {
+			this.fire('move');
+		},
+
+		_onPanTransitionEnd: function () {
+			L.DomUtil.removeClass(this._mapPane, 'leaflet-pan-anim');
+			this.fire('moveend');
+		},
+
+		_tryAnimatedPan: function (center, options) {
+			// difference between the new and current centers in pixels
+			var offset = this._getCenterOffset(center)._floor();
+
+			// don't animate too far unless animate: true specified in options
+			if ((options && options.animate) !== true && !this.getSize().contains(offset)) { return false; }
+
+			this.panBy(offset, options);
+
+			return true;
+		}
+	});
+
+
+	/*
+	 * L.PosAnimation fallback implementation that powers Leaflet pan animations
+	 * in browsers that don't support CSS3 Transitions.
+	 */
+
+	L.PosAnimation = L.DomUtil.TRANSITION ? L.PosAnimation : L.PosAnimation.extend({
+
+		run: function (el, newPos, duration, easeLinearity) { // (HTMLElement, Point[, Number, Number])
+			this.stop();
+
+			this._el = el;
+			this._inProgress = true;
+			this._duration = duration || 0.25;
+			this._easeOutPower = 1 / Math.max(easeLinearity || 0.5, 0.2);
+
+			this._startPos = L.DomUtil.getPosition(el);
+			this._offset = newPos.subtract(this._startPos);
+			this._startTime = +new Date();
+
+			this.fire('start');
+
+			this._animate();
+		},
+
+		stop: function () {
+			if (!this._inProgress) { return; }
+
+			this._step();
+			this._complete();
+		},
+
+		_animate: function () {
+			// animation loop
+			this._animId = L.Util.requestAnimFrame(this._animate, this);
+			this._step();
+		},
+
+		_step: function () {
+			var elapsed = (+new Date()) - this._startTime,
+			    duration = this._duration * 1000;
+
+			if (elapsed < duration) {
+				this._runFrame(this._easeOut(elapsed / duration));
+			} else {
+				this._runFrame(1);
+				this._complete();
+			}
+		},
+
+		_runFrame: function (progress) {
+			var pos = this._startPos.add(this._offset.multiplyBy(progress));
+			L.DomUtil.setPosition(this._el, pos);
+
+			this.fire('step');
+		},
+
+		_complete: function () {
+			L.Util.cancelAnimFrame(this._animId);
+
+			this._inProgress = false;
+			this.fire('end');
+		},
+
+		_easeOut: function (t) {
+			return 1 - Math.pow(1 - t, this._easeOutPower);
+		}
+	});
+
+
+	/*
+	 * Extends L.Map to handle zoom animations.
+	 */
+
+	L.Map.mergeOptions({
+		zoomAnimation: true,
+		zoomAnimationThreshold: 4
+	});
+
+	if (L.DomUtil.TRANSITION) {
+
+		L.Map.addInitHook(function () {
+			// don't animate on browsers without hardware-accelerated transitions or old Android/Opera
+			this._zoomAnimated = this.options.zoomAnimation && L.DomUtil.TRANSITION &&
+					L.Browser.any3d && !L.Browser.android23 && !L.Browser.mobileOpera;
+
+			// zoom transitions run with the same duration for all layers, so if one of transitionend events
+			// happens after starting zoom animation (propagating to the map pane), we know that it ended globally
+			if (this._zoomAnimated) {
+				L.DomEvent.on(this._mapPane, L.DomUtil.TRANSITION_END, this._catchTransitionEnd, this);
+			}
+		});
+	}
+
+	L.Map.include(!L.DomUtil.TRANSITION ? {} : {
+
+		_catchTransitionEnd: function (e) {
+			if (this._animatingZoom && e.propertyName.indexOf('transform') >= 0) {
+				this._onZoomTransitionEnd();
+			}
+		},
+
+		_nothingToAnimate: function () {
+			return !this._container.getElementsByClassName('leaflet-zoom-animated').length;
+		},
+
+		_tryAnimatedZoom: function (center, zoom, options) {
+
+			if (this._animatingZoom) { return true; }
+
+			options = options || {};
+
+			// don't animate if disabled, not supported or zoom difference is too large
+			if (!this._zoomAnimated || options.animate === false || this._nothingToAnimate() ||
+			        Math.abs(zoom - this._zoom) > this.options.zoomAnimationThreshold) { return false; }
+
+			// offset is the pixel coords of the zoom origin relative to the current center
+			var scale = this.getZoomScale(zoom),
+			    offset = this._getCenterOffset(center)._divideBy(1 - 1 / scale),
+				origin = this._getCenterLayerPoint()._add(offset);
+
+			// don't animate if the zoom origin isn't within one screen from the current center, unless forced
+			if (options.animate !== true && !this.getSize().contains(offset)) { return false; }
+
+			this
+			    .fire('movestart')
+			    .fire('zoomstart');
+
+			this._animateZoom(center, zoom, origin, scale, null, true);
+
+			return true;
+		},
+
+		_animateZoom: function (center, zoom, origin, scale, delta, backwards, forTouchZoom) {
+
+			if (!forTouchZoom) {
+				this._animatingZoom = true;
+			}
+
+			// put transform transition on all layers with leaflet-zoom-animated class
+			L.DomUtil.addClass(this._mapPane, 'leaflet-zoom-anim');
+
+			// remember what center/zoom to set after animation
+			this._animateToCenter = center;
+			this._animateToZoom = zoom;
+
+			// disable any dragging during animation
+			if (L.Draggable) {
+				L.Draggable._disabled = true;
+			}
+
+			L.Util.requestAnimFrame(function () {
+				this.fire('zoomanim', {
+					center: center,
+					zoom: zoom,
+					origin: origin,
+					scale: scale,
+					delta: delta,
+					backwards: backwards
+				});
+				// horrible hack to work around a Chrome bug https://github.com/Leaflet/Leaflet/issues/3689
+				setTimeout(L.bind(this._onZoomTransitionEnd, this), 250);
+			}, this);
+		},
+
+		_onZoomTransitionEnd: function () {
+			if (!this._animatingZoom) { return; }
+
+			this._animatingZoom = false;
+
+			L.DomUtil.removeClass(this._mapPane, 'leaflet-zoom-anim');
+
+			L.Util.requestAnimFrame(function () {
+				this._resetView(this._animateToCenter, this._animateToZoom, true, true);
+
+				if (L.Draggable) {
+					L.Draggable._disabled = false;
+				}
+			}, this);
+		}
+	});
+
+
+	/*
+		Zoom animation logic for L.TileLayer.
+	*/
+
+	L.TileLayer.include({
+		_animateZoom: function (e) {
+			if (!this._animating) {
+				this._animating = true;
+				this._prepareBgBuffer();
+			}
+
+			var bg = this._bgBuffer,
+			    transform = L.DomUtil.TRANSFORM,
+			    initialTransform = e.delta ? L.DomUtil.getTranslateString(e.delta) : bg.style[transform],
+			    scaleStr = L.DomUtil.getScaleString(e.scale, e.origin);
+
+			bg.style[transform] = e.backwards ?
+					scaleStr + ' ' + initialTransform :
+					initialTransform + ' ' + scaleStr;
+		},
+
+		_endZoomAnim: function () {
+			var front = this._tileContainer,
+			    bg = this._bgBuffer;
+
+			front.style.visibility = '';
+			front.parentNode.appendChild(front); // Bring to fore
+
+			// force reflow
+			L.Util.falseFn(bg.offsetWidth);
+
+			var zoom = this._map.getZoom();
+			if (zoom > this.options.maxZoom || zoom < this.options.minZoom) {
+				this._clearBgBuffer();
+			}
+
+			this._animating = false;
+		},
+
+		_clearBgBuffer: function () {
+			var map = this._map;
+
+			if (map && !map._animatingZoom && !map.touchZoom._zooming) {
+				this._bgBuffer.innerHTML = '';
+				this._bgBuffer.style[L.DomUtil.TRANSFORM] = '';
+			}
+		},
+
+		_prepareBgBuffer: function () {
+
+			var front = this._tileContainer,
+			    bg = this._bgBuffer;
+
+			// if foreground layer doesn't have many tiles but bg layer does,
+			// keep the existing bg layer and just zoom it some more
+
+			var bgLoaded = this._getLoadedTilesPercentage(bg),
+			    frontLoaded = this._getLoadedTilesPercentage(front);
+
+			if (bg && bgLoaded > 0.5 && frontLoaded < 0.5) {
+
+				front.style.visibility = 'hidden';
+				this._stopLoadingImages(front);
+				return;
+			}
+
+			// prepare the buffer to become the front tile pane
+			bg.style.visibility = 'hidden';
+			bg.style[L.DomUtil.TRANSFORM] = '';
+
+			// switch out the current layer to be the new bg layer (and vice-versa)
+			this._tileContainer = bg;
+			bg = this._bgBuffer = front;
+
+			this._stopLoadingImages(bg);
+
+			//prevent bg buffer from clearing right after zoom
+			clearTimeout(this._clearBgBufferTimer);
+		},
+
+		_getLoadedTilesPercentage: function (container) {
+			var tiles = container.getElementsByTagName('img'),
+			    i, len, count = 0;
+
+			for (i = 0, len = tiles.length; i < len; i++) {
+				if (tiles[i].complete) {
+					count++;
+				}
+			}
+			return count / len;
+		},
+
+		// stops loading all tiles in the background layer
+		_stopLoadingImages: function (container) {
+			var tiles = Array.prototype.slice.call(container.getElementsByTagName('img')),
+			    i, len, tile;
+
+			for (i = 0, len = tiles.length; i < len; i++) {
+				tile = tiles[i];
+
+				if (!tile.complete) {
+					tile.onload = L.Util.falseFn;
+					tile.onerror = L.Util.falseFn;
+					tile.src = L.Util.emptyImageUrl;
+
+					tile.parentNode.removeChild(tile);
+				}
+			}
+		}
+	});
+
+
+	/*
+	 * Provides L.Map with convenient shortcuts for using browser geolocation features.
+	 */
+
+	L.Map.include({
+		_defaultLocateOptions: {
+			watch: false,
+			setView: false,
+			maxZoom: Infinity,
+			timeout: 10000,
+			maximumAge: 0,
+			enableHighAccuracy: false
+		},
+
+		locate: function (/*Object*/ options) {
+
+			options = this._locateOptions = L.extend(this._defaultLocateOptions, options);
+
+			if (!navigator.geolocation) {
+				this._handleGeolocationError({
+					code: 0,
+					message: 'Geolocation not supported.'
+				});
+				return this;
+			}
+
+			var onResponse = L.bind(this._handleGeolocationResponse, this),
+				onError = L.bind(this._handleGeolocationError, this);
+
+			if (options.watch) {
+				this._locationWatchId =
+				        navigator.geolocation.watchPosition(onResponse, onError, options);
+			} else {
+				navigator.geolocation.getCurrentPosition(onResponse, onError, options);
+			}
+			return this;
+		},
+
+		stopLocate: function () {
+			if (navigator.geolocation) {
+				navigator.geolocation.clearWatch(this._locationWatchId);
+			}
+			if (this._locateOptions) {
+				this._locateOptions.setView = false;
+			}
+			return this;
+		},
+
+		_handleGeolocationError: function (error) {
+			var c = error.code,
+			    message = error.message ||
+			            (c === 1 ? 'permission denied' :
+			            (c === 2 ? 'position unavailable' : 'timeout'));
+
+			if (this._locateOptions.setView && !this._loaded) {
+				this.fitWorld();
+			}
+
+			this.fire('locationerror', {
+				code: c,
+				message: 'Geolocation error: ' + message + '.'
+			});
+		},
+
+		_handleGeolocationResponse: function (pos) {
+			var lat = pos.coords.latitude,
+			    lng = pos.coords.longitude,
+			    latlng = new L.LatLng(lat, lng),
+
+			    latAccuracy = 180 * pos.coords.accuracy / 40075017,
+			    lngAccuracy = latAccuracy / Math.cos(L.LatLng.DEG_TO_RAD * lat),
+
+			    bounds = L.latLngBounds(
+			            [lat - latAccuracy, lng - lngAccuracy],
+			            [lat + latAccuracy, lng + lngAccuracy]),
+
+			    options = this._locateOptions;
+
+			if (options.setView) {
+				var zoom = Math.min(this.getBoundsZoom(bounds), options.maxZoom);
+				this.setView(latlng, zoom);
+			}
+
+			var data = {
+				latlng: latlng,
+				bounds: bounds,
+				timestamp: pos.timestamp
+			};
+
+			for (var i in pos.coords) {
+				if (typeof pos.coords[i] === 'number') {
+					data[i] = pos.coords[i];
+				}
+			}
+
+			this.fire('locationfound', data);
+		}
+	});
+
+
+	}(window, document));
+
+/***/ }),
+/* 14 */
+/***/ (function(module, exports) {
+
+	/*
+		Leaflet.label, a plugin that adds labels to markers and vectors for Leaflet powered maps.
+		(c) 2012-2013, Jacob Toye, Smartrak
+
+		https://github.com/Leaflet/Leaflet.label
+		http://leafletjs.com
+		https://github.com/jacobtoye
+	*/
+	(function(){L.labelVersion="0.2.1",L.Label=L.Class.extend({includes:L.Mixin.Events,options:{className:"",clickable:!1,direction:"right",noHide:!1,offset:[12,-15],opacity:1,zoomAnimation:!0},initialize:function(t,e){L.setOptions(this,t),this._source=e,this._animated=L.Browser.any3d&&this.options.zoomAnimation,this._isOpen=!1},onAdd:function(t){this._map=t,this._pane=this._source instanceof L.Marker?t._panes.markerPane:t._panes.popupPane,this._container||this._initLayout(),this._pane.appendChild(this._container),this._initInteraction(),this._update(),this.setOpacity(this.options.opacity),t.on("moveend",this._onMoveEnd,this).on("viewreset",this._onViewReset,this),this._animated&&t.on("zoomanim",this._zoomAnimation,this),L.Browser.touch&&!this.options.noHide&&L.DomEvent.on(this._container,"click",this.close,this)},onRemove:function(t){this._pane.removeChild(this._container),t.off({zoomanim:this._zoomAnimation,moveend:this._onMoveEnd,viewreset:this._onViewReset},this),this._removeInteraction(),this._map=null},setLatLng:function(t){return this._latlng=L.latLng(t),this._map&&this._updatePosition(),this},setContent:function(t){return this._previousContent=this._content,this._content=t,this._updateContent(),this},close:function(){var t=this._map;t&&(L.Browser.touch&&!this.options.noHide&&L.DomEvent.off(this._container,"click",this.close),t.removeLayer(this))},updateZIndex:function(t){this._zIndex=t,this._container&&this._zIndex&&(this._container.style.zIndex=t)},setOpacity:function(t){this.options.opacity=t,this._container&&L.DomUtil.setOpacity(this._container,t)},_initLayout:function(){this._container=L.DomUtil.create("div","leaflet-label "+this.options.className+" leaflet-zoom-animated"),this.updateZIndex(this._zIndex)},_update:function(){this._map&&(this._container.style.visibility="hidden",this._updateContent(),this._updatePosition(),this._container.style.visibility="")},_updateContent:function(){this._content&&this._map&&this._prevContent!==this._content&&"string"==typeof this._content&&(this._container.innerHTML=this._content,this._prevContent=this._content,this._labelWidth=this._container.offsetWidth)},_updatePosition:function(){var t=this._map.latLngToLayerPoint(this._latlng);this._setPosition(t)},_setPosition:function(t){var e=this._map,i=this._container,n=e.latLngToContainerPoint(e.getCenter()),o=e.layerPointToContainerPoint(t),s=this.options.direction,a=this._labelWidth,l=L.point(this.options.offset);"right"===s||"auto"===s&&o.x<n.x?(L.DomUtil.addClass(i,"leaflet-label-right"),L.DomUtil.removeClass(i,"leaflet-label-left"),t=t.add(l)):(L.DomUtil.addClass(i,"leaflet-label-left"),L.DomUtil.removeClass(i,"leaflet-label-right"),t=t.add(L.point(-l.x-a,l.y))),L.DomUtil.setPosition(i,t)},_zoomAnimation:function(t){var e=this._map._latLngToNewLayerPoint(this._latlng,t.zoom,t.center).round();this._setPosition(e)},_onMoveEnd:function(){this._animated&&"auto"!==this.options.direction||this._updatePosition()},_onViewReset:function(t){t&&t.hard&&this._update()},_initInteraction:function(){if(this.options.clickable){var t=this._container,e=["dblclick","mousedown","mouseover","mouseout","contextmenu"];L.DomUtil.addClass(t,"leaflet-clickable"),L.DomEvent.on(t,"click",this._onMouseClick,this);for(var i=0;e.length>i;i++)L.DomEvent.on(t,e[i],this._fireMouseEvent,this)}},_removeInteraction:function(){if(this.options.clickable){var t=this._container,e=["dblclick","mousedown","mouseover","mouseout","contextmenu"];L.DomUtil.removeClass(t,"leaflet-clickable"),L.DomEvent.off(t,"click",this._onMouseClick,this);for(var i=0;e.length>i;i++)L.DomEvent.off(t,e[i],this._fireMouseEvent,this)}},_onMouseClick:function(t){this.hasEventListeners(t.type)&&L.DomEvent.stopPropagation(t),this.fire(t.type,{originalEvent:t})},_fireMouseEvent:function(t){this.fire(t.type,{originalEvent:t}),"contextmenu"===t.type&&this.hasEventListeners(t.type)&&L.DomEvent.preventDefault(t),"mousedown"!==t.type?L.DomEvent.stopPropagation(t):L.DomEvent.preventDefault(t)}}),L.BaseMarkerMethods={showLabel:function(){return this.label&&this._map&&(this.label.setLatLng(this._latlng),this._map.showLabel(this.label)),this},hideLabel:function(){return this.label&&this.label.close(),this},setLabelNoHide:function(t){this._labelNoHide!==t&&(this._labelNoHide=t,t?(this._removeLabelRevealHandlers(),this.showLabel()):(this._addLabelRevealHandlers(),this.hideLabel()))},bindLabel:function(t,e){var i=this.options.icon?this.options.icon.options.labelAnchor:this.options.labelAnchor,n=L.point(i)||L.point(0,0);return n=n.add(L.Label.prototype.options.offset),e&&e.offset&&(n=n.add(e.offset)),e=L.Util.extend({offset:n},e),this._labelNoHide=e.noHide,this.label||(this._labelNoHide||this._addLabelRevealHandlers(),this.on("remove",this.hideLabel,this).on("move",this._moveLabel,this).on("add",this._onMarkerAdd,this),this._hasLabelHandlers=!0),this.label=new L.Label(e,this).setContent(t),this},unbindLabel:function(){return this.label&&(this.hideLabel(),this.label=null,this._hasLabelHandlers&&(this._labelNoHide||this._removeLabelRevealHandlers(),this.off("remove",this.hideLabel,this).off("move",this._moveLabel,this).off("add",this._onMarkerAdd,this)),this._hasLabelHandlers=!1),this},updateLabelContent:function(t){this.label&&this.label.setContent(t)},getLabel:function(){return this.label},_onMarkerAdd:function(){this._labelNoHide&&this.showLabel()},_addLabelRevealHandlers:function(){this.on("mouseover",this.showLabel,this).on("mouseout",this.hideLabel,this),L.Browser.touch&&this.on("click",this.showLabel,this)},_removeLabelRevealHandlers:function(){this.off("mouseover",this.showLabel,this).off("mouseout",this.hideLabel,this),L.Browser.touch&&this.off("click",this.showLabel,this)},_moveLabel:function(t){this.label.setLatLng(t.latlng)}},L.Icon.Default.mergeOptions({labelAnchor:new L.Point(9,-20)}),L.Marker.mergeOptions({icon:new L.Icon.Default}),L.Marker.include(L.BaseMarkerMethods),L.Marker.include({_originalUpdateZIndex:L.Marker.prototype._updateZIndex,_updateZIndex:function(t){var e=this._zIndex+t;this._originalUpdateZIndex(t),this.label&&this.label.updateZIndex(e)},_originalSetOpacity:L.Marker.prototype.setOpacity,setOpacity:function(t,e){this.options.labelHasSemiTransparency=e,this._originalSetOpacity(t)},_originalUpdateOpacity:L.Marker.prototype._updateOpacity,_updateOpacity:function(){var t=0===this.options.opacity?0:1;this._originalUpdateOpacity(),this.label&&this.label.setOpacity(this.options.labelHasSemiTransparency?this.options.opacity:t)},_originalSetLatLng:L.Marker.prototype.setLatLng,setLatLng:function(t){return this.label&&!this._labelNoHide&&this.hideLabel(),this._originalSetLatLng(t)}}),L.CircleMarker.mergeOptions({labelAnchor:new L.Point(0,0)}),L.CircleMarker.include(L.BaseMarkerMethods),L.Path.include({bindLabel:function(t,e){return this.label&&this.label.options===e||(this.label=new L.Label(e,this)),this.label.setContent(t),this._showLabelAdded||(this.on("mouseover",this._showLabel,this).on("mousemove",this._moveLabel,this).on("mouseout remove",this._hideLabel,this),L.Browser.touch&&this.on("click",this._showLabel,this),this._showLabelAdded=!0),this},unbindLabel:function(){return this.label&&(this._hideLabel(),this.label=null,this._showLabelAdded=!1,this.off("mouseover",this._showLabel,this).off("mousemove",this._moveLabel,this).off("mouseout remove",this._hideLabel,this)),this},updateLabelContent:function(t){this.label&&this.label.setContent(t)},_showLabel:function(t){this.label.setLatLng(t.latlng),this._map.showLabel(this.label)},_moveLabel:function(t){this.label.setLatLng(t.latlng)},_hideLabel:function(){this.label.close()}}),L.Map.include({showLabel:function(t){return this.addLayer(t)}}),L.FeatureGroup.include({clearLayers:function(){return this.unbindLabel(),this.eachLayer(this.removeLayer,this),this},bindLabel:function(t,e){return this.invoke("bindLabel",t,e)},unbindLabel:function(){return this.invoke("unbindLabel")},updateLabelContent:function(t){this.invoke("updateLabelContent",t)}})})(this,document);
+
+/***/ }),
+/* 15 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	var __WEBPACK_AMD_DEFINE_ARRAY__, __WEBPACK_AMD_DEFINE_RESULT__;!(__WEBPACK_AMD_DEFINE_ARRAY__ = [__webpack_require__(1), __webpack_require__(2)], __WEBPACK_AMD_DEFINE_RESULT__ = function($, _, L) {
+	  'use strict';
+
+	  /* 
+	   * ---------------------------
+	   * Google Maps
+	   * ---------------------------
+	   */
+
+	  var GoogleMap = function(div) {
+	    this.map = new GMaps({ div: '#' + div, lat: 0, lng: 0, zoom: 2 });
+	  };
+
+	  GoogleMap.prototype.autozoom = function(collection) {
+	    var bounds = new google.maps.LatLngBounds();
+
+	    collection.each(function(model) {
+	      if (model.showObject() || model.showRoute()) {
+	        var points = model.getPoints();
+	        _.each(points, function(point) {
+	          bounds.extend(new google.maps.LatLng(point.lat, point.lon));
+	        });
+	      }
+	    });
+
+	    this.map.fitBounds(bounds);
+	  };
+
+	  /*
+	  * Size of map element has been changed.
+	  */
+	  GoogleMap.prototype.resize = function() {
+	    this.map.refresh();
+	  };
+
+	  GoogleMap.prototype.addMarker = function(data) {
+	    return new GoogleMapMarker(this, data);
+	  };
+
+	  GoogleMap.prototype.addPolyline = function(data) {
+	    return new GoogleMapPolyline(this, data);
+	  };
+
+	  var GoogleMapMarker = function(map, data) {
+	    this.map = map;
+	    this.icon = {
+	      path: google.maps.SymbolPath.CIRCLE,
+	      scale: 4,
+	      strokeColor: data.color,
+	      strokeWeight: 4,
+	      strokeOpacity: 1
+	    };
+	    this.isExtrapolated = false;
+	    this.marker = this.map.map.addMarker({
+	          lat: data.lat,
+	          lng: data.lon,
+	          title: data.title,
+	          zIndex: 1,
+	          click: data.click,
+	          icon: this.icon
+	      });
+	    this.extrapolated(data.extrapolated || false);
+	  };
+
+	  GoogleMapMarker.prototype.move = function(lat, lon) {
+	    this.marker.setPosition(new google.maps.LatLng(lat, lon));
+	  };
+
+	  /*
+	  * Extrapolated position is drawn with thin translucent circle.
+	  */
+	  GoogleMapMarker.prototype.extrapolated = function(value) {
+	    if (this.isExtrapolated !== value) {
+	      this.isExtrapolated = value;
+	      this.marker.setIcon(_.extend({}, this.icon, value ? { strokeWeight: 2, strokeOpacity: 0.5 } : {}));
+	    }
+	  };
+
+	  GoogleMapMarker.prototype.remove = function() {
+	    this.marker.setMap(null);
+	  };
+
+	  GoogleMapMarker.prototype.highlight = function() {
+	    // Highlight object
+	    var animation = {step: 0};
+	    $(animation).animate(
+	        { step: 1 },
+	        {
+	          duration: 1000,
+	          easing: 'linear',
+	          start: function() {
+	            this.marker.setAnimation(google.maps.Animation.BOUNCE);
+	            this.marker.setZIndex(1001);
+	          }.bind(this),
+	          complete: function() {
+	            this.marker.setAnimation(null);
+	            this.marker.setZIndex(1);
+	          }.bind(this)
+	        });
+	  };
+
+	  var GoogleMapPolyline = function(map, data) {
+	    this.map = map;
+	    this.polyline = this.map.map.drawPolyline({
+	      path: data.path,
+	      strokeColor: data.color,
+	      strokeOpacity: 0.6,
+	      strokeWeight: 4,
+	      geodesic: data.geodesic,
+	      click: data.click
+	    });
+	  };
+
+	  GoogleMapPolyline.prototype.remove = function() {
+	    this.polyline.setMap(null);
+	  };
+
+	  GoogleMapPolyline.prototype.removePoint = function(index) {
+	    this.polyline.getPath().removeAt(index);
+	  };
+
+	  GoogleMapPolyline.prototype.removePoints = function(index, count) {
+	    var path = this.polyline.getPath();
+	    for (var i = 0; i < count; i++) {
+	      path.removeAt(index);
+	    }
+	  };
+
+	  GoogleMapPolyline.prototype.setPath = function(path) {
+	    this.polyline.setPath(_.map(path, function(p) {
+	      return new google.maps.LatLng(p[0], p[1]);
+	    }));
+	  };
+
+	  GoogleMapPolyline.prototype.addPoint = function(lat, lon) {
+	    this.polyline.getPath().push(new google.maps.LatLng(lat, lon));
+	  };
+
+	  GoogleMapPolyline.prototype.insertPoint = function(index, lat, lon) {
+	    this.polyline.getPath().insertAt(index, new google.maps.LatLng(lat, lon));
+	  };
+
+	  GoogleMapPolyline.prototype.highlight = function() {
+	    // Highlight object
+	      var animation = {step: 0};
+	      $(animation).animate(
+	          { step: 2 },
+	          {
+	            duration: 1000,
+	            easing: 'linear',
+	            start: function() {
+	              this.polyline.setOptions({ zIndex: 100 });
+	            }.bind(this),
+	            progress: function() {
+	              if (this.polyline) {
+	                var step = (animation.step - Math.floor(animation.step));
+	                if (step === 1 || step === 5) {
+	                  step *= 0.4;
+	                } else {
+	                  step *= 0.8;
+	                }
+	                if (step % 2 !== 0) {
+	                  step = 1 - step;
+	                }
+	                this.polyline.setOptions({strokeOpacity:step});
+	              }
+	            }.bind(this),
+	            complete: function() {
+	              this.polyline.setOptions({ zIndex: 1 , strokeOpacity:0.6 });
+	            }.bind(this)
+	          });
+	  };
+
+	  GoogleMapPolyline.prototype.zoomTo = function() {
+	    var bounds = new google.maps.LatLngBounds();
+	    _.each(this.polyline.getPath().getArray(), bounds.extend, bounds);
+	    this.map.map.fitBounds(bounds);
+	  };
+
+	  return GoogleMap;
+	}.apply(exports, __WEBPACK_AMD_DEFINE_ARRAY__), __WEBPACK_AMD_DEFINE_RESULT__ !== undefined && (module.exports = __WEBPACK_AMD_DEFINE_RESULT__));
+
+/***/ }),
+/* 16 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	// style-loader: Adds some css to the DOM by adding a <style> tag
+
+	// load the styles
+	var content = __webpack_require__(17);
+	if(typeof content === 'string') content = [[module.id, content, '']];
+	// add the styles to the DOM
+	var update = __webpack_require__(19)(content, {});
+	if(content.locals) module.exports = content.locals;
+	// Hot Module Replacement
+	if(false) {
+		// When the styles change, update the <style> tags
+		if(!content.locals) {
+			module.hot.accept("!!../../../../../../../appserver/static/visualizations/route_map/node_modules/css-loader/index.js!./leaflet.label.css", function() {
+				var newContent = require("!!../../../../../../../appserver/static/visualizations/route_map/node_modules/css-loader/index.js!./leaflet.label.css");
+				if(typeof newContent === 'string') newContent = [[module.id, newContent, '']];
+				update(newContent);
+			});
+		}
+		// When the module is disposed, remove the <style> tags
+		module.hot.dispose(function() { update(); });
+	}
+
+/***/ }),
+/* 17 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	exports = module.exports = __webpack_require__(18)();
+	// imports
+
+
+	// module
+	exports.push([module.id, ".leaflet-label {\n\tbackground: rgb(235, 235, 235);\n\tbackground: rgba(235, 235, 235, 0.81);\n\tbackground-clip: padding-box;\n\tborder-color: #777;\n\tborder-color: rgba(0,0,0,0.25);\n\tborder-radius: 4px;\n\tborder-style: solid;\n\tborder-width: 4px;\n\tcolor: #111;\n\tdisplay: block;\n\tfont: 12px/20px \"Helvetica Neue\", Arial, Helvetica, sans-serif;\n\tfont-weight: bold;\n\tpadding: 1px 6px;\n\tposition: absolute;\n\t-webkit-user-select: none;\n\t   -moz-user-select: none;\n\t    -ms-user-select: none;\n\t        user-select: none;\n\twhite-space: nowrap;\n\tz-index: 6;\n}\n\n.leaflet-label.leaflet-clickable {\n\tcursor: pointer;\n}\n\n.leaflet-label:before,\n.leaflet-label:after {\n\tborder-top: 6px solid transparent;\n\tborder-bottom: 6px solid transparent;\n\tcontent: none;\n\tposition: absolute;\n\ttop: 5px;\n}\n\n.leaflet-label:before {\n\tborder-right: 6px solid black;\n\tborder-right-color: inherit;\n\tleft: -10px;\n}\n\n.leaflet-label:after {\n\tborder-left: 6px solid black;\n\tborder-left-color: inherit;\n\tright: -10px;\n}\n\n.leaflet-label-right:before,\n.leaflet-label-left:after {\n\tcontent: \"\";\n}", ""]);
+
+	// exports
+
+
+/***/ }),
+/* 18 */
+/***/ (function(module, exports) {
+
+	/*
+		MIT License http://www.opensource.org/licenses/mit-license.php
+		Author Tobias Koppers @sokra
+	*/
+	// css base code, injected by the css-loader
+	module.exports = function() {
+		var list = [];
+
+		// return the list of modules as css string
+		list.toString = function toString() {
+			var result = [];
+			for(var i = 0; i < this.length; i++) {
+				var item = this[i];
+				if(item[2]) {
+					result.push("@media " + item[2] + "{" + item[1] + "}");
+				} else {
+					result.push(item[1]);
+				}
+			}
+			return result.join("");
+		};
+
+		// import a list of modules into the list
+		list.i = function(modules, mediaQuery) {
+			if(typeof modules === "string")
+				modules = [[null, modules, ""]];
+			var alreadyImportedModules = {};
+			for(var i = 0; i < this.length; i++) {
+				var id = this[i][0];
+				if(typeof id === "number")
+					alreadyImportedModules[id] = true;
+			}
+			for(i = 0; i < modules.length; i++) {
+				var item = modules[i];
+				// skip already imported module
+				// this implementation is not 100% perfect for weird media query combinations
+				//  when a module is imported multiple times with different media queries.
+				//  I hope this will never occur (Hey this way we have smaller bundles)
+				if(typeof item[0] !== "number" || !alreadyImportedModules[item[0]]) {
+					if(mediaQuery && !item[2]) {
+						item[2] = mediaQuery;
+					} else if(mediaQuery) {
+						item[2] = "(" + item[2] + ") and (" + mediaQuery + ")";
+					}
+					list.push(item);
+				}
+			}
+		};
+		return list;
+	};
+
+
+/***/ }),
+/* 19 */
+/***/ (function(module, exports, __webpack_require__) {
+
+	/*
+		MIT License http://www.opensource.org/licenses/mit-license.php
+		Author Tobias Koppers @sokra
+	*/
+	var stylesInDom = {},
+		memoize = function(fn) {
+			var memo;
+			return function () {
+				if (typeof memo === "undefined") memo = fn.apply(this, arguments);
+				return memo;
+			};
+		},
+		isOldIE = memoize(function() {
+			return /msie [6-9]\b/.test(self.navigator.userAgent.toLowerCase());
+		}),
+		getHeadElement = memoize(function () {
+			return document.head || document.getElementsByTagName("head")[0];
+		}),
+		singletonElement = null,
+		singletonCounter = 0,
+		styleElementsInsertedAtTop = [];
+
+	module.exports = function(list, options) {
+		if(false) {
+			if(typeof document !== "object") throw new Error("The style-loader cannot be used in a non-browser environment");
+		}
+
+		options = options || {};
+		// Force single-tag solution on IE6-9, which has a hard limit on the # of <style>
+		// tags it will allow on a page
+		if (typeof options.singleton === "undefined") options.singleton = isOldIE();
+
+		// By default, add <style> tags to the bottom of <head>.
+		if (typeof options.insertAt === "undefined") options.insertAt = "bottom";
+
+		var styles = listToStyles(list);
+		addStylesToDom(styles, options);
+
+		return function update(newList) {
+			var mayRemove = [];
+			for(var i = 0; i < styles.length; i++) {
+				var item = styles[i];
+				var domStyle = stylesInDom[item.id];
+				domStyle.refs--;
+				mayRemove.push(domStyle);
+			}
+			if(newList) {
+				var newStyles = listToStyles(newList);
+				addStylesToDom(newStyles, options);
+			}
+			for(var i = 0; i < mayRemove.length; i++) {
+				var domStyle = mayRemove[i];
+				if(domStyle.refs === 0) {
+					for(var j = 0; j < domStyle.parts.length; j++)
+						domStyle.parts[j]();
+					delete stylesInDom[domStyle.id];
+				}
+			}
+		};
+	}
+
+	function addStylesToDom(styles, options) {
+		for(var i = 0; i < styles.length; i++) {
+			var item = styles[i];
+			var domStyle = stylesInDom[item.id];
+			if(domStyle) {
+				domStyle.refs++;
+				for(var j = 0; j < domStyle.parts.length; j++) {
+					domStyle.parts[j](item.parts[j]);
+				}
+				for(; j < item.parts.length; j++) {
+					domStyle.parts.push(addStyle(item.parts[j], options));
+				}
+			} else {
+				var parts = [];
+				for(var j = 0; j < item.parts.length; j++) {
+					parts.push(addStyle(item.parts[j], options));
+				}
+				stylesInDom[item.id] = {id: item.id, refs: 1, parts: parts};
+			}
+		}
+	}
+
+	function listToStyles(list) {
+		var styles = [];
+		var newStyles = {};
+		for(var i = 0; i < list.length; i++) {
+			var item = list[i];
+			var id = item[0];
+			var css = item[1];
+			var media = item[2];
+			var sourceMap = item[3];
+			var part = {css: css, media: media, sourceMap: sourceMap};
+			if(!newStyles[id])
+				styles.push(newStyles[id] = {id: id, parts: [part]});
+			else
+				newStyles[id].parts.push(part);
+		}
+		return styles;
+	}
+
+	function insertStyleElement(options, styleElement) {
+		var head = getHeadElement();
+		var lastStyleElementInsertedAtTop = styleElementsInsertedAtTop[styleElementsInsertedAtTop.length - 1];
+		if (options.insertAt === "top") {
+			if(!lastStyleElementInsertedAtTop) {
+				head.insertBefore(styleElement, head.firstChild);
+			} else if(lastStyleElementInsertedAtTop.nextSibling) {
+				head.insertBefore(styleElement, lastStyleElementInsertedAtTop.nextSibling);
+			} else {
+				head.appendChild(styleElement);
+			}
+			styleElementsInsertedAtTop.push(styleElement);
+		} else if (options.insertAt === "bottom") {
+			head.appendChild(styleElement);
+		} else {
+			throw new Error("Invalid value for parameter 'insertAt'. Must be 'top' or 'bottom'.");
+		}
+	}
+
+	function removeStyleElement(styleElement) {
+		styleElement.parentNode.removeChild(styleElement);
+		var idx = styleElementsInsertedAtTop.indexOf(styleElement);
+		if(idx >= 0) {
+			styleElementsInsertedAtTop.splice(idx, 1);
+		}
+	}
+
+	function createStyleElement(options) {
+		var styleElement = document.createElement("style");
+		styleElement.type = "text/css";
+		insertStyleElement(options, styleElement);
+		return styleElement;
+	}
+
+	function createLinkElement(options) {
+		var linkElement = document.createElement("link");
+		linkElement.rel = "stylesheet";
+		insertStyleElement(options, linkElement);
+		return linkElement;
+	}
+
+	function addStyle(obj, options) {
+		var styleElement, update, remove;
+
+		if (options.singleton) {
+			var styleIndex = singletonCounter++;
+			styleElement = singletonElement || (singletonElement = createStyleElement(options));
+			update = applyToSingletonTag.bind(null, styleElement, styleIndex, false);
+			remove = applyToSingletonTag.bind(null, styleElement, styleIndex, true);
+		} else if(obj.sourceMap &&
+			typeof URL === "function" &&
+			typeof URL.createObjectURL === "function" &&
+			typeof URL.revokeObjectURL === "function" &&
+			typeof Blob === "function" &&
+			typeof btoa === "function") {
+			styleElement = createLinkElement(options);
+			update = updateLink.bind(null, styleElement);
+			remove = function() {
+				removeStyleElement(styleElement);
+				if(styleElement.href)
+					URL.revokeObjectURL(styleElement.href);
+			};
+		} else {
+			styleElement = createStyleElement(options);
+			update = applyToTag.bind(null, styleElement);
+			remove = function() {
+				removeStyleElement(styleElement);
+			};
+		}
+
+		update(obj);
+
+		return function updateStyle(newObj) {
+			if(newObj) {
+				if(newObj.css === obj.css && newObj.media === obj.media && newObj.sourceMap === obj.sourceMap)
+					return;
+				update(obj = newObj);
+			} else {
+				remove();
+			}
+		};
+	}
+
+	var replaceText = (function () {
+		var textStore = [];
+
+		return function (index, replacement) {
+			textStore[index] = replacement;
+			return textStore.filter(Boolean).join('\n');
+		};
+	})();
+
+	function applyToSingletonTag(styleElement, index, remove, obj) {
+		var css = remove ? "" : obj.css;
+
+		if (styleElement.styleSheet) {
+			styleElement.styleSheet.cssText = replaceText(index, css);
+		} else {
+			var cssNode = document.createTextNode(css);
+			var childNodes = styleElement.childNodes;
+			if (childNodes[index]) styleElement.removeChild(childNodes[index]);
+			if (childNodes.length) {
+				styleElement.insertBefore(cssNode, childNodes[index]);
+			} else {
+				styleElement.appendChild(cssNode);
+			}
+		}
+	}
+
+	function applyToTag(styleElement, obj) {
+		var css = obj.css;
+		var media = obj.media;
+
+		if(media) {
+			styleElement.setAttribute("media", media)
+		}
+
+		if(styleElement.styleSheet) {
+			styleElement.styleSheet.cssText = css;
+		} else {
+			while(styleElement.firstChild) {
+				styleElement.removeChild(styleElement.firstChild);
+			}
+			styleElement.appendChild(document.createTextNode(css));
+		}
+	}
+
+	function updateLink(linkElement, obj) {
+		var css = obj.css;
+		var sourceMap = obj.sourceMap;
+
+		if(sourceMap) {
+			// http://stackoverflow.com/a/26603875
+			css += "\n/*# sourceMappingURL=data:application/json;base64," + btoa(unescape(encodeURIComponent(JSON.stringify(sourceMap)))) + " */";
+		}
+
+		var blob = new Blob([css], { type: "text/css" });
+
+		var oldSrc = linkElement.href;
+
+		linkElement.href = URL.createObjectURL(blob);
+
+		if(oldSrc)
+			URL.revokeObjectURL(oldSrc);
+	}
+
+
+/***/ })
+/******/ ])});;
\ No newline at end of file
@@ -0,0 +1,29 @@
+var path = require('path');
+
+// Visualization reuses modules of the Django application
+var routemapStatic = path.join(__dirname, '..', '..', '..', '..', 'django', 'routemap', 'static', 'routemap');
+
+module.exports = {
+  entry: 'visualization_source',
+  resolve: {
+    root: [
+      path.join(__dirname, 'src'),
+      path.join(__dirname, 'node_modules')
+    ],
+    alias: {
+      'routemap': routemapStatic,
+      'leaflet.label': path.join(routemapStatic, 'bower_components', 'Leaflet.label', 'dist', 'leaflet.label.js')
+    }
+  },
+  resolveLoader: {
+    root: path.join(__dirname, 'node_modules')
+  },
+  output: {
+    filename: 'visualization.js',
+    libraryTarget: 'amd'
+  },
+  externals: [
+    'api/SplunkVisualizationBase',
+    'api/SplunkVisualizationUtils'
+  ]
+};
@@ -1,11 +1,118 @@
 var fs = require('fs');
-var firebaseCollection = require('./firebaseCollection');
+var path = require('path');
+var configuration = require('./configuration');
+var ingestion = require('./ingestion');
+var outputs = require('./outputs');
+var heartbeat = require('./heartbeat');
+var lifecycle = require('./lifecycle');
+var geofences = require('./geofences');
+var checkpoints = require('./checkpoint');
 
-var enventHandler = function(e) {
-  // Write output to console
-  console.log(JSON.stringify(e));
+// How often checkpoint is saved (milliseconds).
+var checkpointInterval = 10000;
+
+// How long we wait for output to flush on shutdown (milliseconds).
+var shutdownTimeout = 10000;
+
+/*
+* Start all sources from configuration and write their events to output.
+* @param config - application configuration (see configuration.load).
+* @return - { feeds: [started feeds, see ingestion.start], output: [output], stop: function(callback) }.
+*/
+var run = function(config) {
+  var output = outputs.create(config.output);
+  // Instances with different sources (e.g. modular input stanzas) share state directory, but not checkpoint
+  var checkpointFile = path.join(config.stateDirectory, 'checkpoint-' + config.instance + '.json');
+  var checkpoint = config.checkpoint ? checkpoints.createCheckpoint(checkpointFile) : null;
+  var checkpointTimer = checkpoint ? setInterval(checkpoint.save, checkpointInterval) : null;
+  var heartbeats = null;
+
+  var enventHandler = function(e) {
+    // Skip records which have been emitted before restart
+    if (checkpoint && !checkpoint.accept(e.feed, e)) {
+      return;
+    }
+    // Write output to console or HEC
+    output.write(e);
+  };
+
+  var heartbeatHandler = function(e) {
+    output.write(e, { sourcetype: heartbeat.sourcetype });
+  };
+
+  var lifecycleHandler = function(e) {
+    output.write(e, { sourcetype: lifecycle.sourcetype });
+  };
+
+  var geofenceHandler = function(e) {
+    output.write(e, { sourcetype: geofences.sourcetype });
+  };
+
+  var feeds = ingestion.start(config, enventHandler, {
+    lifecycle: lifecycleHandler,
+    geofence: geofenceHandler
+  });
+
+  if (config.heartbeat.interval > 0) {
+    heartbeats = heartbeat.start(feeds, config.heartbeat, heartbeatHandler);
+  }
+
+  /*
+  * Shutdown observers, save checkpoint and flush pending events.
+  */
+  var stop = function(callback) {
+    ingestion.stop(feeds);
+    if (heartbeats) {
+      heartbeats.stop();
+    }
+    if (checkpoint) {
+      clearInterval(checkpointTimer);
+      checkpoint.save();
+    }
+    output.close(callback);
+  };
+
+  return { feeds: feeds, output: output, stop: stop };
+};
+
+/*
+* Stop application gracefully on SIGTERM (Splunk stops inputs with it) and SIGINT.
+* @param instance - result of run (or recorder.record), anything with stop(callback).
+*/
+var stopOnSignals = function(instance) {
+  var stopping = false;
+  var handler = function(signal) {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+    console.error('Received ' + signal + ', shutting down');
+
+    setTimeout(function() {
+      console.error('Output has not been flushed in ' + shutdownTimeout + 'ms');
+      process.exit(1);
+    }, shutdownTimeout).unref();
+
+    // Firebase library keeps its own timers even when it is offline, so exit explicitly
+    instance.stop(function() {
+      process.exit(0);
+    });
+  };
+
+  process.on('SIGTERM', handler);
+  process.on('SIGINT', handler);
 };
 
-firebaseCollection
-  .createObserver('https://publicdata-transit.firebaseio.com', 'sf-muni/vehicles')
-  .listen(enventHandler);
+// Exports
+
+exports.run = run;
+exports.stopOnSignals = stopOnSignals;
+
+if (require.main === module) {
+  try {
+    stopOnSignals(run(configuration.load(process.argv.slice(2))));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
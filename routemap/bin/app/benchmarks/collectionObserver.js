@@ -0,0 +1,265 @@
+var configuration = require('../configuration');
+var firebaseCollection = require('../firebaseCollection');
+
+/*
+* Storage of fake Firebase: values of collection children, children of collections and listeners.
+*/
+var store = null;
+
+var resetStore = function() {
+  store = { values: {}, children: {}, listeners: {}, registered: 0, callbacks: 0 };
+};
+
+var parentPath = function(path) {
+  return path.substring(0, path.lastIndexOf('/'));
+};
+
+var createSnapshot = function(path, value) {
+  return {
+    key: function() {
+      return path.substring(path.lastIndexOf('/') + 1);
+    },
+    val: function() {
+      return value === undefined ? null : value;
+    }
+  };
+};
+
+/*
+* In-memory stand-in for Firebase reference, implements only what observers use:
+* `child`, `on` and `off` for `value` and `child_*` events, plus `set` and `remove` to change data.
+* Counts registered listeners and invoked callbacks.
+*/
+var FakeFirebase = function(url, path) {
+
+  // Fields
+
+  this.path = path || '';
+
+  // Private methods
+
+  var fire = function(path, event, snapshot) {
+    (store.listeners[path + ' ' + event] || []).slice().forEach(function(callback) {
+      store.callbacks++;
+      callback(snapshot);
+    });
+  };
+
+  // Public methods
+
+  this.child = function(child) {
+    return new FakeFirebase(url, this.path ? this.path + '/' + child : child);
+  }.bind(this);
+
+  this.on = function(event, callback) {
+    var key = this.path + ' ' + event;
+    (store.listeners[key] = store.listeners[key] || []).push(callback);
+    store.registered++;
+
+    // Firebase invokes new listener with existing data
+    if (event === 'value') {
+      store.callbacks++;
+      callback(createSnapshot(this.path, this.path === '.info/connected' ? true : store.values[this.path]));
+    } else if (event === 'child_added') {
+      Object.keys(store.children[this.path] || {}).forEach(function(child) {
+        var path = this.path + '/' + child;
+        store.callbacks++;
+        callback(createSnapshot(path, store.values[path]));
+      }.bind(this));
+    }
+  }.bind(this);
+
+  this.off = function(event, callback) {
+    var listeners = store.listeners[this.path + ' ' + event] || [];
+    var index = listeners.indexOf(callback);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+      store.registered--;
+    }
+  }.bind(this);
+
+  this.set = function(value) {
+    var parent = parentPath(this.path);
+    var added = store.values[this.path] === undefined;
+    store.values[this.path] = value;
+    store.children[parent] = store.children[parent] || {};
+    store.children[parent][this.path.substring(parent.length + 1)] = true;
+    fire(this.path, 'value', createSnapshot(this.path, value));
+    fire(parent, added ? 'child_added' : 'child_changed', createSnapshot(this.path, value));
+  }.bind(this);
+
+  this.remove = function() {
+    var parent = parentPath(this.path);
+    var value = store.values[this.path];
+    delete store.values[this.path];
+    delete store.children[parent][this.path.substring(parent.length + 1)];
+    fire(this.path, 'value', createSnapshot(this.path, null));
+    fire(parent, 'child_removed', createSnapshot(this.path, value));
+  }.bind(this);
+};
+
+/*
+* Observer with the previous design: `value` listener for every child of collection.
+*/
+var LegacyObserver = function(path, child) {
+
+  // Fields
+
+  this.firebase = new FakeFirebase(path);
+  this.collection = this.firebase.child(child);
+  this.listeners = {};
+  this.handler = null;
+
+  // Private methods
+
+  var valueChangeHandler = function(snapshot) {
+    var data = snapshot.val();
+    if (this.handler && data) {
+      this.handler(data);
+    }
+  }.bind(this);
+
+  var childAdded = function(snapshot) {
+    this.listeners[snapshot.key()] = true;
+    this.collection.child(snapshot.key()).on('value', valueChangeHandler);
+  }.bind(this);
+
+  var childRemoved = function(snapshot) {
+    this.collection.child(snapshot.key()).off('value', valueChangeHandler);
+    delete this.listeners[snapshot.key()];
+  }.bind(this);
+
+  // Public methods
+
+  this.listen = function(handler) {
+    this.handler = handler;
+    this.collection.on('child_added', childAdded);
+    this.collection.on('child_removed', childRemoved);
+  }.bind(this);
+
+  this.shutdown = function() {
+    for (var key in this.listeners) {
+      if (this.listeners.hasOwnProperty(key)) {
+        this.collection.child(key).off('value', valueChangeHandler);
+      }
+    }
+    this.listeners = {};
+    this.collection.off('child_added', childAdded);
+    this.collection.off('child_removed', childRemoved);
+  }.bind(this);
+};
+
+var heapUsed = function() {
+  if (global.gc) {
+    // Second pass collects objects released by finalizers of the first one
+    global.gc();
+    global.gc();
+  }
+  return process.memoryUsage().heapUsed;
+};
+
+/*
+* Subscribe observer to collection of `children` vehicles, update every vehicle `rounds` times
+* (one round per tick) and shutdown.
+* @param callback - function(result).
+*/
+var measure = function(name, createObserver, options, callback) {
+  resetStore();
+  var collection = new FakeFirebase('fake://benchmark').child('sf-muni/vehicles');
+  var vehicle = function(i, round) {
+    return { id: String(i), routeTag: String(i % 80), lat: 37.7 + i / 1e5, lon: -122.4 - round / 1e5, timestamp: 1388617200 + round };
+  };
+  for (var i = 0; i < options.children; i++) {
+    collection.child(String(i)).set(vehicle(i, 0));
+  }
+
+  var heapBefore = heapUsed();
+  var started = Date.now();
+  var handlerCalls = 0;
+  var records = 0;
+  var observer = createObserver();
+
+  store.callbacks = 0;
+  observer.listen(function(e) {
+    handlerCalls++;
+    records += Array.isArray(e) ? e.length : 1;
+  });
+  var listeners = store.registered;
+  var heap = heapUsed() - heapBefore;
+
+  var round = 1;
+  var next = function() {
+    if (round > options.rounds) {
+      var shutdownStarted = Date.now();
+      observer.shutdown();
+      callback({
+        name: name,
+        listeners: listeners,
+        heap: heap,
+        callbacks: store.callbacks,
+        handlerCalls: handlerCalls,
+        records: records,
+        time: Date.now() - started,
+        shutdownTime: Date.now() - shutdownStarted
+      });
+      return;
+    }
+    for (var i = 0; i < options.children; i++) {
+      collection.child(String(i)).set(vehicle(i, round));
+    }
+    round++;
+    setImmediate(next);
+  };
+  setImmediate(next);
+};
+
+var pad = function(value, width) {
+  value = String(value);
+  while (value.length < width) {
+    value = ' ' + value;
+  }
+  return value;
+};
+
+/*
+* Compare observer designs with fake Firebase (deduplication is off, legacy observer does not have it):
+*   node --expose-gc benchmarks/collectionObserver.js [--children 5000] [--rounds 10]
+* Without --expose-gc heap numbers include garbage.
+*/
+if (require.main === module) {
+  var args = configuration.parseArguments(process.argv.slice(2));
+  var options = {
+    children: parseInt(args.children || '5000', 10),
+    rounds: parseInt(args.rounds || '10', 10)
+  };
+
+  var scenarios = [
+    ['value per child', function() {
+      return new LegacyObserver('fake://benchmark', 'sf-muni/vehicles');
+    }],
+    ['child_changed', function() {
+      return firebaseCollection.createObserver('fake://benchmark', 'sf-muni/vehicles', { firebase: FakeFirebase, dedupe: false });
+    }],
+    ['child_changed batch', function() {
+      return firebaseCollection.createObserver('fake://benchmark', 'sf-muni/vehicles', { firebase: FakeFirebase, dedupe: false, batch: true });
+    }]
+  ];
+
+  console.log(options.children + ' children, ' + options.rounds + ' updates of each child');
+  console.log(['observer', 'listeners', 'heap KB', 'callbacks', 'handler calls', 'records', 'time ms', 'shutdown ms'].map(function(title, index) {
+    return pad(title, index === 0 ? 20 : 14);
+  }).join(''));
+
+  var run = function(index) {
+    if (index >= scenarios.length) {
+      return;
+    }
+    measure(scenarios[index][0], scenarios[index][1], options, function(result) {
+      console.log([pad(result.name, 20), pad(result.listeners, 14), pad(Math.round(result.heap / 1024), 14),
+        pad(result.callbacks, 14), pad(result.handlerCalls, 14), pad(result.records, 14),
+        pad(result.time, 14), pad(result.shutdownTime, 14)].join(''));
+      run(index + 1);
+    });
+  };
+  run(0);
+}
@@ -0,0 +1,88 @@
+var fs = require('fs');
+var path = require('path');
+var files = require('./files');
+
+/*
+* Last timestamp of each vehicle for each feed. Checkpoint is saved to JSON file
+* `{ [feed]: { [vehicle id]: [timestamp] } }`, so after restart application emits
+* only records which are newer than records emitted before.
+*
+* @param file - path to checkpoint file, it is created on first save.
+*/
+var Checkpoint = function(file) {
+
+  // Fields
+
+  this.file = file;
+  this.feeds = {};
+  this.changed = false;
+
+  // Private methods
+
+  /*
+  * Read checkpoint file, missing or damaged file means empty checkpoint.
+  */
+  var load = function() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+    try {
+      this.feeds = JSON.parse(fs.readFileSync(this.file, 'utf8')) || {};
+    } catch (e) {
+      console.error('Could not read checkpoint ' + this.file + ': ' + e.message);
+      this.feeds = {};
+    }
+  }.bind(this);
+
+  // Public methods
+
+  /*
+  * Check that record is newer than checkpoint of its vehicle and move checkpoint to it.
+  * Records without id or timestamp are always accepted.
+  * @return - false when record is not newer than checkpoint.
+  */
+  this.accept = function(feed, e) {
+    if (e.id === undefined || typeof e.timestamp !== 'number') {
+      return true;
+    }
+
+    var vehicles = this.feeds[feed] || (this.feeds[feed] = {});
+    var last = vehicles[e.id];
+    if (last !== undefined && e.timestamp <= last) {
+      return false;
+    }
+
+    vehicles[e.id] = e.timestamp;
+    this.changed = true;
+    return true;
+  }.bind(this);
+
+  /*
+  * Write checkpoint to file if it has been changed since last save.
+  * File is replaced atomically, so it is never left half written.
+  * Errors are logged, checkpoint stays changed and next save tries again.
+  */
+  this.save = function() {
+    if (!this.changed) {
+      return;
+    }
+
+    var temp = this.file + '.tmp';
+    try {
+      files.makeDirectory(path.dirname(this.file));
+      fs.writeFileSync(temp, JSON.stringify(this.feeds));
+      fs.renameSync(temp, this.file);
+      this.changed = false;
+    } catch (e) {
+      console.error('Could not save checkpoint ' + this.file + ': ' + e.message);
+    }
+  }.bind(this);
+
+  load();
+};
+
+// Exports
+
+exports.createCheckpoint = function(file) {
+  return new Checkpoint(file);
+};
@@ -0,0 +1,352 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+// Configuration file which is used when nothing is specified in command line.
+var defaultConfigFile = path.join(__dirname, 'sources.json');
+
+// Supported types of sources.
+var sourceTypes = ['firebase', 'gtfs-rt', 'nextbus'];
+
+// Firebase sources can keep realtime connection (streaming) or poll REST API (polling),
+// other sources can only be polled.
+var sourceModes = ['streaming', 'polling'];
+
+/*
+* Parse command line arguments in format `--name value` or `--flag`.
+* @param argv - array of arguments (without node and script path).
+*/
+var parseArguments = function(argv) {
+  var args = {};
+
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    if (arg.indexOf('--') !== 0) {
+      throw new Error('Unexpected argument ' + arg);
+    }
+
+    var name = arg.substring('--'.length);
+    var next = argv[i + 1];
+    if (next === undefined || next.indexOf('--') === 0) {
+      args[name] = true;
+    } else {
+      args[name] = next;
+      i++;
+    }
+  }
+
+  return args;
+};
+
+/*
+* Parse list of values, which can be an array or comma separated string.
+*/
+var parseList = function(value) {
+  if (!value) {
+    return [];
+  }
+  var list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(function(item) {
+    return String(item).trim();
+  }).filter(function(item) {
+    return item.length > 0;
+  });
+};
+
+/*
+* Parse bounding box [minLon, minLat, maxLon, maxLat], which can be an array or comma separated string.
+* @return - bounding box or null when it is not set.
+*/
+var parseBoundingBox = function(value, label) {
+  if (!value) {
+    return null;
+  }
+  var bbox = parseList(value).map(parseFloat);
+  if (bbox.length !== 4 || bbox.some(isNaN) || bbox[0] > bbox[2] || bbox[1] > bbox[3]) {
+    throw new Error('Source ' + label + ' has invalid bbox, expected minLon,minLat,maxLon,maxLat');
+  }
+  return bbox;
+};
+
+/*
+* Parse polygon [[lon, lat], ...], which can be an array or JSON string.
+* @return - polygon or null when it is not set.
+*/
+var parsePolygon = function(value, label) {
+  if (!value) {
+    return null;
+  }
+  var polygon;
+  try {
+    polygon = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (e) {
+    polygon = null;
+  }
+  var valid = Array.isArray(polygon) && polygon.length >= 3 && polygon.every(function(point) {
+    return Array.isArray(point) && point.length >= 2 && isFinite(point[0]) && isFinite(point[1]);
+  });
+  if (!valid) {
+    throw new Error('Source ' + label + ' has invalid polygon, expected at least 3 [lon, lat] points');
+  }
+  return polygon.map(function(point) {
+    return [parseFloat(point[0]), parseFloat(point[1])];
+  });
+};
+
+/*
+* Verify that source has all required fields and set defaults.
+*/
+var normalizeSource = function(source, index) {
+  var label = (source && source.name) ? source.name : '#' + index;
+  var type = (source && source.type) || 'firebase';
+  if (sourceTypes.indexOf(type) === -1) {
+    throw new Error('Source ' + label + ' has unsupported type ' + type);
+  }
+  if (type === 'nextbus' && !source.agency) {
+    throw new Error('Source ' + label + ' should have `agency` field');
+  }
+  if (type !== 'nextbus' && (!source.url || (type === 'firebase' && !source.child))) {
+    throw new Error('Source ' + label + ' should have `url` and `child` fields');
+  }
+
+  var mode = source.mode || (type === 'firebase' ? 'streaming' : 'polling');
+  if (sourceModes.indexOf(mode) === -1 || (mode === 'streaming' && type !== 'firebase')) {
+    throw new Error('Source ' + label + ' does not support mode ' + mode);
+  }
+
+  var interval = parseFloat(source.interval || (type === 'nextbus' ? 15 : 30));
+  if (isNaN(interval) || interval <= 0) {
+    throw new Error('Source ' + label + ' has invalid interval ' + source.interval);
+  }
+
+  return {
+    type: type,
+    name: source.name || source.child || source.agency || source.url,
+    url: source.url,
+    child: source.child,
+    agency: source.agency,
+    route: source.route,
+    mode: mode,
+    routes: parseList(source.routes),
+    excludeRoutes: parseList(source.excludeRoutes),
+    bbox: parseBoundingBox(source.bbox, label),
+    polygon: parsePolygon(source.polygon, label),
+    interval: interval,
+    enabled: source.enabled !== false,
+    dedupe: source.dedupe !== false,
+    batch: source.batch === true,
+    stallTimeout: source.stallTimeout
+  };
+};
+
+/*
+* Build output configuration from `output` section of config file and command line arguments.
+* Command line arguments have priority over config file.
+*/
+var normalizeOutput = function(output, args, stateDirectory, instance) {
+  output = output || {};
+
+  var result = {
+    type: args.output || output.type || 'stdout',
+    url: args['hec-url'] || output.url,
+    token: args['hec-token'] || output.token,
+    index: args['hec-index'] || output.index,
+    sourcetype: args['hec-sourcetype'] || output.sourcetype,
+    source: args['hec-source'] || output.source,
+    host: args['hec-host'] || output.host,
+    batchSize: parseInt(args['hec-batch-size'] || output.batchSize || 100, 10),
+    flushInterval: parseInt(args['hec-flush-interval'] || output.flushInterval || 1000, 10),
+    verify: args['hec-verify'] ? args['hec-verify'] !== 'false' : output.verify !== false,
+    spoolFile: args.spool || output.spoolFile || path.join(stateDirectory, 'hec-spool-' + instance + '.ndjson')
+  };
+
+  if (result.type !== 'stdout' && result.type !== 'hec') {
+    throw new Error('Unsupported output type ' + result.type);
+  }
+  if (result.type === 'hec' && (!result.url || !result.token)) {
+    throw new Error('HEC output requires url and token');
+  }
+
+  return result;
+};
+
+/*
+* Build name of application instance from names of its sources. State files are named after it,
+* so instances which run different sources with the same state directory (e.g. modular input stanzas)
+* do not share them.
+*/
+var instanceName = function(sources) {
+  var names = sources.map(function(source) {
+    return source.name;
+  }).join('+');
+  return (names || 'default').replace(/[^A-Za-z0-9_.+-]/g, '_');
+};
+
+/*
+* Build heartbeat configuration from `heartbeat` section of config file and command line arguments.
+* Interval 0 turns heartbeat events off, stall timeout 0 turns off resubscribing.
+*/
+var normalizeHeartbeat = function(heartbeat, args) {
+  heartbeat = heartbeat || {};
+
+  var interval = args['heartbeat-interval'] || heartbeat.interval;
+  var stallTimeout = args['stall-timeout'] || heartbeat.stallTimeout;
+
+  return {
+    interval: parseFloat(interval === undefined ? 60 : interval),
+    stallTimeout: parseFloat(stallTimeout === undefined ? 300 : stallTimeout)
+  };
+};
+
+/*
+* Build lifecycle events configuration from `lifecycle` section of config file and command line arguments.
+* Stale timeout 0 turns off stale events.
+*/
+var normalizeLifecycle = function(lifecycle, args) {
+  lifecycle = lifecycle || {};
+
+  var staleTimeout = args['stale-timeout'] || lifecycle.staleTimeout;
+
+  return {
+    enabled: args['no-lifecycle'] !== true && lifecycle.enabled !== false,
+    staleTimeout: parseFloat(staleTimeout === undefined ? 300 : staleTimeout)
+  };
+};
+
+/*
+* Build kinematics enrichment configuration from `kinematics` section of config file and command line arguments.
+*/
+var normalizeKinematics = function(kinematics, args) {
+  kinematics = kinematics || {};
+
+  var maxSpeed = parseFloat(args['max-speed'] || kinematics.maxSpeedKmHr || 160);
+  if (isNaN(maxSpeed) || maxSpeed <= 0) {
+    throw new Error('Max speed should be a positive number of km/h');
+  }
+
+  return {
+    enabled: args['no-kinematics'] !== true && kinematics.enabled !== false,
+    maxSpeedKmHr: maxSpeed
+  };
+};
+
+/*
+* Load list of sources from JSON file in format
+* { sources: [ { type, name, url, child, agency, route, mode, routes, excludeRoutes, bbox, polygon, interval, enabled, dedupe, batch } ] }.
+*/
+var loadFile = function(file) {
+  var config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!config || !Array.isArray(config.sources)) {
+    throw new Error('Configuration file ' + file + ' should have `sources` array');
+  }
+  return config;
+};
+
+/*
+* Load application configuration.
+* @param argv - command line arguments (without node and script path).
+*
+* Supported arguments:
+*   --config [file] - JSON file with list of sources (default is sources.json next to app.js).
+*   --url [url] --child [path] --name [name] [--no-dedupe] - single source, config file is ignored.
+*   --type gtfs-rt --url [url or path] [--interval seconds] - single GTFS-realtime source.
+*   --type nextbus [--url url] --agency [tag] [--route tag] [--interval seconds] - single NextBus source.
+*   --mode [streaming|polling] - streaming (default) or polling REST API for single Firebase source.
+*   --routes [tag,tag], --exclude-routes [tag,tag] - only ingest vehicles of these routes / not of these routes.
+*   --bbox [minLon,minLat,maxLon,maxLat], --polygon [JSON array of [lon, lat]] - only ingest vehicles in this area.
+*   --source [name] - only start source with specified name from config file.
+*   --output [stdout|hec] - where to write events (default is stdout).
+*   --hec-url, --hec-token, --hec-index, --hec-sourcetype, --hec-source, --hec-host,
+*   --hec-batch-size, --hec-flush-interval, --hec-verify [true|false], --spool [file] - HEC output options.
+*   --heartbeat-interval [seconds] - how often to emit heartbeat events (default 60, 0 turns them off).
+*   --stall-timeout [seconds] - resubscribe when source does not get updates (default 300, 0 turns it off).
+*   --stale-timeout [seconds] - emit lifecycle event `stale` when vehicle does not send records (default 300).
+*   --no-lifecycle - do not emit lifecycle events.
+*   --max-speed [km/h] - records which imply faster moves are flagged as `impossibleJump` (default 160).
+*   --no-kinematics - do not add derived kinematics (fixTime, distanceSinceLastFix, speed and heading).
+*   --geofences [file] - GeoJSON file with geofences, emit events when vehicles enter and exit them.
+*   --state-dir [directory] - where to keep checkpoint and spool files (default is configuration.stateDirectory()).
+*   --no-checkpoint - emit all records after restart, even if they have been emitted before.
+*/
+exports.load = function(argv) {
+  var args = parseArguments(argv || []);
+  var config;
+
+  if (args.url || args.child || args.agency) {
+    config = {
+      sources: [{
+        type: args.type,
+        name: args.name,
+        url: args.url,
+        child: args.child,
+        agency: args.agency,
+        route: args.route,
+        mode: args.mode,
+        routes: args.routes,
+        excludeRoutes: args['exclude-routes'],
+        bbox: args.bbox,
+        polygon: args.polygon,
+        interval: args.interval,
+        dedupe: args['no-dedupe'] !== true
+      }]
+    };
+  } else {
+    var file = args.config ? path.resolve(process.cwd(), args.config) : defaultConfigFile;
+    config = loadFile(file);
+    if (config.geofences) {
+      config.geofences = path.resolve(path.dirname(file), config.geofences);
+    }
+  }
+
+  if (args.geofences) {
+    config.geofences = path.resolve(process.cwd(), args.geofences);
+  }
+
+  return exports.create(config, args);
+};
+
+/*
+* Build application configuration from object in the same format as configuration file.
+* Result also has `instance` name which state files (spool, checkpoint) are named after.
+* @param config - { sources: [sources], output: [optional output], heartbeat: [optional heartbeat],
+*   lifecycle: [optional lifecycle], kinematics: [optional kinematics], geofences: [optional GeoJSON file],
+*   stateDirectory: [optional directory], checkpoint: [optional bool] }.
+* @param args - parsed command line arguments which override options from config.
+*/
+exports.create = function(config, args) {
+  args = args || {};
+  config.sources = config.sources.map(normalizeSource);
+  if (args.source) {
+    config.sources = config.sources.filter(function(source) {
+      return source.name === args.source;
+    });
+  }
+  config.instance = instanceName(config.sources);
+  config.stateDirectory = args['state-dir'] ? path.resolve(process.cwd(), args['state-dir']) :
+    (config.stateDirectory || exports.stateDirectory());
+  config.checkpoint = args['no-checkpoint'] !== true && config.checkpoint !== false;
+  config.output = normalizeOutput(config.output, args, config.stateDirectory, config.instance);
+  config.heartbeat = normalizeHeartbeat(config.heartbeat, args);
+  config.lifecycle = normalizeLifecycle(config.lifecycle, args);
+  config.kinematics = normalizeKinematics(config.kinematics, args);
+  config.sources.forEach(function(source) {
+    if (source.stallTimeout === undefined) {
+      source.stallTimeout = config.heartbeat.stallTimeout;
+    }
+  });
+  config.args = args;
+  return config;
+};
+
+/*
+* Gets directory where application keeps its state (spool files, checkpoints).
+* Under Splunk it is the same directory which Splunk uses for modular inputs.
+*/
+exports.stateDirectory = function() {
+  if (process.env.SPLUNK_HOME) {
+    return path.join(process.env.SPLUNK_HOME, 'var', 'lib', 'splunk', 'modinputs', 'routemap');
+  }
+  return path.join(os.tmpdir(), 'routemap');
+};
+
+exports.parseArguments = parseArguments;
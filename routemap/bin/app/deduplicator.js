@@ -0,0 +1,41 @@
+/*
+* Remembers the last record for each key and finds records which do not bring anything new:
+* exact duplicates and records which timestamp did not advance.
+*/
+var Deduplicator = function() {
+
+  // Fields
+
+  this.lastRecords = {};
+  this.duplicates = 0;
+
+  // Public methods
+
+  /*
+  * Gets a value indicating whether record is a duplicate, otherwise remember it as the last one.
+  */
+  this.isDuplicate = function(key, data) {
+    var json = JSON.stringify(data);
+    var last = this.lastRecords[key];
+    if (last && ((typeof data.timestamp === 'number' && typeof last.data.timestamp === 'number' &&
+      data.timestamp <= last.data.timestamp) || last.json === json)) {
+      this.duplicates++;
+      return true;
+    }
+    this.lastRecords[key] = { data: data, json: json };
+    return false;
+  }.bind(this);
+
+  /*
+  * Forget the last record for key.
+  */
+  this.forget = function(key) {
+    delete this.lastRecords[key];
+  }.bind(this);
+};
+
+// Exports
+
+exports.createDeduplicator = function() {
+  return new Deduplicator();
+};
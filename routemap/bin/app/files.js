@@ -0,0 +1,24 @@
+var fs = require('fs');
+var path = require('path');
+
+/*
+* Create directory and all its missing parents, the same as `fs.mkdirSync` with
+* `recursive` option, which is not available before Node 10.12.
+*/
+var makeDirectory = function(directory) {
+  if (fs.existsSync(directory)) {
+    return;
+  }
+  makeDirectory(path.dirname(directory));
+  try {
+    fs.mkdirSync(directory);
+  } catch (e) {
+    if (e.code !== 'EEXIST') {
+      throw e;
+    }
+  }
+};
+
+// Exports
+
+exports.makeDirectory = makeDirectory;
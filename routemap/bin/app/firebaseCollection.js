@@ -1,86 +1,191 @@
 var firebase = require('firebase');
+var deduplicator = require('./deduplicator');
+var vehicleFilter = require('./vehicleFilter');
+var observerStatus = require('./observerStatus');
 
 /*
 * Firebase collection observer.
+* @param options - { dedupe: [bool], stallTimeout: [seconds], filter: [filter spec, see vehicleFilter],
+*   batch: [bool], firebase: [optional Firebase constructor, replaces library in benchmarks] }.
+*
+* Observer listens to the collection once with `child_added`, `child_changed` and `child_removed` events.
+* Records which do not pass the filter never reach the handler.
+* By default observer suppresses duplicate records and records which timestamp did not advance.
+* In batch mode handler is invoked once per tick with array of records changed during this tick.
+* When `stallTimeout` is set observer resubscribes to collection if it did not get any updates
+* during this time.
 */
-var CollectionObserver = function(path, child) {
+var CollectionObserver = function(path, child, options) {
 
   // Fields
 
-  this.firebase = new firebase(path);
+  this.options = options || {};
+  this.Firebase = this.options.firebase || firebase;
+  this.firebase = new this.Firebase(path);
   this.collection = this.firebase.child(child);
-  this.listeners = {};
+  this.vehicles = {};
   this.handler = null;
+  this.removedHandler = null;
   this.child = child;
+  this.deduplicator = deduplicator.createDeduplicator();
+  this.filter = vehicleFilter.createFilter(this.options.filter);
+  this.batch = [];
+  this.batchTimer = null;
+  this.events = 0;
+  this.resubscribes = 0;
+  this.connected = false;
+  this.lastUpdate = null;
+  this.subscribedAt = null;
+  this.watchdog = null;
 
   // Private methods
 
   /*
-  * Element value change handler.
+  * Deliver records collected during this tick.
   */
-  var valueChangeHandler = function(snapshot) {
+  var flushBatch = function() {
+    if (this.batchTimer) {
+      clearImmediate(this.batchTimer);
+      this.batchTimer = null;
+    }
+    var records = this.batch;
+    this.batch = [];
+    if (records.length > 0 && this.handler) {
+      this.handler(records);
+    }
+  }.bind(this);
+
+  /*
+  * Element added or changed.
+  */
+  var childUpdated = function(snapshot) {
+    this.lastUpdate = Date.now();
+    var key = snapshot.key();
     if (this.handler) {
       var data = snapshot.val();
       if (data) {
-        this.handler(data);
+        if (!this.filter.accept(key, data)) {
+          // Vehicle which has left filtered routes or area is not active anymore
+          delete this.vehicles[key];
+          return;
+        }
+        this.vehicles[key] = true;
+        if (this.options.dedupe !== false && this.deduplicator.isDuplicate(key, data)) {
+          return;
+        }
+        this.events++;
+        if (this.options.batch) {
+          this.batch.push(data);
+          if (!this.batchTimer) {
+            this.batchTimer = setImmediate(flushBatch);
+          }
+        } else {
+          this.handler(data);
+        }
       }
     }
   }.bind(this);
 
   /*
-  * Turn off handler for element.
+  * Element removed from collection.
   */
-  var turnOffValueListener = function (elementName){
-    if (this.listeners[elementName]) {
-      this.collection.child(elementName).off('value', valueChangeHandler);
-      delete this.listeners[elementName];
+  var childRemoved = function(snapshot) {
+    // Records of the current batch have been changed before removal, so handler gets them first
+    flushBatch();
+    this.lastUpdate = Date.now();
+    var key = snapshot.key();
+    delete this.vehicles[key];
+    this.deduplicator.forget(key);
+    this.filter.forget(key);
+    if (this.removedHandler) {
+      var data = snapshot.val();
+      this.removedHandler(data && data.id !== undefined ? data.id : key);
     }
   }.bind(this);
 
   /*
-  * New element added to collection.
+  * Connection state change handler.
   */
-  var childAdded = function(snapshot) {
-    var elementName = snapshot.key();
-    this.listeners[elementName] = elementName;
-    this.collection.child(elementName).on('value', valueChangeHandler);
+  var connectedHandler = function(snapshot) {
+    this.connected = snapshot.val() === true;
   }.bind(this);
 
   /*
-  * Element removed from collection.
+  * Resubscribe when collection did not get updates for `stallTimeout` seconds.
   */
-  var childRemoved = function(snapshot) {
-    turnOffValueListener(snapshot.key());
+  var checkStalled = function() {
+    var lastActivity = Math.max(this.lastUpdate || 0, this.subscribedAt);
+    if (Date.now() - lastActivity > this.options.stallTimeout * 1000) {
+      this.resubscribe();
+    }
   }.bind(this);
 
   // Public methods
 
   /*
-  * Turn off all listeners.
+  * Turn off all listeners, records of the current batch are delivered immediately.
   */
   this.shutdown = function() {
-    for (var listener in this.listeners) {
-      if (this.listeners.hasOwnProperty(listener)) {
-        turnOffValueListener(listener);
-      }
-    }
+    flushBatch();
 
-    this.collection.off('child_added', childAdded);
+    this.collection.off('child_added', childUpdated);
+    this.collection.off('child_changed', childUpdated);
     this.collection.off('child_removed', childRemoved);
+    this.firebase.child('.info/connected').off('value', connectedHandler);
+
+    if (this.watchdog) {
+      clearInterval(this.watchdog);
+      this.watchdog = null;
+    }
   }.bind(this);
 
-  this.listen = function(handler) {
+  /*
+  * Listen collection.
+  * @param handler - function which is invoked for each new record (or array of records in batch mode).
+  * @param removedHandler - optional function(id) which is invoked when vehicle is removed from collection.
+  */
+  this.listen = function(handler, removedHandler) {
     this.handler = handler;
-    this.collection.on('child_added', childAdded);
+    this.removedHandler = removedHandler || null;
+    this.subscribedAt = Date.now();
+    this.firebase.child('.info/connected').on('value', connectedHandler);
+    this.collection.on('child_added', childUpdated);
+    this.collection.on('child_changed', childUpdated);
     this.collection.on('child_removed', childRemoved);
+
+    if (this.options.stallTimeout) {
+      this.watchdog = setInterval(checkStalled, Math.min(this.options.stallTimeout * 1000 / 2, 10000));
+    }
   }.bind(this);
-};
 
-// Exports
+  /*
+  * Turn off listeners of this collection and listen it again, Firebase sends current children
+  * of collection to the new listeners. Other collections on the same connection are not affected.
+  */
+  this.resubscribe = function() {
+    this.shutdown();
+    this.resubscribes++;
+    this.listen(this.handler, this.removedHandler);
+  }.bind(this);
 
-exports.createObserver = function(path, child) {
-  return new CollectionObserver(path, child);
+  /*
+  * Gets current state of observer.
+  */
+  this.getStatus = function() {
+    return observerStatus.create(this);
+  }.bind(this);
 };
 
+// Exports
 
+exports.createObserver = function(path, child, options) {
+  return new CollectionObserver(path, child, options);
+};
 
+/*
+* Close connection to Firebase. Connection is shared by all collections, so call it
+* only when all observers have been shut down.
+*/
+exports.disconnect = function() {
+  firebase.goOffline();
+};
@@ -0,0 +1,76 @@
+var url = require('url');
+var httpClient = require('./httpClient');
+var pollingObserver = require('./pollingObserver');
+
+/*
+* Firebase collection observer which polls REST API (`GET [url]/[child].json`)
+* instead of keeping realtime connection. Useful when websockets are blocked
+* by proxies, each poll downloads the whole collection. Next poll starts `interval`
+* seconds after the previous one is finished.
+*
+* @param path - url of Firebase.
+* @param child - path of the collection.
+* @param options - { interval: [seconds], dedupe: [bool], filter: [filter spec, see vehicleFilter] }.
+*/
+var RestCollectionObserver = function(path, child, options) {
+
+  // Fields
+
+  this.location = url.resolve(path.replace(/\/*$/, '/'), child.replace(/^\/+|\/+$/g, '') + '.json');
+  this.options = options || {};
+
+  // Private methods
+
+  /*
+  * Download collection, vehicles which are not in the collection anymore have been removed.
+  * @param callback - function(error, feed), see pollingObserver.
+  */
+  var read = function(callback) {
+    httpClient.get(this.location, function(error, buffer) {
+      var collection;
+      if (!error) {
+        try {
+          collection = JSON.parse(buffer.toString('utf8')) || {};
+        } catch (e) {
+          error = e;
+        }
+      }
+      if (error) {
+        return callback(error);
+      }
+
+      var keys = Object.keys(collection);
+      callback(null, {
+        records: keys.map(function(key) {
+          return collection[key];
+        }),
+        keys: keys,
+        fullDataset: true
+      });
+    });
+  }.bind(this);
+
+  // Public methods
+
+  this.poller = pollingObserver.createObserver(read, {
+    name: 'Firebase collection ' + this.location,
+    interval: this.options.interval || 30,
+    dedupe: this.options.dedupe,
+    filter: this.options.filter
+  });
+
+  /*
+  * Start polling.
+  * @param handler - function which is invoked for each new record.
+  * @param removedHandler - optional function(id) which is invoked when vehicle is removed from feed.
+  */
+  this.listen = this.poller.listen;
+  this.shutdown = this.poller.shutdown;
+  this.getStatus = this.poller.getStatus;
+};
+
+// Exports
+
+exports.createObserver = function(path, child, options) {
+  return new RestCollectionObserver(path, child, options);
+};
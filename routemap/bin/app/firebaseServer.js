@@ -0,0 +1,396 @@
+var url = require('url');
+var http = require('http');
+var WebSocket = require('faye-websocket');
+var configuration = require('./configuration');
+var sampleData = require('./sampleData');
+
+// Protocol version which is implemented by Firebase client library.
+var protocolVersion = '5';
+
+// Firebase client splits messages to frames of this size.
+var maxFrameSize = 16384;
+
+/*
+* Split path like '/sf-muni/vehicles/' to array of keys ['sf-muni', 'vehicles'].
+*/
+var splitPath = function(path) {
+  return (path || '').split('/').filter(function(key) {
+    return key.length > 0;
+  });
+};
+
+/*
+* Gets a value indicating whether path `parent` is the same or parent of path `child`.
+*/
+var isParentPath = function(parent, child) {
+  var parentKeys = splitPath(parent);
+  var childKeys = splitPath(child);
+  if (parentKeys.length > childKeys.length) {
+    return false;
+  }
+  for (var i = 0; i < parentKeys.length; i++) {
+    if (parentKeys[i] !== childKeys[i]) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/*
+* Client connection to the local Firebase server.
+*/
+var ClientConnection = function(server, ws, host) {
+
+  // Fields
+
+  this.server = server;
+  this.ws = ws;
+  this.host = host;
+  this.listens = {};
+
+  // Private methods
+
+  /*
+  * Send message, big messages are split to frames the same way as Firebase does.
+  */
+  var send = function(message) {
+    var data = JSON.stringify(message);
+    if (data.length <= maxFrameSize) {
+      this.ws.send(data);
+    } else {
+      var frames = [];
+      for (var i = 0; i < data.length; i += maxFrameSize) {
+        frames.push(data.substring(i, i + maxFrameSize));
+      }
+      this.ws.send(String(frames.length));
+      frames.forEach(function(frame) {
+        this.ws.send(frame);
+      }.bind(this));
+    }
+  }.bind(this);
+
+  /*
+  * Respond to request with specified number.
+  */
+  var respond = function(requestId, data) {
+    send({ t: 'd', d: { r: requestId, b: { s: 'ok', d: data === undefined ? '' : data } } });
+  }.bind(this);
+
+  /*
+  * Handle request from client.
+  */
+  var requestHandler = function(request) {
+    var body = request.b || {};
+    switch (request.a) {
+      case 'q': // listen
+        this.listens[body.p] = true;
+        this.sendData(body.p, this.server.get(body.p));
+        respond(request.r, {});
+        break;
+      case 'n': // unlisten
+        delete this.listens[body.p];
+        respond(request.r);
+        break;
+      case 'p': // put
+        respond(request.r);
+        this.server.set(body.p, body.d);
+        break;
+      case 'm': // merge
+        respond(request.r);
+        this.server.update(body.p, body.d);
+        break;
+      default: // stats, auth and on-disconnect operations are not supported, just confirm them
+        respond(request.r);
+        break;
+    }
+  }.bind(this);
+
+  /*
+  * Incoming message handler. Client sends keep-alive messages as '0', we can ignore them.
+  */
+  var messageHandler = function(event) {
+    var message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (e) {
+      return;
+    }
+    if (message && message.t === 'd' && message.d && message.d.hasOwnProperty('r')) {
+      requestHandler(message.d);
+    }
+  }.bind(this);
+
+  // Public methods
+
+  /*
+  * Send data for path to client.
+  */
+  this.sendData = function(path, data) {
+    send({ t: 'd', d: { a: 'd', b: { p: path, d: data === undefined ? null : data } } });
+  }.bind(this);
+
+  /*
+  * Notify client that data has been changed in path.
+  */
+  this.notify = function(path) {
+    for (var listen in this.listens) {
+      if (this.listens.hasOwnProperty(listen)) {
+        if (isParentPath(listen, path)) {
+          this.sendData(path, this.server.get(path));
+        } else if (isParentPath(path, listen)) {
+          this.sendData(listen, this.server.get(listen));
+        }
+      }
+    }
+  }.bind(this);
+
+  /*
+  * Close connection.
+  */
+  this.close = function() {
+    this.ws.close();
+  }.bind(this);
+
+  ws.on('message', messageHandler);
+  ws.on('close', function() {
+    this.server.connections.splice(this.server.connections.indexOf(this), 1);
+  }.bind(this));
+
+  // Handshake
+  send({ t: 'c', d: { t: 'h', d: { ts: Date.now(), v: protocolVersion, h: host, s: 'local' } } });
+};
+
+/*
+* Local server which implements part of Firebase realtime protocol:
+* clients can listen for values (child_added, child_removed and value events),
+* put and merge data. Queries, authentication and on-disconnect operations
+* are not supported. REST API supports only reading values (`GET /path.json`).
+*
+* Firebase client expects three parts in host name, so use url like `http://127.0.1:5000`.
+*/
+var FirebaseServer = function(data) {
+
+  // Fields
+
+  this.data = data || {};
+  this.connections = [];
+  this.httpServer = http.createServer(function(request, response) {
+    var pathname = decodeURIComponent(url.parse(request.url).pathname);
+    if (request.method !== 'GET' || !/\.json$/.test(pathname)) {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(this.get(pathname.substring(0, pathname.length - '.json'.length))));
+  }.bind(this));
+
+  this.httpServer.on('upgrade', function(request, socket, body) {
+    if (WebSocket.isWebSocket(request)) {
+      var ws = new WebSocket(request, socket, body);
+      this.connections.push(new ClientConnection(this, ws, request.headers.host));
+    }
+  }.bind(this));
+
+  // Public methods
+
+  /*
+  * Gets value by path.
+  */
+  this.get = function(path) {
+    var value = this.data;
+    var keys = splitPath(path);
+    for (var i = 0; i < keys.length && value !== null && value !== undefined; i++) {
+      value = (typeof value === 'object') ? value[keys[i]] : undefined;
+    }
+    return value === undefined ? null : value;
+  }.bind(this);
+
+  /*
+  * Sets value by path, null value removes element.
+  */
+  this.set = function(path, value) {
+    var keys = splitPath(path);
+    if (keys.length === 0) {
+      this.data = value || {};
+    } else {
+      var parents = [this.data];
+      var node = this.data;
+      for (var i = 0; i < keys.length - 1; i++) {
+        if (!node[keys[i]] || typeof node[keys[i]] !== 'object') {
+          node[keys[i]] = {};
+        }
+        node = node[keys[i]];
+        parents.push(node);
+      }
+
+      if (value === null || value === undefined) {
+        delete node[keys[keys.length - 1]];
+        // Firebase does not store empty objects
+        for (var j = parents.length - 1; j > 0 && Object.keys(parents[j]).length === 0; j--) {
+          delete parents[j - 1][keys[j - 1]];
+        }
+      } else {
+        node[keys[keys.length - 1]] = value;
+      }
+    }
+
+    this.connections.forEach(function(connection) {
+      connection.notify(path);
+    });
+  }.bind(this);
+
+  /*
+  * Update children of path with values from object.
+  */
+  this.update = function(path, values) {
+    var parent = splitPath(path).join('/');
+    for (var key in values) {
+      if (values.hasOwnProperty(key)) {
+        this.set(parent + '/' + key, values[key]);
+      }
+    }
+  }.bind(this);
+
+  /*
+  * Remove value by path.
+  */
+  this.remove = function(path) {
+    this.set(path, null);
+  }.bind(this);
+
+  /*
+  * Start listening on port.
+  */
+  this.listen = function(port, callback) {
+    this.httpServer.listen(port, callback);
+    return this;
+  }.bind(this);
+
+  /*
+  * Close all connections and stop server.
+  */
+  this.close = function(callback) {
+    this.connections.slice().forEach(function(connection) {
+      connection.close();
+    });
+    this.httpServer.close(callback);
+  }.bind(this);
+};
+
+/*
+* Replay sample data rows on clock: each row is set as a child of collection
+* when its time comes, vehicles without updates for `expire` seconds are removed.
+* Each pass of looping replay shifts timestamps by duration of data, so observers do not
+* drop records of the next pass as duplicates.
+* @param server - FirebaseServer.
+* @param rows - array of rows of sample data (see sampleData.readCsv).
+* @param options - { child: [collection path], speed: [playback speed], expire: [seconds], loop: [bool] }.
+*/
+var CsvReplay = function(server, rows, options) {
+
+  // Fields
+
+  this.server = server;
+  this.child = options.child;
+  this.speed = options.speed || 1;
+  this.expire = options.expire || 120;
+  this.loop = options.loop;
+  this.rows = rows.slice().sort(function(a, b) {
+    return a.ts - b.ts;
+  });
+  this.timer = null;
+  // Shift of timestamps of the current pass (seconds)
+  this.offset = 0;
+
+  // Private methods
+
+  /*
+  * Remove vehicles which have not been updated for `expire` seconds.
+  */
+  var removeExpired = function(currentTime) {
+    var vehicles = this.server.get(this.child) || {};
+    for (var id in vehicles) {
+      if (vehicles.hasOwnProperty(id) && currentTime - vehicles[id].timestamp > this.expire) {
+        this.server.remove(this.child + '/' + id);
+      }
+    }
+  }.bind(this);
+
+  /*
+  * Set all rows with the same time stamp and schedule next step.
+  */
+  var step = function(index) {
+    if (index >= this.rows.length) {
+      if (this.loop) {
+        this.server.remove(this.child);
+        // Next pass starts one second after the last row of this pass
+        this.offset += this.rows[this.rows.length - 1].ts - this.rows[0].ts + 1;
+        step(0);
+      }
+      return;
+    }
+
+    var rowTime = this.rows[index].ts;
+    while (index < this.rows.length && this.rows[index].ts === rowTime) {
+      var record = sampleData.toVehicleRecord(this.rows[index]);
+      record.timestamp += this.offset;
+      this.server.set(this.child + '/' + record.id, record);
+      index++;
+    }
+    removeExpired(rowTime + this.offset);
+
+    if (index < this.rows.length || this.loop) {
+      var delay = (index < this.rows.length ? this.rows[index].ts - rowTime : 1) * 1000 / this.speed;
+      this.timer = setTimeout(step.bind(this, index), delay);
+    }
+  }.bind(this);
+
+  // Public methods
+
+  this.start = function() {
+    step(0);
+    return this;
+  }.bind(this);
+
+  this.stop = function() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }.bind(this);
+};
+
+// Exports
+
+exports.createServer = function(data) {
+  return new FirebaseServer(data);
+};
+
+exports.replayCsv = function(server, file, options) {
+  return new CsvReplay(server, sampleData.readCsv(file || sampleData.defaultCsvFile), options).start();
+};
+
+/*
+* Run server from command line:
+*   node firebaseServer.js [--port 5000] [--fixture file.json]
+*   node firebaseServer.js [--port 5000] --csv [file] [--child sf-muni/vehicles] [--speed 1] [--expire 120] [--loop]
+* Without `--fixture` and `--csv` server replays sample data.
+*/
+if (require.main === module) {
+  var args = configuration.parseArguments(process.argv.slice(2));
+  var port = parseInt(args.port || '5000', 10);
+  var data = args.fixture ? JSON.parse(require('fs').readFileSync(args.fixture, 'utf8')) : {};
+  var server = exports.createServer(data).listen(port, function() {
+    console.log('Firebase server is listening on http://127.0.1:' + port);
+  });
+
+  if (!args.fixture) {
+    exports.replayCsv(server, args.csv === true ? null : args.csv, {
+      child: args.child || 'sf-muni/vehicles',
+      speed: parseFloat(args.speed || '1'),
+      expire: parseFloat(args.expire || '120'),
+      loop: args.loop === true
+    });
+  }
+}
@@ -0,0 +1,60 @@
+/*
+* Geodesic helpers on spherical Earth.
+*/
+
+// Mean Earth radius (meters).
+var earthRadius = 6371008.8;
+
+var toRadians = function(degrees) {
+  return degrees * Math.PI / 180;
+};
+
+var toDegrees = function(radians) {
+  return radians * 180 / Math.PI;
+};
+
+/*
+* Great-circle distance between two points in meters (haversine formula).
+*/
+exports.distance = function(lat1, lon1, lat2, lon2) {
+  var phi1 = toRadians(lat1);
+  var phi2 = toRadians(lat2);
+  var deltaPhi = toRadians(lat2 - lat1);
+  var deltaLambda = toRadians(lon2 - lon1);
+
+  var a = Math.sin(deltaPhi / 2) * Math.sin(deltaPhi / 2) +
+    Math.cos(phi1) * Math.cos(phi2) * Math.sin(deltaLambda / 2) * Math.sin(deltaLambda / 2);
+  return 2 * earthRadius * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/*
+* Initial bearing from the first point to the second one in degrees clockwise from north (0-360).
+*/
+exports.bearing = function(lat1, lon1, lat2, lon2) {
+  var phi1 = toRadians(lat1);
+  var phi2 = toRadians(lat2);
+  var deltaLambda = toRadians(lon2 - lon1);
+
+  var y = Math.sin(deltaLambda) * Math.cos(phi2);
+  var x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+/*
+* Gets a value indicating whether point is inside of polygon (ray casting).
+* @param lon, lat - point coordinates.
+* @param polygon - array of [lon, lat] vertices (the same order as in GeoJSON), ring can be open or closed.
+*/
+exports.pointInPolygon = function(lon, lat, polygon) {
+  var inside = false;
+  for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    var xi = polygon[i][0], yi = polygon[i][1];
+    var xj = polygon[j][0], yj = polygon[j][1];
+    if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+exports.earthRadius = earthRadius;
@@ -0,0 +1,180 @@
+var fs = require('fs');
+var geo = require('./geo');
+
+// Sourcetype of geofence events.
+exports.sourcetype = 'firebase:geofence';
+
+/*
+* Convert GeoJSON feature to geofence { id, name, type: polygon|circle, polygons|center+radius, bbox }.
+* Polygons and multipolygons are used as is (holes are supported), circles are points with `radius`
+* property in meters. Fence id is feature `id` or `id` property.
+*/
+var toGeofence = function(feature, index) {
+  var properties = feature.properties || {};
+  var geometry = feature.geometry || {};
+  var id = feature.id !== undefined ? feature.id : properties.id;
+  if (id === undefined || id === null) {
+    throw new Error('Geofence #' + index + ' should have id');
+  }
+
+  var fence = { id: String(id), name: properties.name || String(id) };
+
+  if (geometry.type === 'Point' && properties.radius > 0) {
+    var lon = geometry.coordinates[0];
+    var lat = geometry.coordinates[1];
+    var radius = parseFloat(properties.radius);
+    // Bounding box in degrees is slightly bigger than circle, it is used only for quick rejection
+    var deltaLat = radius / geo.earthRadius * 180 / Math.PI * 1.01;
+    var deltaLon = deltaLat / Math.max(Math.cos(lat * Math.PI / 180), 0.01);
+    fence.type = 'circle';
+    fence.center = [lon, lat];
+    fence.radius = radius;
+    fence.bbox = [lon - deltaLon, lat - deltaLat, lon + deltaLon, lat + deltaLat];
+    return fence;
+  }
+
+  var polygons;
+  if (geometry.type === 'Polygon') {
+    polygons = [geometry.coordinates];
+  } else if (geometry.type === 'MultiPolygon') {
+    polygons = geometry.coordinates;
+  } else {
+    throw new Error('Geofence ' + fence.id + ' should be Polygon, MultiPolygon or Point with radius property');
+  }
+
+  fence.type = 'polygon';
+  fence.polygons = polygons;
+  fence.bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  polygons.forEach(function(rings) {
+    rings[0].forEach(function(point) {
+      fence.bbox[0] = Math.min(fence.bbox[0], point[0]);
+      fence.bbox[1] = Math.min(fence.bbox[1], point[1]);
+      fence.bbox[2] = Math.max(fence.bbox[2], point[0]);
+      fence.bbox[3] = Math.max(fence.bbox[3], point[1]);
+    });
+  });
+  return fence;
+};
+
+/*
+* Gets a value indicating whether point is inside of geofence.
+*/
+var contains = function(fence, lon, lat) {
+  if (lon < fence.bbox[0] || lat < fence.bbox[1] || lon > fence.bbox[2] || lat > fence.bbox[3]) {
+    return false;
+  }
+
+  if (fence.type === 'circle') {
+    return geo.distance(lat, lon, fence.center[1], fence.center[0]) <= fence.radius;
+  }
+
+  return fence.polygons.some(function(rings) {
+    if (!geo.pointInPolygon(lon, lat, rings[0])) {
+      return false;
+    }
+    // Other rings are holes
+    for (var i = 1; i < rings.length; i++) {
+      if (geo.pointInPolygon(lon, lat, rings[i])) {
+        return false;
+      }
+    }
+    return true;
+  });
+};
+
+/*
+* Load geofences from GeoJSON file with FeatureCollection (or single Feature).
+*/
+var load = function(file) {
+  var json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  var features = json.type === 'FeatureCollection' ? json.features : [json];
+  if (!Array.isArray(features)) {
+    throw new Error('Geofences file ' + file + ' should have FeatureCollection');
+  }
+  return features.map(toGeofence);
+};
+
+/*
+* Evaluates vehicle records of one feed against geofences and emits events
+*   geofence_enter - vehicle moved inside of fence (or its first record is inside),
+*   geofence_exit - vehicle moved outside of fence, `dwellSeconds` is time spent inside.
+* Event time is the fix time of record (see kinematics.js) or its timestamp.
+* Vehicles removed from feed are forgotten without exit events.
+*
+* @param feed - name of the feed.
+* @param fences - geofences (see load).
+* @param handler - function which is invoked for each geofence event.
+*/
+var GeofenceEvaluator = function(feed, fences, handler) {
+
+  // Fields
+
+  this.feed = feed;
+  this.fences = fences;
+  this.handler = handler;
+  this.vehicles = {};
+
+  // Private methods
+
+  var emit = function(type, fence, record, time, dwell) {
+    var e = {
+      type: type,
+      feed: this.feed,
+      fenceId: fence.id,
+      fenceName: fence.name,
+      id: record.id,
+      routeTag: record.routeTag,
+      lat: record.lat,
+      lon: record.lon,
+      timestamp: time
+    };
+    if (dwell !== undefined) e.dwellSeconds = Math.round(dwell * 1000) / 1000;
+    this.handler(e);
+  }.bind(this);
+
+  // Public methods
+
+  /*
+  * Vehicle sent record.
+  */
+  this.update = function(record) {
+    var lat = parseFloat(record.lat);
+    var lon = parseFloat(record.lon);
+    if (record.id === undefined || isNaN(lat) || isNaN(lon)) {
+      return;
+    }
+
+    var time = typeof record.fixTime === 'number' ? record.fixTime :
+      (typeof record.timestamp === 'number' ? record.timestamp : Date.now() / 1000);
+    var inside = this.vehicles[record.id] || (this.vehicles[record.id] = {});
+
+    this.fences.forEach(function(fence) {
+      var enteredAt = inside[fence.id];
+      if (contains(fence, lon, lat)) {
+        if (enteredAt === undefined) {
+          inside[fence.id] = time;
+          emit('geofence_enter', fence, record, time);
+        }
+      } else if (enteredAt !== undefined) {
+        delete inside[fence.id];
+        emit('geofence_exit', fence, record, time, Math.max(0, time - enteredAt));
+      }
+    });
+  }.bind(this);
+
+  /*
+  * Vehicle has been removed from feed.
+  */
+  this.forget = function(id) {
+    delete this.vehicles[id];
+  }.bind(this);
+};
+
+// Exports
+
+exports.load = load;
+exports.contains = contains;
+
+exports.createEvaluator = function(feed, fences, handler) {
+  return new GeofenceEvaluator(feed, fences, handler);
+};
@@ -0,0 +1,217 @@
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var httpClient = require('./httpClient');
+var protobuf = require('./protobuf');
+var pollingObserver = require('./pollingObserver');
+
+// GTFS-realtime schema (only fields required for VehiclePositions feed),
+// see https://developers.google.com/transit/gtfs-realtime/reference
+var tripDescriptorSchema = {
+  1: { name: 'tripId', type: 'string' },
+  5: { name: 'routeId', type: 'string' },
+  6: { name: 'directionId', type: 'uint32' }
+};
+
+var vehicleDescriptorSchema = {
+  1: { name: 'id', type: 'string' },
+  2: { name: 'label', type: 'string' }
+};
+
+var positionSchema = {
+  1: { name: 'latitude', type: 'float' },
+  2: { name: 'longitude', type: 'float' },
+  3: { name: 'bearing', type: 'float' },
+  5: { name: 'speed', type: 'float' }
+};
+
+var vehiclePositionSchema = {
+  1: { name: 'trip', type: 'message', schema: tripDescriptorSchema },
+  2: { name: 'position', type: 'message', schema: positionSchema },
+  5: { name: 'timestamp', type: 'uint64' },
+  8: { name: 'vehicle', type: 'message', schema: vehicleDescriptorSchema }
+};
+
+var feedEntitySchema = {
+  1: { name: 'id', type: 'string' },
+  2: { name: 'isDeleted', type: 'bool' },
+  4: { name: 'vehicle', type: 'message', schema: vehiclePositionSchema }
+};
+
+var feedHeaderSchema = {
+  1: { name: 'gtfsRealtimeVersion', type: 'string' },
+  2: { name: 'incrementality', type: 'enum' },
+  3: { name: 'timestamp', type: 'uint64' }
+};
+
+var feedMessageSchema = {
+  1: { name: 'header', type: 'message', schema: feedHeaderSchema },
+  2: { name: 'entity', type: 'message', schema: feedEntitySchema, repeated: true }
+};
+
+// Incrementality FULL_DATASET, each feed has all vehicles.
+var FULL_DATASET = 0;
+
+/*
+* Round number to specified number of digits (protobuf floats have a lot of noise digits).
+*/
+var round = function(value, digits) {
+  var multiplier = Math.pow(10, digits);
+  return Math.round(value * multiplier) / multiplier;
+};
+
+/*
+* Gets id of vehicle in feed entity, the same as id of its vehicle record.
+*/
+var vehicleId = function(entity) {
+  return (entity.vehicle && entity.vehicle.vehicle && entity.vehicle.vehicle.id) || entity.id;
+};
+
+/*
+* Convert feed entity to the vehicle record with the same field names as sf-muni Firebase records.
+* @return - record or null if entity does not have vehicle position.
+*/
+var toVehicleRecord = function(entity, header) {
+  var vehicle = entity.vehicle;
+  if (!vehicle || !vehicle.position || entity.isDeleted) {
+    return null;
+  }
+
+  var position = vehicle.position;
+  var record = {
+    id: vehicleId(entity),
+    lat: round(position.latitude, 6),
+    lon: round(position.longitude, 6)
+  };
+
+  if (position.bearing !== undefined) record.heading = round(position.bearing, 1);
+  if (position.speed !== undefined) record.speedKmHr = round(position.speed * 3.6, 1);
+  if (vehicle.trip && vehicle.trip.routeId) record.routeTag = vehicle.trip.routeId;
+  if (vehicle.trip && vehicle.trip.tripId) record.tripId = vehicle.trip.tripId;
+  if (vehicle.trip && vehicle.trip.directionId !== undefined) record.directionId = vehicle.trip.directionId;
+  if (vehicle.vehicle && vehicle.vehicle.label) record.label = vehicle.vehicle.label;
+
+  var timestamp = vehicle.timestamp || (header && header.timestamp);
+  if (timestamp) record.timestamp = timestamp;
+
+  return record;
+};
+
+/*
+* Decode GTFS-realtime FeedMessage and convert it to the list of vehicle records.
+* @return - { fullDataset: [bool], records: [vehicle records], deleted: [ids of vehicles with isDeleted entities] }.
+*/
+var decodeFeed = function(buffer) {
+  var feed = protobuf.decode(buffer, feedMessageSchema);
+  var entities = feed.entity || [];
+  var records = entities.map(function(entity) {
+    return toVehicleRecord(entity, feed.header);
+  }).filter(function(record) {
+    return record !== null;
+  });
+
+  var deleted = entities.filter(function(entity) {
+    return entity.isDeleted;
+  }).map(vehicleId);
+
+  return {
+    fullDataset: !feed.header || !feed.header.incrementality || feed.header.incrementality === FULL_DATASET,
+    records: records,
+    deleted: deleted
+  };
+};
+
+/*
+* GTFS-realtime VehiclePositions observer.
+*
+* Polls feed by http(s) url or reads local `.pb` file, next poll starts `interval` seconds after
+* the previous one is finished. When location is a directory observer reads one `.pb` file from it
+* (in order of names) on each poll. Vehicles which are missing in FULL_DATASET feed or have
+* `isDeleted` entities in DIFFERENTIAL feed are removed.
+*
+* @param location - url or path to file or directory.
+* @param options - { interval: [seconds], dedupe: [bool], filter: [filter spec, see vehicleFilter] }.
+*/
+var GtfsRealtimeObserver = function(location, options) {
+
+  // Fields
+
+  this.location = location;
+  this.options = options || {};
+  this.fileIndex = 0;
+
+  // Private methods
+
+  /*
+  * Read feed from file or url.
+  * @param callback - function(error, buffer).
+  */
+  var fetch = function(callback) {
+    if (httpClient.isHttpUrl(this.location)) {
+      httpClient.get(this.location, callback);
+      return;
+    }
+
+    var parsed = url.parse(this.location);
+    var file = parsed.protocol === 'file:' ? decodeURIComponent(parsed.pathname) : this.location;
+    fs.stat(file, function(error, stats) {
+      if (error) {
+        return callback(error);
+      }
+      if (stats.isDirectory()) {
+        var files = fs.readdirSync(file).filter(function(name) {
+          return path.extname(name) === '.pb';
+        }).sort();
+        if (files.length === 0) {
+          return callback(new Error('Directory ' + file + ' does not have .pb files'));
+        }
+        file = path.join(file, files[Math.min(this.fileIndex++, files.length - 1)]);
+      }
+      fs.readFile(file, callback);
+    }.bind(this));
+  }.bind(this);
+
+  /*
+  * Fetch and decode feed.
+  * @param callback - function(error, feed), see pollingObserver.
+  */
+  var read = function(callback) {
+    fetch(function(error, buffer) {
+      var feed;
+      if (!error) {
+        try {
+          feed = decodeFeed(buffer);
+        } catch (e) {
+          error = e;
+        }
+      }
+      callback(error, feed);
+    });
+  }.bind(this);
+
+  // Public methods
+
+  this.poller = pollingObserver.createObserver(read, {
+    name: 'GTFS-realtime feed ' + this.location,
+    interval: this.options.interval || 30,
+    dedupe: this.options.dedupe,
+    filter: this.options.filter
+  });
+
+  /*
+  * Start polling.
+  * @param handler - function which is invoked for each new record.
+  * @param removedHandler - optional function(id) which is invoked when vehicle is removed from feed.
+  */
+  this.listen = this.poller.listen;
+  this.shutdown = this.poller.shutdown;
+  this.getStatus = this.poller.getStatus;
+};
+
+// Exports
+
+exports.createObserver = function(location, options) {
+  return new GtfsRealtimeObserver(location, options);
+};
+
+exports.decodeFeed = decodeFeed;
@@ -0,0 +1,82 @@
+// Sourcetype of heartbeat events.
+exports.sourcetype = 'firebase:heartbeat';
+
+/*
+* Emits periodic heartbeat event for each feed with state of its observer.
+* @param feeds - array of { source, observer, lifecycle } (see ingestion.start).
+* @param options - { interval: [seconds], stallTimeout: [seconds] }.
+* @param handler - function which is invoked for each heartbeat event.
+*/
+var Heartbeat = function(feeds, options, handler) {
+
+  // Fields
+
+  this.feeds = feeds;
+  this.options = options;
+  this.handler = handler;
+  this.lastEvents = feeds.map(function(feed) {
+    return feed.observer.getStatus().events;
+  });
+  this.lastTime = Date.now();
+  this.timer = null;
+
+  // Private methods
+
+  /*
+  * Gets connection status: `disconnected`, `stalled` (no updates for stall timeout) or `connected`.
+  */
+  var getConnectionStatus = function(status, now) {
+    if (!status.connected) {
+      return 'disconnected';
+    }
+    if (this.options.stallTimeout && (!status.lastUpdate || now - status.lastUpdate > this.options.stallTimeout * 1000)) {
+      return 'stalled';
+    }
+    return 'connected';
+  }.bind(this);
+
+  var tick = function() {
+    var now = Date.now();
+    var minutes = (now - this.lastTime) / 60000;
+
+    this.feeds.forEach(function(feed, index) {
+      var status = feed.observer.getStatus();
+      this.handler({
+        type: 'heartbeat',
+        feed: feed.source.name,
+        status: getConnectionStatus(status, now),
+        activeVehicles: status.activeVehicles,
+        trackedVehicles: status.trackedVehicles,
+        filtered: status.filtered,
+        eventsPerMinute: minutes > 0 ? Math.round((status.events - this.lastEvents[index]) / minutes) : 0,
+        secondsSinceLastUpdate: status.lastUpdate ? Math.round((now - status.lastUpdate) / 1000) : null,
+        duplicates: status.duplicates,
+        resubscribes: status.resubscribes,
+        timestamp: now / 1000
+      });
+      this.lastEvents[index] = status.events;
+    }.bind(this));
+
+    this.lastTime = now;
+  }.bind(this);
+
+  // Public methods
+
+  this.start = function() {
+    this.timer = setInterval(tick, this.options.interval * 1000);
+    return this;
+  }.bind(this);
+
+  this.stop = function() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }.bind(this);
+};
+
+// Exports
+
+exports.start = function(feeds, options, handler) {
+  return new Heartbeat(feeds, options, handler).start();
+};
@@ -0,0 +1,385 @@
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var http = require('http');
+var https = require('https');
+var files = require('./files');
+
+// Backoff limits for retries (milliseconds).
+var initialBackoff = 1000;
+var maxBackoff = 60000;
+
+// How long we wait for HEC response before request is retried (milliseconds).
+var defaultTimeout = 30000;
+
+// Spool file is read in chunks of this size (bytes), so it is never loaded to memory at once.
+var spoolChunkSize = 65536;
+
+/*
+* Copy fields of all arguments to the new object, later arguments have priority.
+*/
+var merge = function() {
+  var result = {};
+  for (var i = 0; i < arguments.length; i++) {
+    for (var field in arguments[i]) {
+      if (arguments[i].hasOwnProperty(field)) {
+        result[field] = arguments[i][field];
+      }
+    }
+  }
+  return result;
+};
+
+/*
+* Gets a value indicating whether line is complete JSON.
+*/
+var isValidJson = function(line) {
+  try {
+    JSON.parse(line);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/*
+* Gets a value indicating whether file is missing, empty or ends with new line.
+*/
+var endsWithNewLine = function(file) {
+  if (!fs.existsSync(file)) {
+    return true;
+  }
+  var size = fs.statSync(file).size;
+  if (size === 0) {
+    return true;
+  }
+  var fd = fs.openSync(file, 'r');
+  try {
+    var last = Buffer.alloc ? Buffer.alloc(1) : new Buffer(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    return last[0] === 10;
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/*
+* Splunk HTTP Event Collector output.
+*
+* Events are sent in batches of `batchSize` events or every `flushInterval` milliseconds.
+* When endpoint is unreachable (network errors, timeouts, 5xx and 429 responses) or rejects the token
+* (401 and 403 responses) output retries with exponential backoff and spools all pending events to
+* `spoolFile`, other 4xx responses drop the batch. Spooled events are sent
+* in batches before new events as soon as endpoint is available again. Position of the first
+* event which has not been acknowledged yet is kept in `[spoolFile].position`, spool file is
+* removed when all its events are acknowledged. Truncated lines left by interrupted appends are skipped.
+*
+* @param options - { url, token, index, sourcetype, source, host, batchSize, flushInterval, verify, spoolFile,
+*   timeout }.
+*/
+var HecOutput = function(options) {
+
+  // Fields
+
+  this.options = options;
+  this.endpoint = url.parse(url.resolve(options.url, '/services/collector/event'));
+  this.queue = [];
+  this.sending = false;
+  this.retries = 0;
+  this.retryTimer = null;
+  // Bytes of spool file which have been acknowledged by HEC
+  this.spoolPosition = 0;
+  this.flushTimer = setInterval(function() {
+    this.flush();
+  }.bind(this), options.flushInterval || 1000);
+  this.closeCallbacks = [];
+
+  // Private methods
+
+  /*
+  * Serialize event to HEC format, metadata overrides output options.
+  */
+  var serialize = function(e, metadata) {
+    var options = metadata ? merge(this.options, metadata) : this.options;
+    var data = { event: e };
+    if (typeof e.timestamp === 'number') data.time = e.timestamp;
+    if (options.host) data.host = options.host;
+    if (options.source) data.source = options.source;
+    if (options.sourcetype) data.sourcetype = options.sourcetype;
+    if (options.index) data.index = options.index;
+    return JSON.stringify(data);
+  }.bind(this);
+
+  /*
+  * Append serialized events to spool file.
+  */
+  var spool = function(lines) {
+    if (lines.length > 0) {
+      files.makeDirectory(path.dirname(this.options.spoolFile));
+      // Do not glue the first line to truncated line left by interrupted append
+      var separator = endsWithNewLine(this.options.spoolFile) ? '' : '\n';
+      fs.appendFileSync(this.options.spoolFile, separator + lines.join('\n') + '\n');
+    }
+  }.bind(this);
+
+  /*
+  * Read up to `count` events from spool file starting at acknowledged position.
+  * Truncated lines are skipped, their bytes are still counted in `length`.
+  * @return - { lines: [serialized events], length: [bytes they take in spool file] }.
+  */
+  var readSpool = function(count) {
+    var batch = { lines: [], length: 0 };
+    if (!fs.existsSync(this.options.spoolFile)) {
+      return batch;
+    }
+
+    var fd = fs.openSync(this.options.spoolFile, 'r');
+    try {
+      var chunk = Buffer.alloc ? Buffer.alloc(spoolChunkSize) : new Buffer(spoolChunkSize);
+      var pending = chunk.slice(0, 0);
+      var position = this.spoolPosition;
+      while (batch.lines.length < count) {
+        var read = fs.readSync(fd, chunk, 0, chunk.length, position);
+        if (read === 0) {
+          // Last line without new line is left by interrupted append, HEC would reject batch with it
+          if (pending.length > 0) {
+            console.error('Skipping truncated line at the end of ' + this.options.spoolFile);
+            batch.length += pending.length;
+          }
+          break;
+        }
+        position += read;
+
+        // New line byte is never part of multibyte UTF-8 character, so data can be split on it
+        var data = Buffer.concat([pending, chunk.slice(0, read)]);
+        var start = 0;
+        for (var i = 0; i < data.length && batch.lines.length < count; i++) {
+          if (data[i] === 10) {
+            if (i > start) {
+              var line = data.toString('utf8', start, i);
+              if (isValidJson(line)) {
+                batch.lines.push(line);
+              } else {
+                // Truncated line which has been terminated by the next append
+                console.error('Skipping truncated line in ' + this.options.spoolFile);
+              }
+            }
+            batch.length += i + 1 - start;
+            start = i + 1;
+          }
+        }
+        pending = data.slice(start);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    return batch;
+  }.bind(this);
+
+  /*
+  * Move acknowledged position of spool file, remove spool file when everything is acknowledged.
+  * @param length - bytes which have been acknowledged.
+  */
+  var acknowledgeSpool = function(length) {
+    if (length === 0) {
+      return;
+    }
+
+    var positionFile = this.options.spoolFile + '.position';
+    this.spoolPosition += length;
+    if (this.spoolPosition >= fs.statSync(this.options.spoolFile).size) {
+      fs.unlinkSync(this.options.spoolFile);
+      if (fs.existsSync(positionFile)) {
+        fs.unlinkSync(positionFile);
+      }
+      this.spoolPosition = 0;
+    } else {
+      fs.writeFileSync(positionFile, String(this.spoolPosition));
+    }
+  }.bind(this);
+
+  /*
+  * Read acknowledged position of spool file left by previous run.
+  */
+  var loadSpoolPosition = function() {
+    var positionFile = this.options.spoolFile + '.position';
+    if (fs.existsSync(this.options.spoolFile) && fs.existsSync(positionFile)) {
+      this.spoolPosition = parseInt(fs.readFileSync(positionFile, 'utf8'), 10) || 0;
+    }
+  }.bind(this);
+
+  /*
+  * Post batch of serialized events to HEC.
+  * @param callback - function(error, retryable), invoked once.
+  */
+  var send = function(lines, callback) {
+    var body = lines.join('\n');
+    var transport = this.endpoint.protocol === 'https:' ? https : http;
+    var timeout = this.options.timeout || defaultTimeout;
+    var finished = false;
+
+    var finish = function(error, retryable) {
+      if (!finished) {
+        finished = true;
+        callback(error, retryable);
+      }
+    };
+
+    var request = transport.request({
+      method: 'POST',
+      hostname: this.endpoint.hostname,
+      port: this.endpoint.port,
+      path: this.endpoint.path,
+      rejectUnauthorized: this.options.verify !== false,
+      headers: {
+        'Authorization': 'Splunk ' + this.options.token,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }
+    }, function(response) {
+      var responseBody = '';
+      response.setEncoding('utf8');
+      response.on('data', function(chunk) {
+        responseBody += chunk;
+      });
+      response.on('end', function() {
+        var status = response.statusCode;
+        if (status >= 200 && status < 300) {
+          finish(null);
+        } else {
+          // Token can be fixed or re-enabled without restart, so keep events until it is
+          var retryable = status >= 500 || status === 429 || status === 401 || status === 403;
+          finish(new Error('HEC responded with ' + status + ': ' + responseBody), retryable);
+        }
+      });
+    });
+
+    request.on('error', function(error) {
+      finish(error, true);
+    });
+    request.setTimeout(timeout, function() {
+      finish(new Error('Request timed out after ' + timeout + 'ms'), true);
+      request.abort();
+    });
+    request.end(body);
+  }.bind(this);
+
+  /*
+  * Invoke close callbacks when everything is sent.
+  */
+  var notifyClosed = function() {
+    var callbacks = this.closeCallbacks;
+    this.closeCallbacks = [];
+    callbacks.forEach(function(callback) {
+      callback();
+    });
+  }.bind(this);
+
+  /*
+  * Send failed, put everything to spool and schedule retry.
+  * @param lines - failed batch, empty when batch has been read from spool.
+  */
+  var fail = function(error, lines) {
+    spool(lines.concat(this.queue));
+    this.queue = [];
+    this.retries++;
+
+    var backoff = Math.min(maxBackoff, initialBackoff * Math.pow(2, this.retries - 1));
+    console.error('Could not send events to HEC (' + error.message + '), retry in ' + backoff + 'ms');
+
+    if (this.closeCallbacks.length > 0) {
+      notifyClosed();
+    } else {
+      this.retryTimer = setTimeout(function() {
+        this.retryTimer = null;
+        this.flush();
+      }.bind(this), backoff);
+    }
+  }.bind(this);
+
+  // Public methods
+
+  /*
+  * Add event to the queue.
+  * @param metadata - optional { host, source, sourcetype, index } for this event.
+  */
+  this.write = function(e, metadata) {
+    this.queue.push(serialize(e, metadata));
+    if (this.queue.length >= (this.options.batchSize || 100)) {
+      if (this.retries > 0) {
+        // Endpoint is unreachable, keep events on disk instead of memory
+        spool(this.queue);
+        this.queue = [];
+      } else {
+        this.flush();
+      }
+    }
+  }.bind(this);
+
+  /*
+  * Send next batch of events.
+  */
+  this.flush = function() {
+    if (this.sending || this.retryTimer) {
+      return;
+    }
+
+    // Spooled events are older than queued ones, so they go first
+    var batchSize = this.options.batchSize || 100;
+    var spooled = readSpool(batchSize);
+    if (spooled.lines.length === 0 && spooled.length > 0) {
+      // Only truncated line has been left in spool
+      acknowledgeSpool(spooled.length);
+      spooled.length = 0;
+    }
+    var lines = spooled.lines.length > 0 ? spooled.lines : this.queue.splice(0, batchSize);
+    if (lines.length === 0) {
+      notifyClosed();
+      return;
+    }
+
+    this.sending = true;
+    send(lines, function(error, retryable) {
+      this.sending = false;
+      if (!error) {
+        this.retries = 0;
+        acknowledgeSpool(spooled.length);
+        if (spooled.length > 0 || this.queue.length >= batchSize || this.closeCallbacks.length > 0) {
+          this.flush();
+        }
+      } else if (retryable) {
+        fail(error, spooled.length > 0 ? [] : lines);
+      } else {
+        console.error('Events have been dropped, ' + error.message);
+        acknowledgeSpool(spooled.length);
+        this.flush();
+      }
+    }.bind(this));
+  }.bind(this);
+
+  /*
+  * Stop periodic flush and send all pending events.
+  * When endpoint is unreachable pending events stay in spool file.
+  */
+  this.close = function(callback) {
+    clearInterval(this.flushTimer);
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+      spool(this.queue);
+      this.queue = [];
+      if (callback) callback();
+      return;
+    }
+    this.closeCallbacks.push(callback || function() {});
+    this.flush();
+  }.bind(this);
+
+  loadSpoolPosition();
+};
+
+// Exports
+
+exports.createOutput = function(options) {
+  return new HecOutput(options);
+};
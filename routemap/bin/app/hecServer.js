@@ -0,0 +1,107 @@
+var http = require('http');
+var configuration = require('./configuration');
+
+/*
+* Mock of Splunk HTTP Event Collector for development and tests.
+*
+* Server accepts POST requests to /services/collector/event with events separated
+* by new lines (the same way hecOutput sends them) and keeps them in `events` array.
+* Set `failures` to a number of requests which should be rejected with 503 to
+* simulate unavailable endpoint.
+*/
+var HecServer = function(token) {
+
+  // Fields
+
+  this.token = token;
+  this.events = [];
+  this.failures = 0;
+  this.handler = null;
+
+  // Private methods
+
+  var respond = function(response, status, code, text) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ text: text, code: code }));
+  };
+
+  var requestHandler = function(request, response) {
+    if (request.method !== 'POST' || request.url.indexOf('/services/collector') !== 0) {
+      return respond(response, 404, 404, 'Not found');
+    }
+
+    if (request.headers.authorization !== 'Splunk ' + this.token) {
+      return respond(response, 403, 4, 'Invalid token');
+    }
+
+    var body = '';
+    request.setEncoding('utf8');
+    request.on('data', function(chunk) {
+      body += chunk;
+    });
+    request.on('end', function() {
+      if (this.failures > 0) {
+        this.failures--;
+        return respond(response, 503, 9, 'Server is busy');
+      }
+
+      var events;
+      try {
+        events = body.split('\n').filter(function(line) {
+          return line.length > 0;
+        }).map(function(line) {
+          return JSON.parse(line);
+        });
+      } catch (e) {
+        return respond(response, 400, 6, 'Invalid data format');
+      }
+
+      events.forEach(function(e) {
+        this.events.push(e);
+        if (this.handler) {
+          this.handler(e);
+        }
+      }.bind(this));
+      respond(response, 200, 0, 'Success');
+    }.bind(this));
+  }.bind(this);
+
+  this.httpServer = http.createServer(requestHandler);
+
+  // Public methods
+
+  /*
+  * Start listening on port.
+  */
+  this.listen = function(port, callback) {
+    this.httpServer.listen(port, callback);
+    return this;
+  }.bind(this);
+
+  this.close = function(callback) {
+    this.httpServer.close(callback);
+  }.bind(this);
+};
+
+// Exports
+
+exports.createServer = function(token) {
+  return new HecServer(token);
+};
+
+/*
+* Run server from command line, all received events are written to stdout:
+*   node hecServer.js [--port 8088] [--token 00000000-0000-0000-0000-000000000000] [--failures 0]
+*/
+if (require.main === module) {
+  var args = configuration.parseArguments(process.argv.slice(2));
+  var port = parseInt(args.port || '8088', 10);
+  var server = exports.createServer(args.token || '00000000-0000-0000-0000-000000000000');
+  server.failures = parseInt(args.failures || '0', 10);
+  server.handler = function(e) {
+    console.log(JSON.stringify(e));
+  };
+  server.listen(port, function() {
+    console.error('HEC server is listening on http://localhost:' + port);
+  });
+}
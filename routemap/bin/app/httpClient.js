@@ -0,0 +1,52 @@
+var url = require('url');
+var http = require('http');
+var https = require('https');
+
+// How long we wait for response (milliseconds).
+var defaultTimeout = 30000;
+
+/*
+* Gets a value indicating whether location is http(s) url.
+*/
+exports.isHttpUrl = function(location) {
+  var protocol = url.parse(location).protocol;
+  return protocol === 'http:' || protocol === 'https:';
+};
+
+/*
+* Download content by http(s) url.
+* @param location - url.
+* @param callback - function(error, buffer), responses other than 200 are errors.
+* @param timeout - optional, milliseconds before request is aborted with error (30 seconds by default).
+*/
+exports.get = function(location, callback, timeout) {
+  var transport = url.parse(location).protocol === 'https:' ? https : http;
+  var finished = false;
+
+  var finish = function(error, buffer) {
+    if (!finished) {
+      finished = true;
+      clearTimeout(timer);
+      callback(error, buffer);
+    }
+  };
+
+  var request = transport.get(location, function(response) {
+    var chunks = [];
+    response.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+    response.on('end', function() {
+      if (response.statusCode !== 200) {
+        finish(new Error('Server responded with ' + response.statusCode));
+      } else {
+        finish(null, Buffer.concat(chunks));
+      }
+    });
+  }).on('error', finish);
+
+  var timer = setTimeout(function() {
+    finish(new Error('Request timed out after ' + (timeout || defaultTimeout) + 'ms'));
+    request.abort();
+  }, timeout || defaultTimeout);
+};
@@ -0,0 +1,147 @@
+var firebaseCollection = require('./firebaseCollection');
+var firebaseRest = require('./firebaseRest');
+var gtfsRealtime = require('./gtfsRealtime');
+var nextBus = require('./nextBus');
+var lifecycle = require('./lifecycle');
+var kinematics = require('./kinematics');
+var geofences = require('./geofences');
+
+/*
+* Create handler which tags every event with the name of the source, adds derived kinematics,
+* updates lifecycle of its vehicle and evaluates geofences. Arrays of records (delivered by
+* observers in batch mode) are handled record by record.
+* @param stages - { enricher, lifecycle, geofences }, all stages are optional.
+*/
+var createSourceHandler = function(source, handler, stages) {
+  var handleRecord = function(e) {
+    e.feed = source.name;
+    if (stages.enricher) {
+      stages.enricher.enrich(e);
+    }
+    if (stages.lifecycle) {
+      stages.lifecycle.update(e);
+    }
+    if (stages.geofences) {
+      stages.geofences.update(e);
+    }
+    handler(e);
+  };
+
+  return function(e) {
+    if (Array.isArray(e)) {
+      e.forEach(handleRecord);
+    } else {
+      handleRecord(e);
+    }
+  };
+};
+
+/*
+* Build filter spec (see vehicleFilter) from source configuration.
+*/
+var createFilterSpec = function(source) {
+  return {
+    routes: source.routes,
+    excludeRoutes: source.excludeRoutes,
+    bbox: source.bbox,
+    polygon: source.polygon
+  };
+};
+
+/*
+* Create observer for source depending on its type.
+*/
+var createObserver = function(source) {
+  if (source.type === 'gtfs-rt') {
+    return gtfsRealtime.createObserver(source.url, {
+      interval: source.interval,
+      dedupe: source.dedupe,
+      filter: createFilterSpec(source)
+    });
+  }
+
+  if (source.type === 'nextbus') {
+    return nextBus.createObserver(source.url, {
+      agency: source.agency,
+      route: source.route,
+      interval: source.interval,
+      dedupe: source.dedupe,
+      filter: createFilterSpec(source)
+    });
+  }
+
+  if (source.mode === 'polling') {
+    return firebaseRest.createObserver(source.url, source.child, {
+      interval: source.interval,
+      dedupe: source.dedupe,
+      filter: createFilterSpec(source)
+    });
+  }
+
+  return firebaseCollection.createObserver(source.url, source.child, {
+    dedupe: source.dedupe,
+    stallTimeout: source.stallTimeout,
+    filter: createFilterSpec(source),
+    batch: source.batch
+  });
+};
+
+/*
+* Create handler which is invoked when vehicle is removed from feed.
+*/
+var createRemovedHandler = function(stages) {
+  return function(id) {
+    if (stages.enricher) {
+      stages.enricher.forget(id);
+    }
+    if (stages.lifecycle) {
+      stages.lifecycle.remove(id);
+    }
+    if (stages.geofences) {
+      stages.geofences.forget(id);
+    }
+  };
+};
+
+/*
+* Start observer for each enabled source from configuration.
+* @param config - application configuration (see configuration.load).
+* @param handler - function which is invoked for each event.
+* @param handlers - optional { lifecycle, geofence } functions which are invoked for derived events
+*   (see lifecycle.js and geofences.js), derived events are not emitted without handlers.
+* @return - array of { source, observer, lifecycle } for started observers.
+*/
+exports.start = function(config, handler, handlers) {
+  handlers = handlers || {};
+  var fences = config.geofences && handlers.geofence ? geofences.load(config.geofences) : null;
+
+  return config.sources
+    .filter(function(source) {
+      return source.enabled;
+    })
+    .map(function(source) {
+      var observer = createObserver(source);
+      var stages = {
+        enricher: config.kinematics.enabled ? kinematics.createEnricher(config.kinematics) : null,
+        lifecycle: config.lifecycle.enabled && handlers.lifecycle ?
+          lifecycle.createTracker(source.name, config.lifecycle, handlers.lifecycle) : null,
+        geofences: fences ? geofences.createEvaluator(source.name, fences, handlers.geofence) : null
+      };
+      observer.listen(createSourceHandler(source, handler, stages), createRemovedHandler(stages));
+      return { source: source, observer: observer, lifecycle: stages.lifecycle };
+    });
+};
+
+/*
+* Shutdown observers and lifecycle trackers, close connection to Firebase.
+* @param feeds - result of start.
+*/
+exports.stop = function(feeds) {
+  feeds.forEach(function(feed) {
+    feed.observer.shutdown();
+    if (feed.lifecycle) {
+      feed.lifecycle.stop();
+    }
+  });
+  firebaseCollection.disconnect();
+};
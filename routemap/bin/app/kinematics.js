@@ -0,0 +1,102 @@
+var geo = require('./geo');
+
+// Smaller moves (meters) are GPS noise, they do not change heading and are never impossible jumps.
+var minMoveDistance = 5;
+
+// Fix time is accurate to a second (secsSinceReport is rounded), so speed is not derived
+// and jumps are not checked for fixes which are closer in time than this number of seconds.
+var minFixInterval = 2;
+
+var round = function(value, digits) {
+  var multiplier = Math.pow(10, digits);
+  return Math.round(value * multiplier) / multiplier;
+};
+
+/*
+* Enriches vehicle records of one feed with derived kinematics:
+*   fixTime - time of the position fix, `timestamp - secsSinceReport` (seconds),
+*   distanceSinceLastFix - distance from the previous fix of the same vehicle (meters),
+*   speedKmHr, heading - derived from the previous fix when record does not have them (speed only for fixes
+*     at least `minFixInterval` seconds apart),
+*     `speedDerived` and `headingDerived` are set to true in this case,
+*   impossibleJump - true when vehicle would have to move faster than `maxSpeedKmHr` from the previous fix,
+*     such fix does not replace the previous one and speed and heading are not derived from it.
+*
+* @param options - { maxSpeedKmHr: [km/h] }.
+*/
+var Enricher = function(options) {
+
+  // Fields
+
+  this.options = options || {};
+  this.lastFixes = {};
+
+  // Private methods
+
+  var isNumber = function(value) {
+    return typeof value === 'number' && !isNaN(value);
+  };
+
+  // Public methods
+
+  /*
+  * Add derived fields to record.
+  */
+  this.enrich = function(e) {
+    var lat = parseFloat(e.lat);
+    var lon = parseFloat(e.lon);
+    if (isNaN(lat) || isNaN(lon)) {
+      return e;
+    }
+
+    var fixTime = null;
+    if (isNumber(e.timestamp)) {
+      fixTime = round(e.timestamp - (isNumber(e.secsSinceReport) ? e.secsSinceReport : 0), 3);
+      e.fixTime = fixTime;
+    }
+
+    if (e.id === undefined) {
+      return e;
+    }
+
+    var last = this.lastFixes[e.id];
+    if (last) {
+      var distance = geo.distance(last.lat, last.lon, lat, lon);
+      var elapsed = (fixTime !== null && last.fixTime !== null) ? fixTime - last.fixTime : null;
+      var timed = elapsed !== null && elapsed >= minFixInterval;
+      var maxSpeed = this.options.maxSpeedKmHr || 160;
+
+      e.distanceSinceLastFix = round(distance, 1);
+      e.impossibleJump = timed && distance > minMoveDistance && distance / elapsed * 3.6 > maxSpeed;
+      if (e.impossibleJump) {
+        // Keep the last good fix, so the next records are compared with it
+        return e;
+      }
+
+      if (!isNumber(e.speedKmHr) && timed) {
+        e.speedKmHr = round(distance / elapsed * 3.6, 1);
+        e.speedDerived = true;
+      }
+      if (!isNumber(e.heading) && distance >= minMoveDistance) {
+        e.heading = Math.round(geo.bearing(last.lat, last.lon, lat, lon)) % 360;
+        e.headingDerived = true;
+      }
+    }
+
+    this.lastFixes[e.id] = { lat: lat, lon: lon, fixTime: fixTime };
+    return e;
+  }.bind(this);
+
+  /*
+  * Vehicle has been removed from feed.
+  */
+  this.forget = function(id) {
+    delete this.lastFixes[id];
+  }.bind(this);
+};
+
+// Exports
+
+exports.createEnricher = function(options) {
+  return new Enricher(options);
+};
@@ -0,0 +1,120 @@
+// Sourcetype of lifecycle events.
+exports.sourcetype = 'firebase:lifecycle';
+
+/*
+* Tracks vehicles of one feed and emits lifecycle events:
+*   appeared - first record of vehicle (or first record after it has been removed),
+*   stale - vehicle did not send records during `staleTimeout` seconds,
+*   resumed - stale vehicle sent record again,
+*   removed - vehicle has been removed from feed.
+*
+* Event has vehicle id, route and last known position. Event time is the time of the last record
+* plus time passed since it has been received, so replayed data keeps its own clock.
+*
+* @param feed - name of the feed.
+* @param options - { staleTimeout: [seconds] }.
+* @param handler - function which is invoked for each lifecycle event.
+*/
+var LifecycleTracker = function(feed, options, handler) {
+
+  // Fields
+
+  this.feed = feed;
+  this.options = options;
+  this.handler = handler;
+  this.vehicles = {};
+  this.timer = null;
+
+  // Private methods
+
+  var emit = function(state, vehicle, now) {
+    var record = vehicle.record;
+    var reported = typeof record.timestamp === 'number' ? record.timestamp : vehicle.receivedAt / 1000;
+    var e = {
+      type: 'lifecycle',
+      state: state,
+      feed: this.feed,
+      id: record.id,
+      routeTag: record.routeTag,
+      lat: record.lat,
+      lon: record.lon,
+      lastTimestamp: reported,
+      timestamp: Math.round(reported * 1000 + now - vehicle.receivedAt) / 1000
+    };
+    if (record.heading !== undefined) e.heading = record.heading;
+    this.handler(e);
+  }.bind(this);
+
+  /*
+  * Find vehicles which did not send records during stale timeout.
+  */
+  var checkStale = function() {
+    var now = Date.now();
+    for (var id in this.vehicles) {
+      if (this.vehicles.hasOwnProperty(id)) {
+        var vehicle = this.vehicles[id];
+        if (!vehicle.stale && now - vehicle.receivedAt > this.options.staleTimeout * 1000) {
+          vehicle.stale = true;
+          emit('stale', vehicle, now);
+        }
+      }
+    }
+  }.bind(this);
+
+  // Public methods
+
+  this.start = function() {
+    if (this.options.staleTimeout) {
+      this.timer = setInterval(checkStale, Math.min(this.options.staleTimeout * 1000 / 2, 10000));
+    }
+    return this;
+  }.bind(this);
+
+  this.stop = function() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }.bind(this);
+
+  /*
+  * Vehicle sent record.
+  */
+  this.update = function(record) {
+    if (record.id === undefined) {
+      return;
+    }
+
+    var now = Date.now();
+    var vehicle = this.vehicles[record.id];
+    if (!vehicle) {
+      vehicle = this.vehicles[record.id] = { record: record, receivedAt: now, stale: false };
+      emit('appeared', vehicle, now);
+      return;
+    }
+
+    vehicle.record = record;
+    vehicle.receivedAt = now;
+    if (vehicle.stale) {
+      vehicle.stale = false;
+      emit('resumed', vehicle, now);
+    }
+  }.bind(this);
+
+  /*
+  * Vehicle has been removed from feed.
+  */
+  this.remove = function(id) {
+    var vehicle = this.vehicles[id];
+    if (vehicle) {
+      delete this.vehicles[id];
+      emit('removed', vehicle, Date.now());
+    }
+  }.bind(this);
+};
+
+// Exports
+
+exports.createTracker = function(feed, options, handler) {
+  return new LifecycleTracker(feed, options, handler).start();
+};
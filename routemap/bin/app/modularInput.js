@@ -0,0 +1,217 @@
+var xml = require('./xml');
+var configuration = require('./configuration');
+var app = require('./app');
+
+// Name of modular input scheme, stanzas in inputs.conf are `[routemap://name]`.
+var schemeName = 'routemap';
+
+// Arguments of modular input stanza.
+var schemeArguments = [
+  {
+    name: 'feed_type',
+    title: 'Feed type',
+    description: 'firebase (default), gtfs-rt or nextbus.'
+  },
+  {
+    name: 'url',
+    title: 'URL',
+    description: 'Firebase URL, GTFS-realtime VehiclePositions feed URL or NextBus publicXMLFeed URL.'
+  },
+  {
+    name: 'child',
+    title: 'Child path',
+    description: 'Path of vehicles collection in Firebase, for example sf-muni/vehicles.'
+  },
+  {
+    name: 'mode',
+    title: 'Mode',
+    description: 'streaming (default for Firebase) keeps realtime connection, polling requests the whole collection every poll interval.'
+  },
+  {
+    name: 'agency',
+    title: 'Agency',
+    description: 'NextBus agency tag, for example sf-muni.'
+  },
+  {
+    name: 'routes',
+    title: 'Routes',
+    description: 'Comma separated list of route tags, vehicles of other routes are not ingested.'
+  },
+  {
+    name: 'exclude_routes',
+    title: 'Excluded routes',
+    description: 'Comma separated list of route tags, vehicles of these routes are not ingested.'
+  },
+  {
+    name: 'bbox',
+    title: 'Bounding box',
+    description: 'minLon,minLat,maxLon,maxLat, vehicles outside of this box are not ingested.'
+  },
+  {
+    name: 'polygon',
+    title: 'Polygon',
+    description: 'JSON array of [lon, lat] points, vehicles outside of this polygon are not ingested.'
+  },
+  {
+    name: 'poll_interval',
+    title: 'Poll interval',
+    description: 'How often to poll the feed in seconds (default 30, 15 for NextBus).',
+    dataType: 'number'
+  },
+  {
+    name: 'dedupe',
+    title: 'Drop duplicates',
+    description: 'Drop vehicle records which did not change (default true).',
+    dataType: 'boolean'
+  }
+];
+
+/*
+* Build XML introspection scheme, which Splunk requests with `--scheme` argument.
+*/
+var scheme = function() {
+  var args = schemeArguments.map(function(arg) {
+    return '      <arg name="' + arg.name + '">\n' +
+      '        <title>' + xml.escape(arg.title) + '</title>\n' +
+      '        <description>' + xml.escape(arg.description) + '</description>\n' +
+      '        <data_type>' + (arg.dataType || 'string') + '</data_type>\n' +
+      '        <required_on_create>false</required_on_create>\n' +
+      '        <required_on_edit>false</required_on_edit>\n' +
+      '      </arg>\n';
+  });
+
+  return '<scheme>\n' +
+    '  <title>Route Map vehicles</title>\n' +
+    '  <description>Vehicle locations from Firebase, GTFS-realtime or NextBus feeds.</description>\n' +
+    '  <use_external_validation>true</use_external_validation>\n' +
+    '  <use_single_instance>false</use_single_instance>\n' +
+    '  <streaming_mode>simple</streaming_mode>\n' +
+    '  <endpoint>\n' +
+    '    <args>\n' +
+    args.join('') +
+    '    </args>\n' +
+    '  </endpoint>\n' +
+    '</scheme>';
+};
+
+/*
+* Read values of <param> elements.
+*/
+var parseParams = function(content) {
+  var params = {};
+  xml.elements(content, 'param').forEach(function(param) {
+    params[param.attributes.name] = xml.decodeEntities(param.content.trim());
+  });
+  return params;
+};
+
+/*
+* Splunk sends booleans as 0/1 or true/false.
+*/
+var parseBoolean = function(value, defaultValue) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return ['1', 'true', 't', 'yes', 'y'].indexOf(String(value).toLowerCase()) !== -1;
+};
+
+/*
+* Convert stanza parameters to the source in the same format as sources in configuration file.
+*/
+var toSource = function(name, params) {
+  return {
+    type: params.feed_type || undefined,
+    name: name.replace(schemeName + '://', ''),
+    url: params.url,
+    child: params.child,
+    agency: params.agency,
+    mode: params.mode || undefined,
+    routes: params.routes,
+    excludeRoutes: params.exclude_routes,
+    bbox: params.bbox,
+    polygon: params.polygon,
+    interval: params.poll_interval,
+    dedupe: parseBoolean(params.dedupe, true)
+  };
+};
+
+/*
+* Parse input configuration, which Splunk writes to stdin when it starts modular input.
+* @return - application configuration (see configuration.create), source for each stanza.
+* Checkpoints are kept in the directory which Splunk provides for this modular input.
+*/
+var parseConfiguration = function(input) {
+  var sources = xml.elements(input, 'stanza').map(function(stanza) {
+    return toSource(stanza.attributes.name, parseParams(stanza.content));
+  });
+  return configuration.create({
+    sources: sources,
+    stateDirectory: xml.text(input, 'checkpoint_dir') || undefined
+  });
+};
+
+/*
+* Validate stanza parameters, which Splunk writes to stdin with `--validate-arguments` argument.
+* @return - error message or null when parameters are valid.
+*/
+var validate = function(input) {
+  var sources = xml.elements(input, 'item').map(function(item) {
+    return toSource(item.attributes.name, parseParams(item.content));
+  });
+  try {
+    configuration.create({ sources: sources });
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+};
+
+/*
+* Read everything from stdin.
+*/
+var readInput = function(callback) {
+  var chunks = [];
+  process.stdin.on('data', function(chunk) {
+    chunks.push(chunk);
+  });
+  process.stdin.on('end', function() {
+    callback(Buffer.concat(chunks).toString('utf8'));
+  });
+};
+
+// Exports
+
+exports.scheme = scheme;
+exports.parseConfiguration = parseConfiguration;
+exports.validate = validate;
+
+/*
+* Splunk modular input (see bin/routemap.sh):
+*   node modularInput.js --scheme - print introspection scheme.
+*   node modularInput.js --validate-arguments < items.xml - validate stanza parameters.
+*   node modularInput.js < input.xml - start observer for each stanza and write events to stdout.
+*/
+if (require.main === module) {
+  var args = configuration.parseArguments(process.argv.slice(2));
+
+  if (args.scheme) {
+    console.log(scheme());
+  } else if (args['validate-arguments']) {
+    readInput(function(input) {
+      var error = validate(input);
+      if (error) {
+        console.log('<error><message>' + xml.escape(error) + '</message></error>');
+        process.exit(1);
+      }
+    });
+  } else {
+    readInput(function(input) {
+      try {
+        app.stopOnSignals(app.run(parseConfiguration(input)));
+      } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+      }
+    });
+  }
+}
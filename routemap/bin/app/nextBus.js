@@ -0,0 +1,142 @@
+var url = require('url');
+var httpClient = require('./httpClient');
+var pollingObserver = require('./pollingObserver');
+var xml = require('./xml');
+
+// Public NextBus XML feed.
+exports.defaultUrl = 'http://webservices.nextbus.com/service/publicXMLFeed';
+
+// Attributes of <vehicle> element which have numeric values.
+var numericAttributes = ['heading', 'lat', 'lon', 'secsSinceReport', 'speedKmHr'];
+
+// How long we count vehicle as active after its last report (seconds).
+var activeTimeout = 300;
+
+/*
+* Parse response of `vehicleLocations` command.
+* @return - { vehicles: [attributes of each vehicle], lastTime: [ms], error: [error message] }.
+*/
+var parseVehicleLocations = function(body) {
+  var lastTime = xml.elements(body, 'lastTime')[0];
+
+  return {
+    vehicles: xml.elements(body, 'vehicle').map(function(element) {
+      return element.attributes;
+    }),
+    lastTime: lastTime ? parseFloat(lastTime.attributes.time) : null,
+    error: xml.text(body, 'Error')
+  };
+};
+
+/*
+* Convert <vehicle> attributes to the record in the same format as sf-muni Firebase records.
+* NextBus does not send report time, so we calculate it from response time `lastTime`.
+*/
+var toVehicleRecord = function(attributes, lastTime) {
+  var record = {};
+  for (var name in attributes) {
+    if (attributes.hasOwnProperty(name)) {
+      var value = attributes[name];
+      if (numericAttributes.indexOf(name) !== -1) {
+        record[name] = parseFloat(value);
+      } else if (value === 'true' || value === 'false') {
+        record[name] = (value === 'true');
+      } else {
+        record[name] = value;
+      }
+    }
+  }
+  if (lastTime) {
+    record.timestamp = lastTime / 1000;
+  }
+  return record;
+};
+
+/*
+* NextBus `vehicleLocations` observer.
+*
+* Polls feed, next poll starts `interval` seconds after the previous one is finished,
+* each request asks only for vehicles reported after `lastTime` of the previous response.
+*
+* @param location - url of publicXMLFeed.
+* @param options - { agency: [agency tag], route: [optional route tag], interval: [seconds], dedupe: [bool],
+*   filter: [filter spec, see vehicleFilter] }.
+*/
+var NextBusObserver = function(location, options) {
+
+  // Fields
+
+  this.location = location || exports.defaultUrl;
+  this.options = options || {};
+  this.lastTime = 0;
+
+  // Private methods
+
+  /*
+  * Build url of `vehicleLocations` command.
+  */
+  var requestUrl = function() {
+    var parsed = url.parse(this.location, true);
+    delete parsed.search;
+    parsed.query.command = 'vehicleLocations';
+    parsed.query.a = this.options.agency;
+    parsed.query.t = String(this.lastTime);
+    if (this.options.route) {
+      parsed.query.r = this.options.route;
+    }
+    return url.format(parsed);
+  }.bind(this);
+
+  /*
+  * Fetch vehicles which have been reported since last request.
+  * @param callback - function(error, feed), see pollingObserver.
+  */
+  var read = function(callback) {
+    httpClient.get(requestUrl(), function(error, buffer) {
+      if (error) {
+        return callback(error);
+      }
+
+      var response = parseVehicleLocations(buffer.toString('utf8'));
+      if (response.error) {
+        return callback(new Error(response.error));
+      }
+      if (response.lastTime) {
+        this.lastTime = response.lastTime;
+      }
+      callback(null, {
+        records: response.vehicles.map(function(attributes) {
+          return toVehicleRecord(attributes, response.lastTime);
+        }),
+        fullDataset: false
+      });
+    }.bind(this));
+  }.bind(this);
+
+  // Public methods
+
+  this.poller = pollingObserver.createObserver(read, {
+    name: 'NextBus feed ' + this.location,
+    interval: this.options.interval || 15,
+    activeTimeout: activeTimeout,
+    dedupe: this.options.dedupe,
+    filter: this.options.filter
+  });
+
+  /*
+  * Start polling.
+  * @param handler - function which is invoked for each new record.
+  * @param removedHandler - optional function(id) which is invoked when vehicle is removed from feed.
+  */
+  this.listen = this.poller.listen;
+  this.shutdown = this.poller.shutdown;
+  this.getStatus = this.poller.getStatus;
+};
+
+// Exports
+
+exports.createObserver = function(location, options) {
+  return new NextBusObserver(location, options);
+};
+
+exports.parseVehicleLocations = parseVehicleLocations;
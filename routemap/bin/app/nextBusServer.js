@@ -0,0 +1,131 @@
+var fs = require('fs');
+var url = require('url');
+var http = require('http');
+var configuration = require('./configuration');
+var sampleData = require('./sampleData');
+var xml = require('./xml');
+
+/*
+* Build response of `vehicleLocations` command.
+* @param rows - rows of sample data (see sampleData.readCsv).
+* @param lastTime - response time in ms.
+*/
+var vehicleLocationsXml = function(rows, lastTime) {
+  var body = '<?xml version="1.0" encoding="utf-8" ?>\n<body copyright="All data copyright agencies listed below and NextBus Inc 2014.">\n';
+  rows.forEach(function(row) {
+    body += '<vehicle';
+    ['id', 'routeTag', 'dirTag', 'lat', 'lon', 'secsSinceReport', 'predictable', 'heading', 'speedKmHr'].forEach(function(name) {
+      if (row[name] !== undefined && row[name] !== null && row[name] !== '') {
+        body += ' ' + name + '="' + xml.escape(row[name]) + '"';
+      }
+    });
+    body += '/>\n';
+  });
+  body += '<lastTime time="' + Math.round(lastTime) + '"/>\n</body>\n';
+  return body;
+};
+
+/*
+* Local server which implements `vehicleLocations` command of NextBus publicXMLFeed.
+*
+* Server replays sample data on clock: response has the latest row of each vehicle
+* reported after time `t` (ms) and not later than current replay time.
+* When `fixture` is set server responds with content of this file to every request.
+*
+* @param options - { rows: [sample data rows], speed: [playback speed], fixture: [xml file] }.
+*/
+var NextBusServer = function(options) {
+
+  // Fields
+
+  this.options = options;
+  this.rows = (options.rows || []).slice().sort(function(a, b) {
+    return a.ts - b.ts;
+  });
+  this.startedAt = Date.now();
+
+  // Private methods
+
+  /*
+  * Gets current replay time in seconds.
+  */
+  var currentTime = function() {
+    if (this.rows.length === 0) {
+      return Date.now() / 1000;
+    }
+    return this.rows[0].ts + (Date.now() - this.startedAt) / 1000 * (this.options.speed || 1);
+  }.bind(this);
+
+  var respond = function(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'text/xml; charset=utf-8' });
+    response.end(body);
+  };
+
+  var requestHandler = function(request, response) {
+    var query = url.parse(request.url, true).query;
+
+    if (query.command !== 'vehicleLocations' || !query.a) {
+      return respond(response, 200, '<?xml version="1.0" encoding="utf-8" ?>\n<body>\n' +
+        '<Error shouldRetry="false">Only vehicleLocations command with agency is supported</Error>\n</body>\n');
+    }
+
+    if (this.options.fixture) {
+      return respond(response, 200, fs.readFileSync(this.options.fixture, 'utf8'));
+    }
+
+    var now = currentTime();
+    var since = parseFloat(query.t || '0') / 1000;
+    var latest = {};
+    this.rows.forEach(function(row) {
+      if (row.ts > since && row.ts <= now && (!query.r || row.routeTag === query.r)) {
+        latest[row.id] = row;
+      }
+    });
+
+    var rows = Object.keys(latest).map(function(id) {
+      return latest[id];
+    });
+    respond(response, 200, vehicleLocationsXml(rows, now * 1000));
+  }.bind(this);
+
+  this.httpServer = http.createServer(requestHandler);
+
+  // Public methods
+
+  this.listen = function(port, callback) {
+    this.startedAt = Date.now();
+    this.httpServer.listen(port, callback);
+    return this;
+  }.bind(this);
+
+  this.close = function(callback) {
+    this.httpServer.close(callback);
+  }.bind(this);
+};
+
+// Exports
+
+exports.createServer = function(options) {
+  return new NextBusServer(options);
+};
+
+exports.vehicleLocationsXml = vehicleLocationsXml;
+
+/*
+* Run server from command line:
+*   node nextBusServer.js [--port 5001] [--csv file] [--speed 1]
+*   node nextBusServer.js [--port 5001] --fixture file.xml
+* Feed url is http://localhost:5001/service/publicXMLFeed
+*/
+if (require.main === module) {
+  var args = configuration.parseArguments(process.argv.slice(2));
+  var port = parseInt(args.port || '5001', 10);
+  var server = exports.createServer({
+    rows: args.fixture ? [] : sampleData.readCsv(typeof args.csv === 'string' ? args.csv : sampleData.defaultCsvFile),
+    speed: parseFloat(args.speed || '1'),
+    fixture: args.fixture
+  });
+  server.listen(port, function() {
+    console.log('NextBus server is listening on http://localhost:' + port + '/service/publicXMLFeed');
+  });
+}
@@ -0,0 +1,18 @@
+/*
+* Gets current state of observer, heartbeat events report it.
+* @param observer - observer with fields { connected, lastUpdate, vehicles: [map of active vehicles], events,
+*   deduplicator, filter, resubscribes }.
+* @return - { connected, lastUpdate, activeVehicles, events, duplicates, trackedVehicles, filtered, resubscribes }.
+*/
+exports.create = function(observer) {
+  return {
+    connected: observer.connected,
+    lastUpdate: observer.lastUpdate,
+    activeVehicles: Object.keys(observer.vehicles).length,
+    events: observer.events,
+    duplicates: observer.deduplicator.duplicates,
+    trackedVehicles: observer.filter.trackedCount(),
+    filtered: observer.filter.filtered,
+    resubscribes: observer.resubscribes || 0
+  };
+};
@@ -0,0 +1,44 @@
+var hecOutput = require('./hecOutput');
+
+/*
+* Output which writes events to stdout, used by scripted input.
+*/
+var StdoutOutput = function() {
+
+  // Public methods
+
+  /*
+  * Write event, metadata (like sourcetype) is defined by scripted input stanza.
+  */
+  this.write = function(e, metadata) {
+    console.log(JSON.stringify(e));
+  }.bind(this);
+
+  this.flush = function() {
+  }.bind(this);
+
+  /*
+  * Invoke callback when everything written to stdout has been flushed.
+  */
+  this.close = function(callback) {
+    process.stdout.write('', function() {
+      if (callback) callback();
+    });
+  }.bind(this);
+};
+
+// Exports
+
+/*
+* Create output by configuration.
+* @param options - output configuration (see configuration.load), type is `stdout` or `hec`.
+*/
+exports.create = function(options) {
+  if (!options || options.type === 'stdout') {
+    return new StdoutOutput();
+  } else if (options.type === 'hec') {
+    return hecOutput.createOutput(options);
+  } else {
+    throw new Error('Unsupported output type');
+  }
+};
@@ -0,0 +1,146 @@
+var deduplicator = require('./deduplicator');
+var vehicleFilter = require('./vehicleFilter');
+var observerStatus = require('./observerStatus');
+
+/*
+* Observer of feed which is downloaded periodically, the common part of Firebase REST API,
+* GTFS-realtime and NextBus observers. Next poll starts `interval` seconds after the previous one is finished.
+*
+* Records which do not pass the filter never reach the handler and are not counted as active vehicles.
+* Vehicles are removed when they are missing in full dataset, when feed reports them as deleted
+* or when they have not reported for `activeTimeout` seconds.
+*
+* @param read - function(callback) which downloads feed, callback is function(error, feed) where feed is
+*   { records: [vehicle records], keys: [optional keys of records, ids by default],
+*   fullDataset: [bool, feed has all vehicles], deleted: [optional keys of deleted vehicles] }.
+* @param options - { name: [feed name for log messages], interval: [seconds], activeTimeout: [optional seconds],
+*   dedupe: [bool], filter: [filter spec, see vehicleFilter] }.
+*/
+var PollingObserver = function(read, options) {
+
+  // Fields
+
+  this.read = read;
+  this.options = options;
+  this.handler = null;
+  this.removedHandler = null;
+  this.timer = null;
+  this.listening = false;
+  this.deduplicator = deduplicator.createDeduplicator();
+  this.filter = vehicleFilter.createFilter(this.options.filter);
+  // Time of the last record of each active vehicle
+  this.vehicles = {};
+  this.events = 0;
+  this.connected = false;
+  this.lastUpdate = null;
+
+  // Private methods
+
+  /*
+  * Vehicle has been removed from feed.
+  */
+  var remove = function(key) {
+    delete this.vehicles[key];
+    this.deduplicator.forget(key);
+    this.filter.forget(key);
+    if (this.removedHandler) {
+      this.removedHandler(key);
+    }
+  }.bind(this);
+
+  /*
+  * Invoke handlers for new records and removed vehicles of downloaded feed.
+  */
+  var receive = function(feed) {
+    var now = Date.now();
+    this.connected = true;
+    this.lastUpdate = now;
+
+    var present = {};
+    feed.records.forEach(function(record, index) {
+      var key = feed.keys ? feed.keys[index] : record.id;
+      present[key] = true;
+      if (!this.filter.accept(key, record)) {
+        // Vehicle which has left filtered routes or area is not active anymore
+        delete this.vehicles[key];
+        return;
+      }
+      this.vehicles[key] = now;
+      if (this.handler && !(this.options.dedupe !== false && this.deduplicator.isDuplicate(key, record))) {
+        this.events++;
+        this.handler(record);
+      }
+    }.bind(this));
+
+    for (var key in this.vehicles) {
+      if (this.vehicles.hasOwnProperty(key)) {
+        if (feed.fullDataset && !present[key]) {
+          // Vehicles which are not in the feed anymore have been removed
+          remove(key);
+        } else if (this.options.activeTimeout && now - this.vehicles[key] > this.options.activeTimeout * 1000) {
+          remove(key);
+        }
+      }
+    }
+
+    (feed.deleted || []).forEach(function(key) {
+      if (this.vehicles.hasOwnProperty(key)) {
+        remove(key);
+      }
+    }.bind(this));
+  }.bind(this);
+
+  /*
+  * Download feed, invoke handlers and schedule the next poll.
+  */
+  var poll = function() {
+    this.timer = null;
+    this.read(function(error, feed) {
+      if (error) {
+        this.connected = false;
+        console.error('Could not read ' + this.options.name + ': ' + error.message);
+      } else {
+        receive(feed);
+      }
+
+      if (this.listening) {
+        this.timer = setTimeout(poll, this.options.interval * 1000);
+      }
+    }.bind(this));
+  }.bind(this);
+
+  // Public methods
+
+  /*
+  * Start polling.
+  * @param handler - function which is invoked for each new record.
+  * @param removedHandler - optional function(id) which is invoked when vehicle is removed from feed.
+  */
+  this.listen = function(handler, removedHandler) {
+    this.handler = handler;
+    this.removedHandler = removedHandler || null;
+    this.listening = true;
+    poll();
+  }.bind(this);
+
+  this.shutdown = function() {
+    this.listening = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }.bind(this);
+
+  /*
+  * Gets current state of observer (see observerStatus).
+  */
+  this.getStatus = function() {
+    return observerStatus.create(this);
+  }.bind(this);
+};
+
+// Exports
+
+exports.createObserver = function(read, options) {
+  return new PollingObserver(read, options);
+};
@@ -0,0 +1,138 @@
+/*
+* Minimal Protocol Buffers decoder.
+*
+* Schema describes message fields by their numbers, for example
+*   { 1: { name: 'id', type: 'string' }, 2: { name: 'items', type: 'message', schema: itemSchema, repeated: true } }
+* Supported types: string, bytes, bool, enum, int32, uint32, int64, uint64, float, double, message.
+* 64-bit integers are decoded to numbers, so they are precise only up to 2^53.
+* Unknown fields are skipped.
+*/
+
+// Wire types
+var VARINT = 0;
+var FIXED64 = 1;
+var LENGTH_DELIMITED = 2;
+var FIXED32 = 5;
+
+/*
+* Reader of protobuf wire format from buffer.
+*/
+var Reader = function(buffer, start, end) {
+  this.buffer = buffer;
+  this.pos = start || 0;
+  this.end = end === undefined ? buffer.length : end;
+};
+
+Reader.prototype.eof = function() {
+  return this.pos >= this.end;
+};
+
+Reader.prototype.varint = function() {
+  var value = 0;
+  var multiplier = 1;
+  var byte;
+  do {
+    if (this.pos >= this.end) {
+      throw new Error('Unexpected end of protobuf message');
+    }
+    byte = this.buffer[this.pos++];
+    value += (byte & 0x7f) * multiplier;
+    multiplier *= 128;
+  } while (byte & 0x80);
+  return value;
+};
+
+Reader.prototype.skip = function(wireType) {
+  switch (wireType) {
+    case VARINT:
+      this.varint();
+      break;
+    case FIXED64:
+      this.pos += 8;
+      break;
+    case LENGTH_DELIMITED:
+      this.pos += this.varint();
+      break;
+    case FIXED32:
+      this.pos += 4;
+      break;
+    default:
+      throw new Error('Unsupported protobuf wire type ' + wireType);
+  }
+};
+
+/*
+* Read value of field with specified type.
+*/
+Reader.prototype.read = function(field, wireType) {
+  var value, length;
+  switch (field.type) {
+    case 'string':
+    case 'bytes':
+      length = this.varint();
+      value = this.buffer.slice(this.pos, this.pos + length);
+      this.pos += length;
+      return field.type === 'string' ? value.toString('utf8') : value;
+    case 'message':
+      length = this.varint();
+      value = decode(this.buffer, field.schema, this.pos, this.pos + length);
+      this.pos += length;
+      return value;
+    case 'bool':
+      return this.varint() !== 0;
+    case 'enum':
+    case 'uint32':
+    case 'uint64':
+      return this.varint();
+    case 'int32':
+    case 'int64':
+      value = this.varint();
+      // Negative numbers are encoded as 64-bit two's complement
+      return value >= 9223372036854775808 ? value - 18446744073709551616 : value;
+    case 'float':
+      value = this.buffer.readFloatLE(this.pos);
+      this.pos += 4;
+      return value;
+    case 'double':
+      value = this.buffer.readDoubleLE(this.pos);
+      this.pos += 8;
+      return value;
+    default:
+      this.skip(wireType);
+      return undefined;
+  }
+};
+
+/*
+* Decode message from buffer.
+* @param buffer - Buffer with encoded message.
+* @param schema - message schema.
+*/
+var decode = function(buffer, schema, start, end) {
+  var reader = new Reader(buffer, start, end);
+  var message = {};
+
+  while (!reader.eof()) {
+    var key = reader.varint();
+    var fieldNumber = Math.floor(key / 8);
+    var wireType = key & 7;
+    var field = schema[fieldNumber];
+
+    if (!field) {
+      reader.skip(wireType);
+    } else if (field.repeated) {
+      message[field.name] = message[field.name] || [];
+      message[field.name].push(reader.read(field, wireType));
+    } else {
+      message[field.name] = reader.read(field, wireType);
+    }
+  }
+
+  return message;
+};
+
+// Exports
+
+exports.decode = function(buffer, schema) {
+  return decode(buffer, schema);
+};
@@ -0,0 +1,144 @@
+var fs = require('fs');
+var readline = require('readline');
+var configuration = require('./configuration');
+var ingestion = require('./ingestion');
+var app = require('./app');
+
+// How many lines we read ahead while waiting to replay them.
+var maxQueueLength = 1000;
+
+/*
+* Record all events from configured sources to newline-delimited JSON file.
+* Each line has format { receivedAt: [ms since epoch], event: [event as app.js prints it] }.
+* @return - { feeds: [started feeds, see ingestion.start], stop: function(callback) }.
+*/
+var record = function(config, file) {
+  var output = fs.createWriteStream(file, { flags: 'a' });
+
+  var feeds = ingestion.start(config, function(e) {
+    output.write(JSON.stringify({ receivedAt: Date.now(), event: e }) + '\n');
+  });
+
+  /*
+  * Shutdown observers and close file when all recorded events are written.
+  */
+  var stop = function(callback) {
+    ingestion.stop(feeds);
+    output.end(callback);
+  };
+
+  return { feeds: feeds, stop: stop };
+};
+
+/*
+* Replay recorded file to stdout, output is the same as app.js writes.
+* @param file - file created with `record`.
+* @param speed - playback speed, `max` replays file as fast as possible.
+*/
+var replay = function(file, speed) {
+  var asFastAsPossible = (speed === 'max');
+  speed = asFastAsPossible ? null : parseFloat(speed || '1');
+  if (!asFastAsPossible && (isNaN(speed) || speed <= 0)) {
+    throw new Error('Speed should be a positive number or `max`');
+  }
+
+  var queue = [];
+  var ended = false;
+  var waiting = false;
+  var firstReceivedAt = null;
+  var startedAt = null;
+  var lineNumber = 0;
+
+  var input = readline.createInterface({ input: fs.createReadStream(file) });
+
+  /*
+  * Write events from queue to stdout when their time comes.
+  */
+  var next = function() {
+    waiting = false;
+    while (queue.length > 0) {
+      var item = queue[0];
+
+      if (!asFastAsPossible) {
+        if (firstReceivedAt === null) {
+          firstReceivedAt = item.receivedAt;
+          startedAt = Date.now();
+        }
+        var delay = (item.receivedAt - firstReceivedAt) / speed - (Date.now() - startedAt);
+        if (delay > 0) {
+          waiting = true;
+          setTimeout(next, delay);
+          return;
+        }
+      }
+
+      queue.shift();
+      if (!process.stdout.write(JSON.stringify(item.event) + '\n')) {
+        waiting = true;
+        process.stdout.once('drain', next);
+        return;
+      }
+
+      if (queue.length < maxQueueLength / 2) {
+        input.resume();
+      }
+    }
+
+    if (!ended) {
+      input.resume();
+    }
+  };
+
+  input.on('line', function(line) {
+    lineNumber++;
+    if (line.length === 0) {
+      return;
+    }
+    var item;
+    try {
+      item = JSON.parse(line);
+    } catch (e) {
+      // Last line can be cut when recording has been killed
+      console.error('Skipping invalid line ' + lineNumber + ' of ' + file + ': ' + e.message);
+      return;
+    }
+    queue.push(item);
+    if (queue.length >= maxQueueLength) {
+      input.pause();
+    }
+    if (!waiting) {
+      waiting = true;
+      setImmediate(next);
+    }
+  });
+
+  input.on('close', function() {
+    ended = true;
+  });
+};
+
+// Exports
+
+exports.record = record;
+exports.replay = replay;
+
+/*
+* Usage:
+*   node recorder.js --record [file] [source arguments, see configuration.load]
+*   node recorder.js --replay [file] [--speed 1|N|max]
+*/
+if (require.main === module) {
+  try {
+    var args = configuration.parseArguments(process.argv.slice(2));
+    if (typeof args.record === 'string') {
+      app.stopOnSignals(record(configuration.load(process.argv.slice(2)), args.record));
+    } else if (typeof args.replay === 'string') {
+      replay(args.replay, args.speed);
+    } else {
+      throw new Error('Usage: recorder.js --record [file] [--config file] | --replay [file] [--speed 1|N|max]');
+    }
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
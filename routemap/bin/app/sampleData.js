@@ -0,0 +1,56 @@
+var fs = require('fs');
+var path = require('path');
+
+// Sample data which is shipped with application as a lookup.
+exports.defaultCsvFile = path.join(__dirname, '..', '..', 'lookups', 'sfmunisample20140101.csv');
+
+// Columns of sample data which have numeric values.
+var numericFields = ['heading', 'lat', 'lon', 'secsSinceReport', 'speedKmHr', 'ts'];
+
+/*
+* Convert string value from CSV to JavaScript value.
+*/
+var castValue = function(field, value) {
+  if (numericFields.indexOf(field) !== -1) {
+    return value === '' ? null : parseFloat(value);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value;
+};
+
+/*
+* Read CSV file with header into array of objects.
+* @param file - path to CSV file (sample data does not have quoted values).
+*/
+exports.readCsv = function(file) {
+  var lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(function(line) {
+    return line.length > 0;
+  });
+  var header = lines.shift().split(',');
+
+  return lines.map(function(line) {
+    var values = line.split(',');
+    var row = {};
+    header.forEach(function(field, index) {
+      row[field] = castValue(field, values[index]);
+    });
+    return row;
+  });
+};
+
+/*
+* Convert row of sample data to the vehicle record in the same format as we get it from Firebase.
+* Column `ts` becomes `timestamp`, all other columns are copied as is.
+*/
+exports.toVehicleRecord = function(row) {
+  var record = {};
+  for (var field in row) {
+    if (row.hasOwnProperty(field) && field !== 'ts') {
+      record[field] = row[field];
+    }
+  }
+  record.timestamp = row.ts;
+  return record;
+};
@@ -0,0 +1,350 @@
+var fs = require('fs');
+var configuration = require('./configuration');
+var sampleData = require('./sampleData');
+var geo = require('./geo');
+
+// Columns of sfmunisample CSV.
+var csvColumns = ['dirTag', 'heading', 'id', 'lat', 'lon', 'predictable', 'routeTag', 'secsSinceReport', 'speedKmHr', 'ts', 'vtype'];
+
+// Default area is San Francisco [minLon, minLat, maxLon, maxLat].
+var defaultBbox = [-122.51, 37.71, -122.38, 37.81];
+
+// Meters in one degree of latitude.
+var metersPerDegree = geo.earthRadius * Math.PI / 180;
+
+/*
+* Seeded pseudo random generator (mulberry32), returns function which generates numbers in [0, 1).
+*/
+var createRandom = function(seed) {
+  var state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/*
+* Simulates fleet of vehicles which move along routes with stops, reports have GPS noise and dropouts.
+*
+* Routes are random polylines in bounding box (random walk with turns) with stops every 300-600 meters.
+* Vehicles drive between stops at 60-120% of their cruise speed (15-45 km/h), dwell 10-40 seconds at stops,
+* turn around at the ends of routes after 1-3 minutes layover. Each vehicle reports every `interval` seconds
+* (with jitter), report is `secsSinceReport` seconds older than its timestamp.
+*
+* @param options - { vehicles, routes, start: [seconds], duration: [seconds], interval: [seconds], seed,
+*   bbox: [minLon, minLat, maxLon, maxLat], noise: [meters], glitchRate, dropoutRate }.
+*/
+var Simulator = function(options) {
+
+  // Fields
+
+  this.options = options;
+  this.random = createRandom(options.seed);
+  this.routes = [];
+  this.vehicles = [];
+  this.buckets = [];
+  this.time = 0;
+
+  // Private methods
+
+  var between = function(min, max) {
+    return min + (max - min) * this.random();
+  }.bind(this);
+
+  /*
+  * Normally distributed random number (Box-Muller).
+  */
+  var gaussian = function() {
+    return Math.sqrt(-2 * Math.log(1 - this.random())) * Math.cos(2 * Math.PI * this.random());
+  }.bind(this);
+
+  /*
+  * Build route: polyline in local meters (x - east, y - north) with cumulative distances and stops.
+  */
+  var createRoute = function(index) {
+    var bbox = this.options.bbox;
+    var width = (bbox[2] - bbox[0]) * metersPerDegree * Math.cos((bbox[1] + bbox[3]) / 2 * Math.PI / 180);
+    var height = (bbox[3] - bbox[1]) * metersPerDegree;
+
+    var points = [[between(0, width), between(0, height)]];
+    var direction = between(0, 2 * Math.PI);
+    var length = between(4000, 12000);
+    var distances = [0];
+
+    while (distances[distances.length - 1] < length) {
+      var last = points[points.length - 1];
+      // Streets mostly turn by right angles
+      direction += this.random() < 0.6 ? 0 : (this.random() < 0.5 ? -1 : 1) * between(Math.PI / 6, Math.PI / 2);
+      var segment = between(200, 900);
+      var x = last[0] + Math.sin(direction) * segment;
+      var y = last[1] + Math.cos(direction) * segment;
+      // Bounce from the edges of the area
+      if (x < 0 || x > width) {
+        direction = -direction;
+        x = Math.min(Math.max(x, 0), width);
+      }
+      if (y < 0 || y > height) {
+        direction = Math.PI - direction;
+        y = Math.min(Math.max(y, 0), height);
+      }
+      points.push([x, y]);
+      distances.push(distances[distances.length - 1] + Math.sqrt(Math.pow(x - last[0], 2) + Math.pow(y - last[1], 2)));
+    }
+
+    var total = distances[distances.length - 1];
+    var stops = [0];
+    while (stops[stops.length - 1] + 600 < total) {
+      stops.push(stops[stops.length - 1] + between(300, 600));
+    }
+    stops.push(total);
+
+    return { tag: String(index + 1), points: points, distances: distances, length: total, stops: stops };
+  }.bind(this);
+
+  /*
+  * Gets position { lat, lon, heading } on route at distance from its start.
+  */
+  var positionAt = function(route, distance, outbound) {
+    var i = 1;
+    while (i < route.distances.length - 1 && route.distances[i] < distance) {
+      i++;
+    }
+    var a = route.points[i - 1];
+    var b = route.points[i];
+    var segment = route.distances[i] - route.distances[i - 1];
+    var ratio = segment > 0 ? (distance - route.distances[i - 1]) / segment : 0;
+    var x = a[0] + (b[0] - a[0]) * ratio;
+    var y = a[1] + (b[1] - a[1]) * ratio;
+    var heading = Math.atan2(b[0] - a[0], b[1] - a[1]) * 180 / Math.PI + (outbound ? 0 : 180);
+    var bbox = this.options.bbox;
+    var lat = bbox[1] + y / metersPerDegree;
+    return {
+      lat: lat,
+      lon: bbox[0] + x / (metersPerDegree * Math.cos(lat * Math.PI / 180)),
+      heading: Math.round((heading + 360) % 360)
+    };
+  }.bind(this);
+
+  /*
+  * Gets index of the next stop in direction of movement.
+  */
+  var nextStop = function(vehicle) {
+    var stops = vehicle.route.stops;
+    var i;
+    if (vehicle.outbound) {
+      for (i = 0; i < stops.length && stops[i] <= vehicle.distance; i++) {}
+      return Math.min(i, stops.length - 1);
+    }
+    for (i = stops.length - 1; i >= 0 && stops[i] >= vehicle.distance; i--) {}
+    return Math.max(i, 0);
+  };
+
+  /*
+  * Move vehicle forward by `seconds`.
+  */
+  var advance = function(vehicle, seconds) {
+    while (seconds > 0) {
+      if (vehicle.dwell > 0) {
+        var wait = Math.min(vehicle.dwell, seconds);
+        vehicle.dwell -= wait;
+        seconds -= wait;
+        continue;
+      }
+
+      var route = vehicle.route;
+      var target = route.stops[nextStop(vehicle)];
+      var remaining = Math.abs(target - vehicle.distance);
+      var travel = vehicle.speed * seconds;
+      if (travel < remaining) {
+        vehicle.distance += vehicle.outbound ? travel : -travel;
+        return;
+      }
+
+      // Arrived to stop
+      vehicle.distance = target;
+      seconds -= remaining / vehicle.speed;
+      if (target === 0 || target === route.length) {
+        vehicle.outbound = target === 0;
+        vehicle.dwell = between(60, 180);
+      } else {
+        vehicle.dwell = between(10, 40);
+      }
+      vehicle.speed = vehicle.cruiseSpeed * between(0.6, 1.2);
+    }
+  }.bind(this);
+
+  var schedule = function(vehicle, time) {
+    var bucket = Math.floor(time - this.options.start);
+    if (bucket < this.options.duration) {
+      (this.buckets[bucket] = this.buckets[bucket] || []).push(vehicle);
+      vehicle.nextReport = time;
+    }
+  }.bind(this);
+
+  /*
+  * Create report of vehicle at its report time, vehicle state is moved to the fix time.
+  */
+  var report = function(vehicle) {
+    var options = this.options;
+    var time = vehicle.nextReport;
+    schedule(vehicle, time + options.interval * between(0.7, 1.3));
+
+    // Dropout: vehicle keeps moving, but does not report for several minutes
+    if (vehicle.dropoutUntil > time) {
+      return null;
+    }
+    if (this.random() < options.dropoutRate) {
+      vehicle.dropoutUntil = time + between(60, 600);
+      return null;
+    }
+
+    // Fix is older than report, but not older than the previous fix
+    var secsSinceReport = Math.floor(between(0, Math.min(options.interval, 20, time - vehicle.fixTime)));
+    var fixTime = time - secsSinceReport;
+    advance(vehicle, fixTime - vehicle.fixTime);
+    vehicle.fixTime = fixTime;
+
+    var position = positionAt(vehicle.route, vehicle.distance, vehicle.outbound);
+    var noise = this.random() < options.glitchRate ? between(200, 1000) : options.noise;
+    var cos = Math.cos(position.lat * Math.PI / 180);
+    var moving = vehicle.dwell <= 0;
+
+    return {
+      dirTag: vehicle.route.tag + (vehicle.outbound ? '_OB1' : '_IB1'),
+      heading: position.heading,
+      id: vehicle.id,
+      lat: Math.round((position.lat + gaussian() * noise / metersPerDegree) * 1e6) / 1e6,
+      lon: Math.round((position.lon + gaussian() * noise / (metersPerDegree * cos)) * 1e6) / 1e6,
+      predictable: true,
+      routeTag: vehicle.route.tag,
+      secsSinceReport: secsSinceReport,
+      speedKmHr: moving ? Math.round(vehicle.speed * 3.6) : 0,
+      ts: Math.round(time * 1000) / 1000,
+      vtype: 'bus'
+    };
+  }.bind(this);
+
+  // Public methods
+
+  /*
+  * Generate reports of the next second of simulation.
+  * @return - array of rows with sfmunisample columns or null when simulation is over.
+  */
+  this.next = function() {
+    if (this.time >= this.options.duration) {
+      return null;
+    }
+    var vehicles = this.buckets[this.time] || [];
+    delete this.buckets[this.time];
+    this.time++;
+
+    return vehicles.map(report).filter(function(row) {
+      return row !== null;
+    }).sort(function(a, b) {
+      return a.ts - b.ts;
+    });
+  }.bind(this);
+
+  // Initialize routes and vehicles
+
+  for (var r = 0; r < options.routes; r++) {
+    this.routes.push(createRoute(r));
+  }
+
+  for (var v = 0; v < options.vehicles; v++) {
+    var route = this.routes[v % this.routes.length];
+    var cruiseSpeed = between(15, 45) / 3.6;
+    var vehicle = {
+      id: String(1000 + v),
+      route: route,
+      distance: between(0, route.length),
+      outbound: this.random() < 0.5,
+      cruiseSpeed: cruiseSpeed,
+      speed: cruiseSpeed,
+      dwell: 0,
+      fixTime: options.start,
+      dropoutUntil: 0
+    };
+    this.vehicles.push(vehicle);
+    schedule(vehicle, options.start + between(0, options.interval));
+  }
+};
+
+// Exports
+
+exports.createSimulator = function(options) {
+  return new Simulator(options);
+};
+
+exports.csvColumns = csvColumns;
+
+/*
+* Generate synthetic data:
+*   node simulator.js [--vehicles 100] [--routes 10] [--start seconds] [--duration 3600] [--interval 15]
+*     [--seed 1] [--format json|csv] [--output file] [--bbox minLon,minLat,maxLon,maxLat]
+*     [--noise 8] [--glitch-rate 0.001] [--dropout-rate 0.01]
+* Format json writes one vehicle record per line in the same format as the scripted input,
+* csv has the same columns as lookups/sfmunisample20140101.csv. Default start is the current time.
+*/
+if (require.main === module) {
+  var args = configuration.parseArguments(process.argv.slice(2));
+  var options = {
+    vehicles: parseInt(args.vehicles || '100', 10),
+    routes: parseInt(args.routes || '10', 10),
+    start: parseFloat(args.start || Math.floor(Date.now() / 1000)),
+    duration: parseFloat(args.duration || '3600'),
+    interval: parseFloat(args.interval || '15'),
+    seed: parseInt(args.seed || '1', 10),
+    bbox: args.bbox ? args.bbox.split(',').map(parseFloat) : defaultBbox,
+    noise: parseFloat(args.noise || '8'),
+    glitchRate: parseFloat(args['glitch-rate'] || '0.001'),
+    dropoutRate: parseFloat(args['dropout-rate'] || '0.01')
+  };
+  var format = args.format || 'json';
+
+  var invalid = ['vehicles', 'routes', 'start', 'duration', 'interval', 'seed', 'noise', 'glitchRate', 'dropoutRate'].filter(function(name) {
+    return isNaN(options[name]) || options[name] < 0;
+  });
+  if (invalid.length > 0 || options.routes === 0 || options.interval === 0 ||
+    options.bbox.length !== 4 || options.bbox.some(isNaN) || (format !== 'json' && format !== 'csv')) {
+    console.error('Invalid arguments ' + invalid.join(', ') + ', see usage in simulator.js');
+    process.exit(1);
+  }
+
+  var out = args.output ? fs.createWriteStream(args.output) : process.stdout;
+  var simulator = exports.createSimulator(options);
+
+  var formatRow = function(row) {
+    if (format === 'csv') {
+      return csvColumns.map(function(column) {
+        return row[column];
+      }).join(',');
+    }
+    return JSON.stringify(sampleData.toVehicleRecord(row));
+  };
+
+  var write = function() {
+    var rows;
+    var ready = true;
+    while (ready && (rows = simulator.next()) !== null) {
+      if (rows.length > 0) {
+        ready = out.write(rows.map(formatRow).join('\n') + '\n');
+      }
+    }
+    if (rows === null) {
+      if (out !== process.stdout) {
+        out.end();
+      }
+    } else {
+      out.once('drain', write);
+    }
+  };
+
+  if (format === 'csv') {
+    out.write(csvColumns.join(',') + '\n');
+  }
+  write();
+}
@@ -0,0 +1,49 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var checkpoints = require('../checkpoint');
+
+describe('Checkpoint', function() {
+  var file = path.join(os.tmpdir(), 'routemap-checkpoint-' + process.pid + '.json');
+
+  afterEach(function() {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('accepts only records newer than saved ones after restart', function() {
+    var checkpoint = checkpoints.createCheckpoint(file);
+    assert.ok(checkpoint.accept('sf-muni', { id: '8612', timestamp: 100 }));
+    assert.ok(!checkpoint.accept('sf-muni', { id: '8612', timestamp: 100 }));
+    checkpoint.save();
+
+    var restarted = checkpoints.createCheckpoint(file);
+    assert.ok(!restarted.accept('sf-muni', { id: '8612', timestamp: 100 }));
+    assert.ok(restarted.accept('sf-muni', { id: '8612', timestamp: 101 }));
+    assert.ok(restarted.accept('actransit', { id: '8612', timestamp: 100 }));
+  });
+
+  it('logs save errors and retries on the next save', function() {
+    var originalError = console.error;
+    var messages = [];
+    console.error = function(message) {
+      messages.push(message);
+    };
+
+    // Directory of checkpoint cannot be created, because file with its name exists
+    fs.writeFileSync(file, '');
+    var checkpoint = checkpoints.createCheckpoint(path.join(file, 'checkpoint.json'));
+    checkpoint.accept('sf-muni', { id: '8612', timestamp: 100 });
+    try {
+      checkpoint.save();
+    } finally {
+      console.error = originalError;
+    }
+
+    assert.equal(messages.length, 1);
+    assert.ok(/^Could not save checkpoint/.test(messages[0]), messages[0]);
+    assert.equal(checkpoint.changed, true);
+  });
+});
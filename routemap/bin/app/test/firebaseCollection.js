@@ -0,0 +1,281 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Firebase = require('firebase');
+var firebaseServer = require('../firebaseServer');
+var firebaseCollection = require('../firebaseCollection');
+var waitFor = require('./helpers').waitFor;
+
+var fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'sf-muni.json'), 'utf8'));
+
+describe('CollectionObserver with local Firebase server', function() {
+  this.timeout(10000);
+
+  var server = null;
+  var url = null;
+  var observer = null;
+  var collections = 0;
+
+  before(function(done) {
+    server = firebaseServer.createServer({}).listen(0, function() {
+      // Firebase client expects three parts in host name
+      url = 'http://127.0.1:' + server.httpServer.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    Firebase.goOffline();
+    server.close(done);
+  });
+
+  afterEach(function() {
+    if (observer) {
+      observer.shutdown();
+      observer = null;
+    }
+  });
+
+  /*
+  * Copy vehicles from fixture to a new collection, so tests do not see changes of each other.
+  */
+  var createCollection = function() {
+    var child = 'test' + (++collections) + '/vehicles';
+    server.set(child, JSON.parse(JSON.stringify(fixture['sf-muni'].vehicles)));
+    return child;
+  };
+
+  it('delivers initial snapshot', function(done) {
+    var child = createCollection();
+    var records = [];
+    observer = firebaseCollection.createObserver(url, child);
+    observer.listen(function(record) {
+      records.push(record);
+    });
+
+    var expected = Object.keys(fixture['sf-muni'].vehicles).sort();
+    waitFor(function() {
+      return records.length === expected.length;
+    }, function(error) {
+      if (error) return done(error);
+      assert.deepEqual(records.map(function(record) { return record.id; }).sort(), expected);
+      assert.equal(observer.getStatus().activeVehicles, expected.length);
+      done();
+    });
+  });
+
+  it('delivers changed records', function(done) {
+    var child = createCollection();
+    var id = Object.keys(fixture['sf-muni'].vehicles)[0];
+    var records = [];
+    observer = firebaseCollection.createObserver(url, child);
+    observer.listen(function(record) {
+      records.push(record);
+    });
+
+    waitFor(function() {
+      return records.length === Object.keys(fixture['sf-muni'].vehicles).length;
+    }, function(error) {
+      if (error) return done(error);
+      records = [];
+      var changed = JSON.parse(JSON.stringify(fixture['sf-muni'].vehicles[id]));
+      changed.lat += 0.001;
+      changed.timestamp += 15;
+      server.set(child + '/' + id, changed);
+
+      waitFor(function() {
+        return records.length > 0;
+      }, function(error) {
+        if (error) return done(error);
+        assert.equal(records.length, 1);
+        assert.deepEqual(records[0], changed);
+        done();
+      });
+    });
+  });
+
+  it('invokes removedHandler with id of removed vehicle', function(done) {
+    var child = createCollection();
+    var id = Object.keys(fixture['sf-muni'].vehicles)[1];
+    var count = 0;
+    var removed = [];
+    observer = firebaseCollection.createObserver(url, child);
+    observer.listen(function() {
+      count++;
+    }, function(removedId) {
+      removed.push(removedId);
+    });
+
+    waitFor(function() {
+      return count === Object.keys(fixture['sf-muni'].vehicles).length;
+    }, function(error) {
+      if (error) return done(error);
+      server.remove(child + '/' + id);
+
+      waitFor(function() {
+        return removed.length > 0;
+      }, function(error) {
+        if (error) return done(error);
+        assert.deepEqual(removed, [id]);
+        assert.equal(observer.getStatus().activeVehicles, count - 1);
+        done();
+      });
+    });
+  });
+
+  it('counts only vehicles which pass the filter', function(done) {
+    var child = createCollection();
+    var records = [];
+    observer = firebaseCollection.createObserver(url, child, { filter: { routes: ['28'] } });
+    observer.listen(function(record) {
+      records.push(record);
+    });
+
+    waitFor(function() {
+      return records.length === 2;
+    }, function(error) {
+      if (error) return done(error);
+      var status = observer.getStatus();
+      assert.equal(status.activeVehicles, 2);
+      assert.equal(status.trackedVehicles, 2);
+      assert.equal(status.filtered, 8);
+      done();
+    });
+  });
+
+  it('resubscribes only its own collection', function(done) {
+    var child = createCollection();
+    var otherChild = createCollection();
+    var id = Object.keys(fixture['sf-muni'].vehicles)[0];
+    var count = Object.keys(fixture['sf-muni'].vehicles).length;
+    var records = [];
+    var otherRecords = [];
+    var other = firebaseCollection.createObserver(url, otherChild);
+    other.listen(function(record) {
+      otherRecords.push(record);
+    });
+    observer = firebaseCollection.createObserver(url, child);
+    observer.listen(function(record) {
+      records.push(record);
+    });
+
+    waitFor(function() {
+      return records.length === count && otherRecords.length === count;
+    }, function(error) {
+      if (error) {
+        other.shutdown();
+        return done(error);
+      }
+
+      observer.resubscribe();
+      var changed = JSON.parse(JSON.stringify(fixture['sf-muni'].vehicles[id]));
+      changed.timestamp += 15;
+      server.set(child + '/' + id, changed);
+      server.set(otherChild + '/' + id, changed);
+
+      waitFor(function() {
+        return records.length === count + 1 && otherRecords.length === count + 1;
+      }, function(error) {
+        other.shutdown();
+        if (error) return done(error);
+        // Snapshot after resubscribe has the same records, they are dropped as duplicates
+        assert.deepEqual(records[count], changed);
+        assert.deepEqual(otherRecords[count], changed);
+        assert.equal(observer.getStatus().resubscribes, 1);
+        assert.equal(observer.getStatus().connected, true);
+        assert.equal(other.getStatus().resubscribes, 0);
+        done();
+      });
+    });
+  });
+
+  it('gets every pass of looping CSV replay', function(done) {
+    var file = path.join(os.tmpdir(), 'routemap-replay-' + process.pid + '.csv');
+    fs.writeFileSync(file, [
+      'id,routeTag,lat,lon,ts',
+      '1,30,37.8,-122.41,1388617200',
+      '2,45,37.79,-122.4,1388617200',
+      '1,30,37.801,-122.411,1388617215'
+    ].join('\n'));
+
+    var child = 'replay' + (++collections) + '/vehicles';
+    var replay = firebaseServer.replayCsv(server, file, { child: child, speed: 100, loop: true });
+    var timestamps = [];
+    observer = firebaseCollection.createObserver(url, child);
+    observer.listen(function(record) {
+      if (record.id === '1') {
+        timestamps.push(record.timestamp);
+      }
+    });
+
+    waitFor(function() {
+      return timestamps.length >= 4;
+    }, function(error) {
+      replay.stop();
+      fs.unlinkSync(file);
+      if (error) return done(error);
+      // Second pass starts one second after the end of the first one
+      assert.deepEqual(timestamps.slice(0, 4), [1388617200, 1388617215, 1388617216, 1388617231]);
+      done();
+    });
+  });
+});
+
+describe('CollectionObserver in batch mode', function() {
+
+  /*
+  * Firebase stand-in which lets test fire child events synchronously.
+  */
+  var createFakeFirebase = function() {
+    var listeners = {};
+    var FakeFirebase = function(url, path) {
+      this.child = function(child) {
+        return new FakeFirebase(url, child);
+      };
+      this.on = function(event, callback) {
+        listeners[path + ' ' + event] = callback;
+      };
+      this.off = function(event) {
+        delete listeners[path + ' ' + event];
+      };
+    };
+    FakeFirebase.fire = function(path, event, key, value) {
+      listeners[path + ' ' + event]({
+        key: function() {
+          return key;
+        },
+        val: function() {
+          return value;
+        }
+      });
+    };
+    return FakeFirebase;
+  };
+
+  it('delivers batched records before removal of their vehicle', function(done) {
+    var FakeFirebase = createFakeFirebase();
+    var calls = [];
+    var observer = firebaseCollection.createObserver('http://fake.firebaseio.test', 'vehicles', {
+      batch: true,
+      firebase: FakeFirebase
+    });
+    observer.listen(function(records) {
+      calls.push('records ' + records.map(function(record) {
+        return record.id;
+      }).join(','));
+    }, function(id) {
+      calls.push('removed ' + id);
+    });
+
+    FakeFirebase.fire('vehicles', 'child_added', '8612', { id: '8612', timestamp: 1 });
+    FakeFirebase.fire('vehicles', 'child_added', '5540', { id: '5540', timestamp: 1 });
+    FakeFirebase.fire('vehicles', 'child_removed', '8612', { id: '8612', timestamp: 1 });
+
+    setImmediate(function() {
+      observer.shutdown();
+      assert.deepEqual(calls, ['records 8612,5540', 'removed 8612']);
+      done();
+    });
+  });
+});
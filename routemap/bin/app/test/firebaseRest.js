@@ -0,0 +1,85 @@
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var firebaseServer = require('../firebaseServer');
+var firebaseRest = require('../firebaseRest');
+var waitFor = require('./helpers').waitFor;
+
+var fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'sf-muni.json'), 'utf8'));
+
+describe('RestCollectionObserver with local Firebase server', function() {
+  this.timeout(5000);
+
+  var server = null;
+  var observer = null;
+
+  before(function(done) {
+    server = firebaseServer.createServer(JSON.parse(JSON.stringify(fixture))).listen(0, done);
+  });
+
+  afterEach(function() {
+    observer.shutdown();
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  it('polls collection and reports removed vehicles', function(done) {
+    var ids = Object.keys(fixture['sf-muni'].vehicles);
+    var records = [];
+    var removed = [];
+    observer = firebaseRest.createObserver('http://127.0.1:' + server.httpServer.address().port, 'sf-muni/vehicles', {
+      interval: 0.01
+    });
+    observer.listen(function(record) {
+      records.push(record);
+    }, function(id) {
+      removed.push(id);
+    });
+
+    waitFor(function() {
+      return records.length === ids.length;
+    }, function(error) {
+      if (error) return done(error);
+      server.remove('sf-muni/vehicles/' + ids[0]);
+
+      waitFor(function() {
+        return removed.length > 0;
+      }, function(error) {
+        if (error) return done(error);
+        assert.deepEqual(removed, [ids[0]]);
+        // Unchanged records are not delivered again
+        assert.equal(records.length, ids.length);
+        assert.equal(observer.getStatus().activeVehicles, ids.length - 1);
+        done();
+      });
+    });
+  });
+
+  it('counts only vehicles which pass the filter as active', function(done) {
+    var vehicles = fixture['sf-muni'].vehicles;
+    var ids = Object.keys(vehicles);
+    var route = vehicles[ids[1]].routeTag;
+    var expected = ids.filter(function(id) {
+      return id !== ids[0] && vehicles[id].routeTag === route;
+    }).length;
+    var records = 0;
+    observer = firebaseRest.createObserver('http://127.0.1:' + server.httpServer.address().port, 'sf-muni/vehicles', {
+      interval: 0.01,
+      filter: { routes: [route] }
+    });
+    observer.listen(function() {
+      records++;
+    });
+
+    waitFor(function() {
+      return observer.getStatus().filtered > 0;
+    }, function(error) {
+      if (error) return done(error);
+      assert.equal(records, expected);
+      assert.equal(observer.getStatus().activeVehicles, expected);
+      done();
+    });
+  });
+});
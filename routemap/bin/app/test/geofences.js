@@ -0,0 +1,94 @@
+var assert = require('assert');
+var path = require('path');
+var geofences = require('../geofences');
+var sampleData = require('../sampleData');
+
+var fencesFile = path.join(__dirname, '..', 'fixtures', 'geofences.geojson');
+
+describe('geofences', function() {
+
+  describe('evaluator on sample data replay', function() {
+
+    var fences = geofences.load(fencesFile);
+    var events = [];
+
+    before(function() {
+      var evaluator = geofences.createEvaluator('sf-muni', fences, function(e) {
+        events.push(e);
+      });
+      sampleData.readCsv(sampleData.defaultCsvFile).sort(function(a, b) {
+        return a.ts - b.ts;
+      }).forEach(function(row) {
+        evaluator.update(sampleData.toVehicleRecord(row));
+      });
+    });
+
+    var fenceById = function(id) {
+      return fences.filter(function(fence) {
+        return fence.id === id;
+      })[0];
+    };
+
+    it('emits enter and exit events for every fence', function() {
+      fences.forEach(function(fence) {
+        var types = events.filter(function(e) {
+          return e.fenceId === fence.id;
+        }).map(function(e) {
+          return e.type;
+        });
+        assert.ok(types.indexOf('geofence_enter') !== -1, 'no enter events for ' + fence.id);
+        assert.ok(types.indexOf('geofence_exit') !== -1, 'no exit events for ' + fence.id);
+      });
+    });
+
+    it('emits enter inside of fence and exit outside with time spent inside', function() {
+      var entered = {};
+      events.forEach(function(e) {
+        var key = e.id + ' ' + e.fenceId;
+        var inside = geofences.contains(fenceById(e.fenceId), e.lon, e.lat);
+        assert.equal(e.feed, 'sf-muni');
+        if (e.type === 'geofence_enter') {
+          assert.ok(inside);
+          assert.equal(entered[key], undefined, 'vehicle ' + e.id + ' entered ' + e.fenceId + ' twice');
+          entered[key] = e.timestamp;
+        } else {
+          assert.equal(e.type, 'geofence_exit');
+          assert.ok(!inside);
+          assert.notEqual(entered[key], undefined, 'vehicle ' + e.id + ' exited ' + e.fenceId + ' before entering');
+          assert.ok(Math.abs(e.dwellSeconds - (e.timestamp - entered[key])) < 0.001);
+          delete entered[key];
+        }
+      });
+    });
+
+    it('reports vehicle leaving Golden Gate Park', function() {
+      var exits = events.filter(function(e) {
+        return e.type === 'geofence_exit' && e.fenceId === 'golden-gate-park' && e.id === '5480';
+      });
+      assert.deepEqual(exits[0], {
+        type: 'geofence_exit',
+        feed: 'sf-muni',
+        fenceId: 'golden-gate-park',
+        fenceName: 'Golden Gate Park',
+        id: '5480',
+        routeTag: '33',
+        lat: 37.76925,
+        lon: -122.45361,
+        timestamp: 1388617287.352,
+        dwellSeconds: 67.05
+      });
+    });
+  });
+
+  it('forgets removed vehicles without exit events', function() {
+    var events = [];
+    var evaluator = geofences.createEvaluator('sf-muni', geofences.load(fencesFile), function(e) {
+      events.push(e.type);
+    });
+    evaluator.update({ id: '1', lat: 37.7897, lon: -122.3972, timestamp: 1388617200 });
+    evaluator.forget('1');
+    evaluator.update({ id: '1', lat: 37.7, lon: -122.5, timestamp: 1388617260 });
+    evaluator.update({ id: '1', lat: 37.7897, lon: -122.3972, timestamp: 1388617320 });
+    assert.deepEqual(events, ['geofence_enter', 'geofence_enter']);
+  });
+});
@@ -0,0 +1,177 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var gtfsRealtime = require('../gtfsRealtime');
+var waitFor = require('./helpers').waitFor;
+
+var fixtures = path.join(__dirname, '..', 'fixtures', 'gtfs-rt');
+
+/*
+* Minimal Protocol Buffers encoder for feeds which are not in fixtures.
+* Message is an array of [field number, value], value is a string, a boolean, an integer,
+* { float: number } or nested message.
+*/
+var encode = function(fields) {
+  var varint = function(value) {
+    var bytes = [];
+    while (value > 127) {
+      bytes.push((value % 128) | 128);
+      value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+    return new Buffer(bytes);
+  };
+
+  return Buffer.concat(fields.map(function(field) {
+    var number = field[0], value = field[1];
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      return Buffer.concat([varint(number * 8), varint(Number(value))]);
+    }
+    if (value.float !== undefined) {
+      var float = new Buffer(4);
+      float.writeFloatLE(value.float, 0);
+      return Buffer.concat([varint(number * 8 + 5), float]);
+    }
+    var data = typeof value === 'string' ? new Buffer(value, 'utf8') : encode(value);
+    return Buffer.concat([varint(number * 8 + 2), varint(data.length), data]);
+  }));
+};
+
+describe('gtfsRealtime', function() {
+
+  describe('decodeFeed', function() {
+
+    it('decodes vehicle positions to vehicle records', function() {
+      var feed = gtfsRealtime.decodeFeed(fs.readFileSync(path.join(fixtures, 'vehicle-positions-1.pb')));
+      assert.equal(feed.fullDataset, true);
+      assert.deepEqual(feed.deleted, []);
+      assert.equal(feed.records.length, 10);
+      assert.deepEqual(feed.records[0], {
+        id: '8612',
+        lat: 37.775299,
+        lon: -122.465874,
+        heading: 265,
+        speedKmHr: 11,
+        routeTag: '44',
+        tripId: 'trip-44_OB_R',
+        directionId: 0,
+        label: '8612',
+        timestamp: 1388617202
+      });
+    });
+
+    it('reports deleted entities of differential feed', function() {
+      var feed = gtfsRealtime.decodeFeed(encode([
+        [1, [[1, '2.0'], [2, 1], [3, 1388617300]]],
+        [2, [[1, 'entity-5540'], [4, [[2, [[1, { float: 37.8 }], [2, { float: -122.41 }]]], [8, [[1, '5540']]]]]]],
+        [2, [[1, '8612'], [2, true]]]
+      ]));
+      assert.equal(feed.fullDataset, false);
+      assert.deepEqual(feed.records.map(function(record) {
+        return [record.id, record.timestamp];
+      }), [['5540', 1388617300]]);
+      assert.deepEqual(feed.deleted, ['8612']);
+    });
+  });
+
+  describe('observer', function() {
+    this.timeout(5000);
+
+    var directory = path.join(os.tmpdir(), 'routemap-gtfs-rt-' + process.pid);
+    var observer = null;
+
+    beforeEach(function() {
+      fs.mkdirSync(directory);
+    });
+
+    afterEach(function() {
+      observer.shutdown();
+      fs.readdirSync(directory).forEach(function(name) {
+        fs.unlinkSync(path.join(directory, name));
+      });
+      fs.rmdirSync(directory);
+    });
+
+    var copyFixture = function(name, target) {
+      fs.writeFileSync(path.join(directory, target), fs.readFileSync(path.join(fixtures, name)));
+    };
+
+    it('removes vehicles which are missing in full dataset', function(done) {
+      copyFixture('vehicle-positions-1.pb', '1.pb');
+      copyFixture('vehicle-positions-2.pb', '2.pb');
+
+      var records = [];
+      var removed = [];
+      observer = gtfsRealtime.createObserver(directory, { interval: 0.01 });
+      observer.listen(function(record) {
+        records.push(record);
+      }, function(id) {
+        removed.push(id);
+      });
+
+      waitFor(function() {
+        return records.length === 19;
+      }, function(error) {
+        if (error) return done(error);
+        assert.deepEqual(removed, ['7105']);
+        assert.equal(observer.getStatus().activeVehicles, 9);
+        done();
+      });
+    });
+
+    it('removes vehicles with deleted entities in differential feed', function(done) {
+      copyFixture('vehicle-positions-1.pb', '1.pb');
+      fs.writeFileSync(path.join(directory, '2.pb'), encode([
+        [1, [[1, '2.0'], [2, 1], [3, 1388617300]]],
+        [2, [[1, '8612'], [2, true]]]
+      ]));
+
+      var records = 0;
+      var removed = [];
+      observer = gtfsRealtime.createObserver(directory, { interval: 0.01 });
+      observer.listen(function() {
+        records++;
+      }, function(id) {
+        removed.push(id);
+      });
+
+      waitFor(function() {
+        return removed.length > 0;
+      }, function(error) {
+        if (error) return done(error);
+        assert.equal(records, 10);
+        assert.deepEqual(removed, ['8612']);
+        assert.equal(observer.getStatus().activeVehicles, 9);
+        done();
+      });
+    });
+
+    it('counts only vehicles which pass the filter as active', function(done) {
+      copyFixture('vehicle-positions-1.pb', '1.pb');
+      var feed = gtfsRealtime.decodeFeed(fs.readFileSync(path.join(fixtures, 'vehicle-positions-1.pb')));
+      var route = feed.records[0].routeTag;
+      var expected = feed.records.filter(function(record) {
+        return record.routeTag === route;
+      }).length;
+      assert.ok(expected < feed.records.length);
+
+      var records = 0;
+      observer = gtfsRealtime.createObserver(directory, { interval: 0.01, filter: { routes: [route] } });
+      observer.listen(function() {
+        records++;
+      });
+
+      waitFor(function() {
+        return observer.getStatus().filtered > 0;
+      }, function(error) {
+        if (error) return done(error);
+        var status = observer.getStatus();
+        assert.equal(records, expected);
+        assert.equal(status.activeVehicles, expected);
+        assert.equal(status.trackedVehicles, expected);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,277 @@
+var assert = require('assert');
+var fs = require('fs');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var files = require('../files');
+var hecOutput = require('../hecOutput');
+var hecServer = require('../hecServer');
+var waitFor = require('./helpers').waitFor;
+
+var token = '00000000-0000-0000-0000-000000000000';
+
+/*
+* Remove directory with all its content.
+*/
+var removeDirectory = function(directory) {
+  if (!fs.existsSync(directory)) {
+    return;
+  }
+  fs.readdirSync(directory).forEach(function(name) {
+    var file = path.join(directory, name);
+    if (fs.statSync(file).isDirectory()) {
+      removeDirectory(file);
+    } else {
+      fs.unlinkSync(file);
+    }
+  });
+  fs.rmdirSync(directory);
+};
+
+describe('HecOutput', function() {
+  this.timeout(10000);
+
+  var server = null;
+  var output = null;
+  var directory = path.join(os.tmpdir(), 'routemap-hec-' + process.pid);
+  // Parent directories of spool file do not exist yet
+  var spoolFile = path.join(directory, 'state', 'spool', 'hec-spool.ndjson');
+
+  var createOutput = function(options) {
+    options = options || {};
+    output = hecOutput.createOutput({
+      url: options.url || 'http://localhost:' + server.httpServer.address().port,
+      token: options.token || token,
+      index: 'routemap',
+      sourcetype: 'firebase',
+      batchSize: 2,
+      flushInterval: 50,
+      spoolFile: spoolFile,
+      timeout: options.timeout
+    });
+    return output;
+  };
+
+  /*
+  * Write events to spool file the same way output spools them.
+  */
+  var writeSpool = function(ids) {
+    files.makeDirectory(path.dirname(spoolFile));
+    fs.writeFileSync(spoolFile, ids.map(function(id) {
+      return JSON.stringify({ event: { id: id }, index: 'routemap', sourcetype: 'firebase' }) + '\n';
+    }).join(''));
+  };
+
+  /*
+  * Replace console.error with function which collects messages.
+  * @return - { messages, restore: function() }.
+  */
+  var captureErrors = function() {
+    var originalError = console.error;
+    var captured = { messages: [] };
+    console.error = function(message) {
+      captured.messages.push(message);
+    };
+    captured.restore = function() {
+      console.error = originalError;
+    };
+    return captured;
+  };
+
+  var ids = function() {
+    return server.events.map(function(e) {
+      return e.event.id;
+    });
+  };
+
+  beforeEach(function(done) {
+    server = hecServer.createServer(token).listen(0, done);
+  });
+
+  afterEach(function(done) {
+    var finish = function() {
+      removeDirectory(directory);
+      server.close(done);
+    };
+    if (output) {
+      output.close(finish);
+      output = null;
+    } else {
+      finish();
+    }
+  });
+
+  it('spools events when HEC is unavailable and redelivers them in order after backoff', function(done) {
+    var originalError = console.error;
+    var messages = [];
+    console.error = function(message) {
+      messages.push(message);
+    };
+
+    server.failures = 1;
+    createOutput();
+    output.write({ id: 1, timestamp: 1388617200 });
+    output.write({ id: 2, timestamp: 1388617201, event: 'appeared' }, { sourcetype: 'firebase:lifecycle' });
+    output.write({ id: 3, timestamp: 1388617202, event: 'geofence_enter' }, { sourcetype: 'firebase:geofence' });
+
+    waitFor(function() {
+      return server.failures === 0 && fs.existsSync(spoolFile);
+    }, function(error) {
+      if (error) {
+        console.error = originalError;
+        return done(error);
+      }
+
+      var started = Date.now();
+      assert.equal(server.events.length, 0);
+      assert.equal(fs.readFileSync(spoolFile, 'utf8').split('\n').filter(Boolean).length, 3);
+
+      waitFor(function() {
+        return server.events.length === 3;
+      }, function(error) {
+        console.error = originalError;
+        if (error) return done(error);
+
+        // The first retry waits for initial backoff
+        assert.ok(Date.now() - started >= 900, 'retried in ' + (Date.now() - started) + 'ms');
+        assert.ok(/retry in 1000ms/.test(messages[0]), messages[0]);
+        assert.deepEqual(ids(), [1, 2, 3]);
+        assert.deepEqual(server.events.map(function(e) {
+          return e.sourcetype;
+        }), ['firebase', 'firebase:lifecycle', 'firebase:geofence']);
+        assert.equal(server.events[0].time, 1388617200);
+        assert.equal(server.events[0].index, 'routemap');
+
+        waitFor(function() {
+          return !fs.existsSync(spoolFile);
+        }, done);
+      });
+    });
+  });
+
+  it('sends spooled events in batches before new events', function(done) {
+    writeSpool([1, 2, 3, 4, 5]);
+    var positions = [];
+    server.handler = function() {
+      if (fs.existsSync(spoolFile + '.position')) {
+        positions.push(parseInt(fs.readFileSync(spoolFile + '.position', 'utf8'), 10));
+      }
+    };
+
+    createOutput();
+    output.write({ id: 6 });
+
+    waitFor(function() {
+      return server.events.length === 6;
+    }, function(error) {
+      if (error) return done(error);
+      assert.deepEqual(ids(), [1, 2, 3, 4, 5, 6]);
+      // Position moves after each acknowledged batch
+      assert.ok(positions.length > 0);
+      assert.ok(!fs.existsSync(spoolFile));
+      assert.ok(!fs.existsSync(spoolFile + '.position'));
+      done();
+    });
+  });
+
+  it('does not resend events acknowledged before restart', function(done) {
+    writeSpool([1, 2, 3]);
+    fs.writeFileSync(spoolFile + '.position', String(fs.readFileSync(spoolFile, 'utf8').indexOf('\n') + 1));
+
+    createOutput();
+    waitFor(function() {
+      return server.events.length === 2 && !fs.existsSync(spoolFile);
+    }, function(error) {
+      if (error) return done(error);
+      assert.deepEqual(ids(), [2, 3]);
+      done();
+    });
+  });
+
+  it('spools events rejected because of token and sends them when token is accepted', function(done) {
+    var errors = captureErrors();
+    createOutput({ token: '11111111-1111-1111-1111-111111111111' });
+    output.write({ id: 1 });
+    output.write({ id: 2 });
+
+    waitFor(function() {
+      return fs.existsSync(spoolFile);
+    }, function(error) {
+      if (error) {
+        errors.restore();
+        return done(error);
+      }
+      assert.ok(/HEC responded with 403/.test(errors.messages[0]), errors.messages[0]);
+
+      // Token has been fixed on Splunk side
+      server.token = output.options.token;
+      waitFor(function() {
+        return server.events.length === 2 && !fs.existsSync(spoolFile);
+      }, function(error) {
+        errors.restore();
+        if (error) return done(error);
+        assert.deepEqual(ids(), [1, 2]);
+        done();
+      });
+    });
+  });
+
+  it('spools events when HEC does not respond in time', function(done) {
+    var errors = captureErrors();
+    var requests = [];
+    var silentServer = http.createServer(function(request) {
+      requests.push(request);
+    }).listen(0, function() {
+      createOutput({ url: 'http://localhost:' + silentServer.address().port, timeout: 100 });
+      output.write({ id: 1 });
+      output.write({ id: 2 });
+
+      waitFor(function() {
+        return fs.existsSync(spoolFile);
+      }, function(error) {
+        errors.restore();
+        silentServer.close();
+        if (error) return done(error);
+        assert.equal(requests.length, 1);
+        assert.ok(/Request timed out after 100ms/.test(errors.messages[0]), errors.messages[0]);
+        assert.equal(fs.readFileSync(spoolFile, 'utf8').split('\n').filter(Boolean).length, 2);
+        done();
+      });
+    });
+  });
+
+  it('skips truncated lines left in spool by interrupted append', function(done) {
+    var errors = captureErrors();
+    writeSpool([1, 2]);
+    fs.appendFileSync(spoolFile, '{"event": {"id": 3');
+
+    createOutput();
+    waitFor(function() {
+      return server.events.length === 2 && !fs.existsSync(spoolFile);
+    }, function(error) {
+      if (error) {
+        errors.restore();
+        return done(error);
+      }
+
+      // Events spooled later are not glued to truncated line
+      writeSpool([4]);
+      fs.appendFileSync(spoolFile, '{"event": {"id": 5');
+      output.write({ id: 6 });
+      server.failures = 1;
+      output.write({ id: 7 });
+
+      waitFor(function() {
+        return server.events.length === 5 && !fs.existsSync(spoolFile);
+      }, function(error) {
+        errors.restore();
+        if (error) return done(error);
+        assert.deepEqual(ids(), [1, 2, 4, 6, 7]);
+        assert.ok(errors.messages.every(function(message) {
+          return !/dropped/.test(message);
+        }), errors.messages.join('\n'));
+        done();
+      });
+    });
+  });
+});
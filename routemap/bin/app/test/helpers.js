@@ -0,0 +1,17 @@
+/*
+* Invoke callback when condition becomes true, or with error when it does not happen in time.
+* @param timeout - optional, milliseconds (5 seconds by default).
+*/
+exports.waitFor = function(condition, callback, timeout) {
+  var started = Date.now();
+  var check = function() {
+    if (condition()) {
+      callback();
+    } else if (Date.now() - started > (timeout || 5000)) {
+      callback(new Error('Condition has not been met in ' + (timeout || 5000) + 'ms'));
+    } else {
+      setTimeout(check, 10);
+    }
+  };
+  check();
+};
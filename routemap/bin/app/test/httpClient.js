@@ -0,0 +1,52 @@
+var assert = require('assert');
+var http = require('http');
+var httpClient = require('../httpClient');
+
+describe('httpClient', function() {
+
+  var server = null;
+  var port = null;
+
+  before(function(done) {
+    server = http.createServer(function(request, response) {
+      if (request.url === '/slow') {
+        // Never respond, client should give up
+        return;
+      }
+      response.writeHead(request.url === '/missing' ? 404 : 200);
+      response.end('content');
+    });
+    server.listen(0, function() {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  it('downloads content', function(done) {
+    httpClient.get('http://localhost:' + port + '/', function(error, buffer) {
+      assert.ifError(error);
+      assert.equal(buffer.toString('utf8'), 'content');
+      done();
+    });
+  });
+
+  it('reports responses other than 200 as errors', function(done) {
+    httpClient.get('http://localhost:' + port + '/missing', function(error) {
+      assert.equal(error.message, 'Server responded with 404');
+      done();
+    });
+  });
+
+  it('aborts request on timeout', function(done) {
+    var started = Date.now();
+    httpClient.get('http://localhost:' + port + '/slow', function(error) {
+      assert.equal(error.message, 'Request timed out after 100ms');
+      assert.ok(Date.now() - started < 1000);
+      done();
+    }, 100);
+  });
+});
@@ -0,0 +1,72 @@
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var firebaseServer = require('../firebaseServer');
+var ingestion = require('../ingestion');
+var waitFor = require('./helpers').waitFor;
+
+var fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'sf-muni.json'), 'utf8'));
+
+describe('ingestion', function() {
+  this.timeout(5000);
+
+  var server = null;
+  var feeds = null;
+
+  before(function(done) {
+    server = firebaseServer.createServer(JSON.parse(JSON.stringify(fixture))).listen(0, done);
+  });
+
+  after(function(done) {
+    ingestion.stop(feeds);
+    server.close(done);
+  });
+
+  it('emits records of Firebase source in batch mode one by one', function(done) {
+    var config = {
+      sources: [{
+        type: 'firebase',
+        name: 'sf-muni',
+        url: 'http://127.0.1:' + server.httpServer.address().port,
+        child: 'sf-muni/vehicles',
+        mode: 'streaming',
+        enabled: true,
+        dedupe: true,
+        batch: true
+      }],
+      kinematics: { enabled: true, maxSpeedKmHr: 160 },
+      lifecycle: { enabled: true, staleTimeout: 300 }
+    };
+    var events = [];
+    var lifecycleEvents = [];
+
+    feeds = ingestion.start(config, function(e) {
+      events.push(e);
+    }, {
+      lifecycle: function(e) {
+        lifecycleEvents.push(e);
+      }
+    });
+
+    var ids = Object.keys(fixture['sf-muni'].vehicles).sort();
+    waitFor(function() {
+      return events.length === ids.length;
+    }, function(error) {
+      if (error) return done(error);
+      events.forEach(function(e) {
+        assert.ok(!Array.isArray(e));
+        assert.equal(e.feed, 'sf-muni');
+        assert.equal(typeof e.fixTime, 'number');
+      });
+      assert.deepEqual(events.map(function(e) {
+        return e.id;
+      }).sort(), ids);
+      assert.deepEqual(lifecycleEvents.map(function(e) {
+        return e.state + ' ' + e.id;
+      }).sort(), ids.map(function(id) {
+        return 'appeared ' + id;
+      }));
+      done();
+    });
+  });
+});
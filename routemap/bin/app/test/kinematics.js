@@ -0,0 +1,93 @@
+var assert = require('assert');
+var geo = require('../geo');
+var kinematics = require('../kinematics');
+
+// Latitude difference (degrees) of 1 meter move to the north.
+var meter = 180 / Math.PI / geo.earthRadius;
+
+/*
+* Record of vehicle `distance` meters to the north of the start point.
+*/
+var record = function(distance, timestamp, fields) {
+  var e = { id: '8612', lat: 37.7753 + distance * meter, lon: -122.46587, timestamp: timestamp };
+  for (var name in fields) {
+    if (fields.hasOwnProperty(name)) {
+      e[name] = fields[name];
+    }
+  }
+  return e;
+};
+
+describe('kinematics', function() {
+
+  it('derives speed from real time between fixes', function() {
+    var enricher = kinematics.createEnricher({ maxSpeedKmHr: 160 });
+    enricher.enrich(record(0, 1000));
+    var e = enricher.enrich(record(55, 1004));
+
+    assert.equal(e.distanceSinceLastFix, 55);
+    // 55 m in 4 s
+    assert.equal(e.speedKmHr, 49.5);
+    assert.equal(e.speedDerived, true);
+    assert.equal(e.heading, 0);
+    assert.equal(e.headingDerived, true);
+    assert.equal(e.impossibleJump, false);
+  });
+
+  it('subtracts secsSinceReport from timestamp', function() {
+    var enricher = kinematics.createEnricher();
+    enricher.enrich(record(0, 1000, { secsSinceReport: 5 }));
+    var e = enricher.enrich(record(100, 1020, { secsSinceReport: 5 }));
+
+    assert.equal(e.fixTime, 1015);
+    assert.equal(e.speedKmHr, 18);
+  });
+
+  it('does not derive speed or flag jumps for fixes too close in time', function() {
+    var enricher = kinematics.createEnricher({ maxSpeedKmHr: 160 });
+    enricher.enrich(record(0, 1000));
+    var e = enricher.enrich(record(100, 1001));
+
+    assert.equal(e.distanceSinceLastFix, 100);
+    assert.equal(e.speedKmHr, undefined);
+    assert.equal(e.speedDerived, undefined);
+    assert.equal(e.impossibleJump, false);
+  });
+
+  it('keeps speed and heading of record', function() {
+    var enricher = kinematics.createEnricher();
+    enricher.enrich(record(0, 1000));
+    var e = enricher.enrich(record(55, 1004, { speedKmHr: 48, heading: 2 }));
+
+    assert.equal(e.speedKmHr, 48);
+    assert.equal(e.heading, 2);
+    assert.equal(e.speedDerived, undefined);
+    assert.equal(e.headingDerived, undefined);
+  });
+
+  it('flags impossible jump and keeps the last good fix', function() {
+    var enricher = kinematics.createEnricher({ maxSpeedKmHr: 160 });
+    enricher.enrich(record(0, 1000));
+
+    // 5 km in 10 s
+    var jump = enricher.enrich(record(5000, 1010));
+    assert.equal(jump.impossibleJump, true);
+    assert.equal(jump.speedDerived, undefined);
+
+    // The next fix is compared with the fix before jump
+    var e = enricher.enrich(record(200, 1020));
+    assert.equal(e.impossibleJump, false);
+    assert.equal(e.distanceSinceLastFix, 200);
+    assert.equal(e.speedKmHr, 36);
+  });
+
+  it('starts over for forgotten vehicle', function() {
+    var enricher = kinematics.createEnricher();
+    enricher.enrich(record(0, 1000));
+    enricher.forget('8612');
+    var e = enricher.enrich(record(5000, 1010));
+
+    assert.equal(e.distanceSinceLastFix, undefined);
+    assert.equal(e.impossibleJump, undefined);
+  });
+});
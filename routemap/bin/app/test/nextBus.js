@@ -0,0 +1,129 @@
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var nextBus = require('../nextBus');
+var nextBusServer = require('../nextBusServer');
+var waitFor = require('./helpers').waitFor;
+
+var fixture = path.join(__dirname, '..', 'fixtures', 'nextbus-vehicleLocations.xml');
+
+describe('nextBus', function() {
+
+  describe('parseVehicleLocations', function() {
+
+    it('parses vehicles and lastTime', function() {
+      var response = nextBus.parseVehicleLocations(fs.readFileSync(fixture, 'utf8'));
+      assert.equal(response.error, null);
+      assert.equal(response.lastTime, 1388617222273);
+      assert.equal(response.vehicles.length, 10);
+      assert.deepEqual(response.vehicles[0], {
+        id: '8612',
+        routeTag: '44',
+        dirTag: '44_OB_R',
+        lat: '37.7753',
+        lon: '-122.46587',
+        secsSinceReport: '7',
+        predictable: 'true',
+        heading: '265',
+        speedKmHr: '11'
+      });
+    });
+
+    it('parses error', function() {
+      var response = nextBus.parseVehicleLocations('<?xml version="1.0" encoding="utf-8" ?>\n<body>\n' +
+        '<Error shouldRetry="false">Agency parameter "a=unknown" is not valid.</Error>\n</body>\n');
+      assert.equal(response.error, 'Agency parameter "a=unknown" is not valid.');
+      assert.deepEqual(response.vehicles, []);
+      assert.equal(response.lastTime, null);
+    });
+  });
+
+  describe('observer', function() {
+    this.timeout(5000);
+
+    var server = null;
+    var observer = null;
+    var requests = [];
+
+    before(function(done) {
+      server = nextBusServer.createServer({ fixture: fixture }).listen(0, done);
+      server.httpServer.on('request', function(request) {
+        requests.push(url.parse(request.url, true).query);
+      });
+    });
+
+    afterEach(function() {
+      observer.shutdown();
+    });
+
+    after(function(done) {
+      server.close(done);
+    });
+
+    it('sets timestamp of records from lastTime and asks only for newer vehicles', function(done) {
+      var records = [];
+      observer = nextBus.createObserver('http://localhost:' + server.httpServer.address().port + '/service/publicXMLFeed', {
+        agency: 'sf-muni',
+        interval: 0.01,
+        dedupe: false
+      });
+      observer.listen(function(record) {
+        records.push(record);
+      });
+
+      waitFor(function() {
+        return requests.length >= 2;
+      }, function(error) {
+        if (error) return done(error);
+
+        assert.equal(requests[0].a, 'sf-muni');
+        assert.equal(requests[0].t, '0');
+        assert.equal(requests[1].t, '1388617222273');
+
+        var first = records.slice(0, 10);
+        first.forEach(function(record) {
+          assert.equal(record.timestamp, 1388617222.273);
+        });
+        assert.deepEqual(first[0], {
+          id: '8612',
+          routeTag: '44',
+          dirTag: '44_OB_R',
+          lat: 37.7753,
+          lon: -122.46587,
+          secsSinceReport: 7,
+          predictable: true,
+          heading: 265,
+          speedKmHr: 11,
+          timestamp: 1388617222.273
+        });
+        done();
+      });
+    });
+
+    it('counts only vehicles which pass the filter as active', function(done) {
+      var expected = nextBus.parseVehicleLocations(fs.readFileSync(fixture, 'utf8')).vehicles.filter(function(vehicle) {
+        return vehicle.routeTag === '44';
+      }).length;
+      var records = 0;
+      observer = nextBus.createObserver('http://localhost:' + server.httpServer.address().port + '/service/publicXMLFeed', {
+        agency: 'sf-muni',
+        interval: 0.01,
+        filter: { routes: ['44'] }
+      });
+      observer.listen(function() {
+        records++;
+      });
+
+      waitFor(function() {
+        return observer.getStatus().filtered > 0;
+      }, function(error) {
+        if (error) return done(error);
+        assert.ok(expected > 0);
+        assert.equal(records, expected);
+        assert.equal(observer.getStatus().activeVehicles, expected);
+        done();
+      });
+    });
+  });
+});
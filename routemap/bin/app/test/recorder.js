@@ -0,0 +1,109 @@
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var firebaseServer = require('../firebaseServer');
+var waitFor = require('./helpers').waitFor;
+
+var recorderScript = path.join(__dirname, '..', 'recorder.js');
+var fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'sf-muni.json'), 'utf8'));
+
+/*
+* Read non empty lines of file.
+*/
+var readLines = function(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8').split('\n').filter(function(line) {
+    return line.length > 0;
+  });
+};
+
+describe('recorder', function() {
+  this.timeout(10000);
+
+  var file = path.join(os.tmpdir(), 'recorder-test-' + process.pid + '.ndjson');
+
+  afterEach(function() {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  });
+
+  describe('record', function() {
+    var server = null;
+
+    before(function(done) {
+      server = firebaseServer.createServer(JSON.parse(JSON.stringify(fixture))).listen(0, done);
+    });
+
+    after(function(done) {
+      server.close(done);
+    });
+
+    it('closes file with complete lines on SIGTERM', function(done) {
+      var ids = Object.keys(fixture['sf-muni'].vehicles);
+      var recorder = childProcess.spawn(process.execPath, [recorderScript,
+        '--record', file,
+        '--url', 'http://127.0.1:' + server.httpServer.address().port,
+        '--child', 'sf-muni/vehicles',
+        '--name', 'sf-muni'
+      ], { stdio: ['ignore', 'ignore', 'pipe'] });
+      var exitCode = null;
+      var stderr = '';
+
+      recorder.stderr.on('data', function(data) {
+        stderr += data;
+      });
+      recorder.on('exit', function(code) {
+        exitCode = code;
+      });
+
+      waitFor(function() {
+        return readLines(file).length === ids.length;
+      }, function(error) {
+        if (error) {
+          recorder.kill('SIGKILL');
+          return done(error);
+        }
+        recorder.kill('SIGTERM');
+        waitFor(function() {
+          return exitCode !== null;
+        }, function(error) {
+          if (error) return done(error);
+          assert.equal(exitCode, 0);
+          assert.ok(stderr.indexOf('Received SIGTERM') >= 0);
+          assert.deepEqual(readLines(file).map(function(line) {
+            return JSON.parse(line).event.id;
+          }).sort(), ids.sort());
+          done();
+        });
+      });
+    });
+  });
+
+  describe('replay', function() {
+    it('skips invalid lines', function(done) {
+      fs.writeFileSync(file, [
+        JSON.stringify({ receivedAt: 1000, event: { id: 'a' } }),
+        'not json',
+        JSON.stringify({ receivedAt: 2000, event: { id: 'b' } }),
+        '{"receivedAt": 3000, "event": {"id"'
+      ].join('\n'));
+
+      childProcess.execFile(process.execPath, [recorderScript, '--replay', file, '--speed', 'max'], function(error, stdout, stderr) {
+        if (error) return done(error);
+        assert.deepEqual(stdout.split('\n').filter(function(line) {
+          return line.length > 0;
+        }).map(function(line) {
+          return JSON.parse(line).id;
+        }), ['a', 'b']);
+        assert.ok(stderr.indexOf('Skipping invalid line 2 of') >= 0);
+        assert.ok(stderr.indexOf('Skipping invalid line 4 of') >= 0);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,84 @@
+var geo = require('./geo');
+
+/*
+* Filters vehicle records by route and location, counts vehicles which pass the filter
+* and records which have been filtered out.
+*
+* @param spec - { routes: [allowed route tags], excludeRoutes: [denied route tags],
+*   bbox: [minLon, minLat, maxLon, maxLat], polygon: [[lon, lat], ...] }, all fields are optional.
+*   Records without coordinates never pass location filters.
+*/
+var VehicleFilter = function(spec) {
+
+  // Fields
+
+  this.spec = spec || {};
+  this.tracked = {};
+  this.filtered = 0;
+
+  // Private methods
+
+  var matches = function(data) {
+    var spec = this.spec;
+    var route = data.routeTag === undefined ? undefined : String(data.routeTag);
+
+    if (spec.routes && spec.routes.length > 0 && spec.routes.indexOf(route) === -1) {
+      return false;
+    }
+    if (spec.excludeRoutes && spec.excludeRoutes.indexOf(route) !== -1) {
+      return false;
+    }
+
+    if (spec.bbox || spec.polygon) {
+      var lat = parseFloat(data.lat);
+      var lon = parseFloat(data.lon);
+      if (isNaN(lat) || isNaN(lon)) {
+        return false;
+      }
+      if (spec.bbox && (lon < spec.bbox[0] || lat < spec.bbox[1] || lon > spec.bbox[2] || lat > spec.bbox[3])) {
+        return false;
+      }
+      if (spec.polygon && !geo.pointInPolygon(lon, lat, spec.polygon)) {
+        return false;
+      }
+    }
+
+    return true;
+  }.bind(this);
+
+  // Public methods
+
+  /*
+  * Check record of vehicle with specified key. Vehicle is tracked while its last record passes the filter.
+  * @return - false when record has been filtered out.
+  */
+  this.accept = function(key, data) {
+    if (matches(data)) {
+      this.tracked[key] = true;
+      return true;
+    }
+    delete this.tracked[key];
+    this.filtered++;
+    return false;
+  }.bind(this);
+
+  /*
+  * Vehicle has been removed from feed.
+  */
+  this.forget = function(key) {
+    delete this.tracked[key];
+  }.bind(this);
+
+  /*
+  * Gets number of tracked vehicles.
+  */
+  this.trackedCount = function() {
+    return Object.keys(this.tracked).length;
+  }.bind(this);
+};
+
+// Exports
+
+exports.createFilter = function(spec) {
+  return new VehicleFilter(spec);
+};
@@ -0,0 +1,70 @@
+/*
+* Minimal helpers for flat XML documents (NextBus feed, Splunk modular input configuration).
+*/
+
+/*
+* Decode XML entities.
+*/
+var decodeEntities = function(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#(\d+);/g, function(match, code) {
+      return String.fromCharCode(parseInt(code, 10));
+    })
+    .replace(/&amp;/g, '&');
+};
+
+/*
+* Escape value for XML text or attribute.
+*/
+exports.escape = function(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+};
+
+/*
+* Parse attributes of XML element, for example `id="1" lat="2"`.
+*/
+var parseAttributes = function(text) {
+  var attributes = {};
+  var regex = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  var match;
+  while ((match = regex.exec(text)) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+};
+
+/*
+* Find all elements with specified name (elements of the same name should not be nested).
+* @return - array of { attributes: [object], content: [inner XML, empty for self-closing elements] }.
+*/
+exports.elements = function(xml, name) {
+  var regex = new RegExp('<' + name + '(\\s[^>]*?)?(/>|>([\\s\\S]*?)</' + name + '\\s*>)', 'g');
+  var result = [];
+  var match;
+  while ((match = regex.exec(xml)) !== null) {
+    result.push({
+      attributes: parseAttributes(match[1] || ''),
+      content: match[3] || ''
+    });
+  }
+  return result;
+};
+
+/*
+* Gets decoded text of the first element with specified name or null.
+*/
+exports.text = function(xml, name) {
+  var element = exports.elements(xml, name)[0];
+  return element ? decodeEntities(element.content.trim()) : null;
+};
+
+exports.decodeEntities = decodeEntities;
+exports.parseAttributes = parseAttributes;
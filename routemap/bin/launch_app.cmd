@@ -1 +1 @@
-"%SPLUNK_HOME%\bin\splunk" cmd node "%~dp0\app\app.js"
\ No newline at end of file
+"%SPLUNK_HOME%\bin\splunk" cmd node "%~dp0\app\app.js" %*
\ No newline at end of file
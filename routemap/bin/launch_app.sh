@@ -1,4 +1,5 @@
 #!/bin/bash  
 
 current_dir=$(dirname "$0")
-"$SPLUNK_HOME/bin/splunk" cmd node "$current_dir/app/app.js"
\ No newline at end of file
+# exec, so signals from Splunk (SIGTERM on stop) reach node
+exec "$SPLUNK_HOME/bin/splunk" cmd node "$current_dir/app/app.js" "$@"
\ No newline at end of file
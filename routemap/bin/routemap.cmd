@@ -0,0 +1 @@
+"%SPLUNK_HOME%\bin\splunk" cmd node "%~dp0\app\modularInput.js" %*
\ No newline at end of file
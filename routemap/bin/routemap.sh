@@ -0,0 +1,5 @@
+#!/bin/bash
+
+current_dir=$(dirname "$0")
+# exec, so signals from Splunk (SIGTERM on stop) reach node
+exec "$SPLUNK_HOME/bin/splunk" cmd node "$current_dir/app/modularInput.js" "$@"
\ No newline at end of file
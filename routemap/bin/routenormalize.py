@@ -0,0 +1,111 @@
+# routenormalize.py
+#
+# Custom search command which prepares results for showing on map:
+#
+#   ... | routenormalize [ts=_time] [lat=lat] [lon=lon] [groupby="field1,field2,..."] [invalid=drop|tag]
+#
+# Results are sorted by time stamp, time stamp and coordinates are renamed to point__ts__,
+# point__lat__, point__lon__ and every group field is renamed to group__<field>.
+# Rows without numeric time stamp or with coordinates out of range are dropped (invalid=drop)
+# or kept with the reason in point__error__ field (invalid=tag), map skips such rows.
+# Internal fields (like _raw) are removed, all other fields are kept as they are.
+
+import math
+
+POINT_TS = 'point__ts__'
+POINT_LAT = 'point__lat__'
+POINT_LON = 'point__lon__'
+POINT_ERROR = 'point__error__'
+GROUP_PREFIX = 'group__'
+
+INVALID_MODES = ('drop', 'tag')
+
+
+def parse_number(value):
+    # Multivalue fields are not points
+    if isinstance(value, list):
+        return None
+    try:
+        number = float(value)
+    except (TypeError, ValueError):
+        return None
+    if math.isnan(number) or math.isinf(number):
+        return None
+    return number
+
+
+def parse_groupby(value):
+    return [field.strip() for field in (value or '').split(',') if field.strip()]
+
+
+def validate(ts, lat, lon):
+    # Returns reason why point is invalid or None
+    if ts is None:
+        return 'invalid time stamp'
+    if lat is None or lon is None:
+        return 'invalid coordinates'
+    if lat < -90 or lat > 90:
+        return 'latitude out of range'
+    if lon < -180 or lon > 180:
+        return 'longitude out of range'
+    return None
+
+
+def normalize(results, ts='_time', lat='lat', lon='lon', groupby=None, invalid='drop'):
+    groupby = groupby or []
+    renamed = set([ts, lat, lon] + groupby)
+    points = []
+
+    for result in results:
+        point_ts = parse_number(result.get(ts))
+        point_lat = parse_number(result.get(lat))
+        point_lon = parse_number(result.get(lon))
+        error = validate(point_ts, point_lat, point_lon)
+        if error and invalid == 'drop':
+            continue
+
+        point = {}
+        for key, value in result.items():
+            if key not in renamed and not key.startswith('_'):
+                point[key] = value
+        for field in groupby:
+            if field in result:
+                point[GROUP_PREFIX + field] = result[field]
+
+        # Parsed values, so map and routetrips do not parse them again, invalid ones are kept as they are
+        point[POINT_TS] = result.get(ts, '') if point_ts is None else point_ts
+        point[POINT_LAT] = result.get(lat, '') if point_lat is None else point_lat
+        point[POINT_LON] = result.get(lon, '') if point_lon is None else point_lon
+        if error:
+            point[POINT_ERROR] = error
+
+        points.append((point_ts, point))
+
+    # Sort is stable, so points with the same time stamp keep their order, invalid points go first
+    points.sort(key=lambda item: (item[0] is not None, item[0]))
+    return [point for _, point in points]
+
+
+def main():
+    import splunk.Intersplunk as si
+
+    keywords, options = si.getKeywordsAndOptions()
+    unknown = [key for key in options if key not in ('ts', 'lat', 'lon', 'groupby', 'invalid')]
+    if keywords or unknown:
+        si.parseError('Usage: routenormalize [ts=field] [lat=field] [lon=field] [groupby="field1,field2"] [invalid=drop|tag]')
+    invalid = options.get('invalid', 'drop')
+    if invalid not in INVALID_MODES:
+        si.parseError('Option invalid should be drop or tag')
+
+    results, dummyresults, settings = si.getOrganizedResults()
+    si.outputResults(normalize(
+        results,
+        ts=options.get('ts', '_time'),
+        lat=options.get('lat', 'lat'),
+        lon=options.get('lon', 'lon'),
+        groupby=parse_groupby(options.get('groupby')),
+        invalid=invalid))
+
+
+if __name__ == '__main__':
+    main()
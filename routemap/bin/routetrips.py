@@ -0,0 +1,205 @@
+# routetrips.py
+#
+# Custom search command which splits points of every object into trips:
+#
+#   ... | routenormalize ... | routetrips [gap=300] [dwell=600] [radius=50] [direction=dirTag] [minpoints=2]
+#
+# Input is the output of routenormalize, object is identified by group__* fields. New trip starts when
+# time between two points is longer than `gap` seconds, after object stays within `radius` meters
+# for `dwell` seconds or longer (points of the dwell do not belong to any trip) or when value of
+# `direction` field changes (for values like 44_IB1 and 44_OB1 only _IB / _OB part is compared).
+# Command emits one row per trip with group__* fields and
+#   trip - number of trip of the object, starts from 1,
+#   start_time, end_time, duration - time stamps and duration in seconds,
+#   start_lat, start_lon, end_lat, end_lon - first and last point,
+#   distance - meters, avg_speed, max_speed - km/h (max speed is between two consecutive points),
+#   points - number of points, end_reason - gap, dwell, direction or end (no more points),
+#   polyline - encoded polyline (https://developers.google.com/maps/documentation/utilities/polylinealgorithm).
+
+import math
+import re
+
+from routenormalize import GROUP_PREFIX, POINT_ERROR, POINT_LAT, POINT_LON, POINT_TS, parse_number
+
+# Mean Earth radius in meters, the same as in bin/app/geo.js
+EARTH_RADIUS = 6371008.8
+
+DIRECTION_PATTERN = re.compile(r'_(IB|OB)')
+
+OPTIONS = {
+    'gap': 300.0,
+    'dwell': 600.0,
+    'radius': 50.0,
+    'minpoints': 2
+}
+
+
+def distance(lat1, lon1, lat2, lon2):
+    # Haversine distance in meters
+    phi1 = math.radians(lat1)
+    phi2 = math.radians(lat2)
+    a = math.sin((phi2 - phi1) / 2) ** 2 + \
+        math.cos(phi1) * math.cos(phi2) * math.sin(math.radians(lon2 - lon1) / 2) ** 2
+    return 2 * EARTH_RADIUS * math.asin(min(1.0, math.sqrt(a)))
+
+
+def encode_polyline(points):
+    # Encode [(lat, lon), ...] with precision of 5 digits
+    result = []
+    previous = (0, 0)
+    for lat, lon in points:
+        current = (int(round(lat * 1e5)), int(round(lon * 1e5)))
+        for delta in (current[0] - previous[0], current[1] - previous[1]):
+            value = ~(delta << 1) if delta < 0 else delta << 1
+            while value >= 0x20:
+                result.append(chr((0x20 | (value & 0x1f)) + 63))
+                value >>= 5
+            result.append(chr(value + 63))
+        previous = current
+    return ''.join(result)
+
+
+def direction_of(value):
+    if value is None or isinstance(value, list):
+        return None
+    match = DIRECTION_PATTERN.search(value)
+    return match.group(1) if match else value
+
+
+def to_points(results, direction):
+    # Group valid points by object, key is the tuple of group fields
+    groups = {}
+    order = []
+    for result in results:
+        if result.get(POINT_ERROR):
+            continue
+        ts = parse_number(result.get(POINT_TS))
+        lat = parse_number(result.get(POINT_LAT))
+        lon = parse_number(result.get(POINT_LON))
+        if ts is None or lat is None or lon is None:
+            continue
+
+        fields = tuple(sorted((key, value) for key, value in result.items()
+                              if key.startswith(GROUP_PREFIX) and not isinstance(value, list)))
+        if fields not in groups:
+            groups[fields] = []
+            order.append(fields)
+        groups[fields].append({
+            'ts': ts,
+            'lat': lat,
+            'lon': lon,
+            'direction': direction_of(result.get(direction)) if direction else None
+        })
+
+    for fields in order:
+        groups[fields].sort(key=lambda point: point['ts'])
+    return [(fields, groups[fields]) for fields in order]
+
+
+def summarize(fields, number, points, reason):
+    trip = dict(fields)
+    duration = points[-1]['ts'] - points[0]['ts']
+    total = 0.0
+    max_speed = 0.0
+    for previous, point in zip(points, points[1:]):
+        meters = distance(previous['lat'], previous['lon'], point['lat'], point['lon'])
+        total += meters
+        seconds = point['ts'] - previous['ts']
+        if seconds > 0:
+            max_speed = max(max_speed, meters / seconds * 3.6)
+
+    trip.update({
+        'trip': number,
+        'start_time': points[0]['ts'],
+        'end_time': points[-1]['ts'],
+        'duration': round(duration, 3),
+        'start_lat': points[0]['lat'],
+        'start_lon': points[0]['lon'],
+        'end_lat': points[-1]['lat'],
+        'end_lon': points[-1]['lon'],
+        'distance': round(total, 1),
+        'avg_speed': round(total / duration * 3.6, 1) if duration > 0 else 0.0,
+        'max_speed': round(max_speed, 1),
+        'points': len(points),
+        'end_reason': reason,
+        'polyline': encode_polyline([(point['lat'], point['lon']) for point in points])
+    })
+    return trip
+
+
+def split(points, gap, dwell, radius):
+    # Yields (points of trip, reason why trip ended)
+    def close(trip, anchor):
+        # Long dwell at the end does not belong to the trip
+        return trip[:anchor + 1] if trip[-1]['ts'] - trip[anchor]['ts'] >= dwell else trip
+
+    trip = [points[0]]
+    # Index of the point in trip where object stopped moving
+    anchor = 0
+    for point in points[1:]:
+        previous = trip[-1]
+        if point['ts'] - previous['ts'] > gap:
+            yield close(trip, anchor), 'gap'
+            trip, anchor = [point], 0
+            continue
+        if point['direction'] is not None and previous['direction'] is not None and \
+                point['direction'] != previous['direction']:
+            yield close(trip, anchor), 'direction'
+            trip, anchor = [point], 0
+            continue
+
+        stopped = trip[anchor]
+        if distance(stopped['lat'], stopped['lon'], point['lat'], point['lon']) <= radius:
+            trip.append(point)
+            continue
+
+        # Object moved away, long dwell ends the trip at the point where object stopped
+        if previous['ts'] - stopped['ts'] >= dwell:
+            yield trip[:anchor + 1], 'dwell'
+            trip = [previous]
+        trip.append(point)
+        anchor = len(trip) - 1
+
+    yield close(trip, anchor), 'end'
+
+
+def segment(results, gap=OPTIONS['gap'], dwell=OPTIONS['dwell'], radius=OPTIONS['radius'],
+            direction='dirTag', minpoints=OPTIONS['minpoints']):
+    trips = []
+    for fields, points in to_points(results, direction):
+        number = 0
+        for trip, reason in split(points, gap, dwell, radius):
+            if len(trip) >= minpoints:
+                number += 1
+                trips.append(summarize(fields, number, trip, reason))
+    return trips
+
+
+def main():
+    import splunk.Intersplunk as si
+
+    usage = 'Usage: routetrips [gap=seconds] [dwell=seconds] [radius=meters] [direction=field] [minpoints=n]'
+    keywords, options = si.getKeywordsAndOptions()
+    unknown = [key for key in options if key not in OPTIONS and key != 'direction']
+    if keywords or unknown:
+        si.parseError(usage)
+
+    values = {}
+    for key, default in OPTIONS.items():
+        value = parse_number(options.get(key, default))
+        if value is None or value < 0:
+            si.parseError(usage)
+        values[key] = value
+
+    results, dummyresults, settings = si.getOrganizedResults()
+    si.outputResults(segment(
+        results,
+        gap=values['gap'],
+        dwell=values['dwell'],
+        radius=values['radius'],
+        direction=options.get('direction', 'dirTag'),
+        minpoints=values['minpoints']))
+
+
+if __name__ == '__main__':
+    main()
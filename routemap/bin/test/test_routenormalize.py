@@ -0,0 +1,88 @@
+# Tests of routenormalize search command, run from routemap/bin:
+#
+#   python -m unittest discover -s test
+
+import csv
+import os
+import sys
+import unittest
+
+sys.path.insert(0, os.path.join(os.path.dirname(os.path.abspath(__file__)), '..'))
+
+from routenormalize import normalize, parse_groupby
+
+FIXTURE = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'fixtures', 'points.csv')
+
+
+def load_fixture():
+    # Splunk passes all field values to search commands as strings, the same as csv module reads them
+    with open(FIXTURE) as stream:
+        return [dict(row) for row in csv.DictReader(stream)]
+
+
+class NormalizeTest(unittest.TestCase):
+
+    def test_sorts_points_and_renames_fields(self):
+        points = normalize(load_fixture(), groupby=['id'])
+
+        self.assertEqual(len(points), 17)
+        times = [point['point__ts__'] for point in points]
+        self.assertEqual(times, sorted(times))
+
+        first = points[0]
+        self.assertEqual(first['group__id'], '8612')
+        self.assertEqual(first['routeTag'], '44')
+        self.assertEqual(first['dirTag'], '44_OB_R')
+        for field in ('id', 'lat', 'lon', '_time', '_raw'):
+            self.assertNotIn(field, first)
+
+    def test_emits_numeric_values(self):
+        first = normalize(load_fixture(), groupby=['id'])[0]
+
+        self.assertEqual(first['point__ts__'], 1000.0)
+        self.assertEqual(first['point__lat__'], 37.77)
+        self.assertEqual(first['point__lon__'], -122.46)
+        for field in ('point__ts__', 'point__lat__', 'point__lon__'):
+            self.assertIsInstance(first[field], float)
+
+    def test_keeps_points_with_same_time_in_order(self):
+        points = normalize(load_fixture(), groupby=['id'])
+        same_time = [point['group__id'] for point in points if point['point__ts__'] == 1060.0]
+
+        self.assertEqual(same_time, ['8612', '8107'])
+
+    def test_tags_invalid_points(self):
+        points = normalize(load_fixture(), groupby=['id'], invalid='tag')
+
+        self.assertEqual(len(points), 18)
+        invalid = [point for point in points if 'point__error__' in point]
+        self.assertEqual(len(invalid), 1)
+        self.assertEqual(invalid[0]['point__error__'], 'invalid coordinates')
+        # Values which could not be parsed are kept as they are
+        self.assertEqual(invalid[0]['point__lat__'], 'n/a')
+        self.assertEqual(invalid[0]['point__lon__'], -122.3903)
+        self.assertEqual(invalid[0]['point__ts__'], 1100.0)
+
+    def test_puts_points_without_time_stamp_first(self):
+        rows = load_fixture()
+        rows[-1]['_time'] = ''
+        points = normalize(rows, groupby=['id'], invalid='tag')
+
+        self.assertEqual(points[0]['point__error__'], 'invalid time stamp')
+        self.assertEqual(points[0]['point__ts__'], '')
+
+    def test_uses_custom_fields(self):
+        rows = [{'time': '10', 'y': '1.5', 'x': '2.5', 'route': '44', 'vehicle': '8612'}]
+        points = normalize(rows, ts='time', lat='y', lon='x', groupby=parse_groupby('route, vehicle'))
+
+        self.assertEqual(points, [{
+            'group__route': '44',
+            'group__vehicle': '8612',
+            'point__ts__': 10.0,
+            'point__lat__': 1.5,
+            'point__lon__': 2.5
+        }])
+
+
+if __name__ == '__main__':
+    unittest.main()
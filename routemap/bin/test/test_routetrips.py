@@ -0,0 +1,82 @@
+# Tests of routetrips search command, run from routemap/bin:
+#
+#   python -m unittest discover -s test
+
+import csv
+import os
+import sys
+import unittest
+
+sys.path.insert(0, os.path.join(os.path.dirname(os.path.abspath(__file__)), '..'))
+
+from routenormalize import normalize
+from routetrips import distance, encode_polyline, segment
+
+FIXTURE = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'fixtures', 'points.csv')
+
+
+def load_points():
+    # The same as `... | routenormalize groupby=id | routetrips`
+    with open(FIXTURE) as stream:
+        return normalize([dict(row) for row in csv.DictReader(stream)], groupby=['id'])
+
+
+def trips_of(trips, vehicle):
+    return [trip for trip in trips if trip['group__id'] == vehicle]
+
+
+class SegmentTest(unittest.TestCase):
+
+    def test_splits_trips_on_gap_and_direction(self):
+        trips = trips_of(segment(load_points()), '8612')
+
+        self.assertEqual([(trip['trip'], trip['start_time'], trip['end_time'], trip['end_reason']) for trip in trips], [
+            (1, 1000.0, 1120.0, 'gap'),
+            (2, 2000.0, 2060.0, 'direction'),
+            (3, 2120.0, 2180.0, 'end')
+        ])
+
+    def test_leaves_dwell_out_of_trips(self):
+        # Vehicle 7105 does not report for 420 seconds during its dwell
+        trips = trips_of(segment(load_points(), gap=600), '7105')
+
+        self.assertEqual([(trip['start_time'], trip['end_time'], trip['points'], trip['end_reason']) for trip in trips], [
+            (3000.0, 3120.0, 3, 'dwell'),
+            (3840.0, 3960.0, 3, 'end')
+        ])
+
+    def test_summarizes_trip(self):
+        trip = trips_of(segment(load_points()), '8107')[0]
+
+        # Invalid point is skipped, late point is sorted in
+        self.assertEqual(trip['points'], 3)
+        self.assertEqual((trip['start_time'], trip['end_time'], trip['duration']), (1030.0, 1090.0, 60.0))
+        self.assertEqual((trip['start_lat'], trip['start_lon']), (37.7909, -122.3903))
+        self.assertEqual((trip['end_lat'], trip['end_lon']), (37.792, -122.3903))
+
+        expected = distance(37.7909, -122.3903, 37.792, -122.3903)
+        self.assertAlmostEqual(trip['distance'], expected, places=1)
+        self.assertAlmostEqual(trip['avg_speed'], expected / 60 * 3.6, places=1)
+        self.assertEqual(trip['polyline'], encode_polyline([(37.7909, -122.3903), (37.7915, -122.3903), (37.792, -122.3903)]))
+
+    def test_drops_trips_with_few_points(self):
+        trips = segment(load_points(), minpoints=3)
+
+        self.assertEqual([(trip['group__id'], trip['trip']) for trip in trips], [
+            ('8612', 1), ('8107', 1), ('7105', 1), ('7105', 2)
+        ])
+
+    def test_ignores_direction_without_field(self):
+        trips = trips_of(segment(load_points(), direction=None), '8612')
+
+        self.assertEqual([trip['end_reason'] for trip in trips], ['gap', 'end'])
+
+
+class PolylineTest(unittest.TestCase):
+
+    def test_encodes_example_of_algorithm_description(self):
+        self.assertEqual(encode_polyline([(38.5, -120.2), (40.7, -120.95), (43.252, -126.453)]), '_p~iF~ps|U_ulLnnqC_mqNvxq`@')
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,136 @@
+define(
+function(require, exports, module) {
+'use strict';
+
+  // Mean radius of the Earth in meters.
+  var earthRadius = 6371000;
+
+  // Longest segment (in degrees of arc) of geodesic polyline, longer segments are split.
+  var maxSegment = 1;
+
+  var toRadians = function(degrees) {
+    return degrees * Math.PI / 180;
+  };
+
+  var toDegrees = function(radians) {
+    return radians * 180 / Math.PI;
+  };
+
+  /*
+  * Normalize longitude to [-180, 180).
+  */
+  var normalizeLon = function(lon) {
+    return ((lon + 180) % 360 + 360) % 360 - 180;
+  };
+
+  exports.normalizeLon = normalizeLon;
+
+  /*
+  * Gets longitude equal to `lon` which is the closest to `reference`, so objects crossing
+  * the antimeridian do not go the wrong way round the globe (result can be out of [-180, 180)).
+  */
+  var unwrapLon = function(lon, reference) {
+    return reference + normalizeLon(lon - reference);
+  };
+
+  exports.unwrapLon = unwrapLon;
+
+  /*
+  * Interpolation of latitude and longitude in degrees, which is how map has always moved objects.
+  * Every method works with points { lat, lon } and returns { lat, lon }.
+  */
+  exports.linear = {
+
+    /*
+    * Gets point between `from` (fraction is 0) and `to` (fraction is 1),
+    * fraction greater than 1 extrapolates the line.
+    */
+    interpolate: function(from, to, fraction) {
+      return {
+        lat: from.lat + (to.lat - from.lat) * fraction,
+        lon: from.lon + (to.lon - from.lon) * fraction
+      };
+    },
+
+    /*
+    * Gets point `distance` meters away from `from` in direction `bearing` (degrees clockwise from north).
+    */
+    destination: function(from, bearing, distance) {
+      var metersPerDegree = toRadians(earthRadius);
+      return {
+        lat: from.lat + distance * Math.cos(toRadians(bearing)) / metersPerDegree,
+        lon: from.lon + distance * Math.sin(toRadians(bearing)) / (metersPerDegree * Math.cos(toRadians(from.lat)))
+      };
+    }
+  };
+
+  /*
+  * Interpolation along great circles (the shortest way on the globe), it works for long gaps
+  * between points, near the poles and across the antimeridian. Longitude of result is unwrapped
+  * relative to `from`, see unwrapLon.
+  */
+  exports.geodesic = {
+
+    interpolate: function(from, to, fraction) {
+      var lat1 = toRadians(from.lat), lon1 = toRadians(from.lon);
+      var lat2 = toRadians(to.lat), lon2 = toRadians(to.lon);
+
+      // Unit vectors of points
+      var x1 = Math.cos(lat1) * Math.cos(lon1), y1 = Math.cos(lat1) * Math.sin(lon1), z1 = Math.sin(lat1);
+      var x2 = Math.cos(lat2) * Math.cos(lon2), y2 = Math.cos(lat2) * Math.sin(lon2), z2 = Math.sin(lat2);
+
+      // Angle between points
+      var cx = y1 * z2 - z1 * y2, cy = z1 * x2 - x1 * z2, cz = x1 * y2 - y1 * x2;
+      var angle = Math.atan2(Math.sqrt(cx * cx + cy * cy + cz * cz), x1 * x2 + y1 * y2 + z1 * z2);
+
+      if (angle < 1e-9) {
+        // Points are too close for great circle, but still should not go round the globe
+        return exports.linear.interpolate(from, { lat: to.lat, lon: unwrapLon(to.lon, from.lon) }, fraction);
+      }
+
+      var a = Math.sin((1 - fraction) * angle) / Math.sin(angle);
+      var b = Math.sin(fraction * angle) / Math.sin(angle);
+      var x = a * x1 + b * x2, y = a * y1 + b * y2, z = a * z1 + b * z2;
+
+      return {
+        lat: toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))),
+        lon: unwrapLon(toDegrees(Math.atan2(y, x)), from.lon)
+      };
+    },
+
+    destination: function(from, bearing, distance) {
+      var lat1 = toRadians(from.lat), lon1 = toRadians(from.lon);
+      var theta = toRadians(bearing);
+      var delta = distance / earthRadius;
+
+      var lat2 = Math.asin(Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(theta));
+      var lon2 = lon1 + Math.atan2(Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+                                   Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2));
+
+      return { lat: toDegrees(lat2), lon: unwrapLon(toDegrees(lon2), from.lon) };
+    },
+
+    /*
+    * Gets path of polyline through points as array of [lat, lon]. Long segments are split to follow
+    * great circles, longitudes are unwrapped relative to the previous point, so map draws segments
+    * crossing the antimeridian the short way.
+    */
+    path: function(points) {
+      var path = [];
+      var previous = null;
+      for (var i = 0; i < points.length; i++) {
+        var point = { lat: points[i].lat, lon: previous ? unwrapLon(points[i].lon, previous.lon) : points[i].lon };
+        if (previous) {
+          var segments = Math.ceil(Math.max(Math.abs(point.lat - previous.lat), Math.abs(point.lon - previous.lon)) / maxSegment);
+          for (var s = 1; s < segments; s++) {
+            var middle = exports.geodesic.interpolate(previous, point, s / segments);
+            path.push([middle.lat, middle.lon]);
+          }
+        }
+        path.push([point.lat, point.lon]);
+        previous = point;
+      }
+      return path;
+    }
+  };
+});
@@ -28,6 +28,13 @@ function($, _, L) {
     this.map.fitBounds(bounds);
   };
 
+  /*
+  * Size of map element has been changed.
+  */
+  GoogleMap.prototype.resize = function() {
+    this.map.refresh();
+  };
+
   GoogleMap.prototype.addMarker = function(data) {
     return new GoogleMapMarker(this, data);
   };
@@ -38,25 +45,39 @@ function($, _, L) {
 
   var GoogleMapMarker = function(map, data) {
     this.map = map;
+    this.icon = {
+      path: google.maps.SymbolPath.CIRCLE,
+      scale: 4,
+      strokeColor: data.color,
+      strokeWeight: 4,
+      strokeOpacity: 1
+    };
+    this.isExtrapolated = false;
     this.marker = this.map.map.addMarker({
           lat: data.lat,
           lng: data.lon,
           title: data.title,
           zIndex: 1,
-          icon: {
-            path: google.maps.SymbolPath.CIRCLE,
-            scale: 4,
-            strokeColor: data.color,
-            strokeWeight: 4,
-            strokeOpacity: 1
-          }
+          click: data.click,
+          icon: this.icon
       });
+    this.extrapolated(data.extrapolated || false);
   };
 
   GoogleMapMarker.prototype.move = function(lat, lon) {
     this.marker.setPosition(new google.maps.LatLng(lat, lon));
   };
 
+  /*
+  * Extrapolated position is drawn with thin translucent circle.
+  */
+  GoogleMapMarker.prototype.extrapolated = function(value) {
+    if (this.isExtrapolated !== value) {
+      this.isExtrapolated = value;
+      this.marker.setIcon(_.extend({}, this.icon, value ? { strokeWeight: 2, strokeOpacity: 0.5 } : {}));
+    }
+  };
+
   GoogleMapMarker.prototype.remove = function() {
     this.marker.setMap(null);
   };
@@ -86,7 +107,9 @@ function($, _, L) {
       path: data.path,
       strokeColor: data.color,
       strokeOpacity: 0.6,
-      strokeWeight: 4
+      strokeWeight: 4,
+      geodesic: data.geodesic,
+      click: data.click
     });
   };
 
@@ -98,10 +121,27 @@ function($, _, L) {
     this.polyline.getPath().removeAt(index);
   };
 
+  GoogleMapPolyline.prototype.removePoints = function(index, count) {
+    var path = this.polyline.getPath();
+    for (var i = 0; i < count; i++) {
+      path.removeAt(index);
+    }
+  };
+
+  GoogleMapPolyline.prototype.setPath = function(path) {
+    this.polyline.setPath(_.map(path, function(p) {
+      return new google.maps.LatLng(p[0], p[1]);
+    }));
+  };
+
   GoogleMapPolyline.prototype.addPoint = function(lat, lon) {
     this.polyline.getPath().push(new google.maps.LatLng(lat, lon));
   };
 
+  GoogleMapPolyline.prototype.insertPoint = function(index, lat, lon) {
+    this.polyline.getPath().insertAt(index, new google.maps.LatLng(lat, lon));
+  };
+
   GoogleMapPolyline.prototype.highlight = function() {
     // Highlight object
       var animation = {step: 0};
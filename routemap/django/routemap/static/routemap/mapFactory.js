@@ -3,11 +3,16 @@ define(
 function(OpenStreetMap, GoogleMap) {
   'use strict';
 
-  return function(div, type) {
+  /*
+  * Create map in element with id `div`.
+  * @param type - googlemap or openstreetmap.
+  * @param options - { tileUrl: [url template of tiles, only for openstreetmap] }.
+  */
+  return function(div, type, options) {
     if (type === 'googlemap') {
       return new GoogleMap(div);
     } else if (type === 'openstreetmap') {
-      return new OpenStreetMap(div);
+      return new OpenStreetMap(div, options);
     } else {
       throw new Error('Unsupported type');
     }
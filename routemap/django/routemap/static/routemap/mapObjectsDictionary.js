@@ -1,6 +1,6 @@
 define(
-  ['underscore', 'backbone', './utils'], 
-  function(_, Backbone, utils) {
+  ['underscore', 'backbone', './utils', './geo', './shape'], 
+  function(_, Backbone, utils, geo, Shape) {
 
   'use strict';
 
@@ -28,6 +28,72 @@ define(
     return Math.abs(currentTime - point.ts, 0) <= defaultObjectTimeout;
   }
 
+  /*
+  * Gets index of the first point with timestamp greater than `ts` (or equal when `inclusive` is true),
+  * points are ordered by ts asc.
+  */
+  function searchIndex(points, ts, inclusive) {
+    var low = 0;
+    var high = points.length;
+    while (low < high) {
+      var middle = (low + high) >>> 1;
+      if (points[middle].ts > ts || (inclusive && points[middle].ts === ts)) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return low;
+  }
+
+  // How many points cursor moves forward before we fall back to binary search.
+  var maxCursorSteps = 8;
+
+  // How many seconds extrapolated object moves from its displayed position to the track of a new point.
+  var blendTime = 2;
+
+  /*
+  * Gets position of object `elapsed` seconds after the last point ({ lat, lon }) with fields `speedKmHr`
+  * and `heading` (degrees clockwise from north) of the last point, or with speed and direction between
+  * the last two points when point does not have them. Returns null when object's movement is unknown.
+  * @param geometry - geo.linear or geo.geodesic.
+  */
+  function extrapolate(points, elapsed, geometry) {
+    var lastPoint = points[points.length - 1];
+    var raw = lastPoint.raw || {};
+    var speed = parseFloat(raw.speedKmHr);
+    var heading = parseFloat(raw.heading);
+
+    if (speed >= 0 && heading >= 0) {
+      return geometry.destination(lastPoint, heading, speed / 3.6 * elapsed);
+    }
+
+    var previousPoint = points[points.length - 2];
+    if (previousPoint && inTimeoutLimit(lastPoint.ts, previousPoint)) {
+      return geometry.interpolate(previousPoint, lastPoint, 1 + elapsed / (lastPoint.ts - previousPoint.ts));
+    }
+
+    return null;
+  }
+
+  // How far (in meters) point can be from the shape of object to be snapped to it.
+  var maxSnapOffset = 100;
+
+  // Object does not follow the shape between two points when the way along the shape is this many times
+  // longer than the straight line between them (for example shape has a loop or goes in other direction).
+  var maxShapeDetour = 3;
+
+  /*
+  * Gets projection of point on shape { distance, offset } (see Shape.project), projection is calculated
+  * once for each point and shape.
+  */
+  function project(shape, point) {
+    if (!point.projection || point.projection.shape !== shape) {
+      point.projection = _.extend({ shape: shape }, shape.project(point));
+    }
+    return point.projection;
+  }
+
   /*
   * Class represents each individual object on map. 
   * It stores all points and knows how to travel between them on map.
@@ -47,6 +113,11 @@ define(
         autoHideRoute: true,
         color: getRandomColor(),
         realtimeWindow: 300, // Window of storing data
+        maxLateness: null, // Seconds, points older than the latest point by more are dropped (null - keep all)
+        extrapolationHorizon: null, // Seconds, see realtimePos (null - object stays on the latest point)
+        interpolation: 'linear', // Or 'geodesic' to move objects and draw routes along great circles, see geo
+        shape: null, // Shape of object's route, object follows it between points, see shapeSection
+        snapRoute: false, // Draw route along the shape instead of straight lines between points
         modelId: '',
         raw: {}
       };
@@ -65,6 +136,14 @@ define(
         }
       }.bind(this));
 
+      this.on('change:interpolation change:shape change:snapRoute', function() {
+        // Redraw route with new kind of lines
+        if (this.polyline) {
+          this.showRoute(false);
+          this.showRoute(true);
+        }
+      }.bind(this));
+
       this.on('change:raw', function(model, raw) {
         if (this.autoHideRoute()) {
           this.showRoute(raw ? true : false);
@@ -75,13 +154,21 @@ define(
       this.map = this.get('map');
       this.marker = null;
       this.polyline = null;
+      // Snapped or geodesic route has to be redrawn, see updateRoute
+      this.routeChanged = false;
+      // Index of the first point after the time of the last calculated position
+      this.cursor = 0;
+      // Point from which real-time position has been extrapolated and blending from the displayed position
+      this.lastFix = null;
+      this.blend = null;
     },
 
     /*
-    * Add new point for object,
+    * Add new point for object, late points are inserted in order of timestamps.
     * @param point - should be in format 
     *               { ts: [float], lat: [float], lon: [float] }
-    *
+    * @return - false when point has been dropped, because object already has point with
+    *           the same timestamp or point is older than the latest point by more than `maxLateness`.
     */ 
     add: function(point) {
       if (!point ||
@@ -91,17 +178,230 @@ define(
         throw 'Argument exception. Invalid point format';
       }
       var points = this.getPoints();
-      if (_.last(points) && _.last(points).ts > point.ts) {
-        throw 'We expect to see all points to be added to desc order by timestamp';
+      var lastPoint = _.last(points);
+      var maxLateness = this.get('maxLateness');
+      if (lastPoint && _.isNumber(maxLateness) && lastPoint.ts - point.ts > maxLateness) {
+        return false;
+      }
+
+      var index = searchIndex(points, point.ts, true);
+      if (index < points.length && points[index].ts === point.ts) {
+        return false;
+      }
+      points.splice(index, 0, point);
+      if (index < this.cursor) {
+        this.cursor++;
       }
-      points.push(point);
+
       if (this.showRoute()) {
         if (this.polyline) {
-          this.polyline.addPoint(point.lat, point.lon);
+          if (this.isRouteRebuilt()) {
+            // Snapped and geodesic routes are redrawn once for all new points, see updateRoute
+            this.routeChanged = true;
+          } else {
+            this.polyline.insertPoint(index, point.lat, point.lon);
+          }
         } else {
           this.showRoute(true);
         }
       }
+      return true;
+    },
+
+    /*
+    * Gets section of the shape of object between two points { from, to } (distances on the shape, see Shape),
+    * or null when object does not have shape or does not follow it between these points.
+    */
+    shapeSection: function(fromPoint, toPoint) {
+      var shape = this.get('shape');
+      if (!shape) {
+        return null;
+      }
+
+      var from = project(shape, fromPoint);
+      var to = project(shape, toPoint);
+      if (from.offset > maxSnapOffset || to.offset > maxSnapOffset ||
+        Math.abs(to.distance - from.distance) > Shape.distance(fromPoint, toPoint) * maxShapeDetour + maxSnapOffset) {
+        return null;
+      }
+
+      return { from: from.distance, to: to.distance };
+    },
+
+    /*
+    * Gets a value indicating whether route is drawn along the shape.
+    */
+    isRouteSnapped: function() {
+      return !!(this.get('snapRoute') && this.get('shape'));
+    },
+
+    /*
+    * Gets a value indicating whether path of polyline is built from all points (route is snapped or
+    * drawn with great circles), so changes of points are not applied to polyline one by one.
+    */
+    isRouteRebuilt: function() {
+      return this.isRouteSnapped() || this.get('interpolation') === 'geodesic';
+    },
+
+    /*
+    * Gets path of route as array of [lat, lon]. When route is snapped it goes along the shape between
+    * points which object follows it, these points are moved to the shape.
+    */
+    routePath: function() {
+      var points = this.getPoints();
+      if (!this.isRouteSnapped()) {
+        return _.map(points, function(p) {
+          return [p.lat, p.lon];
+        });
+      }
+
+      var shape = this.get('shape');
+      var path = [];
+      var previousSection = null;
+      for (var i = 0; i < points.length; i++) {
+        var section = i + 1 < points.length ? this.shapeSection(points[i], points[i + 1]) : null;
+        if (section || previousSection) {
+          var pos = shape.positionAt(section ? section.from : previousSection.to);
+          path.push([pos.lat, pos.lon]);
+        } else {
+          path.push([points[i].lat, points[i].lon]);
+        }
+        if (section) {
+          var shapePoints = shape.between(section.from, section.to);
+          for (var j = 0; j < shapePoints.length; j++) {
+            path.push([shapePoints[j].lat, shapePoints[j].lon]);
+          }
+        }
+        previousSection = section;
+      }
+      return path;
+    },
+
+    /*
+    * Redraw snapped or geodesic route when points have been added or removed since the last call.
+    * Path of such route is built from all points, so it is redrawn once per batch of points or frame
+    * instead of on every point.
+    */
+    updateRoute: function() {
+      if (this.routeChanged) {
+        this.routeChanged = false;
+        if (this.polyline) {
+          this.polyline.setPath(this.routePath());
+        }
+      }
+    },
+
+    /*
+    * Gets geo.linear or geo.geodesic depending on `interpolation`.
+    */
+    geometry: function() {
+      return this.get('interpolation') === 'geodesic' ? geo.geodesic : geo.linear;
+    },
+
+    /*
+    * Gets index of the first point with timestamp greater than `currentTime`.
+    *
+    * During playback time moves forward by small steps, so we start from the cursor 
+    * of the previous call and move it forward, after long jumps we use binary search.
+    */
+    findNextPointIndex: function(currentTime) {
+      var points = this.getPoints();
+      var index = Math.min(this.cursor, points.length);
+
+      if (index === 0 || points[index - 1].ts <= currentTime) {
+        var steps = 0;
+        while (index < points.length && points[index].ts <= currentTime && steps < maxCursorSteps) {
+          index++;
+          steps++;
+        }
+        if (index === points.length || points[index].ts > currentTime) {
+          this.cursor = index;
+          return index;
+        }
+      }
+
+      this.cursor = searchIndex(points, currentTime, false);
+      return this.cursor;
+    },
+
+    /*
+    * Remove points which are older than `deadline`, but keep the last point while it is
+    * in default object timeout limit.
+    */
+    removePointsBefore: function(deadline, currentTime) {
+      var points = this.getPoints();
+      if (points.length === 0 || points[0].ts >= deadline) {
+        return;
+      }
+
+      var count = searchIndex(points, deadline, true);
+      if (count === points.length && count > 0 && inTimeoutLimit(currentTime, points[count - 1])) {
+        count--;
+      }
+
+      if (count === 1) {
+        // Most of the time only one point becomes old, shift is cheaper than splice in this case
+        points.shift();
+      } else if (count > 1) {
+        points.splice(0, count);
+      }
+
+      if (count > 0) {
+        this.cursor = Math.max(0, this.cursor - count);
+        if (this.polyline) {
+          if (this.isRouteRebuilt()) {
+            this.routeChanged = true;
+          } else {
+            this.polyline.removePoints(0, count);
+          }
+        }
+      }
+    },
+
+    /*
+    * Gets position of object in real-time mode { lat, lon, extrapolated }.
+    *
+    * Without `extrapolationHorizon` object stays on the latest point. With it object keeps moving from
+    * the latest point with its speed and heading (dead reckoning) for up to `extrapolationHorizon` seconds.
+    * When a new point arrives, object moves from the displayed position to the new track during `blendTime`
+    * seconds instead of jumping.
+    */
+    realtimePos: function(currentTime) {
+      var points = this.getPoints();
+      var lastPoint = _.last(points);
+      var pos = { lat: lastPoint.lat, lon: lastPoint.lon, extrapolated: false };
+      var horizon = this.get('extrapolationHorizon');
+      if (!horizon) {
+        return pos;
+      }
+
+      var geometry = this.geometry();
+      var elapsed = Math.min(currentTime - lastPoint.ts, horizon);
+      var extrapolatedPos = elapsed > 0 ? extrapolate(points, elapsed, geometry) : null;
+      if (extrapolatedPos) {
+        pos.lat = extrapolatedPos.lat;
+        pos.lon = extrapolatedPos.lon;
+        pos.extrapolated = true;
+      }
+
+      if (this.lastFix !== lastPoint) {
+        var displayedPos = this.get('pos');
+        this.blend = displayedPos ? { lat: displayedPos.lat, lon: displayedPos.lon, ts: currentTime } : null;
+        this.lastFix = lastPoint;
+      }
+
+      if (this.blend) {
+        var p = (currentTime - this.blend.ts) / blendTime;
+        if (p >= 0 && p < 1) {
+          var blendedPos = geometry.interpolate(this.blend, pos, p);
+          pos.lat = blendedPos.lat;
+          pos.lon = blendedPos.lon;
+        } else {
+          this.blend = null;
+        }
+      }
+
+      return pos;
     },
 
     /*
@@ -110,68 +410,68 @@ define(
     * @param realtime - in case of realtime object always show latest known position
     *                   for time specified by default value.
     *
-    * Current method calculates position and set it as backbone model field `pos`.
+    * Current method calculates position and set it as backbone model field `pos` ({ lat, lon, extrapolated }).
     */
     calculatePos: function(currentTime, realtime, timeWindow) {
       if (this.showObject()) {
         // Trying to find point 
         var points = this.getPoints();
 
-        var lat, lon, raw;
+        var lat, lon, raw, extrapolated = false;
 
         if (timeWindow) {
           // At first let's remove all old points.
-          var deadline = currentTime - timeWindow;
-          var firstPoint = _.first(points);
-          while (firstPoint && firstPoint.ts < deadline) {
-            if (points.length === 1 &&
-              inTimeoutLimit(currentTime, _.first(points))) {
-              break;
-            }
-            firstPoint = points.shift();
-            if (this.polyline) {
-              this.polyline.removePoint(0);
-            }
-          }
+          this.removePointsBefore(currentTime - timeWindow, currentTime);
         }
+        this.updateRoute();
 
         if (realtime) {
-          var lastPoint = _.last(points);
-          if (lastPoint) {
-            lat = lastPoint.lat;
-            lon = lastPoint.lon;
-            raw = lastPoint.raw;
+          if (points.length > 0) {
+            var pos = this.realtimePos(currentTime);
+            lat = pos.lat;
+            lon = pos.lon;
+            extrapolated = pos.extrapolated;
+            raw = _.last(points).raw;
           }
         } else {
-          var nextPointIndex = -1;
-          while ((++nextPointIndex) < points.length) {
-            if (points[nextPointIndex].ts > currentTime) {
-              break;
-            }
-          }
+          var nextPointIndex = this.findNextPointIndex(currentTime);
 
           if (nextPointIndex !== 0 && nextPointIndex < points.length) {
             // Let's find position of current object and place it on map
             var currentPoint = points[nextPointIndex - 1];
             var nextPoint = points[nextPointIndex];
             var p = (currentTime - currentPoint.ts)/(nextPoint.ts - currentPoint.ts);
-            lat = currentPoint.lat + (nextPoint.lat - currentPoint.lat) * p;
-            lon = currentPoint.lon + (nextPoint.lon - currentPoint.lon) * p;
+            var section = this.shapeSection(currentPoint, nextPoint);
+            var interpolatedPos = section ?
+              this.get('shape').positionAt(section.from + (section.to - section.from) * p) :
+              this.geometry().interpolate(currentPoint, nextPoint, p);
+            lat = interpolatedPos.lat;
+            lon = interpolatedPos.lon;
             raw = currentPoint.raw;
           }
         }
 
         this.set({ raw: raw });
 
-        if (lat && lon) {
+        var displayedPos = this.get('pos');
+        if (displayedPos && lon !== undefined && this.get('interpolation') === 'geodesic') {
+          // Marker crossing the antimeridian should not jump to the other side of the map
+          lon = geo.unwrapLon(lon, displayedPos.lon);
+        }
+
+        if (lat !== undefined && lon !== undefined) {
+          this.set('pos', { lat: lat, lon: lon, extrapolated: extrapolated });
           if (this.marker) {
             this.marker.move(lat, lon);
+            this.marker.extrapolated(extrapolated);
           } else {
             this.marker = this.map.addMarker({
                 lat: lat,
                 lon: lon,
                 title: this.get('title'),
                 color: this.get('color'),
+                extrapolated: extrapolated,
+                click: this.select.bind(this)
             });
           }
         } else {
@@ -195,6 +495,7 @@ define(
         this.marker.remove();
         this.marker = null;
       }
+      this.unset('pos');
     },
 
     /*
@@ -257,15 +558,13 @@ define(
 
         if (value) {
           if (!this.polyline) {
-            var path = _.map(this.getPoints(), function(p) {
-              return [p.lat, p.lon];
-            });
-
-            path.reverse();
-
+            // Polyline has the same order of points as object (or points of the shape between them)
+            this.routeChanged = false;
             this.polyline = this.map.addPolyline({
-              path: path,
-              color: this.get('color')
+              path: this.routePath(),
+              geodesic: this.get('interpolation') === 'geodesic',
+              color: this.get('color'),
+              click: this.select.bind(this)
             });
           }
         } else {
@@ -303,6 +602,13 @@ define(
       }
     },
 
+    /*
+    * Select object (user clicked it on the map or in the list), triggers `select` event.
+    */
+    select: function() {
+      this.trigger('select', this);
+    },
+
     /*
     * Gets a value indicating whether this object does not have any points. 
     */ 
@@ -326,6 +632,7 @@ define(
   * Backbone custom events:
   * add - new MapObject has been added.
   * remove - object has been removed.
+  * select - object has been selected by user.
   * reset - all elements are going to be removed.
   */
   var MapObjectsDictionary = Backbone.Model.extend({
@@ -333,7 +640,12 @@ define(
     defaults: {
       showAllObjects: true,
       showAllRoutes: true,
-      autoHideRoutes: true
+      autoHideRoutes: true,
+      maxLateness: null,
+      extrapolationHorizon: null,
+      interpolation: 'linear',
+      shapeField: 'routeTag',
+      snapRoutes: false
     },
 
     /*
@@ -341,6 +653,7 @@ define(
     */
     initialize: function() {
       this.models = {};
+      this.shapes = {};
       this.map = this.get('map');
       if (!this.map) throw 'Map object should be set to initialize dictionary';
     },
@@ -353,6 +666,7 @@ define(
     *
     * Method generates id based on fields and create new MapObject element if dictionary
     * does not have value by generated id, otherwise it adds new point to existing MapObject.
+    * Call updateRoutes after adding a batch of points.
     *
     * After first 100 objects this method sets `showObject` to `false` for next objects.
     */
@@ -369,6 +683,11 @@ define(
                         map: this.map,
                         showObject: this.showAllObjects(),
                         showRoute: this.showAllRoutes(),
+                        maxLateness: this.maxLateness(),
+                        extrapolationHorizon: this.extrapolationHorizon(),
+                        interpolation: this.interpolation(),
+                        shape: this.shapeOf(obj, point.raw),
+                        snapRoute: this.snapRoutes(),
                         modelId: id
                      });
         this.models[id] = model;
@@ -383,14 +702,32 @@ define(
           if (this.showAllRoutes() && !showRoute) {
             this.showAllRoutes(false, true /* silent */);
           }
+        }.bind(this))
+        .on('select', function(model) {
+          this.trigger('select', model);
         }.bind(this));
       }
 
+      var shape = this.shapeOf(obj, point.raw);
+      if (shape && shape !== model.get('shape')) {
+        // Object is not grouped by shape field and its route has been changed
+        model.set('shape', shape);
+      }
+
       model.add(point);
 
       return model;
     },
 
+    /*
+    * Redraw snapped and geodesic routes of objects which got new points, see MapObject.updateRoute.
+    */
+    updateRoutes: function() {
+      this.each(function(model) {
+        model.updateRoute();
+      });
+    },
+
     /*
     * Remove all objects from dictionary.
     */
@@ -477,6 +814,94 @@ define(
       return this.get('autoHideRoutes');
     },
 
+    /*
+    * Gets or sets how many seconds point can be older than the latest point of object,
+    * older points are dropped. Null keeps all points.
+    */
+    maxLateness: function(value) {
+      if (arguments.length !== 0) {
+        this.set('maxLateness', value);
+        this.each(function(model) {
+          model.set('maxLateness', value);
+        });
+      }
+
+      return this.get('maxLateness');
+    },
+
+    /*
+    * Gets or sets for how many seconds objects are extrapolated from their latest points
+    * in real-time mode. Null keeps objects on their latest points.
+    */
+    extrapolationHorizon: function(value) {
+      if (arguments.length !== 0) {
+        this.set('extrapolationHorizon', value);
+        this.each(function(model) {
+          model.set('extrapolationHorizon', value);
+        });
+      }
+
+      return this.get('extrapolationHorizon');
+    },
+
+    /*
+    * Gets or sets how objects move between points and how their routes are drawn:
+    * 'linear' (in degrees of latitude and longitude) or 'geodesic' (along great circles).
+    */
+    interpolation: function(value) {
+      if (arguments.length !== 0) {
+        this.set('interpolation', value);
+        this.each(function(model) {
+          model.set('interpolation', value);
+        });
+      }
+
+      return this.get('interpolation');
+    },
+
+    /*
+    * Set reference shapes of routes, object follows shape with id equal to value of its field `shapeField`.
+    * @param shapes - { [shape id]: [{ lat, lon }, ...] }, see utils.toShapes.
+    */
+    setShapes: function(shapes) {
+      this.shapes = {};
+      for (var id in shapes) {
+        if (shapes.hasOwnProperty(id) && shapes[id].length > 1) {
+          this.shapes[id] = new Shape(shapes[id]);
+        }
+      }
+      this.each(function(model) {
+        var lastPoint = _.last(model.getPoints());
+        model.set('shape', this.shapeOf(model.get('obj'), lastPoint && lastPoint.raw));
+      }.bind(this));
+    },
+
+    /*
+    * Gets shape of object by value of its field `shapeField`, or null. When objects are not grouped
+    * by `shapeField`, shape id is taken from fields of point.
+    * @param obj - fields of object.
+    * @param raw - optional, raw fields of point.
+    */
+    shapeOf: function(obj, raw) {
+      var field = this.get('shapeField');
+      var id = obj && obj[field] !== undefined ? obj[field] : (raw ? raw[field] : undefined);
+      return id !== undefined && this.shapes.hasOwnProperty(id) ? this.shapes[id] : null;
+    },
+
+    /*
+    * Gets or sets a value indicating whether routes are drawn along shapes.
+    */
+    snapRoutes: function(value) {
+      if (arguments.length !== 0) {
+        this.set('snapRoutes', value);
+        this.each(function(model) {
+          model.set('snapRoute', value);
+        });
+      }
+
+      return this.get('snapRoutes');
+    },
+
     /*
     * Clear all empty objects from collection.
     */
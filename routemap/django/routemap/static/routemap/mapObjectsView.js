@@ -28,7 +28,7 @@ define(
     render: function() {
 
       if (!this.template) {
-        this.template = _.template($(this.options.view_template_id).html())
+        this.template = _.template(this.options.view_template || $(this.options.view_template_id).html())
       }
 
       this.$el.html(this.template(this));
@@ -36,8 +36,20 @@ define(
       var mapElementId = _.uniqueId('routemap_map_');
       this.$('*[name=map]').attr('id', mapElementId);
 
+      // Option max_lateness is in seconds, see MapObject.add
+      var maxLateness = parseFloat(this.options.max_lateness);
+      // Option extrapolation_horizon is in seconds, see MapObject.realtimePos
+      var extrapolationHorizon = parseFloat(this.options.extrapolation_horizon);
+
       this.viewModel = new MapObjectsViewModel({
-        map: mapFactory(mapElementId, this.options.map_type || 'googlemap')
+        map: mapFactory(mapElementId, this.options.map_type || 'googlemap', { tileUrl: this.options.tile_url }),
+        maxLateness: isNaN(maxLateness) ? null : maxLateness,
+        extrapolationHorizon: isNaN(extrapolationHorizon) || extrapolationHorizon <= 0 ? null : extrapolationHorizon,
+        // Option interpolation is linear or geodesic, see geo
+        interpolation: this.options.interpolation === 'geodesic' ? 'geodesic' : 'linear',
+        // Objects follow shapes with id equal to value of group field shape_field, see MapObject.shapeSection
+        shapeField: this.options.shape_field,
+        snapRoutes: this.options.snap_routes === true || this.options.snap_routes === 'true'
       });
 
       this.buttonPlay = this.$('*[name=button-play]');
@@ -129,6 +141,7 @@ define(
         this.listenTo(this.viewModel.collection, 'add', function(model) {
           var lvItem = this.objectsList[model.modelId()] = new MapObjectListViewItem({ 
             model: model,
+            view_list_item_template: this.options.view_list_item_template,
             view_list_item_template_id: this.options.view_list_item_template_id
           });
           this.objectsListView.append(lvItem.render().el);
@@ -273,14 +286,17 @@ define(
         .on('change:raw', function(model, raw) {
             var raw_text = raw ? utils.generateString(raw) : 'Not visible';
             this.$('*[name=panel-raw-data]').html(raw_text);
-        }.bind(this)).trigger('change:raw');
+        }.bind(this)).trigger('change:raw')
+        .on('change:selected', function(model, selected) {
+            this.$el.toggleClass('selected', !!selected);
+        }.bind(this));
 
       Backbone.View.prototype.initialize.apply(this, arguments);
     },
 
     render: function() {
       if (!this.template) {
-        this.template = _.template($(this.options.view_list_item_template_id).html())
+        this.template = _.template(this.options.view_list_item_template || $(this.options.view_list_item_template_id).html())
       }
 
       this.$el.html(this.template(this.model.toJSON()));
@@ -297,6 +313,7 @@ define(
 
     highlightObject: function() {
       this.model.highlightObject();
+      this.model.select();
     }
   });
 
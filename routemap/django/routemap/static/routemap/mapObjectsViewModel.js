@@ -25,7 +25,14 @@ define(
     initialize: function() {
       // Initialize sub-models
       this.map = this.get('map');
-      this.collection = new MapObjectsDictionary({ map: this.map });
+      this.collection = new MapObjectsDictionary({
+        map: this.map,
+        maxLateness: this.get('maxLateness'),
+        extrapolationHorizon: this.get('extrapolationHorizon'),
+        interpolation: this.get('interpolation') || 'linear',
+        shapeField: this.get('shapeField') || 'routeTag',
+        snapRoutes: this.get('snapRoutes') || false
+      });
 
       this.collection
         .on('add', function(model) {
@@ -39,7 +46,13 @@ define(
         }.bind(this))
         .on('remove', function(model) {
           model.clearPos();
-        });
+          if (this.get('selectedObject') === model) {
+            this.unset('selectedObject');
+          }
+        }.bind(this))
+        .on('select', function(model) {
+          this.selectObject(model);
+        }.bind(this));
     },
 
     /*
@@ -109,6 +122,24 @@ define(
       return this.get('timeWindow');
     },
 
+    /*
+    * Gets or sets for how many seconds objects are extrapolated from their latest points in real-time
+    * mode (null - objects stay on their latest points), see MapObject.realtimePos.
+    *
+    * With extrapolation current time keeps going between updates in real-time mode.
+    */
+    extrapolationHorizon: function(value) {
+      if (arguments.length !== 0) {
+        this.collection.extrapolationHorizon(value);
+        if (this.realtime()) {
+          this.pause();
+          this.play();
+        }
+      }
+
+      return this.collection.extrapolationHorizon();
+    },
+
     /*
     * Gets or sets playback speed.
     */
@@ -147,13 +178,16 @@ define(
       var endTime = this.has('endTime') ? this.endTime() : null;
       var currentTime = this.currentTime();
       var realtime = this.realtime();
+      // In real-time mode points which are out of time window have been removed already
+      var deadline = realtime && currentTime && this.timeWindow() ? currentTime - this.timeWindow() : null;
       _.each(data, function(p) {
-        if (!realtime || !currentTime || currentTime < p.point.ts) {
+        if (!deadline || deadline <= p.point.ts) {
           beginTime = Math.min(p.point.ts, beginTime || p.point.ts);
           endTime = Math.max(p.point.ts, endTime || p.point.ts);
           this.collection.addData(p.obj, p.point);
         }
       }.bind(this));
+      this.collection.updateRoutes();
       if (this.has('timeWindow')) {
         beginTime = Math.max(endTime - this.timeWindow(), beginTime);
       }
@@ -169,7 +203,32 @@ define(
     addData: function(obj, point) {
       this.beginTime(!this.has('beginTime') ? point.ts : Math.min(point.ts, this.beginTime()));
       this.endTime(!this.has('endTime') ? point.ts : Math.max(point.ts, this.endTime()));
-      return this.collection.addData(obj, point);
+      var model = this.collection.addData(obj, point);
+      model.updateRoute();
+      return model;
+    },
+
+    /*
+    * Select object, view model triggers event `select` with
+    * { obj: [group fields], lat: [float], lon: [float], ts: [current time], raw: [fields of current point] }.
+    * Position is the current position of the object or its last known point.
+    */
+    selectObject: function(model) {
+      var previous = this.get('selectedObject');
+      if (previous && previous !== model) {
+        previous.set('selected', false);
+      }
+      model.set('selected', true);
+      this.set('selectedObject', model);
+
+      var pos = model.get('pos') || _.last(model.getPoints()) || {};
+      this.trigger('select', {
+        obj: model.get('obj'),
+        lat: pos.lat,
+        lon: pos.lon,
+        ts: this.currentTime(),
+        raw: model.get('raw')
+      });
     },
 
     /*
@@ -185,11 +244,30 @@ define(
     * Start playback of all objects on map.
     *
     * In case of realtime we just move all system to latest known point in time.
+    * With extrapolation horizon time keeps going from the latest known point with refresh rate
+    * and never goes back.
     */
     play: function() {
-      if (!this.has('beginTime') || !this.has('endTime') || this.has('playInterval')) {
-        // No objects or already in play mode
-        return; 
+      if (!this.has('beginTime') || !this.has('endTime')) {
+        // No objects
+        return;
+      }
+
+      if (this.realtime() && this.extrapolationHorizon()) {
+        if (!this.has('currentTime') || this.currentTime() < this.endTime()) {
+          this.currentTime(this.endTime());
+        }
+        if (!this.has('playInterval')) {
+          this.set('playInterval', setInterval(function() {
+            this.currentTime(this.currentTime() + (1 / this.refreshRate()));
+          }.bind(this), (1000 / this.refreshRate())));
+        }
+        return;
+      }
+
+      if (this.has('playInterval')) {
+        // Already in play mode
+        return;
       }
 
       if (this.realtime()) {
@@ -1,6 +1,6 @@
 define(
-['jquery', 'underscore', 'leaflet', 'leaflet.label'], 
-function($, _, L) {
+['jquery', 'underscore', 'leaflet', './geo', 'leaflet.label'], 
+function($, _, L, geo) {
   'use strict';
 
   /* 
@@ -9,10 +9,19 @@ function($, _, L) {
    * ---------------------------
    */
 
-  var OpenStreetMap = function(div) {
+  var defaultTileUrl = 'http://{s}.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png';
+
+  /*
+  * @param div - id of map element.
+  * @param options - { tileUrl: [url template of tiles, default is Humanitarian OpenStreetMap tiles] }.
+  */
+  var OpenStreetMap = function(div, options) {
+    var tileUrl = (options && options.tileUrl) || defaultTileUrl;
     this.map = L.map(div).setView([0, 0], 2);
-    this.tiles = L.tileLayer('http://{s}.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png', {
-        attribution: '&copy; <a href="http://openstreetmap.org">OpenStreetMap</a> contributors, <a href="http://creativecommons.org/licenses/by-sa/2.0/">CC-BY-SA</a>, Tiles courtesy of <a href="http://hot.openstreetmap.org/" target="_blank">Humanitarian OpenStreetMap Team</a>'
+    this.tiles = L.tileLayer(tileUrl, {
+        attribution: tileUrl === defaultTileUrl ?
+          '&copy; <a href="http://openstreetmap.org">OpenStreetMap</a> contributors, <a href="http://creativecommons.org/licenses/by-sa/2.0/">CC-BY-SA</a>, Tiles courtesy of <a href="http://hot.openstreetmap.org/" target="_blank">Humanitarian OpenStreetMap Team</a>' :
+          '&copy; <a href="http://openstreetmap.org">OpenStreetMap</a> contributors'
     }).addTo(this.map);
   };
 
@@ -37,6 +46,13 @@ function($, _, L) {
     }
   };
 
+  /*
+  * Size of map element has been changed.
+  */
+  OpenStreetMap.prototype.resize = function() {
+    this.map.invalidateSize();
+  };
+
   OpenStreetMap.prototype.addMarker = function(data) {
     return new OpenStreetMapMarker(this, data);
   };
@@ -53,6 +69,11 @@ function($, _, L) {
         label: data.title,
         radius: 4
       }).bindLabel(data.title);
+    if (data.click) {
+      this.marker.on('click', data.click);
+    }
+    this.isExtrapolated = false;
+    this.extrapolated(data.extrapolated || false);
     this.marker.addTo(this.map.map);
   };
 
@@ -60,6 +81,16 @@ function($, _, L) {
     this.marker.setLatLng(L.latLng(lat, lon));
   };
 
+  /*
+  * Extrapolated position is drawn with dashed hollow circle.
+  */
+  OpenStreetMapMarker.prototype.extrapolated = function(value) {
+    if (this.isExtrapolated !== value) {
+      this.isExtrapolated = value;
+      this.marker.setStyle(value ? { dashArray: '2, 3', fillOpacity: 0 } : { dashArray: null, fillOpacity: 0.2 });
+    }
+  };
+
   OpenStreetMapMarker.prototype.remove = function() {
     this.map.map.removeLayer(this.marker);
   };
@@ -95,11 +126,17 @@ function($, _, L) {
 
   var OpenStreetMapPolyline = function(map, data) {
     this.map = map;
-    this.polyline = L.polyline(data.path, {
+    // Geodesic polyline keeps points and draws great circles between them, see geo.geodesic.path.
+    // Every change of points rebuilds the whole path, so MapObject redraws such routes with setPath once per batch
+    this.points = data.geodesic ? _.map(data.path, function(p) { return { lat: p[0], lon: p[1] }; }) : null;
+    this.polyline = L.polyline(this.points ? geo.geodesic.path(this.points) : data.path, {
       color: data.color,
       opacity: 0.6,
       weight: 3
     });
+    if (data.click) {
+      this.polyline.on('click', data.click);
+    }
     this.polyline.addTo(this.map.map);
   };
 
@@ -108,11 +145,42 @@ function($, _, L) {
   };
 
   OpenStreetMapPolyline.prototype.removePoint = function(index) {
-    this.polyline.getLatLngs().removeAt(index);
+    this.removePoints(index, 1);
+  };
+
+  OpenStreetMapPolyline.prototype.removePoints = function(index, count) {
+    if (this.points) {
+      this.points.splice(index, count);
+      this.polyline.setLatLngs(geo.geodesic.path(this.points));
+    } else {
+      this.polyline.spliceLatLngs(index, count);
+    }
+  };
+
+  OpenStreetMapPolyline.prototype.setPath = function(path) {
+    if (this.points) {
+      this.points = _.map(path, function(p) { return { lat: p[0], lon: p[1] }; });
+      this.polyline.setLatLngs(geo.geodesic.path(this.points));
+    } else {
+      this.polyline.setLatLngs(path);
+    }
   };
 
   OpenStreetMapPolyline.prototype.addPoint = function(lat, lon) {
-    this.polyline.addLatLng(L.latLng(lat, lon));
+    if (this.points) {
+      this.insertPoint(this.points.length, lat, lon);
+    } else {
+      this.polyline.addLatLng(L.latLng(lat, lon));
+    }
+  };
+
+  OpenStreetMapPolyline.prototype.insertPoint = function(index, lat, lon) {
+    if (this.points) {
+      this.points.splice(index, 0, { lat: lat, lon: lon });
+      this.polyline.setLatLngs(geo.geodesic.path(this.points));
+    } else {
+      this.polyline.spliceLatLngs(index, 0, L.latLng(lat, lon));
+    }
   };
 
   OpenStreetMapPolyline.prototype.highlight = function() {
@@ -2,10 +2,14 @@ define(
 function(require, exports, module) {
 'use strict';
 
+var $ = require("jquery");
 var _ = require("underscore");
 var mvc = require("splunkjs/mvc");
 var SimpleSplunkView = require("splunkjs/mvc/simplesplunkview");
+var mvcUtils = require("splunkjs/mvc/utils");
+var splunkUtil = require("splunk.util");
 var MapObjectsView = require('./mapObjectsView');
+var utils = require('./utils');
 
 /*
 * Extract seconds from strings, like 'rtnow-30m'.
@@ -57,11 +61,30 @@ var parseTimeWindow = function(searchProperty) {
     return null;
 };
 
+/*
+* Replace $token$ placeholders in search with quoted token values (`"` and `\` are escaped),
+* unknown tokens are replaced with empty quoted strings.
+*/
+var replaceTokens = function(text, tokens) {
+    return text.replace(/\$([^$]+)\$/g, function(match, name) {
+        var value = tokens.hasOwnProperty(name) && tokens[name] !== undefined ? String(tokens[name]) : '';
+        return '"' + value.replace(/["\\]/g, '\\$&') + '"';
+    });
+};
+
+/*
+* Route map view. When user selects object (on the map or in the list of objects) view sets tokens
+* `[token_prefix][group field]` for every group field, `[token_prefix]lat`, `[token_prefix]lon` (current
+* position) and `[token_prefix]time` (current playback time) in default and submitted token models,
+* triggers event `select` and opens `drilldown_search` (with the same $tokens$) in new window when it is set.
+*/
 var RouteMapView = SimpleSplunkView.extend({
     className: "view_name",
 
     // Set options for the visualization
     options: {
+        token_prefix: 'selected_',
+        drilldown_search: null
     },
 
     output_mode: 'json',
@@ -76,6 +99,7 @@ var RouteMapView = SimpleSplunkView.extend({
     // Override this method to configure the view
     createView: function() {
         if (this.mapObjectsView) {
+            this.stopListening(this.mapObjectsView.viewModel);
             this.mapObjectsView.viewModel.pause();
             this.mapObjectsView.viewModel.removeAllObjects();
             this.mapObjectsView.off();
@@ -86,9 +110,17 @@ var RouteMapView = SimpleSplunkView.extend({
             el: this.el,
             view_template_id: this.options.view_template_id,
             view_list_item_template_id: this.options.view_list_item_template_id,
-            map_type: this.options.map_type
+            map_type: this.options.map_type,
+            tile_url: this.options.tile_url,
+            max_lateness: this.options.max_lateness,
+            extrapolation_horizon: this.options.extrapolation_horizon,
+            interpolation: this.options.interpolation,
+            shape_field: this.options.shape_field,
+            snap_routes: this.options.snap_routes
         }).render();
 
+        this.listenTo(this.mapObjectsView.viewModel, 'select', this._onObjectSelected);
+
         var earliest_time = this.settings.get('earliest_time') || this.manager.get('earliest_time');
         var latest_time = this.settings.get('latest_time') || this.manager.get('latest_time');
 
@@ -108,43 +140,47 @@ var RouteMapView = SimpleSplunkView.extend({
 
     // Override this method to format the data for the view
     formatData: function(data) {
-        var dataPoints = [];
-
-        for (var rIndex = 0; rIndex < data.length; rIndex++) {
-            var result = data[rIndex];
-
-            var point = { 
-              ts: parseFloat(result.point__ts__), 
-              lat: parseFloat(result.point__lat__), 
-              lon: parseFloat(result.point__lon__),
-            };
-            delete result.point__ts__;
-            delete result.point__lat__;
-            delete result.point__lon__;
-
-            var obj = {};
-
-            _(result).keys().forEach(function(key) {
-              if (key.indexOf('group__') === 0) {
-                obj[key.substring('group__'.length)] = result[key];
-                delete result[key];
-              }
-            });
-
-            point.raw = result;
-
-            dataPoints.push({
-              obj: obj, 
-              point: point
-            });
-        }
-
-        return dataPoints;
+        // Shapes of routes can be appended to results, see utils.toShapes
+        return { shapes: utils.toShapes(data), points: utils.toDataPoints(data) };
     },
 
     // Override this method to put the formatted Splunk data into the view
     updateView: function(viz, data) {
-        this.mapObjectsView.renderPoints(data);
+        if (!_.isEmpty(data.shapes)) {
+            this.mapObjectsView.viewModel.collection.setShapes(data.shapes);
+        }
+        this.mapObjectsView.renderPoints(data.points);
+    },
+
+    _onObjectSelected: function(selection) {
+        var prefix = this.settings.get('token_prefix') || '';
+        var tokens = {};
+
+        _(selection.obj).each(function(value, field) {
+            tokens[prefix + field] = value;
+        });
+        tokens[prefix + 'lat'] = selection.lat;
+        tokens[prefix + 'lon'] = selection.lon;
+        tokens[prefix + 'time'] = selection.ts;
+
+        _(['default', 'submitted']).each(function(name) {
+            var tokenModel = mvc.Components.get(name);
+            if (tokenModel) {
+                tokenModel.set(tokens);
+            }
+        });
+
+        this.trigger('select', selection, tokens);
+
+        var drilldownSearch = this.settings.get('drilldown_search');
+        if (drilldownSearch) {
+            var params = { q: replaceTokens(drilldownSearch, tokens) };
+            if (this.manager) {
+                params.earliest = this.manager.get('earliest_time') || '';
+                params.latest = this.manager.get('latest_time') || '';
+            }
+            window.open(splunkUtil.make_url('app', mvcUtils.getCurrentApp(), 'search') + '?' + $.param(params), '_blank');
+        }
     },
 
     _onManagerIdChanged: function(managerid, oldmanagerid) {
@@ -0,0 +1,109 @@
+define(
+['underscore'],
+function(_) {
+  'use strict';
+
+  // Meters in one degree of latitude.
+  var metersPerDegree = 6371000 * Math.PI / 180;
+
+  /*
+  * Gets vector from `from` to `to` in meters { x (east), y (north) }, good enough for distances in a city.
+  */
+  var toMeters = function(from, to) {
+    return {
+      x: (to.lon - from.lon) * metersPerDegree * Math.cos((from.lat + to.lat) / 2 * Math.PI / 180),
+      y: (to.lat - from.lat) * metersPerDegree
+    };
+  };
+
+  /*
+  * Reference shape of route (for example from GTFS shapes.txt), objects follow it between their points.
+  * @param points - array of { lat, lon } in order of the shape.
+  *
+  * Positions on the shape are distances in meters from the first point of the shape.
+  */
+  var Shape = function(points) {
+    this.points = points;
+    // Distance from the first point to each point of the shape
+    this.distances = [0];
+    for (var i = 1; i < points.length; i++) {
+      var v = toMeters(points[i - 1], points[i]);
+      this.distances.push(this.distances[i - 1] + Math.sqrt(v.x * v.x + v.y * v.y));
+    }
+  };
+
+  /*
+  * Project point on the closest segment of the shape.
+  * @return - { distance: [position on the shape], offset: [meters between point and the shape] }.
+  */
+  Shape.prototype.project = function(point) {
+    var result = { distance: 0, offset: Infinity };
+
+    for (var i = 0; i < this.points.length; i++) {
+      var p = toMeters(this.points[i], point);
+      var fraction = 0;
+      var segmentLength = i + 1 < this.points.length ? this.distances[i + 1] - this.distances[i] : 0;
+      if (segmentLength > 0) {
+        var segment = toMeters(this.points[i], this.points[i + 1]);
+        fraction = Math.min(Math.max((p.x * segment.x + p.y * segment.y) / (segmentLength * segmentLength), 0), 1);
+        p.x -= segment.x * fraction;
+        p.y -= segment.y * fraction;
+      }
+
+      var offset = Math.sqrt(p.x * p.x + p.y * p.y);
+      if (offset < result.offset) {
+        result = { distance: this.distances[i] + segmentLength * fraction, offset: offset };
+      }
+    }
+
+    return result;
+  };
+
+  /*
+  * Gets index of the first point of the shape which is farther than `distance`.
+  */
+  Shape.prototype.pointIndex = function(distance) {
+    return _.sortedIndex(this.distances, distance + 1e-9);
+  };
+
+  /*
+  * Gets position { lat, lon } on the shape.
+  */
+  Shape.prototype.positionAt = function(distance) {
+    var index = this.pointIndex(distance);
+    if (index === 0) {
+      return _.clone(_.first(this.points));
+    }
+    if (index === this.points.length) {
+      return _.clone(_.last(this.points));
+    }
+
+    var from = this.points[index - 1], to = this.points[index];
+    var p = (distance - this.distances[index - 1]) / (this.distances[index] - this.distances[index - 1]);
+    return {
+      lat: from.lat + (to.lat - from.lat) * p,
+      lon: from.lon + (to.lon - from.lon) * p
+    };
+  };
+
+  /*
+  * Gets points of the shape between two positions (in order from `fromDistance` to `toDistance`,
+  * which can be less than `fromDistance`), positions themselves are not included.
+  */
+  Shape.prototype.between = function(fromDistance, toDistance) {
+    var start = Math.min(fromDistance, toDistance), end = Math.max(fromDistance, toDistance);
+    var points = this.points.slice(this.pointIndex(start), this.pointIndex(end - 2e-9));
+    return fromDistance <= toDistance ? points : points.reverse();
+  };
+
+  /*
+  * Gets straight distance in meters between two points { lat, lon }.
+  */
+  Shape.distance = function(from, to) {
+    var v = toMeters(from, to);
+    return Math.sqrt(v.x * v.x + v.y * v.y);
+  };
+
+  return Shape;
+}
+);
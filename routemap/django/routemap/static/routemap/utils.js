@@ -26,4 +26,107 @@ function(require, exports, module) {
     return title;
   };
 
+  /*
+  * Order shape points by shape_pt_sequence.
+  */
+  var compareSequence = function(a, b) {
+    return a.sequence - b.sequence;
+  };
+
+  /*
+  * Gets shape point without its sequence.
+  */
+  var toLatLon = function(point) {
+    return { lat: point.lat, lon: point.lon };
+  };
+
+  /*
+  * Collect reference shapes of routes from search results, for example GTFS shapes.txt
+  * appended to results with `| append [| inputlookup gtfs_shapes]`.
+  * @param results - array of result objects, only results with `shape_id`, `shape_pt_lat`,
+  *                  `shape_pt_lon` and `shape_pt_sequence` fields are used.
+  * @return - { [shape_id]: [{ lat, lon }, ...] }, points are ordered by shape_pt_sequence.
+  */
+  exports.toShapes = function(results) {
+    var shapes = {};
+
+    for (var rIndex = 0; rIndex < results.length; rIndex++) {
+      var result = results[rIndex];
+      var point = {
+        sequence: parseFloat(result.shape_pt_sequence),
+        lat: parseFloat(result.shape_pt_lat),
+        lon: parseFloat(result.shape_pt_lon)
+      };
+
+      if (result.shape_id === undefined || isNaN(point.sequence) || isNaN(point.lat) || isNaN(point.lon)) {
+        continue;
+      }
+
+      if (!shapes.hasOwnProperty(result.shape_id)) {
+        shapes[result.shape_id] = [];
+      }
+      shapes[result.shape_id].push(point);
+    }
+
+    for (var id in shapes) {
+      if (shapes.hasOwnProperty(id)) {
+        shapes[id] = shapes[id].sort(compareSequence).map(toLatLon);
+      }
+    }
+
+    return shapes;
+  };
+
+  /*
+  * Convert search results prepared by `routenormalize` command to data points.
+  * @param results - array of result objects with `point__ts__`, `point__lat__`,
+  *                  `point__lon__` and `group__*` fields.
+  * @return - array of { obj: [group fields], point: { ts, lat, lon, raw: [other fields] } }.
+  *
+  * Rows tagged by routenormalize (invalid=tag) or without numeric values can't be shown on map, 
+  * they are skipped.
+  */
+  exports.toDataPoints = function(results) {
+    var dataPoints = [];
+
+    for (var rIndex = 0; rIndex < results.length; rIndex++) {
+      var result = results[rIndex];
+
+      if (result.point__error__) {
+        continue;
+      }
+
+      var point = { 
+        ts: parseFloat(result.point__ts__), 
+        lat: parseFloat(result.point__lat__), 
+        lon: parseFloat(result.point__lon__)
+      };
+      delete result.point__ts__;
+      delete result.point__lat__;
+      delete result.point__lon__;
+
+      if (isNaN(point.ts) || isNaN(point.lat) || isNaN(point.lon)) {
+        continue;
+      }
+
+      var obj = {};
+
+      for (var key in result) {
+        if (result.hasOwnProperty(key) && key.indexOf('group__') === 0) {
+          obj[key.substring('group__'.length)] = result[key];
+          delete result[key];
+        }
+      }
+
+      point.raw = result;
+
+      dataPoints.push({
+        obj: obj, 
+        point: point
+      });
+    }
+
+    return dataPoints;
+  };
+
 });
\ No newline at end of file